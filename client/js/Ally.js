@@ -0,0 +1,207 @@
+import { GameConfig } from './config/GameConfig.js';
+
+/**
+ * Base class for allied entities (Engineer turrets and drones).
+ * Allies pick the nearest enemy in range and fire player-side projectiles at it.
+ * They have their own HP, can be hit by enemy projectiles and Vortex mines,
+ * and are removed once destroyed or their lifetime runs out.
+ */
+export class Ally {
+    static nextId = 0;
+    /**
+     * Creates a new ally.
+     * @param {string} kind - Ally type key, used to rebuild the ally from a save
+     * @param {number} x - Initial X coordinate
+     * @param {number} y - Initial Y coordinate
+     * @param {Object} stats - Base stats (one of GameConfig.ALLY's entries)
+     * @param {number} stats.HP - Base health points
+     * @param {number} stats.RADIUS - Collision radius in pixels
+     * @param {number} stats.FIRE_INTERVAL - Time between shots in milliseconds
+     * @param {number} stats.RANGE - Targeting range in pixels
+     * @param {number} stats.DAMAGE_RATIO - Shot damage as a ratio of the player's base damage
+     * @param {string} stats.COLOR - Body color
+     * @param {Object} [options]
+     * @param {number} [options.hpMultiplier=1] - Scales max HP (Reinforced Chassis)
+     * @param {number|null} [options.lifetime=null] - Remaining lifetime in ms, null for permanent
+     */
+    constructor(kind, x, y, stats, { hpMultiplier = 1, lifetime = null } = {}) {
+        this.id = Ally.nextId++;
+        this.kind = kind;
+        this.isAlly = true;
+        this.isTurret = false; // Whether this ally is a stationary turret
+        this.isDrone = false; // Whether this ally orbits the player
+
+        // Position properties
+        this.x = x;
+        this.y = y;
+        this.prevTickX = x; // Position at the start of the current simulation tick (render interpolation)
+        this.prevTickY = y;
+        this.radius = stats.RADIUS;
+
+        // Combat properties
+        this.maxHp = stats.HP * hpMultiplier;
+        this.hp = this.maxHp;
+        this.fireInterval = stats.FIRE_INTERVAL;
+        this.fireTimer = 0;
+        this.range = stats.RANGE;
+        this.damageRatio = stats.DAMAGE_RATIO;
+        /** @type {number|null} Remaining lifetime in ms (null = permanent) */
+        this.lifetime = lifetime;
+
+        // Visual properties
+        this.color = stats.COLOR;
+        this.angle = 0; // Facing angle, turned toward the current target
+        this.flashTimer = 0; // Timer for hit flash effect in milliseconds
+    }
+
+    /**
+     * Update lifetime, movement and firing.
+     * @param {number} delta - Time elapsed since last update in milliseconds
+     * @param {import('./Game.js').Game} game
+     */
+    update(delta, game) {
+        if (this.lifetime !== null) {
+            this.lifetime -= delta;
+        }
+        if (this.flashTimer > 0) {
+            this.flashTimer -= delta;
+        }
+
+        this.move(delta, game);
+
+        const player = game.player;
+        const overdrive = player.getSkillBuff('allyOverdrive');
+        const fireRate = player.allyFireRateMod * (overdrive ? overdrive.fireRateMultiplier : 1);
+        const interval = this.fireInterval / fireRate;
+
+        this.fireTimer += delta;
+        if (this.fireTimer < interval) return;
+
+        const target = this.findTarget(game.enemies);
+        if (!target) {
+            // Hold the shot so it goes off as soon as something walks into range
+            this.fireTimer = interval;
+            return;
+        }
+        this.fireTimer = 0;
+        this.fire(game, target, overdrive ? overdrive.damageMultiplier : 1);
+    }
+
+    /**
+     * Per-tick movement. Stationary by default.
+     * @param {number} _delta
+     * @param {import('./Game.js').Game} _game
+     */
+    move(_delta, _game) {}
+
+    /**
+     * Find the nearest living enemy within range.
+     * @param {Array.<import('./Enemy.js').Enemy>} enemies
+     * @returns {import('./Enemy.js').Enemy|null}
+     */
+    findTarget(enemies) {
+        let nearest = null;
+        let nearestDistSq = this.range * this.range;
+        for (let i = 0; i < enemies.length; i++) {
+            const enemy = enemies[i];
+            if (enemy.dying || enemy.health <= 0 || enemy.untargetable) continue;
+            const dx = enemy.x - this.x;
+            const dy = enemy.y - this.y;
+            const distSq = dx * dx + dy * dy;
+            if (distSq < nearestDistSq) {
+                nearestDistSq = distSq;
+                nearest = enemy;
+            }
+        }
+        return nearest;
+    }
+
+    /**
+     * Fire a projectile owned by this ally at a target.
+     * @param {import('./Game.js').Game} game
+     * @param {import('./Enemy.js').Enemy} target
+     * @param {number} [damageMultiplier=1] - Temporary bonus (Overdrive Protocol)
+     */
+    fire(game, target, damageMultiplier = 1) {
+        const player = game.player;
+        this.angle = Math.atan2(target.y - this.y, target.x - this.x);
+        const damage = GameConfig.PLAYER.BASE_DAMAGE * player.damageMod * player.allyDamageMod
+            * this.damageRatio * damageMultiplier;
+
+        const projectile = game.projectilePool.get(this.x, this.y, this.angle, damage, 1, { owner: this });
+
+        // Rocket Battery: ally shots explode on impact
+        if (player.allyRockets) {
+            projectile.explosive = true;
+            projectile.explosionRadius = player.allyRockets.radius;
+            projectile.explosionDamage = damage * player.allyRockets.damageRatio;
+        }
+
+        game.projectiles.push(projectile);
+    }
+
+    /**
+     * @param {number} amount
+     */
+    takeDamage(amount) {
+        this.hp -= amount;
+        this.flashTimer = 100;
+    }
+
+    /**
+     * @param {number} amount
+     */
+    heal(amount) {
+        this.hp = Math.min(this.maxHp, this.hp + amount);
+    }
+
+    /**
+     * Whether the ally should be removed (destroyed or out of time).
+     * @returns {boolean}
+     */
+    isExpired() {
+        return this.hp <= 0 || (this.lifetime !== null && this.lifetime <= 0);
+    }
+
+    /**
+     * @returns {{kind: string, x: number, y: number, hp: number, maxHp: number, lifetime: number|null}}
+     */
+    serialize() {
+        return {
+            kind: this.kind,
+            x: this.x,
+            y: this.y,
+            hp: this.hp,
+            maxHp: this.maxHp,
+            lifetime: this.lifetime,
+        };
+    }
+
+    /**
+     * Draw the ally body. Subclasses draw their own shape, then call drawHealthRing().
+     * @param {CanvasRenderingContext2D} ctx
+     */
+    draw(ctx) {
+        ctx.fillStyle = this.flashTimer > 0 ? '#fff' : this.color;
+        ctx.beginPath();
+        ctx.arc(this.x, this.y, this.radius, 0, Math.PI * 2);
+        ctx.fill();
+        this.drawHealthRing(ctx);
+    }
+
+    /**
+     * Thin arc around the body showing remaining HP.
+     * @param {CanvasRenderingContext2D} ctx
+     */
+    drawHealthRing(ctx) {
+        const hpRatio = Math.max(0, this.hp / this.maxHp);
+        if (hpRatio >= 1) return;
+        ctx.strokeStyle = this.color;
+        ctx.lineWidth = 2;
+        ctx.globalAlpha = 0.7;
+        ctx.beginPath();
+        ctx.arc(this.x, this.y, this.radius + 4, -Math.PI / 2, -Math.PI / 2 + Math.PI * 2 * hpRatio);
+        ctx.stroke();
+        ctx.globalAlpha = 1;
+    }
+}
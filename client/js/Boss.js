@@ -1,31 +1,114 @@
 import { Enemy } from './Enemy.js';
 import { GameConfig } from './config/GameConfig.js';
 import { Projectile } from './Projectile.js';
-import { playSFX } from './main.js';
+import { playSFX } from './managers/RuntimeAdapters.js';
 import { MathUtils } from './utils/MathUtils.js';
 import { createFastEnemy } from './enemies/EnemyFactory.js';
+import { AttackSequencer } from './bosses/AttackSequencer.js';
+import { getTelegraphColor, isHighContrast, drawHazardLine, drawHazardCircle } from './utils/PaletteUtils.js';
 
+/**
+ * @typedef {Object} BossPhase
+ * @property {number} threshold - HP ratio at which the phase begins (the first phase uses 1)
+ * @property {string} [name] - Shown on the health bar while the phase is active
+ * @property {string[]} [patterns] - Pattern ids allowed in this phase; all when omitted
+ * @property {Object<string, number>} [weights] - Per-pattern weight overrides
+ * @property {number} [attackCooldownMultiplier=1] - Scales the time between attacks
+ * @property {number} [speedMultiplier=1] - Scales movement speed
+ */
+
+/**
+ * @typedef {Object} BossDefinition
+ * @property {string} label - Health bar title
+ * @property {string} color - Body, glow and health bar color
+ * @property {import('./bosses/AttackSequencer.js').AttackPattern[]} patterns
+ * @property {BossPhase[]} [phases] - Ordered by descending threshold
+ * @property {number|null} [enrageTime] - ms until enrage; null never enrages
+ * @property {{period: number, amplitude: number}} [pulse] - Body pulse (ms per radian, px)
+ */
+
+/**
+ * Classic boss: keeps its distance, bursts, charges and calls in fast minions.
+ * @type {BossDefinition}
+ */
+const CLASSIC_BOSS = {
+    label: 'BOSS',
+    color: '#ff00ff',
+    patterns: [
+        { id: 'projectileBurst', execute: (boss) => boss.projectileBurst() },
+        {
+            id: 'charge',
+            telegraph: 600,
+            onTelegraph: (boss, player) => boss.lockTarget(player),
+            execute: (boss) => boss.charge(boss.lockedTarget),
+            drawTelegraph: (ctx, boss, progress) => boss.drawChargeTelegraph(ctx, progress)
+        },
+        {
+            id: 'summon',
+            weight: 2,
+            cooldown: GameConfig.BOSS.MINION_SPAWN_COOLDOWN,
+            telegraph: 300,
+            execute: (boss) => boss.spawnMinions()
+        }
+    ],
+    phases: [
+        { threshold: 1 },
+        { threshold: 0.5, name: 'FRENZY', attackCooldownMultiplier: 0.75, speedMultiplier: 1.2, weights: { charge: 2 } }
+    ]
+};
+
+/**
+ * Base boss. Movement and passive mechanics live in overridable hooks; attacks
+ * come from the definition's pattern data and run through an AttackSequencer.
+ * HP thresholds move the boss through its phases, and a boss left alive past
+ * its enrage time attacks faster, moves faster and hits harder.
+ */
 export class Boss extends Enemy {
-    constructor(x, y, health, damage, game) {
+    /**
+     * @param {number} x
+     * @param {number} y
+     * @param {number} health
+     * @param {number} damage
+     * @param {import('./Game.js').Game} game
+     * @param {BossDefinition} [definition]
+     */
+    constructor(x, y, health, damage, game, definition = CLASSIC_BOSS) {
         super(x, y, GameConfig.BOSS.SPEED, health, damage);
         this.game = game;
+        this.definition = definition;
         this.setBaseRadius(GameConfig.BOSS.RADIUS);
-        this.color = '#ff00ff'; // Bright magenta for the boss
-        this.glowColor = '#ff00ff';
+        this.color = definition.color;
+        this.glowColor = definition.color;
+        this.kind = 'boss';
         this.isBoss = true;
+        this.knockbackResistance = 0.75;
         this.bossType = 'Classic';
         this.maxHealth = health;
 
-        // Boss-specific properties
-        this.attackTimer = 0;
         this.attackCooldown = GameConfig.BOSS.ATTACK_COOLDOWN;
-        this.currentAttack = null;
-        this.minionSpawnTimer = 0;
-        this.minionSpawnCooldown = GameConfig.BOSS.MINION_SPAWN_COOLDOWN;
+        this.sequencer = new AttackSequencer(definition.patterns);
+
+        /** @type {BossPhase[]} */
+        this.phases = definition.phases || [{ threshold: 1 }];
+        this.phaseIndex = 0;
+
+        const enrageTime = definition.enrageTime === undefined ? GameConfig.BOSS.ENRAGE_TIME : definition.enrageTime;
+        this.enrageTime = enrageTime;
+        this.enrageTimer = enrageTime ?? 0;
+        this.enraged = false;
+
+        this.showHealthBar = true;
+        /** @type {{x: number, y: number}|null} Aim point fixed when a telegraph starts */
+        this.lockedTarget = null;
 
         this.isCharging = false;
         this.chargeDuration = 500;
         this.chargeTimeRemaining = 0;
+        this.chargeVx = 0; // Dash velocity in pixels per second
+        this.chargeVy = 0;
+
+        /** @type {Array<{remaining: number, fn: Function}>} Delayed attack steps, advanced by simulation time */
+        this._scheduledAttacks = [];
     }
 
     getDifficultyPreset() {
@@ -36,86 +119,197 @@ export class Boss extends Enemy {
         return this.getDifficultyPreset().enemyDamageMultiplier || 1;
     }
 
-    update(delta, player) {
-        // Override basic enemy movement
-        const dx = player.x - this.x;
-        const dy = player.y - this.y;
-        const distance = MathUtils.distance(this.x, this.y, player.x, player.y);
+    /**
+     * Damage multiplier for boss attacks: difficulty, plus enrage.
+     * @returns {number}
+     */
+    getAttackDamageMultiplier() {
+        const enrage = this.enraged ? GameConfig.BOSS.ENRAGE_DAMAGE_MULTIPLIER : 1;
+        return this.getDifficultyDamageMultiplier() * enrage;
+    }
+
+    /** @returns {BossPhase} */
+    getPhase() {
+        return this.phases[this.phaseIndex];
+    }
 
-        const speedMultiplier = (this.game && this.game.modifierState && this.game.modifierState.enemySpeedMultiplier)
-            ? this.game.modifierState.enemySpeedMultiplier
-            : 1;
+    /**
+     * Time between attack rolls for the current phase (ms).
+     * @returns {number}
+     */
+    getAttackInterval() {
+        const enrage = this.enraged ? GameConfig.BOSS.ENRAGE_COOLDOWN_MULTIPLIER : 1;
+        return this.attackCooldown * (this.getPhase().attackCooldownMultiplier || 1) * enrage;
+    }
+
+    /**
+     * Phase and enrage speed scaling. Bosses hold still while winding up.
+     * @returns {number}
+     */
+    getSpeedMultiplier() {
+        if (this.sequencer.state === 'windup') return 0;
+        const enrage = this.enraged ? GameConfig.BOSS.ENRAGE_SPEED_MULTIPLIER : 1;
+        return (this.getPhase().speedMultiplier || 1) * enrage;
+    }
+
+    /**
+     * Whether the player's auto-aim can't see the boss. Bosses pass over the
+     * arena edge and the ring's pillar, so one that holds its distance keeps
+     * closing in until it can be shot.
+     * @param {import('./Player.js').Player} player
+     * @returns {boolean}
+     */
+    isOutOfSight(player) {
+        return !player.isInSight(this, this.game);
+    }
+
+    /**
+     * Current movement speed in pixels per second, with run modifiers applied.
+     * @returns {number}
+     */
+    getMoveSpeed() {
+        const modifierSpeed = this.game?.modifierState?.enemySpeedMultiplier || 1;
         const pressureScale = this.game?.getPressureScale?.() || 1;
+        return this.speed * pressureScale * modifierSpeed * this.getSpeedMultiplier();
+    }
+
+    update(delta, player) {
+        if (this.health <= 0) {
+            this._clearScheduledAttacks();
+            return;
+        }
+
+        this._updateScheduledAttacks(delta);
+        this._updatePhase();
+        this._updateEnrage(delta);
 
-        // Store previous position for velocity calculation
         this.prevX = this.x;
         this.prevY = this.y;
+        this.updateMovement(delta, player);
 
+        // Velocity in pixels per second for predictive targeting
+        const deltaSeconds = delta / 1000;
+        if (deltaSeconds > 0) {
+            this.vx = (this.x - this.prevX) / deltaSeconds;
+            this.vy = (this.y - this.prevY) / deltaSeconds;
+        }
+
+        this.updateBehavior(delta, player);
+        this.sequencer.update(delta, this, player);
+    }
+
+    /**
+     * Movement hook. The classic boss closes to a distance, or dashes while charging.
+     * @param {number} delta
+     * @param {Object} player
+     */
+    updateMovement(delta, player) {
         const deltaSeconds = delta / 1000;
         if (this.isCharging) {
-            this.x += this.vx * deltaSeconds;
-            this.y += this.vy * deltaSeconds;
+            this.x += this.chargeVx * deltaSeconds;
+            this.y += this.chargeVy * deltaSeconds;
             this.chargeTimeRemaining -= delta;
             if (this.chargeTimeRemaining <= 0) {
                 this.isCharging = false;
-                this.vx = 0;
-                this.vy = 0;
             }
-        } else if (distance > 200) { // Keep some distance
-            const normalizedDx = dx / distance;
-            const normalizedDy = dy / distance;
-            const actualSpeed = this.speed * pressureScale * speedMultiplier * deltaSeconds;
-            this.x += normalizedDx * actualSpeed;
-            this.y += normalizedDy * actualSpeed;
-        }
-        
-        // Calculate velocity in pixels per second for predictive targeting
-        if (deltaSeconds > 0) {
-            this.vx = (this.x - this.prevX) / deltaSeconds;
-            this.vy = (this.y - this.prevY) / deltaSeconds;
-        } else {
-            this.vx = 0;
-            this.vy = 0;
+            return;
         }
 
+        const distance = MathUtils.distance(this.x, this.y, player.x, player.y);
+        if (distance > 200 || (distance > 0 && this.isOutOfSight(player))) { // Keep some distance
+            const step = this.getMoveSpeed() * deltaSeconds;
+            this.x += ((player.x - this.x) / distance) * step;
+            this.y += ((player.y - this.y) / distance) * step;
+        }
+    }
 
-        this.attackTimer += delta;
-        this.minionSpawnTimer += delta;
+    /**
+     * Per-tick mechanics besides movement and attacks (shields, pools, fields).
+     * @param {number} _delta
+     * @param {Object} _player
+     */
+    updateBehavior(_delta, _player) {}
 
-        if (this.attackTimer >= this.attackCooldown) {
-            this.chooseAttack();
-            this.executeAttack(player);
-            this.attackTimer = 0;
+    /**
+     * Called once when HP drops into a new phase.
+     * @param {BossPhase} _phase
+     * @param {number} _index
+     */
+    onPhaseEnter(_phase, _index) {
+        playSFX('boss_attack_charge_impact');
+        this.game.createExplosion(this.x, this.y, 12);
+        this.game.addScreenShake(10, 300);
+    }
+
+    /** Called once when the enrage timer runs out. */
+    onEnrage() {
+        playSFX('wave_boss_alert');
+        this.game.addScreenShake(12, 400);
+    }
+
+    /** @private */
+    _updatePhase() {
+        const healthRatio = this.health / this.maxHealth;
+        while (this.phaseIndex < this.phases.length - 1 && healthRatio <= this.phases[this.phaseIndex + 1].threshold) {
+            this.phaseIndex++;
+            this.sequencer.interrupt(GameConfig.BOSS.PHASE_TRANSITION_PAUSE);
+            this.onPhaseEnter(this.phases[this.phaseIndex], this.phaseIndex);
+            if (this.health <= 0) return;
         }
+    }
 
-        if (this.minionSpawnTimer >= this.minionSpawnCooldown) {
-            this.spawnMinions();
-            this.minionSpawnTimer = 0;
+    /** @private */
+    _updateEnrage(delta) {
+        if (this.enraged || this.enrageTime == null) return;
+        this.enrageTimer -= delta;
+        if (this.enrageTimer <= 0) {
+            this.enrageTimer = 0;
+            this.enraged = true;
+            this.onEnrage();
         }
     }
 
-    chooseAttack() {
-        const attacks = ['projectileBurst', 'charge'];
-        this.currentAttack = attacks[Math.floor(Math.random() * attacks.length)];
+    _schedule(fn, delay) {
+        this._scheduledAttacks.push({ remaining: delay, fn });
     }
 
-    executeAttack(player) {
-        switch (this.currentAttack) {
-            case 'projectileBurst':
-                this.projectileBurst();
-                break;
-            case 'charge':
-                this.charge(player);
-                break;
-        }
+    _updateScheduledAttacks(delta) {
+        if (this._scheduledAttacks.length === 0) return;
+        const due = [];
+        this._scheduledAttacks = this._scheduledAttacks.filter((entry) => {
+            entry.remaining -= delta;
+            if (entry.remaining <= 0) {
+                due.push(entry.fn);
+                return false;
+            }
+            return true;
+        });
+        for (const fn of due) fn();
     }
 
-    projectileBurst() {
+    _clearScheduledAttacks() {
+        this._scheduledAttacks = [];
+    }
+
+    /**
+     * Remember where the player stands so the attack lands where it was telegraphed.
+     * @param {{x: number, y: number}} player
+     */
+    lockTarget(player) {
+        this.lockedTarget = { x: player.x, y: player.y };
+    }
+
+    /**
+     * Fire a ring of projectiles.
+     * @param {number} [projectileCount]
+     * @param {number} [baseDamage]
+     * @param {number} [angleOffset] - Rotation of the ring in radians
+     */
+    projectileBurst(projectileCount = 16, baseDamage = 10, angleOffset = 0) {
         playSFX('boss_attack_projectile_burst');
-        const projectileCount = 16;
-        const damage = 10 * this.getDifficultyDamageMultiplier();
+        const damage = baseDamage * this.getAttackDamageMultiplier();
         for (let i = 0; i < projectileCount; i++) {
-            const angle = (Math.PI * 2 / projectileCount) * i;
+            const angle = (Math.PI * 2 / projectileCount) * i + angleOffset;
             const projectile = new Projectile(
                 this.x,
                 this.y,
@@ -127,31 +321,36 @@ export class Boss extends Enemy {
         }
     }
 
-    charge(player) {
+    /**
+     * Dash toward a point.
+     * @param {{x: number, y: number}} target
+     */
+    charge(target) {
         playSFX('boss_attack_charge_windup');
-        const speedMultiplier = (this.game && this.game.modifierState && this.game.modifierState.enemySpeedMultiplier)
-            ? this.game.modifierState.enemySpeedMultiplier
-            : 1;
-        const pressureScale = this.game?.getPressureScale?.() || 1;
-        const chargeSpeed = this.speed * 3 * pressureScale * speedMultiplier;
-        const dx = player.x - this.x;
-        const dy = player.y - this.y;
-        const distance = MathUtils.distance(this.x, this.y, player.x, player.y);
+        const chargeSpeed = this.getMoveSpeed() * 3;
+        const dx = target.x - this.x;
+        const dy = target.y - this.y;
+        const distance = MathUtils.distance(this.x, this.y, target.x, target.y);
+        this.chargeVx = 0;
+        this.chargeVy = 0;
         if (distance > 0) {
-            this.vx = (dx / distance) * chargeSpeed;
-            this.vy = (dy / distance) * chargeSpeed;
+            this.chargeVx = (dx / distance) * chargeSpeed;
+            this.chargeVy = (dy / distance) * chargeSpeed;
         }
 
         this.isCharging = true;
         this.chargeTimeRemaining = this.chargeDuration;
     }
 
-    spawnMinions() {
+    /**
+     * Call in fast minions around the boss.
+     * @param {number} [minionCount]
+     */
+    spawnMinions(minionCount = 2) {
         playSFX('boss_summon_minions');
-        const minionCount = 2;
         const difficultyPreset = this.getDifficultyPreset();
         for (let i = 0; i < minionCount; i++) {
-            const angle = Math.random() * Math.PI * 2;
+            const angle = this.game.rng.spawns.range(0, Math.PI * 2);
             const spawnX = this.x + Math.cos(angle) * 100;
             const spawnY = this.y + Math.sin(angle) * 100;
             const minion = createFastEnemy(spawnX, spawnY, 1);
@@ -165,55 +364,240 @@ export class Boss extends Enemy {
     }
 
     draw(ctx) {
-        // Custom boss drawing
-        ctx.save();
-        ctx.shadowColor = this.glowColor;
-        ctx.shadowBlur = 20;
-        ctx.fillStyle = this.color;
-        ctx.strokeStyle = '#fff';
-        ctx.lineWidth = 3;
+        this.drawUnderlay(ctx);
+        const size = this.drawBody(ctx);
+        this.drawAttackTelegraph(ctx, size);
+        this.statusEffects.draw(ctx);
+        this.drawBossHealthBar(ctx);
+    }
 
-        // Pulsating effect
-        const pulse = Math.sin(Date.now() / 200) * 5;
-        const size = this.radius + pulse;
+    /**
+     * Drawn below the body: fields, pools, mines.
+     * @param {CanvasRenderingContext2D} ctx
+     */
+    drawUnderlay(ctx) {
+        // Charge path for the rest of the dash (high contrast only)
+        if (this.isCharging && isHighContrast(this.game)) {
+            const seconds = this.chargeTimeRemaining / 1000;
+            drawHazardLine(ctx, this.x, this.y, this.x + this.chargeVx * seconds, this.y + this.chargeVy * seconds);
+        }
+    }
 
+    /** @returns {string} */
+    getBodyColor() {
+        return this.color;
+    }
+
+    /**
+     * Body outline; the default is a circle.
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {number} size - Current (pulsed) radius
+     */
+    traceBodyPath(ctx, size) {
         ctx.beginPath();
         ctx.arc(this.x, this.y, size, 0, Math.PI * 2);
+    }
+
+    /**
+     * Inner markings drawn over the body.
+     * @param {CanvasRenderingContext2D} _ctx
+     * @param {number} _size
+     */
+    drawEmblem(_ctx, _size) {}
+
+    /**
+     * Draw the glowing, pulsing body. Enraged bosses glow red; winding up
+     * swaps the white rim for the telegraph color.
+     * @param {CanvasRenderingContext2D} ctx
+     * @returns {number} The pulsed radius
+     */
+    drawBody(ctx) {
+        const bodyColor = this.getBodyColor();
+        const windingUp = this.sequencer.state === 'windup';
+
+        ctx.save();
+        ctx.shadowColor = this.enraged ? '#ff2244' : bodyColor;
+        ctx.shadowBlur = this.enraged ? 30 : 20;
+        ctx.fillStyle = bodyColor;
+        ctx.strokeStyle = windingUp ? getTelegraphColor(this.game, '#ff3355') : '#fff';
+        ctx.lineWidth = windingUp ? 5 : 3;
+
+        // Pulsating effect (held still in reduced-motion mode)
+        const { period, amplitude } = this.definition.pulse || { period: 200, amplitude: 5 };
+        const pulse = this.game?.runtimeSettings?.reducedMotion ? 0 : Math.sin(Date.now() / period) * amplitude;
+        const size = this.radius + pulse;
+
+        this.traceBodyPath(ctx, size);
         ctx.fill();
         ctx.stroke();
+
+        ctx.shadowBlur = 0;
+        ctx.strokeStyle = '#fff';
+        ctx.lineWidth = 2;
+        this.drawEmblem(ctx, size);
         ctx.restore();
+        return size;
+    }
 
-        this.drawBossHealthBar(ctx);
+    /**
+     * Warning for the attack being prepared: the pattern's own drawTelegraph,
+     * or a ring closing in on the boss. Named patterns also show their name.
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {number} size
+     */
+    drawAttackTelegraph(ctx, size) {
+        const pattern = this.sequencer.current;
+        if (!pattern || this.sequencer.state === 'idle') return;
+        const progress = this.sequencer.state === 'windup' ? 1 : this.sequencer.getProgress();
+
+        ctx.save();
+        if (pattern.drawTelegraph) {
+            pattern.drawTelegraph(ctx, this, progress);
+        } else if ((pattern.telegraph ?? GameConfig.BOSS.TELEGRAPH_TIME) > 0) {
+            const reducedMotion = this.game?.runtimeSettings?.reducedMotion === true;
+            const ringRadius = reducedMotion ? size + 14 : size + 8 + (1 - progress) * 32;
+            ctx.globalAlpha = 0.3 + progress * 0.6;
+            ctx.strokeStyle = getTelegraphColor(this.game, '#ff3355');
+            ctx.lineWidth = 3;
+            ctx.beginPath();
+            ctx.arc(this.x, this.y, ringRadius, 0, Math.PI * 2);
+            ctx.stroke();
+            if (isHighContrast(this.game)) drawHazardCircle(ctx, this.x, this.y, ringRadius, { hatch: false });
+        }
+        if (pattern.name) {
+            ctx.globalAlpha = 1;
+            ctx.fillStyle = '#fff';
+            ctx.font = '8px "Press Start 2P", monospace';
+            ctx.textAlign = 'center';
+            ctx.fillText(pattern.name, this.x, this.y - size - 24);
+        }
+        ctx.restore();
     }
 
+    /**
+     * Dash line from the boss to the locked aim point.
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {number} progress
+     */
+    drawChargeTelegraph(ctx, progress) {
+        if (!this.lockedTarget) return;
+        const { x, y } = this.lockedTarget;
+        ctx.globalAlpha = 0.3 + progress * 0.5;
+        ctx.strokeStyle = getTelegraphColor(this.game, '#ff3355');
+        ctx.lineWidth = 2 + progress * 4;
+        ctx.beginPath();
+        ctx.moveTo(this.x, this.y);
+        ctx.lineTo(x, y);
+        ctx.stroke();
+        if (isHighContrast(this.game)) drawHazardLine(ctx, this.x, this.y, x, y, 2 + progress * 2);
+    }
+
+    /** @returns {string} */
+    getHealthBarLabel() {
+        const phaseName = this.getPhase().name;
+        let label = phaseName ? `${this.definition.label} - ${phaseName}` : this.definition.label;
+        if (this.enraged) label += ' - ENRAGED';
+        return label;
+    }
+
+    /** @returns {string} Label and border color */
+    getHealthBarColor() {
+        return this.definition.color;
+    }
+
+    /**
+     * Fill style for the health portion of the bar.
+     * @param {CanvasRenderingContext2D} _ctx
+     * @param {number} _x
+     * @param {number} _y
+     * @param {number} _width - Width of the filled portion
+     * @returns {string|CanvasGradient}
+     */
+    getHealthBarFill(_ctx, _x, _y, _width) {
+        return this.getHealthBarColor();
+    }
+
+    /**
+     * Extra layers over the health fill (shields).
+     * @param {CanvasRenderingContext2D} _ctx
+     * @param {number} _x
+     * @param {number} _y
+     * @param {number} _width
+     * @param {number} _height
+     */
+    drawHealthBarOverlay(_ctx, _x, _y, _width, _height) {}
+
+    /**
+     * Boss health bar shared by every boss: title, fill, phase threshold ticks,
+     * a countdown strip toward enrage, and one pip per phase below the bar.
+     * @param {CanvasRenderingContext2D} ctx
+     */
     drawBossHealthBar(ctx) {
+        if (!this.showHealthBar) return;
         const canvasWidth  = this.game.canvas.logicalWidth  || this.game.canvas.width;
         const canvasHeight = this.game.canvas.logicalHeight || this.game.canvas.height;
         const barWidth  = canvasWidth * 0.6;
         const barHeight = 22;
         const barX = (canvasWidth - barWidth) / 2;
         const barY = canvasHeight - 48;
-        const healthPercent = this.health / this.maxHealth;
+        const healthPercent = Math.max(0, this.health / this.maxHealth);
+        const color = this.enraged ? '#ff2244' : this.getHealthBarColor();
+
+        ctx.save();
 
         // Label above bar
-        ctx.fillStyle = '#ff00ff';
+        ctx.fillStyle = color;
         ctx.font = '11px "Press Start 2P", monospace';
         ctx.textAlign = 'center';
-        ctx.fillText('BOSS', canvasWidth / 2, barY - 6);
+        ctx.fillText(this.getHealthBarLabel(), canvasWidth / 2, barY - 6);
 
         // Background
         ctx.fillStyle = '#333';
         ctx.fillRect(barX, barY, barWidth, barHeight);
 
         // Health fill
-        ctx.fillStyle = '#ff00ff';
+        ctx.fillStyle = this.getHealthBarFill(ctx, barX, barY, barWidth * healthPercent);
         ctx.fillRect(barX, barY, barWidth * healthPercent, barHeight);
+        this.drawHealthBarOverlay(ctx, barX, barY, barWidth, barHeight);
+
+        // Phase thresholds
+        ctx.strokeStyle = '#fff';
+        ctx.lineWidth = 2;
+        for (let i = 1; i < this.phases.length; i++) {
+            const tickX = barX + barWidth * this.phases[i].threshold;
+            ctx.beginPath();
+            ctx.moveTo(tickX, barY);
+            ctx.lineTo(tickX, barY + barHeight);
+            ctx.stroke();
+        }
 
         // Border
-        ctx.strokeStyle = 'rgba(255, 0, 255, 0.7)';
+        ctx.strokeStyle = color;
         ctx.lineWidth = 1.5;
         ctx.strokeRect(barX, barY, barWidth, barHeight);
-    }
 
-}
+        // Enrage countdown
+        if (this.enrageTime && !this.enraged) {
+            ctx.fillStyle = 'rgba(255, 34, 68, 0.7)';
+            ctx.fillRect(barX, barY + barHeight + 2, barWidth * (this.enrageTimer / this.enrageTime), 3);
+        }
 
+        // Phase pips
+        if (this.phases.length > 1) {
+            const spacing = 14;
+            const startX = canvasWidth / 2 - ((this.phases.length - 1) * spacing) / 2;
+            const pipY = barY + barHeight + 12;
+            for (let i = 0; i < this.phases.length; i++) {
+                ctx.beginPath();
+                ctx.arc(startX + i * spacing, pipY, 3.5, 0, Math.PI * 2);
+                ctx.fillStyle = i <= this.phaseIndex ? color : '#333';
+                ctx.fill();
+                ctx.strokeStyle = color;
+                ctx.lineWidth = 1;
+                ctx.stroke();
+            }
+        }
+
+        ctx.restore();
+    }
+}
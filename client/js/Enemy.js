@@ -1,4 +1,7 @@
 import { MathUtils } from './utils/MathUtils.js';
+import { StatusEffects } from './enemies/StatusEffects.js';
+import { computeSteering } from './enemies/Steering.js';
+import { getEnemyColor, isHighContrast, strokeContrastPath, drawKindGlyph } from './utils/PaletteUtils.js';
 
 /**
  * Represents an enemy unit in the tower defense game.
@@ -34,6 +37,8 @@ export class Enemy {
         this.vy = 0; // Velocity Y component in pixels per second
         this.prevX = x; // Previous X position for velocity calculation
         this.prevY = y; // Previous Y position for velocity calculation
+        this.prevTickX = x; // Position at the start of the current simulation tick (render interpolation)
+        this.prevTickY = y;
         
         // Visual properties
         this.color = '#0ff'; // Main body color (cyan)
@@ -43,16 +48,42 @@ export class Enemy {
         // Status effects
         this.slowFactor = 1; // Movement speed multiplier (1 = normal, <1 = slowed)
         this._empSlowTimer = 0; // Remaining EMP slow duration (ms)
+        this.tauntTarget = null; // Decoy chased instead of the player while taunted
+        this._tauntTimer = 0; // Remaining taunt duration (ms)
+        this.knockbackResistance = 0; // Fraction of knockback ignored (0 = full push, 1 = immovable)
+
+        // Flanking squads circle the player before charging (set by the spawn formation)
+        this.orbitTimer = 0; // Remaining orbit time (ms)
+        this.orbitDirection = 1; // 1 = clockwise, -1 = counter-clockwise
+        this.orbitRadius = 0; // Distance kept from the player while orbiting
+
+        // Steering (see enemies/Steering.js)
+        /** @type {string|null} Profile name; null = the profile configured for this kind */
+        this.steeringProfile = null;
+        this.steeringSide = 0; // Flank/strafe side, fixed on first use
+        this.retreatTime = 0; // How long the current low-health retreat has lasted (ms)
+        this.moveSpeedMultiplier = 1; // Set by types that stop to aim or burst forward
+        /** @type {{x: number, y: number}|null} Fixed unit heading that replaces steering (dashes) */
+        this.lockedHeading = null;
         this.isBurning = false; // Whether enemy is currently affected by burn
+        this.statusEffects = new StatusEffects(this); // Timed debuffs (marked, stunned, ...), ticked by EntityManager
         
         // Death animation properties
         this.dying = false; // Whether enemy is in death animation
         this.deathTimer = 0; // Timer for death animation in milliseconds
         
-        // Enemy type identification
+        // Enemy type identification. Gameplay code tells types apart by `kind`,
+        // never by color: colors change with the accessibility palette.
+        /** @type {string} 'basic' | 'fast' | 'tank' | 'splitter' | 'healer' | 'sniper' | 'shieldBearer' | 'bomber' | 'summoner' | 'phaseShifter' | 'boss' | 'swarmBody' */
+        this.kind = 'basic';
         this.isBoss = false; // Whether this enemy is a boss type
         this.isSplitter = false; // Whether this enemy is a splitter type
         this.isHealer = false; // Whether this enemy is a healer type
+        this.isMinion = false; // Summoned by another enemy; worth less on kill
+        this.selfDestructed = false; // Removed without kill rewards (bomber detonation)
+        /** @type {import('./enemies/EliteAffixes.js').EliteAffixes|null} Affixes when spawned as an elite */
+        this.elite = null;
+        this.untargetable = false; // Ignored by targeting and projectiles (phase-shifter)
 
         /** @type {import('./Game.js').Game | null} */
         this.game = null;
@@ -79,31 +110,37 @@ export class Enemy {
             this.flashTimer -= delta;
         }
         
-        // Find direction vector towards player
-        const dx = player.x - this.x;
-        const dy = player.y - this.y;
-        const distance = MathUtils.distance(this.x, this.y, player.x, player.y);
+        // Taunted enemies chase the decoy instead of the player
+        if (this._tauntTimer > 0) {
+            this._tauntTimer -= delta;
+            if (this._tauntTimer <= 0) this.tauntTarget = null;
+        }
+        const target = this.tauntTarget || player;
+
+        const distance = MathUtils.distance(this.x, this.y, target.x, target.y);
         
-        // Move towards player using normalized direction vector
+        // Move along the steering direction (seek, separation, flocking, ... per profile)
         if (distance > 0) {
-            const normalizedDx = dx / distance;
-            const normalizedDy = dy / distance;
+            const direction = this.lockedHeading || computeSteering(this, target, distance, game, delta);
+            const directionX = direction.x;
+            const directionY = direction.y;
             
             const speedMultiplier = (game && game.modifierState && game.modifierState.enemySpeedMultiplier) ? game.modifierState.enemySpeedMultiplier : 1;
             // Apply global enemy slow from ascension Bullet Time plugin
             const globalSlow = (game && game.player && game.player.globalEnemySlow) ? (1 - game.player.globalEnemySlow) : 1;
             const pressureScale = game?.getPressureScale?.() || 1;
+            const statusSlow = this.statusEffects.getSpeedMultiplier();
 
             // Convert speed from pixels per second to pixels per frame
-            const actualSpeed = this.speed * pressureScale * speedMultiplier * globalSlow * this.slowFactor * (delta / 1000);
+            const actualSpeed = this.speed * this.moveSpeedMultiplier * pressureScale * speedMultiplier * globalSlow * this.slowFactor * statusSlow * (delta / 1000);
             
             // Store previous position for velocity calculation
             this.prevX = this.x;
             this.prevY = this.y;
             
             // Update position
-            this.x += normalizedDx * actualSpeed;
-            this.y += normalizedDy * actualSpeed;
+            this.x += directionX * actualSpeed;
+            this.y += directionY * actualSpeed;
             
             // Calculate velocity in pixels per second for predictive targeting
             const deltaSeconds = delta / 1000;
@@ -127,19 +164,57 @@ export class Enemy {
         } else {
             this.slowFactor = 1;
         }
+
+        if (this.elite) {
+            this.elite.update(delta, player, game);
+        }
         
         // Player collision is handled centrally by CollisionSystem
     }
     
+    /**
+     * Pushes the enemy directly away from a point, scaled by knockbackResistance.
+     * @param {number} fromX - Push origin X
+     * @param {number} fromY - Push origin Y
+     * @param {number} distance - Push distance in pixels
+     */
+    applyKnockback(fromX, fromY, distance) {
+        if (this.dying) return;
+        const dx = this.x - fromX;
+        const dy = this.y - fromY;
+        const length = Math.sqrt(dx * dx + dy * dy);
+        if (length === 0) return;
+
+        const push = distance * (1 - this.knockbackResistance);
+        this.x += (dx / length) * push;
+        this.y += (dy / length) * push;
+    }
+
+    /**
+     * Makes the enemy chase a decoy instead of the player.
+     * Taunting again before the timer runs out refreshes it.
+     * @param {{x: number, y: number}} target - Decoy position holder
+     * @param {number} duration - Taunt duration in milliseconds
+     */
+    taunt(target, duration) {
+        this.tauntTarget = target;
+        this._tauntTimer = duration;
+    }
+
     /**
      * Applies damage to the enemy and triggers visual feedback.
      * @param {number} amount - Amount of damage to deal
      * @param {unknown} [source] - Optional damage source metadata
      */
     takeDamage(amount, source = null) {
-        const damageTakenMultiplier = this.game?.getEnemyDamageTakenMultiplier?.() || 1;
+        const damageTakenMultiplier = (this.game?.getEnemyDamageTakenMultiplier?.() || 1)
+            * this.statusEffects.getDamageTakenMultiplier();
         const healthBefore = this.health;
-        const appliedDamage = amount * damageTakenMultiplier;
+        let appliedDamage = amount * damageTakenMultiplier;
+        if (this.elite) {
+            this.elite.onHit(source, appliedDamage);
+            appliedDamage = this.elite.absorbDamage(appliedDamage);
+        }
         this.health -= appliedDamage;
         this.game?.trace?.('enemy.damage', {
             enemyId: this.id,
@@ -174,14 +249,25 @@ export class Enemy {
         const healthPercent = this.health / this.maxHealth;
         const intensity = 0.5 + (healthPercent * 0.5);
         
-        // Flash effect when hit
-        let drawColor = this.color;
-        if (this.flashTimer > 0) {
+        const highContrast = isHighContrast(this.game);
+        const bodyColor = getEnemyColor(this.game, this.kind, this.color);
+        
+        // Flash effect when hit (reduced-motion mode thickens the outline instead
+        // of strobing the whole body white)
+        const reducedMotion = this.game?.runtimeSettings?.reducedMotion === true;
+        const hitFlash = this.flashTimer > 0;
+        let drawColor = bodyColor;
+        if (hitFlash && !reducedMotion) {
             drawColor = '#fff';
         }
         
+        // Elite aura sits under everything else
+        if (this.elite && !this.dying) {
+            this.elite.drawAura(ctx);
+        }
+
         // Fake glow: semi-transparent circle behind enemy body (replaces expensive shadowBlur)
-        ctx.fillStyle = this.glowColor;
+        ctx.fillStyle = getEnemyColor(this.game, this.kind, this.glowColor);
         ctx.globalAlpha = 0.25 * intensity;
         ctx.beginPath();
         ctx.arc(this.x, this.y, this.radius + 4, 0, Math.PI * 2);
@@ -223,7 +309,14 @@ export class Enemy {
         }
         ctx.closePath();
         ctx.fill();
-        ctx.stroke();
+        if (highContrast) {
+            // Black + white outline and a kind glyph so the type never depends on hue
+            strokeContrastPath(ctx, hitFlash && reducedMotion ? 3 : 2);
+            drawKindGlyph(ctx, this.kind, this.x, this.y, this.radius);
+        } else {
+            if (hitFlash && reducedMotion) ctx.lineWidth = 3;
+            ctx.stroke();
+        }
         
         // Draw health indicator
         if (healthPercent < 1 && !this.dying) {
@@ -239,6 +332,10 @@ export class Enemy {
             ctx.fillStyle = healthPercent > 0.5 ? '#0f0' : '#f80';
             ctx.fillRect(this.x - barWidth/2, barY, barWidth * healthPercent, barHeight);
         }
+
+        if (this.elite && !this.dying) {
+            this.elite.drawNamePlate(ctx);
+        }
         
         // Draw slow effect if slowed
         if (this.slowFactor < 1 && !this.dying) {
@@ -250,6 +347,8 @@ export class Enemy {
             ctx.arc(this.x, this.y, this.radius + 5, 0, Math.PI * 2);
             ctx.stroke();
         }
+
+        this.statusEffects.draw(ctx);
         
         if (needsTransform) {
             ctx.restore();
@@ -1,6 +1,7 @@
 import { Player } from "./Player.js";
 import { Particle } from "./Particle.js";
 import { Projectile } from "./Projectile.js";
+import { createAllyFromSave } from "./allies/AllyFactory.js";
 import { GameConfig } from "./config/GameConfig.js";
 import { ObjectPool } from "./utils/ObjectPool.js";
 import { PerformanceManager } from "./managers/PerformanceManager.js";
@@ -14,25 +15,35 @@ import { LootSystem } from "./systems/LootSystem.js";
 import { AchievementSystem } from "./systems/AchievementSystem.js";
 import { ChallengeSystem } from "./systems/ChallengeSystem.js";
 import { AscensionSystem } from "./systems/AscensionSystem.js";
+import { BossRushSystem } from "./systems/BossRushSystem.js";
+import { ArenaFeatureSystem } from "./systems/ArenaFeatureSystem.js";
+import { DEFAULT_WAVE_SET, BOSS_RUSH_WAVE_SET, BOSS_ROSTER } from "./config/WaveConfig.js";
+import { DEFAULT_ARENA_LAYOUT } from "./config/ArenaConfig.js";
+import {
+	isArenaLayout,
+	getArenaGeometry,
+	clampToArena,
+	getPlayerStart,
+	getSpawnPointPosition,
+	traceArenaShape,
+} from "./systems/ArenaLayouts.js";
 import { getMilestoneForWave, isMiniMilestone } from "./config/MilestoneConfig.js";
-import { LEVEL_CONFIG } from "./config/SkillConfig.js";
+import { LEVEL_CONFIG, ASCENSION_POOL } from "./config/SkillConfig.js";
 import { GameEventBus } from "./skills/GameEventBus.js";
 import { SkillEffectEngine } from "./skills/SkillEffectEngine.js";
 import { SKILL_PLUGIN_REGISTRY } from "./skills/registry.js";
-import { playSFX } from "./main.js";
-import { voiceManager } from "./managers/VoiceManager.js";
-import { vfxHelper } from "./managers/VFXHelper.js";
-const createFloatingText = vfxHelper.createFloatingText.bind(vfxHelper);
-const screenFlash = vfxHelper.screenFlash.bind(vfxHelper);
-import { skillUI } from "./ui/SkillUIController.js";
-const showLevelUpPanel = () => skillUI.showLevelUpPanel();
-const showAscensionPanel = () => skillUI.showAscensionPanel();
-const closeAllSkillOverlays = () => skillUI.closeAll();
+import { playSFX, voice, vfx, hud, dom, telemetryAdapter as telemetry, persistence } from "./managers/RuntimeAdapters.js";
+const createFloatingText = vfx.createFloatingText;
+const screenFlash = vfx.screenFlash;
+const showLevelUpPanel = hud.showLevelUpPanel;
+const showAscensionPanel = hud.showAscensionPanel;
+const closeAllSkillOverlays = hud.closeSkillOverlays;
 import { ProgressionManager } from "./managers/ProgressionManager.js";
-import { saveStateManager } from "./managers/SaveStateManager.js";
-import { telemetry } from "./managers/TelemetryManager.js";
 import { MathUtils } from "./utils/MathUtils.js";
-import { submitScore, buildRunDetails, requestGameSession } from "./services/ScoreSubmitter.js";
+import { RngService, cosmeticRng } from "./utils/SeededRandom.js";
+import { buildRunDetails } from "./services/ScoreSubmitter.js";
+import { ReplayRecorder } from "./replay/ReplayRecorder.js";
+import { REPLAY_COMMANDS, REPLAY_CHECKPOINT_INTERVAL, hashReplayState } from "./replay/ReplayFormat.js";
 
 // ── State System ────────────────────────────────────────────────────────────
 import { createStateSystem, ActionTypes, GameFSM } from "./state/index.js";
@@ -41,10 +52,28 @@ import { syncPlayerStats } from "./state/ComputedStats.js";
 const DEFAULT_RUNTIME_SETTINGS = {
 	screenShakeEnabled: true,
 	performanceModeEnabled: false,
+	colorPalette: 'default',
+	highContrast: false,
+	reducedMotion: false,
 };
 
+/** Pre-wave countdown labels, one per WAVE_COUNTDOWN_STEP_MS; the wave starts on the last. */
+const WAVE_COUNTDOWN_SEQUENCE = ['3', '2', '1', 'GO'];
+const WAVE_COUNTDOWN_STEP_MS = 1000;
+/** How long "GO" stays on screen after the wave starts */
+const WAVE_COUNTDOWN_GO_LINGER_MS = 450;
+
+/** Input frame used by step() when no input is supplied (no keys held, mouse idle). */
+const EMPTY_INPUT_FRAME = Object.freeze({ keys: Object.freeze({}), mouseX: 0, mouseY: 0, mouseDown: false });
+
+/** Squared distance above which render interpolation snaps instead of lerping (teleports, splits). */
+const INTERPOLATION_SNAP_DIST_SQ = 120 * 120;
+
 const DEFAULT_RUN_DIFFICULTY = "normal";
+const AIM_MODE_VALUES = new Set(Object.values(GameConfig.CONTROLS.AIM_MODES));
 const RUN_DIFFICULTY_VALUES = new Set(["easy", "normal", "hard"]);
+const DEFAULT_RUN_MODE = "standard";
+const RUN_MODE_VALUES = new Set(["standard", "boss_rush"]);
 
 /**
  * Main game class - now focused on coordination between systems rather than direct management.
@@ -124,9 +153,16 @@ export class Game {
 
 	/**
 	 * Creates a new game instance and initializes all subsystems.
+	 * @param {HTMLCanvasElement|Object} canvas - Game canvas (any object with width/height when headless)
+	 * @param {CanvasRenderingContext2D|null} ctx - 2D context; may be null when headless
+	 * @param {Object} [options]
+	 * @param {boolean} [options.headless=false] - Simulation only: no rendering, no debug tooling
 	 */
-	constructor(canvas, ctx) {
-		if (!canvas || !ctx) {
+	constructor(canvas, ctx, options = {}) {
+		/** @type {boolean} Simulation-only run (Node, replay verification, balance sims) */
+		this.headless = options.headless === true;
+
+		if (!canvas || (!ctx && !this.headless)) {
 			throw new Error("Canvas and context are required");
 		}
 
@@ -134,7 +170,9 @@ export class Game {
 		this.ctx = ctx;
 
 		// ── State System (FSM + Store + Dispatcher) ──
-		const { store, fsm, dispatcher, snapshot, devTools } = createStateSystem();
+		const { store, fsm, dispatcher, snapshot, devTools } = createStateSystem(
+			this.headless ? { debug: false, logging: false } : {}
+		);
 		/** @type {import('./state/GameStore.js').GameStore} */
 		this.store = store;
 		/** @type {import('./state/GameFSM.js').GameFSM} */
@@ -161,11 +199,11 @@ export class Game {
 	}
 
 	_initializeDebugTrace() {
-		const params = new URLSearchParams(window.location.search);
+		const params = new URLSearchParams(globalThis.location?.search);
 		this.traceEnabled = params.get("trace") === "true";
 		this._traceSeq = 0;
 		this._traceFrame = 0;
-		window.__NEON_TRACE_ENABLED__ = this.traceEnabled;
+		globalThis.__NEON_TRACE_ENABLED__ = this.traceEnabled;
 		if (this.traceEnabled) {
 			console.info("[TRACE] enabled (?trace=true)");
 		}
@@ -189,6 +227,8 @@ export class Game {
 		this.player = null;
 		this.enemies = [];
 		this.projectiles = [];
+		/** @type {Array<import('./Ally.js').Ally>} Engineer turrets and drones */
+		this.allies = [];
 		this.particles = [];
 	}
 
@@ -211,6 +251,26 @@ export class Game {
 		this._initializeObjectPools();
 		this.runtimeSettings = { ...DEFAULT_RUNTIME_SETTINGS };
 		this.runDifficulty = DEFAULT_RUN_DIFFICULTY;
+		/** @type {string} Game mode: 'standard' (wave campaign) or 'boss_rush' */
+		this.runMode = DEFAULT_RUN_MODE;
+		/** @type {string} Arena layout (config/ArenaConfig.js ARENA_LAYOUTS key) */
+		this.arenaLayout = DEFAULT_ARENA_LAYOUT;
+		/** @type {import('./systems/ArenaLayouts.js').ArenaGeometry|null} Layout sized for the canvas; see getArenaGeometry() */
+		this._arenaGeometry = null;
+		/** @type {string} Control scheme (GameConfig.CONTROLS.AIM_MODES) */
+		this.aimMode = GameConfig.CONTROLS.AIM_MODES.AUTO;
+		/** @type {RngService} Seeded gameplay randomness — reseeded on every start() */
+		this.rng = new RngService();
+		/** @type {number|null} Seed to use for the next start(); null = generate one */
+		this._pendingRunSeed = null;
+		/** @type {Object|null} Challenge rules for the next start() (see setRunChallenge) */
+		this._pendingChallenge = null;
+		/** @type {Object|null} Daily/weekly challenge the current run belongs to */
+		this.runChallenge = null;
+		/** @type {ReplayRecorder} Per-tick input recording of the current run */
+		this.replayRecorder = new ReplayRecorder();
+		/** @type {Object|null} Skill state when the level-up panel opened (for revertSkillAllocation) */
+		this._allocationCheckpoint = null;
 	}
 
 	/**
@@ -227,6 +287,8 @@ export class Game {
 		this.achievementSystem = new AchievementSystem(this);
 		this.challengeSystem = new ChallengeSystem(this);
 		this.ascensionSystem = new AscensionSystem(this);
+		this.bossRushSystem = new BossRushSystem(this);
+		this.arenaFeatureSystem = new ArenaFeatureSystem(this);
 
 		// Skill plugin system
 		this.eventBus = new GameEventBus();
@@ -294,11 +356,12 @@ export class Game {
 	_initializeGameState() {
 		this.wave = 0;
 		this.score = 0;
+		/** @type {number} Fixed simulation ticks elapsed in the current run (see step()) */
+		this.tick = 0;
 		// XP/level now owned by skillManager; keep accessors for compatibility
 		this._waveStartTime = 0;
-		this._waveCountdownTimeouts = [];
-		/** @type {Function|null} Saved onGo callback when countdown is interrupted by pause */
-		this._pendingCountdownOnGo = null;
+		/** @type {{elapsed: number, index: number, onGo: Function|null}|null} Pre-wave countdown, advanced by simulation time */
+		this._waveCountdown = null;
 
 		/** @type {string|null} Continue token pending redemption after wave starts */
 		this._pendingContinueToken = null;
@@ -307,55 +370,72 @@ export class Game {
 		this.debugHitboxes = false;
 	}
 
-	_clearWaveCountdownTimeouts() {
-		for (const timeoutId of this._waveCountdownTimeouts) {
-			clearTimeout(timeoutId);
+	_clearWaveCountdown() {
+		if (this._waveCountdown) {
+			hud.getWaveCountdown()?.hide();
 		}
-		this._waveCountdownTimeouts = [];
+		this._waveCountdown = null;
 	}
 
 	_setCountdownDisplay(label, isGo = false) {
-		const cd = document.querySelector('wave-countdown');
+		const cd = hud.getWaveCountdown();
 		if (!cd) return;
 		cd.setText(label);
 		cd.setGo(isGo);
 		cd.restartAnimation();
 	}
 
+	/**
+	 * Start the 3-2-1-GO countdown; `onGo` starts the wave. The countdown runs
+	 * on simulation time (see _updateWaveCountdown) so the wave always begins
+	 * on the same tick — headless runs and replays depend on it. It freezes
+	 * naturally while paused.
+	 * @param {Function} onGo
+	 * @private
+	 */
 	_runWaveCountdown(onGo) {
-		const cd = document.querySelector('wave-countdown');
-		if (!cd) {
-			onGo();
-			return;
-		}
-
-		this._clearWaveCountdownTimeouts();
-		this._pendingCountdownOnGo = onGo;
-		const sequence = ['3', '2', '1', 'GO'];
-		let index = 0;
+		this._waveCountdown = { elapsed: 0, index: 0, onGo };
+		hud.getWaveCountdown()?.show();
+		this._setCountdownDisplay(WAVE_COUNTDOWN_SEQUENCE[0], false);
+		playSFX('ui_countdown_tick');
+	}
 
-		cd.show();
+	/**
+	 * Advance the pre-wave countdown by one simulation step.
+	 * @param {number} delta
+	 * @private
+	 */
+	_updateWaveCountdown(delta) {
+		const countdown = this._waveCountdown;
+		if (!countdown) return;
 
-		const runStep = () => {
-			const current = sequence[index];
-			const isGo = current === 'GO';
-			this._setCountdownDisplay(current, isGo);
+		countdown.elapsed += delta;
+		const goIndex = WAVE_COUNTDOWN_SEQUENCE.length - 1;
 
-			if (isGo) {
-				this._pendingCountdownOnGo = null;
-				onGo();
-				const hideId = setTimeout(() => cd.hide(), 450);
-				this._waveCountdownTimeouts.push(hideId);
-				return;
+		// Linger on "GO" briefly after the wave has started
+		if (countdown.index === goIndex) {
+			if (countdown.elapsed >= WAVE_COUNTDOWN_GO_LINGER_MS) {
+				this._clearWaveCountdown();
 			}
+			return;
+		}
 
-			playSFX('ui_countdown_tick');
-			index += 1;
-			const nextId = setTimeout(runStep, 1000);
-			this._waveCountdownTimeouts.push(nextId);
-		};
+		if (countdown.elapsed < WAVE_COUNTDOWN_STEP_MS) return;
+		countdown.elapsed -= WAVE_COUNTDOWN_STEP_MS;
+		countdown.index += 1;
+
+		const label = WAVE_COUNTDOWN_SEQUENCE[countdown.index];
+		const isGo = countdown.index === goIndex;
+		this._setCountdownDisplay(label, isGo);
 
-		runStep();
+		if (isGo) {
+			const onGo = countdown.onGo;
+			countdown.onGo = null;
+			countdown.elapsed = 0;
+			onGo?.();
+		} else {
+			playSFX('ui_countdown_tick');
+		}
 	}
 
 	// Shop system removed — progression is now skill-based via SkillManager
@@ -364,17 +444,15 @@ export class Game {
 	 * Initialize the game world and create the player.
 	 */
 	init() {
-		const { width: logicalWidth, height: logicalHeight } = this.getLogicalCanvasSize();
-		
-		const centerX = logicalWidth / 2;
-		const centerY = logicalHeight / 2;
-		this.player = new Player(centerX, centerY);
+		const start = getPlayerStart(this.getArenaGeometry());
+		this.player = new Player(start.x, start.y);
 		this.applyResponsiveEntityScale();
 
 		// Pre-render static background grid to an offscreen canvas
 		this._gridCanvas = null;
 		this._gridWidth = 0;
 		this._gridHeight = 0;
+		this._gridLayout = null;
 		this._rebuildGridCanvas();
 
 		// Pre-allocate reusable tick payload to avoid per-frame allocation
@@ -407,6 +485,47 @@ export class Game {
 		return Math.max(0.2, Math.min(widthScale, heightScale));
 	}
 
+	/**
+	 * The run's arena layout sized for the current canvas.
+	 * @returns {import('./systems/ArenaLayouts.js').ArenaGeometry}
+	 */
+	getArenaGeometry() {
+		const { width, height } = this.getLogicalCanvasSize();
+		const cached = this._arenaGeometry;
+		if (!cached || cached.id !== this.arenaLayout || cached.width !== width || cached.height !== height) {
+			this._arenaGeometry = getArenaGeometry(this.arenaLayout, width, height);
+		}
+		return this._arenaGeometry;
+	}
+
+	/**
+	 * Keep an entity inside the arena layout's play area.
+	 * @param {{x: number, y: number, radius: number}} entity - Moved in place
+	 */
+	clampToArena(entity) {
+		clampToArena(this.getArenaGeometry(), entity);
+	}
+
+	/**
+	 * Where a spawn rolled on the spawn circle actually appears. Classic
+	 * arenas use the circle itself; other layouts move it to their nearest
+	 * spawn point.
+	 * @param {number} angle
+	 * @param {number} radius - Distance from the center (the spawn radius, or more for deeper squads)
+	 * @returns {{x: number, y: number}}
+	 */
+	getSpawnPosition(angle, radius) {
+		const geometry = this.getArenaGeometry();
+		if (!geometry.layout.spawns) {
+			return {
+				x: geometry.centerX + Math.cos(angle) * radius,
+				y: geometry.centerY + Math.sin(angle) * radius,
+			};
+		}
+		const spread = GameConfig.ARENA_LAYOUT.SPAWN_POINT_SPREAD * this.getArenaScale();
+		return getSpawnPointPosition(geometry, angle, radius, spread);
+	}
+
 	getReferenceSpawnRadius() {
 		return Math.max(GameConfig.CANVAS.MAX_WIDTH, GameConfig.CANVAS.MAX_HEIGHT) / 2 + GameConfig.ENEMY.SPAWN_MARGIN;
 	}
@@ -444,14 +563,44 @@ export class Game {
 	 * Start a new game session.
 	 */
 	start() {
+		// A challenge fixes the seed, difficulty and arena for everyone playing it
+		this.runChallenge = this._pendingChallenge;
+		this._pendingChallenge = null;
+		if (this.runChallenge) {
+			this.setRunDifficulty(this.runChallenge.difficulty);
+			this.runMode = DEFAULT_RUN_MODE;
+			this.arenaLayout = DEFAULT_ARENA_LAYOUT;
+		}
+
+		// Fresh world every run (player position included) so a replay starts where its run did
+		this.init();
+		this.waveManager.setWaveSet(this.isBossRush() ? BOSS_RUSH_WAVE_SET : DEFAULT_WAVE_SET);
+
+		// Seed every gameplay stream before any system rolls
+		const seed = this.runChallenge?.seed ?? this._pendingRunSeed ?? RngService.generateSeed();
+		this._pendingRunSeed = null;
+		this.rng.reseed(seed);
+
 		// Dispatch GAME_START to reset all store slices
-		this.dispatcher.dispatch({ type: ActionTypes.GAME_START, payload: {} });
+		this.dispatcher.dispatch({ type: ActionTypes.GAME_START, payload: { seed: this.rng.seed, aimMode: this.aimMode, arena: this.arenaLayout } });
+
+		this.replayRecorder.begin({
+			seed: this.rng.seed,
+			difficulty: this.runDifficulty,
+			arena: this.getLogicalCanvasSize(),
+			challenge: this.runChallenge && this._getReplayChallenge(),
+			aimMode: this.aimMode,
+			mode: this.runMode,
+			layout: this.arenaLayout,
+		});
 
 		this.gameState = "playing";
 		this.wave = 1;
 		this.score = 0;
+		this.tick = 0;
 		this.enemies = [];
 		this.projectiles = [];
+		this.allies = [];
 		this.particles = [];
 		this._gameOverTracked = false;
 		this._lastRunResult = null;
@@ -460,7 +609,7 @@ export class Game {
 		this._saveLoadWave = null;
 
 		// Request a game session for anti-cheat score signing (non-blocking)
-		requestGameSession();
+		persistence.requestGameSession();
 
 		this.player.reset();
 		this.skillManager.reset();
@@ -474,25 +623,42 @@ export class Game {
 		this.lootSystem.resetForRun();
 		this.achievementSystem.resetForRun();
 		this.challengeSystem.selectChallenges();
+		this.bossRushSystem.reset();
+		this.arenaFeatureSystem.reset();
+		if (this.runChallenge) {
+			this._grantStartingAscensions(this.runChallenge.startingAscensions);
+		}
+		if (this.isBossRush()) {
+			this._grantStartingLevels(GameConfig.BOSS_RUSH.STARTING_LEVEL);
+			const ascensions = this.rng.ascension.shuffle([...ASCENSION_POOL]);
+			this._grantStartingAscensions(ascensions.slice(0, GameConfig.BOSS_RUSH.STARTING_ASCENSIONS).map(mod => mod.id));
+		}
 
 		// Sync player with initial skill/attribute state (via ComputedStats)
 		this._syncPlayerFromSkills();
 
-		this._runWaveCountdown(() => {
-			this._waveStartTime = performance.now();
-			this.challengeSystem.onWaveStart();
-			this.waveManager.startWave(this.wave);
+		if (this.isBossRush()) {
+			// Spend the starting skill points first; continueToNextWave() brings in the first boss
+			this.wave = 0;
+			this.gameState = Game.STATES.POWERUP;
+			this._openLevelUpPanel();
+		} else {
+			this._runWaveCountdown(() => {
+				this._waveStartTime = this.getSimTime();
+				this.challengeSystem.onWaveStart();
+				this.waveManager.startWave(this.wave);
 
-			// Dispatch WAVE_START to store
-			this.dispatcher.dispatch({
-				type: ActionTypes.WAVE_START,
-				payload: {
-					wave: this.wave,
-					enemiesToSpawn: this.waveManager.enemiesToSpawn,
-					isBoss: this.waveManager.isBossWave,
-				},
+				// Dispatch WAVE_START to store
+				this.dispatcher.dispatch({
+					type: ActionTypes.WAVE_START,
+					payload: {
+						wave: this.wave,
+						enemiesToSpawn: this.waveManager.enemiesToSpawn,
+						isBoss: this.waveManager.isBossWave,
+					},
+				});
 			});
-		});
+		}
 
 		// Dispatch difficulty
 		this.dispatcher.dispatch({
@@ -511,7 +677,6 @@ export class Game {
 	 * Restart the current game session.
 	 */
 	restart() {
-		this.init();
 		this.start();
 	}
 
@@ -548,6 +713,8 @@ export class Game {
 				},
 			});
 
+			this.replayRecorder.finish(this._getReplayResult(this.tick));
+
 			telemetry.track('victory', {
 				wave: this.wave,
 				score: this.score,
@@ -571,6 +738,7 @@ export class Game {
 	skipToWave(targetWave) {
 		if (typeof targetWave !== 'number' || targetWave < 1) return;
 		if (this.gameState !== 'playing' && this.gameState !== 'paused') return;
+		this.replayRecorder.recordCommand(this.tick, REPLAY_COMMANDS.SKIP_WAVE, targetWave);
 
 		// Clear current battlefield
 		this.enemies.length = 0;
@@ -582,14 +750,15 @@ export class Game {
 		this.gameState = 'playing';
 
 		// Reset and reconfigure wave manager for new wave
-		this._clearWaveCountdownTimeouts();
+		this._clearWaveCountdown();
 		this.waveManager.reset();
 		this.waveManager.setDifficulty(this.runDifficulty);
 
 		// Run countdown then start the wave with proper store dispatch
 		this._runWaveCountdown(() => {
-			this._waveStartTime = performance.now();
+			this._waveStartTime = this.getSimTime();
 			this.challengeSystem.onWaveStart();
+			this.bossRushSystem.onWaveStart();
 			this.waveManager.startWave(targetWave);
 
 			this.dispatcher.dispatch({
@@ -604,6 +773,8 @@ export class Game {
 	}
 
 	continueToEndless() {
+		this.replayRecorder.resume();
+		this.replayRecorder.recordCommand(this.tick, REPLAY_COMMANDS.ENDLESS);
 		this._endlessMode = true;
 		this._gameOverTracked = false;
 		this.wave++;
@@ -615,7 +786,7 @@ export class Game {
 		});
 
 		this._runWaveCountdown(() => {
-			this._waveStartTime = performance.now();
+			this._waveStartTime = this.getSimTime();
 			this.challengeSystem.onWaveStart();
 			this.waveManager.startWave(this.wave);
 
@@ -630,6 +801,63 @@ export class Game {
 		});
 	}
 
+	/**
+	 * Use a fixed seed for the next start() instead of a random one.
+	 * @param {number|null} seed - 32-bit seed, or null to clear
+	 */
+	setRunSeed(seed) {
+		this._pendingRunSeed = Number.isFinite(seed) ? seed >>> 0 : null;
+	}
+
+	/**
+	 * Play the next start() as a daily/weekly challenge: the challenge's seed
+	 * and difficulty replace the player's, wave modifiers only roll from its
+	 * pool and its starting ascensions are granted before wave 1.
+	 * @param {{id: string, kind?: string, seed: number, difficulty: string, waveModifiers?: string[], startingAscensions?: string[], attempt?: number|null}|null} challenge
+	 */
+	setRunChallenge(challenge) {
+		this._pendingChallenge = challenge
+			? {
+				id: challenge.id,
+				kind: challenge.kind || null,
+				seed: challenge.seed >>> 0,
+				difficulty: challenge.difficulty,
+				waveModifiers: (challenge.waveModifiers || []).filter((key) => GameConfig.WAVE_MODIFIERS[key]),
+				startingAscensions: [...(challenge.startingAscensions || [])],
+				attempt: challenge.attempt ?? null,
+			}
+			: null;
+	}
+
+	/**
+	 * Challenge rules as stored in a replay header (attempt numbers are per-user, so dropped).
+	 * @returns {Object}
+	 * @private
+	 */
+	_getReplayChallenge() {
+		const { attempt: _attempt, ...rules } = this.runChallenge;
+		return rules;
+	}
+
+	/**
+	 * Grant a challenge's starting ascensions and equip their plugins.
+	 * @param {string[]} modifierIds
+	 * @private
+	 */
+	_grantStartingAscensions(modifierIds) {
+		for (const modifierId of modifierIds) {
+			if (!this.ascensionSystem.grantModifier(modifierId)) continue;
+			const mod = this.ascensionSystem.activeModifiers.find(m => m.id === modifierId);
+			if (this.skillEffectEngine.hasPlugin(modifierId)) {
+				this.skillEffectEngine.equipSkill(modifierId, 1, mod);
+			}
+			this.dispatcher.dispatch({
+				type: ActionTypes.ASCENSION_SELECT,
+				payload: { modifier: mod },
+			});
+		}
+	}
+
 	setRunDifficulty(difficulty = DEFAULT_RUN_DIFFICULTY) {
 		const normalizedDifficulty = RUN_DIFFICULTY_VALUES.has(difficulty)
 			? difficulty
@@ -642,6 +870,127 @@ export class Game {
 		return this.runDifficulty;
 	}
 
+	/**
+	 * Pick the game mode for the next start(). Challenges always play as
+	 * standard runs.
+	 * @param {string} mode - 'standard' or 'boss_rush'
+	 */
+	setRunMode(mode = DEFAULT_RUN_MODE) {
+		this.runMode = RUN_MODE_VALUES.has(mode) ? mode : DEFAULT_RUN_MODE;
+	}
+
+	getRunMode() {
+		return this.runMode;
+	}
+
+	/**
+	 * Pick the arena layout for the next start(). Challenges always play on
+	 * the classic arena.
+	 * @param {string} layout - config/ArenaConfig.js ARENA_LAYOUTS key
+	 */
+	setArenaLayout(layout = DEFAULT_ARENA_LAYOUT) {
+		this.arenaLayout = isArenaLayout(layout) ? layout : DEFAULT_ARENA_LAYOUT;
+	}
+
+	/** @returns {string} The run's arena layout key */
+	getArenaLayout() {
+		return this.arenaLayout;
+	}
+
+	/** @returns {boolean} Whether this run is Boss Rush (every boss back-to-back) */
+	isBossRush() {
+		return this.runMode === "boss_rush";
+	}
+
+	/**
+	 * Whether this run writes save checkpoints. Only the standard wave
+	 * campaign does: a resumed run is always a standard run, so a Boss Rush or
+	 * challenge checkpoint would turn into one (keeping the challenge's free
+	 * starting ascensions on the standard board).
+	 * @returns {boolean}
+	 */
+	savesCheckpoints() {
+		return !this.isBossRush() && !this.runChallenge;
+	}
+
+	/**
+	 * Level up to `level` before play starts. Bypasses addXP() so the XP
+	 * multiplier and the level-up fanfare don't apply.
+	 * @param {number} level
+	 * @private
+	 */
+	_grantStartingLevels(level) {
+		let amount = -this.skillManager.xp;
+		for (let l = this.skillManager.level; l < level; l++) {
+			amount += LEVEL_CONFIG.getXPForLevel(l);
+		}
+		if (amount <= 0) return;
+		this.skillManager.addXP(amount);
+		this.dispatcher.dispatch({ type: ActionTypes.XP_ADD, payload: { amount } });
+	}
+
+	/**
+	 * Switch the control scheme. Can change mid-run; the switch is recorded so
+	 * replays and the leaderboard entry know every scheme the run used.
+	 * @param {string} mode - One of GameConfig.CONTROLS.AIM_MODES
+	 */
+	setAimMode(mode) {
+		const normalizedMode = AIM_MODE_VALUES.has(mode) ? mode : GameConfig.CONTROLS.AIM_MODES.AUTO;
+		if (normalizedMode === this.aimMode) return;
+		this.aimMode = normalizedMode;
+		if (this.player) this.player.lockedTarget = null;
+
+		if (this.gameState === Game.STATES.PLAYING || this.gameState === Game.STATES.PAUSED) {
+			this.replayRecorder.recordCommand(this.tick, REPLAY_COMMANDS.AIM_MODE, normalizedMode);
+			this.dispatcher.dispatch({
+				type: ActionTypes.SET_AIM_MODE,
+				payload: { aimMode: normalizedMode },
+			});
+		}
+	}
+
+	/**
+	 * Quantized direction from the player to a point in logical canvas
+	 * coordinates — the form manual aim takes in an input frame.
+	 * @param {number} x
+	 * @param {number} y
+	 * @returns {number} Direction index in [0, GameConfig.CONTROLS.AIM_DIRECTIONS)
+	 */
+	getAimDirection(x, y) {
+		const steps = GameConfig.CONTROLS.AIM_DIRECTIONS;
+		const angle = Math.atan2(y - this.player.y, x - this.player.x);
+		return ((Math.round(angle / (Math.PI * 2) * steps) % steps) + steps) % steps;
+	}
+
+	/**
+	 * Hybrid aim: lock auto-aim onto the enemy under a click, or release the
+	 * lock when the click misses. Ignored in the other schemes.
+	 * @param {number} x - Logical canvas X
+	 * @param {number} y - Logical canvas Y
+	 */
+	lockTargetAt(x, y) {
+		if (this.aimMode !== GameConfig.CONTROLS.AIM_MODES.HYBRID || !this.player) return;
+		x = Math.round(x);
+		y = Math.round(y);
+
+		let target = null;
+		let nearestDistSq = Infinity;
+		for (const enemy of this.enemies) {
+			if (enemy.dying || enemy.health <= 0) continue;
+			const dx = enemy.x - x;
+			const dy = enemy.y - y;
+			const distSq = dx * dx + dy * dy;
+			const reach = enemy.radius + GameConfig.CONTROLS.TARGET_LOCK_PADDING;
+			if (distSq <= reach * reach && distSq < nearestDistSq) {
+				nearestDistSq = distSq;
+				target = enemy;
+			}
+		}
+
+		this.player.lockedTarget = target;
+		this.replayRecorder.recordCommand(this.tick, REPLAY_COMMANDS.LOCK_TARGET, x, y);
+	}
+
 	setRuntimeSettings(settings = {}) {
 		this.runtimeSettings = {
 			...this.runtimeSettings,
@@ -658,11 +1007,9 @@ export class Game {
 		this.particles = [];
 		// Clear any pooled particles
 		this.particlePool.clear();
-		// Stop in-progress wave countdown so it doesn't fire while paused
-		if (this._waveCountdownTimeouts.length > 0) {
-			this._clearWaveCountdownTimeouts();
-			const cd = document.querySelector('wave-countdown');
-			cd?.hide();
+		// Hide an in-progress wave countdown; it resumes where it left off
+		if (this._waveCountdown) {
+			hud.getWaveCountdown()?.hide();
 		}
 	}
 
@@ -671,11 +1018,8 @@ export class Game {
 	 */
 	resume() {
 		this.gameState = "playing";
-		// Restart the countdown if one was running when we paused
-		if (this._pendingCountdownOnGo) {
-			const cb = this._pendingCountdownOnGo;
-			this._pendingCountdownOnGo = null;
-			this._runWaveCountdown(cb);
+		if (this._waveCountdown) {
+			hud.getWaveCountdown()?.show();
 		}
 	}
 
@@ -688,6 +1032,7 @@ export class Game {
 		const prevHeightRaw = Number(previousSize?.height);
 		const prevWidth = Number.isFinite(prevWidthRaw) && prevWidthRaw > 0 ? prevWidthRaw : logicalWidth;
 		const prevHeight = Number.isFinite(prevHeightRaw) && prevHeightRaw > 0 ? prevHeightRaw : logicalHeight;
+		this.replayRecorder.recordCommand(this.tick, REPLAY_COMMANDS.RESIZE, logicalWidth, logicalHeight, prevWidth, prevHeight);
 		
 		const centerX = logicalWidth / 2;
 		const centerY = logicalHeight / 2;
@@ -696,9 +1041,8 @@ export class Game {
 			// Scale player position proportionally to new canvas size
 			this.player.x = (this.player.x / prevWidth) * logicalWidth;
 			this.player.y = (this.player.y / prevHeight) * logicalHeight;
-			// Clamp to canvas bounds
-			this.player.x = Math.max(this.player.radius, Math.min(logicalWidth - this.player.radius, this.player.x));
-			this.player.y = Math.max(this.player.radius, Math.min(logicalHeight - this.player.radius, this.player.y));
+			// Keep it inside the arena
+			this.clampToArena(this.player);
 		}
 
 		this.applyResponsiveEntityScale();
@@ -730,8 +1074,76 @@ export class Game {
 		});
 	}
 
+	/**
+	 * Advance the simulation by exactly one fixed tick (GameConfig.LOOP.FIXED_STEP_MS).
+	 *
+	 * Never reads the canvas context or live DOM input — the caller supplies a
+	 * plain input frame, so the same sequence of frames can be driven by the
+	 * browser loop, a replay, or a headless runner.
+	 *
+	 * In manual aim the frame also carries `aimDirection` (see getAimDirection)
+	 * and `mouseDown` holds the trigger. `moveX`/`moveY` carry analog movement
+	 * in ±GameConfig.CONTROLS.MOVE_STEPS.
+	 *
+	 * @param {{keys?: Object<string, boolean>, mouseX?: number, mouseY?: number, mouseDown?: boolean, aimDirection?: number, moveX?: number, moveY?: number}} [inputFrame]
+	 * @returns {number} Number of gameplay ticks simulated so far this run
+	 */
+	step(inputFrame = EMPTY_INPUT_FRAME) {
+		const simulating = this.gameState === "playing";
+		if (simulating) {
+			this.replayRecorder.recordInput(this.tick, inputFrame, this.aimMode === GameConfig.CONTROLS.AIM_MODES.MANUAL);
+		}
+		this._capturePreviousPositions();
+		this.update(GameConfig.LOOP.FIXED_STEP_MS, inputFrame);
+		if (simulating) {
+			this.tick += 1;
+			if (this.replayRecorder.active && this.tick % REPLAY_CHECKPOINT_INTERVAL === 0) {
+				this.replayRecorder.recordCheckpoint(this.tick, hashReplayState(this));
+			}
+		}
+		return this.tick;
+	}
+
+	/**
+	 * Simulation clock in milliseconds (ticks simulated this run × fixed step).
+	 * Gameplay timers must use this instead of Date.now()/performance.now() so
+	 * headless and replayed runs behave identically to real-time play.
+	 * @returns {number}
+	 */
+	getSimTime() {
+		return this.tick * GameConfig.LOOP.FIXED_STEP_MS;
+	}
+
+	/**
+	 * Remember where every interpolated entity was before this tick moves it.
+	 * @private
+	 */
+	_capturePreviousPositions() {
+		const player = this.player;
+		if (player) {
+			player.prevTickX = player.x;
+			player.prevTickY = player.y;
+		}
+		const enemies = this.enemies;
+		for (let i = 0; i < enemies.length; i++) {
+			enemies[i].prevTickX = enemies[i].x;
+			enemies[i].prevTickY = enemies[i].y;
+		}
+		const projectiles = this.projectiles;
+		for (let i = 0; i < projectiles.length; i++) {
+			projectiles[i].prevTickX = projectiles[i].x;
+			projectiles[i].prevTickY = projectiles[i].y;
+		}
+		const allies = this.allies;
+		for (let i = 0; i < allies.length; i++) {
+			allies[i].prevTickX = allies[i].x;
+			allies[i].prevTickY = allies[i].y;
+		}
+	}
+
 	/**
 	 * Main game update loop - now delegates to specialized systems.
+	 * Prefer step() for gameplay; this accepts an arbitrary delta for tools.
 	 */
 	update(delta, input) {
 		this._lastDelta = delta;
@@ -748,6 +1160,8 @@ export class Game {
 			this._configurePoolsForProfile(targetProfile);
 		}
 
+		this._updateWaveCountdown(delta);
+
 		// Update skill cooldowns
 		this.skillManager.updateCooldowns(delta);
 
@@ -758,6 +1172,7 @@ export class Game {
 		// Update all game systems
 		this.waveManager.update(delta);
 		this.entityManager.updateAll(delta, input);
+		this.arenaFeatureSystem.update(delta);
 		this.comboSystem.update(delta);
 		this.lootSystem.update(delta);
 		this.achievementSystem.update(delta);
@@ -804,6 +1219,9 @@ export class Game {
 					},
 				});
 
+				// Death happens mid-update, so the tick being simulated counts
+				this.replayRecorder.finish(this._getReplayResult(this.tick + 1));
+
 				telemetry.track("game_over", {
 					wave: this.wave,
 					score: this.score,
@@ -815,12 +1233,30 @@ export class Game {
 		}
 	}
 
+	/**
+	 * Headline numbers stamped on the finished replay (and re-checked on playback).
+	 * @param {number} ticks - Ticks simulated when the run ended
+	 * @returns {{state: string, wave: number, score: number, kills: number, level: number, ticks: number}}
+	 * @private
+	 */
+	_getReplayResult(ticks) {
+		return {
+			state: this.gameState,
+			wave: this.wave,
+			score: this.score,
+			kills: this.achievementSystem.killsThisRun,
+			level: this.skillManager.level,
+			ticks,
+		};
+	}
+
 	/**
 	 * Submit score to the leaderboard API (fire-and-forget).
 	 * @param {boolean} isVictory
 	 */
 	_submitScoreToLeaderboard(isVictory) {
-		submitScore({
+		persistence.submitScore({
+			mode: this.runMode,
 			difficulty: this.getRunDifficulty(),
 			score: this.score,
 			wave: this.wave,
@@ -832,6 +1268,10 @@ export class Game {
 			gameDurationMs: Date.now() - (this._runStartTimestamp || Date.now()),
 			startWave: this._saveLoadWave || 1,
 			continuesUsed: this.store.get('run', 'continuesUsed') || 0,
+			replay: this.replayRecorder.getReplay(),
+			challenge: this.runChallenge?.attempt
+				? { id: this.runChallenge.id, attempt: this.runChallenge.attempt }
+				: null,
 		});
 	}
 
@@ -850,12 +1290,17 @@ export class Game {
 		playSFX("wave_complete");
 		this.progressionManager.recordWaveCompletion(this.wave, this.waveManager.isBossWave);
 
-		// Wave completion score bonus
-		const completionTime = performance.now() - this._waveStartTime;
-		const waveClearBonus = 100 * this.wave;
-		const speedBonus = completionTime < 30000 ? 200 : (completionTime < 60000 ? 100 : 0);
-		const perfectBonus = (this.player.hp === this.player.maxHp) ? 300 : 0;
-		const totalBonus = waveClearBonus + speedBonus + perfectBonus;
+		// Wave completion score bonus (Boss Rush scores each boss on time and damage instead)
+		let totalBonus;
+		if (this.isBossRush()) {
+			totalBonus = this.bossRushSystem.onWaveCleared().score;
+		} else {
+			const completionTime = this.getSimTime() - this._waveStartTime;
+			const waveClearBonus = 100 * this.wave;
+			const speedBonus = completionTime < 30000 ? 200 : (completionTime < 60000 ? 100 : 0);
+			const perfectBonus = (this.player.hp === this.player.maxHp) ? 300 : 0;
+			totalBonus = waveClearBonus + speedBonus + perfectBonus;
+		}
 		this.score += totalBonus;
 
 		// Dispatch score and wave completion to store
@@ -897,7 +1342,7 @@ export class Game {
 			// Voice-over milestone callout
 			const milestoneVoice = { 10: 'milestone_wave10', 25: 'milestone_wave25', 50: 'milestone_wave50' };
 			const voiceKey = milestoneVoice[this.wave];
-			if (voiceKey) voiceManager.play(voiceKey);
+			if (voiceKey) voice.play(voiceKey);
 
 			playSFX('boss_defeat');
 		} else if (isMiniMilestone(this.wave)) {
@@ -931,16 +1376,27 @@ export class Game {
 	 * @private
 	 */
 	_showBetweenWaveUI() {
-		// Ascension event every 5 waves
-		if (this.ascensionSystem.isAscensionWave(this.wave)) {
+		// Ascension event every 5 waves (Boss Rush hands them out up front instead)
+		if (!this.isBossRush() && this.ascensionSystem.isAscensionWave(this.wave)) {
 			this.gameState = Game.STATES.ASCENSION;
-			voiceManager.play('ascension_offer');
+			voice.play('ascension_offer');
+			// Roll the offer here, not in the UI, so headless runs and replays see the same options
+			this.ascensionSystem.generateOptions();
 			showAscensionPanel();
 			return;
 		}
 
 		// Default: skill allocation screen (between-wave)
 		this.gameState = Game.STATES.POWERUP;
+		this._openLevelUpPanel();
+	}
+
+	/**
+	 * Checkpoint the skill state and show the level-up panel.
+	 * @private
+	 */
+	_openLevelUpPanel() {
+		this._allocationCheckpoint = this.skillManager.getSaveState();
 		showLevelUpPanel();
 	}
 
@@ -948,12 +1404,13 @@ export class Game {
 	 * Continue to the next wave after between-wave skill allocation.
 	 */
 	continueToNextWave() {
+		this.replayRecorder.recordCommand(this.tick, REPLAY_COMMANDS.NEXT_WAVE);
 		closeAllSkillOverlays();
 		// Sync player stats from skill tree before next wave
 		this._syncPlayerFromSkills();
 
 		// Victory condition: if we just completed the max wave, show victory screen
-		const maxWave = GameConfig.BOSS.MAX_WAVE;
+		const maxWave = this.isBossRush() ? BOSS_ROSTER.length : GameConfig.BOSS.MAX_WAVE;
 		if (this.wave >= maxWave && !this._endlessMode) {
 			this._triggerVictory();
 			return;
@@ -969,12 +1426,13 @@ export class Game {
 		});
 
 		this._runWaveCountdown(() => {
-			this._waveStartTime = performance.now();
+			this._waveStartTime = this.getSimTime();
 			this.challengeSystem.onWaveStart();
+			this.bossRushSystem.onWaveStart();
 			this.waveManager.startWave(this.wave);
 
 			// Auto-save at the start of every wave (after countdown)
-			saveStateManager.saveSnapshot(this.getSaveSnapshot());
+			if (this.savesCheckpoints()) persistence.saveSnapshot(this.getSaveSnapshot());
 
 			// Dispatch WAVE_START to store
 			this.dispatcher.dispatch({
@@ -997,6 +1455,7 @@ export class Game {
 	 */
 	castActiveSkill(skillId) {
 		if (!this.skillManager.tryCast(skillId)) return false;
+		this.replayRecorder.recordCommand(this.tick, REPLAY_COMMANDS.CAST, skillId);
 
 		const info = this.skillManager.getActiveSkillInfo(skillId);
 		if (!info) return false;
@@ -1019,9 +1478,9 @@ export class Game {
 		const segments = 6;
 		for (let i = 0; i <= segments; i++) {
 			const t = i / segments;
-			const x = from.x + (to.x - from.x) * t + (Math.random() - 0.5) * 15;
-			const y = from.y + (to.y - from.y) * t + (Math.random() - 0.5) * 15;
-			this.particles.push(new Particle(x, y, (Math.random() - 0.5) * 20, (Math.random() - 0.5) * 20, 300 + Math.random() * 200, '#aa44ff'));
+			const x = from.x + (to.x - from.x) * t + (cosmeticRng.next() - 0.5) * 15;
+			const y = from.y + (to.y - from.y) * t + (cosmeticRng.next() - 0.5) * 15;
+			this.particles.push(new Particle(x, y, (cosmeticRng.next() - 0.5) * 20, (cosmeticRng.next() - 0.5) * 20, 300 + cosmeticRng.next() * 200, '#aa44ff'));
 		}
 	}
 
@@ -1045,16 +1504,19 @@ export class Game {
 		this.player.maxHp = newMaxHp;
 		this.player.hp = Math.min(newMaxHp, Math.ceil(newMaxHp * hpRatio));
 
-		// Shield from attributes
-		this.player.maxShieldHp = attrs.shieldCapacity;
-		if (attrs.shieldCapacity > 0) {
+		// Shield from attributes + plugin pipeline (Sentinel Fortify)
+		const shieldCapacity = this.skillEffectEngine.resolveStatValue('shieldCapacity', attrs.shieldCapacity, pluginMods);
+		this.player.maxShieldHp = shieldCapacity;
+		if (shieldCapacity > 0) {
 			this.player.hasShield = true;
 			this.player.shieldHp = Math.min(this.player.shieldHp, this.player.maxShieldHp);
 		}
 
 		// Regen from attributes + plugin pipeline
 		this.player.hpRegen = this.skillEffectEngine.resolveStatValue('hpRegen', attrs.hpRegen, pluginMods);
-		this.player.shieldRegen = attrs.shieldCapacity > 0 ? attrs.shieldCapacity * 0.05 : 0;
+		this.player.shieldRegen = shieldCapacity > 0
+			? this.skillEffectEngine.resolveStatValue('shieldRegen', shieldCapacity * 0.05, pluginMods)
+			: 0;
 
 		// ── Combat stats via plugin modifier pipeline ──
 		const baseDamage = attrs.damageMultiplier;
@@ -1086,6 +1548,12 @@ export class Game {
 		// Explosive shots from plugin modifiers (ExplosiveRoundsPlugin + BiggerBoomsPlugin)
 		const explosionRadius = this.skillEffectEngine.resolveStatValue('explosionRadius', 0, pluginMods);
 
+		// Engineer ally stats, read live by turrets and drones
+		this.player.allyDamageMod = this.skillEffectEngine.resolveStatValue('allyDamage', 1, pluginMods);
+		this.player.allyHpMod = this.skillEffectEngine.resolveStatValue('allyHp', 1, pluginMods);
+		this.player.allyFireRateMod = this.skillEffectEngine.resolveStatValue('allyFireRate', 1, pluginMods);
+		this.player.droneCount = Math.round(this.skillEffectEngine.resolveStatValue('droneCount', 0, pluginMods));
+
 		// ── Reset complex configs before applying plugin configs ──
 		this.player.hasTripleShot = false;
 		this.player.tripleShotSideDamage = 0;
@@ -1096,6 +1564,8 @@ export class Game {
 		this.player.volatileKills = null;
 		this.player.elementalSynergy = null;
 		this.player.meltdown = null;
+		this.player.hasBarrierPhase = false;
+		this.player.allyRockets = null;
 		// Reset ascension config fields (set by plugins via getPlayerConfig)
 		this.player.ricochetEnabled = false;
 		this.player.globalEnemySlow = 0;
@@ -1212,6 +1682,7 @@ export class Game {
 	 * @param {string} modifierId
 	 */
 	selectAscension(modifierId) {
+		this.replayRecorder.recordCommand(this.tick, REPLAY_COMMANDS.ASCEND, modifierId);
 		if (this.ascensionSystem.selectModifier(modifierId)) {
 			// Equip ascension plugin if registered
 			const mod = this.ascensionSystem.activeModifiers.find(m => m.id === modifierId);
@@ -1231,10 +1702,42 @@ export class Game {
 
 			// Continue to skill allocation
 			this.gameState = Game.STATES.POWERUP;
-			showLevelUpPanel();
+			this._openLevelUpPanel();
 		}
 	}
 
+	/**
+	 * Spend a skill point (called from the level-up panel).
+	 * @param {string} skillId
+	 * @returns {boolean} Whether the skill was learned
+	 */
+	learnSkill(skillId) {
+		if (!this.skillManager.learnSkill(skillId)) return false;
+		this.replayRecorder.recordCommand(this.tick, REPLAY_COMMANDS.LEARN, skillId);
+		this.achievementSystem?.onSkillLearned();
+		return true;
+	}
+
+	/**
+	 * Spend an attribute point (called from the level-up panel).
+	 * @param {string} attrKey
+	 * @returns {boolean} Whether the point was allocated
+	 */
+	allocateAttribute(attrKey) {
+		if (!this.skillManager.allocateAttribute(attrKey)) return false;
+		this.replayRecorder.recordCommand(this.tick, REPLAY_COMMANDS.ATTRIBUTE, attrKey);
+		return true;
+	}
+
+	/**
+	 * Undo every allocation made since the level-up panel opened.
+	 */
+	revertSkillAllocation() {
+		if (!this._allocationCheckpoint) return;
+		this.replayRecorder.recordCommand(this.tick, REPLAY_COMMANDS.REVERT);
+		this.skillManager.restoreFromSave(this._allocationCheckpoint);
+	}
+
 	/**
 	 * Handle mid-wave level-up: brief pause, show quick pick, resume.
 	 * @private
@@ -1244,19 +1747,20 @@ export class Game {
 		if (this.skillManager.pendingLevelUps <= 0) return;
 
 		this.gameState = Game.STATES.LEVELUP;
-		showLevelUpPanel();
+		this._openLevelUpPanel();
 	}
 
 	/**
 	 * Complete a mid-wave level-up pick and resume play.
 	 */
 	completeMidWaveLevelUp() {
+		this.replayRecorder.recordCommand(this.tick, REPLAY_COMMANDS.LEVEL_UP_DONE);
 		this.skillManager.pendingLevelUps = Math.max(0, this.skillManager.pendingLevelUps - 1);
 		this._syncPlayerFromSkills();
 
 		// If more level-ups pending, stay in LEVELUP state
 		if (this.skillManager.pendingLevelUps > 0) {
-			showLevelUpPanel();
+			this._openLevelUpPanel();
 			return;
 		}
 
@@ -1317,7 +1821,7 @@ export class Game {
 			// Voice callout for wave modifier
 			const modVoice = { STORM: 'modifier_ion_storm', OVERCLOCK: 'modifier_overclock', FOG: 'modifier_neon_fog' };
 			const voiceKey = modVoice[modifierKey];
-			if (voiceKey) voiceManager.play(voiceKey);
+			if (voiceKey) voice.play(voiceKey);
 		}
 
 		// Dispatch modifier to store
@@ -1334,10 +1838,7 @@ export class Game {
 		}
 
 		if (this.modifierState.visibilityReduction !== previousVisibility) {
-			const container = document.getElementById('gameContainer');
-			if (container) {
-				container.classList.toggle('modifier-fog', this.modifierState.visibilityReduction);
-			}
+			dom.setArenaFog(this.modifierState.visibilityReduction);
 		}
 	}
 
@@ -1360,9 +1861,12 @@ export class Game {
 
 	/**
 	 * Render all game elements to the canvas.
+	 * @param {number} [alpha=1] - Fraction (0..1) of the next tick already elapsed; positions are interpolated between ticks
+	 * @param {number} [frameDelta] - Real time since the previous rendered frame (ms), for render-only animations
 	 */
-	render() {
+	render(alpha = 1, frameDelta = this._lastDelta) {
 		const ctx = this.ctx;
+		if (!ctx) return;
 		const canvasWidth = this.canvas.logicalWidth || this.canvas.width;
 		const canvasHeight = this.canvas.logicalHeight || this.canvas.height;
 
@@ -1376,6 +1880,7 @@ export class Game {
 		);
 
 		this.drawBackground();
+		this.arenaFeatureSystem.draw(ctx);
 
 		// Draw entities — indexed for-loops avoid closure/iterator overhead
 		// Particles: batch save/restore (individual particles no longer save/restore)
@@ -1383,10 +1888,14 @@ export class Game {
 		for (let i = 0; i < this.particles.length; i++) this.particles[i].draw(ctx);
 		ctx.restore();
 
-		for (let i = 0; i < this.enemies.length; i++) this.enemies[i].draw(ctx);
+		// Ground-level skill objects (Sentinel barriers)
+		this.skillEffectEngine.render(ctx);
+
+		for (let i = 0; i < this.allies.length; i++) this._drawInterpolated(ctx, this.allies[i], alpha);
+		for (let i = 0; i < this.enemies.length; i++) this._drawInterpolated(ctx, this.enemies[i], alpha);
 		this.lootSystem.renderGroundItems(ctx);
-		for (let i = 0; i < this.projectiles.length; i++) this.projectiles[i].draw(ctx);
-		this.player.draw(ctx);
+		for (let i = 0; i < this.projectiles.length; i++) this._drawInterpolated(ctx, this.projectiles[i], alpha);
+		this._drawInterpolated(ctx, this.player, alpha);
 
 		// Draw spawn warning if enemies are incoming
 		if (this.waveManager.enemiesToSpawn > 0) {
@@ -1401,7 +1910,32 @@ export class Game {
 		ctx.restore();
 
 		// Canvas-based screen flash overlay (replaces DOM flash element)
-		vfxHelper.renderFlash(ctx, canvasWidth, canvasHeight, this._lastDelta || 0.016);
+		vfx.renderFlash(ctx, canvasWidth, canvasHeight, (frameDelta || 16) / 1000);
+	}
+
+	/**
+	 * Draw an entity at its position interpolated between the previous and
+	 * current tick. The simulated position is restored afterwards.
+	 * @private
+	 * @param {CanvasRenderingContext2D} ctx
+	 * @param {{x: number, y: number, prevTickX?: number, prevTickY?: number, draw: Function}} entity
+	 * @param {number} alpha
+	 */
+	_drawInterpolated(ctx, entity, alpha) {
+		const x = entity.x;
+		const y = entity.y;
+		const dx = x - entity.prevTickX;
+		const dy = y - entity.prevTickY;
+		// Large jumps (teleports, resizes) snap rather than smear across the arena
+		if (alpha >= 1 || !Number.isFinite(dx) || !Number.isFinite(dy) || dx * dx + dy * dy > INTERPOLATION_SNAP_DIST_SQ) {
+			entity.draw(ctx);
+			return;
+		}
+		entity.x = entity.prevTickX + dx * alpha;
+		entity.y = entity.prevTickY + dy * alpha;
+		entity.draw(ctx);
+		entity.x = x;
+		entity.y = y;
 	}
 
 	/**
@@ -1436,48 +1970,104 @@ export class Game {
 			ctx.stroke();
 		}
 
+		// Allies — yellow
+		ctx.strokeStyle = '#ff0';
+		for (const a of this.allies) {
+			ctx.beginPath();
+			ctx.arc(a.x, a.y, a.radius, 0, Math.PI * 2);
+			ctx.stroke();
+		}
+
 		ctx.restore();
 	}
 
 	/**
-	 * Rebuild the offscreen grid canvas (call on init and resize).
+	 * Rebuild the offscreen grid canvas (call on init and resize). The arena
+	 * layout picks the grid style and color; outside the play area is shaded.
 	 * @private
 	 */
 	_rebuildGridCanvas() {
 		const canvasWidth = this.canvas.logicalWidth || this.canvas.width;
 		const canvasHeight = this.canvas.logicalHeight || this.canvas.height;
 
-		// Skip rebuild if dimensions haven't changed
-		if (this._gridCanvas && this._gridWidth === canvasWidth && this._gridHeight === canvasHeight) {
+		// Skip rebuild if dimensions and layout haven't changed
+		if (
+			this._gridCanvas &&
+			this._gridWidth === canvasWidth &&
+			this._gridHeight === canvasHeight &&
+			this._gridLayout === this.arenaLayout
+		) {
 			return;
 		}
 
 		this._gridWidth = canvasWidth;
 		this._gridHeight = canvasHeight;
+		this._gridLayout = this.arenaLayout;
 
 		if (!this._gridCanvas) {
-			this._gridCanvas = document.createElement('canvas');
+			this._gridCanvas = dom.createCanvas();
+			if (!this._gridCanvas) return;
 		}
 		this._gridCanvas.width = canvasWidth;
 		this._gridCanvas.height = canvasHeight;
 
 		const gctx = this._gridCanvas.getContext('2d');
+		const geometry = this.getArenaGeometry();
+		const { theme } = geometry.layout;
 		const gridSize = GameConfig.VFX.GRID_SIZE;
 
-		gctx.strokeStyle = `rgba(0, 255, 255, ${GameConfig.VFX.GRID_ALPHA})`;
+		gctx.strokeStyle = `rgba(${theme.color}, ${GameConfig.VFX.GRID_ALPHA})`;
 		gctx.lineWidth = 1;
 
 		// Batch all grid lines into a single path + single stroke
 		gctx.beginPath();
-		for (let x = 0; x < canvasWidth; x += gridSize) {
-			gctx.moveTo(x, 0);
-			gctx.lineTo(x, canvasHeight);
-		}
-		for (let y = 0; y < canvasHeight; y += gridSize) {
-			gctx.moveTo(0, y);
-			gctx.lineTo(canvasWidth, y);
+		if (theme.grid === 'radial') {
+			const { RADIAL_GRID_STEP, RADIAL_GRID_SPOKES } = GameConfig.ARENA_LAYOUT;
+			const { centerX, centerY } = geometry;
+			const reach = Math.hypot(centerX, centerY);
+			for (let r = RADIAL_GRID_STEP; r < reach; r += RADIAL_GRID_STEP) {
+				gctx.moveTo(centerX + r, centerY);
+				gctx.arc(centerX, centerY, r, 0, Math.PI * 2);
+			}
+			for (let i = 0; i < RADIAL_GRID_SPOKES; i++) {
+				const angle = (Math.PI * 2 * i) / RADIAL_GRID_SPOKES;
+				gctx.moveTo(centerX, centerY);
+				gctx.lineTo(centerX + Math.cos(angle) * reach, centerY + Math.sin(angle) * reach);
+			}
+		} else {
+			for (let x = 0; x < canvasWidth; x += gridSize) {
+				gctx.moveTo(x, 0);
+				gctx.lineTo(x, canvasHeight);
+			}
+			for (let y = 0; y < canvasHeight; y += gridSize) {
+				gctx.moveTo(0, y);
+				gctx.lineTo(canvasWidth, y);
+			}
 		}
 		gctx.stroke();
+
+		if (geometry.type === 'rect') return;
+
+		// Shade everything outside the play area, then outline it
+		gctx.beginPath();
+		gctx.rect(0, 0, canvasWidth, canvasHeight);
+		traceArenaShape(gctx, geometry);
+		gctx.fillStyle = `rgba(0, 0, 0, ${GameConfig.ARENA_LAYOUT.VOID_ALPHA})`;
+		gctx.fill('evenodd');
+
+		gctx.strokeStyle = `rgba(${theme.color}, 0.6)`;
+		gctx.lineWidth = 2;
+		gctx.beginPath();
+		traceArenaShape(gctx, geometry);
+		gctx.stroke();
+
+		if (geometry.pillar > 0) {
+			gctx.beginPath();
+			gctx.arc(geometry.centerX, geometry.centerY, geometry.pillar, 0, Math.PI * 2);
+			gctx.fillStyle = `rgba(${theme.color}, 0.15)`;
+			gctx.fill();
+			gctx.stroke();
+		}
 	}
 
 	/**
@@ -1487,8 +2077,12 @@ export class Game {
 		const canvasWidth = this.canvas.logicalWidth || this.canvas.width;
 		const canvasHeight = this.canvas.logicalHeight || this.canvas.height;
 
-		// Rebuild grid if canvas was resized
-		if (this._gridWidth !== canvasWidth || this._gridHeight !== canvasHeight) {
+		// Rebuild grid if canvas was resized or the layout changed
+		if (
+			this._gridWidth !== canvasWidth ||
+			this._gridHeight !== canvasHeight ||
+			this._gridLayout !== this.arenaLayout
+		) {
 			this._rebuildGridCanvas();
 		}
 
@@ -1498,7 +2092,8 @@ export class Game {
 	}
 
 	/**
-	 * Draw visual warning when enemies are about to spawn.
+	 * Draw visual warning when enemies are about to spawn, with chevrons on
+	 * the edges incoming formation squads will arrive from.
 	 */
 	drawSpawnWarning(ctx) {
 		const canvasWidth = this.canvas.logicalWidth || this.canvas.width;
@@ -1519,6 +2114,47 @@ export class Game {
 		);
 
 		ctx.setLineDash([]); // Reset line dash
+
+		// Preview the edge(s) incoming squads will arrive from
+		const previews = this.waveManager.getSpawnPreviews();
+		if (previews.length === 0) return;
+
+		const centerX = canvasWidth / 2;
+		const centerY = canvasHeight / 2;
+		const halfW = centerX - margin;
+		const halfH = centerY - margin;
+		ctx.save();
+		for (const { angles, urgency } of previews) {
+			const alpha = 0.3 + 0.6 * urgency;
+			ctx.fillStyle = `rgba(255, 165, 0, ${alpha})`;
+			ctx.strokeStyle = `rgba(255, 165, 0, ${alpha})`;
+			if (!angles) {
+				// Ring: closing in from every side
+				ctx.lineWidth = 4 + 4 * urgency;
+				ctx.strokeRect(margin, margin, halfW * 2, halfH * 2);
+				continue;
+			}
+			for (const angle of angles) {
+				const cos = Math.cos(angle);
+				const sin = Math.sin(angle);
+				// Where the ray from the center meets the warning border
+				const t = Math.min(
+					cos !== 0 ? halfW / Math.abs(cos) : Infinity,
+					sin !== 0 ? halfH / Math.abs(sin) : Infinity
+				);
+				const x = centerX + cos * t;
+				const y = centerY + sin * t;
+				const size = 14 + 10 * urgency;
+				// Chevron pointing inward
+				ctx.beginPath();
+				ctx.moveTo(x - cos * size, y - sin * size);
+				ctx.lineTo(x - sin * size * 0.8, y + cos * size * 0.8);
+				ctx.lineTo(x + sin * size * 0.8, y - cos * size * 0.8);
+				ctx.closePath();
+				ctx.fill();
+			}
+		}
+		ctx.restore();
 	}
 
 	/**
@@ -1543,6 +2179,7 @@ export class Game {
 			player: this.player,
 			enemies: this.enemies,
 			projectiles: this.projectiles,
+			allies: this.allies,
 			ascensionSystem: this.ascensionSystem,
 			skillEffectEngine: this.skillEffectEngine,
 		});
@@ -1560,6 +2197,8 @@ export class Game {
 				waveState: this.waveManager.getSaveSnapshot(),
 				skillManager: this.skillManager.getSaveState(),
 				ascensionSystem: this.ascensionSystem.getSaveState(),
+				rng: this.rng.getSaveState(),
+				arena: this.arenaLayout,
 			};
 		}
 
@@ -1574,6 +2213,8 @@ export class Game {
 			waveState: this.waveManager.getSaveSnapshot(),
 			skillManager: this.skillManager.getSaveState(),
 			ascensionSystem: this.ascensionSystem.getSaveState(),
+			rng: this.rng.getSaveState(),
+			arena: this.arenaLayout,
 		};
 	}
 
@@ -1594,12 +2235,23 @@ export class Game {
 
 		this.enemies = [];
 		this.projectiles = [];
+		this.allies = [];
 		this.particles = [];
 		this.particlePool.clear();
 		this.projectilePool.clear();
+		this._clearWaveCountdown();
 
 		this.player.reset();
 
+		// Resume the run's RNG streams; pre-seed saves get a fresh seed
+		if (!this.rng.restoreFromSave(legacy.rng)) {
+			this.rng.reseed(RngService.generateSeed());
+		}
+		this.dispatcher.dispatch({
+			type: ActionTypes.SET_RUN_SEED,
+			payload: { seed: this.rng.seed },
+		});
+
 		// Restore skill & ascension state first, then sync player stats
 		if (legacy.skillManager) {
 			this.skillManager.restoreFromSave(legacy.skillManager);
@@ -1616,13 +2268,45 @@ export class Game {
 			this._applyPlayerSaveState(legacy.player);
 		}
 
+		// Turrets and drones survive the reload (v3 snapshots only)
+		for (const data of snapshot.entities?.allies || []) {
+			const ally = createAllyFromSave(data);
+			if (ally) this.allies.push(ally);
+		}
+
 		this.wave = checkpointWave;
 		this.score = legacy.score || 0;
+		this.tick = 0;
 		this.gameState = Game.STATES.PLAYING;
 		this._gameOverTracked = false;
 		this._runStartTimestamp = Date.now();
 		this._saveLoadWave = checkpointWave;
+		// Resumed runs never count as challenge attempts; only the wave campaign saves checkpoints
+		this.runChallenge = null;
+		this.runMode = DEFAULT_RUN_MODE;
+		this.waveManager.setWaveSet(DEFAULT_WAVE_SET);
+		this.bossRushSystem.reset();
 		this.setRunDifficulty(legacy.difficulty || DEFAULT_RUN_DIFFICULTY);
+		// Saves from before arena layouts were all classic
+		this.setArenaLayout(legacy.arena);
+		this.clampToArena(this.player);
+		this.dispatcher.dispatch({
+			type: ActionTypes.SET_ARENA_LAYOUT,
+			payload: { arena: this.arenaLayout },
+		});
+
+		this.replayRecorder.begin({
+			seed: this.rng.seed,
+			difficulty: this.runDifficulty,
+			arena: this.getLogicalCanvasSize(),
+			startSnapshot: snapshot,
+			aimMode: this.aimMode,
+			layout: this.arenaLayout,
+		});
+		this.dispatcher.dispatch({
+			type: ActionTypes.SET_AIM_MODE,
+			payload: { aimMode: this.aimMode },
+		});
 
 		this.waveManager.reset();
 		this.waveManager.setDifficulty(this.runDifficulty);
@@ -1,4 +1,4 @@
-import { game } from "./main.js";
+import { cosmeticRng } from "./utils/SeededRandom.js";
 
 /**
  * Represents a visual particle for game effects like explosions, sparks, trails, and healing effects.
@@ -132,7 +132,7 @@ export class Particle {
         this.glowColor = color;
         
         // Visual properties
-        this.radius = 2 + Math.random() * 3;
+        this.radius = 2 + cosmeticRng.next() * 3;
         this.alpha = 1;
         this.gravity = 0; // Can add gravity effect
         this.friction = 0.98; // Slight slowdown over time
@@ -147,8 +147,9 @@ export class Particle {
     /**
      * Updates the particle's position, velocity, and visual properties.
      * @param {number} delta - Time elapsed since last update in milliseconds
+     * @param {import('./Game.js').Game} [game] - Owning game, for pause state
      */
-    update(delta) {
+    update(delta, game) {
         // Skip position updates if game is not playing
         if (game && game.gameState !== 'playing') return;
         
@@ -215,9 +216,9 @@ export class Particle {
         const particles = [];
         
         for (let i = 0; i < count; i++) {
-            const angle = (Math.PI * 2 / count) * i + (Math.random() - 0.5) * 0.5;
-            const speed = 50 + Math.random() * 100;
-            const life = 300 + Math.random() * 500;
+            const angle = (Math.PI * 2 / count) * i + (cosmeticRng.next() - 0.5) * 0.5;
+            const speed = 50 + cosmeticRng.next() * 100;
+            const life = 300 + cosmeticRng.next() * 500;
             
             const particle = new Particle(
                 x, y,
@@ -245,9 +246,9 @@ export class Particle {
         const particles = [];
         
         for (let i = 0; i < count; i++) {
-            const angle = Math.random() * Math.PI * 2;
-            const speed = 20 + Math.random() * 40;
-            const life = 200 + Math.random() * 300;
+            const angle = cosmeticRng.next() * Math.PI * 2;
+            const speed = 20 + cosmeticRng.next() * 40;
+            const life = 200 + cosmeticRng.next() * 300;
             
             const particle = new Particle(
                 x, y,
@@ -257,7 +258,7 @@ export class Particle {
                 color
             );
             
-            particle.radius = 1 + Math.random() * 2;
+            particle.radius = 1 + cosmeticRng.next() * 2;
             particle.gravity = 30; // Sparks fall down
             
             particles.push(particle);
@@ -279,9 +280,9 @@ export class Particle {
         const count = 3;
         
         for (let i = 0; i < count; i++) {
-            const spreadAngle = angle + (Math.random() - 0.5) * 0.5;
-            const speed = 30 + Math.random() * 20;
-            const life = 100 + Math.random() * 100;
+            const spreadAngle = angle + (cosmeticRng.next() - 0.5) * 0.5;
+            const speed = 30 + cosmeticRng.next() * 20;
+            const life = 100 + cosmeticRng.next() * 100;
             
             const particle = new Particle(
                 x, y,
@@ -291,7 +292,7 @@ export class Particle {
                 color
             );
             
-            particle.radius = 1 + Math.random();
+            particle.radius = 1 + cosmeticRng.next();
             particle.friction = 0.9; // Quick slowdown
             
             particles.push(particle);
@@ -310,18 +311,18 @@ export class Particle {
      * @returns {Particle} Single trail particle
      */
     static createTrail(x, y, vx, vy, color = '#fff') {
-        const life = 150 + Math.random() * 100;
+        const life = 150 + cosmeticRng.next() * 100;
         
         const particle = new Particle(
-            x + (Math.random() - 0.5) * 5,
-            y + (Math.random() - 0.5) * 5,
-            vx * 0.1 + (Math.random() - 0.5) * 10,
-            vy * 0.1 + (Math.random() - 0.5) * 10,
+            x + (cosmeticRng.next() - 0.5) * 5,
+            y + (cosmeticRng.next() - 0.5) * 5,
+            vx * 0.1 + (cosmeticRng.next() - 0.5) * 10,
+            vy * 0.1 + (cosmeticRng.next() - 0.5) * 10,
             life,
             color
         );
         
-        particle.radius = 1 + Math.random();
+        particle.radius = 1 + cosmeticRng.next();
         particle.friction = 0.95;
         
         return particle;
@@ -340,8 +341,8 @@ export class Particle {
         
         for (let i = 0; i < count; i++) {
             const angle = (Math.PI * 2 / count) * i;
-            const speed = 30 + Math.random() * 20;
-            const life = 800 + Math.random() * 400;
+            const speed = 30 + cosmeticRng.next() * 20;
+            const life = 800 + cosmeticRng.next() * 400;
             
             const particle = new Particle(
                 x, y,
@@ -352,7 +353,7 @@ export class Particle {
             );
             
             particle.gravity = -20; // Float upward
-            particle.radius = 2 + Math.random() * 2;
+            particle.radius = 2 + cosmeticRng.next() * 2;
             
             particles.push(particle);
         }
@@ -1,7 +1,9 @@
 import { Projectile } from './Projectile.js';
 import { GameConfig } from './config/GameConfig.js';
-import { playSFX } from './main.js';
+import { playSFX } from './managers/RuntimeAdapters.js';
 import { MathUtils } from './utils/MathUtils.js';
+import { isBlockedByPillar } from './systems/ArenaLayouts.js';
+import { cosmeticRng } from './utils/SeededRandom.js';
 import { renderPlayer, updatePlayerVisualTimers } from './ui/PlayerRenderer.js';
 
 /**
@@ -75,6 +77,12 @@ export class Player {
         volatileKills: null,
         elementalSynergy: null,
         meltdown: null,
+        // Engineer ally pipeline fields
+        allyDamageMod: 1,
+        allyHpMod: 1,
+        allyFireRateMod: 1,
+        droneCount: 0,
+        allyRockets: null,
     });
     /**
      * Creates a new player instance with default stats and power-ups
@@ -102,6 +110,10 @@ export class Player {
         this.x = x;
         /** @type {number} Current y position */
         this.y = y;
+        /** @type {number} X position at the start of the current simulation tick (render interpolation) */
+        this.prevTickX = x;
+        /** @type {number} Y position at the start of the current simulation tick (render interpolation) */
+        this.prevTickY = y;
         /** @type {number} Base player collision radius before responsive scaling */
         this.baseRadius = GameConfig.PLAYER.RADIUS;
         /** @type {number} Player collision radius */
@@ -126,6 +138,8 @@ export class Player {
         this.rotationTime = 0;
         /** @type {Object|null} Current enemy target being tracked */
         this.currentTarget = null;
+        /** @type {Object|null} Enemy picked with a hybrid-aim click; overrides auto-targeting while alive */
+        this.lockedTarget = null;
     }
     
     /**
@@ -138,6 +152,8 @@ export class Player {
         this.maxHp = GameConfig.PLAYER.MAX_HP;
         /** @type {number} Current health points */
         this.hp = this.maxHp;
+        /** @type {number} Health lost this run, after shields (Boss Rush scoring) */
+        this.damageTaken = 0;
         /** @type {number} Time remaining until next shot (milliseconds) */
         this.fireCooldown = 0;
         /** @type {number} Base time between shots (milliseconds) */
@@ -166,6 +182,10 @@ export class Player {
         this.enemyProjectileIFrames = 0;
         /** @type {number} Duration applied after an enemy projectile hit (ms) */
         this.enemyProjectileIFrameDuration = GameConfig.PLAYER.ENEMY_PROJECTILE_IFRAMES_MS;
+        /** @type {number} Move speed and fire rate multiplier from chilling auras (1 = none) */
+        this.chillFactor = 1;
+        /** @type {number} Time remaining on the current chill (ms) */
+        this._chillTimer = 0;
     }
     
     /**
@@ -220,6 +240,13 @@ export class Player {
         /** @type {?{bonus:number}} */ this.elementalSynergy = d.elementalSynergy;
         /** @type {?Object} */ this.meltdown = d.meltdown;
 
+        // ── Engineer ally pipeline fields (read by turrets and drones) ──
+        /** @type {number} */ this.allyDamageMod = d.allyDamageMod;
+        /** @type {number} */ this.allyHpMod = d.allyHpMod;
+        /** @type {number} */ this.allyFireRateMod = d.allyFireRateMod;
+        /** @type {number} */ this.droneCount = d.droneCount;
+        /** @type {?{radius:number, damageRatio:number}} */ this.allyRockets = d.allyRockets;
+
         // ── Ascension plugin pipeline fields ──
         /** @type {boolean} */ this.ricochetEnabled = d.ricochetEnabled;
         /** @type {number} */ this.globalEnemySlow = d.globalEnemySlow;
@@ -330,6 +357,7 @@ export class Player {
      */
     reset() {
         this.hp = this.maxHp;
+        this.damageTaken = 0;
         this.fireCooldown = 0;
         this.angle = 0;
 
@@ -344,6 +372,7 @@ export class Player {
         this.isRotating = false;
         this.rotationTime = 0;
         this.currentTarget = null;
+        this.lockedTarget = null;
         
         // Reset all power-up modifiers
         this.damageMod = 1;
@@ -352,6 +381,8 @@ export class Player {
         this.moveSpeedMod = 1;
         this.rotationSpeedMod = 1;
         this.persistentCritBonus = 0;
+        this.chillFactor = 1;
+        this._chillTimer = 0;
 
         // Apply shared combat defaults (keeps init and reset in sync)
         Object.assign(this, Player._COMBAT_DEFAULTS);
@@ -365,7 +396,7 @@ export class Player {
      * Handles rotation, targeting, firing, regeneration, and power-up effects
      * 
      * @param {number} delta - Time elapsed since last frame (milliseconds)
-     * @param {Object} input - Input state object (currently unused)
+     * @param {Object} input - Input frame (movement keys; aim direction and trigger in manual aim)
      * @param {import('./Game.js').Game} game - Game instance containing enemies, projectiles, particles
      */
     update(delta, input, game) {
@@ -376,13 +407,20 @@ export class Player {
             this.enemyProjectileIFrames = Math.max(0, this.enemyProjectileIFrames - delta);
         }
 
+        if (this._chillTimer > 0) {
+            this._chillTimer -= delta;
+            if (this._chillTimer <= 0) this.chillFactor = 1;
+        }
+
         // Handle WASD / Arrow key movement
         this._updateMovement(delta, input, game);
         
         // Find and acquire target
-        const nearestEnemy = this.findNearestEnemy(game.enemies);
+        const nearestEnemy = this._selectTarget(game);
         
-        if (nearestEnemy) {
+        if (game.aimMode === GameConfig.CONTROLS.AIM_MODES.MANUAL) {
+            this._updateManualAim(delta, input, game);
+        } else if (nearestEnemy) {
             this._updateTargeting(nearestEnemy, delta);
             this._updateRotation(delta);
             this._updateFiring(game);
@@ -459,12 +497,15 @@ export class Player {
     }
 
     /**
-     * Handle WASD / Arrow key movement each frame.
+     * Handle movement actions (`keys.moveUp` etc., folded from the player's
+     * key bindings by main.js) each frame, or analog movement
+     * (`moveX`/`moveY` in ±GameConfig.CONTROLS.MOVE_STEPS) when no key is held.
+     * Analog input scales speed by stick magnitude.
      * Clamps the player position to stay within the visible canvas.
      *
      * @private
      * @param {number} delta - ms since last frame
-     * @param {Object} input - Input state with `keys` map
+     * @param {Object} input - Input state with `keys` movement-action map and optional analog axes
      * @param {import('./Game.js').Game} game
      */
     _updateMovement(delta, input, game) {
@@ -478,10 +519,18 @@ export class Player {
         let dx = 0;
         let dy = 0;
 
-        if (input.keys['KeyW'] || input.keys['ArrowUp'])    dy -= 1;
-        if (input.keys['KeyS'] || input.keys['ArrowDown'])  dy += 1;
-        if (input.keys['KeyA'] || input.keys['ArrowLeft'])  dx -= 1;
-        if (input.keys['KeyD'] || input.keys['ArrowRight']) dx += 1;
+        if (input.keys.moveUp)    dy -= 1;
+        if (input.keys.moveDown)  dy += 1;
+        if (input.keys.moveLeft)  dx -= 1;
+        if (input.keys.moveRight) dx += 1;
+
+        // Analog stick — integer steps only, so replays reproduce it exactly
+        let magnitude = 1;
+        if (dx === 0 && dy === 0) {
+            dx = (input.moveX | 0) / GameConfig.CONTROLS.MOVE_STEPS;
+            dy = (input.moveY | 0) / GameConfig.CONTROLS.MOVE_STEPS;
+            magnitude = Math.min(1, Math.sqrt(dx * dx + dy * dy));
+        }
 
         if (dx === 0 && dy === 0) {
             this.isMoving = false;
@@ -496,19 +545,18 @@ export class Player {
         dy /= len;
 
         const pressureScale = game?.getPressureScale?.() || 1;
-        const speed = GameConfig.PLAYER.MOVE_SPEED * this.moveSpeedMod * pressureScale * (delta / 1000);
+        const moveSpeedMod = this.moveSpeedMod * this.chillFactor;
+        const speed = GameConfig.PLAYER.MOVE_SPEED * moveSpeedMod * pressureScale * magnitude * (delta / 1000);
         this.x += dx * speed;
         this.y += dy * speed;
 
         // Store velocity for renderer (px/s, normalized direction × move speed)
         this.isMoving = true;
-        this.moveVx = dx * GameConfig.PLAYER.MOVE_SPEED * this.moveSpeedMod * pressureScale;
-        this.moveVy = dy * GameConfig.PLAYER.MOVE_SPEED * this.moveSpeedMod * pressureScale;
+        this.moveVx = dx * GameConfig.PLAYER.MOVE_SPEED * moveSpeedMod * pressureScale * magnitude;
+        this.moveVy = dy * GameConfig.PLAYER.MOVE_SPEED * moveSpeedMod * pressureScale * magnitude;
 
-        // Clamp to canvas bounds
-        const { width: cw, height: ch } = game.getLogicalCanvasSize();
-        this.x = Math.max(this.radius, Math.min(cw - this.radius, this.x));
-        this.y = Math.max(this.radius, Math.min(ch - this.radius, this.y));
+        // Stay inside the arena layout's play area
+        game.clampToArena(this);
     }
     
     /**
@@ -527,6 +575,15 @@ export class Player {
             }
         }
 
+        // ── Ally Overdrive: timed ally fire rate/damage buff (read by Ally.update) ──
+        const od = this._skillBuffs.allyOverdrive;
+        if (od) {
+            od.elapsed += delta;
+            if (od.elapsed >= od.duration) {
+                delete this._skillBuffs.allyOverdrive;
+            }
+        }
+
         // ── Bullet Storm: spawn homing projectiles over duration ──
         const bs = this._skillBuffs.bulletStorm;
         if (bs && bs.shotsRemaining > 0) {
@@ -536,7 +593,7 @@ export class Player {
                 bs.timer -= bs.interval;
                 bs.shotsRemaining--;
                 // Fire a homing projectile at nearest enemy
-                const target = this.findNearestEnemy(game.enemies);
+                const target = this.findNearestEnemy(game.enemies, game);
                 if (target) {
                     const angle = Math.atan2(target.y - this.y, target.x - this.x);
                     const baseDmg = GameConfig.PLAYER.BASE_DAMAGE * this.damageMod;
@@ -561,7 +618,7 @@ export class Player {
             while (ao.fireTimer >= ao.fireInterval && game.enemies.length > 0) {
                 ao.fireTimer -= ao.fireInterval;
                 // Pick a random enemy to fire at
-                const enemy = game.enemies[Math.floor(Math.random() * game.enemies.length)];
+                const enemy = game.rng.crits.pick(game.enemies);
                 if (enemy) {
                     const angle = Math.atan2(enemy.y - this.y, enemy.x - this.x);
                     const baseDmg = GameConfig.PLAYER.BASE_DAMAGE * this.damageMod * ao.damageMultiplier;
@@ -579,6 +636,53 @@ export class Player {
         }
     }
 
+    /**
+     * Pick the enemy auto-aim should track. In hybrid aim a living locked
+     * target wins; otherwise the usual priority search decides.
+     *
+     * @private
+     * @param {import('./Game.js').Game} game
+     * @returns {Object|null}
+     */
+    _selectTarget(game) {
+        if (game.aimMode === GameConfig.CONTROLS.AIM_MODES.MANUAL) return null;
+
+        const locked = this.lockedTarget;
+        if (locked && (game.aimMode !== GameConfig.CONTROLS.AIM_MODES.HYBRID || locked.dying || locked.health <= 0 || locked.untargetable)) {
+            this.lockedTarget = null;
+        }
+        return this.lockedTarget || this.findNearestEnemy(game.enemies, game);
+    }
+
+    /**
+     * Manual aim - turn toward the input frame's aim direction and fire while
+     * the trigger is held. Turning is capped by rotation speed and shots wait
+     * for FIRING_TOLERANCE, same as auto-aim.
+     *
+     * @private
+     * @param {number} delta - Time elapsed since last frame
+     * @param {Object} input - Input frame
+     * @param {import('./Game.js').Game} game - Game instance
+     */
+    _updateManualAim(delta, input, game) {
+        this.currentTarget = null;
+        const direction = input?.aimDirection;
+        if (!Number.isInteger(direction) || direction < 0) {
+            this.isRotating = false;
+            this.targetAngle = null;
+            return;
+        }
+
+        this.targetAngle = MathUtils.normalizeAngle(direction * (Math.PI * 2) / GameConfig.CONTROLS.AIM_DIRECTIONS);
+        this._updateRotation(delta);
+
+        const isReasonablyAimed = MathUtils.isAngleWithinTolerance(this.angle, this.targetAngle, GameConfig.PLAYER.FIRING_TOLERANCE);
+        if (input.mouseDown && this.fireCooldown <= 0 && isReasonablyAimed) {
+            this.fireProjectile(game, this.targetAngle);
+            this.fireCooldown = this.getFireInterval();
+        }
+    }
+
     /**
      * Update targeting system - track current target and decide when to switch
      *
@@ -671,61 +775,89 @@ export class Player {
     
     /**
      * Find the optimal target enemy using priority-based selection algorithm
-     * Prioritizes enemies based on distance and health remaining
-     * Only targets enemies within the visible game area
+     * Prioritizes enemies based on distance and health remaining, preferring marked ones
+     * Only targets enemies it can see (isInSight), preferring ones with no gravity well in the line of fire
      * 
      * @param {Array<import('./Enemy.js').Enemy>} enemies - Array of enemy objects to evaluate
+     * @param {import('./Game.js').Game} game - Game instance (provides the arena bounds)
      * @returns {Object|null} Best target enemy or null if none available
      * 
      * @example
-     * const target = player.findNearestEnemy(game.enemies);
+     * const target = player.findNearestEnemy(game.enemies, game);
      * if (target) {
      *   console.log(`Targeting enemy at (${target.x}, ${target.y})`);
      * }
      */
-    findNearestEnemy(enemies) {
-        if (!Array.isArray(enemies) || enemies.length === 0) {
+    findNearestEnemy(enemies, game) {
+        if (!Array.isArray(enemies) || enemies.length === 0 || !game) {
             return null;
         }
         
-        // Get canvas dimensions for boundary checking
-        const canvas = /** @type {HTMLCanvasElement} */ (document.getElementById('gameCanvas'));
-        if (!canvas) return null;
-        
-        const targetingMargin = 10; // Don't target enemies too close to edge
-        const minX = targetingMargin;
-        const minY = targetingMargin;
-        const canvasWidth = canvas.logicalWidth || canvas.width;
-        const canvasHeight = canvas.logicalHeight || canvas.height;
-        const maxX = canvasWidth - targetingMargin;
-        const maxY = canvasHeight - targetingMargin;
-        
         let bestTarget = null;
         let bestPriority = Infinity;
+        let bestClear = false;
         
         for (let eIdx = 0; eIdx < enemies.length; eIdx++) {
             const enemy = enemies[eIdx];
-            if (enemy.dying) continue; // Skip enemies already dying
+            if (enemy.dying || enemy.untargetable) continue; // Skip dying and phased-out enemies
+            if (!this.isInSight(enemy, game)) continue;
             
-            // Skip enemies outside the visible targeting area
-            if (enemy.x < minX || enemy.x > maxX || enemy.y < minY || enemy.y > maxY) {
-                continue;
-            }
-            
-            const distance = this._calculateDistanceSqTo(enemy);
+            // Marked enemies (Tactician) count as half as far away
+            const markFactor = enemy.statusEffects.has('marked') ? 0.25 : 1;
+            const distance = this._calculateDistanceSqTo(enemy) * markFactor;
             // Lower health enemies get higher priority (lower score)
             const healthFactor = (enemy.maxHealth - enemy.health) * 0.1;
             const priority = distance - healthFactor * healthFactor;
+            // A gravity well in the line of fire bends every shot away, so any
+            // clear target beats one behind a well
+            const clear = !game.arenaFeatureSystem.crossesGravityWell(this.x, this.y, enemy.x, enemy.y);
             
-            if (priority < bestPriority) {
+            if ((clear && !bestClear) || (clear === bestClear && priority < bestPriority)) {
                 bestPriority = priority;
                 bestTarget = enemy;
+                bestClear = clear;
             }
         }
         
         return bestTarget;
     }
     
+    /**
+     * Whether auto-aim can see an enemy: inside the visible targeting area
+     * and not behind the ring's pillar, which would absorb every shot.
+     *
+     * @param {import('./Enemy.js').Enemy} enemy
+     * @param {import('./Game.js').Game} game
+     * @returns {boolean}
+     */
+    isInSight(enemy, game) {
+        const { width, height } = game.getLogicalCanvasSize();
+        const targetingMargin = 10; // Don't target enemies too close to edge
+        if (enemy.x < targetingMargin || enemy.x > width - targetingMargin
+            || enemy.y < targetingMargin || enemy.y > height - targetingMargin) {
+            return false;
+        }
+        return !this._isBehindPillar(game.getArenaGeometry(), enemy);
+    }
+
+    /**
+     * Whether the ring's pillar would absorb a shot at an enemy. The shot
+     * lands at the enemy's edge, so only the line up to there has to clear.
+     * @private
+     * @param {import('./systems/ArenaLayouts.js').ArenaGeometry} geometry
+     * @param {import('./Enemy.js').Enemy} enemy
+     * @returns {boolean}
+     */
+    _isBehindPillar(geometry, enemy) {
+        if (geometry.pillar <= 0) return false;
+        const dx = enemy.x - this.x;
+        const dy = enemy.y - this.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        if (distance <= enemy.radius) return false;
+        const reach = 1 - enemy.radius / distance;
+        return isBlockedByPillar(geometry, this.x, this.y, this.x + dx * reach, this.y + dy * reach, GameConfig.ARENA_LAYOUT.SHOT_CLEARANCE);
+    }
+
     /**
      * Calculate Euclidean distance to another entity
      * 
@@ -789,7 +921,7 @@ export class Player {
      * const interval = player.getFireInterval(); // Returns baseFireRate / 2
      */
     getFireInterval() {
-        let mod = this.fireRateMod;
+        let mod = this.fireRateMod * this.chillFactor;
         // Focused Fire active buff doubles fire rate
         const ff = this._skillBuffs.focusedFire;
         if (ff) {
@@ -923,7 +1055,7 @@ export class Player {
             projectile.reset(this.x, this.y, angle, damage, this.projectileSpeedMod, options);
         }
 		
-        this._applyProjectileModifications(projectile);
+        this._applyProjectileModifications(projectile, game);
 
         // Emit projectile:fired event for ascension plugins (EchoStrikePlugin, etc.)
         if (game.eventBus && !options.isEcho) {
@@ -938,8 +1070,9 @@ export class Player {
      * 
      * @private
      * @param {Projectile} projectile - Projectile to modify
+     * @param {Object} game - Game instance (owns the crit RNG stream)
      */
-    _applyProjectileModifications(projectile) {
+    _applyProjectileModifications(projectile, game) {
         if (this.piercingLevel > 0) {
             projectile.piercing = true;
             projectile.piercingCount = this.piercingLevel;
@@ -969,7 +1102,7 @@ export class Player {
         // Apply Lucky Shots critical hit chance with external bonuses
         const baseCritChance = (this.luckyShots && this.luckyShots.active) ? this.luckyShots.chance : 0;
         const totalCritChance = Math.min(0.75, baseCritChance + (this.externalModifiers.critBonus || 0));
-        if (totalCritChance > 0 && Math.random() < totalCritChance) {
+        if (totalCritChance > 0 && game.rng.crits.chance(totalCritChance)) {
             projectile.isCritical = true;
             projectile.damage *= 2; // Double damage for critical hits
             projectile.glowColor = '#ffff00';
@@ -1001,9 +1134,9 @@ export class Player {
         
         // Create small white particles with random spread using game's particle pool
         for (let i = 0; i < GameConfig.PLAYER.MUZZLE_FLASH_PARTICLES; i++) {
-            const angle = this.angle + (Math.random() - 0.5) * 0.5; // ±0.25 radian spread
-            const speed = 30 + Math.random() * 20; // 30-50 pixel/second speed
-            const life = 100 + Math.random() * 100; // 100-200ms lifetime
+            const angle = this.angle + cosmeticRng.range(-0.25, 0.25); // ±0.25 radian spread
+            const speed = cosmeticRng.range(30, 50); // 30-50 pixel/second speed
+            const life = cosmeticRng.range(100, 200); // 100-200ms lifetime
             
             // Use game's particle pool instead of creating new Particle
             const particle = game.particlePool.get(
@@ -1073,6 +1206,7 @@ export class Player {
             if (amount <= 0) return; // All damage absorbed by shield
         }
         
+        this.damageTaken += Math.min(amount, this.hp);
         this.hp -= amount;
         this.hp = Math.max(0, this.hp);
 
@@ -1121,15 +1255,21 @@ export class Player {
     /**
      * Activate Barrier Phase for temporary invulnerability
      * Player becomes invulnerable for a short duration
+     *
+     * @param {number} [duration=3000] - Invulnerability duration (ms)
+     * @param {boolean} [startCooldown=true] - Whether to start the low-HP trigger cooldown
+     *   (skills that grant barrier time directly pass false)
      */
-    activateBarrierPhase() {
+    activateBarrierPhase(duration = 3000, startCooldown = true) {
+        // Never cut short a longer barrier that is already running
+        this.barrierPhaseDuration = this.barrierPhaseActive
+            ? Math.max(this.barrierPhaseDuration, duration)
+            : duration;
         this.barrierPhaseActive = true;
-        this.barrierPhaseCooldown = this.barrierPhaseMaxCooldown;
-        this.barrierPhaseDuration = 3000; // Reset duration to 3 seconds
+        if (startCooldown) {
+            this.barrierPhaseCooldown = this.barrierPhaseMaxCooldown;
+        }
         playSFX('player_barrier_on');
-        
-        // Visual indicator - could add particle effects here
-        console.log('Barrier Phase activated! Invulnerable for 3 seconds!');
     }
     
     /**
@@ -1145,6 +1285,18 @@ export class Player {
         console.log(`Emergency Heal activated! Restored to ${Math.floor(this.emergencyHeal.healTarget * 100)}% health!`);
     }
     
+    /**
+     * Chill the player (slower movement and fire rate) for a short time.
+     * Overlapping chills keep the strongest factor; auras reapply it every tick.
+     *
+     * @param {number} factor - Multiplier below 1
+     * @param {number} duration - Duration in milliseconds
+     */
+    applyChill(factor, duration) {
+        this.chillFactor = this._chillTimer > 0 ? Math.min(this.chillFactor, factor) : factor;
+        this._chillTimer = Math.max(this._chillTimer, duration);
+    }
+
     /**
      * Apply slow field effect to all enemies within range
      * Slows enemy movement based on stack count (15% per stack, max 90%)
@@ -3,10 +3,9 @@
  * Handles different types of projectiles including standard, piercing, and explosive bullets.
  */
 
-import { game } from './main.js';
 import { GameConfig } from './config/GameConfig.js';
-import { vfxHelper } from './managers/VFXHelper.js';
-const createFloatingText = vfxHelper.createFloatingText.bind(vfxHelper);
+import { vfx } from './managers/RuntimeAdapters.js';
+const createFloatingText = vfx.createFloatingText;
 import { MathUtils } from './utils/MathUtils.js';
 import { dealAreaDamage } from './utils/AOEUtils.js';
 
@@ -69,6 +68,8 @@ export class Projectile {
     reset(x, y, angle, damage, speedMod = 1, options = {}) {
         this.x = x;
         this.y = y;
+        this.prevTickX = x;
+        this.prevTickY = y;
         this.angle = angle;
         this.damage = damage;
         this.originalDamage = damage;
@@ -81,6 +82,8 @@ export class Projectile {
         this.isOverchargeBurst = !!options.isOvercharge;
         this.ignoresShields = !!options.ignoresShields;
         this.size = options.size || this.radius;
+        /** @type {import('./Ally.js').Ally|null} Turret or drone that fired this, null for the player */
+        this.owner = options.owner || null;
 
         this.piercing = false;
         this.piercingCount = 0;
@@ -149,8 +152,9 @@ export class Projectile {
      * Called once per frame by the game loop.
      * 
      * @param {number} delta - Time elapsed since last frame in milliseconds
+     * @param {import('./Game.js').Game} [game] - Owning game, for pause state and homing targets
      */
-    update(delta) {
+    update(delta, game) {
         // Skip position updates if game is not playing
         if (game && game.gameState !== 'playing') return;
         
@@ -197,7 +201,7 @@ export class Projectile {
         // On non-scan frames, steer toward cached target if still alive
         if (this._homingFrame % 3 !== 0 && this._homingTarget) {
             const target = this._homingTarget;
-            if (target.dying || target.health <= 0) {
+            if (target.dying || target.health <= 0 || target.untargetable) {
                 this._homingTarget = null;
             } else {
                 this._steerToward(target, delta);
@@ -211,7 +215,7 @@ export class Projectile {
 
         for (let i = 0; i < enemies.length; i++) {
             const enemy = enemies[i];
-            if (enemy.dying) continue;
+            if (enemy.dying || enemy.untargetable) continue;
 
             const dx = enemy.x - this.x;
             const dy = enemy.y - this.y;
@@ -290,6 +294,22 @@ export class Projectile {
             this.y > canvasHeight + margin
         );
     }
+
+    /**
+     * Reflect off a surface (arena cover), spending one ricochet bounce.
+     * Does nothing if the projectile is already moving away from it.
+     *
+     * @param {number} normalX - Unit surface normal, pointing out of the surface
+     * @param {number} normalY
+     */
+    ricochet(normalX, normalY) {
+        const dot = this.vx * normalX + this.vy * normalY;
+        if (dot >= 0) return;
+        this.vx -= 2 * dot * normalX;
+        this.vy -= 2 * dot * normalY;
+        this.ricochetBounces--;
+        this.angle = Math.atan2(this.vy, this.vx);
+    }
     
     /**
      * Triggers explosion effect if this is an explosive projectile.
@@ -336,7 +356,7 @@ export class Projectile {
         const chainHit = game.player?.chainHit;
         if (chainHit && hitEnemies.length > 0 && !this._isChainExplosion) {
             const chainChance = chainHit.chance;
-            if (Math.random() < chainChance) {
+            if (game.rng.crits.chance(chainChance)) {
                 // Find nearest enemy NOT already hit by this explosion
                 const hitIds = new Set(hitEnemies.map(h => h.enemy.id));
                 if (excludedEnemyId !== null) hitIds.add(excludedEnemyId);
@@ -365,7 +385,7 @@ export class Projectile {
                     nearest.takeDamage(chainDamage);
 
                     // If Chain Master allows further chaining, attempt another bounce
-                    if (escalation > 0 && Math.random() < chainChance) {
+                    if (escalation > 0 && game.rng.crits.chance(chainChance)) {
                         // Re-use explode logic for further chains
                         const furtherHitIds = new Set([...hitIds, nearest.id]);
                         let nextNearest = null;
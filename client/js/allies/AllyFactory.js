@@ -0,0 +1,67 @@
+import { Turret } from './Turret.js';
+import { Drone } from './Drone.js';
+
+/**
+ * Factory functions for allied entities.
+ */
+
+/**
+ * Creates a turret at a fixed position.
+ * @param {number} x - Placement X coordinate
+ * @param {number} y - Placement Y coordinate
+ * @param {number} hpMultiplier - Player's ally HP multiplier
+ * @param {number} lifetime - Lifetime in milliseconds
+ * @returns {Turret}
+ */
+export function createTurret(x, y, hpMultiplier, lifetime) {
+    return new Turret(x, y, { hpMultiplier, lifetime });
+}
+
+/**
+ * Creates a permanent combat drone orbiting the player.
+ * @param {{x: number, y: number}} player - Player the drone orbits
+ * @param {number} orbitAngle - Starting angle around the player in radians
+ * @param {number} hpMultiplier - Player's ally HP multiplier
+ * @returns {Drone}
+ */
+export function createDrone(player, orbitAngle, hpMultiplier) {
+    return new Drone(player.x, player.y, orbitAngle, { hpMultiplier });
+}
+
+/**
+ * Creates a temporary Drone Swarm assault drone.
+ * @param {{x: number, y: number}} player - Player the drone orbits
+ * @param {number} orbitAngle - Starting angle around the player in radians
+ * @param {number} hpMultiplier - Player's ally HP multiplier
+ * @param {number} lifetime - Lifetime in milliseconds
+ * @returns {Drone}
+ */
+export function createAssaultDrone(player, orbitAngle, hpMultiplier, lifetime) {
+    return new Drone(player.x, player.y, orbitAngle, { hpMultiplier, lifetime, assault: true });
+}
+
+/**
+ * Rebuild an ally from its serialized form (see Ally.serialize).
+ * @param {{kind: string, x: number, y: number, hp: number, maxHp: number, lifetime: number|null, orbitAngle?: number}} data
+ * @returns {Turret|Drone|null} null for unknown kinds
+ */
+export function createAllyFromSave(data) {
+    let ally;
+    switch (data.kind) {
+        case 'turret':
+            ally = new Turret(data.x, data.y, { lifetime: data.lifetime });
+            break;
+        case 'drone':
+        case 'assault_drone':
+            ally = new Drone(data.x, data.y, data.orbitAngle || 0, {
+                lifetime: data.lifetime,
+                assault: data.kind === 'assault_drone',
+            });
+            break;
+        default:
+            return null;
+    }
+    ally.maxHp = data.maxHp;
+    ally.hp = Math.min(data.hp, data.maxHp);
+    return ally;
+}
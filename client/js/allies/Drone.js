@@ -0,0 +1,69 @@
+import { Ally } from '../Ally.js';
+import { GameConfig } from '../config/GameConfig.js';
+
+/**
+ * Drone that orbits the player and fires at nearby enemies.
+ * Combat drones (Combat Drone / Drone Bay) are permanent and respawned by their
+ * plugin; assault drones (Drone Swarm) are temporary.
+ */
+export class Drone extends Ally {
+    /**
+     * @param {number} x - Spawn X coordinate
+     * @param {number} y - Spawn Y coordinate
+     * @param {number} orbitAngle - Starting angle around the player in radians
+     * @param {{hpMultiplier?: number, lifetime?: number|null, assault?: boolean}} [options]
+     *   - See Ally constructor; `assault` selects the Drone Swarm variant
+     */
+    constructor(x, y, orbitAngle, options = {}) {
+        const assault = !!options.assault;
+        const stats = assault ? GameConfig.ALLY.ASSAULT_DRONE : GameConfig.ALLY.DRONE;
+        super(assault ? 'assault_drone' : 'drone', x, y, stats, options);
+        this.isDrone = true;
+        this.orbitAngle = orbitAngle;
+        this.orbitRadius = stats.ORBIT_RADIUS;
+        this.orbitSpeed = stats.ORBIT_SPEED;
+    }
+
+    move(delta, game) {
+        const player = game.player;
+        this.orbitAngle = (this.orbitAngle + this.orbitSpeed * (delta / 1000)) % (Math.PI * 2);
+        this.x = player.x + Math.cos(this.orbitAngle) * this.orbitRadius;
+        this.y = player.y + Math.sin(this.orbitAngle) * this.orbitRadius;
+    }
+
+    serialize() {
+        return { ...super.serialize(), orbitAngle: this.orbitAngle };
+    }
+
+    draw(ctx) {
+        const bodyColor = this.flashTimer > 0 ? '#fff' : this.color;
+        const size = this.radius;
+
+        // Fake glow
+        ctx.fillStyle = this.color;
+        ctx.globalAlpha = 0.25;
+        ctx.beginPath();
+        ctx.arc(this.x, this.y, size + 4, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.globalAlpha = 1;
+
+        // Diamond body facing the last target
+        ctx.save();
+        ctx.translate(this.x, this.y);
+        ctx.rotate(this.angle);
+        ctx.fillStyle = bodyColor;
+        ctx.strokeStyle = '#fff';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(size, 0);
+        ctx.lineTo(0, -size * 0.7);
+        ctx.lineTo(-size * 0.8, 0);
+        ctx.lineTo(0, size * 0.7);
+        ctx.closePath();
+        ctx.fill();
+        ctx.stroke();
+        ctx.restore();
+
+        this.drawHealthRing(ctx);
+    }
+}
@@ -0,0 +1,61 @@
+import { Ally } from '../Ally.js';
+import { GameConfig } from '../config/GameConfig.js';
+
+/**
+ * Stationary turret placed by the Engineer's Deploy Turret skill.
+ */
+export class Turret extends Ally {
+    /**
+     * @param {number} x - Placement X coordinate
+     * @param {number} y - Placement Y coordinate
+     * @param {{hpMultiplier?: number, lifetime?: number|null}} [options] - See Ally constructor
+     */
+    constructor(x, y, options = {}) {
+        super('turret', x, y, GameConfig.ALLY.TURRET, options);
+        this.isTurret = true;
+    }
+
+    draw(ctx) {
+        const bodyColor = this.flashTimer > 0 ? '#fff' : this.color;
+        const size = this.radius;
+
+        // Fake glow behind the base
+        ctx.fillStyle = this.color;
+        ctx.globalAlpha = 0.2;
+        ctx.beginPath();
+        ctx.arc(this.x, this.y, size + 5, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.globalAlpha = 1;
+
+        // Square base
+        ctx.fillStyle = '#102010';
+        ctx.strokeStyle = bodyColor;
+        ctx.lineWidth = 2;
+        ctx.fillRect(this.x - size, this.y - size, size * 2, size * 2);
+        ctx.strokeRect(this.x - size, this.y - size, size * 2, size * 2);
+
+        // Barrel pointing at the last target
+        ctx.save();
+        ctx.translate(this.x, this.y);
+        ctx.rotate(this.angle);
+        ctx.fillStyle = bodyColor;
+        ctx.fillRect(0, -2.5, size + 8, 5);
+        ctx.beginPath();
+        ctx.arc(0, 0, size * 0.55, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.restore();
+
+        // Lifetime fades the turret out over its last two seconds
+        if (this.lifetime !== null && this.lifetime < 2000) {
+            ctx.strokeStyle = this.color;
+            ctx.lineWidth = 1;
+            ctx.globalAlpha = 0.5 * (this.lifetime / 2000);
+            ctx.beginPath();
+            ctx.arc(this.x, this.y, size + 10, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.globalAlpha = 1;
+        }
+
+        this.drawHealthRing(ctx);
+    }
+}
@@ -0,0 +1,162 @@
+/**
+ * @fileoverview Shared attack loop for bosses.
+ *
+ * A boss lists its attacks as pattern data (see BossDefinition in Boss.js).
+ * The sequencer rolls a weighted pattern from those the current HP phase
+ * allows, shows its telegraph, holds the boss still for a short windup and
+ * then executes it. The next roll waits out the boss's attack interval,
+ * counted from when the telegraph started. Every step runs on simulation
+ * time, so replays and headless runs stay deterministic.
+ */
+
+import { GameConfig } from '../config/GameConfig.js';
+
+/**
+ * @typedef {Object} AttackPattern
+ * @property {string} id - Unique within the boss
+ * @property {string} [name] - Shown above the boss while the attack is prepared
+ * @property {number} [weight=1] - Relative chance to be picked
+ * @property {number|function(import('../Boss.js').Boss): number} [cooldown=0] - Minimum time between two uses (ms)
+ * @property {number} [telegraph] - Warning time (ms); defaults to GameConfig.BOSS.TELEGRAPH_TIME
+ * @property {number} [windup] - Hold-still time after the telegraph (ms); defaults to GameConfig.BOSS.WINDUP_TIME
+ * @property {function(import('../Boss.js').Boss, Object): boolean} [when] - Only picked while this returns true
+ * @property {function(import('../Boss.js').Boss, Object): void} [onTelegraph] - Runs when the telegraph starts (lock aim, pick a spot)
+ * @property {function(import('../Boss.js').Boss, Object): void} execute - Performs the attack
+ * @property {function(CanvasRenderingContext2D, import('../Boss.js').Boss, number): void} [drawTelegraph] - Custom warning; gets progress 0..1
+ */
+
+export class AttackSequencer {
+    /**
+     * @param {AttackPattern[]} patterns
+     * @param {number} [initialDelay] - Time before the first roll (ms)
+     */
+    constructor(patterns, initialDelay = GameConfig.BOSS.FIRST_ATTACK_DELAY) {
+        this.patterns = patterns;
+        /** @type {'idle'|'telegraph'|'windup'} */
+        this.state = 'idle';
+        this.timer = initialDelay;
+        this.duration = 0;
+        /** @type {AttackPattern|null} */
+        this.current = null;
+        /** @type {string|null} */
+        this.lastPatternId = null;
+        /** @type {Object<string, number>} Remaining per-pattern cooldowns (ms) */
+        this.cooldowns = {};
+    }
+
+    /**
+     * Progress through the current telegraph or windup (0..1).
+     * @returns {number}
+     */
+    getProgress() {
+        if (this.state === 'idle' || this.duration <= 0) return 0;
+        return Math.min(1, Math.max(0, 1 - this.timer / this.duration));
+    }
+
+    /**
+     * Whether a given pattern is being telegraphed or wound up.
+     * @param {string} id
+     * @returns {boolean}
+     */
+    isPreparing(id) {
+        return this.state !== 'idle' && this.current?.id === id;
+    }
+
+    /**
+     * Drop the attack in progress and wait before rolling again.
+     * @param {number} delay - ms
+     */
+    interrupt(delay) {
+        this.state = 'idle';
+        this.current = null;
+        this.timer = Math.max(this.timer, delay);
+        this.duration = 0;
+    }
+
+    /**
+     * Advance the loop; may execute at most one attack per call.
+     * @param {number} delta - ms
+     * @param {import('../Boss.js').Boss} boss
+     * @param {Object} player
+     */
+    update(delta, boss, player) {
+        for (const id in this.cooldowns) {
+            this.cooldowns[id] -= delta;
+        }
+        this.timer -= delta;
+
+        if (this.state === 'idle') {
+            if (this.timer > 0) return;
+            const pattern = this._pick(boss, player);
+            if (!pattern) {
+                this.timer = 0;
+                return;
+            }
+            this.current = pattern;
+            this.state = 'telegraph';
+            this.duration = pattern.telegraph ?? GameConfig.BOSS.TELEGRAPH_TIME;
+            this.timer = this.duration;
+            pattern.onTelegraph?.(boss, player);
+        }
+
+        if (this.state === 'telegraph' && this.timer <= 0) {
+            this.state = 'windup';
+            this.duration = this.current.windup ?? GameConfig.BOSS.WINDUP_TIME;
+            this.timer += this.duration;
+        }
+
+        if (this.state === 'windup' && this.timer <= 0) {
+            const pattern = this.current;
+            const telegraph = pattern.telegraph ?? GameConfig.BOSS.TELEGRAPH_TIME;
+            const windup = pattern.windup ?? GameConfig.BOSS.WINDUP_TIME;
+            const cooldown = typeof pattern.cooldown === 'function' ? pattern.cooldown(boss) : (pattern.cooldown || 0);
+            this.cooldowns[pattern.id] = cooldown;
+            this.lastPatternId = pattern.id;
+            this.state = 'idle';
+            this.current = null;
+            this.duration = 0;
+            this.timer = Math.max(0, boss.getAttackInterval() - telegraph - windup);
+            pattern.execute(boss, player);
+        }
+    }
+
+    /**
+     * Weighted roll over the patterns the current phase allows. The previous
+     * pattern sits out when anything else is available.
+     * @private
+     * @param {import('../Boss.js').Boss} boss
+     * @param {Object} player
+     * @returns {AttackPattern|null}
+     */
+    _pick(boss, player) {
+        const phase = boss.getPhase();
+        let candidates = this.patterns.filter((pattern) =>
+            (!phase.patterns || phase.patterns.includes(pattern.id))
+            && (this.cooldowns[pattern.id] || 0) <= 0
+            && (!pattern.when || pattern.when(boss, player))
+            && this._getWeight(pattern, phase) > 0
+        );
+        if (candidates.length > 1) {
+            candidates = candidates.filter((pattern) => pattern.id !== this.lastPatternId);
+        }
+        if (candidates.length === 0) return null;
+
+        const total = candidates.reduce((sum, pattern) => sum + this._getWeight(pattern, phase), 0);
+        let roll = boss.game.rng.ai.next() * total;
+        for (const pattern of candidates) {
+            roll -= this._getWeight(pattern, phase);
+            if (roll < 0) return pattern;
+        }
+        return candidates[candidates.length - 1];
+    }
+
+    /**
+     * @private
+     * @param {AttackPattern} pattern
+     * @param {import('../Boss.js').BossPhase} phase
+     * @returns {number}
+     */
+    _getWeight(pattern, phase) {
+        return phase.weights?.[pattern.id] ?? pattern.weight ?? 1;
+    }
+}
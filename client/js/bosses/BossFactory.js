@@ -5,16 +5,39 @@ import { TeleporterBoss } from './TeleporterBoss.js';
 import { SplitterBoss } from './SplitterBoss.js';
 import { VortexBoss } from './VortexBoss.js';
 import { ChronoBoss } from './ChronoBoss.js';
+import { MirrorBoss } from './MirrorBoss.js';
+import { SwarmMindBoss } from './SwarmMindBoss.js';
+import { GridWardenBoss } from './GridWardenBoss.js';
 
 /**
- * Factory function to create the appropriate boss for the current wave.
- * Progressively unlocks boss types as waves advance.
+ * Boss classes by bossType. Wave definitions name bosses by these keys.
+ * @type {Object<string, new (x: number, y: number, health: number, damage: number, game: import('../Game.js').Game) => Boss>}
+ */
+export const BOSS_TYPES = {
+    Classic: Boss,
+    Shield: ShieldBoss,
+    Teleporter: TeleporterBoss,
+    Splitter: SplitterBoss,
+    Vortex: VortexBoss,
+    Chrono: ChronoBoss,
+    Mirror: MirrorBoss,
+    SwarmMind: SwarmMindBoss,
+    GridWarden: GridWardenBoss,
+};
+
+/**
+ * Factory function to create a boss for the current wave.
+ * Which boss appears on which wave is decided by the active wave set
+ * (see config/WaveConfig.js).
  *
  * @param {import('../Game.js').Game} game
+ * @param {string|string[]} bossType - A BOSS_TYPES key, or a pool to pick one from at random
+ * @param {Object} [options]
+ * @param {string|null} [options.exclude] - Left out of a pool that has other choices (the previous boss)
+ * @param {number} [options.wave] - Wave whose health and damage scaling to use; defaults to the current wave
  * @returns {Boss}
  */
-export function createBoss(game) {
-    const wave = game.wave;
+export function createBoss(game, bossType, { exclude = null, wave = game.wave } = {}) {
     const difficultyPreset = game.waveManager?.difficultyPreset || GameConfig.DIFFICULTY_PRESETS.normal;
     const healthMultiplier = difficultyPreset.enemyHealthMultiplier || 1;
     const speedMultiplier = difficultyPreset.enemySpeedMultiplier || 1;
@@ -25,40 +48,21 @@ export function createBoss(game) {
     const canvasWidth = game.canvas.logicalWidth || game.canvas.width;
     const canvasHeight = game.canvas.logicalHeight || game.canvas.height;
 
-    const centerX = canvasWidth / 2;
-    const centerY = canvasHeight / 2;
     const spawnMargin = GameConfig.ENEMY.SPAWN_MARGIN;
     const spawnRadius = Math.max(canvasWidth, canvasHeight) / 2 + spawnMargin;
-    const angle = Math.random() * Math.PI * 2;
-    const x = centerX + Math.cos(angle) * spawnRadius;
-    const y = centerY + Math.sin(angle) * spawnRadius;
-
-    // Fixed boss rotation — each boss wave spawns a specific boss type.
-    // Waves: 5→Classic, 10→Shield, 15→Teleporter, 20→Splitter, 25→Vortex, 30→Chrono
-    const maxWave = GameConfig.BOSS.MAX_WAVE;
-    const interval = GameConfig.BOSS.WAVE_INTERVAL;
-
-    /** @type {Array<[number, typeof Boss]>} Ordered boss roster (wave → class) */
-    const BOSS_ROSTER = [
-        [interval * 1, Boss],            // Wave 5  – Classic
-        [interval * 2, ShieldBoss],      // Wave 10 – Barrier / Shield
-        [interval * 3, TeleporterBoss],  // Wave 15 – Teleporter
-        [interval * 4, SplitterBoss],    // Wave 20 – Splitter
-        [interval * 5, VortexBoss],      // Wave 25 – Vortex
-        [maxWave,      ChronoBoss],      // Wave 30 – Chrono (final)
-    ];
+    const angle = game.rng.spawns.range(0, Math.PI * 2);
+    const { x, y } = game.getSpawnPosition(angle, spawnRadius);
 
-    let boss;
-    const entry = BOSS_ROSTER.find(([w]) => w === wave);
-    if (entry) {
-        const [, BossClass] = entry;
-        boss = new BossClass(x, y, health, damage, game);
+    // A pool (endless waves) is rolled after the spawn angle
+    let type;
+    if (Array.isArray(bossType)) {
+        const pool = bossType.length > 1 ? bossType.filter((candidate) => candidate !== exclude) : bossType;
+        type = game.rng.spawns.pick(pool);
     } else {
-        // Endless mode (wave > maxWave): pick randomly from the full roster
-        const pool = BOSS_ROSTER.map(([, Cls]) => Cls);
-        const BossClass = pool[Math.floor(Math.random() * pool.length)];
-        boss = new BossClass(x, y, health, damage, game);
+        type = bossType;
     }
+    const BossClass = BOSS_TYPES[type] || Boss;
+    const boss = new BossClass(x, y, health, damage, game);
 
     boss.speed *= speedMultiplier;
     return boss;
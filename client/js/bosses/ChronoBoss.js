@@ -1,25 +1,66 @@
 import { Boss } from '../Boss.js';
 import { GameConfig } from '../config/GameConfig.js';
 import { Projectile } from '../Projectile.js';
-import { playSFX } from '../main.js';
+import { playSFX } from '../managers/RuntimeAdapters.js';
 import { MathUtils } from '../utils/MathUtils.js';
+import { getTelegraphColor, isHighContrast, drawHazardCircle } from '../utils/PaletteUtils.js';
 
 // ─── CHRONO BOSS (FINAL BOSS) ──────────────────────────────────────────────
+/**
+ * Chrono Boss attack patterns. Minions only come during the slow stance;
+ * the last phase drops the summons and leans on salvos and slams.
+ */
+const CHRONO_BOSS = {
+    label: '★ CHRONO BOSS ★',
+    color: '#ffcc00',
+    pulse: { period: 150, amplitude: 6 },
+    patterns: [
+        { id: 'comboBurst', telegraph: 350, execute: (boss) => boss.comboBurst() },
+        { id: 'spiralWave', telegraph: 350, execute: (boss) => boss.spiralWave() },
+        {
+            id: 'chargeSlam',
+            telegraph: 450,
+            onTelegraph: (boss, player) => boss.lockTarget(player),
+            execute: (boss) => boss.charge(boss.lockedTarget),
+            drawTelegraph: (ctx, boss, progress) => boss.drawChargeTelegraph(ctx, progress)
+        },
+        { id: 'rapidSalvo', telegraph: 300, execute: (boss, player) => boss.rapidSalvo(player) },
+        {
+            id: 'summon',
+            weight: 2,
+            telegraph: 300,
+            cooldown: GameConfig.BOSS.MINION_SPAWN_COOLDOWN * 1.5,
+            when: (boss) => boss.stance === 'slow',
+            execute: (boss) => boss.spawnMinions()
+        }
+    ],
+    phases: [
+        { threshold: 1 },
+        { threshold: 0.6, name: 'ACCELERATE', attackCooldownMultiplier: 0.85 },
+        {
+            threshold: 0.25,
+            name: 'TIME STOP',
+            attackCooldownMultiplier: 0.75,
+            speedMultiplier: 1.15,
+            patterns: ['comboBurst', 'spiralWave', 'chargeSlam', 'rapidSalvo'],
+            weights: { rapidSalvo: 2, chargeSlam: 2 }
+        }
+    ]
+};
+
 /**
  * Chrono Boss — the final boss at wave 30. Alternates between speed burst
- * and slow field phases with combined projectile patterns from other bosses.
+ * and slow field stances with combined projectile patterns from other bosses.
  */
 export class ChronoBoss extends Boss {
     constructor(x, y, health, damage, game) {
-        super(x, y, health * 1.5, damage, game); // 50% more HP for final boss
+        super(x, y, health * 1.5, damage, game, CHRONO_BOSS); // 50% more HP for final boss
         this.maxHealth = health * 1.5;
         const cfg = GameConfig.BOSS.CHRONO_BOSS;
-        this.color = '#ffcc00';
-        this.glowColor = '#ffcc00';
         this.bossType = 'Chrono';
         this.setBaseRadius(GameConfig.BOSS.RADIUS * 1.15); // Slightly larger
 
-        // Phase system
+        // Stance cycle (independent of the HP phases)
         this.speedPhaseDuration = cfg.SPEED_PHASE_DURATION;
         this.slowPhaseDuration = cfg.SLOW_PHASE_DURATION;
         this.slowFieldFactor = cfg.SLOW_FIELD_FACTOR;
@@ -27,51 +68,46 @@ export class ChronoBoss extends Boss {
         this.comboBurstCount = cfg.COMBO_BURST_COUNT;
         this.slowFieldRadius = cfg.SLOW_FIELD_RADIUS || 450;
 
-        this._phase = 'speed'; // 'speed' or 'slow'
-        this._phaseTimer = 0;
+        /** @type {'speed'|'slow'} */
+        this.stance = 'speed';
+        this._stanceTimer = 0;
         this._playerSlowed = false;
-
-        // Attack rotation
-        this._attackIndex = 0;
-        this._attacks = ['comboBurst', 'spiralWave', 'chargeSlam', 'rapidSalvo'];
     }
 
-    update(delta, player) {
-        const deltaSeconds = delta / 1000;
-
-        this.prevX = this.x;
-        this.prevY = this.y;
+    getAttackInterval() {
+        // Much faster cadence while hasted
+        const stanceScale = this.stance === 'speed' ? 0.45 : 0.8;
+        return super.getAttackInterval() * stanceScale;
+    }
 
-        // Phase timer
-        this._phaseTimer += delta;
-        const phaseDuration = this._phase === 'speed' ? this.speedPhaseDuration : this.slowPhaseDuration;
-        if (this._phaseTimer >= phaseDuration) {
-            this._switchPhase(player);
-            this._phaseTimer = 0;
+    updateMovement(delta, player) {
+        if (this.isCharging) {
+            super.updateMovement(delta, player);
+            return;
         }
 
-        // Movement
-        const dx = player.x - this.x;
-        const dy = player.y - this.y;
         const distance = MathUtils.distance(this.x, this.y, player.x, player.y);
-        const speedMult = (this.game?.modifierState?.enemySpeedMultiplier) || 1;
-        const pressureScale = this.game?.getPressureScale?.() || 1;
-        const phaseFactor = this._phase === 'speed' ? this.speedBurstFactor : 0.6;
-        const keepDist = this._phase === 'speed' ? 60 : 180;
+        const stanceFactor = this.stance === 'speed' ? this.speedBurstFactor : 0.6;
+        const keepDist = this.stance === 'speed' ? 60 : 180;
 
-        if (distance > keepDist) {
-            const actualSpeed = this.speed * phaseFactor * pressureScale * speedMult * deltaSeconds;
-            this.x += (dx / distance) * actualSpeed;
-            this.y += (dy / distance) * actualSpeed;
+        if (distance > keepDist || (distance > 0 && this.isOutOfSight(player))) {
+            const actualSpeed = this.getMoveSpeed() * stanceFactor * (delta / 1000);
+            this.x += ((player.x - this.x) / distance) * actualSpeed;
+            this.y += ((player.y - this.y) / distance) * actualSpeed;
         }
+    }
 
-        if (deltaSeconds > 0) {
-            this.vx = (this.x - this.prevX) / deltaSeconds;
-            this.vy = (this.y - this.prevY) / deltaSeconds;
+    updateBehavior(delta, player) {
+        // Stance timer
+        this._stanceTimer += delta;
+        const stanceDuration = this.stance === 'speed' ? this.speedPhaseDuration : this.slowPhaseDuration;
+        if (this._stanceTimer >= stanceDuration) {
+            this._switchStance(player);
+            this._stanceTimer = 0;
         }
 
-        // Apply slow field to player during slow phase
-        if (this._phase === 'slow') {
+        // Apply slow field to player during slow stance
+        if (this.stance === 'slow') {
             const dist = MathUtils.distance(this.x, this.y, player.x, player.y);
             if (dist < this.slowFieldRadius) {
                 if (!this._playerSlowed) {
@@ -85,31 +121,14 @@ export class ChronoBoss extends Boss {
         } else if (this._playerSlowed) {
             this._restorePlayerSpeed(player);
         }
-
-        // Attacks — cycle through patterns, much faster cadence
-        this.attackTimer += delta;
-        const cd = this._phase === 'speed' ? this.attackCooldown * 0.45 : this.attackCooldown * 0.8;
-        if (this.attackTimer >= cd) {
-            this._executePatternAttack(player);
-            this.attackTimer = 0;
-        }
-
-        // Minion spawning during slow phase
-        if (this._phase === 'slow') {
-            this.minionSpawnTimer += delta;
-            if (this.minionSpawnTimer >= this.minionSpawnCooldown * 1.5) {
-                this.spawnMinions();
-                this.minionSpawnTimer = 0;
-            }
-        }
     }
 
-    _switchPhase(player) {
+    _switchStance(player) {
         if (this._playerSlowed) {
             this._restorePlayerSpeed(player);
         }
-        this._phase = this._phase === 'speed' ? 'slow' : 'speed';
-        playSFX(this._phase === 'speed' ? 'boss_attack_charge_windup' : 'boss_shield_up');
+        this.stance = this.stance === 'speed' ? 'slow' : 'speed';
+        playSFX(this.stance === 'speed' ? 'boss_attack_charge_windup' : 'boss_shield_up');
         this.game.addScreenShake(10, 300);
         this.game.createExplosion(this.x, this.y, 8);
     }
@@ -122,36 +141,14 @@ export class ChronoBoss extends Boss {
         this._playerSlowed = false;
     }
 
-    _executePatternAttack(player) {
-        const pattern = this._attacks[this._attackIndex % this._attacks.length];
-        this._attackIndex++;
-
-        switch (pattern) {
-            case 'comboBurst': this._comboBurst(); break;
-            case 'spiralWave': this._spiralWave(); break;
-            case 'chargeSlam': this.charge(player); break;
-            case 'rapidSalvo': this._rapidSalvo(player); break;
-        }
+    comboBurst() {
+        this.projectileBurst(this.comboBurstCount, 10, this.game.getSimTime() / 200);
     }
 
-    _comboBurst() {
-        playSFX('boss_attack_projectile_burst');
-        const count = this.comboBurstCount;
-        const damage = 10 * this.getDifficultyDamageMultiplier();
-        const offset = Date.now() / 200;
-        for (let i = 0; i < count; i++) {
-            const angle = (Math.PI * 2 / count) * i + offset;
-            const p = new Projectile(this.x, this.y, angle, damage);
-            p.isEnemyProjectile = true;
-            p.speed = GameConfig.BOSS.PROJECTILE_SPEED;
-            this.game.projectiles.push(p);
-        }
-    }
-
-    _spiralWave() {
+    spiralWave() {
         const count = 14;
-        const damage = 12 * this.getDifficultyDamageMultiplier();
-        const baseAngle = Date.now() / 120;
+        const damage = 12 * this.getAttackDamageMultiplier();
+        const baseAngle = this.game.getSimTime() / 120;
         for (let i = 0; i < count; i++) {
             const angle = baseAngle + (Math.PI * 2 / count) * i;
             const p = new Projectile(this.x, this.y, angle, damage);
@@ -161,9 +158,9 @@ export class ChronoBoss extends Boss {
         }
     }
 
-    _rapidSalvo(player) {
+    rapidSalvo(player) {
         const baseAngle = Math.atan2(player.y - this.y, player.x - this.x);
-        const damage = 14 * this.getDifficultyDamageMultiplier();
+        const damage = 14 * this.getAttackDamageMultiplier();
         for (let i = 0; i < 9; i++) {
             const angle = baseAngle + (0.07 * (i - 4));
             const p = new Projectile(this.x, this.y, angle, damage);
@@ -173,38 +170,31 @@ export class ChronoBoss extends Boss {
         }
     }
 
-    draw(ctx) {
-        ctx.save();
-
-        // Draw slow field during slow phase
-        if (this._phase === 'slow') {
-            const alpha = 0.1 + Math.sin(Date.now() / 400) * 0.05;
-            ctx.globalAlpha = alpha;
-            ctx.fillStyle = '#4488ff';
-            ctx.beginPath();
-            ctx.arc(this.x, this.y, this.slowFieldRadius, 0, Math.PI * 2);
-            ctx.fill();
-            ctx.globalAlpha = 1;
-        }
-
-        // Draw boss body with phase-based color
-        const bodyColor = this._phase === 'speed' ? '#ffcc00' : '#4488ff';
-        ctx.shadowColor = bodyColor;
-        ctx.shadowBlur = 30;
-        ctx.fillStyle = bodyColor;
-        ctx.strokeStyle = '#fff';
-        ctx.lineWidth = 3;
-
-        const pulse = Math.sin(Date.now() / 150) * 6;
-        const size = this.radius + pulse;
+    drawUnderlay(ctx) {
+        super.drawUnderlay(ctx);
 
+        // Draw slow field during slow stance
+        if (this.stance !== 'slow') return;
+        ctx.save();
+        const alpha = 0.1 + Math.sin(Date.now() / 400) * 0.05;
+        ctx.globalAlpha = alpha;
+        ctx.fillStyle = getTelegraphColor(this.game, '#4488ff');
         ctx.beginPath();
-        ctx.arc(this.x, this.y, size, 0, Math.PI * 2);
+        ctx.arc(this.x, this.y, this.slowFieldRadius, 0, Math.PI * 2);
         ctx.fill();
-        ctx.stroke();
+        ctx.globalAlpha = 1;
+        if (isHighContrast(this.game)) {
+            drawHazardCircle(ctx, this.x, this.y, this.slowFieldRadius, { hatch: false, alpha: 0.5 });
+        }
+        ctx.restore();
+    }
+
+    getBodyColor() {
+        return this.stance === 'speed' ? '#ffcc00' : '#4488ff';
+    }
 
+    drawEmblem(ctx, size) {
         // Clock-hand inner pattern
-        ctx.strokeStyle = '#fff';
         ctx.lineWidth = 3;
         const t = Date.now() / 400;
         // Hour hand
@@ -219,43 +209,22 @@ export class ChronoBoss extends Boss {
         ctx.lineTo(this.x + Math.cos(t * 4) * size * 0.7, this.y + Math.sin(t * 4) * size * 0.7);
         ctx.stroke();
 
-        // Phase indicator text
+        // Stance indicator text
         ctx.fillStyle = '#fff';
         ctx.font = '8px "Press Start 2P", monospace';
         ctx.textAlign = 'center';
-        ctx.fillText(this._phase === 'speed' ? 'HASTE' : 'SLOW', this.x, this.y - size - 10);
-
-        ctx.restore();
-        this._drawChronoHealthBar(ctx);
+        ctx.fillText(this.stance === 'speed' ? 'HASTE' : 'SLOW', this.x, this.y - size - 10);
     }
 
-    _drawChronoHealthBar(ctx) {
-        const canvasWidth  = this.game.canvas.logicalWidth  || this.game.canvas.width;
-        const canvasHeight = this.game.canvas.logicalHeight || this.game.canvas.height;
-        const barWidth  = canvasWidth * 0.6;
-        const barHeight = 22;
-        const barX = (canvasWidth - barWidth) / 2;
-        const barY = canvasHeight - 48;
-        const healthPercent = this.health / this.maxHealth;
-
-        const barColor = this._phase === 'speed' ? '#ffcc00' : '#4488ff';
-        ctx.fillStyle = barColor;
-        ctx.font = '11px "Press Start 2P", monospace';
-        ctx.textAlign = 'center';
-        ctx.fillText('★ CHRONO BOSS ★', canvasWidth / 2, barY - 6);
-
-        ctx.fillStyle = '#333';
-        ctx.fillRect(barX, barY, barWidth, barHeight);
+    getHealthBarColor() {
+        return this.stance === 'speed' ? '#ffcc00' : '#4488ff';
+    }
 
+    getHealthBarFill(ctx, x, y, width) {
         // Dual-tone health bar
-        const grad = ctx.createLinearGradient(barX, barY, barX + barWidth * healthPercent, barY);
+        const grad = ctx.createLinearGradient(x, y, x + width, y);
         grad.addColorStop(0, '#ffcc00');
         grad.addColorStop(1, '#4488ff');
-        ctx.fillStyle = grad;
-        ctx.fillRect(barX, barY, barWidth * healthPercent, barHeight);
-
-        ctx.strokeStyle = barColor;
-        ctx.lineWidth = 1.5;
-        ctx.strokeRect(barX, barY, barWidth, barHeight);
+        return grad;
     }
 }
@@ -0,0 +1,290 @@
+import { Boss } from '../Boss.js';
+import { GameConfig } from '../config/GameConfig.js';
+import { playSFX } from '../managers/RuntimeAdapters.js';
+import { MathUtils } from '../utils/MathUtils.js';
+import { getTelegraphColor, isHighContrast, drawHazardLine } from '../utils/PaletteUtils.js';
+
+// ─── GRID WARDEN ────────────────────────────────────────────────────────────
+/**
+ * Grid Warden attack patterns. Lanes carry their own warning: they show up
+ * striped, then go live and burn whoever stands in them. Sweeping lanes
+ * only start once the Warden is below its first threshold.
+ */
+const GRID_WARDEN = {
+    label: 'GRID WARDEN',
+    color: '#3d8bff',
+    pulse: { period: 240, amplitude: 3 },
+    patterns: [
+        { id: 'lanes', weight: 3, telegraph: 400, execute: (boss, player) => boss.armLanes(player) },
+        {
+            id: 'crossfire',
+            weight: 2,
+            telegraph: 400,
+            cooldown: GameConfig.BOSS.GRID_WARDEN.CROSSFIRE_COOLDOWN,
+            execute: (boss, player) => boss.crossfire(player)
+        },
+        {
+            id: 'sweep',
+            telegraph: 500,
+            cooldown: GameConfig.BOSS.GRID_WARDEN.CROSSFIRE_COOLDOWN,
+            when: (boss) => boss.phaseIndex > 0,
+            execute: (boss, player) => boss.sweep(player)
+        },
+        { id: 'gridBurst', execute: (boss) => boss.gridBurst() }
+    ],
+    phases: [
+        { threshold: 1 },
+        { threshold: 0.6, name: 'LOCKDOWN', attackCooldownMultiplier: 0.85 },
+        { threshold: 0.3, name: 'OVERRIDE', attackCooldownMultiplier: 0.7, weights: { sweep: 2, crossfire: 3 } }
+    ]
+};
+
+/**
+ * @typedef {Object} HazardLane
+ * @property {'row'|'col'} axis - A row spans the arena horizontally, a column vertically
+ * @property {number} pos - Center line (y for rows, x for columns)
+ * @property {number} width
+ * @property {'warning'|'live'} state
+ * @property {number} timer - Time left in the current state (ms)
+ * @property {number} velocity - Drift of the center line (px/s); 0 for fixed lanes
+ */
+
+/**
+ * Grid Warden — holds the middle of the arena and carves it up with hazard
+ * lanes: rows and columns that warn, then burn, plus sweeping lanes later.
+ * Joins the endless rotation.
+ */
+export class GridWardenBoss extends Boss {
+    constructor(x, y, health, damage, game) {
+        super(x, y, health, damage, game, GRID_WARDEN);
+        this.bossType = 'GridWarden';
+        this.knockbackResistance = 0.9;
+
+        /** @type {HazardLane[]} */
+        this.lanes = [];
+        this._burstOffset = 0;
+    }
+
+    updateMovement(delta, player) {
+        // Hold the arena center, sidestepping a player who comes too close
+        const canvasW = this.game.canvas.logicalWidth || this.game.canvas.width;
+        const canvasH = this.game.canvas.logicalHeight || this.game.canvas.height;
+        const step = this.getMoveSpeed() * 0.6 * (delta / 1000);
+        const keepAway = 140;
+        const geometry = this.game.getArenaGeometry();
+        let hold = { x: canvasW / 2, y: canvasH / 2 };
+        if (geometry.pillar > 0) {
+            // The ring's center is the pillar; the hold already keeps its distance
+            hold = this._getPillarHold(player, geometry, keepAway);
+        } else {
+            const distToPlayer = MathUtils.distance(this.x, this.y, player.x, player.y);
+            if (distToPlayer < keepAway && distToPlayer > 0) {
+                this.x -= ((player.x - this.x) / distToPlayer) * step;
+                this.y -= ((player.y - this.y) / distToPlayer) * step;
+                return;
+            }
+        }
+        const distToHold = MathUtils.distance(this.x, this.y, hold.x, hold.y);
+        if (distToHold > step) {
+            this.x += ((hold.x - this.x) / distToHold) * step;
+            this.y += ((hold.y - this.y) / distToHold) * step;
+        }
+    }
+
+    /**
+     * Where to hold on the ring: against the pillar, swung round from the
+     * player's bearing just far enough to stay `keepAway` from the player.
+     * From there the line to the player clears the pillar.
+     * @param {{x: number, y: number}} player
+     * @param {import('../systems/ArenaLayouts.js').ArenaGeometry} geometry
+     * @param {number} keepAway
+     * @returns {{x: number, y: number}}
+     */
+    _getPillarHold(player, geometry, keepAway) {
+        const { centerX, centerY } = geometry;
+        const holdRadius = geometry.pillar + this.radius;
+        const playerRadius = Math.max(1, MathUtils.distance(centerX, centerY, player.x, player.y));
+        const playerAngle = Math.atan2(player.y - centerY, player.x - centerX);
+        // Law of cosines: the angle between the two bearings that puts them keepAway apart
+        const cos = (playerRadius * playerRadius + holdRadius * holdRadius - keepAway * keepAway) / (2 * playerRadius * holdRadius);
+        const swing = Math.acos(MathUtils.clamp(cos, -1, 1));
+        // Swing round on the side the warden is already on
+        const cross = (this.x - centerX) * (player.y - centerY) - (this.y - centerY) * (player.x - centerX);
+        const angle = playerAngle + (cross > 0 ? -swing : swing);
+        return {
+            x: centerX + Math.cos(angle) * holdRadius,
+            y: centerY + Math.sin(angle) * holdRadius
+        };
+    }
+
+    updateBehavior(delta, player) {
+        const cfg = GameConfig.BOSS.GRID_WARDEN;
+        const deltaSeconds = delta / 1000;
+        let burning = false;
+
+        for (let i = this.lanes.length - 1; i >= 0; i--) {
+            const lane = this.lanes[i];
+            lane.timer -= delta;
+            if (lane.state === 'warning') {
+                if (lane.timer <= 0) {
+                    lane.state = 'live';
+                    lane.timer += lane.velocity ? this._getSweepDuration(lane) : cfg.LANE_ACTIVE_TIME;
+                    playSFX('boss_laser_fire');
+                }
+                continue;
+            }
+            if (lane.timer <= 0) {
+                this.lanes.splice(i, 1);
+                continue;
+            }
+            lane.pos += lane.velocity * deltaSeconds;
+            const offset = lane.axis === 'row' ? player.y - lane.pos : player.x - lane.pos;
+            if (Math.abs(offset) < lane.width / 2 + player.radius) burning = true;
+        }
+
+        // Overlapping lanes don't stack
+        if (burning) {
+            player.takeDamage(cfg.LANE_DPS * this.getAttackDamageMultiplier() * deltaSeconds);
+        }
+    }
+
+    /**
+     * Add a lane in its warning state.
+     * @param {'row'|'col'} axis
+     * @param {number} pos
+     * @param {number} [velocity]
+     * @param {number} [warning] - ms before it goes live
+     */
+    addLane(axis, pos, velocity = 0, warning = GameConfig.BOSS.GRID_WARDEN.LANE_WARNING) {
+        this.lanes.push({
+            axis,
+            pos,
+            width: GameConfig.BOSS.GRID_WARDEN.LANE_WIDTH,
+            state: 'warning',
+            timer: warning,
+            velocity
+        });
+    }
+
+    /**
+     * One lane through the player, the rest anywhere; one more per phase.
+     * @param {{x: number, y: number}} player
+     */
+    armLanes(player) {
+        const { width, height } = this._getArenaSize();
+        const count = GameConfig.BOSS.GRID_WARDEN.LANE_COUNT + this.phaseIndex;
+        playSFX('boss_laser_charge');
+        for (let i = 0; i < count; i++) {
+            const axis = this.game.rng.ai.chance(0.5) ? 'row' : 'col';
+            const span = axis === 'row' ? height : width;
+            const pos = i === 0 ? (axis === 'row' ? player.y : player.x) : this.game.rng.ai.range(span * 0.1, span * 0.9);
+            this.addLane(axis, pos);
+        }
+    }
+
+    /**
+     * A row and a column crossing on the player.
+     * @param {{x: number, y: number}} player
+     */
+    crossfire(player) {
+        playSFX('boss_laser_charge');
+        this.addLane('row', player.y);
+        this.addLane('col', player.x);
+    }
+
+    /**
+     * A lane that starts at the edge farthest from the player and sweeps across the arena.
+     * @param {{x: number, y: number}} player
+     */
+    sweep(player) {
+        const cfg = GameConfig.BOSS.GRID_WARDEN;
+        const { width, height } = this._getArenaSize();
+        const axis = this.game.rng.ai.chance(0.5) ? 'row' : 'col';
+        const span = axis === 'row' ? height : width;
+        const playerPos = axis === 'row' ? player.y : player.x;
+        const fromStart = playerPos > span / 2;
+        playSFX('boss_laser_charge');
+        this.addLane(axis, fromStart ? 0 : span, fromStart ? cfg.SWEEP_SPEED : -cfg.SWEEP_SPEED, cfg.LANE_WARNING * 0.6);
+    }
+
+    /** Eight shots along the grid lines, turned an eighth between bursts. */
+    gridBurst() {
+        this.projectileBurst(8, 12, this._burstOffset);
+        this._burstOffset = this._burstOffset ? 0 : Math.PI / 8;
+    }
+
+    _getSweepDuration(lane) {
+        const { width, height } = this._getArenaSize();
+        const span = lane.axis === 'row' ? height : width;
+        return (span / Math.abs(lane.velocity)) * 1000;
+    }
+
+    _getArenaSize() {
+        return {
+            width: this.game.canvas.logicalWidth || this.game.canvas.width,
+            height: this.game.canvas.logicalHeight || this.game.canvas.height
+        };
+    }
+
+    drawUnderlay(ctx) {
+        super.drawUnderlay(ctx);
+        const { width, height } = this._getArenaSize();
+        const highContrast = isHighContrast(this.game);
+        const reducedMotion = this.game?.runtimeSettings?.reducedMotion === true;
+        const laneColor = getTelegraphColor(this.game, '#3d8bff');
+
+        ctx.save();
+        for (const lane of this.lanes) {
+            const half = lane.width / 2;
+            const rect = lane.axis === 'row'
+                ? [0, lane.pos - half, width, lane.width]
+                : [lane.pos - half, 0, lane.width, height];
+
+            if (lane.state === 'warning') {
+                // Blinking outline; steady in reduced-motion mode
+                ctx.globalAlpha = reducedMotion ? 0.6 : 0.4 + Math.sin(Date.now() / 90) * 0.25;
+                ctx.strokeStyle = laneColor;
+                ctx.lineWidth = 2;
+                ctx.setLineDash([14, 10]);
+                ctx.strokeRect(rect[0], rect[1], rect[2], rect[3]);
+                ctx.setLineDash([]);
+                ctx.globalAlpha = 0.08;
+            } else {
+                ctx.globalAlpha = 0.35;
+            }
+            ctx.fillStyle = laneColor;
+            ctx.fillRect(rect[0], rect[1], rect[2], rect[3]);
+
+            if (highContrast) {
+                const edgeWidth = lane.state === 'live' ? 4 : 2;
+                if (lane.axis === 'row') {
+                    drawHazardLine(ctx, 0, lane.pos - half, width, lane.pos - half, edgeWidth);
+                    drawHazardLine(ctx, 0, lane.pos + half, width, lane.pos + half, edgeWidth);
+                } else {
+                    drawHazardLine(ctx, lane.pos - half, 0, lane.pos - half, height, edgeWidth);
+                    drawHazardLine(ctx, lane.pos + half, 0, lane.pos + half, height, edgeWidth);
+                }
+            }
+        }
+        ctx.restore();
+    }
+
+    traceBodyPath(ctx, size) {
+        // Square body
+        ctx.beginPath();
+        ctx.rect(this.x - size, this.y - size, size * 2, size * 2);
+    }
+
+    drawEmblem(ctx, size) {
+        // Grid cross-hatch
+        const third = (size * 2) / 3;
+        ctx.beginPath();
+        for (let i = 1; i < 3; i++) {
+            ctx.moveTo(this.x - size + third * i, this.y - size);
+            ctx.lineTo(this.x - size + third * i, this.y + size);
+            ctx.moveTo(this.x - size, this.y - size + third * i);
+            ctx.lineTo(this.x + size, this.y - size + third * i);
+        }
+        ctx.stroke();
+    }
+}
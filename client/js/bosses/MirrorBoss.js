@@ -0,0 +1,379 @@
+import { Boss } from '../Boss.js';
+import { GameConfig } from '../config/GameConfig.js';
+import { Projectile } from '../Projectile.js';
+import { playSFX } from '../managers/RuntimeAdapters.js';
+import { MathUtils } from '../utils/MathUtils.js';
+import { getTelegraphColor, isHighContrast, drawHazardCircle } from '../utils/PaletteUtils.js';
+
+// ─── MIRROR BOSS ────────────────────────────────────────────────────────────
+/**
+ * Patterns the Mirror always has, even against a player with nothing equipped.
+ */
+const MIRROR_BASE_PATTERNS = [
+    { id: 'mirrorShot', execute: (boss, player) => boss.mirrorShot(player) },
+    { id: 'projectileBurst', execute: (boss) => boss.projectileBurst(12, 10) }
+];
+
+/**
+ * How the Mirror plays a copied skill, by the skill's archetype. `power` is
+ * above 1 for a copied ultimate.
+ */
+const ARCHETYPE_ATTACKS = {
+    GUNNER: {
+        telegraph: 400,
+        execute: (boss, player, power) => boss.mirrorVolley(player, power)
+    },
+    TECHNOMANCER: {
+        telegraph: 600,
+        execute: (boss, player, power) => boss.mirrorNova(player, power),
+        drawTelegraph: (ctx, boss, progress) => boss.drawNovaTelegraph(ctx, progress)
+    },
+    SENTINEL: {
+        telegraph: 300,
+        when: (boss) => boss.aegis <= 0,
+        execute: (boss, player, power) => boss.mirrorAegis(power)
+    },
+    ENGINEER: {
+        telegraph: 400,
+        execute: (boss, player, power) => boss.mirrorDrones(power)
+    },
+    TACTICIAN: {
+        telegraph: 900,
+        onTelegraph: (boss, player, power) => boss.markStrikeZones(player, power),
+        execute: (boss, player) => boss.mirrorStrike(player),
+        drawTelegraph: (ctx, boss, progress) => boss.drawStrikeTelegraph(ctx, progress)
+    }
+};
+
+/**
+ * Build the Mirror's definition from the skills the player has equipped when
+ * it spawns. Each equipped active or ultimate becomes one pattern, named after
+ * the skill and shaped by its archetype; ultimates hit harder and come up more
+ * often once the Mirror is below half health.
+ * @param {import('../Game.js').Game} game
+ * @returns {import('../Boss.js').BossDefinition}
+ */
+function buildMirrorDefinition(game) {
+    const cfg = GameConfig.BOSS.MIRROR_BOSS;
+    const patterns = [...MIRROR_BASE_PATTERNS];
+    /** @type {Object<string, number>} */
+    const ultimateWeights = {};
+
+    for (const { skillId, skill, archetypeKey, isUltimate } of game.skillManager?.getEquippedCastables?.() || []) {
+        const attack = ARCHETYPE_ATTACKS[archetypeKey];
+        if (!attack) continue;
+        const power = isUltimate ? cfg.ULTIMATE_POWER : 1;
+        const cooldown = MathUtils.clamp((skill.cooldown || 10000) * cfg.SKILL_COOLDOWN_SCALE, cfg.MIN_SKILL_COOLDOWN, cfg.MAX_SKILL_COOLDOWN);
+        patterns.push({
+            id: skillId,
+            name: skill.name,
+            weight: 2,
+            cooldown,
+            telegraph: attack.telegraph,
+            when: attack.when,
+            onTelegraph: attack.onTelegraph && ((boss, player) => attack.onTelegraph(boss, player, power)),
+            execute: (boss, player) => attack.execute(boss, player, power),
+            drawTelegraph: attack.drawTelegraph
+        });
+        if (isUltimate) ultimateWeights[skillId] = 4;
+    }
+
+    return {
+        label: 'MIRROR BOSS',
+        color: '#dfe8ff',
+        pulse: { period: 220, amplitude: 4 },
+        patterns,
+        phases: [
+            { threshold: 1 },
+            { threshold: 0.5, name: 'REFLECTION', attackCooldownMultiplier: 0.75, speedMultiplier: 1.2, weights: ultimateWeights }
+        ]
+    };
+}
+
+/**
+ * Mirror Boss — copies the player's equipped skills and shadows them from
+ * the opposite side of the arena.
+ * Joins the endless rotation.
+ */
+export class MirrorBoss extends Boss {
+    constructor(x, y, health, damage, game) {
+        super(x, y, health, damage, game, buildMirrorDefinition(game));
+        this.bossType = 'Mirror';
+
+        /** @type {string[]} Archetype colors of the copied skills, drawn around the body */
+        this.copiedColors = (game.skillManager?.getEquippedCastables?.() || []).map((entry) => entry.archetypeColor);
+        /** Mirrored Sentinel shield: absorbs damage until broken or expired */
+        this.aegis = 0;
+        this.aegisMax = 0;
+        this.aegisTimer = 0;
+        /** @type {Array<{x: number, y: number, radius: number}>} Zones marked by a mirrored Tactician skill */
+        this.strikeZones = [];
+    }
+
+    updateMovement(delta, player) {
+        // Shadow the player from across the arena center
+        const canvasW = this.game.canvas.logicalWidth || this.game.canvas.width;
+        const canvasH = this.game.canvas.logicalHeight || this.game.canvas.height;
+        const step = this.getMoveSpeed() * (delta / 1000);
+        const distToPlayer = MathUtils.distance(this.x, this.y, player.x, player.y);
+
+        if (distToPlayer < 150 && distToPlayer > 0) {
+            // Too close to its reflection: back away from the player
+            this.x -= ((player.x - this.x) / distToPlayer) * step;
+            this.y -= ((player.y - this.y) / distToPlayer) * step;
+            return;
+        }
+
+        let targetX = canvasW - player.x;
+        let targetY = canvasH - player.y;
+        const geometry = this.game.getArenaGeometry();
+        if (geometry.pillar > 0) {
+            ({ x: targetX, y: targetY } = this._getRingShadow(player, geometry));
+        }
+        const distToTarget = MathUtils.distance(this.x, this.y, targetX, targetY);
+        if (distToTarget > step) {
+            this.x += ((targetX - this.x) / distToTarget) * step;
+            this.y += ((targetY - this.y) / distToTarget) * step;
+        }
+    }
+
+    /**
+     * On the ring the point across the center is behind the pillar. Shadow
+     * the player from as far round as a clear line past the pillar allows,
+     * on the side the Mirror is already on.
+     * @param {{x: number, y: number}} player
+     * @param {import('../systems/ArenaLayouts.js').ArenaGeometry} geometry
+     * @returns {{x: number, y: number}}
+     */
+    _getRingShadow(player, geometry) {
+        const { centerX, centerY } = geometry;
+        const dx = player.x - centerX;
+        const dy = player.y - centerY;
+        const playerRadius = Math.max(1, Math.hypot(dx, dy));
+        // A little more than a shot needs, so a small step doesn't hide it again
+        const clearance = geometry.pillar + GameConfig.ARENA_LAYOUT.SHOT_CLEARANCE * 2;
+        const swing = 2 * Math.acos(Math.min(1, clearance / playerRadius));
+        const cross = (this.x - centerX) * dy - (this.y - centerY) * dx;
+        const angle = Math.atan2(dy, dx) + (cross > 0 ? -swing : swing);
+        return {
+            x: centerX + Math.cos(angle) * playerRadius,
+            y: centerY + Math.sin(angle) * playerRadius
+        };
+    }
+
+    updateBehavior(delta) {
+        if (this.aegisTimer > 0) {
+            this.aegisTimer -= delta;
+            if (this.aegisTimer <= 0) this.aegis = 0;
+        }
+    }
+
+    takeDamage(amount, source = null) {
+        if (this.aegis > 0) {
+            const absorbed = Math.min(this.aegis, amount);
+            this.aegis -= absorbed;
+            amount -= absorbed;
+            this.flashTimer = 100;
+            if (this.aegis <= 0) {
+                playSFX('boss_shield_break');
+                this.aegisTimer = 0;
+            }
+            if (amount <= 0) return;
+        }
+        super.takeDamage(amount, source);
+    }
+
+    /**
+     * Three aimed shots, the Mirror's stand-in for the player's basic attack.
+     * @param {{x: number, y: number}} player
+     */
+    mirrorShot(player) {
+        playSFX('boss_attack_rapidfire');
+        this._fireAimed(player, 3, 0.12, 12);
+    }
+
+    /**
+     * Mirrored Gunner skill: a rapid run of aimed volleys.
+     * @param {{x: number, y: number}} player
+     * @param {number} power
+     */
+    mirrorVolley(player, power) {
+        const volleys = Math.round(3 * power);
+        const shots = GameConfig.BOSS.MIRROR_BOSS.VOLLEY_SHOTS;
+        for (let i = 0; i < volleys; i++) {
+            this._schedule(() => {
+                playSFX('boss_attack_rapidfire');
+                this._fireAimed(player, shots, 0.1, 10);
+            }, i * 180);
+        }
+    }
+
+    /**
+     * Mirrored Technomancer skill: a nova ring that chills the player if close.
+     * @param {{x: number, y: number, applyChill?: Function}} player
+     * @param {number} power
+     */
+    mirrorNova(player, power) {
+        const cfg = GameConfig.BOSS.MIRROR_BOSS;
+        this.projectileBurst(Math.round(18 * power), 9);
+        this.game.createExplosion(this.x, this.y, 10);
+        const dist = MathUtils.distance(this.x, this.y, player.x, player.y);
+        if (dist < cfg.NOVA_RADIUS * power) {
+            player.applyChill?.(cfg.NOVA_CHILL_FACTOR, cfg.NOVA_CHILL_DURATION * power);
+        }
+    }
+
+    /**
+     * Mirrored Sentinel skill: a temporary shield over the Mirror's health.
+     * @param {number} power
+     */
+    mirrorAegis(power) {
+        const cfg = GameConfig.BOSS.MIRROR_BOSS;
+        this.aegisMax = this.maxHealth * cfg.AEGIS_HEALTH_RATIO * power;
+        this.aegis = this.aegisMax;
+        this.aegisTimer = cfg.AEGIS_DURATION;
+        playSFX('boss_shield_up');
+    }
+
+    /**
+     * Mirrored Engineer skill: drones join the fight.
+     * @param {number} power
+     */
+    mirrorDrones(power) {
+        this.spawnMinions(Math.round(GameConfig.BOSS.MIRROR_BOSS.DRONE_COUNT * power));
+    }
+
+    /**
+     * Mirrored Tactician skill, first half: mark strike zones on and around the player.
+     * @param {{x: number, y: number}} player
+     * @param {number} power
+     */
+    markStrikeZones(player, power) {
+        const cfg = GameConfig.BOSS.MIRROR_BOSS;
+        const count = Math.round(cfg.STRIKE_COUNT * power);
+        const radius = cfg.STRIKE_RADIUS;
+        this.strikeZones = [{ x: player.x, y: player.y, radius }];
+        for (let i = 1; i < count; i++) {
+            const angle = this.game.rng.ai.range(0, Math.PI * 2);
+            const dist = this.game.rng.ai.range(radius, radius * 2.5);
+            this.strikeZones.push({
+                x: player.x + Math.cos(angle) * dist,
+                y: player.y + Math.sin(angle) * dist,
+                radius
+            });
+        }
+    }
+
+    /**
+     * Mirrored Tactician skill, second half: the marked zones detonate.
+     * @param {{x: number, y: number, radius: number, takeDamage: Function}} player
+     */
+    mirrorStrike(player) {
+        const damage = GameConfig.BOSS.MIRROR_BOSS.STRIKE_DAMAGE * this.getAttackDamageMultiplier();
+        playSFX('impact_explosion_big');
+        this.game.addScreenShake(8, 250);
+        let hit = false;
+        for (const zone of this.strikeZones) {
+            this.game.createExplosion(zone.x, zone.y, 8);
+            if (!hit && MathUtils.distance(zone.x, zone.y, player.x, player.y) < zone.radius + player.radius) {
+                player.takeDamage(damage);
+                hit = true;
+            }
+        }
+        this.strikeZones = [];
+    }
+
+    _fireAimed(player, count, spread, baseDamage) {
+        const baseAngle = Math.atan2(player.y - this.y, player.x - this.x);
+        const damage = baseDamage * this.getAttackDamageMultiplier();
+        for (let i = 0; i < count; i++) {
+            const angle = baseAngle + spread * (i - (count - 1) / 2);
+            const p = new Projectile(this.x, this.y, angle, damage);
+            p.isEnemyProjectile = true;
+            p.speed = GameConfig.BOSS.PROJECTILE_SPEED * 1.2;
+            this.game.projectiles.push(p);
+        }
+    }
+
+    drawUnderlay(ctx) {
+        super.drawUnderlay(ctx);
+        if (this.aegis <= 0) return;
+
+        // Mirrored shield bubble, fading as it is worn down
+        ctx.save();
+        ctx.globalAlpha = 0.25 + 0.5 * (this.aegis / this.aegisMax);
+        ctx.strokeStyle = '#44aaff';
+        ctx.lineWidth = 4;
+        ctx.beginPath();
+        ctx.arc(this.x, this.y, this.radius + 14, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    drawEmblem(ctx, size) {
+        // Mirror seam down the middle
+        ctx.beginPath();
+        ctx.moveTo(this.x, this.y - size * 0.7);
+        ctx.lineTo(this.x, this.y + size * 0.7);
+        ctx.stroke();
+
+        // One orbiting shard per copied skill, in its archetype color
+        const reducedMotion = this.game?.runtimeSettings?.reducedMotion;
+        const spin = reducedMotion ? 0 : Date.now() / 700;
+        const count = this.copiedColors.length;
+        for (let i = 0; i < count; i++) {
+            const a = spin + (Math.PI * 2 / count) * i;
+            ctx.fillStyle = this.copiedColors[i];
+            ctx.beginPath();
+            ctx.arc(this.x + Math.cos(a) * (size + 12), this.y + Math.sin(a) * (size + 12), 5, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    }
+
+    /**
+     * Ring swelling out to the nova's chill radius.
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {number} progress
+     */
+    drawNovaTelegraph(ctx, progress) {
+        const radius = GameConfig.BOSS.MIRROR_BOSS.NOVA_RADIUS;
+        const reducedMotion = this.game?.runtimeSettings?.reducedMotion === true;
+        ctx.globalAlpha = 0.2 + progress * 0.5;
+        ctx.strokeStyle = getTelegraphColor(this.game, '#aa44ff');
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.arc(this.x, this.y, reducedMotion ? radius : radius * progress, 0, Math.PI * 2);
+        ctx.stroke();
+        if (isHighContrast(this.game)) drawHazardCircle(ctx, this.x, this.y, radius, { hatch: false });
+    }
+
+    /**
+     * Marked strike zones filling in as the strike lands.
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {number} progress
+     */
+    drawStrikeTelegraph(ctx, progress) {
+        const color = getTelegraphColor(this.game, '#ffaa44');
+        const highContrast = isHighContrast(this.game);
+        for (const zone of this.strikeZones) {
+            ctx.globalAlpha = 0.6;
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.arc(zone.x, zone.y, zone.radius, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.globalAlpha = 0.15 + progress * 0.25;
+            ctx.fillStyle = color;
+            ctx.beginPath();
+            ctx.arc(zone.x, zone.y, zone.radius * progress, 0, Math.PI * 2);
+            ctx.fill();
+            if (highContrast) drawHazardCircle(ctx, zone.x, zone.y, zone.radius, { alpha: 0.4 + progress * 0.4 });
+        }
+    }
+
+    drawHealthBarOverlay(ctx, x, y, width, height) {
+        if (this.aegis <= 0) return;
+        ctx.fillStyle = 'rgba(68, 170, 255, 0.6)';
+        ctx.fillRect(x, y, width * Math.min(1, this.aegis / this.maxHealth), height / 3);
+    }
+}
@@ -0,0 +1,302 @@
+import { Boss } from '../Boss.js';
+import { Enemy } from '../Enemy.js';
+import { GameConfig } from '../config/GameConfig.js';
+import { Projectile } from '../Projectile.js';
+import { playSFX } from '../managers/RuntimeAdapters.js';
+import { MathUtils } from '../utils/MathUtils.js';
+import { getTelegraphColor, isHighContrast, drawHazardCircle, drawHazardLine, strokeContrastPath } from '../utils/PaletteUtils.js';
+
+// ─── SWARM MIND ─────────────────────────────────────────────────────────────
+/**
+ * Swarm Mind attack patterns. Volleys come from every body at once; the
+ * encircle ring is marked around the player before it starts to close.
+ */
+const SWARM_MIND = {
+    label: 'SWARM MIND',
+    color: '#c6ff3d',
+    pulse: { period: 160, amplitude: 3 },
+    patterns: [
+        { id: 'volley', weight: 2, telegraph: 400, execute: (boss, player) => boss.bodyVolley(player) },
+        { id: 'pinwheel', telegraph: 500, execute: (boss) => boss.pinwheel() },
+        {
+            id: 'encircle',
+            telegraph: 700,
+            cooldown: GameConfig.BOSS.SWARM_MIND.ENCIRCLE_TIME * 2,
+            when: (boss) => !boss.encircle,
+            onTelegraph: (boss, player) => boss.lockTarget(player),
+            execute: (boss) => boss.startEncircle(boss.lockedTarget),
+            drawTelegraph: (ctx, boss, progress) => boss.drawEncircleTelegraph(ctx, progress)
+        }
+    ],
+    phases: [
+        { threshold: 1 },
+        { threshold: 0.6, name: 'LINKED', attackCooldownMultiplier: 0.85 },
+        { threshold: 0.3, name: 'OVERMIND', attackCooldownMultiplier: 0.7, speedMultiplier: 1.2, weights: { encircle: 3 } }
+    ]
+};
+
+/**
+ * One body of the Swarm Mind. It has no health of its own: hits are passed
+ * to the core, so the whole swarm shares one health bar, and the body
+ * dissolves once the core dies. Counts as a boss for contact damage and
+ * status immunities.
+ */
+class SwarmBody extends Enemy {
+    /**
+     * @param {SwarmMindBoss} core
+     * @param {number} slot - Position in the core's formation
+     */
+    constructor(core, slot) {
+        const cfg = GameConfig.BOSS.SWARM_MIND;
+        super(core.x, core.y, core.speed, 1, core.damage * cfg.BODY_DAMAGE_RATIO);
+        this.core = core;
+        this.slot = slot;
+        this.kind = 'swarmBody';
+        this.isBoss = true;
+        this.color = core.color;
+        this.glowColor = core.color;
+        this.knockbackResistance = 1;
+        this.setGameReference(core.game);
+        this.setBaseRadius(cfg.BODY_RADIUS);
+    }
+
+    update(delta) {
+        // Direct health writes (nukes, admin kills) only count against the core
+        this.health = this.maxHealth;
+        if (this.flashTimer > 0) this.flashTimer -= delta;
+
+        if (this.core.health <= 0) {
+            this.game.createExplosion(this.x, this.y, 6);
+            this.selfDestructed = true;
+            return;
+        }
+
+        this.prevX = this.x;
+        this.prevY = this.y;
+        const slot = this.core.getBodySlot(this.slot);
+        const distance = MathUtils.distance(this.x, this.y, slot.x, slot.y);
+        const step = this.core.getBodySpeed() * (delta / 1000);
+        if (distance <= step) {
+            this.x = slot.x;
+            this.y = slot.y;
+        } else {
+            this.x += ((slot.x - this.x) / distance) * step;
+            this.y += ((slot.y - this.y) / distance) * step;
+        }
+
+        const deltaSeconds = delta / 1000;
+        if (deltaSeconds > 0) {
+            this.vx = (this.x - this.prevX) / deltaSeconds;
+            this.vy = (this.y - this.prevY) / deltaSeconds;
+        }
+    }
+
+    takeDamage(amount, source = null) {
+        this.flashTimer = 100;
+        this.core.takeDamage(amount, source);
+    }
+
+    draw(ctx) {
+        const reducedMotion = this.game?.runtimeSettings?.reducedMotion === true;
+        const hitFlash = this.flashTimer > 0;
+
+        ctx.save();
+        ctx.fillStyle = this.glowColor;
+        ctx.globalAlpha = 0.25;
+        ctx.beginPath();
+        ctx.arc(this.x, this.y, this.radius + 4, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.globalAlpha = 1;
+
+        ctx.fillStyle = hitFlash && !reducedMotion ? '#fff' : this.color;
+        ctx.strokeStyle = '#fff';
+        ctx.lineWidth = hitFlash && reducedMotion ? 3 : 1.5;
+        ctx.beginPath();
+        ctx.arc(this.x, this.y, this.radius, 0, Math.PI * 2);
+        ctx.fill();
+        if (isHighContrast(this.game)) {
+            strokeContrastPath(ctx, ctx.lineWidth);
+        } else {
+            ctx.stroke();
+        }
+        ctx.restore();
+
+        this.statusEffects.draw(ctx);
+    }
+}
+
+/**
+ * Swarm Mind — a small core orbited by linked bodies that share its health.
+ * The links turn harmful once the swarm is hurt, more bodies join in each
+ * phase, and the whole ring can close in around the player.
+ * Joins the endless rotation.
+ */
+export class SwarmMindBoss extends Boss {
+    constructor(x, y, health, damage, game) {
+        super(x, y, health, damage, game, SWARM_MIND);
+        this.bossType = 'SwarmMind';
+        this.setBaseRadius(GameConfig.BOSS.RADIUS * 0.75);
+
+        /** @type {SwarmBody[]} */
+        this.bodies = [];
+        this._formationAngle = 0;
+        /** @type {{x: number, y: number, timer: number}|null} Ring closing on a locked point */
+        this.encircle = null;
+    }
+
+    /**
+     * Where a body should be: spread around the core, or around the encircle
+     * point while the ring closes.
+     * @param {number} slot
+     * @returns {{x: number, y: number}}
+     */
+    getBodySlot(slot) {
+        const cfg = GameConfig.BOSS.SWARM_MIND;
+        const angle = this._formationAngle + (Math.PI * 2 / this.bodies.length) * slot;
+        let centerX = this.x;
+        let centerY = this.y;
+        let radius = cfg.FORMATION_RADIUS;
+        if (this.encircle) {
+            const closed = 1 - this.encircle.timer / cfg.ENCIRCLE_TIME;
+            centerX = this.encircle.x;
+            centerY = this.encircle.y;
+            radius = cfg.ENCIRCLE_RADIUS * (1 - closed) + 30 * closed;
+        }
+        return { x: centerX + Math.cos(angle) * radius, y: centerY + Math.sin(angle) * radius };
+    }
+
+    /**
+     * Bodies move faster than the core so the formation keeps up with it.
+     * @returns {number} px/s
+     */
+    getBodySpeed() {
+        const enrage = this.enraged ? GameConfig.BOSS.ENRAGE_SPEED_MULTIPLIER : 1;
+        return this.speed * 4 * (this.getPhase().speedMultiplier || 1) * enrage;
+    }
+
+    updateBehavior(delta, player) {
+        const cfg = GameConfig.BOSS.SWARM_MIND;
+        if (this.bodies.length === 0) this._addBodies(cfg.BODY_COUNT);
+
+        this._formationAngle += cfg.FORMATION_SPIN * (delta / 1000);
+        if (this.encircle) {
+            this.encircle.timer -= delta;
+            if (this.encircle.timer <= 0) this.encircle = null;
+        }
+
+        // Links carry current once the swarm is hurt
+        if (this.phaseIndex > 0) {
+            const reach = cfg.LINK_WIDTH / 2 + player.radius;
+            const touching = this.bodies.some((body) =>
+                MathUtils.distanceToSegment(player.x, player.y, this.x, this.y, body.x, body.y) < reach
+            );
+            if (touching) {
+                player.takeDamage(cfg.LINK_DPS * this.getAttackDamageMultiplier() * (delta / 1000));
+            }
+        }
+    }
+
+    onPhaseEnter(phase, index) {
+        super.onPhaseEnter(phase, index);
+        this._addBodies(GameConfig.BOSS.SWARM_MIND.PHASE_BODY_BONUS);
+    }
+
+    _addBodies(count) {
+        playSFX('boss_summon_minions');
+        for (let i = 0; i < count; i++) {
+            const body = new SwarmBody(this, this.bodies.length);
+            this.bodies.push(body);
+            this.game.enemies.push(body);
+        }
+    }
+
+    /**
+     * Every body fires one aimed shot.
+     * @param {{x: number, y: number}} player
+     */
+    bodyVolley(player) {
+        playSFX('boss_attack_rapidfire');
+        const damage = 8 * this.getAttackDamageMultiplier();
+        for (const body of this.bodies) {
+            const angle = Math.atan2(player.y - body.y, player.x - body.x);
+            const p = new Projectile(body.x, body.y, angle, damage);
+            p.isEnemyProjectile = true;
+            this.game.projectiles.push(p);
+        }
+    }
+
+    /** Three waves of shots fired outward from every body. */
+    pinwheel() {
+        const damage = 8 * this.getAttackDamageMultiplier();
+        for (let wave = 0; wave < 3; wave++) {
+            this._schedule(() => {
+                playSFX('boss_attack_spiral');
+                for (const body of this.bodies) {
+                    const angle = Math.atan2(body.y - this.y, body.x - this.x);
+                    const p = new Projectile(body.x, body.y, angle, damage);
+                    p.isEnemyProjectile = true;
+                    this.game.projectiles.push(p);
+                }
+            }, wave * 250);
+        }
+    }
+
+    /**
+     * Send the bodies into a ring around a point and close it.
+     * @param {{x: number, y: number}} target
+     */
+    startEncircle(target) {
+        playSFX('boss_attack_charge_windup');
+        this.encircle = { x: target.x, y: target.y, timer: GameConfig.BOSS.SWARM_MIND.ENCIRCLE_TIME };
+    }
+
+    drawUnderlay(ctx) {
+        super.drawUnderlay(ctx);
+        const charged = this.phaseIndex > 0;
+        const highContrast = isHighContrast(this.game);
+
+        ctx.save();
+        ctx.strokeStyle = charged ? getTelegraphColor(this.game, '#ff3355') : this.color;
+        ctx.lineWidth = charged ? GameConfig.BOSS.SWARM_MIND.LINK_WIDTH / 2 : 1.5;
+        ctx.globalAlpha = charged ? 0.8 : 0.4;
+        for (const body of this.bodies) {
+            ctx.beginPath();
+            ctx.moveTo(this.x, this.y);
+            ctx.lineTo(body.x, body.y);
+            ctx.stroke();
+            if (charged && highContrast) drawHazardLine(ctx, this.x, this.y, body.x, body.y, 2);
+        }
+        ctx.restore();
+    }
+
+    drawEmblem(ctx, size) {
+        // Watching eye
+        ctx.beginPath();
+        ctx.arc(this.x, this.y, size * 0.45, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.fillStyle = '#fff';
+        ctx.beginPath();
+        ctx.arc(this.x, this.y, size * 0.18, 0, Math.PI * 2);
+        ctx.fill();
+    }
+
+    /**
+     * Ring around the locked point, the size the encircle starts at.
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {number} progress
+     */
+    drawEncircleTelegraph(ctx, progress) {
+        if (!this.lockedTarget) return;
+        const { x, y } = this.lockedTarget;
+        const radius = GameConfig.BOSS.SWARM_MIND.ENCIRCLE_RADIUS;
+        ctx.globalAlpha = 0.3 + progress * 0.5;
+        ctx.strokeStyle = getTelegraphColor(this.game, '#c6ff3d');
+        ctx.lineWidth = 3;
+        ctx.setLineDash([10, 8]);
+        ctx.beginPath();
+        ctx.arc(x, y, radius, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        if (isHighContrast(this.game)) drawHazardCircle(ctx, x, y, radius, { hatch: false });
+    }
+}
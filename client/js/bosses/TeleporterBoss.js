@@ -1,10 +1,38 @@
 import { Boss } from '../Boss.js';
 import { GameConfig } from '../config/GameConfig.js';
 import { Projectile } from '../Projectile.js';
-import { playSFX } from '../main.js';
+import { playSFX } from '../managers/RuntimeAdapters.js';
 import { MathUtils } from '../utils/MathUtils.js';
+import { getTelegraphColor, isHighContrast, drawHazardCircle } from '../utils/PaletteUtils.js';
 
 // ─── TELEPORTER BOSS ────────────────────────────────────────────────────────
+/**
+ * Teleporter Boss attack patterns. The blink destination is picked when the
+ * telegraph starts and marked on the floor until the boss arrives.
+ */
+const TELEPORTER_BOSS = {
+    label: 'TELEPORTER BOSS',
+    color: '#00ff66',
+    pulse: { period: 180, amplitude: 4 },
+    patterns: [
+        {
+            id: 'teleport',
+            weight: 3,
+            telegraph: 500,
+            windup: 100,
+            cooldown: GameConfig.BOSS.TELEPORTER_BOSS.TELEPORT_COOLDOWN,
+            onTelegraph: (boss, player) => boss.pickTeleportDestination(player),
+            execute: (boss, player) => boss.teleport(player),
+            drawTelegraph: (ctx, boss, progress) => boss.drawTeleportTelegraph(ctx, progress)
+        },
+        { id: 'projectileBurst', execute: (boss) => boss.projectileBurst() }
+    ],
+    phases: [
+        { threshold: 1 },
+        { threshold: 0.5, name: 'FLICKER', attackCooldownMultiplier: 0.7, weights: { teleport: 5 } }
+    ]
+};
+
 /**
  * Teleporter Boss — blinks to random positions, leaves toxic trail pools,
  * fires aimed shot salvos after each teleport.
@@ -12,64 +40,33 @@ import { MathUtils } from '../utils/MathUtils.js';
  */
 export class TeleporterBoss extends Boss {
     constructor(x, y, health, damage, game) {
-        super(x, y, health, damage, game);
+        super(x, y, health, damage, game, TELEPORTER_BOSS);
         const cfg = GameConfig.BOSS.TELEPORTER_BOSS;
-        this.color = '#00ff66';
-        this.glowColor = '#00ff66';
         this.bossType = 'Teleporter';
 
-        this.teleportCooldown = cfg.TELEPORT_COOLDOWN;
-        this.teleportTimer = 0;
         this.salvoCount = cfg.SALVO_COUNT;
         this.pools = []; // {x, y, timer, maxTimer, radius}
         this.poolDuration = cfg.POOL_DURATION;
         this.poolDPS = cfg.POOL_DPS;
         this.poolRadius = cfg.POOL_RADIUS;
+        this.teleportTargetX = x;
+        this.teleportTargetY = y;
 
         // Teleport flash animation
         this._teleportFlash = 0;
     }
 
-    update(delta, player) {
-        const deltaSeconds = delta / 1000;
-
-        // Store previous position
-        this.prevX = this.x;
-        this.prevY = this.y;
-
-        // Teleport logic
-        this.teleportTimer += delta;
-        if (this.teleportTimer >= this.teleportCooldown) {
-            this._teleport(player);
-            this.teleportTimer = 0;
-        }
-
+    updateMovement(delta, player) {
         // Move slowly towards player between teleports
-        const dx = player.x - this.x;
-        const dy = player.y - this.y;
         const distance = MathUtils.distance(this.x, this.y, player.x, player.y);
-        const speedMult = (this.game?.modifierState?.enemySpeedMultiplier) || 1;
-        const pressureScale = this.game?.getPressureScale?.() || 1;
-
-        if (distance > 250) {
-            const actualSpeed = this.speed * 0.5 * pressureScale * speedMult * deltaSeconds;
-            this.x += (dx / distance) * actualSpeed;
-            this.y += (dy / distance) * actualSpeed;
-        }
-
-        // Calculate velocity
-        if (deltaSeconds > 0) {
-            this.vx = (this.x - this.prevX) / deltaSeconds;
-            this.vy = (this.y - this.prevY) / deltaSeconds;
-        }
-
-        // Regular attacks
-        this.attackTimer += delta;
-        if (this.attackTimer >= this.attackCooldown) {
-            this.projectileBurst();
-            this.attackTimer = 0;
+        if (distance > 250 || (distance > 0 && this.isOutOfSight(player))) {
+            const actualSpeed = this.getMoveSpeed() * 0.5 * (delta / 1000);
+            this.x += ((player.x - this.x) / distance) * actualSpeed;
+            this.y += ((player.y - this.y) / distance) * actualSpeed;
         }
+    }
 
+    updateBehavior(delta, player) {
         // Update toxic pools
         this._updatePools(delta, player);
 
@@ -77,7 +74,21 @@ export class TeleporterBoss extends Boss {
         if (this._teleportFlash > 0) this._teleportFlash -= delta;
     }
 
-    _teleport(player) {
+    /**
+     * Choose where the next blink lands: a random spot around the player, kept on screen.
+     * @param {{x: number, y: number}} player
+     */
+    pickTeleportDestination(player) {
+        const canvasW = this.game.canvas.logicalWidth || this.game.canvas.width;
+        const canvasH = this.game.canvas.logicalHeight || this.game.canvas.height;
+        const margin = 80;
+        const angle = this.game.rng.ai.range(0, Math.PI * 2);
+        const dist = this.game.rng.ai.range(200, 350);
+        this.teleportTargetX = MathUtils.clamp(player.x + Math.cos(angle) * dist, margin, canvasW - margin);
+        this.teleportTargetY = MathUtils.clamp(player.y + Math.sin(angle) * dist, margin, canvasH - margin);
+    }
+
+    teleport(player) {
         // Leave toxic pool at current position
         this.pools.push({
             x: this.x, y: this.y,
@@ -87,14 +98,8 @@ export class TeleporterBoss extends Boss {
 
         playSFX('boss_attack_charge_windup');
 
-        // Teleport to a random position around the player
-        const canvasW = this.game.canvas.logicalWidth || this.game.canvas.width;
-        const canvasH = this.game.canvas.logicalHeight || this.game.canvas.height;
-        const margin = 80;
-        const angle = Math.random() * Math.PI * 2;
-        const dist = 200 + Math.random() * 150;
-        this.x = MathUtils.clamp(player.x + Math.cos(angle) * dist, margin, canvasW - margin);
-        this.y = MathUtils.clamp(player.y + Math.sin(angle) * dist, margin, canvasH - margin);
+        this.x = this.teleportTargetX;
+        this.y = this.teleportTargetY;
 
         this._teleportFlash = 300;
 
@@ -106,7 +111,7 @@ export class TeleporterBoss extends Boss {
     _fireSalvo(player) {
         const baseAngle = Math.atan2(player.y - this.y, player.x - this.x);
         const spread = 0.6;
-        const damage = 12 * this.getDifficultyDamageMultiplier();
+        const damage = 12 * this.getAttackDamageMultiplier();
         for (let i = 0; i < this.salvoCount; i++) {
             const angle = baseAngle + (spread * (i - (this.salvoCount - 1) / 2) / (this.salvoCount - 1));
             const p = new Projectile(this.x, this.y, angle, damage);
@@ -127,54 +132,52 @@ export class TeleporterBoss extends Boss {
             // Damage player if standing in pool
             const dist = MathUtils.distance(pool.x, pool.y, player.x, player.y);
             if (dist < pool.radius + player.radius) {
-                const dmg = this.poolDPS * this.getDifficultyDamageMultiplier() * (delta / 1000);
+                const dmg = this.poolDPS * this.getAttackDamageMultiplier() * (delta / 1000);
                 player.takeDamage(dmg);
             }
         }
     }
 
-    draw(ctx) {
+    drawUnderlay(ctx) {
         ctx.save();
+        const highContrast = isHighContrast(this.game);
+        const poolColor = getTelegraphColor(this.game, '#00ff66');
 
         // Draw toxic pools
         for (const pool of this.pools) {
             const alpha = 1 - pool.timer / pool.maxTimer;
             ctx.globalAlpha = alpha * 0.35;
-            ctx.fillStyle = '#00ff66';
-            ctx.shadowColor = '#00ff66';
+            ctx.fillStyle = poolColor;
+            ctx.shadowColor = poolColor;
             ctx.shadowBlur = 15;
             ctx.beginPath();
             ctx.arc(pool.x, pool.y, pool.radius, 0, Math.PI * 2);
             ctx.fill();
             ctx.globalAlpha = 1;
+            if (highContrast) drawHazardCircle(ctx, pool.x, pool.y, pool.radius, { alpha: Math.max(0.4, alpha) });
         }
 
-        // Teleport flash
+        // Teleport flash (a fading outline instead of a solid burst in reduced-motion mode)
+        const reducedMotion = this.game?.runtimeSettings?.reducedMotion;
         if (this._teleportFlash > 0) {
             ctx.globalAlpha = this._teleportFlash / 300;
-            ctx.fillStyle = '#00ff66';
             ctx.beginPath();
             ctx.arc(this.x, this.y, this.radius + 30, 0, Math.PI * 2);
-            ctx.fill();
-            ctx.globalAlpha = 1;
+            if (reducedMotion) {
+                ctx.globalAlpha *= 0.5;
+                ctx.strokeStyle = '#00ff66';
+                ctx.lineWidth = 2;
+                ctx.stroke();
+            } else {
+                ctx.fillStyle = '#00ff66';
+                ctx.fill();
+            }
         }
+        ctx.restore();
+    }
 
-        // Draw boss body
-        ctx.shadowColor = this.glowColor;
-        ctx.shadowBlur = 20;
-        ctx.fillStyle = this.color;
-        ctx.strokeStyle = '#fff';
-        ctx.lineWidth = 3;
-        const pulse = Math.sin(Date.now() / 180) * 4;
-        const size = this.radius + pulse;
-        ctx.beginPath();
-        ctx.arc(this.x, this.y, size, 0, Math.PI * 2);
-        ctx.fill();
-        ctx.stroke();
-
+    drawEmblem(ctx, size) {
         // Diamond inner pattern
-        ctx.strokeStyle = '#fff';
-        ctx.lineWidth = 2;
         const r = size * 0.55;
         ctx.beginPath();
         ctx.moveTo(this.x, this.y - r);
@@ -183,31 +186,24 @@ export class TeleporterBoss extends Boss {
         ctx.lineTo(this.x - r, this.y);
         ctx.closePath();
         ctx.stroke();
-
-        ctx.restore();
-        this._drawHealthBar(ctx, 'TELEPORTER BOSS', '#00ff66');
     }
 
-    _drawHealthBar(ctx, label, color) {
-        const canvasWidth  = this.game.canvas.logicalWidth  || this.game.canvas.width;
-        const canvasHeight = this.game.canvas.logicalHeight || this.game.canvas.height;
-        const barWidth  = canvasWidth * 0.6;
-        const barHeight = 22;
-        const barX = (canvasWidth - barWidth) / 2;
-        const barY = canvasHeight - 48;
-        const healthPercent = this.health / this.maxHealth;
-
-        ctx.fillStyle = color;
-        ctx.font = '11px "Press Start 2P", monospace';
-        ctx.textAlign = 'center';
-        ctx.fillText(label, canvasWidth / 2, barY - 6);
-
-        ctx.fillStyle = '#333';
-        ctx.fillRect(barX, barY, barWidth, barHeight);
-        ctx.fillStyle = color;
-        ctx.fillRect(barX, barY, barWidth * healthPercent, barHeight);
-        ctx.strokeStyle = color;
-        ctx.lineWidth = 1.5;
-        ctx.strokeRect(barX, barY, barWidth, barHeight);
+    /**
+     * Dashed outline of the boss at its blink destination.
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {number} progress
+     */
+    drawTeleportTelegraph(ctx, progress) {
+        ctx.globalAlpha = 0.3 + progress * 0.6;
+        ctx.strokeStyle = getTelegraphColor(this.game, '#00ff66');
+        ctx.lineWidth = 3;
+        ctx.setLineDash([8, 6]);
+        ctx.beginPath();
+        ctx.arc(this.teleportTargetX, this.teleportTargetY, this.radius, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        if (isHighContrast(this.game)) {
+            drawHazardCircle(ctx, this.teleportTargetX, this.teleportTargetY, this.radius, { hatch: false });
+        }
     }
 }
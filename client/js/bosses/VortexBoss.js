@@ -1,9 +1,44 @@
 import { Boss } from '../Boss.js';
 import { GameConfig } from '../config/GameConfig.js';
-import { playSFX } from '../main.js';
+import { playSFX } from '../managers/RuntimeAdapters.js';
 import { MathUtils } from '../utils/MathUtils.js';
+import { getTelegraphColor, isHighContrast, drawHazardCircle } from '../utils/PaletteUtils.js';
 
 // ─── VORTEX BOSS ────────────────────────────────────────────────────────────
+/**
+ * Vortex Boss attack patterns. Mines are laid one at a time up to MINE_COUNT;
+ * the shockwave is telegraphed by the gravity field flaring.
+ */
+const VORTEX_BOSS = {
+    label: 'VORTEX BOSS',
+    color: '#9900ff',
+    pulse: { period: 250, amplitude: 5 },
+    patterns: [
+        { id: 'projectileBurst', execute: (boss) => boss.projectileBurst() },
+        {
+            id: 'spawnMine',
+            weight: 2,
+            telegraph: 250,
+            windup: 0,
+            cooldown: GameConfig.BOSS.VORTEX_BOSS.MINE_COOLDOWN,
+            when: (boss) => boss.mines.length < boss.mineCount,
+            execute: (boss) => boss.spawnMine()
+        },
+        {
+            id: 'shockwave',
+            weight: 2,
+            telegraph: 700,
+            cooldown: GameConfig.BOSS.VORTEX_BOSS.SHOCKWAVE_COOLDOWN,
+            execute: (boss) => boss.fireShockwave(),
+            drawTelegraph: (ctx, boss, progress) => boss.drawShockwaveTelegraph(ctx, progress)
+        }
+    ],
+    phases: [
+        { threshold: 1, attackCooldownMultiplier: 0.8 },
+        { threshold: 0.5, name: 'COLLAPSE', attackCooldownMultiplier: 0.6, speedMultiplier: 1.2, weights: { shockwave: 3 } }
+    ]
+};
+
 /**
  * Vortex Boss — gravitational pull toward center, spawns orbiting mines,
  * expanding shockwave attack.
@@ -11,48 +46,32 @@ import { MathUtils } from '../utils/MathUtils.js';
  */
 export class VortexBoss extends Boss {
     constructor(x, y, health, damage, game) {
-        super(x, y, health, damage, game);
+        super(x, y, health, damage, game, VORTEX_BOSS);
         const cfg = GameConfig.BOSS.VORTEX_BOSS;
-        this.color = '#9900ff';
-        this.glowColor = '#9900ff';
         this.bossType = 'Vortex';
 
         this.pullStrength = cfg.PULL_STRENGTH;
         this.pullRange = cfg.PULL_RANGE;
-        this.mineCooldown = cfg.MINE_COOLDOWN;
-        this.mineTimer = 0;
         this.mineCount = cfg.MINE_COUNT;
         this.mines = []; // {x, y, angle, orbitRadius, timer}
-        this.shockwaveCooldown = cfg.SHOCKWAVE_COOLDOWN;
-        this.shockwaveTimer = 0;
+        this.mineRadius = 20; // Contact radius of a mine in pixels
         this.activeShockwaves = []; // {radius, maxRadius, speed}
 
         this._orbitAngle = 0;
     }
 
-    update(delta, player) {
-        const deltaSeconds = delta / 1000;
-
-        this.prevX = this.x;
-        this.prevY = this.y;
-
+    updateMovement(delta, player) {
         // Pursue the player aggressively instead of drifting to center
         const distToPlayer = MathUtils.distance(this.x, this.y, player.x, player.y);
-
-        const speedMult = (this.game?.modifierState?.enemySpeedMultiplier) || 1;
-        const pressureScale = this.game?.getPressureScale?.() || 1;
-
-        if (distToPlayer > 100) {
-            const moveSpeed = this.speed * 0.8 * pressureScale * speedMult * deltaSeconds;
+        if (distToPlayer > 100 || (distToPlayer > 0 && this.isOutOfSight(player))) {
+            const moveSpeed = this.getMoveSpeed() * 0.8 * (delta / 1000);
             this.x += ((player.x - this.x) / distToPlayer) * moveSpeed;
             this.y += ((player.y - this.y) / distToPlayer) * moveSpeed;
         }
+    }
 
-        // Calculate velocity
-        if (deltaSeconds > 0) {
-            this.vx = (this.x - this.prevX) / deltaSeconds;
-            this.vy = (this.y - this.prevY) / deltaSeconds;
-        }
+    updateBehavior(delta, player) {
+        const deltaSeconds = delta / 1000;
 
         // Gravitational pull on player (re-measure after movement)
         const pullDist = MathUtils.distance(this.x, this.y, player.x, player.y);
@@ -64,47 +83,34 @@ export class VortexBoss extends Boss {
             player.y += (pdy / pullDist) * pullForce;
         }
 
-        // Regular attacks — faster cadence
-        this.attackTimer += delta;
-        if (this.attackTimer >= this.attackCooldown * 0.8) {
-            this.projectileBurst();
-            this.attackTimer = 0;
-        }
-
-        // Mine spawning
-        this.mineTimer += delta;
-        if (this.mineTimer >= this.mineCooldown && this.mines.length < this.mineCount) {
-            this._spawnMine();
-            this.mineTimer = 0;
-        }
-
         // Update orbiting mines — faster orbit
         this._orbitAngle += deltaSeconds * 2.5;
         this._updateMines(delta, player);
 
-        // Shockwave
-        this.shockwaveTimer += delta;
-        if (this.shockwaveTimer >= this.shockwaveCooldown) {
-            this._fireShockwave();
-            this.shockwaveTimer = 0;
-        }
-
         // Update shockwaves
         this._updateShockwaves(delta, player);
     }
 
-    _spawnMine() {
+    spawnMine() {
         const angle = (Math.PI * 2 / this.mineCount) * this.mines.length;
         this.mines.push({
             angle: angle,
-            orbitRadius: 120 + Math.random() * 40,
+            orbitRadius: this.game.rng.ai.range(120, 160),
             timer: 0
         });
         playSFX('boss_summon_minions');
     }
 
+    /**
+     * Damage dealt by a mine on contact (player or ally).
+     * @returns {number}
+     */
+    getMineDamage() {
+        return 15 * this.getAttackDamageMultiplier();
+    }
+
     _updateMines(delta, player) {
-        const damage = 15 * this.getDifficultyDamageMultiplier();
+        const damage = this.getMineDamage();
         for (let i = this.mines.length - 1; i >= 0; i--) {
             const mine = this.mines[i];
             mine.angle = this._orbitAngle + (Math.PI * 2 / this.mineCount) * i;
@@ -115,7 +121,7 @@ export class VortexBoss extends Boss {
 
             // Check collision with player
             const dist = MathUtils.distance(mx, my, player.x, player.y);
-            if (dist < 20 + player.radius) {
+            if (dist < this.mineRadius + player.radius) {
                 player.takeDamage(damage);
                 this.game.createExplosion(mx, my, 6);
                 this.mines.splice(i, 1);
@@ -124,7 +130,7 @@ export class VortexBoss extends Boss {
         }
     }
 
-    _fireShockwave() {
+    fireShockwave() {
         this.activeShockwaves.push({
             radius: this.radius,
             maxRadius: this.pullRange + 100,
@@ -136,7 +142,7 @@ export class VortexBoss extends Boss {
 
     _updateShockwaves(delta, player) {
         const deltaSeconds = delta / 1000;
-        const damage = 10 * this.getDifficultyDamageMultiplier();
+        const damage = 10 * this.getAttackDamageMultiplier();
         for (let i = this.activeShockwaves.length - 1; i >= 0; i--) {
             const sw = this.activeShockwaves[i];
             sw.radius += sw.speed * deltaSeconds;
@@ -153,23 +159,26 @@ export class VortexBoss extends Boss {
         }
     }
 
-    draw(ctx) {
+    drawUnderlay(ctx) {
         ctx.save();
+        const highContrast = isHighContrast(this.game);
+        const fieldColor = getTelegraphColor(this.game, '#9900ff');
 
         // Draw gravity field
         const fieldAlpha = 0.08 + Math.sin(Date.now() / 500) * 0.04;
         ctx.globalAlpha = fieldAlpha;
-        ctx.fillStyle = '#9900ff';
+        ctx.fillStyle = fieldColor;
         ctx.beginPath();
         ctx.arc(this.x, this.y, this.pullRange, 0, Math.PI * 2);
         ctx.fill();
         ctx.globalAlpha = 1;
+        if (highContrast) drawHazardCircle(ctx, this.x, this.y, this.pullRange, { hatch: false, alpha: 0.5 });
 
         // Draw shockwaves
         for (const sw of this.activeShockwaves) {
             const alpha = 1 - sw.radius / sw.maxRadius;
-            ctx.globalAlpha = alpha * 0.6;
-            ctx.strokeStyle = '#9900ff';
+            ctx.globalAlpha = highContrast ? Math.max(0.5, alpha) : alpha * 0.6;
+            ctx.strokeStyle = highContrast ? '#fff' : fieldColor;
             ctx.lineWidth = 4;
             ctx.beginPath();
             ctx.arc(this.x, this.y, sw.radius, 0, Math.PI * 2);
@@ -178,33 +187,23 @@ export class VortexBoss extends Boss {
         ctx.globalAlpha = 1;
 
         // Draw mines
+        const mineColor = getTelegraphColor(this.game, '#ff3366');
         for (const mine of this.mines) {
             if (mine._renderX == null) continue;
-            ctx.fillStyle = '#ff3366';
-            ctx.shadowColor = '#ff3366';
+            ctx.fillStyle = mineColor;
+            ctx.shadowColor = mineColor;
             ctx.shadowBlur = 10;
             ctx.beginPath();
             ctx.arc(mine._renderX, mine._renderY, 12, 0, Math.PI * 2);
             ctx.fill();
             ctx.shadowBlur = 0;
+            if (highContrast) drawHazardCircle(ctx, mine._renderX, mine._renderY, 12);
         }
+        ctx.restore();
+    }
 
-        // Draw boss body
-        ctx.shadowColor = this.glowColor;
-        ctx.shadowBlur = 25;
-        ctx.fillStyle = this.color;
-        ctx.strokeStyle = '#fff';
-        ctx.lineWidth = 3;
-        const pulse = Math.sin(Date.now() / 250) * 5;
-        const size = this.radius + pulse;
-        ctx.beginPath();
-        ctx.arc(this.x, this.y, size, 0, Math.PI * 2);
-        ctx.fill();
-        ctx.stroke();
-
+    drawEmblem(ctx, size) {
         // Swirl inner pattern
-        ctx.strokeStyle = '#fff';
-        ctx.lineWidth = 2;
         const t = Date.now() / 600;
         for (let i = 0; i < 3; i++) {
             const a = t + (Math.PI * 2 / 3) * i;
@@ -212,31 +211,22 @@ export class VortexBoss extends Boss {
             ctx.arc(this.x, this.y, size * 0.55, a, a + Math.PI * 0.6);
             ctx.stroke();
         }
-
-        ctx.restore();
-        this._drawVortexHealthBar(ctx);
     }
 
-    _drawVortexHealthBar(ctx) {
-        const canvasWidth  = this.game.canvas.logicalWidth  || this.game.canvas.width;
-        const canvasHeight = this.game.canvas.logicalHeight || this.game.canvas.height;
-        const barWidth  = canvasWidth * 0.6;
-        const barHeight = 22;
-        const barX = (canvasWidth - barWidth) / 2;
-        const barY = canvasHeight - 48;
-        const healthPercent = this.health / this.maxHealth;
-
-        ctx.fillStyle = '#9900ff';
-        ctx.font = '11px "Press Start 2P", monospace';
-        ctx.textAlign = 'center';
-        ctx.fillText('VORTEX BOSS', canvasWidth / 2, barY - 6);
-
-        ctx.fillStyle = '#333';
-        ctx.fillRect(barX, barY, barWidth, barHeight);
-        ctx.fillStyle = '#9900ff';
-        ctx.fillRect(barX, barY, barWidth * healthPercent, barHeight);
-        ctx.strokeStyle = '#9900ff';
-        ctx.lineWidth = 1.5;
-        ctx.strokeRect(barX, barY, barWidth, barHeight);
+    /**
+     * The gravity field's edge brightens and pulls inward before a shockwave.
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {number} progress
+     */
+    drawShockwaveTelegraph(ctx, progress) {
+        const reducedMotion = this.game?.runtimeSettings?.reducedMotion === true;
+        const ringRadius = reducedMotion ? this.radius + 20 : this.radius + 20 + (1 - progress) * 60;
+        ctx.globalAlpha = 0.3 + progress * 0.6;
+        ctx.strokeStyle = getTelegraphColor(this.game, '#9900ff');
+        ctx.lineWidth = 4;
+        ctx.beginPath();
+        ctx.arc(this.x, this.y, ringRadius, 0, Math.PI * 2);
+        ctx.stroke();
+        if (isHighContrast(this.game)) drawHazardCircle(ctx, this.x, this.y, ringRadius, { hatch: false });
     }
 }
@@ -0,0 +1,125 @@
+/**
+ * @fileoverview Arena layouts and arena feature presets.
+ *
+ * A layout is the shape of the play area, picked once per run on the start
+ * screen. systems/ArenaLayouts.js does the geometry. Every layout has:
+ *   label          - name shown on the start screen and the leaderboard
+ *   shape          - { type: 'rect' } (the whole canvas), or
+ *                    { type: 'circle', radius } / { type: 'ring', radius, pillar }
+ *                      with sizes as a fraction of the shorter canvas side,
+ *                    { type: 'corridor', width } with width a fraction of the height,
+ *                    { type: 'cross', arm } with arm width a fraction of the shorter side
+ *   spawns         - spawn points as [x, y] fractions on the canvas edge, or
+ *                    null to spawn anywhere on the spawn circle
+ *   theme          - grid: 'square' | 'radial'; color: 'r, g, b' of the grid lines
+ *   music          - AudioManager track key, or null for the usual wave tracks
+ *                    (which also play while the layout's track file is missing)
+ *
+ * A feature preset is a named list of arena features. A wave set rule picks the
+ * features for its waves with `features`: a preset key, or a list of
+ * features written out in place (see config/WaveConfig.js).
+ * systems/ArenaFeatureSystem.js validates and runs them.
+ *
+ * Every feature has:
+ *   type           - 'cover' | 'electric' | 'healPad' | 'gravityWell'
+ *   x, y           - center as a fraction of the arena width and height
+ *
+ * Sizes are in reference pixels (an 800x600 arena) and are multiplied by
+ * the arena scale, so a layout looks the same on any screen:
+ *   width, height  - cover and electric tiles (rectangles)
+ *   radius         - heal pads and gravity wells (circles)
+ *
+ * Optional per-type fields (defaults in GameConfig.ARENA_FEATURES):
+ *   cover          - hp
+ *   electric       - period, activeTime (ms), offset (ms into the cycle at wave start)
+ *   healPad        - capacity (health it can restore per wave)
+ *   gravityWell    - strength (px/s² at the rim)
+ */
+
+/** Feature layouts wave sets can refer to by key. */
+export const ARENA_PRESETS = {
+    /** Four blocks of cover around the middle */
+    bunker: [
+        { type: 'cover', x: 0.3, y: 0.3, width: 70, height: 24 },
+        { type: 'cover', x: 0.7, y: 0.3, width: 24, height: 70 },
+        { type: 'cover', x: 0.3, y: 0.7, width: 24, height: 70 },
+        { type: 'cover', x: 0.7, y: 0.7, width: 70, height: 24 },
+    ],
+
+    /** Electrified strips on both flanks, taking turns; heal pads top and bottom */
+    reactor: [
+        { type: 'electric', x: 0.2, y: 0.5, width: 90, height: 240 },
+        { type: 'electric', x: 0.8, y: 0.5, width: 90, height: 240, offset: 2000 },
+        { type: 'healPad', x: 0.5, y: 0.15, radius: 30 },
+        { type: 'healPad', x: 0.5, y: 0.85, radius: 30 },
+    ],
+
+    /** Two gravity wells bending the crossfire, with cover between them */
+    singularity: [
+        { type: 'gravityWell', x: 0.22, y: 0.5, radius: 110 },
+        { type: 'gravityWell', x: 0.78, y: 0.5, radius: 110 },
+        { type: 'cover', x: 0.5, y: 0.25, width: 80, height: 24 },
+        { type: 'cover', x: 0.5, y: 0.75, width: 80, height: 24 },
+    ],
+
+    /** A bit of everything, for the late campaign and endless */
+    gauntlet: [
+        { type: 'cover', x: 0.25, y: 0.3, width: 24, height: 80 },
+        { type: 'cover', x: 0.75, y: 0.7, width: 24, height: 80 },
+        { type: 'electric', x: 0.5, y: 0.15, width: 220, height: 60 },
+        { type: 'electric', x: 0.5, y: 0.85, width: 220, height: 60, offset: 2000 },
+        { type: 'gravityWell', x: 0.78, y: 0.28, radius: 90 },
+        { type: 'healPad', x: 0.2, y: 0.75, radius: 28, capacity: 30 },
+    ],
+};
+
+/** Layout every run uses unless another one is picked. */
+export const DEFAULT_ARENA_LAYOUT = 'classic';
+
+/** Arena layouts, in start screen order. */
+export const ARENA_LAYOUTS = {
+    /** The whole screen, enemies from every direction */
+    classic: {
+        label: 'Classic',
+        shape: { type: 'rect' },
+        spawns: null,
+        theme: { grid: 'square', color: '0, 255, 255' },
+        music: null,
+    },
+
+    /** A round arena, enemies pouring in from eight gates */
+    circular: {
+        label: 'Circular',
+        shape: { type: 'circle', radius: 0.47 },
+        spawns: [[0.5, 0], [1, 0], [1, 0.5], [1, 1], [0.5, 1], [0, 1], [0, 0.5], [0, 0]],
+        theme: { grid: 'radial', color: '255, 0, 255' },
+        music: 'music_arena_circle',
+    },
+
+    /** A long horizontal hall, enemies from both ends */
+    corridor: {
+        label: 'Corridor',
+        shape: { type: 'corridor', width: 0.44 },
+        spawns: [[0, 0.5], [1, 0.5]],
+        theme: { grid: 'square', color: '255, 170, 0' },
+        music: 'music_arena_corridor',
+    },
+
+    /** Two crossing halls, enemies from the end of each arm */
+    cross: {
+        label: 'Cross',
+        shape: { type: 'cross', arm: 0.4 },
+        spawns: [[0.5, 0], [1, 0.5], [0.5, 1], [0, 0.5]],
+        theme: { grid: 'square', color: '0, 255, 120' },
+        music: 'music_arena_cross',
+    },
+
+    /** A round arena around a central pillar that blocks shots and movement */
+    ring: {
+        label: 'Ring',
+        shape: { type: 'ring', radius: 0.47, pillar: 0.14 },
+        spawns: [[0.5, 0], [1, 0.25], [1, 0.75], [0.5, 1], [0, 0.75], [0, 0.25]],
+        theme: { grid: 'radial', color: '160, 90, 255' },
+        music: 'music_arena_ring',
+    },
+};
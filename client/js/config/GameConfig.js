@@ -7,6 +7,7 @@
  * 
  * Configuration is organized into logical groups:
  * - CANVAS: Display and rendering settings
+ * - LOOP: Fixed-timestep simulation settings
  * - PLAYER: Player character stats and abilities
  * - ENEMY: Enemy behavior and scaling
  * - WAVE: Wave progression and difficulty
@@ -99,6 +100,27 @@ export const GameConfig = {
         }
     },
 
+    /**
+     * Simulation loop configuration
+     * 
+     * Gameplay advances in fixed-size ticks regardless of display refresh
+     * rate, so a 30 fps and a 144 fps player get identical outcomes.
+     * Rendering interpolates entity positions between the last two ticks.
+     */
+    LOOP: {
+        /** @type {number} Simulation tick rate in Hz */
+        TICK_RATE: 60,
+
+        /** @type {number} Duration of one simulation tick in milliseconds */
+        FIXED_STEP_MS: 1000 / 60,
+
+        /** @type {number} Longest real frame fed into the accumulator (avoids spiral of death after tab switches) */
+        MAX_FRAME_MS: 250,
+
+        /** @type {number} Maximum ticks simulated per rendered frame before dropping the backlog */
+        MAX_STEPS_PER_FRAME: 8,
+    },
+
     /**
      * Player character configuration
      * 
@@ -150,6 +172,111 @@ export const GameConfig = {
         ENEMY_PROJECTILE_IFRAMES_MS: 120
     },
 
+    /**
+     * Aiming control schemes
+     * 
+     * AUTO picks and leads targets on its own. MANUAL turns toward the
+     * cursor and fires while the button is held. HYBRID auto-aims, but a
+     * click locks onto the enemy under the cursor. Manual turning still goes
+     * through ROTATION_SPEED and FIRING_TOLERANCE, so DEX and Quick Aim keep
+     * their value. Mode values end up in settings, replays and leaderboard
+     * run details, so never rename one.
+     *
+     * Analog movement (gamepad stick) is snapped to MOVE_STEPS per axis before
+     * it reaches the simulation, so replays can store it exactly.
+     */
+    CONTROLS: {
+        /** @type {{AUTO: string, MANUAL: string, HYBRID: string}} Selectable aim modes */
+        AIM_MODES: { AUTO: 'auto', MANUAL: 'manual', HYBRID: 'hybrid' },
+        /** @type {number} Manual aim is snapped to this many directions (replays store the index) */
+        AIM_DIRECTIONS: 360,
+        /** @type {number} Extra pick radius around an enemy for the hybrid lock click in pixels */
+        TARGET_LOCK_PADDING: 24,
+        /** @type {number} Analog movement resolution per axis (input frames carry -MOVE_STEPS..MOVE_STEPS) */
+        MOVE_STEPS: 64,
+
+        /** Keyboard action map (KeyboardEvent.code values) */
+        KEYBOARD: {
+            /** @type {number} Stored binding format; saves with another version fall back to the defaults */
+            BINDINGS_VERSION: 1,
+            /** @type {number} Number of independently stored binding profiles */
+            PROFILE_COUNT: 3,
+            /**
+             * Default action → [primary, alternate] key codes (null = unbound).
+             * Skill slots follow HudSkillBar order (slot 4 is the ultimate).
+             * @type {Object<string, (string|null)[]>}
+             */
+            DEFAULT_BINDINGS: {
+                moveUp: ['KeyW', 'ArrowUp'],
+                moveDown: ['KeyS', 'ArrowDown'],
+                moveLeft: ['KeyA', 'ArrowLeft'],
+                moveRight: ['KeyD', 'ArrowRight'],
+                castSlot1: ['KeyQ', null],
+                castSlot2: ['KeyE', null],
+                castSlot3: ['KeyR', null],
+                castSlot4: ['KeyT', null],
+                pause: ['KeyP', null],
+                openSettings: ['Escape', null],
+                toggleDevPanel: ['Backquote', null],
+                toggleAdminPanel: ['Semicolon', null],
+            },
+            /** @type {string[]} Actions listed on the settings key-binding page (the dev toggles are not) */
+            REMAPPABLE_ACTIONS: [
+                'moveUp', 'moveDown', 'moveLeft', 'moveRight',
+                'castSlot1', 'castSlot2', 'castSlot3', 'castSlot4',
+                'pause', 'openSettings',
+            ],
+        },
+
+        /** On-screen touch controls (<hud-touch-controls>) */
+        TOUCH: {
+            /** @type {number} Joystick knob travel at 100% control size in pixels */
+            JOYSTICK_RADIUS: 56,
+            /** @type {number} Stick deflection (0-1) below which no movement is reported */
+            DEADZONE: 0.15,
+        },
+
+        /** Gamepad API (standard mapping) */
+        GAMEPAD: {
+            /** @type {number} Radial stick deadzone (0-1) */
+            DEADZONE: 0.2,
+            /** @type {number} Hold time before a D-pad direction starts repeating in milliseconds */
+            NAV_REPEAT_DELAY: 350,
+            /** @type {number} Time between repeated D-pad moves in milliseconds */
+            NAV_REPEAT_INTERVAL: 120,
+            /** @type {number} Rumble strength when the player is hit (0-1) */
+            HIT_RUMBLE_INTENSITY: 0.6,
+            /** @type {number} Rumble length when the player is hit in milliseconds */
+            HIT_RUMBLE_DURATION: 150,
+            /**
+             * Default action → button index. Skill slots follow HudSkillBar
+             * order (slot 4 is the ultimate). Players can remap the ones in
+             * REMAPPABLE_ACTIONS from the settings screen.
+             * @type {Object<string, number>}
+             */
+            DEFAULT_BINDINGS: {
+                castSlot1: 4,
+                castSlot2: 5,
+                castSlot3: 2,
+                castSlot4: 3,
+                pause: 9,
+                confirm: 0,
+                back: 1,
+                navUp: 12,
+                navDown: 13,
+                navLeft: 14,
+                navRight: 15,
+            },
+            /** @type {string[]} Actions listed in the settings screen for remapping */
+            REMAPPABLE_ACTIONS: ['castSlot1', 'castSlot2', 'castSlot3', 'castSlot4', 'pause'],
+            /** @type {string[]} Button names by standard-mapping index */
+            BUTTON_LABELS: [
+                'A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'View', 'Menu',
+                'L3', 'R3', 'D-Pad Up', 'D-Pad Down', 'D-Pad Left', 'D-Pad Right', 'Home',
+            ],
+        }
+    },
+
     /**
      * Enemy configuration and behavior
      * 
@@ -181,6 +308,76 @@ export const GameConfig = {
             HEAL_INTERVAL: 2000,
             HEAL_COLOR: '#00ff88'
         },
+
+        /** Sniper: keeps its distance and fires a telegraphed line shot */
+        SNIPER: {
+            /** @type {number} Time between shots in ms */
+            SHOT_COOLDOWN: 3500,
+            /** @type {number} Telegraph duration before the shot in ms */
+            CHARGE_TIME: 1200,
+            /** @type {number} The aim stops following the player this long before firing (ms) */
+            AIM_LOCK_TIME: 350,
+            /** @type {number} Only starts charging within this distance of the player */
+            MAX_RANGE: 420,
+            /** @type {number} Shot speed relative to player projectiles */
+            PROJECTILE_SPEED: 1.6,
+            /** @type {number} Shot damage as a multiple of contact damage */
+            DAMAGE_RATIO: 1.5
+        },
+
+        /** Shield-bearer: a frontal barrier that blocks player projectiles */
+        SHIELD_BEARER: {
+            /** @type {number} Angular width of the barrier (radians) */
+            BARRIER_ARC: Math.PI * 0.6,
+            /** @type {number} Barrier distance beyond the body radius (px) */
+            BARRIER_OFFSET: 14,
+            /** @type {number} Damage the barrier absorbs, as a fraction of max health */
+            BARRIER_HEALTH_RATIO: 1,
+            /** @type {number} Time before a broken barrier comes back (ms) */
+            BARRIER_REGEN_DELAY: 4000,
+            /** @type {number} How fast the barrier turns to face the player (rad/s) */
+            TURN_SPEED: 1.5
+        },
+
+        /** Bomber: closes in, winds up, dashes and detonates */
+        BOMBER: {
+            /** @type {number} Starts the wind-up within this distance (px) */
+            DASH_RANGE: 170,
+            /** @type {number} Wind-up before the dash in ms */
+            WINDUP_TIME: 450,
+            /** @type {number} Dash speed as a multiple of normal speed */
+            DASH_SPEED_MULTIPLIER: 6,
+            /** @type {number} Longest dash before detonating anyway (ms) */
+            DASH_DURATION: 600,
+            /** @type {number} Explosion radius (px) */
+            BLAST_RADIUS: 70,
+            /** @type {number} Explosion damage as a multiple of contact damage */
+            BLAST_DAMAGE_RATIO: 2
+        },
+
+        /** Summoner: hangs back and calls in minions */
+        SUMMONER: {
+            /** @type {number} Time between summons in ms */
+            SUMMON_INTERVAL: 4500,
+            /** @type {number} Minions per summon */
+            MINIONS_PER_SUMMON: 2,
+            /** @type {number} Most minions alive per summoner */
+            MAX_MINIONS: 4,
+            /** @type {number} Minion health as a fraction of the summoner's max health */
+            MINION_HEALTH_RATIO: 0.25,
+            /** @type {number} Minion damage as a fraction of the summoner's damage */
+            MINION_DAMAGE_RATIO: 0.5
+        },
+
+        /** Phase-shifter: periodically slips out of phase and can't be targeted */
+        PHASE_SHIFTER: {
+            /** @type {number} Time spent in phase (targetable) in ms */
+            VISIBLE_TIME: 2500,
+            /** @type {number} Time spent out of phase in ms */
+            PHASED_TIME: 1400,
+            /** @type {number} Speed multiplier while out of phase */
+            PHASED_SPEED_MULTIPLIER: 1.5
+        },
         
         /**
          * Enemy variant multipliers for creating different enemy types
@@ -194,7 +391,217 @@ export const GameConfig = {
             FAST: { health: 0.5, speed: 2.0, damage: 1.5 },
             TANK: { health: 3.0, speed: 0.5, damage: 2.5 },
             SPLITTER: { health: 2.0, speed: 0.8, damage: 1.8 },
-            HEALER: { health: 1.5, speed: 0.7, damage: 1.2 }
+            HEALER: { health: 1.5, speed: 0.7, damage: 1.2 },
+            SNIPER: { health: 0.8, speed: 0.9, damage: 1.0 },
+            SHIELD_BEARER: { health: 2.2, speed: 0.6, damage: 1.5 },
+            BOMBER: { health: 0.7, speed: 1.3, damage: 1.0 },
+            SUMMONER: { health: 1.6, speed: 0.6, damage: 1.0 },
+            PHASE_SHIFTER: { health: 1.0, speed: 1.2, damage: 1.3 }
+        },
+
+        /**
+         * Steering behaviors (see enemies/Steering.js)
+         *
+         * A profile weights the behaviors an enemy blends into its movement
+         * direction. Enemy kinds pick a profile through KIND_PROFILES; an
+         * enemy can also set `steeringProfile` itself.
+         * - seek: head for the player (bent into an arc by flankAngle)
+         * - separation: push away from overlapping enemies
+         * - cohesion / alignment: flock with nearby enemies of the same kind
+         * - keepAtRange: hold preferredRange ± rangeTolerance, strafing in between
+         * - seekAllies: move toward the nearest wounded ally
+         * - retreat: flee the player below retreatHealth (fraction of max HP)
+         */
+        STEERING: {
+            /** @type {number} Gap separation keeps between enemy bodies (px) */
+            SEPARATION_PADDING: 6,
+            /** @type {number} Neighborhood radius for flocking (px) */
+            FLOCK_RADIUS: 90,
+            /** @type {number} Flanking arcs straighten out inside this distance (px) */
+            FLANK_NEAR: 150,
+            /** @type {number} ...and are fully bent beyond NEAR + this (px) */
+            FLANK_FADE: 300,
+            /** @type {number} How far a healer looks for wounded allies (px) */
+            ALLY_SEEK_RADIUS: 350,
+            /** @type {number} Retreating enemies stop fleeing beyond this distance (px) */
+            RETREAT_DISTANCE: 320,
+            /** @type {number} A retreat gives up and the enemy comes back in after this long (ms) */
+            RETREAT_TIME: 8000,
+            /** @type {number} Backing off and retreating stop this far inside the arena edge, past the enemy's radius (px) */
+            WALL_MARGIN: 20,
+            /** @type {number} Enemies start steering around cover and the ring's pillar this far from them (px) */
+            OBSTACLE_RANGE: 24,
+            PROFILES: {
+                chaser: { seek: 1, separation: 1.2 },
+                swarm: { seek: 1, separation: 1.2, cohesion: 0.2, alignment: 0.3 },
+                flanker: { seek: 1, separation: 1, flankAngle: 0.8 },
+                juggernaut: { seek: 1, separation: 0.4 },
+                kiter: { keepAtRange: 1, separation: 1, preferredRange: 300, rangeTolerance: 40 },
+                caster: { keepAtRange: 1, separation: 1, preferredRange: 360, rangeTolerance: 60 },
+                support: { seek: 1, separation: 1, seekAllies: 1.5, retreat: 1.5, retreatHealth: 0.4 }
+            },
+            KIND_PROFILES: {
+                basic: 'swarm',
+                fast: 'flanker',
+                tank: 'juggernaut',
+                splitter: 'chaser',
+                healer: 'support',
+                sniper: 'kiter',
+                shieldBearer: 'juggernaut',
+                bomber: 'flanker',
+                summoner: 'caster',
+                phaseShifter: 'chaser'
+            },
+            /** @type {string} Profile for kinds not listed in KIND_PROFILES */
+            DEFAULT_PROFILE: 'chaser'
+        }
+    },
+
+    /**
+     * Enemy status effects (see enemies/StatusEffects.js)
+     *
+     * Stacking rules for re-applying an effect that is already active:
+     * - refresh: duration resets to the longer of the two, stacks stay at 1
+     * - stack: adds stacks up to maxStacks and resets the duration
+     * - extend: adds the new duration on top of what is left
+     *
+     * Strength values (damage taken, speed) apply per stack. Effects with a
+     * tickInterval deal the tickDamage (per second, per stack) given when
+     * they were applied. Bosses ignore bossImmune effects.
+     */
+    STATUS_EFFECTS: {
+        MARKED: {
+            id: 'marked',
+            stacking: 'refresh',
+            maxStacks: 1,
+            damageTakenPerStack: 0.25,
+            color: '#ffaa44',
+            overlay: 'reticle'
+        },
+        VULNERABLE: {
+            id: 'vulnerable',
+            stacking: 'stack',
+            maxStacks: 5,
+            damageTakenPerStack: 0.08,
+            color: '#ff4466',
+            overlay: 'pips'
+        },
+        STUNNED: {
+            id: 'stunned',
+            stacking: 'refresh',
+            maxStacks: 1,
+            speedMultiplier: 0,
+            /** Stunned enemies deal no contact damage and hold their attacks */
+            disarms: true,
+            bossImmune: true,
+            color: '#ffff66',
+            overlay: 'orbit'
+        },
+        ROOTED: {
+            id: 'rooted',
+            stacking: 'extend',
+            maxStacks: 1,
+            speedMultiplier: 0,
+            bossImmune: true,
+            color: '#66ff99',
+            overlay: 'ring'
+        },
+        EXPOSED: {
+            id: 'exposed',
+            stacking: 'stack',
+            maxStacks: 3,
+            tickInterval: 500,
+            color: '#ff8800',
+            overlay: 'cracks'
+        }
+    },
+
+    /**
+     * Elite enemies (see enemies/EliteAffixes.js)
+     *
+     * From START_WAVE on, each regular enemy can roll one affix; past
+     * CHAMPION_WAVE it can roll a second and becomes a champion. The chance
+     * grows per wave and is scaled by the difficulty preset's
+     * eliteChanceMultiplier. Bosses, minions and splitter offspring never roll.
+     */
+    ELITES: {
+        START_WAVE: 12,
+        BASE_CHANCE: 0.03,
+        CHANCE_PER_WAVE: 0.005,
+        MAX_CHANCE: 0.3,
+        CHAMPION_WAVE: 30,
+        /** @type {number} Chance an elite past CHAMPION_WAVE rolls a second affix */
+        CHAMPION_CHANCE: 0.3,
+        HEALTH_MULTIPLIER: 1.75,
+        SIZE_MULTIPLIER: 1.2,
+        /** @type {number} Added to the score and XP multiplier per affix (one affix = 1 + this) */
+        REWARD_MULTIPLIER_PER_AFFIX: 2,
+        /** @type {number} Minimum drop chance for an elite kill */
+        LOOT_DROP_CHANCE: 0.6,
+        /** @type {number} Extra rarity rolls per affix; the best result drops */
+        LOOT_BONUS_ROLLS_PER_AFFIX: 1,
+
+        AFFIXES: {
+            VAMPIRIC: {
+                id: 'vampiric',
+                name: 'Vampiric',
+                color: '#ff1f4f',
+                /** @type {number} Drains the player within this range (px) */
+                RADIUS: 150,
+                DRAIN_INTERVAL: 1000,
+                /** @type {number} Drain per pulse as a fraction of the elite's damage */
+                DRAIN_RATIO: 0.15,
+                /** @type {number} Elite heals this multiple of what it drains */
+                HEAL_MULTIPLIER: 4
+            },
+            HASTED: {
+                id: 'hasted',
+                name: 'Hasted',
+                color: '#ffee33',
+                SPEED_MULTIPLIER: 1.5
+            },
+            SHIELDED: {
+                id: 'shielded',
+                name: 'Shielded',
+                color: '#33ccff',
+                /** @type {number} Shield as a fraction of max health; absorbs damage first */
+                SHIELD_RATIO: 0.6
+            },
+            EXPLOSIVE: {
+                id: 'explosive',
+                name: 'Explosive',
+                color: '#ff8811',
+                RADIUS: 90,
+                /** @type {number} Blast damage as a multiple of the elite's damage */
+                DAMAGE_RATIO: 1.5
+            },
+            TELEPORTING: {
+                id: 'teleporting',
+                name: 'Teleporting',
+                color: '#cc66ff',
+                INTERVAL: 4000,
+                /** @type {number} Blinks this far toward the player (px) */
+                DISTANCE: 120,
+                /** @type {number} Never blinks closer to the player than this (px) */
+                MIN_PLAYER_DISTANCE: 90
+            },
+            REFLECTIVE: {
+                id: 'reflective',
+                name: 'Reflective',
+                color: '#e0e0ff',
+                /** @type {number} Shortest time between reflected shots (ms) */
+                COOLDOWN: 700,
+                /** @type {number} Reflected shot damage as a fraction of the hit */
+                DAMAGE_RATIO: 0.5
+            },
+            FROZEN_AURA: {
+                id: 'frozenAura',
+                name: 'Frozen',
+                color: '#a8f0ff',
+                RADIUS: 140,
+                /** @type {number} Player move speed and fire rate multiplier inside the aura */
+                CHILL_FACTOR: 0.65
+            }
         }
     },
 
@@ -233,6 +640,30 @@ export const GameConfig = {
         /** @type {number} Final wave of the main campaign (victory condition) */
         MAX_WAVE: 30,
 
+        /** @type {number} Default warning time before an attack pattern (ms) */
+        TELEGRAPH_TIME: 450,
+
+        /** @type {number} Default time a boss holds still right before an attack lands (ms) */
+        WINDUP_TIME: 200,
+
+        /** @type {number} Delay before a freshly spawned boss picks its first attack (ms) */
+        FIRST_ATTACK_DELAY: 1500,
+
+        /** @type {number} Attack pause while a boss shifts into its next HP phase (ms) */
+        PHASE_TRANSITION_PAUSE: 1000,
+
+        /** @type {number} Fight length after which a boss enrages (ms) */
+        ENRAGE_TIME: 120000,
+
+        /** @type {number} Attack interval multiplier once enraged */
+        ENRAGE_COOLDOWN_MULTIPLIER: 0.6,
+
+        /** @type {number} Movement speed multiplier once enraged */
+        ENRAGE_SPEED_MULTIPLIER: 1.3,
+
+        /** @type {number} Attack damage multiplier once enraged */
+        ENRAGE_DAMAGE_MULTIPLIER: 1.25,
+
         /**
          * Shield Boss tuning values
          */
@@ -317,6 +748,158 @@ export const GameConfig = {
             COMBO_BURST_COUNT: 32,
             /** @type {number} Radius of the slow field */
             SLOW_FIELD_RADIUS: 450
+        },
+
+        /**
+         * Mirror Boss tuning values (copies the player's equipped skills)
+         */
+        MIRROR_BOSS: {
+            /** @type {number} Mirrored skill cooldown as a ratio of the player's */
+            SKILL_COOLDOWN_SCALE: 0.4,
+            /** @type {number} Shortest cooldown a mirrored skill can have in ms */
+            MIN_SKILL_COOLDOWN: 4000,
+            /** @type {number} Longest cooldown a mirrored skill can have in ms */
+            MAX_SKILL_COOLDOWN: 14000,
+            /** @type {number} Strength multiplier for a mirrored ultimate */
+            ULTIMATE_POWER: 1.5,
+            /** @type {number} Aimed shots per mirrored Gunner volley */
+            VOLLEY_SHOTS: 5,
+            /** @type {number} Radius of the mirrored Technomancer nova's chill */
+            NOVA_RADIUS: 260,
+            /** @type {number} Player speed multiplier while chilled by the nova */
+            NOVA_CHILL_FACTOR: 0.6,
+            /** @type {number} Chill duration in ms */
+            NOVA_CHILL_DURATION: 2000,
+            /** @type {number} Mirrored Sentinel shield as a ratio of boss max health */
+            AEGIS_HEALTH_RATIO: 0.08,
+            /** @type {number} How long the mirrored Sentinel shield lasts in ms */
+            AEGIS_DURATION: 5000,
+            /** @type {number} Drones called in by a mirrored Engineer skill */
+            DRONE_COUNT: 3,
+            /** @type {number} Strike zones marked by a mirrored Tactician skill */
+            STRIKE_COUNT: 3,
+            /** @type {number} Radius of each strike zone */
+            STRIKE_RADIUS: 70,
+            /** @type {number} Damage dealt by a strike zone */
+            STRIKE_DAMAGE: 22
+        },
+
+        /**
+         * Swarm Mind tuning values (linked bodies sharing one health pool)
+         */
+        SWARM_MIND: {
+            /** @type {number} Bodies linked to the core at spawn */
+            BODY_COUNT: 6,
+            /** @type {number} Extra bodies joining on each later phase */
+            PHASE_BODY_BONUS: 2,
+            /** @type {number} Collision radius of a body */
+            BODY_RADIUS: 20,
+            /** @type {number} Contact damage of a body as a ratio of the core's */
+            BODY_DAMAGE_RATIO: 0.4,
+            /** @type {number} Distance from the core to its bodies */
+            FORMATION_RADIUS: 110,
+            /** @type {number} Formation rotation in radians per second */
+            FORMATION_SPIN: 0.8,
+            /** @type {number} Ring radius when the bodies start closing on the player */
+            ENCIRCLE_RADIUS: 220,
+            /** @type {number} Time for the encircling ring to close in ms */
+            ENCIRCLE_TIME: 2200,
+            /** @type {number} Damage per second while touching a charged link */
+            LINK_DPS: 18,
+            /** @type {number} Width of a link's damaging beam */
+            LINK_WIDTH: 8
+        },
+
+        /**
+         * Grid Warden tuning values (hazard lanes across the arena)
+         */
+        GRID_WARDEN: {
+            /** @type {number} Width of a hazard lane */
+            LANE_WIDTH: 80,
+            /** @type {number} Lanes armed per lane attack (plus one per later phase) */
+            LANE_COUNT: 2,
+            /** @type {number} Warning time before a lane goes live in ms */
+            LANE_WARNING: 1200,
+            /** @type {number} How long a live lane stays active in ms */
+            LANE_ACTIVE_TIME: 3000,
+            /** @type {number} Damage per second while standing in a live lane */
+            LANE_DPS: 35,
+            /** @type {number} Speed of a sweeping lane (px/s) */
+            SWEEP_SPEED: 180,
+            /** @type {number} Cooldown between crossfire attacks in ms */
+            CROSSFIRE_COOLDOWN: 5000
+        }
+    },
+
+    /**
+     * Boss Rush mode
+     *
+     * Every boss in the roster back-to-back, starting from a levelled-up
+     * build. Kills, combos and drops score nothing; each boss pays out a
+     * clear bonus plus time and damage bonuses. The server's anticheat
+     * assumes at most CLEAR_SCORE + TIME_BONUS + NO_DAMAGE_BONUS per boss.
+     */
+    BOSS_RUSH: {
+        /** @type {number} Level the run starts at (skill points to spend before the first boss) */
+        STARTING_LEVEL: 10,
+        /** @type {number} Random ascension modifiers granted at the start */
+        STARTING_ASCENSIONS: 2,
+        /** @type {number} Flat score for each boss defeated */
+        CLEAR_SCORE: 1000,
+        /** @type {number} Time bonus for an instant kill, shrinking to 0 at PAR_TIME */
+        TIME_BONUS: 2000,
+        /** @type {number} Kill time in ms at which the time bonus runs out */
+        PAR_TIME: 90000,
+        /** @type {number} Bonus for a fight without damage, shrinking to 0 at a full health bar taken */
+        NO_DAMAGE_BONUS: 1000
+    },
+
+    /**
+     * Allied entity configuration (Engineer turrets and drones)
+     *
+     * Base values before skill scaling. Ally damage is a ratio of the player's
+     * base shot damage, so allies grow with the player's damage upgrades.
+     */
+    ALLY: {
+        /** Stationary turret placed by Deploy Turret */
+        TURRET: {
+            /** @type {number} Base health points */
+            HP: 120,
+            /** @type {number} Collision radius in pixels */
+            RADIUS: 14,
+            /** @type {number} Time between shots in milliseconds */
+            FIRE_INTERVAL: 600,
+            /** @type {number} Targeting range in pixels */
+            RANGE: 320,
+            /** @type {number} Shot damage as a ratio of the player's base damage */
+            DAMAGE_RATIO: 0.6,
+            COLOR: '#44ff44'
+        },
+
+        /** Drone orbiting the player (Combat Drone / Drone Bay) */
+        DRONE: {
+            HP: 60,
+            RADIUS: 8,
+            FIRE_INTERVAL: 800,
+            RANGE: 260,
+            DAMAGE_RATIO: 0.35,
+            /** @type {number} Distance from the player in pixels */
+            ORBIT_RADIUS: 60,
+            /** @type {number} Orbit speed in radians per second */
+            ORBIT_SPEED: 1.8,
+            COLOR: '#88ff88'
+        },
+
+        /** Temporary drone summoned by Drone Swarm */
+        ASSAULT_DRONE: {
+            HP: 80,
+            RADIUS: 9,
+            FIRE_INTERVAL: 350,
+            RANGE: 340,
+            DAMAGE_RATIO: 0.5,
+            ORBIT_RADIUS: 95,
+            ORBIT_SPEED: 2.6,
+            COLOR: '#ccff44'
         }
     },
 
@@ -360,7 +943,90 @@ export const GameConfig = {
         MIN_SPAWN_INTERVAL: 300,
         
         /** @type {number} Reduction in spawn interval per wave in milliseconds */
-        SPAWN_INTERVAL_REDUCTION: 20
+        SPAWN_INTERVAL_REDUCTION: 20,
+
+        /**
+         * Squad formations (see systems/SpawnFormations.js). Squad size and
+         * spacing are multiplied by the arena's pressure scale.
+         */
+        FORMATIONS: {
+            /** @type {number} Distance between squad members in pixels */
+            SPACING: 42,
+
+            /** @type {number} Arc (radians) a burst squad is scattered across */
+            BURST_SPREAD: 0.35,
+
+            /** @type {number} How long flankers orbit before charging (ms) */
+            FLANK_ORBIT_TIME: 2500,
+
+            /** @type {number} Flankers orbit at this fraction of the smaller arena half-size */
+            FLANK_ORBIT_RADIUS: 0.75,
+
+            /** @type {number} How early the spawn warning previews a squad's edge (ms) */
+            PREVIEW_TIME: 2000
+        }
+    },
+
+    /**
+     * Arena features (see systems/ArenaFeatureSystem.js). Features are laid
+     * out in reference pixels and multiplied by the arena scale, like the
+     * arena itself. Per-feature fields in a wave set override these defaults.
+     */
+    ARENA_FEATURES: {
+        /** @type {number} Spatial grid cell size for feature lookups (px) */
+        GRID_CELL_SIZE: 160,
+
+        /** Destructible cover: blocks every projectile until shot down */
+        COVER: {
+            /** @type {number} Hit points of a fresh block */
+            HP: 300,
+            /** @type {number} Least gap between a block and the ring's pillar; an elite tank is 60 across (px) */
+            PILLAR_LANE: 64
+        },
+
+        /** Electrified floor tiles that switch on and off in a fixed cycle */
+        ELECTRIC: {
+            /** @type {number} Length of one off/on cycle (ms) */
+            PERIOD: 4000,
+            /** @type {number} How long the tile stays live each cycle (ms) */
+            ACTIVE_TIME: 1500,
+            /** @type {number} Warning flicker before the tile goes live (ms) */
+            WARNING_TIME: 700,
+            /** @type {number} Damage per second to the player while live */
+            PLAYER_DPS: 20,
+            /** @type {number} Fraction of max health per second dealt to regular enemies */
+            ENEMY_DPS_RATIO: 0.15
+        },
+
+        /** Healing pads: restore health while the player stands on them */
+        HEAL_PAD: {
+            /** @type {number} Health restored per second */
+            RATE: 8,
+            /** @type {number} Total health a pad can restore per wave */
+            CAPACITY: 40
+        },
+
+        /** Gravity wells: pull projectiles passing through them off course */
+        GRAVITY_WELL: {
+            /** @type {number} Turning acceleration toward the center at the rim (px/s²) */
+            STRENGTH: 1400
+        }
+    },
+
+    /**
+     * Arena layouts (shapes, spawn points and themes live in config/ArenaConfig.js)
+     */
+    ARENA_LAYOUT: {
+        /** @type {number} How far spawns stray sideways from a spawn point (reference px) */
+        SPAWN_POINT_SPREAD: 90,
+        /** @type {number} Opacity of the shade drawn over the off-limits part of the canvas */
+        VOID_ALPHA: 0.6,
+        /** @type {number} Spacing between the rings of a radial grid theme (px) */
+        RADIAL_GRID_STEP: 50,
+        /** @type {number} Number of spokes in a radial grid theme */
+        RADIAL_GRID_SPOKES: 16,
+        /** @type {number} A shot's line must pass this far from the ring's pillar, or the pillar absorbs it: a projectile's radius (px) */
+        SHOT_CLEARANCE: 5
     },
 
     /**
@@ -373,7 +1039,8 @@ export const GameConfig = {
             enemyHealthMultiplier: 0.85,
             enemySpeedMultiplier: 0.9,
             enemyDamageMultiplier: 0.85,
-            spawnIntervalMultiplier: 1.1
+            spawnIntervalMultiplier: 1.1,
+            eliteChanceMultiplier: 0.6
         },
         normal: {
             label: 'Normal',
@@ -381,7 +1048,8 @@ export const GameConfig = {
             enemyHealthMultiplier: 1,
             enemySpeedMultiplier: 1,
             enemyDamageMultiplier: 1,
-            spawnIntervalMultiplier: 1
+            spawnIntervalMultiplier: 1,
+            eliteChanceMultiplier: 1
         },
         hard: {
             label: 'Hard',
@@ -389,7 +1057,8 @@ export const GameConfig = {
             enemyHealthMultiplier: 1.15,
             enemySpeedMultiplier: 1.12,
             enemyDamageMultiplier: 1.2,
-            spawnIntervalMultiplier: 0.9
+            spawnIntervalMultiplier: 0.9,
+            eliteChanceMultiplier: 1.5
         }
     },
 
@@ -710,6 +1379,35 @@ export const GameConfig = {
                     thrusterColor: '#00e5ff',
                     thrusterColorAlt: '#aa44ff',
                 },
+                /** Sentinel — steady blues & silver */
+                SENTINEL: {
+                    bodyColor: '#44aaff',
+                    bodyColorActive: '#88ccff',
+                    glowColor: '#44aaff',
+                    visorColor: '#e0f4ff',
+                    gunAccentColor: '#aaccee',
+                    thrusterColor: '#44aaff',
+                    thrusterColorAlt: '#88ccff',
+                },
+                /** Engineer — workshop greens & steel */
+                ENGINEER: {
+                    bodyColor: '#44ff44',
+                    bodyColorActive: '#aaff44',
+                    glowColor: '#44ff44',
+                    visorColor: '#e0ffe0',
+                    gunAccentColor: '#99aa99',
+                    thrusterColor: '#44ff44',
+                    thrusterColorAlt: '#aaff44',
+                },
+                TACTICIAN: {
+                    bodyColor: '#ffaa44',
+                    bodyColorActive: '#ffcc66',
+                    glowColor: '#ffaa44',
+                    visorColor: '#fff0d8',
+                    gunAccentColor: '#aa9977',
+                    thrusterColor: '#ffaa44',
+                    thrusterColorAlt: '#ff7722',
+                },
             },
 
             /** Skill-specific VFX timing */
@@ -728,6 +1426,64 @@ export const GameConfig = {
         },
     },
 
+    /**
+     * Accessibility rendering options
+     *
+     * Colorblind-safe palettes swap the colors that carry meaning (enemy
+     * type, loot rarity, boss attack telegraphs). Any entry missing from a
+     * palette falls back to the entity's own neon color. High-contrast mode
+     * is independent of the palette and adds outlines and glyphs instead.
+     */
+    ACCESSIBILITY: {
+        /**
+         * Reduced-motion / photosensitivity mode. Screen shake is disabled and
+         * full-screen flashes become edge vignettes, limited in rate and in
+         * how fast they may brighten or darken the screen.
+         */
+        REDUCED_MOTION: {
+            /** @type {number} Flashes allowed per second (WCAG 2.3.1 threshold is 3) */
+            MAX_FLASHES_PER_SECOND: 2,
+            /** @type {number} Maximum vignette opacity change per second */
+            MAX_LUMINANCE_CHANGE_PER_SECOND: 0.8,
+            /** @type {number} Peak vignette opacity at the screen edges */
+            FLASH_PEAK_ALPHA: 0.3,
+            /** @type {number} Multiplier on particle burst counts and the live particle cap */
+            PARTICLE_SCALE: 0.35,
+            /** @type {number} Multiplier on particle burst speeds */
+            PARTICLE_SPEED_SCALE: 0.5,
+        },
+
+        PALETTES: {
+            /** Okabe-Ito colors, distinguishable without red-green contrast */
+            deuteranopia: {
+                enemy: {
+                    basic: '#56b4e9', fast: '#cc79a7', tank: '#f0e442', splitter: '#e69f00', healer: '#ffffff',
+                    sniper: '#d55e00', shieldBearer: '#0072b2', bomber: '#009e73', summoner: '#bbbbbb', phaseShifter: '#9999ff',
+                },
+                rarity: { common: '#ffffff', uncommon: '#56b4e9', rare: '#f0e442', legendary: '#cc79a7' },
+                telegraph: '#e69f00',
+            },
+            /** As deuteranopia, with a brighter orange since reds read darker */
+            protanopia: {
+                enemy: {
+                    basic: '#56b4e9', fast: '#cc79a7', tank: '#f0e442', splitter: '#ffb000', healer: '#ffffff',
+                    sniper: '#ff7a33', shieldBearer: '#0072b2', bomber: '#009e73', summoner: '#bbbbbb', phaseShifter: '#9999ff',
+                },
+                rarity: { common: '#ffffff', uncommon: '#56b4e9', rare: '#f0e442', legendary: '#cc79a7' },
+                telegraph: '#ffb000',
+            },
+            /** Cyan / pink / orange, avoiding blue-yellow contrast */
+            tritanopia: {
+                enemy: {
+                    basic: '#00cccc', fast: '#ff3b6b', tank: '#ffb3c6', splitter: '#ff9f1a', healer: '#ffffff',
+                    sniper: '#ff0000', shieldBearer: '#008080', bomber: '#ff00aa', summoner: '#bbbbbb', phaseShifter: '#a0a0ff',
+                },
+                rarity: { common: '#ffffff', uncommon: '#00cccc', rare: '#ff9f1a', legendary: '#ff3b6b' },
+                telegraph: '#ff3b6b',
+            },
+        },
+    },
+
     /**
      * Performance presets that tune pooling and particle limits for different devices
      * These presets are used by the performance manager to quickly scale effects.
@@ -1043,7 +1799,7 @@ GameConfig.DERIVED = {
     /**
      * Resolve run difficulty preset
      * @param {string} difficulty
-     * @returns {{label:string, enemyCountMultiplier:number, enemyHealthMultiplier:number, enemySpeedMultiplier:number, enemyDamageMultiplier:number, spawnIntervalMultiplier:number}}
+     * @returns {{label:string, enemyCountMultiplier:number, enemyHealthMultiplier:number, enemySpeedMultiplier:number, enemyDamageMultiplier:number, spawnIntervalMultiplier:number, eliteChanceMultiplier:number}}
      */
     getDifficultyPreset(difficulty = 'normal') {
         return GameConfig.DIFFICULTY_PRESETS[difficulty] || GameConfig.DIFFICULTY_PRESETS.normal;
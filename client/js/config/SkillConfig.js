@@ -3,7 +3,7 @@
  * 
  * Defines the complete skill-based progression system:
  * - 5 RPG attributes (STR, DEX, VIT, INT, LUCK) allocated via points
- * - 5 archetype skill trees (2 shipped: Gunner, Technomancer; 3 stubbed)
+ * - 5 archetype skill trees (Gunner, Technomancer, Sentinel, Engineer, Tactician)
  * - 4 tiers per tree with gate thresholds (3/6/10 points)
  * - Ultimates per archetype, unlocked by completing branch (T4 passive learned)
  * - Ascension modifiers (pick 1 of 3 every 5 waves)
@@ -435,17 +435,127 @@ export const ARCHETYPES = {
 		],
 	},
 
-	// ── STUBBED ARCHETYPES (config only, no gameplay) ──
-
 	SENTINEL: {
 		id: 'SENTINEL',
 		label: 'Sentinel',
-		description: 'Shields, regen, reflect, auras. Survive forever, wear enemies down.',
+		description: 'Shields, reflect, barriers, knockback. Survive forever, wear enemies down.',
 		color: '#44aaff',
 		icon: '🛡️',
 		skills: [
-			{ id: 'sentinel_placeholder_1', name: 'Fortify', description: 'Coming soon.', icon: '🛡️', type: 'passive', tier: 1, maxRank: 1, effect: {} },
-			{ id: 'sentinel_placeholder_ult', name: 'Bastion', description: 'Coming soon.', icon: '🏰', type: 'ultimate', tier: 4, maxRank: 1, cooldown: 90000, effect: {} },
+			// ── Tier 1 "Bulwark" ──
+			// Positional order determines T2 prerequisites:
+			//   [0] Fortify         → Emergency Recharge
+			//   [1] Spiked Plating  → Kinetic Repulsor
+			//   [2] Shield Bash     → Taunting Barrier
+			{
+				id: 'sentinel_fortify',
+				name: 'Fortify',
+				description: '+30 max shield and +25% shield regen per rank. Grants a shield even without VIT.',
+				icon: '🛡️',
+				type: 'passive',
+				tier: 1,
+				maxRank: 3,
+				effect: { shieldPerRank: 30, regenBonusPerRank: 0.25 },
+			},
+			{
+				id: 'sentinel_spiked_plating',
+				name: 'Spiked Plating',
+				description: 'Reflect 40% (+20%/rank) of every hit you take onto enemies within 90px.',
+				icon: '🦔',
+				type: 'passive',
+				tier: 1,
+				maxRank: 3,
+				effect: { reflectRatio: 0.40, reflectPerRank: 0.20, reflectRadius: 90 },
+			},
+			{
+				id: 'sentinel_shield_bash',
+				name: 'Shield Bash',
+				description: 'Active: Slam enemies within 150px for 150% weapon damage and knock them back 120px. 12s base CD. +40px knockback per rank.',
+				icon: '🤜',
+				type: 'active',
+				tier: 1,
+				maxRank: 2,
+				cooldown: 12000,
+				effect: { radius: 150, damageRatio: 1.5, knockback: 120, knockbackPerRank: 40 },
+			},
+			// ── Tier 2 "Reinforcement" (gate: 3 pts) ──
+			// Prerequisites: [0]←Fortify  [1]←Spiked Plating  [2]←Shield Bash
+			{
+				id: 'sentinel_emergency_recharge',
+				name: 'Emergency Recharge',
+				description: 'When your shield breaks, it recharges 40% (+20%/rank) of its capacity 2s later. 15s cooldown.',
+				icon: '🔋',
+				type: 'passive',
+				tier: 2,
+				maxRank: 2,
+				effect: { restorePercent: 0.40, restorePerRank: 0.20, delay: 2000, rechargeCooldown: 15000 },
+			},
+			{
+				id: 'sentinel_kinetic_repulsor',
+				name: 'Kinetic Repulsor',
+				description: 'Taking a hit knocks back enemies within 110px by 70px. +20px radius per rank.',
+				icon: '💨',
+				type: 'passive',
+				tier: 2,
+				maxRank: 3,
+				effect: { radius: 110, radiusPerRank: 20, knockback: 70 },
+			},
+			{
+				id: 'sentinel_taunt_barrier',
+				name: 'Taunting Barrier',
+				description: 'Active: Deploy a 300 HP barrier for 8s. Non-boss enemies within 260px are taunted into attacking it, get knocked back on contact and take 50% of the damage they deal. 25s base CD. +150 HP per rank.',
+				icon: '🧱',
+				type: 'active',
+				tier: 2,
+				maxRank: 2,
+				cooldown: 25000,
+				effect: { barrierHp: 300, hpPerRank: 150, duration: 8000, radius: 28, tauntRadius: 260, reflectRatio: 0.50, knockback: 60 },
+			},
+			// ── Tier 3 "Aegis" (gate: 6 pts, token-locked) ──
+			// Prerequisites: [0]←Emergency Recharge  [1]←Kinetic Repulsor  [2]←Taunting Barrier
+			{
+				id: 'sentinel_aegis_regen',
+				name: 'Aegis Regeneration',
+				description: 'While your shield is full, regenerate 1.5% max HP per second. +1%/rank.',
+				icon: '💙',
+				type: 'passive',
+				tier: 3,
+				maxRank: 2,
+				effect: { healPercent: 0.015, healPerRank: 0.01 },
+			},
+			{
+				id: 'sentinel_unbreakable',
+				name: 'Unbreakable',
+				description: 'Dropping below 25% HP triggers Barrier Phase: 3s of invulnerability. 60s cooldown, -15s per rank.',
+				icon: '💎',
+				type: 'passive',
+				tier: 3,
+				maxRank: 2,
+				effect: { barrierCooldown: 60000, cooldownReductionPerRank: 15000 },
+			},
+			{
+				id: 'sentinel_aegis_pulse',
+				name: 'Aegis Pulse',
+				description: 'Active: Fully recharge your shield and knock enemies within 240px back 180px, dealing damage equal to your max shield (min 40). 30s base CD. +40px radius per rank.',
+				icon: '🌀',
+				type: 'active',
+				tier: 3,
+				maxRank: 2,
+				cooldown: 30000,
+				effect: { radius: 240, radiusPerRank: 40, knockback: 180, shieldDamageRatio: 1.0, minDamage: 40 },
+			},
+			// ── Ultimate (standalone — requires 15 total skill points in Sentinel tree) ──
+			{
+				id: 'sentinel_bastion',
+				name: 'Bastion',
+				description: 'Ultimate: Become invulnerable for 6s. Every second a shockwave knocks back enemies within 220px by 120px and deals 20% of their max HP (2% to bosses). Your shield is fully recharged when it ends. 90s base CD.',
+				icon: '🏰',
+				type: 'ultimate',
+				tier: 4,
+				maxRank: 1,
+				cooldown: 90000,
+				effect: { duration: 6000, pulseInterval: 1000, radius: 220, knockback: 120, damagePercent: 0.20, bossDamagePercent: 0.02 },
+			},
 		],
 	},
 
@@ -456,8 +566,119 @@ export const ARCHETYPES = {
 		color: '#44ff44',
 		icon: '🔧',
 		skills: [
-			{ id: 'engineer_placeholder_1', name: 'Deploy Turret', description: 'Coming soon.', icon: '🔧', type: 'passive', tier: 1, maxRank: 1, effect: {} },
-			{ id: 'engineer_placeholder_ult', name: 'Drone Swarm', description: 'Coming soon.', icon: '🤖', type: 'ultimate', tier: 4, maxRank: 1, cooldown: 90000, effect: {} },
+			// ── Tier 1 "Workshop" ──
+			// Positional order determines T2 prerequisites:
+			//   [0] Deploy Turret       → Turret Overclock
+			//   [1] Combat Drone        → Repair Protocol
+			//   [2] Reinforced Chassis  → Targeting Uplink
+			{
+				id: 'engineer_deploy_turret',
+				name: 'Deploy Turret',
+				description: 'Active: Deploy a turret at your position that fires at enemies within 320px for 20s (+5s per rank). Up to 2 turrets at once; a third replaces the oldest. 15s base CD.',
+				icon: '🔧',
+				type: 'active',
+				tier: 1,
+				maxRank: 3,
+				cooldown: 15000,
+				effect: { lifetime: 20000, lifetimePerRank: 5000, maxTurrets: 2 },
+			},
+			{
+				id: 'engineer_combat_drone',
+				name: 'Combat Drone',
+				description: 'A drone orbits you and fires at nearby enemies. +1 drone per rank. Destroyed drones are rebuilt after 5s.',
+				icon: '🛸',
+				type: 'passive',
+				tier: 1,
+				maxRank: 2,
+				effect: { dronesPerRank: 1, rebuildDelay: 5000 },
+			},
+			{
+				id: 'engineer_reinforced_chassis',
+				name: 'Reinforced Chassis',
+				description: '+30% turret and drone HP per rank.',
+				icon: '🔩',
+				type: 'passive',
+				tier: 1,
+				maxRank: 3,
+				effect: { hpBonusPerRank: 0.30 },
+			},
+			// ── Tier 2 "Upgrades" (gate: 3 pts) ──
+			// Prerequisites: [0]←Deploy Turret  [1]←Combat Drone  [2]←Reinforced Chassis
+			{
+				id: 'engineer_turret_overclock',
+				name: 'Turret Overclock',
+				description: '+20% turret and drone fire rate per rank.',
+				icon: '⚙️',
+				type: 'passive',
+				tier: 2,
+				maxRank: 3,
+				effect: { fireRateBonusPerRank: 0.20 },
+			},
+			{
+				id: 'engineer_repair_protocol',
+				name: 'Repair Protocol',
+				description: 'Each drone repairs you for 1 HP/s (+0.5 per rank). Turrets and drones regenerate 3% of their max HP per second.',
+				icon: '🩹',
+				type: 'passive',
+				tier: 2,
+				maxRank: 2,
+				effect: { healPerDrone: 1, healPerRank: 0.5, allyRegenPercent: 0.03 },
+			},
+			{
+				id: 'engineer_targeting_uplink',
+				name: 'Targeting Uplink',
+				description: '+20% turret and drone damage per rank.',
+				icon: '📡',
+				type: 'passive',
+				tier: 2,
+				maxRank: 3,
+				effect: { damageBonusPerRank: 0.20 },
+			},
+			// ── Tier 3 "Arsenal" (gate: 6 pts, token-locked) ──
+			// Prerequisites: [0]←Turret Overclock  [1]←Repair Protocol  [2]←Targeting Uplink
+			{
+				id: 'engineer_rocket_battery',
+				name: 'Rocket Battery',
+				description: 'Turret and drone shots explode for 50% of their damage in a 45px radius. +15px radius per rank.',
+				icon: '🚀',
+				type: 'passive',
+				tier: 3,
+				maxRank: 2,
+				effect: { radius: 45, radiusPerRank: 15, damageRatio: 0.50 },
+			},
+			{
+				id: 'engineer_drone_bay',
+				name: 'Drone Bay',
+				description: '+1 combat drone per rank.',
+				icon: '🛰️',
+				type: 'passive',
+				tier: 3,
+				maxRank: 2,
+				effect: { dronesPerRank: 1 },
+			},
+			{
+				id: 'engineer_overdrive_protocol',
+				name: 'Overdrive Protocol',
+				description: 'Active: Turrets and drones fire 100% faster and deal +25% damage for 5s (+1s per rank), and are repaired for 50% of their max HP. 25s base CD.',
+				icon: '⚡',
+				type: 'active',
+				tier: 3,
+				maxRank: 2,
+				cooldown: 25000,
+				effect: { duration: 5000, durationPerRank: 1000, fireRateMultiplier: 2.0, damageMultiplier: 1.25, repairPercent: 0.50 },
+			},
+			// ── Ultimate (standalone — requires 15 total skill points in Engineer tree) ──
+			{
+				id: 'engineer_drone_swarm',
+				name: 'Drone Swarm',
+				description: 'Ultimate: Launch 8 assault drones that orbit you and shred enemies within 340px for 12s. 90s base CD.',
+				icon: '🤖',
+				type: 'ultimate',
+				tier: 4,
+				maxRank: 1,
+				cooldown: 90000,
+				effect: { droneCount: 8, duration: 12000 },
+			},
 		],
 	},
 
@@ -468,14 +689,126 @@ export const ARCHETYPES = {
 		color: '#ffaa44',
 		icon: '🎖️',
 		skills: [
-			{ id: 'tactician_placeholder_1', name: 'Mark Target', description: 'Coming soon.', icon: '🎖️', type: 'passive', tier: 1, maxRank: 1, effect: {} },
-			{ id: 'tactician_placeholder_ult', name: 'Tactical Strike', description: 'Coming soon.', icon: '💀', type: 'ultimate', tier: 4, maxRank: 1, cooldown: 90000, effect: {} },
+			// ── Tier 1 "Recon" ──
+			// Positional order determines T2 prerequisites:
+			//   [0] Mark Target       → Hunter's Focus
+			//   [1] Exploit Weakness  → Breaking Point
+			//   [2] Flashbang         → Snare Field
+			{
+				id: 'tactician_mark_target',
+				name: 'Mark Target',
+				description: 'Every 4s (-0.5s per rank) your next hit marks the enemy for 5s. Marked enemies take +25% damage and are targeted first.',
+				icon: '🎯',
+				type: 'passive',
+				tier: 1,
+				maxRank: 3,
+				effect: { interval: 4000, intervalPerRank: -500, duration: 5000 },
+			},
+			{
+				id: 'tactician_exploit_weakness',
+				name: 'Exploit Weakness',
+				description: 'Hits have a 10% chance (+5% per rank) to apply Vulnerable for 4s: +8% damage taken per stack, up to 5 stacks.',
+				icon: '🩸',
+				type: 'passive',
+				tier: 1,
+				maxRank: 3,
+				effect: { chance: 0.10, chancePerRank: 0.05, duration: 4000 },
+			},
+			{
+				id: 'tactician_flashbang',
+				name: 'Flashbang',
+				description: 'Active: Stun enemies within 160px for 1.5s (+0.5s per rank). Stunned enemies cannot move or deal contact damage. Bosses are immune. 12s base CD.',
+				icon: '💫',
+				type: 'active',
+				tier: 1,
+				maxRank: 2,
+				cooldown: 12000,
+				effect: { radius: 160, duration: 1500, durationPerRank: 500 },
+			},
+			// ── Tier 2 "Analysis" (gate: 3 pts) ──
+			// Prerequisites: [0]←Mark Target  [1]←Exploit Weakness  [2]←Flashbang
+			{
+				id: 'tactician_hunters_focus',
+				name: "Hunter's Focus",
+				description: 'Hits on marked enemies apply Exposed for 3s, dealing 10% (+5% per rank) of your base damage per second per stack. Up to 3 stacks.',
+				icon: '🔥',
+				type: 'passive',
+				tier: 2,
+				maxRank: 3,
+				effect: { duration: 3000, tickRatio: 0.10, tickRatioPerRank: 0.05 },
+			},
+			{
+				id: 'tactician_breaking_point',
+				name: 'Breaking Point',
+				description: 'Reaching 5 Vulnerable stacks consumes them to stun the enemy for 1s (+0.5s per rank).',
+				icon: '💢',
+				type: 'passive',
+				tier: 2,
+				maxRank: 2,
+				effect: { stunDuration: 1000, stunDurationPerRank: 500 },
+			},
+			{
+				id: 'tactician_snare_field',
+				name: 'Snare Field',
+				description: 'Active: Root enemies within 200px for 2s (+0.5s per rank) and apply 2 Vulnerable stacks. Bosses are not rooted. 18s base CD.',
+				icon: '🕸️',
+				type: 'active',
+				tier: 2,
+				maxRank: 3,
+				cooldown: 18000,
+				effect: { radius: 200, duration: 2000, durationPerRank: 500, vulnerableStacks: 2, vulnerableDuration: 5000 },
+			},
+			// ── Tier 3 "Command" (gate: 6 pts, token-locked) ──
+			// Prerequisites: [0]←Hunter's Focus  [1]←Breaking Point  [2]←Snare Field
+			{
+				id: 'tactician_death_mark',
+				name: 'Death Mark',
+				description: 'When a marked enemy dies, its mark jumps to the nearest enemy within 250px. +1 enemy per rank.',
+				icon: '☠️',
+				type: 'passive',
+				tier: 3,
+				maxRank: 2,
+				effect: { radius: 250, spreadCount: 1, spreadPerRank: 1, duration: 5000 },
+			},
+			{
+				id: 'tactician_weak_point',
+				name: 'Weak Point Analysis',
+				description: 'Hits deal +6% bonus damage per rank for each different debuff on the target.',
+				icon: '🔬',
+				type: 'passive',
+				tier: 3,
+				maxRank: 2,
+				effect: { bonusPerDebuffPerRank: 0.06 },
+			},
+			{
+				id: 'tactician_artillery_call',
+				name: 'Artillery Call',
+				description: 'Active: Call a shell on the toughest enemy, preferring marked ones. It lands 1.2s later, dealing 400% weapon damage (+100% per rank) in a 110px radius. 20s base CD.',
+				icon: '📡',
+				type: 'active',
+				tier: 3,
+				maxRank: 2,
+				cooldown: 20000,
+				effect: { delay: 1200, radius: 110, damageRatio: 4.0, damageRatioPerRank: 1.0 },
+			},
+			// ── Ultimate (standalone — requires 15 total skill points in Tactician tree) ──
+			{
+				id: 'tactician_tactical_strike',
+				name: 'Tactical Strike',
+				description: 'Ultimate: Call in 5 strikes on marked and high-HP enemies. Each lands 1.5s later, dealing 600% weapon damage in a 130px radius and marking survivors. 90s base CD.',
+				icon: '💀',
+				type: 'ultimate',
+				tier: 4,
+				maxRank: 1,
+				cooldown: 90000,
+				effect: { strikes: 5, delay: 1500, stagger: 200, radius: 130, damageRatio: 6.0, markDuration: 5000 },
+			},
 		],
 	},
 };
 
 /** Archetypes available for play in v1 */
-export const PLAYABLE_ARCHETYPES = ['GUNNER', 'TECHNOMANCER'];
+export const PLAYABLE_ARCHETYPES = ['GUNNER', 'TECHNOMANCER', 'SENTINEL', 'ENGINEER', 'TACTICIAN'];
 
 /** All archetype keys including stubs */
 export const ALL_ARCHETYPE_KEYS = Object.keys(ARCHETYPES);
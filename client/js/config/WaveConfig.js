@@ -0,0 +1,145 @@
+/**
+ * @fileoverview Declarative wave definitions.
+ *
+ * A wave set is a list of rules. Each rule matches a range of waves and sets
+ * some of the wave's fields; rules are applied in order, so later rules
+ * override earlier ones field by field. systems/WaveScript.js validates a set
+ * when it is loaded and resolves the definition for a given wave; WaveManager
+ * executes it.
+ *
+ * Rule matching:
+ *   wave           - a single wave
+ *   from / to      - an inclusive range (`to` omitted = open-ended)
+ *   every          - additionally require wave % every === 0
+ *
+ * Wave fields:
+ *   groups         - spawn groups, run side by side (empty = no regular enemies)
+ *   boss           - bossType to spawn at wave start, a pool to pick from, or null;
+ *                    a pool never repeats the previous boss while it has other choices
+ *   bossWave       - wave the boss's health and damage are scaled for (null = this wave)
+ *   modifier       - null, a WAVE_MODIFIERS key, or { chance, pool? } to roll one
+ *   events         - scripted events fired `at` ms after the wave starts:
+ *                    { at, type: 'announce', text, style? } or { at, type: 'sfx', key }
+ *   features       - arena features for the wave: an ARENA_PRESETS key, a list of
+ *                    features (see config/ArenaConfig.js), or null for a bare arena
+ *
+ * Spawn group fields (missing ones come from the set's `defaults.group`):
+ *   mix            - weights by enemy kind, e.g. { basic: 80, fast: 20 }
+ *   count          - 'auto' (derived wave curve) or a fixed number; both are
+ *                    scaled by the difficulty preset
+ *   interval       - 'auto' or ms between spawns
+ *   delay          - ms after wave start before the group's first spawn
+ *   jitter         - random ± ms added to the timer after each spawn
+ *   edge           - 'any' | 'top' | 'bottom' | 'left' | 'right'
+ *   formation      - 'single' | 'burst' | 'pincer' | 'ring' | 'conga' | 'flank',
+ *                    or a pool WaveManager picks one from at the start of the wave
+ *   size           - enemies per squad for formations other than 'single';
+ *                    scaled by the arena's pressure scale
+ */
+
+import { GameConfig } from './GameConfig.js';
+
+const BOSS_INTERVAL = GameConfig.BOSS.WAVE_INTERVAL;
+const MAX_WAVE = GameConfig.BOSS.MAX_WAVE;
+
+/** Every boss, in the order the campaign and endless introduce them. */
+export const BOSS_ROSTER = [
+    'Classic', 'Shield', 'Teleporter', 'Splitter', 'Vortex', 'Chrono',
+    'Mirror', 'SwarmMind', 'GridWarden',
+];
+
+// Formation squads that join the regular trickle from wave 11 on
+const SQUADS_EARLY = {
+    mix: { basic: 60, fast: 25, bomber: 15 },
+    count: 4, size: 4, delay: 6000, interval: 9000,
+    formation: ['burst', 'conga', 'pincer'],
+};
+const SQUADS_MID = {
+    mix: { basic: 50, fast: 20, tank: 15, bomber: 15 },
+    count: 8, size: 4, delay: 5000, interval: 8000,
+    formation: ['burst', 'conga', 'pincer', 'ring', 'flank'],
+};
+const SQUADS_LATE = {
+    mix: { basic: 35, fast: 20, tank: 15, bomber: 15, phaseShifter: 15 },
+    count: 10, size: 5, delay: 4000, interval: 7000,
+    formation: ['burst', 'conga', 'pincer', 'ring', 'flank'],
+};
+
+/**
+ * The campaign and endless. Waves 1-10 are basic and fast enemies only. Wave 11
+ * brings in tanks, snipers, formation squads (with bombers) and arena features.
+ * Wave 15 adds healers, shield bearers and summoners, and wave 21 adds splitters
+ * and phase shifters. The feature preset changes every five waves from bunker to
+ * gauntlet. A boss guards every fifth wave, and the late bosses join the
+ * rotation after wave 30.
+ */
+export const DEFAULT_WAVE_SET = {
+    id: 'default',
+    defaults: {
+        group: {
+            count: 'auto',
+            interval: 'auto',
+            delay: 0,
+            jitter: 200,
+            edge: 'any',
+            formation: 'single',
+            size: 4,
+        },
+    },
+    waves: [
+        // Enemy mix by wave band
+        { from: 1, groups: [{ mix: { basic: 100 } }], modifier: { chance: 0.25 } },
+        { from: 6, to: 10, groups: [{ mix: { basic: 80, fast: 20 } }] },
+        { from: 11, to: 14, groups: [{ mix: { basic: 55, fast: 20, tank: 15, sniper: 10 } }, SQUADS_EARLY] },
+        {
+            from: 15, to: 20,
+            groups: [{ mix: { basic: 40, fast: 15, tank: 12, healer: 12, sniper: 8, shieldBearer: 8, summoner: 5 } }, SQUADS_MID],
+        },
+        {
+            from: 21,
+            groups: [{
+                mix: {
+                    basic: 30, fast: 12, tank: 12, healer: 8, splitter: 12,
+                    sniper: 8, shieldBearer: 6, summoner: 5, phaseShifter: 7,
+                },
+            }, SQUADS_LATE],
+        },
+
+        // Arena features from the second act on, changing every five waves
+        { from: 11, features: 'bunker' },
+        { from: 16, features: 'reactor' },
+        { from: 21, features: 'singularity' },
+        { from: 26, features: 'gauntlet' },
+
+        // Boss waves never roll a modifier and keep the arena bare; the first three are boss-only
+        { from: BOSS_INTERVAL, every: BOSS_INTERVAL, modifier: null, features: null },
+        { from: BOSS_INTERVAL, to: BOSS_INTERVAL * 3, every: BOSS_INTERVAL, groups: [] },
+
+        // Campaign boss roster
+        { wave: BOSS_INTERVAL * 1, boss: 'Classic' },
+        { wave: BOSS_INTERVAL * 2, boss: 'Shield' },
+        { wave: BOSS_INTERVAL * 3, boss: 'Teleporter' },
+        { wave: BOSS_INTERVAL * 4, boss: 'Splitter' },
+        { wave: BOSS_INTERVAL * 5, boss: 'Vortex' },
+        { wave: MAX_WAVE, boss: 'Chrono' },
+
+        // Endless: the late bosses debut in turn, then any boss from the full roster
+        { from: MAX_WAVE + 1, every: BOSS_INTERVAL, boss: BOSS_ROSTER },
+        { wave: MAX_WAVE + BOSS_INTERVAL * 1, boss: 'Mirror' },
+        { wave: MAX_WAVE + BOSS_INTERVAL * 2, boss: 'SwarmMind' },
+        { wave: MAX_WAVE + BOSS_INTERVAL * 3, boss: 'GridWarden' },
+    ],
+};
+
+/**
+ * Boss Rush: one boss per wave, the whole roster in order with no regular
+ * enemies. Each boss is as strong as on the wave it guards in the campaign
+ * and endless. Waves past the roster only exist to keep the set valid.
+ */
+export const BOSS_RUSH_WAVE_SET = {
+    id: 'bossRush',
+    waves: [
+        { from: 1, groups: [], boss: BOSS_ROSTER, modifier: null },
+        ...BOSS_ROSTER.map((boss, i) => ({ wave: i + 1, boss, bossWave: BOSS_INTERVAL * (i + 1) })),
+    ],
+};
@@ -0,0 +1,136 @@
+import { Enemy } from '../Enemy.js';
+import { GameConfig } from '../config/GameConfig.js';
+import { playSFX } from '../managers/RuntimeAdapters.js';
+import { getTelegraphColor, isHighContrast, drawHazardCircle, strokeContrastPath } from '../utils/PaletteUtils.js';
+
+/**
+ * Fragile enemy that winds up when close, dashes at the player and blows up.
+ * A bomber that detonates on its own is removed without a kill reward;
+ * shooting it first is the counterplay.
+ */
+export class BomberEnemy extends Enemy {
+    constructor(x, y, speed, health, damage) {
+        super(x, y, speed, health, damage);
+
+        this.kind = 'bomber';
+        this.color = '#ff2d6f';
+        this.glowColor = '#ff2d6f';
+        this.setBaseRadius(16);
+
+        /** @type {'approach'|'windup'|'dash'} */
+        this.bomberState = 'approach';
+        this.stateTimer = 0;
+    }
+
+    _getBlastRadius() {
+        const scale = this.game?.getEntityScale?.() || 1;
+        return GameConfig.ENEMY.BOMBER.BLAST_RADIUS * scale;
+    }
+
+    update(delta, player, game = null) {
+        super.update(delta, player, game);
+
+        // Stunned: the windup and the dash fuse both wait
+        if (this.dying || this.health <= 0 || !game || this.statusEffects.isDisarmed()) {
+            return;
+        }
+
+        const cfg = GameConfig.ENEMY.BOMBER;
+        const dx = player.x - this.x;
+        const dy = player.y - this.y;
+        const distance = Math.hypot(dx, dy);
+
+        switch (this.bomberState) {
+            case 'approach':
+                if (distance <= cfg.DASH_RANGE && !this.tauntTarget) {
+                    this.bomberState = 'windup';
+                    this.stateTimer = cfg.WINDUP_TIME;
+                    this.moveSpeedMultiplier = 0;
+                    playSFX('boss_attack_charge_windup');
+                }
+                break;
+            case 'windup':
+                this.stateTimer -= delta;
+                if (this.stateTimer <= 0) {
+                    // Commit to a straight line at where the player was
+                    this.bomberState = 'dash';
+                    this.stateTimer = cfg.DASH_DURATION;
+                    this.lockedHeading = distance > 0 ? { x: dx / distance, y: dy / distance } : { x: 1, y: 0 };
+                    this.moveSpeedMultiplier = cfg.DASH_SPEED_MULTIPLIER;
+                }
+                break;
+            case 'dash':
+                this.stateTimer -= delta;
+                if (distance <= this.radius + player.radius + 10 || this.stateTimer <= 0) {
+                    this._detonate(game, player);
+                }
+                break;
+        }
+    }
+
+    _detonate(game, player) {
+        const blastRadius = this._getBlastRadius();
+        if (Math.hypot(player.x - this.x, player.y - this.y) <= blastRadius + player.radius) {
+            player.takeDamage(this.damage * GameConfig.ENEMY.BOMBER.BLAST_DAMAGE_RATIO);
+        }
+        game.createExplosion(this.x, this.y, 14);
+        game.addScreenShake(6, 200);
+        playSFX('impact_explosion_big');
+
+        this.selfDestructed = true;
+        this.lockedHeading = null;
+        this.health = -1;
+    }
+
+    draw(ctx) {
+        const highContrast = isHighContrast(this.game);
+
+        // Blast radius warning while winding up and dashing
+        if (this.bomberState !== 'approach' && !this.dying) {
+            const blastRadius = this._getBlastRadius();
+            if (highContrast) {
+                drawHazardCircle(ctx, this.x, this.y, blastRadius, { hatch: false, alpha: 0.8 });
+            } else {
+                const windup = this.bomberState === 'windup'
+                    ? 1 - this.stateTimer / GameConfig.ENEMY.BOMBER.WINDUP_TIME
+                    : 1;
+                ctx.save();
+                ctx.strokeStyle = getTelegraphColor(this.game, this.color);
+                ctx.fillStyle = getTelegraphColor(this.game, this.color);
+                ctx.globalAlpha = 0.1 + 0.15 * windup;
+                ctx.beginPath();
+                ctx.arc(this.x, this.y, blastRadius * (0.4 + 0.6 * windup), 0, Math.PI * 2);
+                ctx.fill();
+                ctx.globalAlpha = 0.6;
+                ctx.lineWidth = 2;
+                ctx.beginPath();
+                ctx.arc(this.x, this.y, blastRadius, 0, Math.PI * 2);
+                ctx.stroke();
+                ctx.restore();
+            }
+        }
+
+        super.draw(ctx);
+
+        if (this.dying) {
+            return;
+        }
+
+        // Fuse cross
+        ctx.save();
+        const r = this.radius * (highContrast ? 0.5 : 0.4);
+        ctx.strokeStyle = '#fff';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(this.x - r, this.y - r);
+        ctx.lineTo(this.x + r, this.y + r);
+        ctx.moveTo(this.x + r, this.y - r);
+        ctx.lineTo(this.x - r, this.y + r);
+        if (highContrast) {
+            strokeContrastPath(ctx, 2);
+        } else {
+            ctx.stroke();
+        }
+        ctx.restore();
+    }
+}
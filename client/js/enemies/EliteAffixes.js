@@ -0,0 +1,328 @@
+import { GameConfig } from '../config/GameConfig.js';
+import { Projectile } from '../Projectile.js';
+import { playSFX } from '../managers/RuntimeAdapters.js';
+import { isHighContrast, strokeContrastPath } from '../utils/PaletteUtils.js';
+
+/** Affix definitions keyed by id ('vampiric', 'hasted', ...). */
+const AFFIXES = Object.fromEntries(
+    Object.values(GameConfig.ELITES.AFFIXES).map(def => [def.id, def])
+);
+
+export const ELITE_AFFIX_IDS = Object.keys(AFFIXES);
+
+/**
+ * Chance for a regular enemy to spawn as an elite.
+ * @param {number} wave
+ * @param {{eliteChanceMultiplier?: number}} difficultyPreset
+ * @returns {number} 0 before ELITES.START_WAVE
+ */
+export function getEliteChance(wave, difficultyPreset) {
+    const cfg = GameConfig.ELITES;
+    if (wave < cfg.START_WAVE) return 0;
+    const chance = cfg.BASE_CHANCE + (wave - cfg.START_WAVE) * cfg.CHANCE_PER_WAVE;
+    return Math.min(cfg.MAX_CHANCE, chance) * (difficultyPreset?.eliteChanceMultiplier ?? 1);
+}
+
+/**
+ * Roll the affixes for a freshly spawned enemy. Draws nothing from the
+ * stream before ELITES.START_WAVE, so early waves replay as they always have.
+ * @param {number} wave
+ * @param {{eliteChanceMultiplier?: number}} difficultyPreset
+ * @param {import('../utils/SeededRandom.js').SeededRandom} rng - Spawn stream
+ * @returns {string[]} Affix ids; empty for a regular enemy
+ */
+export function rollEliteAffixes(wave, difficultyPreset, rng) {
+    const chance = getEliteChance(wave, difficultyPreset);
+    if (chance <= 0 || !rng.chance(chance)) return [];
+
+    const affixes = [rng.pick(ELITE_AFFIX_IDS)];
+    if (wave >= GameConfig.ELITES.CHAMPION_WAVE && rng.chance(GameConfig.ELITES.CHAMPION_CHANCE)) {
+        affixes.push(rng.pick(ELITE_AFFIX_IDS.filter(id => id !== affixes[0])));
+    }
+    return affixes;
+}
+
+/**
+ * Turn a scaled, regular enemy into an elite with the given affixes.
+ * @param {import('../Enemy.js').Enemy} enemy
+ * @param {string[]} affixIds
+ * @returns {EliteAffixes}
+ */
+export function makeElite(enemy, affixIds) {
+    const cfg = GameConfig.ELITES;
+    enemy.elite = new EliteAffixes(enemy, affixIds);
+    enemy.health *= cfg.HEALTH_MULTIPLIER;
+    enemy.maxHealth *= cfg.HEALTH_MULTIPLIER;
+    enemy.knockbackResistance = Math.max(enemy.knockbackResistance, 0.3);
+    enemy.setBaseRadius(enemy.baseRadius * cfg.SIZE_MULTIPLIER);
+
+    if (enemy.elite.has('hasted')) {
+        enemy.speed *= AFFIXES.hasted.SPEED_MULTIPLIER;
+    }
+    if (enemy.elite.has('shielded')) {
+        enemy.elite.shieldHp = enemy.maxHealth * AFFIXES.shielded.SHIELD_RATIO;
+    }
+    return enemy.elite;
+}
+
+/**
+ * Affix state and behavior of one elite enemy, owned as `enemy.elite`
+ * (null on regular enemies). Enemy calls into it from update, takeDamage
+ * and draw; EntityManager calls onDeath when the kill is processed.
+ */
+export class EliteAffixes {
+    /**
+     * @param {import('../Enemy.js').Enemy} enemy
+     * @param {string[]} affixIds
+     */
+    constructor(enemy, affixIds) {
+        this.enemy = enemy;
+        /** @type {string[]} */
+        this.affixes = affixIds.filter(id => AFFIXES[id]);
+        this.shieldHp = 0;
+        this.drainTimer = AFFIXES.vampiric.DRAIN_INTERVAL;
+        this.drainFlashTimer = 0;
+        this.teleportTimer = AFFIXES.teleporting.INTERVAL;
+        this.reflectCooldown = 0;
+    }
+
+    /** Champions carry more than one affix. */
+    get isChampion() {
+        return this.affixes.length > 1;
+    }
+
+    /** Text for the name plate, e.g. "Vampiric" or "Champion: Hasted Frozen". */
+    get title() {
+        const names = this.affixes.map(id => AFFIXES[id].name).join(' ');
+        return this.isChampion ? `Champion: ${names}` : names;
+    }
+
+    /**
+     * @param {string} id
+     * @returns {boolean}
+     */
+    has(id) {
+        return this.affixes.includes(id);
+    }
+
+    /**
+     * Scaled range of an area affix.
+     * @param {string} id
+     * @returns {number}
+     */
+    _getRadius(id) {
+        return AFFIXES[id].RADIUS * (this.enemy.game?.getEntityScale?.() || 1);
+    }
+
+    /**
+     * Per-tick affix behavior. Called from Enemy.update while alive.
+     * @param {number} delta
+     * @param {Object} player
+     * @param {import('../Game.js').Game|null} game
+     */
+    update(delta, player, game) {
+        if (!game || !player) return;
+        const enemy = this.enemy;
+        const distance = Math.hypot(player.x - enemy.x, player.y - enemy.y);
+
+        if (this.reflectCooldown > 0) this.reflectCooldown -= delta;
+        if (this.drainFlashTimer > 0) this.drainFlashTimer -= delta;
+
+        if (this.has('vampiric')) {
+            const cfg = AFFIXES.vampiric;
+            this.drainTimer -= delta;
+            if (this.drainTimer <= 0) {
+                this.drainTimer = cfg.DRAIN_INTERVAL;
+                if (distance <= this._getRadius('vampiric') + player.radius) {
+                    const drained = enemy.damage * cfg.DRAIN_RATIO;
+                    player.takeDamage(drained);
+                    enemy.health = Math.min(enemy.maxHealth, enemy.health + drained * cfg.HEAL_MULTIPLIER);
+                    this.drainFlashTimer = 250;
+                }
+            }
+        }
+
+        if (this.has('frozenAura')) {
+            if (distance <= this._getRadius('frozenAura') + player.radius) {
+                player.applyChill(AFFIXES.frozenAura.CHILL_FACTOR, 200);
+            }
+        }
+
+        if (this.has('teleporting')) {
+            const cfg = AFFIXES.teleporting;
+            this.teleportTimer -= delta;
+            if (this.teleportTimer <= 0 && !enemy.tauntTarget) {
+                this.teleportTimer = cfg.INTERVAL;
+                this._blinkToward(player, distance, game);
+            }
+        }
+    }
+
+    _blinkToward(player, distance, game) {
+        const cfg = AFFIXES.teleporting;
+        const enemy = this.enemy;
+        const step = Math.min(cfg.DISTANCE, distance - cfg.MIN_PLAYER_DISTANCE);
+        if (step <= 0) return;
+
+        const angle = Math.atan2(player.y - enemy.y, player.x - enemy.x) + game.rng.ai.range(-0.6, 0.6);
+        game.createExplosion(enemy.x, enemy.y, 4);
+        enemy.x += Math.cos(angle) * step;
+        enemy.y += Math.sin(angle) * step;
+        // Don't let render interpolation smear the jump across the arena
+        enemy.prevTickX = enemy.x;
+        enemy.prevTickY = enemy.y;
+        game.createExplosion(enemy.x, enemy.y, 4);
+    }
+
+    /**
+     * Soak damage into the Shielded affix's shield.
+     * @param {number} amount - Damage after multipliers
+     * @returns {number} Damage left for health
+     */
+    absorbDamage(amount) {
+        if (this.shieldHp <= 0) return amount;
+        const absorbed = Math.min(this.shieldHp, amount);
+        this.shieldHp -= absorbed;
+        if (this.shieldHp <= 0) {
+            playSFX('player_shield_break');
+        }
+        return amount - absorbed;
+    }
+
+    /**
+     * React to a hit. Reflective elites send part of a player shot back.
+     * @param {unknown} source - Damage source passed to takeDamage
+     * @param {number} amount - Damage dealt
+     */
+    onHit(source, amount) {
+        const enemy = this.enemy;
+        const game = enemy.game;
+        if (!this.has('reflective') || this.reflectCooldown > 0 || !game?.player) return;
+        if (!(source instanceof Projectile) || source.isEnemyProjectile) return;
+
+        const cfg = AFFIXES.reflective;
+        this.reflectCooldown = cfg.COOLDOWN;
+        const angle = Math.atan2(game.player.y - enemy.y, game.player.x - enemy.x);
+        const reflected = new Projectile(
+            enemy.x + Math.cos(angle) * (enemy.radius + 6),
+            enemy.y + Math.sin(angle) * (enemy.radius + 6),
+            angle,
+            amount * cfg.DAMAGE_RATIO
+        );
+        reflected.isEnemyProjectile = true;
+        reflected.color = cfg.color;
+        reflected.glowColor = cfg.color;
+        game.projectiles.push(reflected);
+        playSFX('impact_pierce');
+    }
+
+    /**
+     * Death effects. Called by EntityManager when the kill is processed.
+     * @param {import('../Game.js').Game} game
+     */
+    onDeath(game) {
+        if (!this.has('explosive')) return;
+        const cfg = AFFIXES.explosive;
+        const enemy = this.enemy;
+        const player = game.player;
+        if (Math.hypot(player.x - enemy.x, player.y - enemy.y) <= this._getRadius('explosive') + player.radius) {
+            player.takeDamage(enemy.damage * cfg.DAMAGE_RATIO);
+        }
+        game.createExplosion(enemy.x, enemy.y, 16);
+        game.addScreenShake(6, 200);
+        playSFX('impact_explosion_big');
+    }
+
+    /**
+     * Aura rings in the affix colors, plus range rings for area affixes.
+     * Drawn under the body by Enemy.draw.
+     * @param {CanvasRenderingContext2D} ctx
+     */
+    drawAura(ctx) {
+        const enemy = this.enemy;
+        const highContrast = isHighContrast(enemy.game);
+        const reducedMotion = enemy.game?.runtimeSettings?.reducedMotion === true;
+        const spin = reducedMotion ? 0 : Date.now() / 600;
+
+        ctx.save();
+
+        // Range rings so area affixes are readable before they bite
+        for (const id of ['vampiric', 'frozenAura', 'explosive']) {
+            if (!this.has(id)) continue;
+            ctx.globalAlpha = highContrast ? 0.5 : 0.18;
+            ctx.strokeStyle = highContrast ? '#fff' : AFFIXES[id].color;
+            ctx.lineWidth = 1.5;
+            ctx.setLineDash([6, 6]);
+            ctx.beginPath();
+            ctx.arc(enemy.x, enemy.y, this._getRadius(id), 0, Math.PI * 2);
+            ctx.stroke();
+        }
+        ctx.setLineDash([]);
+
+        // One rotating ring segment set per affix
+        this.affixes.forEach((id, i) => {
+            const radius = enemy.radius + 7 + i * 5;
+            ctx.globalAlpha = 0.85;
+            ctx.beginPath();
+            for (let s = 0; s < 3; s++) {
+                const start = spin * (i % 2 === 0 ? 1 : -1) + (Math.PI * 2 / 3) * s;
+                ctx.moveTo(enemy.x + Math.cos(start) * radius, enemy.y + Math.sin(start) * radius);
+                ctx.arc(enemy.x, enemy.y, radius, start, start + Math.PI / 2);
+            }
+            if (highContrast) {
+                strokeContrastPath(ctx, 2);
+            } else {
+                ctx.strokeStyle = AFFIXES[id].color;
+                ctx.lineWidth = 3;
+                ctx.stroke();
+            }
+        });
+
+        if (this.shieldHp > 0) {
+            ctx.globalAlpha = highContrast ? 0.9 : 0.35;
+            ctx.fillStyle = AFFIXES.shielded.color;
+            ctx.beginPath();
+            ctx.arc(enemy.x, enemy.y, enemy.radius + 3, 0, Math.PI * 2);
+            if (highContrast) {
+                strokeContrastPath(ctx, 2);
+            } else {
+                ctx.fill();
+            }
+        }
+
+        // Drain tether back to the player
+        const player = enemy.game?.player;
+        if (this.drainFlashTimer > 0 && player) {
+            ctx.globalAlpha = this.drainFlashTimer / 250;
+            ctx.strokeStyle = AFFIXES.vampiric.color;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.moveTo(player.x, player.y);
+            ctx.lineTo(enemy.x, enemy.y);
+            ctx.stroke();
+        }
+
+        ctx.restore();
+    }
+
+    /**
+     * Affix names above the health bar.
+     * @param {CanvasRenderingContext2D} ctx
+     */
+    drawNamePlate(ctx) {
+        const enemy = this.enemy;
+        const highContrast = isHighContrast(enemy.game);
+        const y = enemy.y - enemy.radius - 16;
+
+        ctx.save();
+        ctx.font = `bold ${this.isChampion ? 11 : 10}px Arial`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'bottom';
+        ctx.lineWidth = 3;
+        ctx.strokeStyle = '#000';
+        ctx.strokeText(this.title, enemy.x, y);
+        ctx.fillStyle = highContrast ? '#fff' : AFFIXES[this.affixes[0]].color;
+        ctx.fillText(this.title, enemy.x, y);
+        ctx.restore();
+    }
+}
@@ -2,6 +2,11 @@ import { Enemy } from '../Enemy.js';
 import { GameConfig } from '../config/GameConfig.js';
 import { SplitterEnemy } from './SplitterEnemy.js';
 import { HealerEnemy } from './HealerEnemy.js';
+import { SniperEnemy } from './SniperEnemy.js';
+import { ShieldBearerEnemy } from './ShieldBearerEnemy.js';
+import { BomberEnemy } from './BomberEnemy.js';
+import { SummonerEnemy } from './SummonerEnemy.js';
+import { PhaseShifterEnemy } from './PhaseShifterEnemy.js';
 
 /**
  * Factory functions to create different enemy types with appropriate stats.
@@ -46,6 +51,8 @@ export function createFastEnemy(x, y, waveScale = 1) {
         baseDamage * waveScale
     );
 
+    enemy.kind = 'fast';
+
     // Visual differentiation
     enemy.color = '#f0f'; // Magenta
     enemy.glowColor = '#f0f';
@@ -73,6 +80,8 @@ export function createTankEnemy(x, y, waveScale = 1) {
         baseDamage * waveScale
     );
 
+    enemy.kind = 'tank';
+
     // Visual differentiation
     enemy.color = '#ff0'; // Yellow
     enemy.glowColor = '#ff0';
@@ -122,3 +131,120 @@ export function createHealerEnemy(x, y, waveScale = 1) {
         baseDamage * waveScale
     );
 }
+
+/**
+ * Creates a sniper enemy that fires telegraphed line shots from range.
+ * @param {number} x - Spawn X coordinate
+ * @param {number} y - Spawn Y coordinate
+ * @param {number} waveScale - Difficulty scaling factor (default: 1)
+ * @returns {SniperEnemy} New sniper enemy instance
+ */
+export function createSniperEnemy(x, y, waveScale = 1) {
+    const baseHealth = GameConfig.ENEMY.BASE_HEALTH * GameConfig.ENEMY.VARIANTS.SNIPER.health;
+    const baseSpeed = GameConfig.ENEMY.BASE_SPEED * GameConfig.ENEMY.VARIANTS.SNIPER.speed;
+    const baseDamage = GameConfig.ENEMY.BASE_DAMAGE * GameConfig.ENEMY.VARIANTS.SNIPER.damage;
+
+    return new SniperEnemy(
+        x, y,
+        baseSpeed * waveScale,
+        baseHealth * waveScale,
+        baseDamage * waveScale
+    );
+}
+
+/**
+ * Creates a shield-bearer enemy with a frontal barrier that blocks projectiles.
+ * @param {number} x - Spawn X coordinate
+ * @param {number} y - Spawn Y coordinate
+ * @param {number} waveScale - Difficulty scaling factor (default: 1)
+ * @returns {ShieldBearerEnemy} New shield-bearer enemy instance
+ */
+export function createShieldBearerEnemy(x, y, waveScale = 1) {
+    const baseHealth = GameConfig.ENEMY.BASE_HEALTH * GameConfig.ENEMY.VARIANTS.SHIELD_BEARER.health;
+    const baseSpeed = GameConfig.ENEMY.BASE_SPEED * GameConfig.ENEMY.VARIANTS.SHIELD_BEARER.speed;
+    const baseDamage = GameConfig.ENEMY.BASE_DAMAGE * GameConfig.ENEMY.VARIANTS.SHIELD_BEARER.damage;
+
+    return new ShieldBearerEnemy(
+        x, y,
+        baseSpeed * waveScale,
+        baseHealth * waveScale,
+        baseDamage * waveScale
+    );
+}
+
+/**
+ * Creates a bomber enemy that dashes at the player and detonates.
+ * @param {number} x - Spawn X coordinate
+ * @param {number} y - Spawn Y coordinate
+ * @param {number} waveScale - Difficulty scaling factor (default: 1)
+ * @returns {BomberEnemy} New bomber enemy instance
+ */
+export function createBomberEnemy(x, y, waveScale = 1) {
+    const baseHealth = GameConfig.ENEMY.BASE_HEALTH * GameConfig.ENEMY.VARIANTS.BOMBER.health;
+    const baseSpeed = GameConfig.ENEMY.BASE_SPEED * GameConfig.ENEMY.VARIANTS.BOMBER.speed;
+    const baseDamage = GameConfig.ENEMY.BASE_DAMAGE * GameConfig.ENEMY.VARIANTS.BOMBER.damage;
+
+    return new BomberEnemy(
+        x, y,
+        baseSpeed * waveScale,
+        baseHealth * waveScale,
+        baseDamage * waveScale
+    );
+}
+
+/**
+ * Creates a summoner enemy that keeps a pack of minions around it.
+ * @param {number} x - Spawn X coordinate
+ * @param {number} y - Spawn Y coordinate
+ * @param {number} waveScale - Difficulty scaling factor (default: 1)
+ * @returns {SummonerEnemy} New summoner enemy instance
+ */
+export function createSummonerEnemy(x, y, waveScale = 1) {
+    const baseHealth = GameConfig.ENEMY.BASE_HEALTH * GameConfig.ENEMY.VARIANTS.SUMMONER.health;
+    const baseSpeed = GameConfig.ENEMY.BASE_SPEED * GameConfig.ENEMY.VARIANTS.SUMMONER.speed;
+    const baseDamage = GameConfig.ENEMY.BASE_DAMAGE * GameConfig.ENEMY.VARIANTS.SUMMONER.damage;
+
+    return new SummonerEnemy(
+        x, y,
+        baseSpeed * waveScale,
+        baseHealth * waveScale,
+        baseDamage * waveScale
+    );
+}
+
+/**
+ * Creates a phase-shifter enemy that periodically becomes untargetable.
+ * @param {number} x - Spawn X coordinate
+ * @param {number} y - Spawn Y coordinate
+ * @param {number} waveScale - Difficulty scaling factor (default: 1)
+ * @returns {PhaseShifterEnemy} New phase-shifter enemy instance
+ */
+export function createPhaseShifterEnemy(x, y, waveScale = 1) {
+    const baseHealth = GameConfig.ENEMY.BASE_HEALTH * GameConfig.ENEMY.VARIANTS.PHASE_SHIFTER.health;
+    const baseSpeed = GameConfig.ENEMY.BASE_SPEED * GameConfig.ENEMY.VARIANTS.PHASE_SHIFTER.speed;
+    const baseDamage = GameConfig.ENEMY.BASE_DAMAGE * GameConfig.ENEMY.VARIANTS.PHASE_SHIFTER.damage;
+
+    return new PhaseShifterEnemy(
+        x, y,
+        baseSpeed * waveScale,
+        baseHealth * waveScale,
+        baseDamage * waveScale
+    );
+}
+
+/**
+ * Factory lookup by enemy kind. Wave definitions name enemies by these keys.
+ * @type {Object<string, (x: number, y: number, waveScale?: number) => Enemy>}
+ */
+export const ENEMY_FACTORIES = {
+    basic: createBasicEnemy,
+    fast: createFastEnemy,
+    tank: createTankEnemy,
+    healer: createHealerEnemy,
+    splitter: createSplitterEnemy,
+    sniper: createSniperEnemy,
+    shieldBearer: createShieldBearerEnemy,
+    bomber: createBomberEnemy,
+    summoner: createSummonerEnemy,
+    phaseShifter: createPhaseShifterEnemy,
+};
@@ -1,6 +1,7 @@
 import { Enemy } from '../Enemy.js';
 import { GameConfig } from '../config/GameConfig.js';
-import { playSFX } from '../main.js';
+import { playSFX } from '../managers/RuntimeAdapters.js';
+import { getEnemyColor, isHighContrast, strokeContrastPath } from '../utils/PaletteUtils.js';
 
 /**
  * Healer enemy variant that restores nearby allies periodically.
@@ -9,6 +10,7 @@ export class HealerEnemy extends Enemy {
     constructor(x, y, speed, health, damage) {
         super(x, y, speed, health, damage);
 
+        this.kind = 'healer';
         this.isHealer = true;
         this.color = GameConfig.ENEMY.HEALER.HEAL_COLOR;
         this.glowColor = GameConfig.ENEMY.HEALER.HEAL_COLOR;
@@ -83,25 +85,34 @@ export class HealerEnemy extends Enemy {
             ? this.healPulseTimer / 220
             : (Math.sin(Date.now() / 350) * 0.2 + 0.25);
 
+        const highContrast = isHighContrast(this.game);
+
         ctx.save();
 
-        ctx.strokeStyle = GameConfig.ENEMY.HEALER.HEAL_COLOR;
+        // Heal aura; dashed in high contrast so it reads as a zone, not a glow
+        ctx.strokeStyle = getEnemyColor(this.game, this.kind, GameConfig.ENEMY.HEALER.HEAL_COLOR);
         ctx.lineWidth = 2;
-        ctx.globalAlpha = Math.max(0.12, pulse * 0.35);
+        ctx.globalAlpha = highContrast ? 0.6 : Math.max(0.12, pulse * 0.35);
+        if (highContrast) ctx.setLineDash([4, 6]);
         ctx.beginPath();
         ctx.arc(this.x, this.y, healRadius, 0, Math.PI * 2);
         ctx.stroke();
+        ctx.setLineDash([]);
 
         ctx.globalAlpha = 0.95;
         ctx.strokeStyle = '#fff';
         ctx.lineWidth = 2;
-        const plusHalf = this.radius * 0.35;
+        const plusHalf = this.radius * (highContrast ? 0.5 : 0.35);
         ctx.beginPath();
         ctx.moveTo(this.x - plusHalf, this.y);
         ctx.lineTo(this.x + plusHalf, this.y);
         ctx.moveTo(this.x, this.y - plusHalf);
         ctx.lineTo(this.x, this.y + plusHalf);
-        ctx.stroke();
+        if (highContrast) {
+            strokeContrastPath(ctx, 3);
+        } else {
+            ctx.stroke();
+        }
 
         ctx.restore();
     }
@@ -0,0 +1,96 @@
+import { Enemy } from '../Enemy.js';
+import { GameConfig } from '../config/GameConfig.js';
+import { getEnemyColor, isHighContrast, strokeContrastPath } from '../utils/PaletteUtils.js';
+
+/**
+ * Enemy that slips out of phase on a fixed rhythm. While phased it moves
+ * faster but cannot be targeted, hit or damaged, and cannot hurt the player.
+ */
+export class PhaseShifterEnemy extends Enemy {
+    constructor(x, y, speed, health, damage) {
+        super(x, y, speed, health, damage);
+
+        this.kind = 'phaseShifter';
+        this.color = '#7dffcf';
+        this.glowColor = '#7dffcf';
+        this.setBaseRadius(18);
+
+        this.phaseTimer = GameConfig.ENEMY.PHASE_SHIFTER.VISIBLE_TIME;
+    }
+
+    update(delta, player, game = null) {
+        super.update(delta, player, game);
+
+        if (this.dying || this.health <= 0) {
+            return;
+        }
+
+        const cfg = GameConfig.ENEMY.PHASE_SHIFTER;
+        this.phaseTimer -= delta;
+        if (this.phaseTimer <= 0) {
+            this.untargetable = !this.untargetable;
+            this.phaseTimer = this.untargetable ? cfg.PHASED_TIME : cfg.VISIBLE_TIME;
+            this.moveSpeedMultiplier = this.untargetable ? cfg.PHASED_SPEED_MULTIPLIER : 1;
+        }
+    }
+
+    takeDamage(amount, source = null) {
+        // Splash and damage-over-time don't reach it either while phased
+        if (this.untargetable) return;
+        super.takeDamage(amount, source);
+    }
+
+    draw(ctx) {
+        if (!this.untargetable || this.dying) {
+            super.draw(ctx);
+        }
+
+        if (this.dying) {
+            return;
+        }
+
+        const highContrast = isHighContrast(this.game);
+        ctx.save();
+
+        if (this.untargetable) {
+            // Phased: faint body with a dashed outline
+            ctx.globalAlpha = highContrast ? 0.8 : 0.35;
+            ctx.setLineDash([4, 4]);
+            ctx.beginPath();
+            for (let i = 0; i < 6; i++) {
+                const angle = (Math.PI * 2 / 6) * i;
+                const px = this.x + Math.cos(angle) * this.radius;
+                const py = this.y + Math.sin(angle) * this.radius;
+                if (i === 0) ctx.moveTo(px, py);
+                else ctx.lineTo(px, py);
+            }
+            ctx.closePath();
+            if (highContrast) {
+                strokeContrastPath(ctx, 2);
+            } else {
+                ctx.strokeStyle = getEnemyColor(this.game, this.kind, this.color);
+                ctx.lineWidth = 2;
+                ctx.stroke();
+            }
+            ctx.setLineDash([]);
+        }
+
+        // Two vertical bars
+        ctx.globalAlpha = this.untargetable && !highContrast ? 0.4 : 0.95;
+        ctx.strokeStyle = '#fff';
+        ctx.lineWidth = 2;
+        const r = this.radius * (highContrast ? 0.5 : 0.4);
+        ctx.beginPath();
+        ctx.moveTo(this.x - r * 0.45, this.y - r);
+        ctx.lineTo(this.x - r * 0.45, this.y + r);
+        ctx.moveTo(this.x + r * 0.45, this.y - r);
+        ctx.lineTo(this.x + r * 0.45, this.y + r);
+        if (highContrast) {
+            strokeContrastPath(ctx, 2);
+        } else {
+            ctx.stroke();
+        }
+
+        ctx.restore();
+    }
+}
@@ -0,0 +1,134 @@
+import { Enemy } from '../Enemy.js';
+import { GameConfig } from '../config/GameConfig.js';
+import { playSFX } from '../managers/RuntimeAdapters.js';
+import { getEnemyColor, isHighContrast, strokeContrastPath } from '../utils/PaletteUtils.js';
+
+/**
+ * Heavy enemy that carries a frontal barrier. Player projectiles that reach
+ * the barrier are absorbed until it breaks; it comes back after a delay.
+ */
+export class ShieldBearerEnemy extends Enemy {
+    constructor(x, y, speed, health, damage) {
+        super(x, y, speed, health, damage);
+
+        this.kind = 'shieldBearer';
+        this.color = '#4d9fff';
+        this.glowColor = '#4d9fff';
+        this.setBaseRadius(23);
+        this.knockbackResistance = 0.5;
+
+        this.facingAngle = 0;
+        this._facingInitialized = false;
+        this.barrierHp = null; // Filled on first update, after wave scaling has set maxHealth
+        this.barrierRegenTimer = 0;
+    }
+
+    get barrierUp() {
+        return this.barrierHp > 0 && !this.dying;
+    }
+
+    update(delta, player, game = null) {
+        super.update(delta, player, game);
+
+        if (this.dying || this.health <= 0) {
+            return;
+        }
+
+        const cfg = GameConfig.ENEMY.SHIELD_BEARER;
+        if (this.barrierHp === null) {
+            this.barrierHp = this.maxHealth * cfg.BARRIER_HEALTH_RATIO;
+        }
+
+        // Turn the barrier toward the player at a limited rate so it can be flanked
+        const targetAngle = Math.atan2(player.y - this.y, player.x - this.x);
+        if (!this._facingInitialized) {
+            this.facingAngle = targetAngle;
+            this._facingInitialized = true;
+        } else {
+            let diff = targetAngle - this.facingAngle;
+            diff = Math.atan2(Math.sin(diff), Math.cos(diff));
+            const maxTurn = cfg.TURN_SPEED * (delta / 1000);
+            this.facingAngle += Math.max(-maxTurn, Math.min(maxTurn, diff));
+        }
+
+        if (this.barrierHp <= 0) {
+            this.barrierRegenTimer -= delta;
+            if (this.barrierRegenTimer <= 0) {
+                this.barrierHp = this.maxHealth * cfg.BARRIER_HEALTH_RATIO;
+            }
+        }
+    }
+
+    /**
+     * Whether a projectile has reached the barrier. Checked before the body
+     * hit, so shots from the front never touch the bearer itself.
+     * @param {{x: number, y: number, radius: number, size?: number}} projectile
+     * @returns {boolean}
+     */
+    blocksProjectile(projectile) {
+        if (!this.barrierUp) return false;
+        const dx = projectile.x - this.x;
+        const dy = projectile.y - this.y;
+        const dist = Math.hypot(dx, dy);
+        const barrierRadius = this.radius + GameConfig.ENEMY.SHIELD_BEARER.BARRIER_OFFSET;
+        const reach = projectile.size || projectile.radius || 0;
+        if (dist > barrierRadius + reach || dist < this.radius * 0.5) return false;
+
+        let diff = Math.atan2(dy, dx) - this.facingAngle;
+        diff = Math.atan2(Math.sin(diff), Math.cos(diff));
+        return Math.abs(diff) <= GameConfig.ENEMY.SHIELD_BEARER.BARRIER_ARC / 2;
+    }
+
+    /**
+     * Soak a blocked projectile's damage into the barrier.
+     * @param {{damage: number}} projectile
+     */
+    absorbProjectile(projectile) {
+        this.barrierHp -= projectile.damage;
+        this.flashTimer = 60;
+        if (this.barrierHp <= 0) {
+            this.barrierHp = 0;
+            this.barrierRegenTimer = GameConfig.ENEMY.SHIELD_BEARER.BARRIER_REGEN_DELAY;
+            playSFX('player_shield_hit');
+            this.game?.createExplosion?.(
+                this.x + Math.cos(this.facingAngle) * this.radius,
+                this.y + Math.sin(this.facingAngle) * this.radius,
+                6
+            );
+        }
+    }
+
+    draw(ctx) {
+        super.draw(ctx);
+
+        if (this.dying || !this.barrierUp) {
+            return;
+        }
+
+        const cfg = GameConfig.ENEMY.SHIELD_BEARER;
+        const highContrast = isHighContrast(this.game);
+        const barrierRadius = this.radius + cfg.BARRIER_OFFSET;
+        const strength = Math.min(1, this.barrierHp / (this.maxHealth * cfg.BARRIER_HEALTH_RATIO));
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.arc(
+            this.x, this.y, barrierRadius,
+            this.facingAngle - cfg.BARRIER_ARC / 2,
+            this.facingAngle + cfg.BARRIER_ARC / 2
+        );
+        if (highContrast) {
+            strokeContrastPath(ctx, 4);
+        } else {
+            ctx.strokeStyle = getEnemyColor(this.game, this.kind, this.glowColor);
+            ctx.globalAlpha = 0.35 + 0.55 * strength;
+            ctx.lineWidth = 5;
+            ctx.stroke();
+            ctx.strokeStyle = '#fff';
+            ctx.globalAlpha = 0.6 * strength;
+            ctx.lineWidth = 1.5;
+            ctx.stroke();
+        }
+        ctx.restore();
+    }
+}
@@ -0,0 +1,138 @@
+import { Enemy } from '../Enemy.js';
+import { Projectile } from '../Projectile.js';
+import { GameConfig } from '../config/GameConfig.js';
+import { playSFX } from '../managers/RuntimeAdapters.js';
+import { isBlockedByPillar } from '../systems/ArenaLayouts.js';
+import { getTelegraphColor, isHighContrast, drawHazardLine, strokeContrastPath } from '../utils/PaletteUtils.js';
+
+/**
+ * Ranged enemy that holds its distance and fires a single fast shot after
+ * telegraphing the line it will travel along.
+ */
+export class SniperEnemy extends Enemy {
+    constructor(x, y, speed, health, damage) {
+        super(x, y, speed, health, damage);
+
+        this.kind = 'sniper';
+        this.color = '#ff5533';
+        this.glowColor = '#ff5533';
+        this.setBaseRadius(17);
+
+        this.shotTimer = GameConfig.ENEMY.SNIPER.SHOT_COOLDOWN;
+        this.chargeTimer = 0; // > 0 while the shot is being telegraphed
+        this.aimAngle = 0;
+    }
+
+    get isCharging() {
+        return this.chargeTimer > 0;
+    }
+
+    update(delta, player, game = null) {
+        super.update(delta, player, game);
+
+        // Stunned: the charge and the shot cooldown both wait
+        if (this.dying || this.health <= 0 || !game || this.statusEffects.isDisarmed()) {
+            return;
+        }
+
+        const cfg = GameConfig.ENEMY.SNIPER;
+        if (this.isCharging) {
+            // Track the player until the aim locks just before the shot
+            if (this.chargeTimer > cfg.AIM_LOCK_TIME) {
+                this.aimAngle = Math.atan2(player.y - this.y, player.x - this.x);
+            }
+            this.chargeTimer -= delta;
+            if (this.chargeTimer <= 0) {
+                this._fire(game);
+                this.moveSpeedMultiplier = 1;
+            }
+            return;
+        }
+
+        this.shotTimer -= delta;
+        const { width, height } = game.getLogicalCanvasSize();
+        const onScreen = this.x > 0 && this.x < width && this.y > 0 && this.y < height;
+        const inRange = Math.hypot(player.x - this.x, player.y - this.y) <= cfg.MAX_RANGE;
+        // No shot through the ring's pillar; keep moving to get around it
+        const clear = !isBlockedByPillar(game.getArenaGeometry(), this.x, this.y, player.x, player.y, this.radius);
+        if (this.shotTimer <= 0 && onScreen && inRange && clear) {
+            this.shotTimer = cfg.SHOT_COOLDOWN;
+            this.chargeTimer = cfg.CHARGE_TIME;
+            this.aimAngle = Math.atan2(player.y - this.y, player.x - this.x);
+            this.moveSpeedMultiplier = 0; // Plant feet while aiming
+        }
+    }
+
+    _fire(game) {
+        const cfg = GameConfig.ENEMY.SNIPER;
+        const muzzle = this.radius + 4;
+        const projectile = new Projectile(
+            this.x + Math.cos(this.aimAngle) * muzzle,
+            this.y + Math.sin(this.aimAngle) * muzzle,
+            this.aimAngle,
+            this.damage * cfg.DAMAGE_RATIO,
+            cfg.PROJECTILE_SPEED
+        );
+        projectile.isEnemyProjectile = true;
+        projectile.color = this.color;
+        projectile.glowColor = this.glowColor;
+        game.projectiles.push(projectile);
+        playSFX('impact_pierce');
+    }
+
+    takeDamage(amount, source = null) {
+        super.takeDamage(amount, source);
+        if (this.dying) this.chargeTimer = 0;
+    }
+
+    draw(ctx) {
+        // Telegraph under the body
+        if (this.isCharging && !this.dying) {
+            const progress = 1 - this.chargeTimer / GameConfig.ENEMY.SNIPER.CHARGE_TIME;
+            const length = 2000;
+            const endX = this.x + Math.cos(this.aimAngle) * length;
+            const endY = this.y + Math.sin(this.aimAngle) * length;
+            const locked = this.chargeTimer <= GameConfig.ENEMY.SNIPER.AIM_LOCK_TIME;
+
+            if (isHighContrast(this.game)) {
+                drawHazardLine(ctx, this.x, this.y, endX, endY, locked ? 4 : 2);
+            } else {
+                ctx.save();
+                ctx.strokeStyle = getTelegraphColor(this.game, this.color);
+                ctx.globalAlpha = 0.2 + 0.6 * progress;
+                ctx.lineWidth = locked ? 3 : 1 + progress;
+                ctx.setLineDash(locked ? [] : [8, 6]);
+                ctx.beginPath();
+                ctx.moveTo(this.x, this.y);
+                ctx.lineTo(endX, endY);
+                ctx.stroke();
+                ctx.restore();
+            }
+        }
+
+        super.draw(ctx);
+
+        if (this.dying) {
+            return;
+        }
+
+        // Scope reticle (doubles as the high-contrast kind glyph)
+        const highContrast = isHighContrast(this.game);
+        ctx.save();
+        ctx.strokeStyle = '#fff';
+        ctx.lineWidth = 1.5;
+        const r = this.radius * (highContrast ? 0.5 : 0.45);
+        ctx.beginPath();
+        ctx.arc(this.x, this.y, r, 0, Math.PI * 2);
+        ctx.moveTo(this.x - r * 1.5, this.y);
+        ctx.lineTo(this.x + r * 1.5, this.y);
+        ctx.moveTo(this.x, this.y - r * 1.5);
+        ctx.lineTo(this.x, this.y + r * 1.5);
+        if (highContrast) {
+            strokeContrastPath(ctx, 2);
+        } else {
+            ctx.stroke();
+        }
+        ctx.restore();
+    }
+}
@@ -1,5 +1,6 @@
 import { Enemy } from '../Enemy.js';
-import { playSFX } from '../main.js';
+import { playSFX } from '../managers/RuntimeAdapters.js';
+import { getEnemyColor, isHighContrast } from '../utils/PaletteUtils.js';
 
 /**
  * Splitter enemy variant that splits into smaller enemies when destroyed.
@@ -13,6 +14,7 @@ export class SplitterEnemy extends Enemy {
         this.generation = generation; // Track split generation (1 = original, 2 = first split, etc.)
         this.maxGeneration = 3; // Maximum split generations
         this.splitCount = generation === 1 ? 3 : 2; // Number of splits (fewer for higher generations)
+        this.kind = 'splitter';
         this.isSplitter = true;
         
         // Visual differentiation based on generation
@@ -54,9 +56,14 @@ export class SplitterEnemy extends Enemy {
      * @param {unknown} [source] - Optional damage source metadata
      */
     takeDamage(amount, source = null) {
-        void source;
-        const damageTakenMultiplier = this.game?.getEnemyDamageTakenMultiplier?.() || 1;
-        this.health -= amount * damageTakenMultiplier;
+        const damageTakenMultiplier = (this.game?.getEnemyDamageTakenMultiplier?.() || 1)
+            * this.statusEffects.getDamageTakenMultiplier();
+        let appliedDamage = amount * damageTakenMultiplier;
+        if (this.elite) {
+            this.elite.onHit(source, appliedDamage);
+            appliedDamage = this.elite.absorbDamage(appliedDamage);
+        }
+        this.health -= appliedDamage;
         
         // Trigger white flash effect when hit
         this.flashTimer = 100;
@@ -86,9 +93,10 @@ export class SplitterEnemy extends Enemy {
         }
         
         // Spawn smaller splitters
+        const spawnRng = this.game.rng.spawns;
         for (let i = 0; i < this.splitCount; i++) {
-            const angle = (Math.PI * 2 / this.splitCount) * i + Math.random() * 0.5;
-            const distance = 30 + Math.random() * 20;
+            const angle = (Math.PI * 2 / this.splitCount) * i + spawnRng.range(0, 0.5);
+            const distance = spawnRng.range(30, 50);
             
             const splitX = this.x + Math.cos(angle) * distance;
             const splitY = this.y + Math.sin(angle) * distance;
@@ -112,8 +120,8 @@ export class SplitterEnemy extends Enemy {
             
             // Add slight random velocity to spread out
             const spreadVelocity = 50;
-            splitEnemy.x += (Math.random() - 0.5) * spreadVelocity;
-            splitEnemy.y += (Math.random() - 0.5) * spreadVelocity;
+            splitEnemy.x += (spawnRng.next() - 0.5) * spreadVelocity;
+            splitEnemy.y += (spawnRng.next() - 0.5) * spreadVelocity;
             
             // Add to game enemies array
             if (this.game && this.game.enemies) {
@@ -137,6 +145,7 @@ export class SplitterEnemy extends Enemy {
     draw(ctx) {
         // Call parent draw method
         super.draw(ctx);
+        const highContrast = isHighContrast(this.game);
         
         // Add generation indicators for non-dying splitters
         if (!this.dying && this.generation > 1) {
@@ -144,11 +153,13 @@ export class SplitterEnemy extends Enemy {
             
             // Draw generation indicator dots
             ctx.fillStyle = '#fff';
+            ctx.strokeStyle = '#000';
+            ctx.lineWidth = 1.5;
             ctx.shadowColor = this.glowColor;
-            ctx.shadowBlur = 5;
+            ctx.shadowBlur = highContrast ? 0 : 5;
             
             const dotCount = this.generation - 1;
-            const dotRadius = 2;
+            const dotRadius = highContrast ? 3 : 2;
             const dotSpacing = 6;
             const startX = this.x - ((dotCount - 1) * dotSpacing) / 2;
             const dotY = this.y - this.radius - 20;
@@ -157,6 +168,7 @@ export class SplitterEnemy extends Enemy {
                 ctx.beginPath();
                 ctx.arc(startX + i * dotSpacing, dotY, dotRadius, 0, Math.PI * 2);
                 ctx.fill();
+                if (highContrast) ctx.stroke();
             }
             
             ctx.restore();
@@ -167,9 +179,10 @@ export class SplitterEnemy extends Enemy {
             ctx.save();
             
             const pulse = Math.sin(Date.now() / 300) * 0.3 + 0.7;
-            ctx.globalAlpha = pulse * 0.2;
-            ctx.strokeStyle = this.glowColor;
-            ctx.lineWidth = 3;
+            ctx.globalAlpha = highContrast ? 0.7 : pulse * 0.2;
+            ctx.strokeStyle = highContrast ? '#fff' : getEnemyColor(this.game, this.kind, this.glowColor);
+            ctx.lineWidth = highContrast ? 2 : 3;
+            if (highContrast) ctx.setLineDash([6, 4]);
             
             ctx.beginPath();
             ctx.arc(this.x, this.y, this.radius + 8, 0, Math.PI * 2);
@@ -0,0 +1,282 @@
+import { GameConfig } from '../config/GameConfig.js';
+
+/** Effect definitions keyed by id ('marked', 'vulnerable', ...). */
+const DEFINITIONS = Object.fromEntries(
+    Object.values(GameConfig.STATUS_EFFECTS).map(def => [def.id, def])
+);
+
+/**
+ * @typedef {Object} ActiveStatusEffect
+ * @property {Object} def - Entry of GameConfig.STATUS_EFFECTS
+ * @property {number} remaining - Remaining duration in milliseconds
+ * @property {number} stacks - Current stack count
+ * @property {number} tickDamage - Damage per second per stack (0 = no ticks)
+ * @property {number} tickTimer - Time until the next damage tick in milliseconds
+ */
+
+/**
+ * Timed debuffs on a single enemy (marked, vulnerable, stunned, rooted, exposed).
+ * Each enemy owns one instance as `enemy.statusEffects`. Effects are ticked by
+ * EntityManager before the enemy moves, so bosses with their own update loop
+ * are covered too. Stacking rules and strengths live in GameConfig.STATUS_EFFECTS.
+ */
+export class StatusEffects {
+    /**
+     * @param {import('../Enemy.js').Enemy} enemy - Owner of the effects
+     */
+    constructor(enemy) {
+        this.enemy = enemy;
+        /** @type {Map<string, ActiveStatusEffect>} */
+        this.active = new Map();
+    }
+
+    /**
+     * Apply an effect or re-apply it following its stacking rule.
+     * Emits `enemy:status` on the game's event bus when the effect lands.
+     * @param {string} id - Effect id
+     * @param {Object} options
+     * @param {number} options.duration - Duration in milliseconds
+     * @param {number} [options.stacks=1] - Stacks to add (stack rule only)
+     * @param {number} [options.tickDamage=0] - Damage per second per stack, for effects with a tickInterval
+     * @returns {boolean} Whether the effect was applied (false if unknown, immune or the enemy is dying)
+     */
+    apply(id, { duration, stacks = 1, tickDamage = 0 }) {
+        const def = DEFINITIONS[id];
+        const enemy = this.enemy;
+        if (!def || enemy.dying || enemy.health <= 0) return false;
+        if (def.bossImmune && enemy.isBoss) return false;
+
+        const current = this.active.get(id);
+        if (!current) {
+            this.active.set(id, {
+                def,
+                remaining: duration,
+                stacks: Math.min(def.maxStacks, stacks),
+                tickDamage,
+                tickTimer: def.tickInterval || 0,
+            });
+        } else {
+            switch (def.stacking) {
+                case 'stack':
+                    current.stacks = Math.min(def.maxStacks, current.stacks + stacks);
+                    current.remaining = Math.max(current.remaining, duration);
+                    break;
+                case 'extend':
+                    current.remaining += duration;
+                    break;
+                default: // refresh
+                    current.remaining = Math.max(current.remaining, duration);
+                    break;
+            }
+            current.tickDamage = Math.max(current.tickDamage, tickDamage);
+        }
+
+        enemy.game?.eventBus?.emit('enemy:status', {
+            enemy,
+            id,
+            stacks: this.active.get(id).stacks,
+            maxStacks: def.maxStacks,
+        });
+        return true;
+    }
+
+    /**
+     * @param {string} id
+     * @returns {boolean}
+     */
+    has(id) {
+        return this.active.has(id);
+    }
+
+    /**
+     * @param {string} id
+     * @returns {number} Current stacks, 0 if the effect is not active
+     */
+    getStacks(id) {
+        return this.active.get(id)?.stacks || 0;
+    }
+
+    /**
+     * Number of different effects currently active.
+     * @returns {number}
+     */
+    get count() {
+        return this.active.size;
+    }
+
+    /**
+     * @param {string} id
+     */
+    remove(id) {
+        this.active.delete(id);
+    }
+
+    clear() {
+        this.active.clear();
+    }
+
+    /**
+     * Count down durations and deal tick damage.
+     * @param {number} delta - Time elapsed since last update in milliseconds
+     */
+    update(delta) {
+        if (this.active.size === 0) return;
+        if (this.enemy.dying) {
+            this.active.clear();
+            return;
+        }
+
+        for (const [id, effect] of this.active) {
+            if (effect.tickDamage > 0 && effect.def.tickInterval) {
+                effect.tickTimer -= delta;
+                while (effect.tickTimer <= 0 && !this.enemy.dying) {
+                    effect.tickTimer += effect.def.tickInterval;
+                    const damage = effect.tickDamage * effect.stacks * (effect.def.tickInterval / 1000);
+                    this.enemy.takeDamage(damage, this);
+                }
+            }
+
+            effect.remaining -= delta;
+            if (effect.remaining <= 0) {
+                this.active.delete(id);
+            }
+        }
+    }
+
+    /**
+     * Combined damage-taken multiplier of all active effects.
+     * @returns {number}
+     */
+    getDamageTakenMultiplier() {
+        let multiplier = 1;
+        for (const effect of this.active.values()) {
+            if (effect.def.damageTakenPerStack) {
+                multiplier += effect.def.damageTakenPerStack * effect.stacks;
+            }
+        }
+        return multiplier;
+    }
+
+    /**
+     * Lowest movement speed multiplier among active effects.
+     * @returns {number}
+     */
+    getSpeedMultiplier() {
+        let multiplier = 1;
+        for (const effect of this.active.values()) {
+            if (effect.def.speedMultiplier !== undefined) {
+                multiplier = Math.min(multiplier, effect.def.speedMultiplier);
+            }
+        }
+        return multiplier;
+    }
+
+    /**
+     * Whether an active effect stops the enemy from dealing contact damage.
+     * @returns {boolean}
+     */
+    isDisarmed() {
+        for (const effect of this.active.values()) {
+            if (effect.def.disarms) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Draw an overlay for each active effect around the enemy.
+     * @param {CanvasRenderingContext2D} ctx - 2D rendering context
+     */
+    draw(ctx) {
+        if (this.active.size === 0 || this.enemy.dying) return;
+
+        const { x, y } = this.enemy;
+        const r = this.enemy.radius;
+        const time = Date.now() / 1000;
+
+        ctx.save();
+        ctx.lineWidth = 2;
+        for (const effect of this.active.values()) {
+            const color = effect.def.color;
+            ctx.strokeStyle = color;
+            ctx.fillStyle = color;
+            // Fade out over the last half second
+            ctx.globalAlpha = Math.min(1, effect.remaining / 500) * 0.85;
+
+            switch (effect.def.overlay) {
+                case 'reticle':
+                    this._drawReticle(ctx, x, y, r + 10, time);
+                    break;
+                case 'pips':
+                    this._drawPips(ctx, x, y + r + 8, effect.stacks);
+                    break;
+                case 'orbit':
+                    this._drawOrbit(ctx, x, y - r - 6, time);
+                    break;
+                case 'ring':
+                    ctx.setLineDash([4, 4]);
+                    ctx.beginPath();
+                    ctx.arc(x, y, r + 6, 0, Math.PI * 2);
+                    ctx.stroke();
+                    ctx.setLineDash([]);
+                    break;
+                case 'cracks':
+                    this._drawCracks(ctx, x, y, r, effect.stacks);
+                    break;
+            }
+        }
+        ctx.restore();
+    }
+
+    /** @private */
+    _drawReticle(ctx, x, y, size, time) {
+        ctx.beginPath();
+        ctx.arc(x, y, size, 0, Math.PI * 2);
+        ctx.stroke();
+
+        const spin = time * 1.5;
+        for (let i = 0; i < 4; i++) {
+            const angle = spin + (Math.PI / 2) * i;
+            const cos = Math.cos(angle);
+            const sin = Math.sin(angle);
+            ctx.beginPath();
+            ctx.moveTo(x + cos * (size - 5), y + sin * (size - 5));
+            ctx.lineTo(x + cos * (size + 5), y + sin * (size + 5));
+            ctx.stroke();
+        }
+    }
+
+    /** @private */
+    _drawPips(ctx, x, y, stacks) {
+        const spacing = 6;
+        const startX = x - ((stacks - 1) * spacing) / 2;
+        for (let i = 0; i < stacks; i++) {
+            ctx.beginPath();
+            ctx.arc(startX + i * spacing, y, 2, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    }
+
+    /** @private */
+    _drawOrbit(ctx, x, y, time) {
+        for (let i = 0; i < 3; i++) {
+            const angle = time * 4 + (Math.PI * 2 / 3) * i;
+            ctx.beginPath();
+            ctx.arc(x + Math.cos(angle) * 8, y + Math.sin(angle) * 3, 2, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    }
+
+    /** @private */
+    _drawCracks(ctx, x, y, r, stacks) {
+        ctx.beginPath();
+        for (let i = 0; i < stacks; i++) {
+            const angle = (Math.PI * 2 / 3) * i + 0.4;
+            const cos = Math.cos(angle);
+            const sin = Math.sin(angle);
+            ctx.moveTo(x + cos * r * 0.2, y + sin * r * 0.2);
+            ctx.lineTo(x + cos * r * 0.6 + sin * 3, y + sin * r * 0.6 - cos * 3);
+            ctx.lineTo(x + cos * r, y + sin * r);
+        }
+        ctx.stroke();
+    }
+}
@@ -0,0 +1,424 @@
+/**
+ * @fileoverview Steering behaviors for regular enemies.
+ *
+ * Enemy.update asks computeSteering() for a movement direction each tick and
+ * then applies its own speed, slows and modifiers, so everything that scales
+ * speed keeps working whatever the behavior. Which behaviors an enemy blends,
+ * and how strongly, comes from its profile in GameConfig.ENEMY.STEERING.
+ *
+ * Neighbors come from the collision system's enemy SpatialGrid, which
+ * EntityManager rebuilds before enemies move.
+ */
+
+import { GameConfig } from '../config/GameConfig.js';
+import { isBlockedByPillar } from '../systems/ArenaLayouts.js';
+
+/** Reused result vector; read it before the next call. */
+const steer = { x: 0, y: 0 };
+/** Reused result of confineToArena(). */
+const wall = { x: 0, y: 0 };
+
+/**
+ * Resolve an enemy's steering profile.
+ * @param {import('../Enemy.js').Enemy} enemy
+ * @returns {Object}
+ */
+export function getSteeringProfile(enemy) {
+    const cfg = GameConfig.ENEMY.STEERING;
+    const name = enemy.steeringProfile || cfg.KIND_PROFILES[enemy.kind] || cfg.DEFAULT_PROFILE;
+    return cfg.PROFILES[name] || cfg.PROFILES[cfg.DEFAULT_PROFILE];
+}
+
+/**
+ * Nearest wounded, non-boss ally within range.
+ * @param {import('../Enemy.js').Enemy} enemy
+ * @param {Array} enemies
+ * @param {number} range
+ * @returns {Object|null}
+ */
+function findWoundedAlly(enemy, enemies, range) {
+    let best = null;
+    let bestDistSq = range * range;
+    for (const ally of enemies) {
+        if (ally === enemy || ally.isBoss || ally.dying || ally.health <= 0 || ally.health >= ally.maxHealth) {
+            continue;
+        }
+        const dx = ally.x - enemy.x;
+        const dy = ally.y - enemy.y;
+        const distSq = dx * dx + dy * dy;
+        if (distSq < bestDistSq) {
+            bestDistSq = distSq;
+            best = ally;
+        }
+    }
+    return best;
+}
+
+/**
+ * Whether any other non-boss enemy is still alive — someone to heal or to
+ * hide behind.
+ * @param {import('../Enemy.js').Enemy} enemy
+ * @param {Array} enemies
+ * @returns {boolean}
+ */
+function hasAllies(enemy, enemies) {
+    for (const ally of enemies) {
+        if (ally !== enemy && !ally.isBoss && !ally.dying && ally.health > 0) return true;
+    }
+    return false;
+}
+
+/**
+ * Side (1 or -1) an enemy favors when flanking or strafing, fixed from where
+ * it first steered so it doesn't flip back and forth.
+ * @param {import('../Enemy.js').Enemy} enemy
+ * @returns {number}
+ */
+function getSide(enemy) {
+    if (!enemy.steeringSide) {
+        enemy.steeringSide = ((Math.floor(enemy.x) + Math.floor(enemy.y)) & 1) ? 1 : -1;
+    }
+    return enemy.steeringSide;
+}
+
+/**
+ * Whether the whole enemy is on screen.
+ * @param {import('../Enemy.js').Enemy} enemy
+ * @param {import('../Game.js').Game} game
+ * @returns {boolean}
+ */
+function isOnScreen(enemy, game) {
+    const { width, height } = game.getLogicalCanvasSize();
+    const r = enemy.radius;
+    return enemy.x >= r && enemy.x <= width - r && enemy.y >= r && enemy.y <= height - r;
+}
+
+/**
+ * Whether the ring's pillar hides any of the enemy from its target.
+ * @param {import('../Enemy.js').Enemy} enemy
+ * @param {{x: number, y: number}} target
+ * @param {import('../Game.js').Game} game
+ * @returns {boolean}
+ */
+function isBehindPillar(enemy, target, game) {
+    return isBlockedByPillar(game.getArenaGeometry(), enemy.x, enemy.y, target.x, target.y, enemy.radius);
+}
+
+/**
+ * Keep a backing-off or retreating movement inside the arena: near an edge
+ * the part heading out through it is dropped, so the enemy slides along the
+ * wall or holds, and an enemy not yet fully on screen turns back in. Without this,
+ * ranged and wounded enemies settle off-screen where the player can't target
+ * them and the wave never ends.
+ * @param {import('../Enemy.js').Enemy} enemy
+ * @param {import('../Game.js').Game|null} game
+ * @param {number} vx
+ * @param {number} vy
+ * @returns {{x: number, y: number}} Shared vector, overwritten by the next call
+ */
+function confineToArena(enemy, game, vx, vy) {
+    wall.x = vx;
+    wall.y = vy;
+    if (!game) return wall;
+
+    const { width, height } = game.getLogicalCanvasSize();
+    const r = enemy.radius;
+    const margin = r + GameConfig.ENEMY.STEERING.WALL_MARGIN;
+    if ((enemy.x < margin && vx < 0) || (enemy.x > width - margin && vx > 0)) {
+        wall.x = enemy.x < r || enemy.x > width - r ? -vx : 0;
+    }
+    if ((enemy.y < margin && vy < 0) || (enemy.y > height - margin && vy > 0)) {
+        wall.y = enemy.y < r || enemy.y > height - r ? -vy : 0;
+    }
+    return wall;
+}
+
+/**
+ * Swap the part of the steering heading into an obstacle for movement along
+ * its surface.
+ * @param {number} nx - Surface normal, pointing away from the obstacle
+ * @param {number} ny
+ * @param {number} tx - Unit tangent: the way around
+ * @param {number} ty
+ */
+function deflect(nx, ny, tx, ty) {
+    const into = steer.x * nx + steer.y * ny;
+    if (into >= 0) return;
+    steer.x -= into * (nx + tx);
+    steer.y -= into * (ny + ty);
+}
+
+/**
+ * Which way (1 or -1) to go around an obstacle centered on (cx, cy): the
+ * turn about its center that reaches the target's bearing sooner. The
+ * answer is the same all around the obstacle, so an enemy doesn't flip at a
+ * corner. With the target straight across, the enemy's favored side decides.
+ * @param {import('../Enemy.js').Enemy} enemy
+ * @param {{x: number, y: number}} target
+ * @param {number} cx
+ * @param {number} cy
+ * @returns {number}
+ */
+function getWayAround(enemy, target, cx, cy) {
+    const ex = enemy.x - cx;
+    const ey = enemy.y - cy;
+    const px = target.x - cx;
+    const py = target.y - cy;
+    const cross = ex * py - ey * px;
+    if (Math.abs(cross) <= 0.05 * Math.hypot(ex, ey) * Math.hypot(px, py)) return getSide(enemy);
+    return Math.sign(cross);
+}
+
+/**
+ * Steer around cover close ahead. Collision only pushes enemies back out of
+ * cover, so without this an enemy lined up behind a block parks there.
+ * @param {import('../Enemy.js').Enemy} enemy
+ * @param {{x: number, y: number}} target
+ * @param {import('../Game.js').Game} game
+ */
+function steerAroundCover(enemy, target, game) {
+    if (!game.arenaFeatureSystem?.features.length) return;
+    const reach = enemy.radius + GameConfig.ENEMY.STEERING.OBSTACLE_RANGE;
+    const nearby = game.collisionSystem.queryFeatures(enemy.x, enemy.y, reach);
+    for (let i = 0; i < nearby.length; i++) {
+        const cover = nearby[i];
+        if (cover.type !== 'cover' || cover.hp <= 0) continue;
+        const dx = enemy.x - Math.max(cover.x - cover.halfWidth, Math.min(enemy.x, cover.x + cover.halfWidth));
+        const dy = enemy.y - Math.max(cover.y - cover.halfHeight, Math.min(enemy.y, cover.y + cover.halfHeight));
+        const dist = Math.hypot(dx, dy);
+        // Inside (collision pushes it out) or not close yet
+        if (dist === 0 || dist >= reach) continue;
+
+        const nx = dx / dist;
+        const ny = dy / dist;
+        const way = getWayAround(enemy, target, cover.x, cover.y);
+        deflect(nx, ny, -ny * way, nx * way);
+    }
+}
+
+/**
+ * Steer around the ring's pillar when close to it. Collision only pushes
+ * enemies back out, so without this they pile up behind it.
+ * @param {import('../Enemy.js').Enemy} enemy
+ * @param {{x: number, y: number}} target
+ * @param {import('../Game.js').Game} game
+ */
+function steerAroundPillar(enemy, target, game) {
+    const geometry = game.getArenaGeometry();
+    if (geometry.pillar <= 0) return;
+    const dx = enemy.x - geometry.centerX;
+    const dy = enemy.y - geometry.centerY;
+    const dist = Math.hypot(dx, dy);
+    if (dist === 0 || dist - geometry.pillar >= enemy.radius + GameConfig.ENEMY.STEERING.OBSTACLE_RANGE) return;
+
+    const nx = dx / dist;
+    const ny = dy / dist;
+    const way = getWayAround(enemy, target, geometry.centerX, geometry.centerY);
+    deflect(nx, ny, -ny * way, nx * way);
+}
+
+/**
+ * Bend `steer` around obstacles in the enemy's way, keeping its length ≤ 1.
+ * @param {import('../Enemy.js').Enemy} enemy
+ * @param {{x: number, y: number}} target
+ * @param {import('../Game.js').Game|null} game
+ */
+function avoidObstacles(enemy, target, game) {
+    if (!game) return;
+    steerAroundCover(enemy, target, game);
+    steerAroundPillar(enemy, target, game);
+    const len = Math.hypot(steer.x, steer.y);
+    if (len > 1) {
+        steer.x /= len;
+        steer.y /= len;
+    }
+}
+
+/**
+ * Desired movement direction for this tick. The result has length ≤ 1;
+ * shorter vectors slow the enemy (crowding, holding range).
+ * @param {import('../Enemy.js').Enemy} enemy
+ * @param {{x: number, y: number}} target - The player, or a taunting decoy
+ * @param {number} distance - Distance to target (> 0)
+ * @param {import('../Game.js').Game|null} game
+ * @param {number} delta - Tick length in ms
+ * @returns {{x: number, y: number}} Shared vector, overwritten by the next call
+ */
+export function computeSteering(enemy, target, distance, game, delta) {
+    const cfg = GameConfig.ENEMY.STEERING;
+    const nx = (target.x - enemy.x) / distance;
+    const ny = (target.y - enemy.y) / distance;
+
+    // Taunted enemies go straight for the decoy
+    if (enemy.tauntTarget) {
+        steer.x = nx;
+        steer.y = ny;
+        avoidObstacles(enemy, target, game);
+        return steer;
+    }
+
+    // Flanking squads spiral in to their orbit radius, circle for orbitTimer, then charge
+    if (enemy.orbitTimer > 0) {
+        const closingIn = distance > enemy.orbitRadius;
+        if (!closingIn) enemy.orbitTimer -= delta;
+        const inward = closingIn ? 1 : 0;
+        const sideways = closingIn ? 0.5 : 1;
+        const ox = -ny * enemy.orbitDirection * sideways + nx * inward;
+        const oy = nx * enemy.orbitDirection * sideways + ny * inward;
+        const len = Math.hypot(ox, oy);
+        steer.x = ox / len;
+        steer.y = oy / len;
+        avoidObstacles(enemy, target, game);
+        return steer;
+    }
+
+    const profile = getSteeringProfile(enemy);
+    let sx = 0;
+    let sy = 0;
+    let seekWeight = profile.seek || 0;
+
+    // Retreat when low: flee out to RETREAT_DISTANCE, then hold there. A wall
+    // ends the retreat early; the enemy slides along it or holds. Only an
+    // enemy in view retreats: one off screen or behind the ring's pillar keeps
+    // coming in, or it would hold out of the player's reach. The retreat ends
+    // after RETREAT_TIME, or once no allies are left, so the last enemy of a
+    // wave never holds forever.
+    const wounded = profile.retreat && enemy.health < enemy.maxHealth * profile.retreatHealth;
+    enemy.retreatTime = wounded ? enemy.retreatTime + delta : 0;
+    const retreating = wounded && enemy.retreatTime < cfg.RETREAT_TIME && (!game || hasAllies(enemy, game.enemies));
+    if (retreating && (!game || (isOnScreen(enemy, game) && !isBehindPillar(enemy, target, game)))) {
+        seekWeight = 0;
+        if (distance < cfg.RETREAT_DISTANCE) {
+            const flee = confineToArena(enemy, game, -nx * profile.retreat, -ny * profile.retreat);
+            sx += flee.x;
+            sy += flee.y;
+        }
+    }
+
+    if (seekWeight > 0) {
+        let ax = nx;
+        let ay = ny;
+        if (profile.flankAngle) {
+            // Bend the approach into an arc that straightens out up close
+            const bend = Math.max(0, Math.min(1, (distance - cfg.FLANK_NEAR) / cfg.FLANK_FADE));
+            const angle = profile.flankAngle * bend * getSide(enemy);
+            const cos = Math.cos(angle);
+            const sin = Math.sin(angle);
+            ax = nx * cos - ny * sin;
+            ay = nx * sin + ny * cos;
+        }
+        sx += ax * seekWeight;
+        sy += ay * seekWeight;
+    }
+
+    if (profile.keepAtRange) {
+        const error = distance - profile.preferredRange;
+        // Behind the ring's pillar there is no shot either way, so come around it instead of holding
+        if (error > profile.rangeTolerance || (game && isBehindPillar(enemy, target, game))) {
+            sx += nx * profile.keepAtRange;
+            sy += ny * profile.keepAtRange;
+        } else if (error < -profile.rangeTolerance) {
+            // Back off, but not out of the arena
+            const back = confineToArena(enemy, game, -nx * profile.keepAtRange, -ny * profile.keepAtRange);
+            sx += back.x;
+            sy += back.y;
+        } else {
+            // In the band: strafe around the target, turning back at the walls
+            const side = getSide(enemy);
+            const strafe = confineToArena(enemy, game, -ny * side * profile.keepAtRange * 0.6, nx * side * profile.keepAtRange * 0.6);
+            if (strafe.x * -ny * side + strafe.y * nx * side <= 0) {
+                enemy.steeringSide = -side;
+            }
+            sx += strafe.x;
+            sy += strafe.y;
+        }
+    }
+
+    if (profile.seekAllies && !retreating && game) {
+        const ally = findWoundedAlly(enemy, game.enemies, cfg.ALLY_SEEK_RADIUS);
+        if (ally) {
+            const adx = ally.x - enemy.x;
+            const ady = ally.y - enemy.y;
+            const allyDist = Math.hypot(adx, ady);
+            // Close enough to heal: stop pulling toward it
+            if (allyDist > GameConfig.ENEMY.HEALER.HEAL_RADIUS * 0.5) {
+                sx += (adx / allyDist) * profile.seekAllies;
+                sy += (ady / allyDist) * profile.seekAllies;
+            }
+        }
+    }
+
+    const grid = game?.collisionSystem?.enemyGrid;
+    if (grid && (profile.separation || profile.cohesion || profile.alignment)) {
+        const padding = cfg.SEPARATION_PADDING;
+        const flockRadius = cfg.FLOCK_RADIUS;
+        let sepX = 0;
+        let sepY = 0;
+        let cohX = 0;
+        let cohY = 0;
+        let alignX = 0;
+        let alignY = 0;
+        let flockCount = 0;
+
+        const neighbors = grid.query(enemy.x, enemy.y, flockRadius);
+        for (let i = 0; i < neighbors.length; i++) {
+            const other = neighbors[i];
+            if (other === enemy || other.dying || other.health <= 0) continue;
+            const dx = enemy.x - other.x;
+            const dy = enemy.y - other.y;
+            const d = Math.hypot(dx, dy);
+
+            const minGap = enemy.radius + other.radius + padding;
+            if (d < minGap) {
+                if (d > 0) {
+                    const push = (minGap - d) / minGap;
+                    sepX += (dx / d) * push;
+                    sepY += (dy / d) * push;
+                } else {
+                    // Exactly stacked: split them along a fixed axis
+                    sepX += enemy.id < other.id ? 1 : -1;
+                }
+            }
+
+            if (d < flockRadius && other.kind === enemy.kind) {
+                cohX += other.x;
+                cohY += other.y;
+                const speed = Math.hypot(other.vx, other.vy);
+                if (speed > 0) {
+                    alignX += other.vx / speed;
+                    alignY += other.vy / speed;
+                }
+                flockCount++;
+            }
+        }
+
+        sx += sepX * (profile.separation || 0);
+        sy += sepY * (profile.separation || 0);
+
+        if (flockCount > 0) {
+            if (profile.cohesion) {
+                const cx = cohX / flockCount - enemy.x;
+                const cy = cohY / flockCount - enemy.y;
+                const cd = Math.hypot(cx, cy);
+                if (cd > 0) {
+                    sx += (cx / cd) * profile.cohesion;
+                    sy += (cy / cd) * profile.cohesion;
+                }
+            }
+            if (profile.alignment) {
+                sx += (alignX / flockCount) * profile.alignment;
+                sy += (alignY / flockCount) * profile.alignment;
+            }
+        }
+    }
+
+    const len = Math.hypot(sx, sy);
+    if (len > 1) {
+        sx /= len;
+        sy /= len;
+    }
+    steer.x = sx;
+    steer.y = sy;
+    avoidObstacles(enemy, target, game);
+    return steer;
+}
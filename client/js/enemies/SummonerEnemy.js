@@ -0,0 +1,125 @@
+import { Enemy } from '../Enemy.js';
+import { GameConfig } from '../config/GameConfig.js';
+import { playSFX } from '../managers/RuntimeAdapters.js';
+import { getEnemyColor, isHighContrast, strokeContrastPath } from '../utils/PaletteUtils.js';
+
+/**
+ * Caster enemy that hangs back and keeps a small pack of minions alive.
+ * Minions inherit the summoner's (already wave-scaled) stats at a fraction.
+ */
+export class SummonerEnemy extends Enemy {
+    constructor(x, y, speed, health, damage) {
+        super(x, y, speed, health, damage);
+
+        this.kind = 'summoner';
+        this.color = '#b44dff';
+        this.glowColor = '#b44dff';
+        this.setBaseRadius(21);
+
+        this.summonTimer = GameConfig.ENEMY.SUMMONER.SUMMON_INTERVAL * 0.5;
+        this.summonPulseTimer = 0;
+        /** @type {Enemy[]} */
+        this.minions = [];
+    }
+
+    update(delta, player, game = null) {
+        super.update(delta, player, game);
+
+        if (this.dying || this.health <= 0 || !game) {
+            return;
+        }
+
+        if (this.summonPulseTimer > 0) {
+            this.summonPulseTimer -= delta;
+        }
+
+        // Stunned: no summoning until it wears off
+        if (this.statusEffects.isDisarmed()) {
+            return;
+        }
+
+        this.summonTimer -= delta;
+        if (this.summonTimer <= 0) {
+            this.summonTimer = GameConfig.ENEMY.SUMMONER.SUMMON_INTERVAL;
+            this._summonMinions(game);
+        }
+    }
+
+    _summonMinions(game) {
+        const cfg = GameConfig.ENEMY.SUMMONER;
+        this.minions = this.minions.filter(m => !m.dying && m.health > 0 && game.enemies.includes(m));
+        const count = Math.min(cfg.MINIONS_PER_SUMMON, cfg.MAX_MINIONS - this.minions.length);
+        if (count <= 0) {
+            return;
+        }
+
+        const spawnRng = game.rng.spawns;
+        for (let i = 0; i < count; i++) {
+            const angle = spawnRng.range(0, Math.PI * 2);
+            const distance = this.radius + spawnRng.range(15, 30);
+            const minion = new Enemy(
+                this.x + Math.cos(angle) * distance,
+                this.y + Math.sin(angle) * distance,
+                this.speed / GameConfig.ENEMY.VARIANTS.SUMMONER.speed, // Basic speed at the same scaling
+                this.maxHealth * cfg.MINION_HEALTH_RATIO,
+                this.damage * cfg.MINION_DAMAGE_RATIO
+            );
+            minion.isMinion = true;
+            minion.color = this.color;
+            minion.glowColor = this.glowColor;
+            minion.setBaseRadius(12);
+            minion.setGameReference(game);
+            game.enemies.push(minion);
+            this.minions.push(minion);
+        }
+
+        this.summonPulseTimer = 300;
+        playSFX('boss_summon_minions');
+    }
+
+    draw(ctx) {
+        super.draw(ctx);
+
+        if (this.dying) {
+            return;
+        }
+
+        const highContrast = isHighContrast(this.game);
+        const reducedMotion = this.game?.runtimeSettings?.reducedMotion === true;
+
+        ctx.save();
+
+        // Summoning circle flares when minions are called
+        if (this.summonPulseTimer > 0) {
+            const progress = 1 - this.summonPulseTimer / 300;
+            ctx.strokeStyle = getEnemyColor(this.game, this.kind, this.glowColor);
+            ctx.lineWidth = 2;
+            ctx.globalAlpha = reducedMotion ? 0.5 : 0.8 * (1 - progress);
+            ctx.beginPath();
+            ctx.arc(this.x, this.y, this.radius + (reducedMotion ? 12 : 8 + progress * 30), 0, Math.PI * 2);
+            ctx.stroke();
+        }
+
+        // Upward triangle sigil
+        ctx.globalAlpha = 0.95;
+        ctx.strokeStyle = '#fff';
+        ctx.lineWidth = 2;
+        const r = this.radius * (highContrast ? 0.55 : 0.45);
+        ctx.beginPath();
+        for (let i = 0; i < 3; i++) {
+            const angle = -Math.PI / 2 + (Math.PI * 2 / 3) * i;
+            const px = this.x + Math.cos(angle) * r;
+            const py = this.y + Math.sin(angle) * r;
+            if (i === 0) ctx.moveTo(px, py);
+            else ctx.lineTo(px, py);
+        }
+        ctx.closePath();
+        if (highContrast) {
+            strokeContrastPath(ctx, 2);
+        } else {
+            ctx.stroke();
+        }
+
+        ctx.restore();
+    }
+}
@@ -69,6 +69,7 @@ declare global {
         hide(): void;
         setStats(stats: { wave: number; score: number; combo: number; level: number; kills: number }): void;
         setNewRecord(isNew: boolean): void;
+        setBossRush(splits: Array<{ bossType: string | null; timeMs: number; damageTaken: number; score: number }> | null): void;
     }
 
     interface StartScreenElement extends HTMLElement {
@@ -77,10 +78,14 @@ declare global {
         setLastRunStats(stats: { lastWave?: number; lastScore?: number; bestWave?: number; bestScore?: number }): void;
         getSelectedDifficulty(): string;
         setDifficulty(difficulty: string): void;
+        getSelectedArena(): string;
+        setArena(arena: string): void;
         setAuthUser(user: { display_name: string } | null): void;
         setContinueLoading(loading: boolean): void;
         setContinueInfo(balance: unknown, save: unknown): void;
         showContinueError(message: string): void;
+        setChallenges(challenges: { daily: unknown | null; weekly: unknown | null }): void;
+        showChallengeError(message: string): void;
     }
 
     interface SettingsModalElement extends HTMLElement {
@@ -89,6 +94,8 @@ declare global {
         updateUI(settings: Record<string, unknown>): void;
         setDevPanelVisible(visible: boolean): void;
         setKeybindHintsVisible(visible: boolean): void;
+        updateKeyBindings(state: { profile: number; bindings: Record<string, (string | null)[]>; conflicts?: string[]; notice?: string; swap?: { code: string; from: string } | null }): void;
+        closeKeyBindingsPage(): boolean;
         isVisible(): boolean;
     }
 
@@ -138,6 +145,18 @@ declare global {
         hide(): void;
     }
 
+    interface ReplayViewerElement extends HTMLElement {
+        show(): void;
+        hide(): void;
+        getCanvas(): HTMLCanvasElement;
+        getStage(): HTMLElement;
+        setReplayInfo(info: { seed: number; difficulty: string; recordedAt: number; waves: Array<[number, number]> }): void;
+        setPlaying(playing: boolean): void;
+        setSpeed(speed: number): void;
+        setProgress(progress: number, status: { wave: number; score: number; ticks: number; tickMs: number }): void;
+        setError(text: string | null): void;
+    }
+
     // ── Global primitives ──
     interface NeonButtonElement extends HTMLElement {
         variant: string;
@@ -159,6 +178,10 @@ declare global {
     interface HudChallengesElement extends HTMLElement {}
     interface HudPerformanceElement extends HTMLElement {}
     interface HudSettingsElement extends HTMLElement {}
+    interface HudTouchControlsElement extends HTMLElement {
+        configure(config: { enabled: boolean; leftHanded: boolean; opacity: number; scale: number }): void;
+        setActive(active: boolean): void;
+    }
 
     interface HTMLElementTagNameMap {
         'pause-screen': PauseScreenElement;
@@ -175,6 +198,7 @@ declare global {
         'game-hud': GameHudElement;
         'login-screen': LoginScreenElement;
         'leaderboard-screen': LeaderboardScreenElement;
+        'replay-viewer': ReplayViewerElement;
         'neon-button': NeonButtonElement;
         'hud-health-bars': HudHealthBarsElement;
         'hud-skill-bar': HudSkillBarElement;
@@ -187,6 +211,7 @@ declare global {
         'hud-challenges': HudChallengesElement;
         'hud-performance': HudPerformanceElement;
         'hud-settings': HudSettingsElement;
+        'hud-touch-controls': HudTouchControlsElement;
     }
 }
 
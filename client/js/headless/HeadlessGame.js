@@ -0,0 +1,253 @@
+/**
+ * @fileoverview Headless game runtime — the full simulation in plain Node.
+ *
+ * Runs WaveManager, CollisionSystem, SkillEffectEngine, LootSystem and the
+ * state store without a browser: no canvas context, no DOM, no audio. Every
+ * runtime adapter stays a no-op unless the caller overrides it. Between-wave
+ * and level-up decisions are made by a pluggable policy so balance sims and
+ * regression tests can drive thousands of waves unattended.
+ *
+ * Usage:
+ *   import { createHeadlessGame } from './js/headless/HeadlessGame.js';
+ *
+ *   const sim = createHeadlessGame({ seed: 1234, difficulty: 'hard' });
+ *   const result = sim.runWaves(10);
+ *   console.log(result.wave, result.score, result.state);
+ *   sim.dispose();
+ */
+
+import { Game } from '../Game.js';
+import { GameConfig } from '../config/GameConfig.js';
+import { ATTRIBUTES } from '../config/SkillConfig.js';
+import { installRuntimeAdapters, resetRuntimeAdapters } from '../managers/RuntimeAdapters.js';
+
+/** Default logical arena size (matches the 4:3 desktop canvas) */
+const DEFAULT_WIDTH = 800;
+const DEFAULT_HEIGHT = 600;
+
+/** Safety cap so a stalled run cannot spin forever (~10 simulated minutes per wave) */
+const DEFAULT_MAX_TICKS_PER_WAVE = GameConfig.LOOP.TICK_RATE * 60 * 10;
+
+/**
+ * Decision policy consulted whenever the simulation pauses for a player choice.
+ * @typedef {Object} HeadlessPolicy
+ * @property {(game: Game) => void} spendPoints - Spend skill/attribute points (level-up and between waves)
+ * @property {(game: Game, options: Array<{id: string}>) => string|null} pickAscension - Return the chosen modifier id
+ */
+
+/**
+ * Deterministic default policy: learn the first learnable skill in tree order,
+ * spread attribute points round-robin, take the first ascension offered.
+ * @type {HeadlessPolicy}
+ */
+export const autoPilotPolicy = {
+    spendPoints(game) {
+        const sm = game.skillManager;
+
+        while (sm.unspentSkillPoints > 0) {
+            const next = sm.getAvailableSkills().find(skill => skill.canLearn);
+            if (!next || !game.learnSkill(next.id)) break;
+        }
+
+        const attrKeys = Object.keys(ATTRIBUTES);
+        let allocated = true;
+        while (sm.unspentAttributePoints > 0 && allocated) {
+            allocated = false;
+            for (const key of attrKeys) {
+                if (sm.unspentAttributePoints <= 0) break;
+                if (game.allocateAttribute(key)) allocated = true;
+            }
+        }
+    },
+
+    pickAscension(_game, options) {
+        return options[0]?.id ?? null;
+    },
+};
+
+/**
+ * Minimal canvas stand-in: the simulation only reads the arena dimensions
+ * (and the screen rect when positioning floating text).
+ * @param {number} width
+ * @param {number} height
+ * @returns {Object}
+ */
+function createStubCanvas(width, height) {
+    return {
+        width,
+        height,
+        logicalWidth: width,
+        logicalHeight: height,
+        clientWidth: width,
+        clientHeight: height,
+        style: {},
+        getBoundingClientRect: () => ({ left: 0, top: 0, width, height }),
+    };
+}
+
+/**
+ * Create a headless game and start a run.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.seed] - Run seed (random if omitted; read back from `sim.seed`)
+ * @param {string} [options.difficulty='normal'] - Run difficulty key
+ * @param {string} [options.mode='standard'] - Game mode ('standard' or 'boss_rush')
+ * @param {string} [options.layout='classic'] - Arena layout (config/ArenaConfig.js ARENA_LAYOUTS key)
+ * @param {Object|null} [options.challenge=null] - Daily/weekly challenge rules (see Game.setRunChallenge); its seed and difficulty win
+ * @param {number} [options.width=800] - Logical arena width
+ * @param {number} [options.height=600] - Logical arena height
+ * @param {HeadlessPolicy} [options.policy=autoPilotPolicy] - Decision policy for player choices
+ * @param {Object} [options.adapters] - Optional adapter overrides (e.g. telemetry capture)
+ * @returns {HeadlessGame}
+ */
+export function createHeadlessGame({
+    seed,
+    difficulty = 'normal',
+    mode = 'standard',
+    layout = 'classic',
+    challenge = null,
+    width = DEFAULT_WIDTH,
+    height = DEFAULT_HEIGHT,
+    policy = autoPilotPolicy,
+    adapters = {},
+} = {}) {
+    resetRuntimeAdapters();
+    installRuntimeAdapters(adapters);
+
+    const game = new Game(createStubCanvas(width, height), null, { headless: true });
+    game.init();
+    game.setRunDifficulty(difficulty);
+    game.setRunMode(mode);
+    game.setArenaLayout(layout);
+    game.setRunSeed(Number.isFinite(seed) ? seed : null);
+    game.setRunChallenge(challenge);
+    game.start();
+
+    return new HeadlessGame(game, policy);
+}
+
+/**
+ * Thin driver around a headless {@link Game}: steps fixed ticks and resolves
+ * player-choice pauses through the policy.
+ */
+export class HeadlessGame {
+    /**
+     * @param {Game} game
+     * @param {HeadlessPolicy} policy
+     */
+    constructor(game, policy) {
+        this.game = game;
+        this.policy = policy;
+    }
+
+    /** @returns {number} The run seed */
+    get seed() {
+        return this.game.rng.seed;
+    }
+
+    /** @returns {boolean} True once the run ended in defeat or victory */
+    get isOver() {
+        const state = this.game.gameState;
+        return state === Game.STATES.GAMEOVER || state === Game.STATES.VICTORY;
+    }
+
+    /**
+     * Advance one fixed tick, resolving any choice the tick produced.
+     * @param {Object} [inputFrame] - Input for this tick (empty = auto-aim only)
+     * @returns {number} Current tick
+     */
+    step(inputFrame) {
+        const tick = this.game.step(inputFrame);
+        this._resolveChoices();
+        return tick;
+    }
+
+    /**
+     * Advance up to `count` ticks, stopping early if the run ends.
+     * @param {number} count
+     * @param {Object} [inputFrame]
+     * @returns {number} Current tick
+     */
+    runTicks(count, inputFrame) {
+        for (let i = 0; i < count && !this.isOver; i++) {
+            this.step(inputFrame);
+        }
+        return this.game.tick;
+    }
+
+    /**
+     * Play until `count` more waves are cleared, the run ends, or the tick cap is hit.
+     * @param {number} count
+     * @param {Object} [options]
+     * @param {number} [options.maxTicksPerWave] - Abort a wave that runs longer than this
+     * @returns {{wave: number, score: number, level: number, tick: number, state: string, seed: number}}
+     */
+    runWaves(count, { maxTicksPerWave = DEFAULT_MAX_TICKS_PER_WAVE } = {}) {
+        const targetWave = this.game.wave + count;
+        let waveStartTick = this.game.tick;
+        let currentWave = this.game.wave;
+
+        while (!this.isOver && this.game.wave < targetWave) {
+            this.step();
+            if (this.game.wave !== currentWave) {
+                currentWave = this.game.wave;
+                waveStartTick = this.game.tick;
+            } else if (this.game.tick - waveStartTick > maxTicksPerWave) {
+                break;
+            }
+        }
+
+        return this.getSummary();
+    }
+
+    /**
+     * Snapshot of the run's headline numbers.
+     * @returns {{wave: number, score: number, level: number, tick: number, state: string, seed: number}}
+     */
+    getSummary() {
+        const game = this.game;
+        return {
+            wave: game.wave,
+            score: game.score,
+            level: game.skillManager.level,
+            tick: game.tick,
+            state: game.gameState,
+            seed: this.seed,
+        };
+    }
+
+    /**
+     * Release timers and restore the no-op adapters so the process can exit.
+     */
+    dispose() {
+        this.game.progressionManager.cancelPendingSave();
+        resetRuntimeAdapters();
+    }
+
+    /**
+     * Resolve level-up, between-wave and ascension pauses via the policy.
+     * @private
+     */
+    _resolveChoices() {
+        const game = this.game;
+
+        switch (game.gameState) {
+            case Game.STATES.LEVELUP:
+                this.policy.spendPoints(game);
+                game.completeMidWaveLevelUp();
+                break;
+            case Game.STATES.ASCENSION: {
+                const options = game.ascensionSystem.currentOptions || [];
+                const modId = this.policy.pickAscension(game, options);
+                if (modId) game.selectAscension(modId);
+                // A declined or invalid pick still moves on to skill allocation
+                if (game.gameState === Game.STATES.ASCENSION) game.gameState = Game.STATES.POWERUP;
+                break;
+            }
+            case Game.STATES.POWERUP:
+                this.policy.spendPoints(game);
+                game.continueToNextWave();
+                break;
+        }
+    }
+}
@@ -15,7 +15,18 @@ import { saveStateManager } from './managers/SaveStateManager.js';
 import { audioManager } from './managers/AudioManager.js';
 import { voiceManager } from './managers/VoiceManager.js';
 import { hudManager } from './managers/HUDManager.js';
+import { gamepadManager } from './managers/GamepadManager.js';
+import { keyBindingManager, MOVE_ACTIONS } from './managers/KeyBindingManager.js';
 import { skillUI } from './ui/SkillUIController.js';
+import { replayViewer } from './ui/ReplayViewerController.js';
+import { gamepadNavigator } from './ui/GamepadNavigator.js';
+import { replayLibrary } from './replay/ReplayLibrary.js';
+import { vfxHelper } from './managers/VFXHelper.js';
+import { installRuntimeAdapters } from './managers/RuntimeAdapters.js';
+import { submitScore, requestGameSession } from './services/ScoreSubmitter.js';
+import { persistProgressionToServer } from './services/ProgressionApiService.js';
+import { fetchChallenge, startChallengeAttempt } from './services/ChallengeApiService.js';
+import { loadAchievementsFromServer, unlockAchievementOnServer } from './services/AchievementApiService.js';
 // DevPanel & AdminPanel are dynamically imported only in dev mode (see initGame)
 // This ensures they are tree-shaken from production builds.
 import * as authService from './services/AuthService.js';
@@ -34,6 +45,9 @@ export let game = null;
 /** @type {number} Previous frame timestamp for delta calculation */
 let lastTime = 0;
 
+/** @type {number} Unsimulated real time (ms) carried between frames by the fixed-step loop */
+let stepAccumulator = 0;
+
 /** @type {boolean} Whether to show performance statistics */
 let showPerformanceStats = false;
 
@@ -111,20 +125,34 @@ function setupAudioUnlockHooks() {
 /**
  * Input handling state and configuration
  * @type {Object}
- * @property {number} mouseX - Current mouse X coordinate
- * @property {number} mouseY - Current mouse Y coordinate
- * @property {boolean} mouseDown - Mouse button state
- * @property {Object} keys - Keyboard key states (keyCode -> boolean)
+ * @property {number} mouseX - Current pointer X in logical canvas coordinates
+ * @property {number} mouseY - Current pointer Y in logical canvas coordinates
+ * @property {boolean} mouseDown - Mouse button / touch state (the trigger in manual aim)
+ * @property {boolean} pointerActive - Whether the pointer is over the canvas
+ * @property {number} aimDirection - Quantized aim direction for manual aim, -1 when there is none
+ * @property {number} moveX - Analog movement X from a gamepad stick (±GameConfig.CONTROLS.MOVE_STEPS)
+ * @property {number} moveY - Analog movement Y from a gamepad stick (±GameConfig.CONTROLS.MOVE_STEPS)
+ * @property {Object<string, boolean>} keys - Held movement actions (moveUp/moveDown/moveLeft/moveRight), folded from the key bindings
  * @property {HTMLCanvasElement|null} canvas - Reference to game canvas
  */
 export const input = {
     mouseX: 0,
     mouseY: 0,
     mouseDown: false,
+    pointerActive: false,
+    aimDirection: -1,
+    moveX: 0,
+    moveY: 0,
     keys: {},
     canvas: null
 };
 
+/** @type {Set<string>} Physical keys (KeyboardEvent.code) currently held */
+const heldKeys = new Set();
+
+/** On-screen joystick deflection in ±GameConfig.CONTROLS.MOVE_STEPS (from <hud-touch-controls>) */
+const touchMove = { x: 0, y: 0 };
+
 let lastHoverSfxAt = 0;
 
 function setupGlobalHoverSfxHooks() {
@@ -193,12 +221,20 @@ async function init() {
 
     // Set up responsive canvas with proper scaling
     setupCanvas();
+
+    // Wire the simulation's platform seams to the real browser services
+    installBrowserAdapters();
     
     // Initialize core game instance
     game = new Game(canvas, ctx);
     audioManager.game = game;
     hudManager.game = game;
     skillUI.game = game;
+    replayViewer.adapters = {
+        audio: { playSFX: (name) => audioManager.playSFX(name) },
+        dom: { createCanvas: () => document.createElement('canvas') },
+    };
+    replayViewer.onClose = installBrowserAdapters;
 
     // Developer panel & Admin panel — only loaded in dev builds
     if (import.meta.env.DEV) {
@@ -237,9 +273,15 @@ async function init() {
     if (statsFromQuery && !initialSettings.showPerformanceStats) {
         settingsManager.update({ showPerformanceStats: true });
     }
+    keyBindingManager.setBindings(settingsManager.getKeyBindings());
     applySettings(initialSettings);
     syncStartDifficultyUI();
 
+    // 'auto' reduced motion follows the OS setting, which can change mid-session
+    window.matchMedia?.('(prefers-reduced-motion: reduce)')?.addEventListener?.('change', () => {
+        applySettings(settingsManager.getSettings());
+    });
+
     // Expose state system on window for debugging (only in debug mode)
     if (urlParams.has('debug')) {
         /** @type {any} */ (window).__NEON_STATE__ = {
@@ -281,6 +323,7 @@ async function init() {
             loginScreen.show();
             return;
         }
+        game.setRunMode('standard');
 
         // First-time player: show lore intro before starting
         const progression = game?.progressionManager?.getSnapshot?.();
@@ -294,6 +337,23 @@ async function init() {
 
         startGame();
     });
+    startScreen.addEventListener('start-boss-rush', () => {
+        if (!authService.isAuthenticated()) {
+            loginScreen.setUser(authService.getCurrentUser());
+            loginScreen.show();
+            return;
+        }
+        game.setRunMode('boss_rush');
+        startGame();
+    });
+    startScreen.addEventListener('start-challenge', (e) => {
+        if (!authService.isRegisteredUser()) {
+            loginScreen.setUser(authService.getCurrentUser());
+            loginScreen.show();
+            return;
+        }
+        startChallenge(/** @type {CustomEvent} */ (e).detail.kind);
+    });
     startScreen.addEventListener('continue-game', handleContinue);
     startScreen.addEventListener('buy-credits', handleBuyCredits);
     startScreen.addEventListener('settings-click', openSettingsModal);
@@ -305,11 +365,22 @@ async function init() {
     victoryScreen.addEventListener('return-to-menu', restartFromVictory);
 
     gameHudEl.addEventListener('settings-click', openSettingsModal);
+    gameHudEl.addEventListener('touch-move', (e) => {
+        const { moveX, moveY } = /** @type {CustomEvent} */ (e).detail;
+        touchMove.x = moveX;
+        touchMove.y = moveY;
+    });
+    gameHudEl.addEventListener('touch-cast', (e) => castSkillSlot(/** @type {CustomEvent} */ (e).detail.slot));
+    gameHudEl.addEventListener('touch-pause', () => handleControlAction('pause'));
     settingsModalEl.addEventListener('close-settings', closeSettingsModal);
     settingsModalEl.addEventListener('load-game', () => loadGameFromSave('settings_menu'));
     settingsModalEl.addEventListener('clear-save', clearSavedGame);
     settingsModalEl.addEventListener('reset-settings', resetSettingsToDefaults);
     settingsModalEl.addEventListener('setting-change', handleSettingChange);
+    settingsModalEl.addEventListener('gamepad-rebind', handleGamepadRebind);
+    settingsModalEl.addEventListener('key-rebind', handleKeyRebind);
+    settingsModalEl.addEventListener('key-profile-change', handleKeyProfileChange);
+    settingsModalEl.addEventListener('reset-key-bindings', resetKeyBindings);
     if (import.meta.env.DEV) {
         settingsModalEl.addEventListener('toggle-dev-panel', () => {
             appRuntime.devPanel?.toggle();
@@ -348,6 +419,14 @@ async function init() {
     gameOverScreen.addEventListener('show-leaderboard', showLeaderboard);
     victoryScreen.addEventListener('show-leaderboard', showLeaderboard);
 
+    // Replays — the run that just ended, or one attached to a leaderboard entry
+    const watchLastRun = () => replayViewer.open(game.replayRecorder.getReplay() || replayLibrary.getLast());
+    gameOverScreen.addEventListener('watch-replay', watchLastRun);
+    victoryScreen.addEventListener('watch-replay', watchLastRun);
+    leaderboardScreen.addEventListener('watch-replay', (e) => {
+        replayViewer.open(/** @type {CustomEvent} */ (e).detail.replay);
+    });
+
     gameOverScreen.addEventListener('register-to-save', () => {
         const authOverlay = /** @type {any} */ (loginScreen);
         const currentUser = authService.getCurrentUser();
@@ -480,6 +559,7 @@ async function init() {
     authService.onAuthChange((user) => {
         startScreen.setAuthUser(user);
         hudManager.setAuthUser(user);
+        refreshChallenges();
     });
 
     // Try restoring session from refresh token, then sync save state from server
@@ -491,9 +571,63 @@ async function init() {
     setupMenuScrollSoundHooks();
     syncSaveButtons();
     refreshContinueInfo();
+    refreshChallenges();
     populateLastRunStats();
 }
 
+/**
+ * Install the browser implementations of the simulation's runtime adapters
+ * (audio, voice, DOM VFX, HUD overlays, telemetry and server persistence).
+ * Headless runs skip this and keep the no-op defaults.
+ */
+function installBrowserAdapters() {
+    installRuntimeAdapters({
+        audio: {
+            playSFX: (name) => audioManager.playSFX(name),
+        },
+        voice: {
+            play: (key) => voiceManager.play(key),
+        },
+        vfx: {
+            createFloatingText: vfxHelper.createFloatingText.bind(vfxHelper),
+            screenFlash: vfxHelper.screenFlash.bind(vfxHelper),
+            renderFlash: vfxHelper.renderFlash.bind(vfxHelper),
+        },
+        hud: {
+            showLevelUpPanel: () => skillUI.showLevelUpPanel(),
+            showAscensionPanel: () => skillUI.showAscensionPanel(),
+            closeSkillOverlays: () => skillUI.closeAll(),
+            showAchievementToast: (icon, name) => document.querySelector('achievement-toast')?.showToast(icon, name),
+            hideAchievementToast: () => document.querySelector('achievement-toast')?.hideToast(),
+            getWaveCountdown: () => document.querySelector('wave-countdown'),
+        },
+        dom: {
+            setArenaFog: (active) => document.getElementById('gameContainer')?.classList.toggle('modifier-fog', active),
+            createCanvas: () => document.createElement('canvas'),
+        },
+        haptics: {
+            rumble: (intensity, durationMs) => gamepadManager.rumble(intensity, durationMs),
+        },
+        telemetry: {
+            track: (eventName, data) => telemetry.track(eventName, data),
+        },
+        persistence: {
+            requestGameSession: () => requestGameSession(),
+            submitScore: (params) => {
+                return submitScore(params).then((result) => {
+                    if (result?.entry?.id) replayLibrary.linkEntry(result.entry.id, params.replay);
+                    return result;
+                });
+            },
+            saveSnapshot: (snapshot) => saveStateManager.saveSnapshot(snapshot),
+            saveProgression: (state, schemaVersion) => persistProgressionToServer(state, schemaVersion),
+            achievementUserId: () => (authService.isAuthenticated() ? authService.getCurrentUser()?.id || null : null),
+            loadAchievements: () => loadAchievementsFromServer(),
+            unlockAchievement: (achievementId) => unlockAchievementOnServer(achievementId),
+        },
+    });
+}
+
 /**
  * Set up canvas dimensions and scaling for responsive design
  * Maintains 4:3 aspect ratio while adapting to container size
@@ -578,28 +712,83 @@ function handleResize() {
 function setupInputHandlers() {
     const canvas = input.canvas;
 
-    // Basic mouse events for UI interaction (not for aiming)
+    // Pointer position in logical canvas coordinates (manual and hybrid aim)
+    const trackPointer = (clientX, clientY) => {
+        const rect = canvas.getBoundingClientRect();
+        const { width, height } = getCanvasLogicalSize(canvas);
+        input.mouseX = (clientX - rect.left) * (width / rect.width);
+        input.mouseY = (clientY - rect.top) * (height / rect.height);
+        input.pointerActive = true;
+    };
+    const pressPointer = () => {
+        input.mouseDown = true;
+        if (game?.aimMode === GameConfig.CONTROLS.AIM_MODES.HYBRID && game.gameState === 'playing') {
+            game.lockTargetAt(input.mouseX, input.mouseY);
+        }
+    };
+
+    canvas.addEventListener('mousemove', (e) => {
+        trackPointer(e.clientX, e.clientY);
+    });
+
     canvas.addEventListener('mousedown', (e) => {
         e.preventDefault();
+        if (e.button !== 0) return;
+        trackPointer(e.clientX, e.clientY);
+        pressPointer();
+    });
+
+    document.addEventListener('mouseup', (e) => {
+        if (e.button === 0) input.mouseDown = false;
+    });
+
+    canvas.addEventListener('mouseleave', () => {
+        input.pointerActive = false;
     });
 
     canvas.addEventListener('touchstart', (e) => {
         e.preventDefault();
+        const touch = e.changedTouches[0];
+        trackPointer(touch.clientX, touch.clientY);
+        pressPointer();
     }, { passive: false });
 
-    // Keyboard input handling
+    canvas.addEventListener('touchmove', (e) => {
+        e.preventDefault();
+        const touch = e.changedTouches[0];
+        trackPointer(touch.clientX, touch.clientY);
+    }, { passive: false });
+
+    const releaseTouch = (e) => {
+        // Only fingers on the canvas count — a thumb on the on-screen joystick doesn't hold the trigger
+        if (e.targetTouches.length > 0) return;
+        input.mouseDown = false;
+        input.pointerActive = false;
+    };
+    canvas.addEventListener('touchend', releaseTouch);
+    canvas.addEventListener('touchcancel', releaseTouch);
+
+    // Keyboard input handling — keys are looked up in the player's bindings
     document.addEventListener('keydown', (e) => {
-        input.keys[e.code] = true;
+        // Settings → Key Bindings is waiting for the new key
+        if (keyBindingManager.handleCapture(e.code)) {
+            e.preventDefault();
+            return;
+        }
+
+        heldKeys.add(e.code);
+        syncMovementKeys();
+        const action = keyBindingManager.getAction(e.code);
 
         if (import.meta.env.DEV) {
-            // Toggle admin panel (semicolon key — dev only, password-protected)
-            if (e.code === 'Semicolon') {
+            // Toggle admin panel (semicolon key by default — dev only, password-protected)
+            if (action === 'toggleAdminPanel') {
                 appRuntime.adminPanel?.toggle();
                 return;
             }
 
-            // Toggle developer panel (backtick key, requires ?dev=true)
-            if (e.code === 'Backquote' && appRuntime.devPanel?.enabled) {
+            // Toggle developer panel (backtick key by default, requires ?dev=true)
+            if (action === 'toggleDevPanel' && appRuntime.devPanel?.enabled) {
                 appRuntime.devPanel.toggle();
                 return;
             }
@@ -614,54 +803,11 @@ function setupInputHandlers() {
             }
         }
 
-        // Game pause toggle
-        if (e.code === 'KeyP' && (game && game.gameState === 'playing' || game.gameState === 'paused')) {
-            togglePause();
+        // Pause, settings/back and skill casting
+        if (action) {
+            handleControlAction(action);
         }
 
-        if (e.code === 'Escape') {
-            // Close achievements if visible
-            const achievementsEl = /** @type {any} */ (document.querySelector('achievements-screen'));
-            if (achievementsEl?.isVisible()) {
-                achievementsEl.hide();
-                achievementsEl.dispatchEvent(new CustomEvent('achievements-close', { bubbles: true, composed: true }));
-                return;
-            }
-            // Close leaderboard if visible
-            const lbEl = /** @type {any} */ (document.querySelector('leaderboard-screen'));
-            if (lbEl?.isVisible()) {
-                lbEl.hide();
-                lbEl.dispatchEvent(new CustomEvent('leaderboard-close', { bubbles: true, composed: true }));
-                return;
-            }
-            // Close login screen if visible
-            const loginEl = /** @type {any} */ (document.querySelector('login-screen'));
-            if (loginEl?.isVisible()) {
-                loginEl.hide();
-                loginEl.dispatchEvent(new CustomEvent('login-close', { bubbles: true, composed: true }));
-                return;
-            }
-            const settingsModalEl = /** @type {SettingsModalElement} */ (document.querySelector('settings-modal'));
-            if (settingsModalEl.isVisible()) {
-                closeSettingsModal();
-            } else if (game && (game.gameState === 'playing' || game.gameState === 'paused')) {
-                openSettingsModal();
-            }
-        }
-
-        // QERT skill casting (only when playing)
-        if (game && game.gameState === 'playing') {
-            const slotMap = { KeyQ: 0, KeyE: 1, KeyR: 2, KeyT: 3 };
-            if (e.code in slotMap) {
-                const slotIndex = slotMap[e.code];
-                const slots = game.skillManager.getKeybindSlots();
-                const slot = slots[slotIndex];
-                if (slot?.skillId) {
-                    game.castActiveSkill(slot.skillId);
-                }
-            }
-        }
-        
         // Prevent spacebar and arrow key page scrolling during gameplay
         if (e.code === 'Space' || e.code.startsWith('Arrow')) {
             e.preventDefault();
@@ -669,11 +815,114 @@ function setupInputHandlers() {
     });
 
     document.addEventListener('keyup', (e) => {
-        input.keys[e.code] = false;
+        heldKeys.delete(e.code);
+        syncMovementKeys();
     });
 
     // Disable right-click context menu on canvas
     canvas.addEventListener('contextmenu', (e) => e.preventDefault());
+
+    gamepadManager.onAction(handleControlAction);
+    gamepadManager.start();
+}
+
+/**
+ * Fold the held physical keys into the movement actions the simulation reads.
+ */
+function syncMovementKeys() {
+    for (const action of MOVE_ACTIONS) {
+        input.keys[action] = keyBindingManager.isHeld(action, heldKeys);
+    }
+}
+
+/**
+ * Cast the skill in a HudSkillBar slot (0-2 actives, 3 ultimate). Only while playing.
+ * @param {number} slotIndex
+ */
+function castSkillSlot(slotIndex) {
+    if (!game || game.gameState !== 'playing') return;
+    const slot = game.skillManager.getKeybindSlots()[slotIndex];
+    if (slot?.skillId) {
+        game.castActiveSkill(slot.skillId);
+    }
+}
+
+/**
+ * Escape (openSettings) / gamepad Back: close the top-most closable screen,
+ * or toggle the settings modal during a run.
+ */
+function handleBackAction() {
+    if (replayViewer.isOpen) {
+        replayViewer.close();
+        return;
+    }
+    // Close achievements if visible
+    const achievementsEl = /** @type {any} */ (document.querySelector('achievements-screen'));
+    if (achievementsEl?.isVisible()) {
+        achievementsEl.hide();
+        achievementsEl.dispatchEvent(new CustomEvent('achievements-close', { bubbles: true, composed: true }));
+        return;
+    }
+    // Close leaderboard if visible
+    const lbEl = /** @type {any} */ (document.querySelector('leaderboard-screen'));
+    if (lbEl?.isVisible()) {
+        lbEl.hide();
+        lbEl.dispatchEvent(new CustomEvent('leaderboard-close', { bubbles: true, composed: true }));
+        return;
+    }
+    // Close login screen if visible
+    const loginEl = /** @type {any} */ (document.querySelector('login-screen'));
+    if (loginEl?.isVisible()) {
+        loginEl.hide();
+        loginEl.dispatchEvent(new CustomEvent('login-close', { bubbles: true, composed: true }));
+        return;
+    }
+    const settingsModalEl = /** @type {SettingsModalElement} */ (document.querySelector('settings-modal'));
+    if (settingsModalEl.isVisible()) {
+        if (!settingsModalEl.closeKeyBindingsPage()) closeSettingsModal();
+    } else if (game && (game.gameState === 'playing' || game.gameState === 'paused')) {
+        openSettingsModal();
+    }
+}
+
+/**
+ * Route a keyboard or gamepad action (see GameConfig.CONTROLS.KEYBOARD and
+ * GameConfig.CONTROLS.GAMEPAD). Movement actions are read from input.keys instead.
+ * @param {string} action
+ */
+function handleControlAction(action) {
+    switch (action) {
+        case 'castSlot1':
+        case 'castSlot2':
+        case 'castSlot3':
+        case 'castSlot4':
+            castSkillSlot(Number(action.slice(-1)) - 1);
+            break;
+        case 'pause':
+            if (game && (game.gameState === 'playing' || game.gameState === 'paused')) {
+                togglePause();
+            }
+            break;
+        case 'confirm':
+            gamepadNavigator.activate();
+            break;
+        case 'openSettings':
+        case 'back':
+            handleBackAction();
+            break;
+        case 'navUp':
+            gamepadNavigator.move('up');
+            break;
+        case 'navDown':
+            gamepadNavigator.move('down');
+            break;
+        case 'navLeft':
+            gamepadNavigator.move('left');
+            break;
+        case 'navRight':
+            gamepadNavigator.move('right');
+            break;
+    }
 }
 
 //=============================================================================
@@ -731,6 +980,7 @@ export function startGame() {
 
     const selectedDifficulty = document.querySelector('start-screen').getSelectedDifficulty();
     game.setRunDifficulty(selectedDifficulty);
+    game.setArenaLayout(document.querySelector('start-screen').getSelectedArena());
     syncStartDifficultyUI(selectedDifficulty);
     
     syncMusicTrack({ restart: true });
@@ -746,6 +996,27 @@ export function startGame() {
     animationFrameId = requestAnimationFrame(gameLoop);
 }
 
+/**
+ * Start a daily/weekly challenge run. Registering the attempt first is what
+ * spends it, so the run only starts once the server has accepted it.
+ * @param {'daily'|'weekly'} kind
+ */
+async function startChallenge(kind) {
+    const startScreen = document.querySelector('start-screen');
+    try {
+        const challenge = await fetchChallenge(kind);
+        const { attempt } = await startChallengeAttempt(challenge.id);
+        game.setRunChallenge({ ...challenge, attempt });
+    } catch (err) {
+        startScreen.showChallengeError(err.message || 'Challenge unavailable');
+        return;
+    }
+
+    telemetry.track('challenge_start', { kind });
+    startGame();
+    refreshChallenges();
+}
+
 /**
  * Restart the game after game over
  * Hides game over screen and restarts game loop
@@ -762,6 +1033,11 @@ function restartGame() {
         score: game.score
     });
 
+    // A restart is a normal run, even after a challenge attempt
+    if (game.runChallenge) {
+        game.setRunDifficulty(document.querySelector('start-screen').getSelectedDifficulty());
+        game.setArenaLayout(document.querySelector('start-screen').getSelectedArena());
+    }
     game.restart();
     syncMusicTrack({ restart: true });
     syncStartDifficultyUI(game.getRunDifficulty());
@@ -829,7 +1105,7 @@ function gameLoop(timestamp = 0) {
     
     // Calculate frame delta time for smooth animation
     const rawDelta = timestamp - lastTime;
-    const delta = Math.max(0, Math.min(rawDelta, 100));
+    const delta = Math.max(0, Math.min(rawDelta, GameConfig.LOOP.MAX_FRAME_MS));
     lastTime = timestamp;
     
     // Update performance manager with current game state
@@ -838,11 +1114,26 @@ function gameLoop(timestamp = 0) {
     
     // Only update and render when game is in active states or UI overlays
     if (game.gameState === 'playing' || game.gameState === 'powerup' || game.gameState === 'levelup' || game.gameState === 'ascension') {
-        // Update game logic
-        game.update(delta, input);
+        const touchMoving = touchMove.x !== 0 || touchMove.y !== 0;
+        input.moveX = touchMoving ? touchMove.x : gamepadManager.moveX;
+        input.moveY = touchMoving ? touchMove.y : gamepadManager.moveY;
+
+        // Advance game logic in fixed ticks so outcomes don't depend on frame rate
+        const step = GameConfig.LOOP.FIXED_STEP_MS;
+        stepAccumulator += delta;
+        let steps = 0;
+        while (stepAccumulator >= step && steps < GameConfig.LOOP.MAX_STEPS_PER_FRAME) {
+            // Re-aim every tick: the player moves between ticks even when the pointer doesn't
+            input.aimDirection = input.pointerActive ? game.getAimDirection(input.mouseX, input.mouseY) : -1;
+            game.step(input);
+            stepAccumulator -= step;
+            steps++;
+        }
+        // Too far behind (slow device) — drop the backlog rather than spiral
+        if (stepAccumulator >= step) stepAccumulator = 0;
         
-        // Render current frame
-        game.render();
+        // Render current frame, interpolated between the last two ticks
+        game.render(stepAccumulator / step, delta);
         
         // Update user interface elements
         hudManager.update();
@@ -890,7 +1181,8 @@ function showGameOver() {
     }
 
     goScreen.setRegistrationPrompt?.(!isRegistered);
-    pendingGameOverUnlock = !isRegistered ? { snapshot: game.getSaveSnapshot() } : null;
+    replayLibrary.saveLastRun(game.replayRecorder.getReplay());
+    pendingGameOverUnlock = !isRegistered && game.savesCheckpoints() ? { snapshot: game.getSaveSnapshot() } : null;
 
     goScreen.show();
     syncSaveButtons();
@@ -933,10 +1225,12 @@ function showVictoryScreen() {
         level: game.level,
         kills: game.achievementSystem.killsThisRun || 0,
     });
+    vicScreen.setBossRush(game.isBossRush() ? game.bossRushSystem.splits : null);
 
     const runResult = game._lastRunResult;
     const isNewBest = !!(runResult && (runResult.isNewBestScore || runResult.isNewBestWave));
     vicScreen.setNewRecord(isNewBest);
+    replayLibrary.saveLastRun(game.replayRecorder.getReplay());
 
     vicScreen.show();
 
@@ -1018,10 +1312,30 @@ function applySettings(settings) {
     const settingsModalEl = document.querySelector('settings-modal');
     settingsModalEl?.setKeybindHintsVisible(settings.showKeybindHints);
 
+    const reducedMotion = settings.reducedMotion === 'on'
+        || (settings.reducedMotion === 'auto' && !!window.matchMedia?.('(prefers-reduced-motion: reduce)')?.matches);
+    vfxHelper.setReducedMotion(reducedMotion);
     game?.setRuntimeSettings({
         screenShakeEnabled: settings.screenShakeEnabled,
-        performanceModeEnabled: settings.performanceModeEnabled
+        performanceModeEnabled: settings.performanceModeEnabled,
+        colorPalette: settings.colorPalette,
+        highContrast: settings.highContrast,
+        reducedMotion
     });
+    game?.setAimMode(settings.aimMode);
+    gamepadManager.setBindings(settings.gamepadBindings);
+    gamepadManager.rumbleEnabled = settings.gamepadRumble;
+    syncKeyBindingUI();
+    hudManager.setTouchControls({
+        enabled: settings.touchControls === 'on'
+            || (settings.touchControls === 'auto' && !!window.matchMedia?.('(pointer: coarse)')?.matches),
+        leftHanded: settings.touchLayout === 'left-handed',
+        opacity: settings.touchOpacity / 100,
+        scale: settings.touchSize / 100
+    });
+    if (input.canvas) {
+        input.canvas.style.cursor = settings.aimMode === GameConfig.CONTROLS.AIM_MODES.AUTO ? '' : 'crosshair';
+    }
 
     if (game?.performanceManager) {
         game.performanceManager.forcedPerformanceMode = settings.performanceModeEnabled;
@@ -1036,6 +1350,70 @@ function handleSettingChange(e) {
     applySettings(next);
 }
 
+/**
+ * Wait for the next gamepad button and bind it to the action picked in settings.
+ * @param {CustomEvent} e - detail: { action }
+ */
+function handleGamepadRebind(e) {
+    const { action } = e.detail;
+    gamepadManager.captureNextButton().then((buttonIndex) => {
+        const overrides = gamepadManager.rebind(action, buttonIndex);
+        applySettings(settingsManager.update({ gamepadBindings: overrides }));
+    });
+}
+
+/**
+ * Push the effective key bindings to the HUD skill slots and the settings page.
+ * @param {{ notice?: string, swap?: { code: string, from: string } }} [feedback] - One-off message for the key-binding page
+ */
+function syncKeyBindingUI({ notice = '', swap = null } = {}) {
+    const settingsModalEl = document.querySelector('settings-modal');
+    const labels = ['castSlot1', 'castSlot2', 'castSlot3', 'castSlot4'].map(action => keyBindingManager.getLabel(action));
+    hudManager.setSkillKeyLabels(labels, settingsManager.getValue('showKeybindHints'));
+    settingsModalEl?.updateKeyBindings({
+        profile: settingsManager.getKeyBindingProfile(),
+        bindings: keyBindingManager.getBindings(),
+        conflicts: [...keyBindingManager.getConflicts()],
+        notice,
+        swap
+    });
+}
+
+/**
+ * Wait for the next key and bind it to the action/slot picked in settings.
+ * Esc cancels and Backspace/Delete clears the slot.
+ * @param {CustomEvent} e - detail: { action, slot }
+ */
+function handleKeyRebind(e) {
+    const { action, slot } = e.detail;
+    keyBindingManager.captureNextKey().then((code) => {
+        if (code === 'Escape') {
+            syncKeyBindingUI();
+            return;
+        }
+        const cleared = code === 'Backspace' || code === 'Delete';
+        const { overrides, displaced } = keyBindingManager.rebind(action, slot, cleared ? null : code);
+        settingsManager.updateKeyBindings(overrides);
+        syncMovementKeys();
+        syncKeyBindingUI({ swap: displaced ? { code, from: displaced } : null });
+    });
+}
+
+/** @param {CustomEvent} e - detail: { profile } */
+function handleKeyProfileChange(e) {
+    keyBindingManager.cancelCapture();
+    keyBindingManager.setBindings(settingsManager.setKeyBindingProfile(e.detail.profile));
+    syncMovementKeys();
+    syncKeyBindingUI();
+}
+
+function resetKeyBindings() {
+    keyBindingManager.cancelCapture();
+    keyBindingManager.setBindings(settingsManager.resetKeyBindings());
+    syncMovementKeys();
+    syncKeyBindingUI({ notice: 'Default keys restored for this profile.' });
+}
+
 function openSettingsModal() {
     const settingsModalEl = document.querySelector('settings-modal');
     settingsModalEl.updateUI(settingsManager.getSettings());
@@ -1056,6 +1434,8 @@ function openSettingsModal() {
 
 function closeSettingsModal() {
     document.querySelector('settings-modal').hide();
+    gamepadManager.cancelCapture();
+    keyBindingManager.cancelCapture();
 
     if (settingsModalWasPlaying && game?.gameState === 'paused') {
         game.resume();
@@ -1117,6 +1497,25 @@ async function refreshContinueInfo() {
     }
 }
 
+/**
+ * Refresh the Daily/Weekly Siege buttons on the start screen.
+ * Challenges need a registered account, like the leaderboard.
+ */
+async function refreshChallenges() {
+    const startScreen = document.querySelector('start-screen');
+    if (!startScreen) return;
+    if (!authService.isRegisteredUser()) {
+        startScreen.setChallenges({ daily: null, weekly: null });
+        return;
+    }
+
+    const [daily, weekly] = await Promise.allSettled([fetchChallenge('daily'), fetchChallenge('weekly')]);
+    startScreen.setChallenges({
+        daily: daily.status === 'fulfilled' ? daily.value : null,
+        weekly: weekly.status === 'fulfilled' ? weekly.value : null,
+    });
+}
+
 /**
  * Return whichever screen currently handles continue UX.
  * Prefers game-over when both exist.
@@ -10,6 +10,7 @@
  */
 
 import { GameConfig } from '../config/GameConfig.js';
+import { ARENA_LAYOUTS } from '../config/ArenaConfig.js';
 import { SOUND_EFFECT_MANIFEST } from '../../scripts/sfx-manifest.mjs';
 
 // ── Constants ────────────────────────────────────────────────────────────────
@@ -33,10 +34,17 @@ const MUSIC_TRACKS = {
     music_run_wave_early:           { src: 'assets/audio/music/music_run_wave_early.mp3',           loop: true  },
     music_run_wave_mid:             { src: 'assets/audio/music/music_run_wave_mid.mp3',             loop: true  },
     music_run_wave_late:            { src: 'assets/audio/music/music_run_wave_late.mp3',            loop: true  },
+    music_arena_circle:             { src: 'assets/audio/music/music_arena_circle.mp3',             loop: true  },
+    music_arena_corridor:           { src: 'assets/audio/music/music_arena_corridor.mp3',           loop: true  },
+    music_arena_cross:              { src: 'assets/audio/music/music_arena_cross.mp3',              loop: true  },
+    music_arena_ring:               { src: 'assets/audio/music/music_arena_ring.mp3',               loop: true  },
     music_wave_countdown_stinger:   { src: 'assets/audio/music/music_wave_countdown_stinger.mp3',   loop: false },
     music_shop_between_waves:       { src: 'assets/audio/music/music_shop_between_waves.mp3',       loop: true  },
     music_boss_classic:             { src: 'assets/audio/music/music_boss_classic.mp3',             loop: true  },
     music_boss_shield:              { src: 'assets/audio/music/music_boss_shield.mp3',              loop: true  },
+    music_boss_mirror:              { src: 'assets/audio/music/music_boss_mirror.mp3',              loop: true  },
+    music_boss_swarm_mind:          { src: 'assets/audio/music/music_boss_swarm_mind.mp3',          loop: true  },
+    music_boss_grid_warden:         { src: 'assets/audio/music/music_boss_grid_warden.mp3',         loop: true  },
     music_pause_overlay:            { src: 'assets/audio/music/music_pause_overlay.mp3',            loop: true  },
     music_gameover_defeat:          { src: 'assets/audio/music/music_gameover_defeat.mp3',          loop: false },
     music_restore_resume_stinger:   { src: 'assets/audio/music/music_restore_resume_stinger.mp3',   loop: false },
@@ -64,6 +72,17 @@ function getWaveMusicKey(wave = 1) {
     return 'music_run_wave_early';
 }
 
+/**
+ * Boss music by bossType; bosses without their own track use music_boss_classic,
+ * as does a boss whose track file fails to load.
+ */
+const BOSS_MUSIC_KEYS = {
+    Shield:     'music_boss_shield',
+    Mirror:     'music_boss_mirror',
+    SwarmMind:  'music_boss_swarm_mind',
+    GridWarden: 'music_boss_grid_warden',
+};
+
 // ── AudioManager class ──────────────────────────────────────────────────────
 
 /**
@@ -80,6 +99,8 @@ export class AudioManager {
         this.bgm = null;
         /** @type {string|null} */
         this.currentMusicKey = null;
+        /** @type {Set<string>} Tracks whose file failed to load; they fall back to a stock track */
+        this._missingTracks = new Set();
         /** @type {Record<string, HTMLAudioElement[]>} */
         this.sfx = {};
         /** @type {number} 0-1 */
@@ -107,6 +128,12 @@ export class AudioManager {
         this.bgm.loop = MUSIC_TRACKS.music_menu_main.loop;
         this.bgm.volume = Math.max(0, Math.min(1, this.musicVolume));
         this.currentMusicKey = 'music_menu_main';
+        // A track that is not generated yet (see scripts/music-manifest.mjs) falls back
+        this.bgm.addEventListener('error', () => {
+            if (!this.currentMusicKey || this._missingTracks.has(this.currentMusicKey)) return;
+            this._missingTracks.add(this.currentMusicKey);
+            this.syncMusicTrack();
+        });
 
         this.sfx = {};
         SOUND_EFFECT_MANIFEST.forEach(({ key }) => {
@@ -242,13 +269,23 @@ export class AudioManager {
         if (g.gameState === 'powerup') return 'music_shop_between_waves';
         if (g.gameState === 'playing') {
             if (g.waveManager?.isBossWave) {
-                return g.wave % 20 === 0 ? 'music_boss_shield' : 'music_boss_classic';
+                return this._availableTrack(BOSS_MUSIC_KEYS[g.waveManager.lastBossType]) || 'music_boss_classic';
             }
-            return getWaveMusicKey(g.wave);
+            // Shaped arenas have a theme of their own; the classic arena follows the wave
+            return this._availableTrack(ARENA_LAYOUTS[g.arenaLayout]?.music) || getWaveMusicKey(g.wave);
         }
         return 'music_menu_main';
     }
 
+    /**
+     * @private
+     * @param {string|undefined|null} key
+     * @returns {string|null} The key, unless there is none or its file failed to load
+     */
+    _availableTrack(key) {
+        return key && !this._missingTracks.has(key) ? key : null;
+    }
+
     /** @private */
     _shouldPlayMusicForState() {
         const g = this.game;
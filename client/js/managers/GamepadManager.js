@@ -0,0 +1,256 @@
+/**
+ * @fileoverview Gamepad input via the Gamepad API (standard mapping).
+ *
+ * Polls the first connected pad once per animation frame while one is
+ * plugged in. The left stick becomes analog movement (`moveX`/`moveY`,
+ * snapped to GameConfig.CONTROLS.MOVE_STEPS so replays stay exact); button
+ * presses are translated through the binding map into named actions
+ * (`castSlot1`..`castSlot4`, `pause`, `confirm`, `back`, `navUp`...) and
+ * handed to the listener registered with onAction(). D-pad directions
+ * repeat while held so menus can be scrolled.
+ *
+ * Usage:
+ *   import { gamepadManager } from './managers/GamepadManager.js';
+ *   gamepadManager.onAction((action) => { ... });
+ *   gamepadManager.start();
+ *   input.moveX = gamepadManager.moveX;
+ */
+
+import { GameConfig } from '../config/GameConfig.js';
+
+const GAMEPAD_CONFIG = GameConfig.CONTROLS.GAMEPAD;
+
+/** Actions that repeat while their button is held */
+const REPEATING_ACTIONS = new Set(['navUp', 'navDown', 'navLeft', 'navRight']);
+
+/**
+ * Apply a radial deadzone and rescale the remaining range to 0-1.
+ * @param {number} x
+ * @param {number} y
+ * @returns {{x: number, y: number}}
+ */
+function applyDeadzone(x, y) {
+    const magnitude = Math.sqrt(x * x + y * y);
+    if (magnitude < GAMEPAD_CONFIG.DEADZONE) return { x: 0, y: 0 };
+    const scaled = Math.min(1, (magnitude - GAMEPAD_CONFIG.DEADZONE) / (1 - GAMEPAD_CONFIG.DEADZONE));
+    return { x: (x / magnitude) * scaled, y: (y / magnitude) * scaled };
+}
+
+export class GamepadManager {
+    constructor() {
+        /** @type {number} Quantized analog movement, -MOVE_STEPS..MOVE_STEPS */
+        this.moveX = 0;
+        this.moveY = 0;
+        /** @type {boolean} Whether rumble is allowed (settings toggle) */
+        this.rumbleEnabled = true;
+
+        /** @type {Object<string, number>} Action → button index */
+        this._bindings = { ...GAMEPAD_CONFIG.DEFAULT_BINDINGS };
+        /** @type {((action: string) => void)|null} */
+        this._actionHandler = null;
+        /** @type {((buttonIndex: number) => void)|null} Pending captureNextButton() resolver */
+        this._captureResolver = null;
+        /** @type {boolean[]} Button pressed state from the previous poll */
+        this._pressed = [];
+        /** @type {Map<string, number>} Repeating action → timestamp of its next repeat */
+        this._repeatAt = new Map();
+        /** @type {number|null} Index of the pad being read */
+        this._padIndex = null;
+        this._frameId = null;
+        this._started = false;
+    }
+
+    /**
+     * Listen for pads being connected. Safe to call more than once.
+     */
+    start() {
+        if (this._started || typeof window === 'undefined' || !navigator.getGamepads) return;
+        this._started = true;
+
+        window.addEventListener('gamepadconnected', (e) => {
+            if (this._padIndex === null) this._padIndex = e.gamepad.index;
+            this._startPolling();
+        });
+        window.addEventListener('gamepaddisconnected', (e) => {
+            if (e.gamepad.index !== this._padIndex) return;
+            this._padIndex = this._findConnectedPad();
+            if (this._padIndex === null) this._stopPolling();
+        });
+
+        // A pad may already be connected (e.g. after a page reload)
+        this._padIndex = this._findConnectedPad();
+        if (this._padIndex !== null) this._startPolling();
+    }
+
+    /**
+     * @param {(action: string) => void} handler - Called once per action press (and per repeat)
+     */
+    onAction(handler) {
+        this._actionHandler = handler;
+    }
+
+    /**
+     * Replace the binding overrides (merged over the defaults).
+     * @param {Object<string, number>} [overrides]
+     */
+    setBindings(overrides = {}) {
+        this._bindings = { ...GAMEPAD_CONFIG.DEFAULT_BINDINGS };
+        for (const [action, buttonIndex] of Object.entries(overrides || {})) {
+            if (action in this._bindings && Number.isInteger(buttonIndex) && buttonIndex >= 0) {
+                this._bindings[action] = buttonIndex;
+            }
+        }
+    }
+
+    /** @returns {Object<string, number>} Effective action → button index map */
+    getBindings() {
+        return { ...this._bindings };
+    }
+
+    /**
+     * Bind an action to a button. A remappable action already on that button
+     * takes over the old button, so no two remappable actions ever share one.
+     * @param {string} action
+     * @param {number} buttonIndex
+     * @returns {Object<string, number>} Overrides to persist (differences from the defaults)
+     */
+    rebind(action, buttonIndex) {
+        const previous = this._bindings[action];
+        for (const other of GAMEPAD_CONFIG.REMAPPABLE_ACTIONS) {
+            if (other !== action && this._bindings[other] === buttonIndex) {
+                this._bindings[other] = previous;
+            }
+        }
+        this._bindings[action] = buttonIndex;
+
+        /** @type {Object<string, number>} */
+        const overrides = {};
+        for (const [key, value] of Object.entries(this._bindings)) {
+            if (GAMEPAD_CONFIG.DEFAULT_BINDINGS[key] !== value) overrides[key] = value;
+        }
+        return overrides;
+    }
+
+    /**
+     * Resolve with the next button pressed instead of dispatching its action.
+     * @returns {Promise<number>} Button index
+     */
+    captureNextButton() {
+        return new Promise((resolve) => {
+            this._captureResolver = resolve;
+        });
+    }
+
+    cancelCapture() {
+        this._captureResolver = null;
+    }
+
+    /**
+     * Vibrate the active pad, where the browser supports it.
+     * @param {number} intensity - 0-1
+     * @param {number} durationMs
+     */
+    rumble(intensity, durationMs) {
+        if (!this.rumbleEnabled || this._padIndex === null) return;
+        const pad = navigator.getGamepads()[this._padIndex];
+        const actuator = /** @type {any} */ (pad)?.vibrationActuator;
+        if (!actuator?.playEffect) return;
+        actuator.playEffect('dual-rumble', {
+            duration: durationMs,
+            strongMagnitude: intensity,
+            weakMagnitude: intensity * 0.6,
+        }).catch(() => {});
+    }
+
+    // ── Polling ─────────────────────────────────────────────────────────────
+
+    /** @private */
+    _startPolling() {
+        if (this._frameId !== null) return;
+        const loop = (timestamp) => {
+            this._poll(timestamp);
+            this._frameId = requestAnimationFrame(loop);
+        };
+        this._frameId = requestAnimationFrame(loop);
+    }
+
+    /** @private */
+    _stopPolling() {
+        if (this._frameId !== null) cancelAnimationFrame(this._frameId);
+        this._frameId = null;
+        this.moveX = 0;
+        this.moveY = 0;
+        this._pressed = [];
+        this._repeatAt.clear();
+    }
+
+    /**
+     * @private
+     * @returns {number|null}
+     */
+    _findConnectedPad() {
+        for (const pad of navigator.getGamepads()) {
+            if (pad?.connected) return pad.index;
+        }
+        return null;
+    }
+
+    /**
+     * Read the pad once: update analog movement and dispatch button actions.
+     * @private
+     * @param {number} now - rAF timestamp
+     */
+    _poll(now) {
+        const pad = this._padIndex !== null ? navigator.getGamepads()[this._padIndex] : null;
+        if (!pad) return;
+
+        const steps = GameConfig.CONTROLS.MOVE_STEPS;
+        const stick = applyDeadzone(pad.axes[0] || 0, pad.axes[1] || 0);
+        this.moveX = Math.round(stick.x * steps);
+        this.moveY = Math.round(stick.y * steps);
+
+        for (let i = 0; i < pad.buttons.length; i++) {
+            const down = pad.buttons[i].pressed;
+            const wasDown = this._pressed[i] || false;
+            this._pressed[i] = down;
+
+            if (down && !wasDown) {
+                if (this._captureResolver) {
+                    const resolve = this._captureResolver;
+                    this._captureResolver = null;
+                    resolve(i);
+                    continue;
+                }
+                this._dispatchButton(i, now, true);
+            } else if (down) {
+                this._dispatchButton(i, now, false);
+            }
+        }
+    }
+
+    /**
+     * Fire the actions bound to a button. Held buttons only re-fire
+     * repeating actions, once their repeat timer is due.
+     * @private
+     * @param {number} buttonIndex
+     * @param {number} now
+     * @param {boolean} justPressed
+     */
+    _dispatchButton(buttonIndex, now, justPressed) {
+        for (const [action, boundIndex] of Object.entries(this._bindings)) {
+            if (boundIndex !== buttonIndex) continue;
+
+            if (justPressed) {
+                if (REPEATING_ACTIONS.has(action)) {
+                    this._repeatAt.set(action, now + GAMEPAD_CONFIG.NAV_REPEAT_DELAY);
+                }
+                this._actionHandler?.(action);
+            } else if (REPEATING_ACTIONS.has(action) && now >= (this._repeatAt.get(action) ?? Infinity)) {
+                this._repeatAt.set(action, now + GAMEPAD_CONFIG.NAV_REPEAT_INTERVAL);
+                this._actionHandler?.(action);
+            }
+        }
+    }
+}
+
+export const gamepadManager = new GamepadManager();
@@ -80,6 +80,17 @@ class HUDManager {
         /** @type {HTMLElement[]} */ this._skillNames = [];
         /** @type {HTMLElement[]} */ this._skillCds = [];
         /** @type {(HTMLElement|null)[]} */ this._skillSlots = [];
+        /** @type {HTMLElement[]} */ this._skillKeys = [];
+        /** @type {string[]} Key cap text per skill slot (the player's key bindings) */ this._skillKeyLabels = ['Q', 'E', 'R', 'T'];
+        /** @type {boolean} */ this._skillKeysVisible = true;
+
+        // Touch controls — buttons mirror the skill slots
+        /** @type {HudTouchControlsElement|null} */ this._touchControls = null;
+        /** @type {{ enabled: boolean, leftHanded: boolean, opacity: number, scale: number }|null} */ this._touchConfig = null;
+        /** @type {boolean} */ this._touchActive = false;
+        /** @type {HTMLElement[]} */ this._touchSkillBtns = [];
+        /** @type {HTMLElement[]} */ this._touchSkillIcons = [];
+        /** @type {HTMLElement[]} */ this._touchSkillCds = [];
         /** @type {HTMLElement[]} */ this._passiveNames = [];
         /** @type {(HTMLElement|null)[]} */ this._passiveSlots = [];
         /** @type {HTMLElement} */ this._passiveSlotsContainer = NOOP_EL;
@@ -157,6 +168,7 @@ class HUDManager {
         this._skillNames = [];
         this._skillCds = [];
         this._skillSlots = [];
+        this._skillKeys = [];
         for (let i = 0; i < 4; i++) {
             const nameEl = $(`skillName${i}`, skillRoot);
             this._skillNames.push(nameEl);
@@ -164,6 +176,7 @@ class HUDManager {
             const slotMatch = nameEl !== NOOP_EL ? nameEl.closest('.skill-slot') : null;
             const slotEl = slotMatch instanceof HTMLElement ? slotMatch : null;
             this._skillSlots.push(slotEl);
+            this._skillKeys.push(/** @type {HTMLElement|null} */ (slotEl?.querySelector('.skill-key')) || NOOP_EL);
             if (slotEl) {
                 slotEl.addEventListener('click', () => {
                     if (!this.game || this.game.gameState !== 'playing') return;
@@ -174,6 +187,19 @@ class HUDManager {
             }
         }
 
+        // Touch controls — inside <hud-touch-controls>
+        this._touchControls = root.querySelector('hud-touch-controls');
+        const touchRoot = sub('hud-touch-controls');
+        this._touchSkillBtns = [];
+        this._touchSkillIcons = [];
+        this._touchSkillCds = [];
+        for (let i = 0; i < 4; i++) {
+            this._touchSkillBtns.push($(`touchSkill${i}`, touchRoot));
+            this._touchSkillIcons.push($(`touchSkillIcon${i}`, touchRoot));
+            this._touchSkillCds.push($(`touchSkillCd${i}`, touchRoot));
+        }
+        if (this._touchConfig) this._touchControls?.configure(this._touchConfig);
+
         // Passive slots — inside <hud-passive-slots>
         this._passiveSlotsContainer = $('passiveSlots', sub('hud-passive-slots'));
         this._lootBuffSlotsContainer = $('lootBuffSlots', sub('hud-passive-slots'));
@@ -198,6 +224,7 @@ class HUDManager {
         this._hpsValue = $('hpsValue', statsRoot);
 
         this._cached = true;
+        this._applySkillKeyLabels();
     }
 
     // ------------------------------------------------------------------
@@ -286,10 +313,18 @@ class HUDManager {
             }
         }
 
+        // Touch controls only take input while a run is being played
+        const touchActive = g.gameState === 'playing';
+        if (touchActive !== this._touchActive) {
+            this._touchActive = touchActive;
+            this._touchControls?.setActive(touchActive);
+        }
+
         // QERT skill slots
         if (g.skillManager) {
             const slots = g.skillManager.getKeybindSlots();
             for (let i = 0; i < 4; i++) {
+                this._syncTouchSkill(g, i, slots[i]);
                 const nameEl = this._skillNames[i];
                 const cdEl = this._skillCds[i];
                 const slotEl = this._skillSlots[i];
@@ -494,6 +529,62 @@ class HUDManager {
         this._perfContainer.style.display = visible ? 'flex' : 'none';
     }
 
+    // ------------------------------------------------------------------
+    // Touch controls
+    // ------------------------------------------------------------------
+    /**
+     * @param {{ enabled: boolean, leftHanded: boolean, opacity: number, scale: number }} config
+     */
+    setTouchControls(config) {
+        this._touchConfig = config;
+        this._touchControls?.configure(config);
+        if (config.enabled && this._touchActive) this._touchControls?.setActive(true);
+    }
+
+    /**
+     * Mirror one skill slot on its touch button: icon and cooldown sweep.
+     * @private
+     * @param {import('../Game.js').Game} g
+     * @param {number} i - Slot index
+     * @param {{skillId: string|null, skill: Object|null}|undefined} slot
+     */
+    _syncTouchSkill(g, i, slot) {
+        const btn = this._touchSkillBtns[i];
+        if (!btn || btn === NOOP_EL || !this._touchActive) return;
+
+        const skillId = slot?.skill ? slot.skillId : '';
+        if (btn.dataset.skillId !== skillId) {
+            btn.dataset.skillId = skillId;
+            this._touchSkillIcons[i].innerHTML = skillId ? skillIconHtml(slot.skill, 36) : (i === 3 ? '🔒' : '—');
+            btn.classList.toggle('empty', !skillId);
+        }
+
+        const cd = skillId ? g.skillManager.cooldowns[skillId] : 0;
+        const ratio = cd > 0 ? cd / g.skillManager.getCooldownInfo(skillId).total : 0;
+        this._touchSkillCds[i].style.setProperty('--cd', ratio.toFixed(3));
+    }
+
+    // ------------------------------------------------------------------
+    // Skill slot key caps (Settings → Key Bindings / Keybind Hints)
+    // ------------------------------------------------------------------
+    /**
+     * @param {string[]} labels - Key label for each of the four skill slots
+     * @param {boolean} visible - Whether the key caps are shown at all
+     */
+    setSkillKeyLabels(labels, visible) {
+        this._skillKeyLabels = labels;
+        this._skillKeysVisible = visible;
+        if (this._cached) this._applySkillKeyLabels();
+    }
+
+    /** @private */
+    _applySkillKeyLabels() {
+        this._skillKeys.forEach((keyEl, i) => {
+            keyEl.textContent = this._skillKeyLabels[i] || '';
+            keyEl.style.display = this._skillKeysVisible && this._skillKeyLabels[i] ? '' : 'none';
+        });
+    }
+
     /** @param {{ display_name?: string, auth_provider?: string }|null} user */
     setAuthUser(user) {
         this._authUser = user || null;
@@ -0,0 +1,238 @@
+/**
+ * @fileoverview Keyboard action map.
+ *
+ * Translates physical keys (KeyboardEvent.code) into named actions
+ * (`moveUp`..`moveRight`, `castSlot1`..`castSlot4`, `pause`, `openSettings`
+ * and the dev panel toggles). Every action has a primary and an alternate
+ * key; the defaults live in GameConfig.CONTROLS.KEYBOARD and player changes
+ * are stored as overrides by SettingsManager, one set per profile.
+ *
+ * The simulation never sees physical keys: main.js folds the held movement
+ * keys into `input.keys.moveUp` etc., so replays and the headless runner
+ * are unaffected by anyone's bindings.
+ *
+ * Usage:
+ *   import { keyBindingManager } from './managers/KeyBindingManager.js';
+ *   keyBindingManager.setBindings(settingsManager.getKeyBindings());
+ *   const action = keyBindingManager.getAction(e.code);
+ */
+
+import { GameConfig } from '../config/GameConfig.js';
+
+const KEYBOARD_CONFIG = GameConfig.CONTROLS.KEYBOARD;
+
+/** Actions folded into the simulation's input frame */
+export const MOVE_ACTIONS = ['moveUp', 'moveDown', 'moveLeft', 'moveRight'];
+
+/** Short labels for codes whose name doesn't read well on a key cap */
+const KEY_LABELS = {
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    Escape: 'Esc',
+    Space: 'Space',
+    Backquote: '`',
+    Semicolon: ';',
+    Quote: "'",
+    Comma: ',',
+    Period: '.',
+    Slash: '/',
+    Backslash: '\\',
+    Minus: '-',
+    Equal: '=',
+    BracketLeft: '[',
+    BracketRight: ']',
+    ShiftLeft: 'L-Shift',
+    ShiftRight: 'R-Shift',
+    ControlLeft: 'L-Ctrl',
+    ControlRight: 'R-Ctrl',
+    AltLeft: 'L-Alt',
+    AltRight: 'R-Alt',
+    CapsLock: 'Caps',
+};
+
+/**
+ * Human-readable label for a key code ('KeyQ' → 'Q', 'Digit1' → '1').
+ * @param {string|null} code
+ * @returns {string} Empty string for an unbound key
+ */
+export function formatKeyCode(code) {
+    if (!code) return '';
+    if (KEY_LABELS[code]) return KEY_LABELS[code];
+    if (code.startsWith('Key')) return code.slice(3);
+    if (code.startsWith('Digit')) return code.slice(5);
+    if (code.startsWith('Numpad')) return `Num ${code.slice(6)}`;
+    return code;
+}
+
+/**
+ * Copy of the default bindings with fresh key arrays.
+ * @returns {Object<string, (string|null)[]>}
+ */
+function cloneDefaults() {
+    /** @type {Object<string, (string|null)[]>} */
+    const bindings = {};
+    for (const [action, keys] of Object.entries(KEYBOARD_CONFIG.DEFAULT_BINDINGS)) {
+        bindings[action] = [...keys];
+    }
+    return bindings;
+}
+
+export class KeyBindingManager {
+    constructor() {
+        /** @type {Object<string, (string|null)[]>} Action → [primary, alternate] key codes */
+        this._bindings = cloneDefaults();
+        /** @type {Map<string, string>} Key code → action (first action wins on a conflict) */
+        this._actionByCode = new Map();
+        /** @type {((code: string) => void)|null} Pending captureNextKey() resolver */
+        this._captureResolver = null;
+        this._rebuildLookup();
+    }
+
+    /**
+     * Replace the binding overrides (merged over the defaults).
+     * @param {Object<string, (string|null)[]>} [overrides]
+     */
+    setBindings(overrides = {}) {
+        this._bindings = cloneDefaults();
+        for (const [action, keys] of Object.entries(overrides || {})) {
+            if (!(action in this._bindings) || !Array.isArray(keys)) continue;
+            this._bindings[action] = [0, 1].map(slot => (typeof keys[slot] === 'string' ? keys[slot] : null));
+        }
+        this._rebuildLookup();
+    }
+
+    /** @returns {Object<string, (string|null)[]>} Effective action → key codes map */
+    getBindings() {
+        /** @type {Object<string, (string|null)[]>} */
+        const bindings = {};
+        for (const [action, keys] of Object.entries(this._bindings)) {
+            bindings[action] = [...keys];
+        }
+        return bindings;
+    }
+
+    /**
+     * @param {string} code - KeyboardEvent.code
+     * @returns {string|null} Action bound to the key
+     */
+    getAction(code) {
+        return this._actionByCode.get(code) || null;
+    }
+
+    /**
+     * @param {string} action
+     * @param {Set<string>} heldCodes - Physical keys currently down
+     * @returns {boolean} Whether either of the action's keys is held
+     */
+    isHeld(action, heldCodes) {
+        const keys = this._bindings[action];
+        return !!keys && keys.some(code => code !== null && heldCodes.has(code));
+    }
+
+    /**
+     * Key cap text for an action, e.g. 'Q' or 'W / ↑'.
+     * @param {string} action
+     * @returns {string}
+     */
+    getLabel(action) {
+        return (this._bindings[action] || []).filter(Boolean).map(formatKeyCode).join(' / ');
+    }
+
+    /**
+     * Key codes bound to more than one action. Rebinding through rebind()
+     * never creates these, but hand-edited or older storage can.
+     * @returns {Set<string>}
+     */
+    getConflicts() {
+        const seen = new Set();
+        const conflicts = new Set();
+        for (const keys of Object.values(this._bindings)) {
+            for (const code of keys) {
+                if (code === null) continue;
+                if (seen.has(code)) conflicts.add(code);
+                seen.add(code);
+            }
+        }
+        return conflicts;
+    }
+
+    /**
+     * Bind a key to one of an action's slots. An action already using that
+     * key takes over the key this slot had, so bindings stay conflict-free.
+     * @param {string} action
+     * @param {number} slot - 0 primary, 1 alternate
+     * @param {string|null} code - null clears the slot
+     * @returns {{overrides: Object<string, (string|null)[]>, displaced: string|null}}
+     *   Overrides to persist and the action that had the key, if any
+     */
+    rebind(action, slot, code) {
+        const keys = this._bindings[action];
+        if (!keys) return { overrides: this.getOverrides(), displaced: null };
+
+        const previous = keys[slot];
+        let displaced = null;
+        if (code !== null) {
+            for (const [other, otherKeys] of Object.entries(this._bindings)) {
+                const index = otherKeys.indexOf(code);
+                if (index === -1 || (other === action && index === slot)) continue;
+                otherKeys[index] = previous;
+                if (other !== action) displaced = other;
+            }
+        }
+        keys[slot] = code;
+        this._rebuildLookup();
+        return { overrides: this.getOverrides(), displaced };
+    }
+
+    /** @returns {Object<string, (string|null)[]>} Differences from the defaults */
+    getOverrides() {
+        /** @type {Object<string, (string|null)[]>} */
+        const overrides = {};
+        for (const [action, keys] of Object.entries(this._bindings)) {
+            const defaults = KEYBOARD_CONFIG.DEFAULT_BINDINGS[action];
+            if (keys[0] !== defaults[0] || keys[1] !== defaults[1]) overrides[action] = [...keys];
+        }
+        return overrides;
+    }
+
+    /**
+     * Resolve with the next key pressed instead of dispatching its action.
+     * main.js feeds keydown events through handleCapture() while this is pending.
+     * @returns {Promise<string>} KeyboardEvent.code
+     */
+    captureNextKey() {
+        return new Promise((resolve) => {
+            this._captureResolver = resolve;
+        });
+    }
+
+    cancelCapture() {
+        this._captureResolver = null;
+    }
+
+    /**
+     * @param {string} code - KeyboardEvent.code of a keydown
+     * @returns {boolean} Whether the key was consumed by a pending capture
+     */
+    handleCapture(code) {
+        if (!this._captureResolver) return false;
+        const resolve = this._captureResolver;
+        this._captureResolver = null;
+        resolve(code);
+        return true;
+    }
+
+    /** @private */
+    _rebuildLookup() {
+        this._actionByCode.clear();
+        for (const [action, keys] of Object.entries(this._bindings)) {
+            for (const code of keys) {
+                if (code !== null && !this._actionByCode.has(code)) this._actionByCode.set(code, action);
+            }
+        }
+    }
+}
+
+export const keyBindingManager = new KeyBindingManager();
@@ -1,8 +1,6 @@
 import { GameConfig } from '../config/GameConfig.js';
-import {
-    loadProgressionFromServer,
-    persistProgressionToServer,
-} from '../services/ProgressionApiService.js';
+import { loadProgressionFromServer } from '../services/ProgressionApiService.js';
+import { persistence } from './RuntimeAdapters.js';
 
 const PROGRESSION_SCHEMA_VERSION = 1;
 /** Debounce delay in ms — prevents a server write on every single wave */
@@ -174,11 +172,19 @@ export class ProgressionManager {
         if (this._saveTimer !== null) clearTimeout(this._saveTimer);
         this._saveTimer = setTimeout(() => {
             this._saveTimer = null;
-            persistProgressionToServer(this.state, PROGRESSION_SCHEMA_VERSION)
+            Promise.resolve(persistence.saveProgression(this.state, PROGRESSION_SCHEMA_VERSION))
                 .catch(err => console.warn('[ProgressionManager] Server save failed:', err.message));
         }, SAVE_DEBOUNCE_MS);
     }
 
+    /**
+     * Drop a pending debounced write (headless teardown).
+     */
+    cancelPendingSave() {
+        if (this._saveTimer !== null) clearTimeout(this._saveTimer);
+        this._saveTimer = null;
+    }
+
     _createDefaultState() {
         const defaultCurrencies = {};
         for (const key of Object.keys(GameConfig.META.CURRENCIES)) {
@@ -0,0 +1,172 @@
+/**
+ * @fileoverview Runtime adapters — the seam between the simulation core and
+ * browser-only side effects.
+ *
+ * Gameplay code (Game, systems, entities, skill plugins) must run in plain
+ * Node for headless balance runs and server-side replay checks, so it never
+ * imports main.js, the DOM or Web Audio directly. Instead it calls the
+ * late-bound facades exported here (`playSFX`, `vfx`, `voice`, `hud`, `dom`,
+ * `haptics`, `telemetryAdapter`, `persistence`). Every adapter defaults to a no-op;
+ * main.js installs the real browser implementations at boot.
+ *
+ * Usage:
+ *   import { playSFX, vfx } from '../managers/RuntimeAdapters.js';
+ *   playSFX('impact_enemy_hit');
+ *   vfx.createFloatingText('-25', screenX, screenY, 'damage');
+ *
+ *   // main.js
+ *   installRuntimeAdapters({ audio: { playSFX: (name) => audioManager.playSFX(name) } });
+ */
+
+const noop = () => {};
+
+/**
+ * Build a fresh set of no-op adapters (what a headless run uses).
+ * @returns {RuntimeAdapterSet}
+ */
+export function createNoopAdapters() {
+    return {
+        audio: {
+            playSFX: noop,
+        },
+        voice: {
+            play: noop,
+        },
+        vfx: {
+            createFloatingText: noop,
+            screenFlash: noop,
+            renderFlash: noop,
+        },
+        hud: {
+            showLevelUpPanel: noop,
+            showAscensionPanel: noop,
+            closeSkillOverlays: noop,
+            showAchievementToast: noop,
+            hideAchievementToast: noop,
+            /** @returns {any|null} The <wave-countdown> element, or null to start waves immediately */
+            getWaveCountdown: () => null,
+        },
+        dom: {
+            setArenaFog: noop,
+            /** @returns {HTMLCanvasElement|null} Offscreen canvas, or null when rendering is unavailable */
+            createCanvas: () => null,
+        },
+        haptics: {
+            rumble: noop,
+        },
+        telemetry: {
+            track: noop,
+        },
+        persistence: {
+            requestGameSession: noop,
+            submitScore: noop,
+            saveSnapshot: noop,
+            saveProgression: () => Promise.resolve(),
+            /** @returns {string|null} Signed-in user whose achievements sync to the server */
+            achievementUserId: () => null,
+            loadAchievements: () => Promise.resolve({ achievements: [] }),
+            unlockAchievement: () => Promise.resolve(),
+        },
+    };
+}
+
+/**
+ * @typedef {Object} RuntimeAdapterSet
+ * @property {{playSFX: (name: string) => void}} audio
+ * @property {{play: (key: string) => void}} voice
+ * @property {{createFloatingText: Function, screenFlash: Function, renderFlash: Function}} vfx
+ * @property {{showLevelUpPanel: Function, showAscensionPanel: Function, closeSkillOverlays: Function, showAchievementToast: Function, hideAchievementToast: Function, getWaveCountdown: () => any}} hud
+ * @property {{setArenaFog: (active: boolean) => void, createCanvas: () => HTMLCanvasElement|null}} dom
+ * @property {{rumble: (intensity: number, durationMs: number) => void}} haptics
+ * @property {{track: (eventName: string, data?: Object) => void}} telemetry
+ * @property {{requestGameSession: Function, submitScore: Function, saveSnapshot: Function, saveProgression: (state: Object, schemaVersion: number) => Promise<any>, achievementUserId: () => string|null, loadAchievements: () => Promise<any>, unlockAchievement: (achievementId: string) => Promise<any>}} persistence
+ */
+
+/** @type {RuntimeAdapterSet} Currently installed adapters */
+const adapters = createNoopAdapters();
+
+/**
+ * Install (or partially override) adapter implementations. Groups are
+ * merged, so callers only need to supply the methods they implement.
+ * @param {Partial<{[K in keyof RuntimeAdapterSet]: Partial<RuntimeAdapterSet[K]>}>} overrides
+ */
+export function installRuntimeAdapters(overrides = {}) {
+    for (const [group, impl] of Object.entries(overrides)) {
+        if (!adapters[group]) {
+            console.warn(`[RuntimeAdapters] Unknown adapter group: ${group}`);
+            continue;
+        }
+        Object.assign(adapters[group], impl);
+    }
+}
+
+/**
+ * Restore every adapter to its no-op default.
+ */
+export function resetRuntimeAdapters() {
+    const defaults = createNoopAdapters();
+    for (const group of Object.keys(defaults)) {
+        adapters[group] = defaults[group];
+    }
+}
+
+// ─── FACADES ─────────────────────────────────────────────────────────────────
+// Stable function references that resolve the installed adapter at call time,
+// so modules may safely bind them at import.
+
+/**
+ * Play a sound effect by name.
+ * @param {string} soundName
+ */
+export function playSFX(soundName) {
+    adapters.audio.playSFX(soundName);
+}
+
+export const voice = {
+    /** @param {string} key */
+    play: (key) => adapters.voice.play(key),
+};
+
+export const vfx = {
+    createFloatingText: (text, x, y, className) => adapters.vfx.createFloatingText(text, x, y, className),
+    screenFlash: () => adapters.vfx.screenFlash(),
+    renderFlash: (ctx, width, height, delta) => adapters.vfx.renderFlash(ctx, width, height, delta),
+};
+
+export const hud = {
+    showLevelUpPanel: () => adapters.hud.showLevelUpPanel(),
+    showAscensionPanel: () => adapters.hud.showAscensionPanel(),
+    closeSkillOverlays: () => adapters.hud.closeSkillOverlays(),
+    showAchievementToast: (icon, name) => adapters.hud.showAchievementToast(icon, name),
+    hideAchievementToast: () => adapters.hud.hideAchievementToast(),
+    getWaveCountdown: () => adapters.hud.getWaveCountdown(),
+};
+
+export const dom = {
+    /** @param {boolean} active */
+    setArenaFog: (active) => adapters.dom.setArenaFog(active),
+    createCanvas: () => adapters.dom.createCanvas(),
+};
+
+export const haptics = {
+    /**
+     * Vibrate the active gamepad, where supported.
+     * @param {number} intensity - 0-1
+     * @param {number} durationMs
+     */
+    rumble: (intensity, durationMs) => adapters.haptics.rumble(intensity, durationMs),
+};
+
+export const telemetryAdapter = {
+    track: (eventName, data) => adapters.telemetry.track(eventName, data),
+};
+
+export const persistence = {
+    requestGameSession: () => adapters.persistence.requestGameSession(),
+    submitScore: (params) => adapters.persistence.submitScore(params),
+    saveSnapshot: (snapshot) => adapters.persistence.saveSnapshot(snapshot),
+    saveProgression: (state, schemaVersion) => adapters.persistence.saveProgression(state, schemaVersion),
+    achievementUserId: () => adapters.persistence.achievementUserId(),
+    loadAchievements: () => adapters.persistence.loadAchievements(),
+    unlockAchievement: (achievementId) => adapters.persistence.unlockAchievement(achievementId),
+};
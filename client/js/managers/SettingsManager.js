@@ -1,6 +1,10 @@
 import { telemetry } from './TelemetryManager.js';
+import { GameConfig } from '../config/GameConfig.js';
 
 const SETTINGS_STORAGE_KEY = 'neon_td_settings_v1';
+const KEY_BINDINGS_STORAGE_KEY = 'neon_td_keybindings_v1';
+
+const KEYBOARD_CONFIG = GameConfig.CONTROLS.KEYBOARD;
 
 const DEFAULT_SETTINGS = {
     soundVolume: 30,
@@ -8,9 +12,42 @@ const DEFAULT_SETTINGS = {
     screenShakeEnabled: true,
     performanceModeEnabled: false,
     showPerformanceStats: false,
-    showKeybindHints: true
+    showKeybindHints: true,
+    aimMode: 'auto',
+    /** @type {'default'|'deuteranopia'|'protanopia'|'tritanopia'} See GameConfig.ACCESSIBILITY.PALETTES */
+    colorPalette: 'default',
+    /** Outlines, glyphs and hazard patterns on top of the palette */
+    highContrast: false,
+    /** @type {'auto'|'on'|'off'} Reduced motion / photosensitivity mode ('auto' = OS prefers-reduced-motion) */
+    reducedMotion: 'auto',
+    /** @type {'auto'|'on'|'off'} On-screen touch controls ('auto' = devices with a coarse pointer) */
+    touchControls: 'auto',
+    /** @type {'standard'|'left-handed'} Joystick on the left (standard) or right */
+    touchLayout: 'standard',
+    touchOpacity: 60,
+    touchSize: 100,
+    gamepadRumble: true,
+    /** @type {Object<string, number>} Gamepad action → button overrides (see GamepadManager.rebind) */
+    gamepadBindings: {}
 };
 
+/**
+ * Stored keyboard bindings: one override set per profile (see KeyBindingManager.rebind).
+ * @typedef {Object} KeyBindingState
+ * @property {number} version - GameConfig.CONTROLS.KEYBOARD.BINDINGS_VERSION when saved
+ * @property {number} activeProfile - Index into profiles
+ * @property {Object<string, (string|null)[]>[]} profiles - Action → key code overrides
+ */
+
+/** @returns {KeyBindingState} */
+function createDefaultKeyBindings() {
+    return {
+        version: KEYBOARD_CONFIG.BINDINGS_VERSION,
+        activeProfile: 0,
+        profiles: Array.from({ length: KEYBOARD_CONFIG.PROFILE_COUNT }, () => ({}))
+    };
+}
+
 function clampVolume(value, fallback) {
     if (!Number.isFinite(value)) {
         return fallback;
@@ -22,7 +59,10 @@ function clampVolume(value, fallback) {
 export class SettingsManager {
     constructor() {
         this.settings = { ...DEFAULT_SETTINGS };
+        /** @type {KeyBindingState} */
+        this.keyBindings = createDefaultKeyBindings();
         this._load();
+        this._loadKeyBindings();
         this._migrateLegacyAudioSettings();
         this._migrateLegacyAudioPreference();
     }
@@ -62,6 +102,54 @@ export class SettingsManager {
         return this.getSettings();
     }
 
+    /** @returns {number} Index of the active key-binding profile */
+    getKeyBindingProfile() {
+        return this.keyBindings.activeProfile;
+    }
+
+    /** @returns {Object<string, (string|null)[]>} Key overrides of the active profile */
+    getKeyBindings() {
+        return { ...this.keyBindings.profiles[this.keyBindings.activeProfile] };
+    }
+
+    /**
+     * Replace the active profile's key overrides.
+     * @param {Object<string, (string|null)[]>} overrides
+     * @returns {Object<string, (string|null)[]>}
+     */
+    updateKeyBindings(overrides) {
+        this.keyBindings.profiles[this.keyBindings.activeProfile] = { ...overrides };
+        this._saveKeyBindings();
+        telemetry.track('key_bindings_changed', {
+            profile: this.keyBindings.activeProfile,
+            actions: Object.keys(overrides)
+        });
+        return this.getKeyBindings();
+    }
+
+    /**
+     * @param {number} profile - Profile index
+     * @returns {Object<string, (string|null)[]>} Key overrides of the newly active profile
+     */
+    setKeyBindingProfile(profile) {
+        if (Number.isInteger(profile) && profile >= 0 && profile < this.keyBindings.profiles.length) {
+            this.keyBindings.activeProfile = profile;
+            this._saveKeyBindings();
+        }
+        return this.getKeyBindings();
+    }
+
+    /**
+     * Restore the default keys in the active profile. Other profiles are kept.
+     * @returns {Object<string, (string|null)[]>}
+     */
+    resetKeyBindings() {
+        this.keyBindings.profiles[this.keyBindings.activeProfile] = {};
+        this._saveKeyBindings();
+        telemetry.track('key_bindings_reset', { profile: this.keyBindings.activeProfile });
+        return this.getKeyBindings();
+    }
+
     _load() {
         try {
             const raw = localStorage.getItem(SETTINGS_STORAGE_KEY);
@@ -90,6 +178,41 @@ export class SettingsManager {
         }
     }
 
+    _loadKeyBindings() {
+        try {
+            const raw = localStorage.getItem(KEY_BINDINGS_STORAGE_KEY);
+            if (!raw) {
+                return;
+            }
+            const parsed = JSON.parse(raw);
+            if (parsed?.version !== KEYBOARD_CONFIG.BINDINGS_VERSION || !Array.isArray(parsed.profiles)) {
+                return;
+            }
+
+            const state = createDefaultKeyBindings();
+            state.profiles.forEach((_, index) => {
+                const profile = parsed.profiles[index];
+                if (profile && typeof profile === 'object') {
+                    state.profiles[index] = profile;
+                }
+            });
+            if (Number.isInteger(parsed.activeProfile) && parsed.activeProfile >= 0 && parsed.activeProfile < state.profiles.length) {
+                state.activeProfile = parsed.activeProfile;
+            }
+            this.keyBindings = state;
+        } catch {
+            this.keyBindings = createDefaultKeyBindings();
+        }
+    }
+
+    _saveKeyBindings() {
+        try {
+            localStorage.setItem(KEY_BINDINGS_STORAGE_KEY, JSON.stringify(this.keyBindings));
+        } catch {
+            // Ignore storage quota/availability errors to keep gameplay uninterrupted.
+        }
+    }
+
     _migrateLegacyAudioPreference() {
         try {
             const rawLegacyMute = localStorage.getItem('mute');
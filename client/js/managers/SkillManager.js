@@ -390,6 +390,29 @@ export class SkillManager {
 		return slots;
 	}
 
+	/**
+	 * Get the equipped actives and ultimate with their archetype, skipping empty slots.
+	 * @returns {Array<{skillId: string, skill: Object, rank: number, archetypeKey: string, archetypeColor: string, isUltimate: boolean}>}
+	 */
+	getEquippedCastables() {
+		const ids = [...this.equippedActives.filter(Boolean)];
+		if (this.equippedUltimate) ids.push(this.equippedUltimate);
+		const results = [];
+		for (const skillId of ids) {
+			const { skill, archetypeKey } = this._findSkill(skillId);
+			if (!skill) continue;
+			results.push({
+				skillId,
+				skill,
+				rank: this.skillRanks[skillId] || 0,
+				archetypeKey,
+				archetypeColor: ARCHETYPES[archetypeKey].color,
+				isUltimate: skillId === this.equippedUltimate,
+			});
+		}
+		return results;
+	}
+
 	/**
 	 * Get skill rank (0 if not learned).
 	 */
@@ -6,12 +6,21 @@
  * main.js so that every system importing these doesn't need a dependency
  * on the monolithic entry-point.
  *
+ * In reduced-motion mode the flash becomes a soft edge vignette whose rate
+ * and brightness change are capped (GameConfig.ACCESSIBILITY.REDUCED_MOTION).
+ * The mode also sets the `reduced-motion` class on <html>, which freezes
+ * decorative CSS loops, and is read by the splash and lore screens.
+ *
  * Usage:
  *   import { vfxHelper } from './managers/VFXHelper.js';
  *   vfxHelper.createFloatingText('-25', screenX, screenY, 'damage');
  *   vfxHelper.screenFlash();
  */
 
+import { GameConfig } from '../config/GameConfig.js';
+
+const REDUCED_MOTION = GameConfig.ACCESSIBILITY.REDUCED_MOTION;
+
 /**
  * Lightweight singleton for DOM-based visual effects.
  */
@@ -19,6 +28,22 @@ class VFXHelper {
     constructor() {
         /** Canvas-based screen flash state (replaces DOM flash element) */
         this._flashAlpha = 0;
+        /** @type {number} Vignette opacity being ramped toward (reduced motion) */
+        this._flashTarget = 0;
+        /** @type {number} performance.now() of the last accepted flash (reduced motion) */
+        this._lastFlashAt = -Infinity;
+        /** @type {boolean} */
+        this.reducedMotion = false;
+    }
+
+    /**
+     * Switch reduced-motion mode on or off.
+     * @param {boolean} enabled
+     */
+    setReducedMotion(enabled) {
+        this.reducedMotion = enabled;
+        document.documentElement.classList.toggle('reduced-motion', enabled);
+        if (enabled) this._flashAlpha = Math.min(this._flashAlpha, REDUCED_MOTION.FLASH_PEAK_ALPHA);
     }
 
     /**
@@ -52,7 +77,14 @@ class VFXHelper {
      * Sets flash alpha; call renderFlash() in the render loop.
      */
     screenFlash() {
-        this._flashAlpha = 0.4;
+        if (!this.reducedMotion) {
+            this._flashAlpha = 0.4;
+            return;
+        }
+        const now = performance.now();
+        if (now - this._lastFlashAt < 1000 / REDUCED_MOTION.MAX_FLASHES_PER_SECOND) return;
+        this._lastFlashAt = now;
+        this._flashTarget = REDUCED_MOTION.FLASH_PEAK_ALPHA;
     }
 
     /**
@@ -63,6 +95,10 @@ class VFXHelper {
      * @param {number} dt - delta time in seconds
      */
     renderFlash(ctx, width, height, dt) {
+        if (this.reducedMotion) {
+            this._renderVignette(ctx, width, height, dt);
+            return;
+        }
         if (this._flashAlpha <= 0) return;
         ctx.globalAlpha = this._flashAlpha;
         ctx.fillStyle = '#fff';
@@ -72,6 +108,34 @@ class VFXHelper {
         this._flashAlpha -= dt * 5;
         if (this._flashAlpha < 0.01) this._flashAlpha = 0;
     }
+
+    /**
+     * Reduced-motion flash: a white glow at the screen edges that ramps up
+     * and back down no faster than MAX_LUMINANCE_CHANGE_PER_SECOND.
+     * @private
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {number} width
+     * @param {number} height
+     * @param {number} dt - delta time in seconds
+     */
+    _renderVignette(ctx, width, height, dt) {
+        const step = REDUCED_MOTION.MAX_LUMINANCE_CHANGE_PER_SECOND * dt;
+        if (this._flashTarget > this._flashAlpha) {
+            this._flashAlpha = Math.min(this._flashTarget, this._flashAlpha + step);
+            if (this._flashAlpha >= this._flashTarget) this._flashTarget = 0;
+        } else {
+            this._flashAlpha = Math.max(0, this._flashAlpha - step);
+        }
+        if (this._flashAlpha <= 0) return;
+
+        const cx = width / 2;
+        const cy = height / 2;
+        const gradient = ctx.createRadialGradient(cx, cy, Math.min(cx, cy) * 0.6, cx, cy, Math.hypot(cx, cy));
+        gradient.addColorStop(0, 'rgba(255, 255, 255, 0)');
+        gradient.addColorStop(1, `rgba(255, 255, 255, ${this._flashAlpha})`);
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, 0, width, height);
+    }
 }
 
 /** Singleton instance. */
@@ -36,12 +36,15 @@ const PRIORITY = /** @type {const} */ ({
  */
 const KEY_PRIORITY = {
     // Boss intros — high
-    boss_intro_classic:    PRIORITY.HIGH,
-    boss_intro_shield:     PRIORITY.HIGH,
-    boss_intro_teleporter: PRIORITY.HIGH,
-    boss_intro_splitter:   PRIORITY.HIGH,
-    boss_intro_vortex:     PRIORITY.HIGH,
-    boss_intro_chrono:     PRIORITY.HIGH,
+    boss_intro_classic:     PRIORITY.HIGH,
+    boss_intro_shield:      PRIORITY.HIGH,
+    boss_intro_teleporter:  PRIORITY.HIGH,
+    boss_intro_splitter:    PRIORITY.HIGH,
+    boss_intro_vortex:      PRIORITY.HIGH,
+    boss_intro_chrono:      PRIORITY.HIGH,
+    boss_intro_mirror:      PRIORITY.HIGH,
+    boss_intro_swarm_mind:  PRIORITY.HIGH,
+    boss_intro_grid_warden: PRIORITY.HIGH,
 
     // Game over / victory — max
     game_over_defeat: PRIORITY.MAX,
@@ -0,0 +1,183 @@
+/**
+ * @fileoverview Replay file format — versioned, input-only run recordings.
+ *
+ * A replay stores what the player did, never what happened: the run seed,
+ * difficulty, arena size, a run-length encoded stream of movement keys and a
+ * list of discrete commands (skill casts, level-up allocations, ascension
+ * picks…), each stamped with the simulation tick it was applied on. Because
+ * the simulation is deterministic (seeded RNG streams + fixed timestep),
+ * feeding the same inputs into a fresh Game reproduces the run exactly.
+ *
+ * Shape (version 5):
+ *   {
+ *     format: 'neon-siege-replay', version: 5,
+ *     clientVersion, recordedAt, seed, difficulty,
+ *     mode: 'standard' | 'boss_rush',
+ *     aimMode: 'auto' | 'manual' | 'hybrid', // at the start of the run
+ *     layout: string,                      // arena layout (config/ArenaConfig.js ARENA_LAYOUTS key)
+ *     arena: { width, height },
+ *     startSnapshot: Object|null,          // save the run was resumed from
+ *     challenge: Object|null,              // daily/weekly rules (Game.setRunChallenge)
+ *     inputs:   [[tick, moveMask], ...],   // only when the mask changes
+ *     aim:      [[tick, direction, firing], ...], // manual aim, only when it changes
+ *     move:     [[tick, moveX, moveY], ...], // analog movement, only when it changes
+ *     commands: [[tick, type, ...args], ...],
+ *     waves:    [[wave, tick], ...],       // wave start ticks, for seeking
+ *     checkpoints: [[tick, stateHash], ...], // every REPLAY_CHECKPOINT_INTERVAL ticks
+ *     result:   { state, wave, score, kills, level, ticks } | null
+ *   }
+ *
+ * Version 1 replays have no aimMode or aim stream and play back as auto-aim.
+ * Versions 1 and 2 have no analog move stream.
+ * Versions 1 to 3 have no mode and play back as standard runs.
+ * Versions 1 to 4 have no layout and play back on the classic arena.
+ */
+
+export const REPLAY_FORMAT = 'neon-siege-replay';
+export const REPLAY_VERSION = 5;
+
+/** Client build that recorded the replay (injected by Vite; '0.0.0' in Node) */
+export const CLIENT_VERSION = import.meta.env?.APP_VERSION || '0.0.0';
+
+/** Ticks between state-hash checkpoints (5 s) — bounds how precisely a divergence can be located */
+export const REPLAY_CHECKPOINT_INTERVAL = 300;
+
+/**
+ * Recorded player commands. Values are written to replay files, so never rename one.
+ * @readonly
+ * @enum {string}
+ */
+export const REPLAY_COMMANDS = Object.freeze({
+    /** Active/ultimate skill cast — args: [skillId] */
+    CAST: 'cast',
+    /** Skill point spent — args: [skillId] */
+    LEARN: 'learn',
+    /** Attribute point spent — args: [attrKey] */
+    ATTRIBUTE: 'attr',
+    /** Level-up panel "reset" — undo allocations since the panel opened */
+    REVERT: 'revert',
+    /** Mid-wave level-up confirmed */
+    LEVEL_UP_DONE: 'levelup_done',
+    /** Between-wave panel confirmed — next wave starts */
+    NEXT_WAVE: 'next_wave',
+    /** Ascension modifier picked — args: [modifierId] */
+    ASCEND: 'ascend',
+    /** Arena resized — args: [width, height, prevWidth, prevHeight] */
+    RESIZE: 'resize',
+    /** Endless mode entered after victory */
+    ENDLESS: 'endless',
+    /** Developer wave skip — args: [wave]. Never valid on the leaderboard. */
+    SKIP_WAVE: 'skip_wave',
+    /** Aim mode switched mid-run — args: [aimMode] */
+    AIM_MODE: 'aim_mode',
+    /** Hybrid aim target-lock click — args: [x, y] (rounded arena coordinates) */
+    LOCK_TARGET: 'lock_target',
+});
+
+/**
+ * Movement actions folded into one bitmask per tick (Player only reads these).
+ * Input frames carry actions rather than physical keys, so the mask does not
+ * depend on the player's key bindings.
+ */
+const MOVE_BITS = [
+    { bit: 1, action: 'moveUp' },
+    { bit: 2, action: 'moveDown' },
+    { bit: 4, action: 'moveLeft' },
+    { bit: 8, action: 'moveRight' },
+];
+
+/** Pre-built input frames for every mask, so playback never allocates */
+const MOVE_FRAMES = Array.from({ length: 16 }, (_, mask) => {
+    const keys = {};
+    for (const { bit, action } of MOVE_BITS) {
+        if (mask & bit) keys[action] = true;
+    }
+    return Object.freeze({ keys: Object.freeze(keys), mouseX: 0, mouseY: 0, mouseDown: false });
+});
+
+/**
+ * Fold an input frame's held movement actions into a bitmask.
+ * @param {{keys?: Object<string, boolean>}} [inputFrame]
+ * @returns {number}
+ */
+export function encodeMoveMask(inputFrame) {
+    const keys = inputFrame?.keys;
+    if (!keys) return 0;
+    let mask = 0;
+    for (const { bit, action } of MOVE_BITS) {
+        if (keys[action]) mask |= bit;
+    }
+    return mask;
+}
+
+/**
+ * Input frame equivalent to a movement bitmask.
+ * @param {number} mask
+ * @returns {{keys: Object<string, boolean>, mouseX: number, mouseY: number, mouseDown: boolean}}
+ */
+export function decodeMoveMask(mask) {
+    return MOVE_FRAMES[mask & 15];
+}
+
+/**
+ * Hash the observable simulation state into a 32-bit checkpoint value.
+ * Verifiers compare these against the recording to find where a re-simulated
+ * run first diverged.
+ * @param {import('../Game.js').Game} game
+ * @returns {number}
+ */
+export function hashReplayState(game) {
+    const player = game.player;
+    const values = [
+        game.score,
+        game.wave,
+        game.achievementSystem.killsThisRun,
+        game.skillManager.level,
+        game.enemies.length,
+        Math.round(player.hp * 100),
+        Math.round(player.x * 100),
+        Math.round(player.y * 100),
+    ];
+
+    // FNV-1a over the integer values
+    let hash = 0x811c9dc5;
+    for (const value of values) {
+        hash ^= value | 0;
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Serialize a replay for export.
+ * @param {Object} replay
+ * @returns {string}
+ */
+export function serializeReplay(replay) {
+    return JSON.stringify(replay);
+}
+
+/**
+ * Parse and validate an exported replay.
+ * @param {string|Object} data - JSON text or an already-parsed object
+ * @returns {Object} The replay
+ * @throws {Error} If the data is not a replay this client can play
+ */
+export function parseReplay(data) {
+    const replay = typeof data === 'string' ? JSON.parse(data) : data;
+
+    if (!replay || replay.format !== REPLAY_FORMAT) {
+        throw new Error('Not a Neon Siege replay file');
+    }
+    if (!Number.isInteger(replay.version) || replay.version > REPLAY_VERSION) {
+        throw new Error(`Unsupported replay version: ${replay.version}`);
+    }
+    if (!Number.isFinite(replay.seed) || !Array.isArray(replay.inputs) || !Array.isArray(replay.commands)) {
+        throw new Error('Replay file is incomplete');
+    }
+    if (!Number.isFinite(replay.arena?.width) || !Number.isFinite(replay.arena?.height)) {
+        throw new Error('Replay file is missing the arena size');
+    }
+
+    return replay;
+}
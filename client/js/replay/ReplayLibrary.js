@@ -0,0 +1,101 @@
+/**
+ * @fileoverview ReplayLibrary — keeps recent replays in localStorage.
+ *
+ * Stores the last finished run plus replays linked to leaderboard entries:
+ * the player's own submissions and replays the leaderboard downloaded, so
+ * "Watch Replay" works from the game-over screen and opening an entry twice
+ * doesn't fetch it twice. Oldest replays are evicted first;
+ * a full storage quota only drops the write, never throws.
+ */
+
+const STORAGE_KEY = 'neon_replays';
+const MAX_REPLAYS = 10;
+
+export class ReplayLibrary {
+    constructor() {
+        /** @type {Array<{entryId: string|null, savedAt: number, replay: Object}>|null} Lazy-loaded cache */
+        this._items = null;
+    }
+
+    /**
+     * Remember the replay of the run that just ended.
+     * @param {Object|null} replay
+     */
+    saveLastRun(replay) {
+        if (!replay?.result) return;
+        const items = this._load();
+        if (items[0]?.replay === replay) return;
+        items.unshift({ entryId: null, savedAt: Date.now(), replay });
+        this._persist();
+    }
+
+    /**
+     * Attach a replay to the leaderboard entry it was submitted as (or was
+     * downloaded for). It replaces the replay of the entry's previous best.
+     * @param {string} entryId
+     * @param {Object} replay
+     */
+    linkEntry(entryId, replay) {
+        if (!entryId || !replay) return;
+        const items = this._load();
+        for (const item of items) {
+            if (item.entryId === entryId && item.replay !== replay) item.entryId = null;
+        }
+        const existing = items.find(item => item.replay === replay);
+        if (existing) {
+            existing.entryId = entryId;
+        } else {
+            items.unshift({ entryId, savedAt: Date.now(), replay });
+        }
+        this._persist();
+    }
+
+    /**
+     * @param {string} entryId
+     * @returns {Object|null} Replay linked to the leaderboard entry
+     */
+    getForEntry(entryId) {
+        if (!entryId) return null;
+        return this._load().find(item => item.entryId === entryId)?.replay || null;
+    }
+
+    /** @returns {Object|null} Most recent stored replay */
+    getLast() {
+        return this._load()[0]?.replay || null;
+    }
+
+    /** @private */
+    _load() {
+        if (this._items) return this._items;
+        try {
+            const parsed = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+            this._items = Array.isArray(parsed) ? parsed : [];
+        } catch {
+            this._items = [];
+        }
+        return this._items;
+    }
+
+    /** @private */
+    _persist() {
+        const items = this._items;
+        if (items.length > MAX_REPLAYS) items.length = MAX_REPLAYS;
+
+        // Long runs can outgrow the quota — drop the oldest until the write fits
+        while (items.length > 0) {
+            try {
+                localStorage.setItem(STORAGE_KEY, JSON.stringify(items));
+                return;
+            } catch {
+                items.pop();
+            }
+        }
+        try {
+            localStorage.removeItem(STORAGE_KEY);
+        } catch {
+            // Storage unavailable (private mode) — keep the in-memory copy only
+        }
+    }
+}
+
+export const replayLibrary = new ReplayLibrary();
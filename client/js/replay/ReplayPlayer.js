@@ -0,0 +1,182 @@
+/**
+ * @fileoverview ReplayPlayer — drives a Game from a recorded replay.
+ *
+ * Feeds the recorded movement mask, manual aim and commands back into the
+ * simulation tick by tick. Has no browser dependencies, so the same class powers the in-game
+ * viewer and headless verification. Seeking backwards restarts the run and
+ * fast-forwards, since the simulation only runs forwards.
+ *
+ * Usage:
+ *   const player = new ReplayPlayer(game, parseReplay(json));
+ *   player.reset();
+ *   while (!player.isFinished()) player.stepTick();
+ */
+
+import { Game } from '../Game.js';
+import { GameConfig } from '../config/GameConfig.js';
+import { REPLAY_COMMANDS, decodeMoveMask } from './ReplayFormat.js';
+
+/** @type {Object<string, (game: Game, player: ReplayPlayer, args: Array<any>) => void>} */
+const COMMAND_HANDLERS = {
+    [REPLAY_COMMANDS.CAST]: (game, _player, [skillId]) => game.castActiveSkill(skillId),
+    [REPLAY_COMMANDS.LEARN]: (game, _player, [skillId]) => game.learnSkill(skillId),
+    [REPLAY_COMMANDS.ATTRIBUTE]: (game, _player, [attrKey]) => game.allocateAttribute(attrKey),
+    [REPLAY_COMMANDS.REVERT]: (game) => game.revertSkillAllocation(),
+    [REPLAY_COMMANDS.LEVEL_UP_DONE]: (game) => game.completeMidWaveLevelUp(),
+    [REPLAY_COMMANDS.NEXT_WAVE]: (game) => game.continueToNextWave(),
+    [REPLAY_COMMANDS.ASCEND]: (game, _player, [modifierId]) => game.selectAscension(modifierId),
+    [REPLAY_COMMANDS.RESIZE]: (game, player, [width, height, prevWidth, prevHeight]) => {
+        player.setArenaSize(width, height);
+        game.updateCanvasSize({ width: prevWidth, height: prevHeight });
+    },
+    [REPLAY_COMMANDS.ENDLESS]: (game) => game.continueToEndless(),
+    [REPLAY_COMMANDS.SKIP_WAVE]: (game, _player, [wave]) => game.skipToWave(wave),
+    [REPLAY_COMMANDS.AIM_MODE]: (game, _player, [aimMode]) => game.setAimMode(aimMode),
+    [REPLAY_COMMANDS.LOCK_TARGET]: (game, _player, [x, y]) => game.lockTargetAt(x, y),
+};
+
+export class ReplayPlayer {
+    /**
+     * @param {Game} game - Fresh game instance the replay takes over
+     * @param {Object} replay - Parsed replay (see ReplayFormat.js)
+     * @param {Object} [options]
+     * @param {(width: number, height: number) => void} [options.onResize] - Called when the recorded arena size changes
+     */
+    constructor(game, replay, { onResize } = {}) {
+        this.game = game;
+        this.replay = replay;
+        this._onResize = onResize || null;
+        this._inputIndex = 0;
+        this._commandIndex = 0;
+        this._mask = 0;
+        this._aimIndex = 0;
+        this._moveIndex = 0;
+        /** @type {{keys: Object<string, boolean>, mouseX: number, mouseY: number, mouseDown: boolean, aimDirection: number, moveX: number, moveY: number}} Reused input frame */
+        this._frame = { keys: {}, mouseX: 0, mouseY: 0, mouseDown: false, aimDirection: -1, moveX: 0, moveY: 0 };
+    }
+
+    /** @returns {number} Ticks the recording spans */
+    get totalTicks() {
+        const { result, inputs, commands } = this.replay;
+        if (Number.isFinite(result?.ticks)) return result.ticks;
+        const lastInput = inputs.length > 0 ? inputs[inputs.length - 1][0] : 0;
+        const lastCommand = commands.length > 0 ? commands[commands.length - 1][0] : 0;
+        return Math.max(lastInput, lastCommand);
+    }
+
+    /** @returns {number} Playback position in [0, 1] */
+    get progress() {
+        const total = this.totalTicks;
+        return total > 0 ? Math.min(1, this.game.tick / total) : 1;
+    }
+
+    /**
+     * Restart the recorded run from its first tick.
+     */
+    reset() {
+        const { game, replay } = this;
+
+        this.setArenaSize(replay.arena.width, replay.arena.height);
+        game.setRunDifficulty(replay.difficulty);
+        game.setRunMode(replay.mode || 'standard');
+        game.setArenaLayout(replay.layout || 'classic');
+        game.setAimMode(replay.aimMode || GameConfig.CONTROLS.AIM_MODES.AUTO);
+        if (replay.startSnapshot) {
+            game.init();
+            game.restoreFromSave(replay.startSnapshot);
+        } else {
+            game.setRunSeed(replay.seed);
+            game.setRunChallenge(replay.challenge || null);
+            game.start();
+        }
+        // The game must not record over the replay it is playing
+        game.replayRecorder.cancel();
+
+        this._inputIndex = 0;
+        this._commandIndex = 0;
+        this._mask = 0;
+        this._aimIndex = 0;
+        this._moveIndex = 0;
+        this._frame.mouseDown = false;
+        this._frame.aimDirection = -1;
+        this._frame.moveX = 0;
+        this._frame.moveY = 0;
+    }
+
+    /**
+     * Resize the game's logical arena.
+     * @param {number} width
+     * @param {number} height
+     */
+    setArenaSize(width, height) {
+        const canvas = this.game.canvas;
+        canvas.logicalWidth = width;
+        canvas.logicalHeight = height;
+        this._onResize?.(width, height);
+    }
+
+    /**
+     * @returns {boolean} True once every recorded tick and command has been played
+     */
+    isFinished() {
+        const { game, replay } = this;
+        if (this._commandIndex < replay.commands.length) return false;
+        const state = game.gameState;
+        if (state === Game.STATES.GAMEOVER || state === Game.STATES.VICTORY) return true;
+        return game.tick >= this.totalTicks;
+    }
+
+    /**
+     * Apply the commands recorded at the current tick, then simulate one tick.
+     * @returns {boolean} False when nothing could advance (end of recording)
+     */
+    stepTick() {
+        const { game, replay } = this;
+        const tick = game.tick;
+        let applied = false;
+
+        while (this._commandIndex < replay.commands.length && replay.commands[this._commandIndex][0] <= tick) {
+            const [, type, ...args] = replay.commands[this._commandIndex++];
+            COMMAND_HANDLERS[type]?.(game, this, args);
+            applied = true;
+        }
+        while (this._inputIndex < replay.inputs.length && replay.inputs[this._inputIndex][0] <= tick) {
+            this._mask = replay.inputs[this._inputIndex++][1];
+        }
+        const aim = replay.aim || [];
+        while (this._aimIndex < aim.length && aim[this._aimIndex][0] <= tick) {
+            const [, direction, firing] = aim[this._aimIndex++];
+            this._frame.aimDirection = direction;
+            this._frame.mouseDown = firing === 1;
+        }
+        const move = replay.move || [];
+        while (this._moveIndex < move.length && move[this._moveIndex][0] <= tick) {
+            [, this._frame.moveX, this._frame.moveY] = move[this._moveIndex++];
+        }
+
+        if (this.isFinished()) return applied;
+        this._frame.keys = decodeMoveMask(this._mask).keys;
+        game.step(this._frame);
+        return applied || game.tick !== tick;
+    }
+
+    /**
+     * Play forward (restarting first if needed) until the given tick.
+     * @param {number} targetTick
+     */
+    seekToTick(targetTick) {
+        if (targetTick < this.game.tick) this.reset();
+        while (this.game.tick < targetTick && !this.isFinished()) {
+            if (!this.stepTick()) break;
+        }
+    }
+
+    /**
+     * Seek to the first tick of a recorded wave.
+     * @param {number} wave
+     */
+    seekToWave(wave) {
+        const entry = (this.replay.waves || []).find(([w]) => w === wave);
+        if (entry) this.seekToTick(entry[1]);
+    }
+}
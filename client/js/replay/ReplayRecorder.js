@@ -0,0 +1,172 @@
+/**
+ * @fileoverview ReplayRecorder — captures a run as per-tick inputs.
+ *
+ * Owned by Game. Game calls `recordInput()` once per simulated tick and
+ * `recordCommand()` from every player-facing entry point (casts, level-up
+ * allocations, ascension picks…). The result is a replay object in the
+ * format described in ReplayFormat.js.
+ */
+
+import { REPLAY_FORMAT, REPLAY_VERSION, CLIENT_VERSION, encodeMoveMask } from './ReplayFormat.js';
+
+export class ReplayRecorder {
+    constructor() {
+        /** @type {boolean} False while idle or while a replay is being played back */
+        this.active = false;
+        /** @type {Object|null} Replay being recorded (or the last finished one) */
+        this._replay = null;
+        this._lastMask = 0;
+        this._lastAimDirection = -1;
+        this._lastFiring = 0;
+        this._lastMoveX = 0;
+        this._lastMoveY = 0;
+    }
+
+    /**
+     * Start a new recording, discarding the previous one.
+     * @param {Object} header
+     * @param {number} header.seed
+     * @param {string} header.difficulty
+     * @param {{width: number, height: number}} header.arena
+     * @param {Object|null} [header.startSnapshot] - Save the run resumed from
+     * @param {Object|null} [header.challenge] - Daily/weekly challenge rules the run was played under
+     * @param {string} [header.aimMode='auto'] - Aim mode the run started with
+     * @param {string} [header.mode='standard'] - Game mode ('standard' or 'boss_rush')
+     * @param {string} [header.layout='classic'] - Arena layout (config/ArenaConfig.js ARENA_LAYOUTS key)
+     */
+    begin({
+        seed,
+        difficulty,
+        arena,
+        startSnapshot = null,
+        challenge = null,
+        aimMode = 'auto',
+        mode = 'standard',
+        layout = 'classic',
+    }) {
+        this._replay = {
+            format: REPLAY_FORMAT,
+            version: REPLAY_VERSION,
+            clientVersion: CLIENT_VERSION,
+            recordedAt: Date.now(),
+            seed,
+            difficulty,
+            mode,
+            aimMode,
+            layout,
+            arena: { width: arena.width, height: arena.height },
+            startSnapshot,
+            challenge,
+            inputs: [],
+            aim: [],
+            move: [],
+            commands: [],
+            waves: [],
+            checkpoints: [],
+            result: null,
+        };
+        this._lastMask = 0;
+        this._lastAimDirection = -1;
+        this._lastFiring = 0;
+        this._lastMoveX = 0;
+        this._lastMoveY = 0;
+        this.active = true;
+    }
+
+    /**
+     * Record the input used to simulate the tick that starts at `tick`.
+     * Only changes are stored.
+     * @param {number} tick
+     * @param {Object} inputFrame
+     * @param {boolean} [withAim=false] - Also record the manual aim direction and fire button
+     */
+    recordInput(tick, inputFrame, withAim = false) {
+        if (!this.active) return;
+        const mask = encodeMoveMask(inputFrame);
+        if (mask !== this._lastMask) {
+            this._lastMask = mask;
+            this._replay.inputs.push([tick, mask]);
+        }
+
+        const moveX = inputFrame.moveX | 0;
+        const moveY = inputFrame.moveY | 0;
+        if (moveX !== this._lastMoveX || moveY !== this._lastMoveY) {
+            this._lastMoveX = moveX;
+            this._lastMoveY = moveY;
+            this._replay.move.push([tick, moveX, moveY]);
+        }
+        if (!withAim) return;
+
+        const direction = Number.isInteger(inputFrame.aimDirection) ? inputFrame.aimDirection : -1;
+        const firing = inputFrame.mouseDown ? 1 : 0;
+        if (direction === this._lastAimDirection && firing === this._lastFiring) return;
+        this._lastAimDirection = direction;
+        this._lastFiring = firing;
+        this._replay.aim.push([tick, direction, firing]);
+    }
+
+    /**
+     * Record a player command applied between ticks.
+     * @param {number} tick - Ticks completed when the command was applied
+     * @param {string} type - One of REPLAY_COMMANDS
+     * @param {...(string|number)} args
+     */
+    recordCommand(tick, type, ...args) {
+        if (!this.active) return;
+        this._replay.commands.push([tick, type, ...args]);
+    }
+
+    /**
+     * Mark the tick a wave started on (used by the viewer to seek).
+     * @param {number} wave
+     * @param {number} tick
+     */
+    recordWaveStart(wave, tick) {
+        if (!this.active) return;
+        this._replay.waves.push([wave, tick]);
+    }
+
+    /**
+     * Store a state-hash checkpoint (see hashReplayState).
+     * @param {number} tick
+     * @param {number} hash
+     */
+    recordCheckpoint(tick, hash) {
+        if (!this.active) return;
+        this._replay.checkpoints.push([tick, hash]);
+    }
+
+    /**
+     * Stop recording and stamp the final result.
+     * @param {{state: string, wave: number, score: number, kills: number, level: number, ticks: number}} result
+     */
+    finish(result) {
+        if (!this.active) return;
+        this._replay.result = { ...result };
+        this.active = false;
+    }
+
+    /**
+     * Keep recording a finished run (endless mode after victory).
+     */
+    resume() {
+        if (!this._replay || this.active) return;
+        this._replay.result = null;
+        this.active = true;
+    }
+
+    /**
+     * Stop recording without a result (e.g. a replay took over the game).
+     */
+    cancel() {
+        this.active = false;
+    }
+
+    /**
+     * The current or last finished recording.
+     * @returns {Object|null}
+     */
+    getReplay() {
+        return this._replay;
+    }
+}
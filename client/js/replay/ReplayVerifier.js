@@ -0,0 +1,162 @@
+/**
+ * @fileoverview ReplayVerifier — re-simulates a replay headlessly and checks
+ * it against the numbers a leaderboard submission claims.
+ *
+ * Used by the replay verification job (scripts/verify-replays.mjs). The run is
+ * played back through ReplayPlayer in a headless Game; recorded state-hash
+ * checkpoints locate the first tick where the re-simulation diverged.
+ *
+ * Only the client build that recorded a replay can be trusted to re-simulate
+ * it: a replay from any other build gets an `outdated` verdict, which drops
+ * the replay without penalizing the entry.
+ *
+ * Usage:
+ *   const verdict = verifyReplay(replay, { mode, difficulty, score, wave, kills, level });
+ *   if (verdict.status === VERIFY_STATUS.MISMATCH) console.log(verdict.divergenceTick);
+ */
+
+import { GameConfig } from '../config/GameConfig.js';
+import { createHeadlessGame } from '../headless/HeadlessGame.js';
+import { ReplayPlayer } from './ReplayPlayer.js';
+import { REPLAY_COMMANDS, CLIENT_VERSION, parseReplay, hashReplayState } from './ReplayFormat.js';
+
+/** @readonly @enum {string} */
+export const VERIFY_STATUS = Object.freeze({
+    VERIFIED: 'verified',
+    MISMATCH: 'mismatch',
+    INVALID: 'invalid',
+    /** Recorded on a different client build — cannot be judged, so it is dropped */
+    OUTDATED: 'outdated',
+});
+
+/** Re-simulation budget (~3 simulated hours) so a crafted replay cannot stall the job */
+const DEFAULT_MAX_TICKS = GameConfig.LOOP.TICK_RATE * 60 * 60 * 3;
+
+/** Headline numbers compared against the submission */
+const CHECKED_FIELDS = ['score', 'wave', 'kills', 'level'];
+
+/**
+ * @typedef {Object} ClaimedResult
+ * @property {string} [mode='standard'] - Leaderboard mode the run was submitted to
+ * @property {string} difficulty
+ * @property {number} score
+ * @property {number} wave
+ * @property {number} kills
+ * @property {number} level
+ */
+
+/**
+ * @typedef {Object} ReplayVerdict
+ * @property {string} status - One of VERIFY_STATUS
+ * @property {string|null} reason - Human-readable explanation for moderators
+ * @property {number|null} divergenceTick - First tick known to disagree (mismatch only)
+ * @property {string[]} mismatchedFields - Claimed fields the re-simulation disagrees with
+ * @property {{score: number, wave: number, kills: number, level: number, ticks: number}|null} actual
+ */
+
+/**
+ * @param {string} reason
+ * @returns {ReplayVerdict}
+ */
+function invalid(reason) {
+    return { status: VERIFY_STATUS.INVALID, reason, divergenceTick: null, mismatchedFields: [], actual: null };
+}
+
+/**
+ * Reasons a replay cannot be checked at all.
+ * @param {Object} replay
+ * @param {ClaimedResult} claimed
+ * @returns {string|null}
+ */
+function findUnverifiableReason(replay, claimed) {
+    if (replay.startSnapshot) return 'Run was resumed from a save and cannot be re-simulated';
+    if (!replay.result) return 'Replay is unfinished';
+    if (replay.difficulty !== claimed.difficulty) return 'Replay difficulty does not match the submission';
+    if ((replay.mode || 'standard') !== (claimed.mode || 'standard')) return 'Replay mode does not match the submission';
+    if (replay.commands.some(([, type]) => type === REPLAY_COMMANDS.SKIP_WAVE)) return 'Replay uses the developer wave skip';
+    return null;
+}
+
+/**
+ * Re-simulate a replay and compare it with the claimed result.
+ * @param {Object|string} data - Replay object or JSON text
+ * @param {ClaimedResult} claimed
+ * @param {Object} [options]
+ * @param {number} [options.maxTicks] - Give up (invalid) after this many ticks
+ * @param {string} [options.clientVersion] - Client build doing the re-simulation
+ * @returns {ReplayVerdict}
+ */
+export function verifyReplay(data, claimed, { maxTicks = DEFAULT_MAX_TICKS, clientVersion = CLIENT_VERSION } = {}) {
+    let replay;
+    try {
+        replay = parseReplay(data);
+    } catch (err) {
+        return invalid(err.message);
+    }
+
+    // Any gameplay or balance change alters the re-simulation, so a replay
+    // from another build would come out as a false mismatch
+    if (replay.clientVersion !== clientVersion) {
+        return {
+            status: VERIFY_STATUS.OUTDATED,
+            reason: `Recorded on client ${replay.clientVersion ?? 'unknown'}, verifier runs ${clientVersion}`,
+            divergenceTick: null,
+            mismatchedFields: [],
+            actual: null,
+        };
+    }
+
+    const problem = findUnverifiableReason(replay, claimed);
+    if (problem) return invalid(problem);
+
+    const sim = createHeadlessGame({
+        seed: replay.seed,
+        difficulty: replay.difficulty,
+        width: replay.arena.width,
+        height: replay.arena.height,
+    });
+
+    try {
+        const game = sim.game;
+        const player = new ReplayPlayer(game, replay);
+        player.reset();
+
+        const checkpoints = new Map(replay.checkpoints || []);
+        let divergenceTick = null;
+
+        while (!player.isFinished()) {
+            if (game.tick >= maxTicks) return invalid('Replay exceeds the verification tick budget');
+
+            const before = game.tick;
+            if (!player.stepTick()) break;
+            if (divergenceTick === null && game.tick !== before && checkpoints.has(game.tick)) {
+                if (checkpoints.get(game.tick) !== hashReplayState(game)) divergenceTick = game.tick;
+            }
+        }
+
+        const actual = {
+            score: game.score,
+            wave: game.wave,
+            kills: game.achievementSystem.killsThisRun,
+            level: game.skillManager.level,
+            ticks: game.tick,
+        };
+        const mismatchedFields = CHECKED_FIELDS.filter(field => actual[field] !== claimed[field]);
+
+        if (mismatchedFields.length === 0 && divergenceTick === null) {
+            return { status: VERIFY_STATUS.VERIFIED, reason: null, divergenceTick: null, mismatchedFields, actual };
+        }
+
+        return {
+            status: VERIFY_STATUS.MISMATCH,
+            reason: mismatchedFields.length > 0
+                ? `Re-simulation disagrees on ${mismatchedFields.join(', ')}`
+                : 'Re-simulation diverged from the recorded checkpoints',
+            divergenceTick: divergenceTick ?? game.tick,
+            mismatchedFields,
+            actual,
+        };
+    } finally {
+        sim.dispose();
+    }
+}
@@ -0,0 +1,45 @@
+/**
+ * @fileoverview Challenge API service — wraps /api/challenges endpoints.
+ *
+ * Daily and weekly "Siege" challenges give everyone the same seed, difficulty,
+ * wave-modifier pool and starting ascensions for the period. Starting a run
+ * registers an attempt server-side (attempts are capped per challenge); the
+ * result is submitted through ScoreSubmitter with the attempt number.
+ */
+
+import { apiFetch } from './ApiClient.js';
+
+/**
+ * @typedef {Object} ChallengeRules
+ * @property {string} id - e.g. 'daily-2026-10-19'
+ * @property {'daily'|'weekly'} kind
+ * @property {number} seed
+ * @property {string} difficulty
+ * @property {string[]} waveModifiers - GameConfig.WAVE_MODIFIERS keys that may roll
+ * @property {string[]} startingAscensions - ASCENSION_POOL ids granted before wave 1
+ * @property {number} maxAttempts
+ * @property {string} startsAt
+ * @property {string} endsAt
+ * @property {number|null} [attemptsUsed] - Present when signed in
+ * @property {number} [attempt] - Set once an attempt has been registered
+ */
+
+/**
+ * Fetch the current daily or weekly challenge.
+ * @param {'daily'|'weekly'} kind
+ * @returns {Promise<ChallengeRules>}
+ */
+export async function fetchChallenge(kind) {
+  return apiFetch(`/api/challenges/${kind}`);
+}
+
+/**
+ * Register the start of a challenge run. Rejects (ApiError 409) when no
+ * attempts are left.
+ *
+ * @param {string} challengeId
+ * @returns {Promise<{ challenge: ChallengeRules, attempt: number, attemptsLeft: number }>}
+ */
+export async function startChallengeAttempt(challengeId) {
+  return apiFetch(`/api/challenges/${challengeId}/attempts`, { method: 'POST' });
+}
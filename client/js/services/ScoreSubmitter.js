@@ -76,10 +76,12 @@ export async function requestGameSession() {
 }
 
 /**
- * Submit a completed run to the leaderboard.
+ * Submit a completed run to the leaderboard (or, for a challenge run, to that
+ * challenge's board).
  * Fails silently if not authenticated or if the API is unreachable.
  *
  * @param {object} params
+ * @param {string} [params.mode='standard'] - Game mode; boss rush runs go to their own board
  * @param {string} params.difficulty
  * @param {number} params.score
  * @param {number} params.wave
@@ -91,6 +93,8 @@ export async function requestGameSession() {
  * @param {number} [params.gameDurationMs]
  * @param {number} [params.startWave] - Wave the run started from (>1 when loaded from save)
  * @param {number} [params.continuesUsed] - Number of continues used during the run
+ * @param {object|null} [params.replay] - Input replay of the run (see replay/ReplayFormat.js)
+ * @param {{ id: string, attempt: number }|null} [params.challenge] - Challenge attempt the run belongs to
  * @returns {Promise<{entry: any, rank: number|null}|null>}
  */
 export async function submitScore(params) {
@@ -111,6 +115,19 @@ export async function submitScore(params) {
     continuesUsed: params.continuesUsed ?? 0,
   };
 
+  // Standard runs leave the mode out, so their payload and checksum are unchanged
+  if (params.mode && params.mode !== 'standard') {
+    payload.mode = params.mode;
+  }
+
+  // Input replay for server-side re-simulation (optional; not covered by the checksum)
+  if (params.replay && !params.challenge) {
+    payload.replay = params.replay;
+  }
+  if (params.challenge) {
+    payload.attempt = params.challenge.attempt;
+  }
+
   // Attach game session token + HMAC checksum if available
   if (_currentSession) {
     // Build canonical payload string (sorted keys, must match server)
@@ -121,6 +138,7 @@ export async function submitScore(params) {
       kills: payload.kills,
       level: payload.level,
       maxCombo: payload.maxCombo,
+      ...(payload.mode && { mode: payload.mode }),
       score: payload.score,
       startWave: payload.startWave ?? 1,
       wave: payload.wave,
@@ -138,7 +156,10 @@ export async function submitScore(params) {
   }
 
   try {
-    const result = await apiFetch('/api/leaderboard/submit', {
+    const endpoint = params.challenge
+      ? `/api/challenges/${params.challenge.id}/submit`
+      : '/api/leaderboard/submit';
+    const result = await apiFetch(endpoint, {
       method: 'POST',
       body: JSON.stringify(payload),
     });
@@ -156,6 +177,9 @@ export async function submitScore(params) {
  */
 export function buildRunDetails(store) {
   return {
+    seed: store.get('run', 'seed'),
+    aimModes: store.get('run', 'aimModes'),
+    arena: store.get('run', 'arena'),
     skills: {
       ranks: store.get('skills', 'skillRanks'),
       equippedPassives: store.get('skills', 'equippedPassives'),
@@ -17,7 +17,8 @@
  *
  * Supported stats (matching Player properties set by _syncPlayerFromSkills):
  *   damage, fireRate, rotationSpeed, pierceCount, explosionRadius, explosionDamageRatio,
- *   homingStrength, critChance, critDamageMultiplier, turnSpeedBonus
+ *   homingStrength, critChance, critDamageMultiplier, turnSpeedBonus, shieldCapacity, shieldRegen,
+ *   allyDamage, allyHp, allyFireRate, droneCount
  *
  * Event subscription format (returned by getEventListeners):
  *   { 'enemy:hit': this.onEnemyHit.bind(this), 'enemy:killed': this.onEnemyKill.bind(this) }
@@ -152,6 +153,19 @@ export class BaseSkillPlugin {
 		return null;
 	}
 
+	// ─── WORLD RENDERING ──────────────────────────────────────────────────────────
+
+	/**
+	 * Draw skill-owned objects that live in the arena (e.g. Sentinel barriers).
+	 * Called by SkillEffectEngine.render() after particles, before enemies.
+	 * Never called in headless runs, so keep simulation state out of here.
+	 *
+	 * @param {CanvasRenderingContext2D} ctx
+	 */
+	render(ctx) {
+		// Override in subclass if needed
+	}
+
 	// ─── UTILITIES ───────────────────────────────────────────────────────────────
 
 	/**
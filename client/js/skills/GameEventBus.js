@@ -9,7 +9,9 @@
  *   tick              – every frame update (payload: { delta })
  *   enemy:hit         – projectile damages an enemy (payload: { enemy, projectile, damage })
  *   enemy:killed      – enemy dies (payload: { enemy, position, type })
- *   player:damaged    – player takes damage (payload: { damage, source })
+ *   enemy:status      – status effect applied to an enemy (payload: { enemy, id, stacks, maxStacks })
+ *   player:damaged    – player takes damage (payload: { damage, source, enemy?, projectile? })
+ *   shield:broken     – player shield depleted (payload: { player, maxShieldHp })
  *   projectile:fired  – player fires a projectile (payload: { projectile })
  *   projectile:created – projectile object created (payload: { projectile })
  *   wave:started      – a wave begins (payload: { wave })
@@ -269,6 +269,17 @@ export class SkillEffectEngine {
 
 		return result;
 	}
+	// ─── WORLD RENDERING ─────────────────────────────────────────────────────────
+
+	/**
+	 * Let active plugins draw their arena objects.
+	 * @param {CanvasRenderingContext2D} ctx
+	 */
+	render(ctx) {
+		for (const plugin of this._activePlugins.values()) {
+			if (plugin.active) plugin.render(ctx);
+		}
+	}
 	// ─── QUERY ───────────────────────────────────────────────────────────────────
 
 	/**
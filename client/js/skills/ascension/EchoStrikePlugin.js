@@ -31,13 +31,13 @@ export class EchoStrikePlugin extends BaseSkillPlugin {
 		const e = this.getEffect();
 		const chance = e.echoChance || 0.15;
 
-		if (Math.random() >= chance) return;
+		if (!this.game.rng.crits.chance(chance)) return;
 
 		// Create a duplicate projectile with slight angle offset
 		const player = this.game.player;
 		if (!player || !this.game.projectilePool) return;
 
-		const echoAngle = angle + (Math.random() > 0.5 ? ECHO_ANGLE_OFFSET : -ECHO_ANGLE_OFFSET);
+		const echoAngle = angle + (this.game.rng.crits.chance(0.5) ? ECHO_ANGLE_OFFSET : -ECHO_ANGLE_OFFSET);
 
 		const echo = this.game.projectilePool.get(
 			player.x,
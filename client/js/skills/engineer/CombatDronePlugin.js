@@ -0,0 +1,82 @@
+/**
+ * @fileoverview CombatDronePlugin — Engineer passive: drones that orbit the player.
+ *
+ * Adds to the droneCount stat (Drone Bay stacks on top of it), resolved in
+ * Game._syncPlayerFromSkills(). The 'tick' listener keeps game.allies topped
+ * up to that count: new slots are filled at once, destroyed drones are
+ * rebuilt after a delay.
+ */
+
+import { BaseSkillPlugin } from '../BaseSkillPlugin.js';
+import { createDrone } from '../../allies/AllyFactory.js';
+
+export class CombatDronePlugin extends BaseSkillPlugin {
+	constructor(id, skillConfig) {
+		super(id, skillConfig);
+		/** @type {number} Time until destroyed drones are rebuilt (ms, 0 = none pending) */
+		this._rebuildTimer = 0;
+		/** @type {number} Drones alive after the previous tick, to notice losses */
+		this._droneTally = 0;
+	}
+
+	getModifiers(rank) {
+		return [
+			{ stat: 'droneCount', op: 'add', value: this.getEffect().dronesPerRank * rank },
+		];
+	}
+
+	getEventListeners() {
+		return {
+			'tick': this._onTick.bind(this),
+		};
+	}
+
+	/**
+	 * @param {import('../../Game.js').Game} game
+	 */
+	onUnequip(game) {
+		this._rebuildTimer = 0;
+		this._droneTally = 0;
+		if (!game?.allies) return;
+		game.allies = game.allies.filter(ally => ally.kind !== 'drone');
+	}
+
+	/**
+	 * @param {{ delta: number }} payload
+	 */
+	_onTick({ delta }) {
+		if (!this.game || !this.active) return;
+
+		const game = this.game;
+		const player = game.player;
+		const drones = /** @type {import('../../allies/Drone.js').Drone[]} */ (
+			game.allies.filter(ally => ally.kind === 'drone')
+		);
+
+		// Drone Bay ranks can be refunded — retire drones beyond the new count
+		while (drones.length > player.droneCount) {
+			const extra = drones.pop();
+			game.allies.splice(game.allies.indexOf(extra), 1);
+			this._droneTally--;
+		}
+
+		// A drone was destroyed since last tick — start the rebuild delay
+		if (drones.length < this._droneTally && this._rebuildTimer <= 0) {
+			this._rebuildTimer = this.getEffect().rebuildDelay;
+		}
+		this._droneTally = drones.length;
+
+		if (this._rebuildTimer > 0) {
+			this._rebuildTimer -= delta;
+			return;
+		}
+
+		// Space new drones evenly after the existing ones so the orbit stays spread out
+		const spacing = (Math.PI * 2) / Math.max(1, player.droneCount);
+		for (let i = drones.length; i < player.droneCount; i++) {
+			const orbitAngle = drones.length > 0 ? drones[0].orbitAngle + spacing * i : spacing * i;
+			game.allies.push(createDrone(player, orbitAngle, player.allyHpMod));
+			this._droneTally++;
+		}
+	}
+}
@@ -0,0 +1,50 @@
+/**
+ * @fileoverview DeployTurretPlugin — Engineer active: place an auto-firing turret.
+ *
+ * onCast() adds a Turret to game.allies at the player's position. Only
+ * `maxTurrets` turrets stand at once; deploying past the cap recycles the
+ * oldest one. The turret itself (targeting, firing, lifetime) lives in
+ * allies/Turret.js.
+ */
+
+import { BaseSkillPlugin } from '../BaseSkillPlugin.js';
+import { createTurret } from '../../allies/AllyFactory.js';
+import { playSFX, vfx } from '../../managers/RuntimeAdapters.js';
+const createFloatingText = vfx.createFloatingText;
+
+export class DeployTurretPlugin extends BaseSkillPlugin {
+	/**
+	 * @param {import('../../Game.js').Game} game
+	 * @param {{ skill: Object, rank: number }} skillInfo
+	 * @returns {boolean}
+	 */
+	onCast(game, { skill, rank }) {
+		const effect = skill.effect;
+		const player = game.player;
+
+		const turrets = game.allies.filter(ally => ally.kind === 'turret');
+		if (turrets.length >= effect.maxTurrets) {
+			const oldest = turrets[0];
+			game.allies.splice(game.allies.indexOf(oldest), 1);
+			game.createExplosion(oldest.x, oldest.y, 6);
+		}
+
+		const lifetime = effect.lifetime + effect.lifetimePerRank * (rank - 1);
+		game.allies.push(createTurret(player.x, player.y, player.allyHpMod, lifetime));
+
+		game.createExplosionRing(player.x, player.y, 40);
+		const { width, height } = game.getLogicalCanvasSize();
+		createFloatingText('TURRET DEPLOYED!', width / 2, height / 2 - 30, 'level-up');
+		playSFX('powerup');
+		return true;
+	}
+
+	/**
+	 * Unlearning the skill takes its turrets with it.
+	 * @param {import('../../Game.js').Game} game
+	 */
+	onUnequip(game) {
+		if (!game?.allies) return;
+		game.allies = game.allies.filter(ally => ally.kind !== 'turret');
+	}
+}
@@ -0,0 +1,15 @@
+/**
+ * @fileoverview DroneBayPlugin — Engineer passive: extra combat drones.
+ *
+ * Pure stat modifier — adds to droneCount; CombatDronePlugin builds the drones.
+ */
+
+import { BaseSkillPlugin } from '../BaseSkillPlugin.js';
+
+export class DroneBayPlugin extends BaseSkillPlugin {
+	getModifiers(rank) {
+		return [
+			{ stat: 'droneCount', op: 'add', value: this.getEffect().dronesPerRank * rank },
+		];
+	}
+}
@@ -0,0 +1,37 @@
+/**
+ * @fileoverview DroneSwarmPlugin — Engineer ultimate: temporary assault drone swarm.
+ *
+ * onCast() adds `droneCount` assault drones to game.allies, evenly spaced
+ * around the player. They expire on their own lifetime, so the plugin keeps
+ * no state of its own.
+ */
+
+import { BaseSkillPlugin } from '../BaseSkillPlugin.js';
+import { createAssaultDrone } from '../../allies/AllyFactory.js';
+import { playSFX, vfx } from '../../managers/RuntimeAdapters.js';
+const createFloatingText = vfx.createFloatingText;
+const screenFlash = vfx.screenFlash;
+
+export class DroneSwarmPlugin extends BaseSkillPlugin {
+	/**
+	 * @param {import('../../Game.js').Game} game
+	 * @param {{ skill: Object, rank: number }} skillInfo
+	 * @returns {boolean}
+	 */
+	onCast(game, { skill }) {
+		const effect = skill.effect;
+		const player = game.player;
+		for (let i = 0; i < effect.droneCount; i++) {
+			const orbitAngle = (Math.PI * 2 / effect.droneCount) * i;
+			game.allies.push(createAssaultDrone(player, orbitAngle, player.allyHpMod, effect.duration));
+		}
+
+		game.createExplosionRing(player.x, player.y, 120);
+		game.effectsManager.addScreenShake(6, 300);
+		const { width, height } = game.getLogicalCanvasSize();
+		createFloatingText('DRONE SWARM!', width / 2, height / 2 - 30, 'milestone-major');
+		screenFlash();
+		playSFX('boss_summon_minions');
+		return true;
+	}
+}
@@ -0,0 +1,36 @@
+/**
+ * @fileoverview OverdriveProtocolPlugin — Engineer active: ally fire rate and damage surge.
+ *
+ * onCast() activates the 'allyOverdrive' skill buff (ticked by Player, read by
+ * Ally.update()) and repairs every ally.
+ */
+
+import { BaseSkillPlugin } from '../BaseSkillPlugin.js';
+import { playSFX, vfx } from '../../managers/RuntimeAdapters.js';
+const createFloatingText = vfx.createFloatingText;
+
+export class OverdriveProtocolPlugin extends BaseSkillPlugin {
+	/**
+	 * @param {import('../../Game.js').Game} game
+	 * @param {{ skill: Object, rank: number }} skillInfo
+	 * @returns {boolean}
+	 */
+	onCast(game, { skill, rank }) {
+		const effect = skill.effect;
+		game.player.activateSkillBuff('allyOverdrive', {
+			fireRateMultiplier: effect.fireRateMultiplier,
+			damageMultiplier: effect.damageMultiplier,
+			duration: effect.duration + effect.durationPerRank * (rank - 1),
+		});
+
+		for (const ally of game.allies) {
+			ally.heal(ally.maxHp * effect.repairPercent);
+			game.createExplosionRing(ally.x, ally.y, ally.radius * 2.5);
+		}
+
+		const { width, height } = game.getLogicalCanvasSize();
+		createFloatingText('OVERDRIVE!', width / 2, height / 2 - 30, 'level-up');
+		playSFX('powerup');
+		return true;
+	}
+}
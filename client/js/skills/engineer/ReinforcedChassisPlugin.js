@@ -0,0 +1,15 @@
+/**
+ * @fileoverview ReinforcedChassisPlugin — Engineer passive: tougher turrets and drones.
+ *
+ * Pure stat modifier — scales allyHp, read when an ally is built.
+ */
+
+import { BaseSkillPlugin } from '../BaseSkillPlugin.js';
+
+export class ReinforcedChassisPlugin extends BaseSkillPlugin {
+	getModifiers(rank) {
+		return [
+			{ stat: 'allyHp', op: 'multiply', value: 1 + this.getEffect().hpBonusPerRank * rank },
+		];
+	}
+}
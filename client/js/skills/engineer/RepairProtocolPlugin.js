@@ -0,0 +1,38 @@
+/**
+ * @fileoverview RepairProtocolPlugin — Engineer passive: drones heal, allies self-repair.
+ *
+ * Event-driven plugin — subscribes to 'tick'.
+ * Every drone (combat or assault) heals the player a flat amount per second,
+ * and every ally regenerates a percentage of its own max HP per second.
+ */
+
+import { BaseSkillPlugin } from '../BaseSkillPlugin.js';
+
+export class RepairProtocolPlugin extends BaseSkillPlugin {
+	getEventListeners() {
+		return {
+			'tick': this._onTick.bind(this),
+		};
+	}
+
+	/**
+	 * @param {{ delta: number }} payload
+	 */
+	_onTick({ delta }) {
+		if (!this.game || !this.active) return;
+
+		const e = this.getEffect();
+		const seconds = delta / 1000;
+		let droneCount = 0;
+		for (const ally of this.game.allies) {
+			if (ally.isDrone) droneCount++;
+			ally.heal(ally.maxHp * e.allyRegenPercent * seconds);
+		}
+
+		const player = this.game.player;
+		if (droneCount > 0 && player.hp < player.maxHp) {
+			const healPerDrone = e.healPerDrone + e.healPerRank * (this.rank - 1);
+			player.heal(healPerDrone * droneCount * seconds);
+		}
+	}
+}
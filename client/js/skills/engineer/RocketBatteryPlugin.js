@@ -0,0 +1,20 @@
+/**
+ * @fileoverview RocketBatteryPlugin — Engineer passive: explosive ally shots.
+ *
+ * Config-driven — installs player.allyRockets, which Ally.fire() turns into
+ * explosive projectiles.
+ */
+
+import { BaseSkillPlugin } from '../BaseSkillPlugin.js';
+
+export class RocketBatteryPlugin extends BaseSkillPlugin {
+	getPlayerConfig(rank) {
+		const e = this.getEffect();
+		return {
+			allyRockets: {
+				radius: e.radius + e.radiusPerRank * (rank - 1),
+				damageRatio: e.damageRatio,
+			},
+		};
+	}
+}
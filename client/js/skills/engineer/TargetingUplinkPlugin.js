@@ -0,0 +1,21 @@
+/**
+ * @fileoverview TargetingUplinkPlugin — Engineer passive: harder-hitting allies.
+ *
+ * Pure stat modifier — scales allyDamage, read by Ally.fire().
+ */
+
+import { BaseSkillPlugin } from '../BaseSkillPlugin.js';
+
+export class TargetingUplinkPlugin extends BaseSkillPlugin {
+	getModifiers(rank) {
+		return [
+			{ stat: 'allyDamage', op: 'multiply', value: 1 + this.getEffect().damageBonusPerRank * rank },
+		];
+	}
+
+	getVisualOverrides() {
+		return {
+			overlays: [{ type: 'ring', color: '#44ff44', radius: 6, alpha: 0.3, pulse: true }],
+		};
+	}
+}
@@ -0,0 +1,15 @@
+/**
+ * @fileoverview TurretOverclockPlugin — Engineer passive: faster-firing allies.
+ *
+ * Pure stat modifier — scales allyFireRate, read by Ally.update() every tick.
+ */
+
+import { BaseSkillPlugin } from '../BaseSkillPlugin.js';
+
+export class TurretOverclockPlugin extends BaseSkillPlugin {
+	getModifiers(rank) {
+		return [
+			{ stat: 'allyFireRate', op: 'multiply', value: 1 + this.getEffect().fireRateBonusPerRank * rank },
+		];
+	}
+}
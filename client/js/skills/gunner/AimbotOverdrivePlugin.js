@@ -3,10 +3,9 @@
  */
 
 import { BaseSkillPlugin } from '../BaseSkillPlugin.js';
-import { playSFX } from '../../main.js';
-import { vfxHelper } from '../../managers/VFXHelper.js';
-const createFloatingText = vfxHelper.createFloatingText.bind(vfxHelper);
-const screenFlash = vfxHelper.screenFlash.bind(vfxHelper);
+import { playSFX, vfx } from '../../managers/RuntimeAdapters.js';
+const createFloatingText = vfx.createFloatingText;
+const screenFlash = vfx.screenFlash;
 
 export class AimbotOverdrivePlugin extends BaseSkillPlugin {
 	/** Passive: homing projectiles (merged from Homing Rounds) */
@@ -3,9 +3,8 @@
  */
 
 import { BaseSkillPlugin } from '../BaseSkillPlugin.js';
-import { playSFX } from '../../main.js';
-import { vfxHelper } from '../../managers/VFXHelper.js';
-const createFloatingText = vfxHelper.createFloatingText.bind(vfxHelper);
+import { playSFX, vfx } from '../../managers/RuntimeAdapters.js';
+const createFloatingText = vfx.createFloatingText;
 
 export class FocusedFirePlugin extends BaseSkillPlugin {
 	/**
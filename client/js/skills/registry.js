@@ -34,6 +34,42 @@ import { NeonNovaPlugin } from './technomancer/NeonNovaPlugin.js';
 import { MeltdownPlugin } from './technomancer/MeltdownPlugin.js';
 import { LightningCascadePlugin } from './technomancer/LightningCascadePlugin.js';
 
+// ── Sentinel plugins ──
+import { FortifyPlugin } from './sentinel/FortifyPlugin.js';
+import { SpikedPlatingPlugin } from './sentinel/SpikedPlatingPlugin.js';
+import { ShieldBashPlugin } from './sentinel/ShieldBashPlugin.js';
+import { EmergencyRechargePlugin } from './sentinel/EmergencyRechargePlugin.js';
+import { KineticRepulsorPlugin } from './sentinel/KineticRepulsorPlugin.js';
+import { TauntingBarrierPlugin } from './sentinel/TauntingBarrierPlugin.js';
+import { AegisRegenPlugin } from './sentinel/AegisRegenPlugin.js';
+import { UnbreakablePlugin } from './sentinel/UnbreakablePlugin.js';
+import { AegisPulsePlugin } from './sentinel/AegisPulsePlugin.js';
+import { BastionPlugin } from './sentinel/BastionPlugin.js';
+
+// ── Engineer plugins ──
+import { DeployTurretPlugin } from './engineer/DeployTurretPlugin.js';
+import { CombatDronePlugin } from './engineer/CombatDronePlugin.js';
+import { ReinforcedChassisPlugin } from './engineer/ReinforcedChassisPlugin.js';
+import { TurretOverclockPlugin } from './engineer/TurretOverclockPlugin.js';
+import { RepairProtocolPlugin } from './engineer/RepairProtocolPlugin.js';
+import { TargetingUplinkPlugin } from './engineer/TargetingUplinkPlugin.js';
+import { RocketBatteryPlugin } from './engineer/RocketBatteryPlugin.js';
+import { DroneBayPlugin } from './engineer/DroneBayPlugin.js';
+import { OverdriveProtocolPlugin } from './engineer/OverdriveProtocolPlugin.js';
+import { DroneSwarmPlugin } from './engineer/DroneSwarmPlugin.js';
+
+// ── Tactician plugins ──
+import { MarkTargetPlugin } from './tactician/MarkTargetPlugin.js';
+import { ExploitWeaknessPlugin } from './tactician/ExploitWeaknessPlugin.js';
+import { FlashbangPlugin } from './tactician/FlashbangPlugin.js';
+import { HuntersFocusPlugin } from './tactician/HuntersFocusPlugin.js';
+import { BreakingPointPlugin } from './tactician/BreakingPointPlugin.js';
+import { SnareFieldPlugin } from './tactician/SnareFieldPlugin.js';
+import { DeathMarkPlugin } from './tactician/DeathMarkPlugin.js';
+import { WeakPointPlugin } from './tactician/WeakPointPlugin.js';
+import { ArtilleryCallPlugin } from './tactician/ArtilleryCallPlugin.js';
+import { TacticalStrikePlugin } from './tactician/TacticalStrikePlugin.js';
+
 // ── Ascension plugins ──
 import { LifeStealPlugin } from './ascension/LifeStealPlugin.js';
 import { GlassCannonPlugin } from './ascension/GlassCannonPlugin.js';
@@ -78,6 +114,42 @@ export const SKILL_PLUGIN_REGISTRY = new Map(/** @type {Array<[string, typeof im
 	['techno_meltdown', MeltdownPlugin],
 	['techno_lightning_cascade', LightningCascadePlugin],
 
+	// ── Sentinel ──
+	['sentinel_fortify', FortifyPlugin],
+	['sentinel_spiked_plating', SpikedPlatingPlugin],
+	['sentinel_shield_bash', ShieldBashPlugin],
+	['sentinel_emergency_recharge', EmergencyRechargePlugin],
+	['sentinel_kinetic_repulsor', KineticRepulsorPlugin],
+	['sentinel_taunt_barrier', TauntingBarrierPlugin],
+	['sentinel_aegis_regen', AegisRegenPlugin],
+	['sentinel_unbreakable', UnbreakablePlugin],
+	['sentinel_aegis_pulse', AegisPulsePlugin],
+	['sentinel_bastion', BastionPlugin],
+
+	// ── Engineer ──
+	['engineer_deploy_turret', DeployTurretPlugin],
+	['engineer_combat_drone', CombatDronePlugin],
+	['engineer_reinforced_chassis', ReinforcedChassisPlugin],
+	['engineer_turret_overclock', TurretOverclockPlugin],
+	['engineer_repair_protocol', RepairProtocolPlugin],
+	['engineer_targeting_uplink', TargetingUplinkPlugin],
+	['engineer_rocket_battery', RocketBatteryPlugin],
+	['engineer_drone_bay', DroneBayPlugin],
+	['engineer_overdrive_protocol', OverdriveProtocolPlugin],
+	['engineer_drone_swarm', DroneSwarmPlugin],
+
+	// ── Tactician ──
+	['tactician_mark_target', MarkTargetPlugin],
+	['tactician_exploit_weakness', ExploitWeaknessPlugin],
+	['tactician_flashbang', FlashbangPlugin],
+	['tactician_hunters_focus', HuntersFocusPlugin],
+	['tactician_breaking_point', BreakingPointPlugin],
+	['tactician_snare_field', SnareFieldPlugin],
+	['tactician_death_mark', DeathMarkPlugin],
+	['tactician_weak_point', WeakPointPlugin],
+	['tactician_artillery_call', ArtilleryCallPlugin],
+	['tactician_tactical_strike', TacticalStrikePlugin],
+
 	// ── Ascension modifiers ──
 	['asc_vampiric', LifeStealPlugin],
 	['asc_glass_cannon', GlassCannonPlugin],
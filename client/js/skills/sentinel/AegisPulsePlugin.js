@@ -0,0 +1,37 @@
+/**
+ * @fileoverview AegisPulsePlugin — Sentinel active: shield refill + knockback wave.
+ * Restores the shield to full, then damages (max shield, min 40) and pushes back
+ * every enemy in range (+40px radius per rank).
+ */
+
+import { BaseSkillPlugin } from '../BaseSkillPlugin.js';
+import { dealAreaDamage, applyAreaKnockback } from '../../utils/AOEUtils.js';
+import { playSFX, vfx } from '../../managers/RuntimeAdapters.js';
+const createFloatingText = vfx.createFloatingText;
+const screenFlash = vfx.screenFlash;
+
+export class AegisPulsePlugin extends BaseSkillPlugin {
+	/**
+	 * @param {import('../../Game.js').Game} game
+	 * @param {{ skill: Object, rank: number }} skillInfo
+	 * @returns {boolean}
+	 */
+	onCast(game, { skill, rank }) {
+		const effect = skill.effect;
+		const player = game.player;
+		const radius = effect.radius + effect.radiusPerRank * (rank - 1);
+		const damage = Math.max(effect.minDamage, player.maxShieldHp * effect.shieldDamageRatio);
+
+		player.healShield(player.maxShieldHp);
+		const hits = dealAreaDamage(game.enemies, player.x, player.y, radius, { damage });
+		applyAreaKnockback(game.enemies, player.x, player.y, radius, effect.knockback);
+
+		game.createExplosionRing(player.x, player.y, radius);
+		game.effectsManager.addScreenShake(8, 300);
+		const { width, height } = game.getLogicalCanvasSize();
+		createFloatingText(`AEGIS PULSE! (${hits.length} hit)`, width / 2, height / 2 - 30, 'level-up');
+		screenFlash();
+		playSFX('powerup');
+		return true;
+	}
+}
@@ -0,0 +1,37 @@
+/**
+ * @fileoverview AegisRegenPlugin — Sentinel passive: heal while the shield is full.
+ *
+ * Event-driven plugin — subscribes to 'tick'.
+ * Restores a percentage of max HP per second while shieldHp is at capacity.
+ */
+
+import { BaseSkillPlugin } from '../BaseSkillPlugin.js';
+
+export class AegisRegenPlugin extends BaseSkillPlugin {
+	getEventListeners() {
+		return {
+			'tick': this._onTick.bind(this),
+		};
+	}
+
+	/**
+	 * @param {{ delta: number }} payload
+	 */
+	_onTick({ delta }) {
+		if (!this.game || !this.active) return;
+
+		const player = this.game.player;
+		if (!player.hasShield || player.maxShieldHp <= 0 || player.shieldHp < player.maxShieldHp) return;
+		if (player.hp >= player.maxHp) return;
+
+		const e = this.getEffect();
+		const percent = e.healPercent + e.healPerRank * (this.rank - 1);
+		player.heal(player.maxHp * percent * (delta / 1000));
+	}
+
+	getVisualOverrides() {
+		return {
+			overlays: [{ type: 'radialGlow', color: '#44aaff', radius: 18, alpha: 0.4, pulse: true }],
+		};
+	}
+}
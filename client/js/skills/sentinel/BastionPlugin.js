@@ -0,0 +1,87 @@
+/**
+ * @fileoverview BastionPlugin — Sentinel ultimate: invulnerable knockback fortress.
+ *
+ * onCast() grants Barrier Phase for the full duration (without touching the
+ * Unbreakable cooldown). The 'tick' listener fires the periodic shockwaves
+ * and refills the shield when Bastion ends.
+ */
+
+import { BaseSkillPlugin } from '../BaseSkillPlugin.js';
+import { dealAreaDamage, applyAreaKnockback } from '../../utils/AOEUtils.js';
+import { playSFX, vfx } from '../../managers/RuntimeAdapters.js';
+const createFloatingText = vfx.createFloatingText;
+const screenFlash = vfx.screenFlash;
+
+export class BastionPlugin extends BaseSkillPlugin {
+	constructor(id, skillConfig) {
+		super(id, skillConfig);
+		/** @type {number} Time left on the active Bastion (ms, 0 = inactive) */
+		this._remaining = 0;
+		/** @type {number} Time until the next shockwave (ms) */
+		this._pulseTimer = 0;
+	}
+
+	getEventListeners() {
+		return {
+			'tick': this._onTick.bind(this),
+		};
+	}
+
+	/**
+	 * @param {import('../../Game.js').Game} game
+	 * @param {{ skill: Object, rank: number }} skillInfo
+	 * @returns {boolean}
+	 */
+	onCast(game, { skill }) {
+		const effect = skill.effect;
+		game.player.activateBarrierPhase(effect.duration, false);
+		this._remaining = effect.duration;
+		this._pulseTimer = effect.pulseInterval;
+		this._pulse(game);
+
+		game.effectsManager.addScreenShake(10, 400);
+		const { width, height } = game.getLogicalCanvasSize();
+		createFloatingText('BASTION!', width / 2, height / 2 - 30, 'milestone-major');
+		screenFlash();
+		playSFX('boss_defeat');
+		return true;
+	}
+
+	/**
+	 * @param {{ delta: number }} payload
+	 */
+	_onTick({ delta }) {
+		if (!this.game || !this.active || this._remaining <= 0) return;
+
+		this._remaining -= delta;
+		if (this._remaining <= 0) {
+			this._remaining = 0;
+			const player = this.game.player;
+			player.healShield(player.maxShieldHp);
+			this.game.createExplosionRing(player.x, player.y, player.radius * 3);
+			return;
+		}
+
+		this._pulseTimer -= delta;
+		if (this._pulseTimer <= 0) {
+			this._pulseTimer += this.getEffect().pulseInterval;
+			this._pulse(this.game);
+		}
+	}
+
+	/** @param {import('../../Game.js').Game} game */
+	_pulse(game) {
+		const effect = this.getEffect();
+		const px = game.player.x;
+		const py = game.player.y;
+
+		dealAreaDamage(game.enemies, px, py, effect.radius, {
+			// Bosses take a token share — a full Bastion must not erase one
+			calcDamage: (enemy) => enemy.maxHealth * (enemy.isBoss ? effect.bossDamagePercent : effect.damagePercent),
+		});
+		applyAreaKnockback(game.enemies, px, py, effect.radius, effect.knockback);
+
+		game.createExplosionRing(px, py, effect.radius);
+		game.effectsManager.addScreenShake(4, 150);
+	}
+}
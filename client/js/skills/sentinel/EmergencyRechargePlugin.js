@@ -0,0 +1,58 @@
+/**
+ * @fileoverview EmergencyRechargePlugin — Sentinel passive: delayed shield restore on break.
+ *
+ * Event-driven plugin — subscribes to 'shield:broken' and 'tick'.
+ * A break schedules a recharge of part of the shield capacity after a short
+ * delay; the recharge then goes on an internal cooldown.
+ */
+
+import { BaseSkillPlugin } from '../BaseSkillPlugin.js';
+import { playSFX } from '../../managers/RuntimeAdapters.js';
+
+export class EmergencyRechargePlugin extends BaseSkillPlugin {
+	constructor(id, skillConfig) {
+		super(id, skillConfig);
+		/** @type {number} Time until the scheduled recharge lands (ms, 0 = none pending) */
+		this._rechargeTimer = 0;
+		/** @type {number} Remaining internal cooldown (ms) */
+		this._cooldown = 0;
+	}
+
+	getEventListeners() {
+		return {
+			'shield:broken': this._onShieldBroken.bind(this),
+			'tick': this._onTick.bind(this),
+		};
+	}
+
+	_onShieldBroken() {
+		if (!this.game || !this.active) return;
+		if (this._cooldown > 0 || this._rechargeTimer > 0) return;
+
+		const e = this.getEffect();
+		this._rechargeTimer = e.delay;
+		this._cooldown = e.rechargeCooldown;
+	}
+
+	/**
+	 * @param {{ delta: number }} payload
+	 */
+	_onTick({ delta }) {
+		if (!this.game || !this.active) return;
+
+		if (this._cooldown > 0) this._cooldown -= delta;
+		if (this._rechargeTimer <= 0) return;
+
+		this._rechargeTimer -= delta;
+		if (this._rechargeTimer > 0) return;
+		this._rechargeTimer = 0;
+
+		const e = this.getEffect();
+		const player = this.game.player;
+		const percent = e.restorePercent + e.restorePerRank * (this.rank - 1);
+		if (player.healShield(player.maxShieldHp * percent)) {
+			this.game.createExplosionRing?.(player.x, player.y, player.radius * 3);
+			playSFX('player_shield_hit');
+		}
+	}
+}
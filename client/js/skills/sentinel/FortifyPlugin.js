@@ -0,0 +1,25 @@
+/**
+ * @fileoverview FortifyPlugin — Sentinel passive: extra shield capacity and regen.
+ *
+ * Pure stat modifier — adds to shieldCapacity and scales shieldRegen, both
+ * resolved in Game._syncPlayerFromSkills(). Capacity from this skill alone is
+ * enough to give the player a shield.
+ */
+
+import { BaseSkillPlugin } from '../BaseSkillPlugin.js';
+
+export class FortifyPlugin extends BaseSkillPlugin {
+	getModifiers(rank) {
+		const e = this.getEffect();
+		return [
+			{ stat: 'shieldCapacity', op: 'add', value: e.shieldPerRank * rank },
+			{ stat: 'shieldRegen', op: 'multiply', value: 1 + e.regenBonusPerRank * rank },
+		];
+	}
+
+	getVisualOverrides() {
+		return {
+			overlays: [{ type: 'ring', color: '#44aaff', radius: 6, alpha: 0.35, pulse: false }],
+		};
+	}
+}
@@ -0,0 +1,30 @@
+/**
+ * @fileoverview KineticRepulsorPlugin — Sentinel passive: getting hit pushes enemies away.
+ *
+ * Event-driven plugin — subscribes to 'player:damaged'.
+ * Every hit knocks back all enemies around the player (+20px radius per rank).
+ */
+
+import { BaseSkillPlugin } from '../BaseSkillPlugin.js';
+import { applyAreaKnockback } from '../../utils/AOEUtils.js';
+
+export class KineticRepulsorPlugin extends BaseSkillPlugin {
+	getEventListeners() {
+		return {
+			'player:damaged': this._onPlayerDamaged.bind(this),
+		};
+	}
+
+	_onPlayerDamaged() {
+		if (!this.game || !this.active) return;
+
+		const e = this.getEffect();
+		const radius = e.radius + e.radiusPerRank * (this.rank - 1);
+		const player = this.game.player;
+
+		const pushed = applyAreaKnockback(this.game.enemies, player.x, player.y, radius, e.knockback);
+		if (pushed.length > 0) {
+			this.game.createExplosionRing?.(player.x, player.y, radius);
+		}
+	}
+}
@@ -0,0 +1,35 @@
+/**
+ * @fileoverview ShieldBashPlugin — Sentinel active: close-range slam with knockback.
+ * Deals 150% weapon damage to enemies within 150px and pushes them away (+40px per rank).
+ */
+
+import { BaseSkillPlugin } from '../BaseSkillPlugin.js';
+import { GameConfig } from '../../config/GameConfig.js';
+import { dealAreaDamage, applyAreaKnockback } from '../../utils/AOEUtils.js';
+import { playSFX, vfx } from '../../managers/RuntimeAdapters.js';
+const createFloatingText = vfx.createFloatingText;
+
+export class ShieldBashPlugin extends BaseSkillPlugin {
+	/**
+	 * @param {import('../../Game.js').Game} game
+	 * @param {{ skill: Object, rank: number }} skillInfo
+	 * @returns {boolean}
+	 */
+	onCast(game, { skill, rank }) {
+		const effect = skill.effect;
+		const knockback = effect.knockback + effect.knockbackPerRank * (rank - 1);
+		const damage = GameConfig.PLAYER.BASE_DAMAGE * game.player.damageMod * effect.damageRatio;
+		const px = game.player.x;
+		const py = game.player.y;
+
+		dealAreaDamage(game.enemies, px, py, effect.radius, { damage });
+		applyAreaKnockback(game.enemies, px, py, effect.radius, knockback);
+
+		game.createExplosionRing(px, py, effect.radius);
+		game.effectsManager.addScreenShake(5, 200);
+		const { width, height } = game.getLogicalCanvasSize();
+		createFloatingText('SHIELD BASH!', width / 2, height / 2 - 30, 'level-up');
+		playSFX('player_shield_hit');
+		return true;
+	}
+}
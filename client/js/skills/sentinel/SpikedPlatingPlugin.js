@@ -0,0 +1,36 @@
+/**
+ * @fileoverview SpikedPlatingPlugin — Sentinel passive: reflect damage taken.
+ *
+ * Event-driven plugin — subscribes to 'player:damaged'.
+ * Every hit (contact or enemy projectile, even one fully absorbed by the shield
+ * or by Barrier Phase) deals a share of its damage to all enemies near the player.
+ */
+
+import { BaseSkillPlugin } from '../BaseSkillPlugin.js';
+import { dealAreaDamage } from '../../utils/AOEUtils.js';
+
+export class SpikedPlatingPlugin extends BaseSkillPlugin {
+	getEventListeners() {
+		return {
+			'player:damaged': this._onPlayerDamaged.bind(this),
+		};
+	}
+
+	/**
+	 * @param {{ damage: number }} payload
+	 */
+	_onPlayerDamaged({ damage }) {
+		if (!this.game || !this.active || damage <= 0) return;
+
+		const e = this.getEffect();
+		const ratio = e.reflectRatio + e.reflectPerRank * (this.rank - 1);
+		const player = this.game.player;
+
+		const hits = dealAreaDamage(this.game.enemies, player.x, player.y, e.reflectRadius, {
+			damage: damage * ratio,
+		});
+		for (const { enemy } of hits) {
+			this.game.effectsManager?.createHitEffect(enemy.x, enemy.y);
+		}
+	}
+}
@@ -0,0 +1,123 @@
+/**
+ * @fileoverview TauntingBarrierPlugin — Sentinel active: deployable decoy barrier.
+ *
+ * Active skill with its own arena object. On cast a barrier is placed at the
+ * player's position; every tick ('tick' event) it taunts nearby non-boss
+ * enemies, soaks their contact damage, reflects part of it and knocks them
+ * back. The barrier falls when its HP or duration runs out.
+ */
+
+import { BaseSkillPlugin } from '../BaseSkillPlugin.js';
+import { playSFX, vfx } from '../../managers/RuntimeAdapters.js';
+const createFloatingText = vfx.createFloatingText;
+
+/** Taunts are refreshed every tick, so they lapse shortly after the barrier falls */
+const TAUNT_REFRESH_MS = 250;
+
+export class TauntingBarrierPlugin extends BaseSkillPlugin {
+	constructor(id, skillConfig) {
+		super(id, skillConfig);
+		/** @type {{x: number, y: number, radius: number, hp: number, maxHp: number, remaining: number}|null} */
+		this._barrier = null;
+	}
+
+	getEventListeners() {
+		return {
+			'tick': this._onTick.bind(this),
+		};
+	}
+
+	onUnequip() {
+		this._barrier = null;
+	}
+
+	/**
+	 * @param {import('../../Game.js').Game} game
+	 * @param {{ skill: Object, rank: number }} skillInfo
+	 * @returns {boolean}
+	 */
+	onCast(game, { skill, rank }) {
+		const effect = skill.effect;
+		const maxHp = effect.barrierHp + effect.hpPerRank * (rank - 1);
+		this._barrier = {
+			x: game.player.x,
+			y: game.player.y,
+			radius: effect.radius,
+			hp: maxHp,
+			maxHp,
+			remaining: effect.duration,
+		};
+
+		game.createExplosionRing(game.player.x, game.player.y, effect.tauntRadius);
+		const { width, height } = game.getLogicalCanvasSize();
+		createFloatingText('TAUNTING BARRIER!', width / 2, height / 2 - 30, 'level-up');
+		playSFX('player_barrier_on');
+		return true;
+	}
+
+	/**
+	 * @param {{ delta: number }} payload
+	 */
+	_onTick({ delta }) {
+		const barrier = this._barrier;
+		if (!this.game || !this.active || !barrier) return;
+
+		const e = this.getEffect();
+		const tauntRadiusSq = e.tauntRadius * e.tauntRadius;
+
+		for (const enemy of this.game.enemies) {
+			if (enemy.isBoss || enemy.dying || enemy.health <= 0) continue;
+
+			const dx = enemy.x - barrier.x;
+			const dy = enemy.y - barrier.y;
+			const distSq = dx * dx + dy * dy;
+			if (distSq > tauntRadiusSq) continue;
+
+			enemy.taunt(barrier, TAUNT_REFRESH_MS);
+
+			const contact = barrier.radius + enemy.radius;
+			if (distSq <= contact * contact) {
+				barrier.hp -= enemy.damage;
+				enemy.takeDamage(enemy.damage * e.reflectRatio);
+				enemy.applyKnockback(barrier.x, barrier.y, e.knockback);
+				this.game.effectsManager?.createHitEffect(enemy.x, enemy.y);
+			}
+		}
+
+		barrier.remaining -= delta;
+		if (barrier.hp <= 0 || barrier.remaining <= 0) {
+			this.game.createExplosionRing?.(barrier.x, barrier.y, barrier.radius * 2);
+			if (barrier.hp <= 0) playSFX('player_shield_break');
+			this._barrier = null;
+		}
+	}
+
+	/** @param {CanvasRenderingContext2D} ctx */
+	render(ctx) {
+		const barrier = this._barrier;
+		if (!barrier) return;
+
+		const hpRatio = Math.max(0, barrier.hp / barrier.maxHp);
+		ctx.save();
+		ctx.strokeStyle = '#44aaff';
+		ctx.fillStyle = 'rgba(68, 170, 255, 0.15)';
+		ctx.shadowColor = '#44aaff';
+		ctx.shadowBlur = 15;
+		ctx.lineWidth = 2 + hpRatio * 3;
+		ctx.globalAlpha = 0.4 + hpRatio * 0.6;
+		ctx.beginPath();
+		ctx.arc(barrier.x, barrier.y, barrier.radius, 0, Math.PI * 2);
+		ctx.fill();
+		ctx.stroke();
+
+		// Taunt range hint
+		ctx.shadowBlur = 0;
+		ctx.lineWidth = 1;
+		ctx.globalAlpha = 0.15;
+		ctx.setLineDash([6, 8]);
+		ctx.beginPath();
+		ctx.arc(barrier.x, barrier.y, this.getEffect().tauntRadius, 0, Math.PI * 2);
+		ctx.stroke();
+		ctx.restore();
+	}
+}
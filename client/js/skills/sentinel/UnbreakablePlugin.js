@@ -0,0 +1,18 @@
+/**
+ * @fileoverview UnbreakablePlugin — Sentinel passive: low-HP Barrier Phase.
+ * Provides the hasBarrierPhase config consumed by Player.js, which triggers
+ * activateBarrierPhase() when HP drops to barrierPhaseThreshold.
+ */
+
+import { BaseSkillPlugin } from '../BaseSkillPlugin.js';
+
+export class UnbreakablePlugin extends BaseSkillPlugin {
+	/** @param {number} rank */
+	getPlayerConfig(rank) {
+		const effect = this.skillConfig.effect;
+		return {
+			hasBarrierPhase: true,
+			barrierPhaseMaxCooldown: effect.barrierCooldown - effect.cooldownReductionPerRank * (rank - 1),
+		};
+	}
+}
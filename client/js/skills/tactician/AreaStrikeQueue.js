@@ -0,0 +1,129 @@
+/**
+ * @fileoverview AreaStrikeQueue — delayed, telegraphed area strikes for Tactician actives.
+ *
+ * A strike is pinned to a ground position when it is called in. Until it lands
+ * a warning circle fills in on the canvas, so enemies (and the player) can
+ * see where it will hit. Owning plugins drive the queue from their 'tick'
+ * listener and render() hook.
+ */
+
+import { dealAreaDamage } from '../../utils/AOEUtils.js';
+import { playSFX } from '../../managers/RuntimeAdapters.js';
+
+/**
+ * @typedef {Object} AreaStrike
+ * @property {number} x - Impact centre X
+ * @property {number} y - Impact centre Y
+ * @property {number} radius - Blast radius (px)
+ * @property {number} damage - Damage per enemy hit
+ * @property {number} delay - Total time from call-in to impact (ms)
+ * @property {number} remaining - Time left until impact (ms)
+ * @property {((hits: {enemy: Object, damage: number, distance: number}[]) => void)|null} onImpact
+ */
+
+export class AreaStrikeQueue {
+	/**
+	 * @param {string} color - Telegraph color
+	 */
+	constructor(color) {
+		this.color = color;
+		/** @type {AreaStrike[]} */
+		this.strikes = [];
+	}
+
+	/**
+	 * Call in a strike at a fixed position.
+	 * @param {number} x
+	 * @param {number} y
+	 * @param {Object} opts
+	 * @param {number} opts.delay - Time until impact (ms)
+	 * @param {number} opts.radius - Blast radius (px)
+	 * @param {number} opts.damage - Damage per enemy hit
+	 * @param {AreaStrike['onImpact']} [opts.onImpact] - Called with the enemies hit
+	 */
+	schedule(x, y, { delay, radius, damage, onImpact = null }) {
+		this.strikes.push({ x, y, radius, damage, delay, remaining: delay, onImpact });
+	}
+
+	/**
+	 * Count down pending strikes and resolve the ones that land.
+	 * @param {number} delta - Time elapsed since last update (ms)
+	 * @param {import('../../Game.js').Game} game
+	 */
+	update(delta, game) {
+		for (let i = this.strikes.length - 1; i >= 0; i--) {
+			const strike = this.strikes[i];
+			strike.remaining -= delta;
+			if (strike.remaining > 0) continue;
+
+			this.strikes.splice(i, 1);
+			const hits = dealAreaDamage(game.enemies, strike.x, strike.y, strike.radius, { damage: strike.damage });
+			game.createExplosion(strike.x, strike.y, 12);
+			game.createExplosionRing(strike.x, strike.y, strike.radius);
+			game.effectsManager.addScreenShake(6, 200);
+			playSFX('impact_explosion_big');
+			strike.onImpact?.(hits);
+		}
+	}
+
+	clear() {
+		this.strikes = [];
+	}
+
+	/** @param {CanvasRenderingContext2D} ctx */
+	render(ctx) {
+		if (this.strikes.length === 0) return;
+
+		ctx.save();
+		ctx.strokeStyle = this.color;
+		ctx.fillStyle = this.color;
+		for (const strike of this.strikes) {
+			const progress = 1 - Math.max(0, strike.remaining) / strike.delay;
+
+			// Outer warning ring
+			ctx.globalAlpha = 0.6;
+			ctx.lineWidth = 2;
+			ctx.setLineDash([8, 6]);
+			ctx.beginPath();
+			ctx.arc(strike.x, strike.y, strike.radius, 0, Math.PI * 2);
+			ctx.stroke();
+			ctx.setLineDash([]);
+
+			// Fill grows toward the rim as impact approaches
+			ctx.globalAlpha = 0.12 + progress * 0.18;
+			ctx.beginPath();
+			ctx.arc(strike.x, strike.y, strike.radius * progress, 0, Math.PI * 2);
+			ctx.fill();
+
+			// Crosshair
+			ctx.globalAlpha = 0.8;
+			ctx.lineWidth = 1.5;
+			const arm = strike.radius * 0.3;
+			ctx.beginPath();
+			ctx.moveTo(strike.x - arm, strike.y);
+			ctx.lineTo(strike.x + arm, strike.y);
+			ctx.moveTo(strike.x, strike.y - arm);
+			ctx.lineTo(strike.x, strike.y + arm);
+			ctx.stroke();
+		}
+		ctx.restore();
+	}
+}
+
+/**
+ * Pick strike targets: marked enemies first, then the highest current HP.
+ * Ties fall back to spawn order so the choice is deterministic.
+ * @param {Object[]} enemies - Live enemies array
+ * @param {number} count - Maximum number of targets
+ * @returns {Object[]}
+ */
+export function pickStrikeTargets(enemies, count) {
+	return enemies
+		.filter(enemy => !enemy.dying && enemy.health > 0)
+		.sort((a, b) => {
+			const markedA = a.statusEffects.has('marked') ? 1 : 0;
+			const markedB = b.statusEffects.has('marked') ? 1 : 0;
+			return (markedB - markedA) || (b.health - a.health) || (a.id - b.id);
+		})
+		.slice(0, count);
+}
@@ -0,0 +1,66 @@
+/**
+ * @fileoverview ArtilleryCallPlugin — Tactician active: a telegraphed shell on the toughest enemy.
+ *
+ * onCast() pins a strike on the chosen enemy's current position; the shell
+ * lands after a delay, so fast enemies can still walk out of it. Pending
+ * shells are ticked and drawn through an AreaStrikeQueue.
+ */
+
+import { BaseSkillPlugin } from '../BaseSkillPlugin.js';
+import { GameConfig } from '../../config/GameConfig.js';
+import { AreaStrikeQueue, pickStrikeTargets } from './AreaStrikeQueue.js';
+import { playSFX, vfx } from '../../managers/RuntimeAdapters.js';
+const createFloatingText = vfx.createFloatingText;
+
+export class ArtilleryCallPlugin extends BaseSkillPlugin {
+	constructor(id, skillConfig) {
+		super(id, skillConfig);
+		this._strikes = new AreaStrikeQueue('#ffaa44');
+	}
+
+	getEventListeners() {
+		return {
+			'tick': this._onTick.bind(this),
+		};
+	}
+
+	onUnequip() {
+		this._strikes.clear();
+	}
+
+	/**
+	 * @param {import('../../Game.js').Game} game
+	 * @param {{ skill: Object, rank: number }} skillInfo
+	 * @returns {boolean}
+	 */
+	onCast(game, { skill, rank }) {
+		const [target] = pickStrikeTargets(game.enemies, 1);
+		if (!target) return false;
+
+		const effect = skill.effect;
+		const damageRatio = effect.damageRatio + effect.damageRatioPerRank * (rank - 1);
+		this._strikes.schedule(target.x, target.y, {
+			delay: effect.delay,
+			radius: effect.radius,
+			damage: GameConfig.PLAYER.BASE_DAMAGE * game.player.damageMod * damageRatio,
+		});
+
+		const { width, height } = game.getLogicalCanvasSize();
+		createFloatingText('ARTILLERY INBOUND!', width / 2, height / 2 - 30, 'level-up');
+		playSFX('powerup');
+		return true;
+	}
+
+	/**
+	 * @param {{ delta: number }} payload
+	 */
+	_onTick({ delta }) {
+		if (!this.game || !this.active) return;
+		this._strikes.update(delta, this.game);
+	}
+
+	/** @param {CanvasRenderingContext2D} ctx */
+	render(ctx) {
+		this._strikes.render(ctx);
+	}
+}
@@ -0,0 +1,32 @@
+/**
+ * @fileoverview BreakingPointPlugin — Tactician passive: max Vulnerable stacks stun.
+ *
+ * Event-driven plugin: subscribes to 'enemy:status'. When Vulnerable reaches
+ * its stack cap on a non-boss enemy, the stacks are consumed and the enemy is
+ * stunned.
+ */
+
+import { BaseSkillPlugin } from '../BaseSkillPlugin.js';
+
+export class BreakingPointPlugin extends BaseSkillPlugin {
+	getEventListeners() {
+		return {
+			'enemy:status': this._onEnemyStatus.bind(this),
+		};
+	}
+
+	/**
+	 * @param {{ enemy: Object, id: string, stacks: number, maxStacks: number }} payload
+	 */
+	_onEnemyStatus({ enemy, id, stacks, maxStacks }) {
+		if (!this.game || !this.active) return;
+		if (id !== 'vulnerable' || stacks < maxStacks || enemy.isBoss) return;
+
+		const effect = this.getEffect();
+		enemy.statusEffects.remove('vulnerable');
+		enemy.statusEffects.apply('stunned', {
+			duration: effect.stunDuration + effect.stunDurationPerRank * (this.rank - 1),
+		});
+		this.game.effectsManager?.createHitEffect(enemy.x, enemy.y);
+	}
+}
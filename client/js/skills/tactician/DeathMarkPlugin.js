@@ -0,0 +1,44 @@
+/**
+ * @fileoverview DeathMarkPlugin — Tactician passive: marks jump to nearby enemies on kill.
+ *
+ * Event-driven plugin: subscribes to 'enemy:killed'. If the dead enemy was
+ * marked, the nearest living enemies within range are marked in its place.
+ */
+
+import { BaseSkillPlugin } from '../BaseSkillPlugin.js';
+
+export class DeathMarkPlugin extends BaseSkillPlugin {
+	getEventListeners() {
+		return {
+			'enemy:killed': this._onEnemyKilled.bind(this),
+		};
+	}
+
+	/**
+	 * @param {{ enemy: Object, position: {x: number, y: number} }} payload
+	 */
+	_onEnemyKilled({ enemy, position }) {
+		if (!this.game || !this.active) return;
+		if (!enemy.statusEffects.has('marked')) return;
+
+		const effect = this.getEffect();
+		const count = effect.spreadCount + effect.spreadPerRank * (this.rank - 1);
+		const radiusSq = effect.radius * effect.radius;
+
+		const candidates = [];
+		for (const other of this.game.enemies) {
+			if (other === enemy || other.dying || other.health <= 0) continue;
+			if (other.statusEffects.has('marked')) continue;
+			const dx = other.x - position.x;
+			const dy = other.y - position.y;
+			const distSq = dx * dx + dy * dy;
+			if (distSq <= radiusSq) candidates.push({ enemy: other, distSq });
+		}
+		candidates.sort((a, b) => (a.distSq - b.distSq) || (a.enemy.id - b.enemy.id));
+
+		for (const { enemy: target } of candidates.slice(0, count)) {
+			target.statusEffects.apply('marked', { duration: effect.duration });
+			this.game.effectsManager?.createHitEffect(target.x, target.y);
+		}
+	}
+}
@@ -0,0 +1,31 @@
+/**
+ * @fileoverview ExploitWeaknessPlugin — Tactician passive: hits may apply Vulnerable.
+ *
+ * Event-driven plugin: subscribes to 'enemy:hit' and rolls on the crits RNG
+ * stream. Vulnerable stacks up to 5 times (GameConfig.STATUS_EFFECTS.VULNERABLE);
+ * Breaking Point reacts when the cap is reached.
+ */
+
+import { BaseSkillPlugin } from '../BaseSkillPlugin.js';
+
+export class ExploitWeaknessPlugin extends BaseSkillPlugin {
+	getEventListeners() {
+		return {
+			'enemy:hit': this._onEnemyHit.bind(this),
+		};
+	}
+
+	/**
+	 * @param {{ enemy: Object }} payload
+	 */
+	_onEnemyHit({ enemy }) {
+		if (!this.game || !this.active) return;
+		if (enemy.dying || enemy.health <= 0) return;
+
+		const effect = this.getEffect();
+		const chance = effect.chance + effect.chancePerRank * (this.rank - 1);
+		if (!this.game.rng.crits.chance(chance)) return;
+
+		enemy.statusEffects.apply('vulnerable', { duration: effect.duration });
+	}
+}
@@ -0,0 +1,38 @@
+/**
+ * @fileoverview FlashbangPlugin — Tactician active: stun nearby enemies.
+ * Stunned enemies stop moving and deal no contact damage. Bosses are immune.
+ */
+
+import { BaseSkillPlugin } from '../BaseSkillPlugin.js';
+import { playSFX, vfx } from '../../managers/RuntimeAdapters.js';
+const createFloatingText = vfx.createFloatingText;
+
+export class FlashbangPlugin extends BaseSkillPlugin {
+	/**
+	 * @param {import('../../Game.js').Game} game
+	 * @param {{ skill: Object, rank: number }} skillInfo
+	 * @returns {boolean}
+	 */
+	onCast(game, { skill, rank }) {
+		const effect = skill.effect;
+		const duration = effect.duration + effect.durationPerRank * (rank - 1);
+		const px = game.player.x;
+		const py = game.player.y;
+		const radiusSq = effect.radius * effect.radius;
+
+		for (const enemy of game.enemies) {
+			const dx = enemy.x - px;
+			const dy = enemy.y - py;
+			if (dx * dx + dy * dy <= radiusSq) {
+				enemy.statusEffects.apply('stunned', { duration });
+			}
+		}
+
+		game.createExplosionRing(px, py, effect.radius);
+		game.effectsManager.addScreenShake(3, 150);
+		const { width, height } = game.getLogicalCanvasSize();
+		createFloatingText('FLASHBANG!', width / 2, height / 2 - 30, 'level-up');
+		playSFX('powerup');
+		return true;
+	}
+}
@@ -0,0 +1,31 @@
+/**
+ * @fileoverview HuntersFocusPlugin — Tactician passive: hits on marked enemies apply Exposed.
+ *
+ * Event-driven plugin: subscribes to 'enemy:hit'. Exposed deals damage over
+ * time per stack; the tick damage is derived from the player's base damage
+ * when the stack is applied.
+ */
+
+import { BaseSkillPlugin } from '../BaseSkillPlugin.js';
+import { GameConfig } from '../../config/GameConfig.js';
+
+export class HuntersFocusPlugin extends BaseSkillPlugin {
+	getEventListeners() {
+		return {
+			'enemy:hit': this._onEnemyHit.bind(this),
+		};
+	}
+
+	/**
+	 * @param {{ enemy: Object }} payload
+	 */
+	_onEnemyHit({ enemy }) {
+		if (!this.game || !this.active) return;
+		if (!enemy.statusEffects.has('marked')) return;
+
+		const effect = this.getEffect();
+		const tickRatio = effect.tickRatio + effect.tickRatioPerRank * (this.rank - 1);
+		const tickDamage = GameConfig.PLAYER.BASE_DAMAGE * this.game.player.damageMod * tickRatio;
+		enemy.statusEffects.apply('exposed', { duration: effect.duration, tickDamage });
+	}
+}
@@ -0,0 +1,48 @@
+/**
+ * @fileoverview MarkTargetPlugin — Tactician passive: periodically mark an enemy.
+ *
+ * Event-driven plugin: a 'tick' listener recharges the mark, and the first
+ * 'enemy:hit' after that applies the Marked status. Marked enemies take extra
+ * damage (GameConfig.STATUS_EFFECTS.MARKED) and Player.findNearestEnemy()
+ * prefers them.
+ */
+
+import { BaseSkillPlugin } from '../BaseSkillPlugin.js';
+
+export class MarkTargetPlugin extends BaseSkillPlugin {
+	constructor(id, skillConfig) {
+		super(id, skillConfig);
+		/** @type {number} Time until the next mark is ready (ms, 0 = ready) */
+		this._cooldown = 0;
+	}
+
+	getEventListeners() {
+		return {
+			'tick': this._onTick.bind(this),
+			'enemy:hit': this._onEnemyHit.bind(this),
+		};
+	}
+
+	onUnequip() {
+		this._cooldown = 0;
+	}
+
+	/**
+	 * @param {{ delta: number }} payload
+	 */
+	_onTick({ delta }) {
+		if (this._cooldown > 0) this._cooldown -= delta;
+	}
+
+	/**
+	 * @param {{ enemy: Object }} payload
+	 */
+	_onEnemyHit({ enemy }) {
+		if (!this.game || !this.active || this._cooldown > 0) return;
+
+		const effect = this.getEffect();
+		if (enemy.statusEffects.apply('marked', { duration: effect.duration })) {
+			this._cooldown = effect.interval + effect.intervalPerRank * (this.rank - 1);
+		}
+	}
+}
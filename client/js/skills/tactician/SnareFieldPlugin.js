@@ -0,0 +1,41 @@
+/**
+ * @fileoverview SnareFieldPlugin — Tactician active: root and weaken nearby enemies.
+ * Roots enemies in range (bosses are immune to the root) and applies Vulnerable stacks to all of them.
+ */
+
+import { BaseSkillPlugin } from '../BaseSkillPlugin.js';
+import { playSFX, vfx } from '../../managers/RuntimeAdapters.js';
+const createFloatingText = vfx.createFloatingText;
+
+export class SnareFieldPlugin extends BaseSkillPlugin {
+	/**
+	 * @param {import('../../Game.js').Game} game
+	 * @param {{ skill: Object, rank: number }} skillInfo
+	 * @returns {boolean}
+	 */
+	onCast(game, { skill, rank }) {
+		const effect = skill.effect;
+		const duration = effect.duration + effect.durationPerRank * (rank - 1);
+		const px = game.player.x;
+		const py = game.player.y;
+		const radiusSq = effect.radius * effect.radius;
+
+		for (const enemy of game.enemies) {
+			const dx = enemy.x - px;
+			const dy = enemy.y - py;
+			if (dx * dx + dy * dy > radiusSq) continue;
+
+			enemy.statusEffects.apply('rooted', { duration });
+			enemy.statusEffects.apply('vulnerable', {
+				duration: effect.vulnerableDuration,
+				stacks: effect.vulnerableStacks,
+			});
+		}
+
+		game.createExplosionRing(px, py, effect.radius);
+		const { width, height } = game.getLogicalCanvasSize();
+		createFloatingText('SNARE FIELD!', width / 2, height / 2 - 30, 'level-up');
+		playSFX('powerup');
+		return true;
+	}
+}
@@ -0,0 +1,76 @@
+/**
+ * @fileoverview TacticalStrikePlugin — Tactician ultimate: a barrage of telegraphed strikes.
+ *
+ * onCast() picks up to `strikes` targets (marked first, then highest HP) and
+ * pins a strike on each, staggered so they land one after another. Enemies
+ * that survive a blast are marked, setting up the rest of the tree.
+ */
+
+import { BaseSkillPlugin } from '../BaseSkillPlugin.js';
+import { GameConfig } from '../../config/GameConfig.js';
+import { AreaStrikeQueue, pickStrikeTargets } from './AreaStrikeQueue.js';
+import { playSFX, vfx } from '../../managers/RuntimeAdapters.js';
+const createFloatingText = vfx.createFloatingText;
+
+export class TacticalStrikePlugin extends BaseSkillPlugin {
+	constructor(id, skillConfig) {
+		super(id, skillConfig);
+		this._strikes = new AreaStrikeQueue('#ff5533');
+	}
+
+	getEventListeners() {
+		return {
+			'tick': this._onTick.bind(this),
+		};
+	}
+
+	onUnequip() {
+		this._strikes.clear();
+	}
+
+	/**
+	 * @param {import('../../Game.js').Game} game
+	 * @param {{ skill: Object, rank: number }} skillInfo
+	 * @returns {boolean}
+	 */
+	onCast(game, { skill }) {
+		const targets = pickStrikeTargets(game.enemies, skill.effect.strikes);
+		if (targets.length === 0) return false;
+
+		const effect = skill.effect;
+		const damage = GameConfig.PLAYER.BASE_DAMAGE * game.player.damageMod * effect.damageRatio;
+		const markSurvivors = (hits) => {
+			for (const { enemy } of hits) {
+				enemy.statusEffects.apply('marked', { duration: effect.markDuration });
+			}
+		};
+
+		targets.forEach((target, i) => {
+			this._strikes.schedule(target.x, target.y, {
+				delay: effect.delay + effect.stagger * i,
+				radius: effect.radius,
+				damage,
+				onImpact: markSurvivors,
+			});
+		});
+
+		game.effectsManager.addScreenShake(4, 300);
+		const { width, height } = game.getLogicalCanvasSize();
+		createFloatingText('TACTICAL STRIKE!', width / 2, height / 2 - 30, 'milestone-major');
+		playSFX('powerup');
+		return true;
+	}
+
+	/**
+	 * @param {{ delta: number }} payload
+	 */
+	_onTick({ delta }) {
+		if (!this.game || !this.active) return;
+		this._strikes.update(delta, this.game);
+	}
+
+	/** @param {CanvasRenderingContext2D} ctx */
+	render(ctx) {
+		this._strikes.render(ctx);
+	}
+}
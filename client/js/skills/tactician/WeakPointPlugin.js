@@ -0,0 +1,30 @@
+/**
+ * @fileoverview WeakPointPlugin — Tactician passive: bonus damage per debuff on the target.
+ *
+ * Event-driven plugin: subscribes to 'enemy:hit' and deals a follow-up hit
+ * scaled by the number of different status effects on the enemy.
+ */
+
+import { BaseSkillPlugin } from '../BaseSkillPlugin.js';
+
+export class WeakPointPlugin extends BaseSkillPlugin {
+	getEventListeners() {
+		return {
+			'enemy:hit': this._onEnemyHit.bind(this),
+		};
+	}
+
+	/**
+	 * @param {{ enemy: Object, damage: number }} payload
+	 */
+	_onEnemyHit({ enemy, damage }) {
+		if (!this.game || !this.active) return;
+		if (enemy.dying || enemy.health <= 0) return;
+
+		const debuffs = enemy.statusEffects.count;
+		if (debuffs === 0) return;
+
+		const bonus = this.getEffect().bonusPerDebuffPerRank * this.rank * debuffs;
+		enemy.takeDamage(damage * bonus, this);
+	}
+}
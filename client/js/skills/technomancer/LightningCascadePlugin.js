@@ -4,10 +4,9 @@
  */
 
 import { BaseSkillPlugin } from '../BaseSkillPlugin.js';
-import { playSFX } from '../../main.js';
-import { vfxHelper } from '../../managers/VFXHelper.js';
-const createFloatingText = vfxHelper.createFloatingText.bind(vfxHelper);
-const screenFlash = vfxHelper.screenFlash.bind(vfxHelper);
+import { playSFX, vfx } from '../../managers/RuntimeAdapters.js';
+const createFloatingText = vfx.createFloatingText;
+const screenFlash = vfx.screenFlash;
 
 export class LightningCascadePlugin extends BaseSkillPlugin {
 	/** Passive: chain damage escalation (merged from Chain Master) */
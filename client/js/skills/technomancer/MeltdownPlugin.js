@@ -25,7 +25,7 @@ export class MeltdownPlugin extends BaseSkillPlugin {
 
 		const effect = this.skillConfig.effect;
 		const chance = effect.meltdownChance + effect.chancePerRank * (this.rank - 1);
-		if (Math.random() >= chance) return;
+		if (!this.game.rng.crits.chance(chance)) return;
 
 		const meltdownDmg = damage * effect.meltdownDamageRatio;
 		const radius = effect.meltdownRadius;
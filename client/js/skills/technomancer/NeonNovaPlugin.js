@@ -5,10 +5,9 @@
 
 import { BaseSkillPlugin } from '../BaseSkillPlugin.js';
 import { dealAreaDamage } from '../../utils/AOEUtils.js';
-import { playSFX } from '../../main.js';
-import { vfxHelper } from '../../managers/VFXHelper.js';
-const createFloatingText = vfxHelper.createFloatingText.bind(vfxHelper);
-const screenFlash = vfxHelper.screenFlash.bind(vfxHelper);
+import { playSFX, vfx } from '../../managers/RuntimeAdapters.js';
+const createFloatingText = vfx.createFloatingText;
+const screenFlash = vfx.screenFlash;
 
 export class NeonNovaPlugin extends BaseSkillPlugin {
 	/**
@@ -232,6 +232,9 @@ export const ActionTypes = Object.freeze({
 	GAME_RESTART: 'GAME_RESTART',
 	SCORE_ADD: 'SCORE_ADD',
 	SET_DIFFICULTY: 'SET_DIFFICULTY',
+	SET_RUN_SEED: 'SET_RUN_SEED',
+	SET_AIM_MODE: 'SET_AIM_MODE',
+	SET_ARENA_LAYOUT: 'SET_ARENA_LAYOUT',
 	RUN_USE_CONTINUE: 'RUN_USE_CONTINUE',
 
 	// ─── Player ────────────────────────────────────────
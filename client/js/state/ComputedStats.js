@@ -91,14 +91,16 @@ export function derivePlayerStats({
 	const hpRatio = currentPlayerState.maxHp > 0 ? currentPlayerState.hp / currentPlayerState.maxHp : 1;
 	const newHp = Math.min(newMaxHp, Math.ceil(newMaxHp * hpRatio));
 
-	// ── Shield ──
-	const maxShieldHp = attrs.shieldCapacity;
+	// ── Shield via plugin pipeline (Sentinel Fortify adds capacity) ──
+	const maxShieldHp = skillEffectEngine.resolveStatValue('shieldCapacity', attrs.shieldCapacity, pluginMods);
 	const hasShield = maxShieldHp > 0;
 	const shieldHp = hasShield ? Math.min(currentPlayerState.shieldHp || 0, maxShieldHp) : 0;
 
 	// ── Regen via plugin pipeline (ascension hpRegen bonuses resolved here) ──
 	const hpRegen = skillEffectEngine.resolveStatValue('hpRegen', attrs.hpRegen, pluginMods);
-	const shieldRegen = maxShieldHp > 0 ? maxShieldHp * 0.05 : 0;
+	const shieldRegen = maxShieldHp > 0
+		? skillEffectEngine.resolveStatValue('shieldRegen', maxShieldHp * 0.05, pluginMods)
+		: 0;
 
 	// ── Combat stats via plugin modifier pipeline ──
 	const baseDamage = attrs.damageMultiplier;
@@ -126,6 +128,12 @@ export function derivePlayerStats({
 	// ── Explosive shots ──
 	const explosionRadius = skillEffectEngine.resolveStatValue('explosionRadius', 0, pluginMods);
 
+	// ── Engineer ally stats ──
+	const allyDamageMod = skillEffectEngine.resolveStatValue('allyDamage', 1, pluginMods);
+	const allyHpMod = skillEffectEngine.resolveStatValue('allyHp', 1, pluginMods);
+	const allyFireRateMod = skillEffectEngine.resolveStatValue('allyFireRate', 1, pluginMods);
+	const droneCount = Math.round(skillEffectEngine.resolveStatValue('droneCount', 0, pluginMods));
+
 	// ── Reset complex configs ──
 	let hasTripleShot = false;
 	let tripleShotSideDamage = 0;
@@ -136,6 +144,7 @@ export function derivePlayerStats({
 	let volatileKills = null;
 	let elementalSynergy = null;
 	let meltdown = null;
+	let allyRockets = null;
 	let finalExplosionRadius = 50;
 	let finalExplosionDamage = 20;
 	// Ascension config fields (set by plugins via getPlayerConfig)
@@ -158,6 +167,7 @@ export function derivePlayerStats({
 				case 'volatileKills': volatileKills = value; break;
 				case 'elementalSynergy': elementalSynergy = value; break;
 				case 'meltdown': meltdown = value; break;
+				case 'allyRockets': allyRockets = value; break;
 				case 'ricochetEnabled': ricochetEnabled = value; break;
 				case 'globalEnemySlow': globalEnemySlow = value; break;
 				case 'berserker': berserker = value; break;
@@ -249,6 +259,13 @@ export function derivePlayerStats({
 		elementalSynergy,
 		meltdown,
 
+		// Engineer allies
+		allyDamageMod,
+		allyHpMod,
+		allyFireRateMod,
+		droneCount,
+		allyRockets,
+
 		// Ascension config fields
 		ricochetEnabled,
 		globalEnemySlow,
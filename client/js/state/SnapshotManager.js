@@ -42,11 +42,12 @@ export class SnapshotManager {
 	 * @param {import('../Player.js').Player} params.player - Live player instance
 	 * @param {Array} params.enemies - Live enemy instances
 	 * @param {Array} params.projectiles - Live projectile instances
+	 * @param {Array<import('../Ally.js').Ally>} [params.allies] - Live turrets and drones
 	 * @param {import('../systems/AscensionSystem.js').AscensionSystem} params.ascensionSystem
 	 * @param {import('../skills/SkillEffectEngine.js').SkillEffectEngine} params.skillEffectEngine
 	 * @returns {Object} Serializable snapshot
 	 */
-	capture({ player, enemies, projectiles, ascensionSystem, skillEffectEngine }) {
+	capture({ player, enemies, projectiles, allies, ascensionSystem, skillEffectEngine }) {
 		if (this._busy) {
 			console.warn('[SnapshotManager] Capture blocked — operation in progress');
 			return null;
@@ -63,6 +64,7 @@ export class SnapshotManager {
 				player: player ? this._serializePlayer(player) : null,
 				enemies: enemies ? enemies.map(e => this._serializeEnemy(e)) : [],
 				projectileCount: projectiles ? projectiles.length : 0,
+				allies: allies ? allies.map(a => this._serializeAlly(a)) : [],
 			};
 
 			// Plugin state from SkillEffectEngine
@@ -232,6 +234,15 @@ export class SnapshotManager {
 		};
 	}
 
+	/**
+	 * @param {import('../Ally.js').Ally} ally
+	 * @returns {Object}
+	 * @private
+	 */
+	_serializeAlly(ally) {
+		return ally.serialize();
+	}
+
 	/**
 	 * Serialize plugin state from SkillEffectEngine.
 	 * @param {import('../skills/SkillEffectEngine.js').SkillEffectEngine} engine
@@ -27,6 +27,12 @@ export const runSlice = {
 	kills: 0,
 	continuesUsed: 0,
 	difficulty: 'normal',
+	/** @type {number|null} RNG seed for the current run */
+	seed: null,
+	/** @type {string[]} Aim modes used during the run, in the order they were first picked */
+	aimModes: [],
+	/** @type {string} Arena layout of the run (config/ArenaConfig.js ARENA_LAYOUTS key) */
+	arena: 'classic',
 	waveModifierKey: null,
 	modifierState: {
 		enemySpeedMultiplier: 1,
@@ -196,8 +202,11 @@ export function registerAllReducers(dispatcher) {
 	// RUN SLICE
 	// ──────────────────────────────────────────────────────────────────────────
 
-	dispatcher.addReducer(ActionTypes.GAME_START, 'run', () => ({
+	dispatcher.addReducer(ActionTypes.GAME_START, 'run', (state, action) => ({
 		wave: 1,
+		seed: action.payload?.seed ?? null,
+		aimModes: [action.payload?.aimMode ?? 'auto'],
+		arena: action.payload?.arena ?? 'classic',
 		score: 0,
 		kills: 0,
 		continuesUsed: 0,
@@ -222,6 +231,21 @@ export function registerAllReducers(dispatcher) {
 		difficulty: action.payload.difficulty || 'normal',
 	}));
 
+	dispatcher.addReducer(ActionTypes.SET_RUN_SEED, 'run', (state, action) => ({
+		seed: action.payload.seed ?? null,
+	}));
+
+	dispatcher.addReducer(ActionTypes.SET_AIM_MODE, 'run', (state, action) => {
+		const aimModes = state.aimModes || [];
+		return aimModes.includes(action.payload.aimMode)
+			? null
+			: { aimModes: [...aimModes, action.payload.aimMode] };
+	});
+
+	dispatcher.addReducer(ActionTypes.SET_ARENA_LAYOUT, 'run', (state, action) => ({
+		arena: action.payload.arena || 'classic',
+	}));
+
 	dispatcher.addReducer(ActionTypes.RUN_USE_CONTINUE, 'run', (state) => ({
 		continuesUsed: (state.continuesUsed || 0) + 1,
 	}));
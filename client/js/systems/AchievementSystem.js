@@ -1,10 +1,7 @@
-import { playSFX } from '../main.js';
-import { vfxHelper } from '../managers/VFXHelper.js';
-const createFloatingText = vfxHelper.createFloatingText.bind(vfxHelper);
+import { playSFX, vfx, hud, persistence } from '../managers/RuntimeAdapters.js';
+const createFloatingText = vfx.createFloatingText;
 import { MathUtils } from '../utils/MathUtils.js';
 import { ActionTypes } from '../state/index.js';
-import { isAuthenticated, getCurrentUser } from '../services/AuthService.js';
-import { loadAchievementsFromServer, unlockAchievementOnServer } from '../services/AchievementApiService.js';
 
 export const ACHIEVEMENTS = [
     // Kill-based
@@ -34,6 +31,15 @@ export const ACHIEVEMENTS = [
     // Boss-based
     { id: 'boss_slayer',     name: 'Boss Slayer',       desc: 'Defeat your first boss',            icon: '🐉', check: 'bossKills', target: 1 },
     { id: 'shield_cracker',  name: 'Shield Cracker',    desc: 'Defeat a Shield Boss',              icon: '🔨', check: 'shieldBossKills', target: 1 },
+    { id: 'mirror_breaker',  name: 'Broken Reflection', desc: 'Defeat the Mirror Boss',            icon: '🪞', check: 'mirrorBossKills', target: 1 },
+    { id: 'hive_breaker',    name: 'Hive Breaker',      desc: 'Defeat the Swarm Mind',             icon: '🐝', check: 'swarmMindKills', target: 1 },
+    { id: 'grid_runner',     name: 'Grid Runner',       desc: 'Defeat the Grid Warden',            icon: '🔲', check: 'gridWardenKills', target: 1 },
+    { id: 'full_rotation',   name: 'Full Rotation',     desc: 'Defeat all 9 boss types in a run', icon: '🎡', check: 'bossTypesDefeated', target: 9 },
+
+    // Elite-based
+    { id: 'elite_hunter',    name: 'Elite Hunter',      desc: 'Kill your first elite enemy',       icon: '🎖️', check: 'eliteKills', target: 1 },
+    { id: 'elite_slayer',    name: 'Elite Slayer',      desc: 'Kill 25 elite enemies in one run',  icon: '⚔️', check: 'eliteKills', target: 25 },
+    { id: 'champion_slayer', name: 'Champion Slayer',   desc: 'Kill a champion (two affixes)',     icon: '🏅', check: 'championKills', target: 1 },
 
     // Difficulty-based
     { id: 'hard_mode_10',    name: 'Masochist',         desc: 'Reach wave 30 on Hard',             icon: '💀', check: 'hardModeWave', target: 30 },
@@ -56,7 +62,10 @@ export class AchievementSystem {
         // Per-run tracking
         this.killsThisRun = 0;
         this.bossKills = 0;
-        this.shieldBossKills = 0;
+        /** @type {Object<string, number>} Boss kills this run by bossType */
+        this.bossKillsByType = {};
+        this.eliteKills = 0;
+        this.championKills = 0;
     }
 
     getUnlockedAchievements() {
@@ -72,9 +81,13 @@ export class AchievementSystem {
 
         if (enemy.isBoss) {
             this.bossKills++;
-            // Shield boss detection: bosses on waves 20, 40, 60...
-            if (this.game.wave % 20 === 0) {
-                this.shieldBossKills++;
+            this.bossKillsByType[enemy.bossType] = (this.bossKillsByType[enemy.bossType] || 0) + 1;
+        }
+
+        if (enemy.elite) {
+            this.eliteKills++;
+            if (enemy.elite.isChampion) {
+                this.championKills++;
             }
         }
 
@@ -92,7 +105,9 @@ export class AchievementSystem {
     resetForRun() {
         this.killsThisRun = 0;
         this.bossKills = 0;
-        this.shieldBossKills = 0;
+        this.bossKillsByType = {};
+        this.eliteKills = 0;
+        this.championKills = 0;
     }
 
     update(delta) {
@@ -127,10 +142,9 @@ export class AchievementSystem {
     }
 
     _isAchievementStateHydrated() {
-        const user = getCurrentUser();
-        const userId = user?.id || null;
+        const userId = persistence.achievementUserId();
 
-        if (!isAuthenticated() || !userId) {
+        if (!userId) {
             this._achievementHydratedUserId = null;
             return true;
         }
@@ -144,7 +158,7 @@ export class AchievementSystem {
         }
 
         this._achievementHydrationInFlight = true;
-        loadAchievementsFromServer()
+        persistence.loadAchievements()
             .then((response) => {
                 const entries = Array.isArray(response?.achievements) ? response.achievements : [];
 
@@ -192,7 +206,19 @@ export class AchievementSystem {
             case 'bossKills':
                 return this.bossKills;
             case 'shieldBossKills':
-                return this.shieldBossKills;
+                return this.bossKillsByType.Shield || 0;
+            case 'mirrorBossKills':
+                return this.bossKillsByType.Mirror || 0;
+            case 'swarmMindKills':
+                return this.bossKillsByType.SwarmMind || 0;
+            case 'gridWardenKills':
+                return this.bossKillsByType.GridWarden || 0;
+            case 'bossTypesDefeated':
+                return Object.keys(this.bossKillsByType).length;
+            case 'eliteKills':
+                return this.eliteKills;
+            case 'championKills':
+                return this.championKills;
             case 'hardModeWave':
                 return game.runDifficulty === 'hard' ? game.wave : 0;
             case 'perfectWave10':
@@ -220,11 +246,9 @@ export class AchievementSystem {
             payload: { achievementId: achievement.id, name: achievement.name },
         });
 
-        if (isAuthenticated()) {
-            unlockAchievementOnServer(achievement.id).catch((err) => {
-                console.warn('[AchievementSystem] Failed to persist achievement unlock:', err?.message || err);
-            });
-        }
+        persistence.unlockAchievement(achievement.id).catch((err) => {
+            console.warn('[AchievementSystem] Failed to persist achievement unlock:', err?.message || err);
+        });
 
         if (this._toastActive) {
             this._toastQueue.push(achievement);
@@ -244,16 +268,12 @@ export class AchievementSystem {
             createFloatingText(`🏆 ${achievement.name}`, screen.x, screen.y, 'achievement-unlock');
         }
 
-        const toast = document.querySelector('achievement-toast');
-        if (!toast) return;
-
-        toast.showToast(achievement.icon, achievement.name);
+        hud.showAchievementToast(achievement.icon, achievement.name);
 
         playSFX('achievement_unlock');
     }
 
     _hideToast() {
-        const toast = document.querySelector('achievement-toast');
-        if (toast) toast.hideToast();
+        hud.hideAchievementToast();
     }
 }
@@ -0,0 +1,556 @@
+/**
+ * @fileoverview ArenaFeatureSystem — cover, electrified tiles, heal pads and
+ * gravity wells declared by the wave set.
+ *
+ * Features are rebuilt from the wave definition at every wave start, so
+ * cover that was shot down comes back for the next wave. Layouts are
+ * written in arena fractions and reference pixels (config/ArenaConfig.js)
+ * and laid out again whenever the arena is resized. On shaped arena
+ * layouts the fractions span the play area's bounding box, and features
+ * that would sit outside the play area are left out. On the ring, cover is
+ * moved out from the pillar until even the widest enemy fits between them.
+ *
+ * CollisionSystem keeps the features in a SpatialGrid and resolves cover
+ * against projectiles and entities; this system runs the timed effects.
+ */
+
+import { GameConfig } from '../config/GameConfig.js';
+import { ARENA_PRESETS } from '../config/ArenaConfig.js';
+import { getArenaBounds, isInsideArena } from './ArenaLayouts.js';
+import { playSFX } from '../managers/RuntimeAdapters.js';
+import { MathUtils } from '../utils/MathUtils.js';
+import { getTelegraphColor, isHighContrast, drawHazardCircle, drawHazardLine } from '../utils/PaletteUtils.js';
+
+export const FEATURE_TYPES = ['cover', 'electric', 'healPad', 'gravityWell'];
+
+/** Size and tuning fields each type accepts besides type, x and y. */
+const FEATURE_KEYS = {
+    cover: ['width', 'height', 'hp'],
+    electric: ['width', 'height', 'period', 'activeTime', 'offset'],
+    healPad: ['radius', 'capacity'],
+    gravityWell: ['radius', 'strength'],
+};
+
+const RECT_TYPES = ['cover', 'electric'];
+
+/**
+ * @typedef {Object} ArenaFeature
+ * @property {string} type
+ * @property {Object} def - Declaration from the wave set
+ * @property {number} x - Center (px)
+ * @property {number} y
+ * @property {number} radius - Circle radius, or the bounding radius of a rectangle
+ * @property {number} halfWidth - Rectangles only
+ * @property {number} halfHeight
+ * @property {number} hp - Cover only
+ * @property {number} maxHp
+ * @property {'off'|'warning'|'live'} state - Electric tiles only
+ * @property {number} charge - Health a heal pad has left this wave
+ */
+
+function isPositiveNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+function validateFeature(feature, path, errors) {
+    if (!feature || typeof feature !== 'object') {
+        errors.push(`${path}: must be an object`);
+        return;
+    }
+    if (!FEATURE_TYPES.includes(feature.type)) {
+        errors.push(`${path}.type: must be one of ${FEATURE_TYPES.join(', ')}`);
+        return;
+    }
+    const allowed = FEATURE_KEYS[feature.type];
+    for (const key of Object.keys(feature)) {
+        if (key !== 'type' && key !== 'x' && key !== 'y' && !allowed.includes(key)) {
+            errors.push(`${path}.${key}: unknown field for ${feature.type}`);
+        }
+    }
+    for (const axis of ['x', 'y']) {
+        const value = feature[axis];
+        if (typeof value !== 'number' || !(value >= 0 && value <= 1)) {
+            errors.push(`${path}.${axis}: must be between 0 and 1`);
+        }
+    }
+    const sizes = RECT_TYPES.includes(feature.type) ? ['width', 'height'] : ['radius'];
+    for (const key of sizes) {
+        if (!isPositiveNumber(feature[key])) errors.push(`${path}.${key}: must be a positive number`);
+    }
+    for (const key of ['hp', 'period', 'activeTime', 'capacity', 'strength']) {
+        if (feature[key] !== undefined && !isPositiveNumber(feature[key])) {
+            errors.push(`${path}.${key}: must be a positive number`);
+        }
+    }
+    if (feature.offset !== undefined && !(typeof feature.offset === 'number' && feature.offset >= 0)) {
+        errors.push(`${path}.offset: must be a non-negative number of ms`);
+    }
+}
+
+/**
+ * Check a `features` field from a wave set rule.
+ * @param {string|Object[]|null} features - Preset key, feature list or null
+ * @param {string} path - Where the field sits, for error messages
+ * @param {string[]} errors - Problems are appended here
+ */
+export function validateFeatures(features, path, errors) {
+    if (features === null) return;
+    if (typeof features === 'string') {
+        if (!ARENA_PRESETS[features]) {
+            errors.push(`${path}: unknown arena preset "${features}"`);
+            return;
+        }
+        ARENA_PRESETS[features].forEach((feature, i) => validateFeature(feature, `${path} (${features})[${i}]`, errors));
+        return;
+    }
+    if (!Array.isArray(features)) {
+        errors.push(`${path}: must be null, an arena preset key or an array of features`);
+        return;
+    }
+    features.forEach((feature, i) => validateFeature(feature, `${path}[${i}]`, errors));
+}
+
+/**
+ * Closest-point test between a circle and a feature.
+ * @param {ArenaFeature} feature
+ * @param {number} x
+ * @param {number} y
+ * @param {number} radius
+ * @returns {boolean}
+ */
+export function overlapsFeature(feature, x, y, radius) {
+    if (!RECT_TYPES.includes(feature.type)) {
+        const dx = x - feature.x;
+        const dy = y - feature.y;
+        const reach = feature.radius + radius;
+        return dx * dx + dy * dy < reach * reach;
+    }
+    const closestX = Math.max(feature.x - feature.halfWidth, Math.min(x, feature.x + feature.halfWidth));
+    const closestY = Math.max(feature.y - feature.halfHeight, Math.min(y, feature.y + feature.halfHeight));
+    const dx = x - closestX;
+    const dy = y - closestY;
+    return dx * dx + dy * dy < radius * radius;
+}
+
+/**
+ * Move a circle out of a rectangular feature along the shortest way out.
+ * @param {{x: number, y: number, radius: number}} entity
+ * @param {ArenaFeature} feature
+ * @returns {{x: number, y: number}|null} Surface normal it was pushed along, or null if not touching
+ */
+export function pushOutOfFeature(entity, feature) {
+    const left = feature.x - feature.halfWidth;
+    const right = feature.x + feature.halfWidth;
+    const top = feature.y - feature.halfHeight;
+    const bottom = feature.y + feature.halfHeight;
+    const closestX = Math.max(left, Math.min(entity.x, right));
+    const closestY = Math.max(top, Math.min(entity.y, bottom));
+    const dx = entity.x - closestX;
+    const dy = entity.y - closestY;
+    const distSq = dx * dx + dy * dy;
+    if (distSq >= entity.radius * entity.radius) return null;
+
+    if (distSq > 0) {
+        const dist = Math.sqrt(distSq);
+        const push = entity.radius - dist;
+        entity.x += (dx / dist) * push;
+        entity.y += (dy / dist) * push;
+        return { x: dx / dist, y: dy / dist };
+    }
+
+    // Center inside the rectangle: leave through the nearest edge
+    const exits = [
+        { depth: entity.x - left, x: -1, y: 0 },
+        { depth: right - entity.x, x: 1, y: 0 },
+        { depth: entity.y - top, x: 0, y: -1 },
+        { depth: bottom - entity.y, x: 0, y: 1 },
+    ];
+    const exit = exits.reduce((best, candidate) => (candidate.depth < best.depth ? candidate : best));
+    entity.x += exit.x * (exit.depth + entity.radius);
+    entity.y += exit.y * (exit.depth + entity.radius);
+    return { x: exit.x, y: exit.y };
+}
+
+/**
+ * Move a cover block straight out from the ring's pillar until the lane
+ * between them is `lane` wide. Enemies only steer around what is close, so
+ * one too big for a narrower gap stays stuck in it.
+ * @param {import('./ArenaLayouts.js').ArenaGeometry} geometry
+ * @param {ArenaFeature} cover - Moved in place
+ * @param {number} lane
+ */
+function clearPillarLane(geometry, cover, lane) {
+    if (geometry.pillar <= 0) return;
+    const { centerX, centerY } = geometry;
+    const dx = Math.max(cover.x - cover.halfWidth, Math.min(centerX, cover.x + cover.halfWidth)) - centerX;
+    const dy = Math.max(cover.y - cover.halfHeight, Math.min(centerY, cover.y + cover.halfHeight)) - centerY;
+    const dist = Math.hypot(dx, dy);
+    const shortfall = geometry.pillar + lane - dist;
+    // Dead center sits in the pillar and is left out anyway
+    if (dist === 0 || shortfall <= 0) return;
+    cover.x += (dx / dist) * shortfall;
+    cover.y += (dy / dist) * shortfall;
+}
+
+export class ArenaFeatureSystem {
+    /**
+     * @param {import('../Game.js').Game} game
+     */
+    constructor(game) {
+        this.game = game;
+        this.reset();
+    }
+
+    reset() {
+        /** @type {ArenaFeature[]} */
+        this.features = [];
+        /** @type {number} Bumped whenever features move, appear or disappear (grid rebuilds) */
+        this.version = (this.version ?? 0) + 1;
+        this._elapsed = 0;
+        this._layoutWidth = 0;
+        this._layoutHeight = 0;
+    }
+
+    /**
+     * Swap in the features of a new wave. Cover comes back at full health
+     * and heal pads are recharged.
+     * @param {{features?: string|Object[]|null}} waveDef - Resolved wave definition
+     */
+    onWaveStart(waveDef) {
+        const cfg = GameConfig.ARENA_FEATURES;
+        const declared = typeof waveDef.features === 'string'
+            ? ARENA_PRESETS[waveDef.features]
+            : waveDef.features || [];
+
+        this.features = declared.map(def => ({
+            type: def.type,
+            def,
+            x: 0,
+            y: 0,
+            radius: 0,
+            halfWidth: 0,
+            halfHeight: 0,
+            hp: def.hp ?? cfg.COVER.HP,
+            maxHp: def.hp ?? cfg.COVER.HP,
+            state: 'off',
+            charge: def.capacity ?? cfg.HEAL_PAD.CAPACITY,
+        }));
+        this._elapsed = 0;
+        this._layout();
+
+        const geometry = this.game.getArenaGeometry();
+        this.features = this.features.filter(feature => isInsideArena(geometry, feature.x, feature.y));
+    }
+
+    /**
+     * Place every feature for the current arena size.
+     * @private
+     */
+    _layout() {
+        const geometry = this.game.getArenaGeometry();
+        const bounds = getArenaBounds(geometry);
+        const scale = this.game.getArenaScale();
+        const lane = GameConfig.ARENA_FEATURES.COVER.PILLAR_LANE * this.game.getEntityScale();
+        for (const feature of this.features) {
+            const { def } = feature;
+            feature.x = bounds.x + def.x * bounds.width;
+            feature.y = bounds.y + def.y * bounds.height;
+            if (RECT_TYPES.includes(feature.type)) {
+                feature.halfWidth = (def.width / 2) * scale;
+                feature.halfHeight = (def.height / 2) * scale;
+                feature.radius = Math.hypot(feature.halfWidth, feature.halfHeight);
+            } else {
+                feature.radius = def.radius * scale;
+            }
+            if (feature.type === 'cover') {
+                clearPillarLane(geometry, feature, lane);
+            }
+        }
+        this._layoutWidth = geometry.width;
+        this._layoutHeight = geometry.height;
+        this.version++;
+    }
+
+    /**
+     * Advance electric cycles and apply tiles, pads and wells.
+     * @param {number} delta - Time elapsed since last frame (ms)
+     */
+    update(delta) {
+        if (this.features.length === 0) return;
+        const { width, height } = this.game.getLogicalCanvasSize();
+        if (width !== this._layoutWidth || height !== this._layoutHeight) this._layout();
+
+        // Tiles only cycle while the wave is running
+        const active = this.game.waveManager.waveActive;
+        if (active) this._elapsed += delta;
+        for (const feature of this.features) {
+            if (feature.type === 'electric') feature.state = active ? this._getElectricState(feature) : 'off';
+        }
+
+        const deltaSeconds = delta / 1000;
+        this._applyToPlayer(deltaSeconds);
+        if (active) this._shockEnemies(deltaSeconds);
+        this._bendProjectiles(deltaSeconds);
+    }
+
+    /**
+     * Where an electric tile is in its cycle: off, then a warning flicker,
+     * then live for the last `activeTime` ms.
+     * @private
+     * @param {ArenaFeature} feature
+     * @returns {'off'|'warning'|'live'}
+     */
+    _getElectricState(feature) {
+        const cfg = GameConfig.ARENA_FEATURES.ELECTRIC;
+        const period = feature.def.period ?? cfg.PERIOD;
+        const activeTime = Math.min(feature.def.activeTime ?? cfg.ACTIVE_TIME, period);
+        const t = (this._elapsed + (feature.def.offset ?? 0)) % period;
+        if (t >= period - activeTime) return 'live';
+        if (t >= period - activeTime - cfg.WARNING_TIME) return 'warning';
+        return 'off';
+    }
+
+    /** @private */
+    _applyToPlayer(deltaSeconds) {
+        const cfg = GameConfig.ARENA_FEATURES;
+        const { player } = this.game;
+        const nearby = this.game.collisionSystem.queryFeatures(player.x, player.y, player.radius);
+        let shocked = false;
+        for (const feature of nearby) {
+            if (!overlapsFeature(feature, player.x, player.y, player.radius)) continue;
+            if (feature.type === 'electric' && feature.state === 'live') {
+                shocked = true;
+            } else if (feature.type === 'healPad' && feature.charge > 0 && player.hp < player.maxHp) {
+                const amount = Math.min(cfg.HEAL_PAD.RATE * deltaSeconds, feature.charge, player.maxHp - player.hp);
+                feature.charge -= amount;
+                player.heal(amount);
+            }
+        }
+        // Overlapping tiles don't stack
+        if (shocked) player.takeDamage(cfg.ELECTRIC.PLAYER_DPS * deltaSeconds);
+    }
+
+    /**
+     * Live tiles wear down regular enemies standing on them; bosses ignore them.
+     * @private
+     */
+    _shockEnemies(deltaSeconds) {
+        const ratio = GameConfig.ARENA_FEATURES.ELECTRIC.ENEMY_DPS_RATIO;
+        const { enemies, collisionSystem } = this.game;
+        for (let i = 0; i < enemies.length; i++) {
+            const enemy = enemies[i];
+            if (enemy.isBoss || enemy.dying || enemy.health <= 0 || enemy.untargetable) continue;
+            const nearby = collisionSystem.queryFeatures(enemy.x, enemy.y, enemy.radius);
+            for (const feature of nearby) {
+                if (feature.type !== 'electric' || feature.state !== 'live') continue;
+                if (!overlapsFeature(feature, enemy.x, enemy.y, enemy.radius)) continue;
+                enemy.takeDamage(enemy.maxHealth * ratio * deltaSeconds);
+                break;
+            }
+        }
+    }
+
+    /**
+     * Gravity wells turn projectiles toward their center without changing
+     * their speed. The pull fades from full strength at the center to
+     * nothing at the rim.
+     * @private
+     */
+    _bendProjectiles(deltaSeconds) {
+        const baseStrength = GameConfig.ARENA_FEATURES.GRAVITY_WELL.STRENGTH * this.game.getArenaScale();
+        const { projectiles, collisionSystem } = this.game;
+        for (let i = 0; i < projectiles.length; i++) {
+            const projectile = projectiles[i];
+            const nearby = collisionSystem.queryFeatures(projectile.x, projectile.y, 0);
+            for (const well of nearby) {
+                if (well.type !== 'gravityWell') continue;
+                const dx = well.x - projectile.x;
+                const dy = well.y - projectile.y;
+                const dist = Math.hypot(dx, dy);
+                if (dist >= well.radius || dist < 1) continue;
+
+                const strength = well.def.strength !== undefined
+                    ? well.def.strength * this.game.getArenaScale()
+                    : baseStrength;
+                const pull = strength * (1 - dist / well.radius) * deltaSeconds;
+                const speed = Math.hypot(projectile.vx, projectile.vy);
+                const vx = projectile.vx + (dx / dist) * pull;
+                const vy = projectile.vy + (dy / dist) * pull;
+                const bentSpeed = Math.hypot(vx, vy);
+                if (bentSpeed === 0) continue;
+                projectile.vx = (vx / bentSpeed) * speed;
+                projectile.vy = (vy / bentSpeed) * speed;
+                projectile.angle = Math.atan2(projectile.vy, projectile.vx);
+            }
+        }
+    }
+
+    /**
+     * Whether a shot from one point to another passes through a gravity
+     * well, which would bend it off course.
+     * @param {number} x1
+     * @param {number} y1
+     * @param {number} x2
+     * @param {number} y2
+     * @returns {boolean}
+     */
+    crossesGravityWell(x1, y1, x2, y2) {
+        for (const feature of this.features) {
+            if (feature.type !== 'gravityWell') continue;
+            if (MathUtils.distanceToSegment(feature.x, feature.y, x1, y1, x2, y2) < feature.radius) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Apply a projectile hit to a block of cover, removing it once it breaks.
+     * @param {ArenaFeature} cover
+     * @param {number} amount
+     */
+    damageCover(cover, amount) {
+        cover.hp -= amount;
+        if (cover.hp > 0) return;
+        const index = this.features.indexOf(cover);
+        if (index !== -1) this.features.splice(index, 1);
+        this.version++;
+        this.game.effectsManager.createExplosion(cover.x, cover.y, 10);
+        playSFX('impact_explosion_small');
+    }
+
+    /**
+     * Draw the features on the arena floor, below every entity.
+     * @param {CanvasRenderingContext2D} ctx
+     */
+    draw(ctx) {
+        if (this.features.length === 0) return;
+        const highContrast = isHighContrast(this.game);
+        const reducedMotion = this.game?.runtimeSettings?.reducedMotion === true;
+        const time = Date.now();
+
+        ctx.save();
+        for (const feature of this.features) {
+            switch (feature.type) {
+                case 'cover':
+                    this._drawCover(ctx, feature, highContrast);
+                    break;
+                case 'electric':
+                    this._drawElectric(ctx, feature, highContrast, reducedMotion, time);
+                    break;
+                case 'healPad':
+                    this._drawHealPad(ctx, feature, reducedMotion, time);
+                    break;
+                case 'gravityWell':
+                    this._drawGravityWell(ctx, feature, reducedMotion, time);
+                    break;
+            }
+        }
+        ctx.restore();
+    }
+
+    /** @private */
+    _drawCover(ctx, feature, highContrast) {
+        const x = feature.x - feature.halfWidth;
+        const y = feature.y - feature.halfHeight;
+        const w = feature.halfWidth * 2;
+        const h = feature.halfHeight * 2;
+        const health = feature.hp / feature.maxHp;
+
+        ctx.globalAlpha = 1;
+        ctx.fillStyle = '#151a2e';
+        ctx.fillRect(x, y, w, h);
+        // Cracks show as the inner panel shrinking
+        ctx.fillStyle = '#2a3358';
+        ctx.fillRect(x + 3, y + 3, Math.max(0, (w - 6) * health), h - 6);
+        ctx.strokeStyle = highContrast ? '#fff' : '#7f8cff';
+        ctx.lineWidth = highContrast ? 3 : 2;
+        ctx.strokeRect(x, y, w, h);
+    }
+
+    /** @private */
+    _drawElectric(ctx, feature, highContrast, reducedMotion, time) {
+        const x = feature.x - feature.halfWidth;
+        const y = feature.y - feature.halfHeight;
+        const w = feature.halfWidth * 2;
+        const h = feature.halfHeight * 2;
+        const color = getTelegraphColor(this.game, '#ffe03d');
+
+        if (feature.state === 'live') {
+            ctx.globalAlpha = reducedMotion ? 0.4 : 0.3 + Math.abs(Math.sin(time / 40)) * 0.15;
+        } else if (feature.state === 'warning') {
+            ctx.globalAlpha = reducedMotion ? 0.2 : 0.1 + Math.abs(Math.sin(time / 90)) * 0.15;
+        } else {
+            ctx.globalAlpha = 0.06;
+        }
+        ctx.fillStyle = color;
+        ctx.fillRect(x, y, w, h);
+
+        ctx.globalAlpha = feature.state === 'off' ? 0.35 : 0.9;
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.setLineDash(feature.state === 'live' ? [] : [10, 8]);
+        ctx.strokeRect(x, y, w, h);
+        ctx.setLineDash([]);
+
+        if (highContrast && feature.state !== 'off') {
+            const edgeWidth = feature.state === 'live' ? 4 : 2;
+            drawHazardLine(ctx, x, y, x + w, y, edgeWidth);
+            drawHazardLine(ctx, x, y + h, x + w, y + h, edgeWidth);
+            drawHazardLine(ctx, x, y, x, y + h, edgeWidth);
+            drawHazardLine(ctx, x + w, y, x + w, y + h, edgeWidth);
+        }
+    }
+
+    /** @private */
+    _drawHealPad(ctx, feature, reducedMotion, time) {
+        const capacity = feature.def.capacity ?? GameConfig.ARENA_FEATURES.HEAL_PAD.CAPACITY;
+        const charge = feature.charge / capacity;
+        const pulse = reducedMotion ? 0 : Math.sin(time / 300) * 0.08;
+
+        ctx.globalAlpha = 0.12 + charge * 0.2 + pulse;
+        ctx.fillStyle = '#3dff8b';
+        ctx.beginPath();
+        ctx.arc(feature.x, feature.y, feature.radius, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Ring drains as the pad runs dry
+        ctx.globalAlpha = 0.9;
+        ctx.strokeStyle = '#3dff8b';
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.arc(feature.x, feature.y, feature.radius, -Math.PI / 2, -Math.PI / 2 + Math.PI * 2 * charge);
+        ctx.stroke();
+
+        // Cross
+        const arm = feature.radius * 0.4;
+        ctx.globalAlpha = charge > 0 ? 0.9 : 0.3;
+        ctx.lineWidth = 4;
+        ctx.beginPath();
+        ctx.moveTo(feature.x - arm, feature.y);
+        ctx.lineTo(feature.x + arm, feature.y);
+        ctx.moveTo(feature.x, feature.y - arm);
+        ctx.lineTo(feature.x, feature.y + arm);
+        ctx.stroke();
+    }
+
+    /** @private */
+    _drawGravityWell(ctx, feature, reducedMotion, time) {
+        ctx.globalAlpha = 0.5;
+        ctx.strokeStyle = '#b06bff';
+        ctx.lineWidth = 1.5;
+        // Rings drifting inward
+        const drift = reducedMotion ? 0 : (time / 1500) % 1;
+        for (let i = 0; i < 3; i++) {
+            const t = 1 - ((i / 3 + drift) % 1);
+            ctx.globalAlpha = 0.15 + (1 - t) * 0.35;
+            ctx.beginPath();
+            ctx.arc(feature.x, feature.y, feature.radius * t, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+        ctx.globalAlpha = 0.8;
+        ctx.fillStyle = '#b06bff';
+        ctx.beginPath();
+        ctx.arc(feature.x, feature.y, Math.max(4, feature.radius * 0.08), 0, Math.PI * 2);
+        ctx.fill();
+        if (isHighContrast(this.game)) drawHazardCircle(ctx, feature.x, feature.y, feature.radius, { hatch: false, alpha: 0.6 });
+    }
+}
@@ -0,0 +1,298 @@
+/**
+ * @fileoverview Geometry of the arena layouts in config/ArenaConfig.js.
+ *
+ * A layout is turned into an ArenaGeometry for the current canvas size
+ * (Game.getArenaGeometry caches it). The helpers here keep entities inside
+ * the play area, place spawns on the layout's spawn points and trace its
+ * outline for the background.
+ */
+
+import { ARENA_LAYOUTS, DEFAULT_ARENA_LAYOUT } from '../config/ArenaConfig.js';
+import { MathUtils } from '../utils/MathUtils.js';
+
+/**
+ * @typedef {Object} ArenaGeometry
+ * @property {string} id - ARENA_LAYOUTS key
+ * @property {Object} layout - The ARENA_LAYOUTS entry
+ * @property {string} type - Shape type
+ * @property {number} width - Canvas width
+ * @property {number} height - Canvas height
+ * @property {number} centerX
+ * @property {number} centerY
+ * @property {number} radius - Outer radius of circle and ring arenas
+ * @property {number} pillar - Radius of the ring's central pillar (0 for other shapes)
+ * @property {number} halfBand - Half the width of a corridor or cross arm
+ */
+
+/**
+ * @param {string} id
+ * @returns {boolean} Whether `id` names a layout
+ */
+export function isArenaLayout(id) {
+    return Object.prototype.hasOwnProperty.call(ARENA_LAYOUTS, id);
+}
+
+/**
+ * Size a layout for a canvas. Unknown ids fall back to the default layout.
+ * @param {string} id
+ * @param {number} width
+ * @param {number} height
+ * @returns {ArenaGeometry}
+ */
+export function getArenaGeometry(id, width, height) {
+    const layoutId = isArenaLayout(id) ? id : DEFAULT_ARENA_LAYOUT;
+    const layout = ARENA_LAYOUTS[layoutId];
+    const { shape } = layout;
+    const shortSide = Math.min(width, height);
+    return {
+        id: layoutId,
+        layout,
+        type: shape.type,
+        width,
+        height,
+        centerX: width / 2,
+        centerY: height / 2,
+        radius: (shape.radius ?? 0) * shortSide,
+        pillar: (shape.pillar ?? 0) * shortSide,
+        halfBand: shape.type === 'corridor' ? (shape.width * height) / 2 : ((shape.arm ?? 0) * shortSide) / 2,
+    };
+}
+
+/**
+ * Push a circle out of the ring's central pillar.
+ * @param {ArenaGeometry} geometry
+ * @param {{x: number, y: number, radius: number}} entity - Moved in place
+ * @returns {{x: number, y: number}|null} Outward normal, or null if it wasn't touching
+ */
+export function pushOutOfPillar(geometry, entity) {
+    if (geometry.pillar <= 0) return null;
+    const dx = entity.x - geometry.centerX;
+    const dy = entity.y - geometry.centerY;
+    const dist = Math.sqrt(dx * dx + dy * dy);
+    const minDist = geometry.pillar + entity.radius;
+    if (dist >= minDist) return null;
+
+    // Dead center: leave upward
+    const normalX = dist > 0 ? dx / dist : 0;
+    const normalY = dist > 0 ? dy / dist : -1;
+    entity.x = geometry.centerX + normalX * minDist;
+    entity.y = geometry.centerY + normalY * minDist;
+    return { x: normalX, y: normalY };
+}
+
+/**
+ * @param {ArenaGeometry} geometry
+ * @param {number} x1
+ * @param {number} y1
+ * @param {number} x2
+ * @param {number} y2
+ * @param {number} [clearance=0] - How far the line has to pass from the pillar
+ * @returns {boolean} Whether the ring's pillar stands between the two points
+ */
+export function isBlockedByPillar(geometry, x1, y1, x2, y2, clearance = 0) {
+    if (geometry.pillar <= 0) return false;
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq > 0
+        ? MathUtils.clamp(((geometry.centerX - x1) * dx + (geometry.centerY - y1) * dy) / lengthSq, 0, 1)
+        : 0;
+    const cx = x1 + dx * t - geometry.centerX;
+    const cy = y1 + dy * t - geometry.centerY;
+    const reach = geometry.pillar + clearance;
+    return cx * cx + cy * cy < reach * reach;
+}
+
+/**
+ * Move a circle back inside the play area.
+ * @param {ArenaGeometry} geometry
+ * @param {{x: number, y: number, radius: number}} entity - Moved in place
+ */
+export function clampToArena(geometry, entity) {
+    const { width, height, centerX, centerY, halfBand } = geometry;
+    const r = entity.radius;
+
+    switch (geometry.type) {
+        case 'circle':
+        case 'ring': {
+            const dx = entity.x - centerX;
+            const dy = entity.y - centerY;
+            const dist = Math.sqrt(dx * dx + dy * dy);
+            const maxDist = geometry.radius - r;
+            if (dist > maxDist) {
+                entity.x = centerX + (dx / dist) * maxDist;
+                entity.y = centerY + (dy / dist) * maxDist;
+            }
+            pushOutOfPillar(geometry, entity);
+            break;
+        }
+        case 'corridor':
+            entity.x = MathUtils.clamp(entity.x, r, width - r);
+            entity.y = MathUtils.clamp(entity.y, centerY - halfBand + r, centerY + halfBand - r);
+            break;
+        case 'cross': {
+            // Clamp into each arm and keep whichever is closer
+            const hx = MathUtils.clamp(entity.x, r, width - r);
+            const hy = MathUtils.clamp(entity.y, centerY - halfBand + r, centerY + halfBand - r);
+            const vx = MathUtils.clamp(entity.x, centerX - halfBand + r, centerX + halfBand - r);
+            const vy = MathUtils.clamp(entity.y, r, height - r);
+            const hDistSq = (hx - entity.x) * (hx - entity.x) + (hy - entity.y) * (hy - entity.y);
+            const vDistSq = (vx - entity.x) * (vx - entity.x) + (vy - entity.y) * (vy - entity.y);
+            if (hDistSq <= vDistSq) {
+                entity.x = hx;
+                entity.y = hy;
+            } else {
+                entity.x = vx;
+                entity.y = vy;
+            }
+            break;
+        }
+        default:
+            entity.x = MathUtils.clamp(entity.x, r, width - r);
+            entity.y = MathUtils.clamp(entity.y, r, height - r);
+    }
+}
+
+/**
+ * @param {ArenaGeometry} geometry
+ * @param {number} x
+ * @param {number} y
+ * @returns {boolean} Whether the point is in the play area
+ */
+export function isInsideArena(geometry, x, y) {
+    const dx = x - geometry.centerX;
+    const dy = y - geometry.centerY;
+    switch (geometry.type) {
+        case 'circle':
+            return dx * dx + dy * dy <= geometry.radius * geometry.radius;
+        case 'ring': {
+            const distSq = dx * dx + dy * dy;
+            return distSq <= geometry.radius * geometry.radius && distSq >= geometry.pillar * geometry.pillar;
+        }
+        case 'corridor':
+            return Math.abs(dy) <= geometry.halfBand;
+        case 'cross':
+            return Math.abs(dy) <= geometry.halfBand || Math.abs(dx) <= geometry.halfBand;
+        default:
+            return true;
+    }
+}
+
+/**
+ * Bounding box of the play area. Arena features are laid out inside it.
+ * @param {ArenaGeometry} geometry
+ * @returns {{x: number, y: number, width: number, height: number}}
+ */
+export function getArenaBounds(geometry) {
+    const { centerX, centerY, radius, halfBand } = geometry;
+    switch (geometry.type) {
+        case 'circle':
+        case 'ring':
+            return { x: centerX - radius, y: centerY - radius, width: radius * 2, height: radius * 2 };
+        case 'corridor':
+            return { x: 0, y: centerY - halfBand, width: geometry.width, height: halfBand * 2 };
+        default:
+            return { x: 0, y: 0, width: geometry.width, height: geometry.height };
+    }
+}
+
+/**
+ * Where the player starts: the middle, or halfway between the ring's
+ * pillar and rim.
+ * @param {ArenaGeometry} geometry
+ * @returns {{x: number, y: number}}
+ */
+export function getPlayerStart(geometry) {
+    if (geometry.type === 'ring') {
+        return { x: geometry.centerX, y: geometry.centerY - (geometry.radius + geometry.pillar) / 2 };
+    }
+    return { x: geometry.centerX, y: geometry.centerY };
+}
+
+/**
+ * The layout's spawn point whose direction from the center is closest to `angle`.
+ * @param {ArenaGeometry} geometry - A layout with spawn points
+ * @param {number} angle
+ * @returns {{x: number, y: number, angle: number, turn: number}} `turn` is
+ *   how far `angle` lies from the point's direction (-π..π)
+ */
+export function getNearestSpawnPoint(geometry, angle) {
+    const { width, height, centerX, centerY } = geometry;
+    let nearest = null;
+    for (const [fx, fy] of geometry.layout.spawns) {
+        const x = fx * width;
+        const y = fy * height;
+        const pointAngle = Math.atan2(y - centerY, x - centerX);
+        const turn = MathUtils.normalizeAngle(angle - pointAngle + Math.PI) - Math.PI;
+        if (!nearest || Math.abs(turn) < Math.abs(nearest.turn)) {
+            nearest = { x, y, angle: pointAngle, turn };
+        }
+    }
+    return nearest;
+}
+
+/**
+ * Map a point on the spawn circle (angle, distance from the center) onto
+ * the nearest spawn point. Distance past the canvas edge carries over as
+ * distance past the spawn point, and the arc from the point's direction
+ * becomes a sideways offset. Offsets wider than `spread` wrap back inside
+ * it, so squads keep their spacing and single spawns scatter evenly.
+ * @param {ArenaGeometry} geometry - A layout with spawn points
+ * @param {number} angle
+ * @param {number} distance
+ * @param {number} spread - Largest sideways offset (px)
+ * @returns {{x: number, y: number}}
+ */
+export function getSpawnPointPosition(geometry, angle, distance, spread) {
+    const point = getNearestSpawnPoint(geometry, angle);
+    const depth = distance - Math.max(geometry.width, geometry.height) / 2;
+    const span = spread * 2;
+    const offset = ((((point.turn * distance + spread) % span) + span) % span) - spread;
+    const outX = Math.cos(point.angle);
+    const outY = Math.sin(point.angle);
+    return {
+        x: point.x + outX * depth - outY * offset,
+        y: point.y + outY * depth + outX * offset,
+    };
+}
+
+/**
+ * Add the outline of the play area to the current path.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {ArenaGeometry} geometry
+ */
+export function traceArenaShape(ctx, geometry) {
+    const { width, height, centerX, centerY, halfBand } = geometry;
+    switch (geometry.type) {
+        case 'circle':
+        case 'ring':
+            ctx.moveTo(centerX + geometry.radius, centerY);
+            ctx.arc(centerX, centerY, geometry.radius, 0, Math.PI * 2);
+            break;
+        case 'corridor':
+            ctx.rect(0, centerY - halfBand, width, halfBand * 2);
+            break;
+        case 'cross': {
+            const left = centerX - halfBand;
+            const right = centerX + halfBand;
+            const top = centerY - halfBand;
+            const bottom = centerY + halfBand;
+            ctx.moveTo(left, 0);
+            ctx.lineTo(right, 0);
+            ctx.lineTo(right, top);
+            ctx.lineTo(width, top);
+            ctx.lineTo(width, bottom);
+            ctx.lineTo(right, bottom);
+            ctx.lineTo(right, height);
+            ctx.lineTo(left, height);
+            ctx.lineTo(left, bottom);
+            ctx.lineTo(0, bottom);
+            ctx.lineTo(0, top);
+            ctx.lineTo(left, top);
+            ctx.closePath();
+            break;
+        }
+        default:
+            ctx.rect(0, 0, width, height);
+    }
+}
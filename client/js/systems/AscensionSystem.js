@@ -6,11 +6,10 @@
  */
 
 import { ASCENSION_POOL, ASCENSION_PICKS, ASCENSION_INTERVAL } from '../config/SkillConfig.js';
-import { playSFX } from '../main.js';
-import { vfxHelper } from '../managers/VFXHelper.js';
+import { playSFX, vfx } from '../managers/RuntimeAdapters.js';
 import { ActionTypes } from '../state/index.js';
-const createFloatingText = vfxHelper.createFloatingText.bind(vfxHelper);
-const screenFlash = vfxHelper.screenFlash.bind(vfxHelper);
+const createFloatingText = vfx.createFloatingText;
+const screenFlash = vfx.screenFlash;
 
 export class AscensionSystem {
 	/**
@@ -52,7 +51,7 @@ export class AscensionSystem {
 		const pool = available.length >= ASCENSION_PICKS ? available : [...ASCENSION_POOL];
 
 		// Shuffle and pick
-		const shuffled = pool.sort(() => Math.random() - 0.5);
+		const shuffled = this.game.rng.ascension.shuffle(pool);
 		const options = shuffled.slice(0, ASCENSION_PICKS);
 
 		for (const opt of options) {
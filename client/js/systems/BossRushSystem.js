@@ -0,0 +1,73 @@
+/**
+ * @fileoverview BossRushSystem — per-boss splits and scoring for Boss Rush.
+ *
+ * Boss Rush doesn't score kills, combos or drops. Each boss pays out a flat
+ * clear bonus plus a time bonus and a damage bonus that both shrink linearly
+ * (see GameConfig.BOSS_RUSH). The splits are kept for the victory screen.
+ */
+
+import { GameConfig } from '../config/GameConfig.js';
+import { vfx } from '../managers/RuntimeAdapters.js';
+const createFloatingText = vfx.createFloatingText;
+
+/**
+ * @typedef {Object} BossRushSplit
+ * @property {number} wave
+ * @property {string|null} bossType
+ * @property {number} timeMs - Time from the boss wave starting to its clear
+ * @property {number} damageTaken - Health lost during the fight
+ * @property {number} score - Score awarded for the fight
+ */
+
+export class BossRushSystem {
+    /**
+     * @param {import('../Game.js').Game} game
+     */
+    constructor(game) {
+        this.game = game;
+        this.reset();
+    }
+
+    reset() {
+        /** @type {BossRushSplit[]} One entry per boss defeated this run */
+        this.splits = [];
+        this._fightStartTime = 0;
+        this._fightStartDamage = 0;
+    }
+
+    onWaveStart() {
+        this._fightStartTime = this.game.getSimTime();
+        this._fightStartDamage = this.game.player.damageTaken;
+    }
+
+    /**
+     * Score the boss that was just defeated and record its split.
+     * @returns {BossRushSplit}
+     */
+    onWaveCleared() {
+        const cfg = GameConfig.BOSS_RUSH;
+        const { player } = this.game;
+        const timeMs = Math.round(this.game.getSimTime() - this._fightStartTime);
+        const damageTaken = player.damageTaken - this._fightStartDamage;
+        const timeBonus = cfg.TIME_BONUS * Math.max(0, 1 - timeMs / cfg.PAR_TIME);
+        const damageBonus = cfg.NO_DAMAGE_BONUS * Math.max(0, 1 - damageTaken / player.maxHp);
+
+        const split = {
+            wave: this.game.wave,
+            bossType: this.game.waveManager.lastBossType,
+            timeMs,
+            damageTaken: Math.round(damageTaken),
+            score: Math.round(cfg.CLEAR_SCORE + timeBonus + damageBonus),
+        };
+        this.splits.push(split);
+
+        const { width, height } = this.game.getLogicalCanvasSize();
+        createFloatingText(
+            `${(timeMs / 1000).toFixed(1)}s · -${split.damageTaken} HP · +${split.score}`,
+            width / 2,
+            height / 2 - 40,
+            'milestone-minor'
+        );
+        return split;
+    }
+}
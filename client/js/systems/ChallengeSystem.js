@@ -1,6 +1,5 @@
-import { playSFX } from '../main.js';
-import { vfxHelper } from '../managers/VFXHelper.js';
-const createFloatingText = vfxHelper.createFloatingText.bind(vfxHelper);
+import { playSFX, vfx } from '../managers/RuntimeAdapters.js';
+const createFloatingText = vfx.createFloatingText;
 import { MathUtils } from '../utils/MathUtils.js';
 import { ActionTypes } from '../state/index.js';
 
@@ -13,6 +12,8 @@ const CHALLENGE_POOL = [
     { id: 'sharpshooter',  desc: 'Kill 50 enemies in one wave',       icon: '🎯', target: 50, reward: { coins: 30, tokens: 2 } },
     { id: 'tank_buster',   desc: 'Kill 10 tank enemies',              icon: '💪', target: 10, reward: { coins: 25, tokens: 2 } },
     { id: 'miser',         desc: 'Reach wave 15 without buying',      icon: '💎', target: 15, reward: { coins: 50, tokens: 3 } },
+    { id: 'elite_hunt',    desc: 'Kill 5 elite enemies',              icon: '🎖️', target: 5,  reward: { coins: 35, tokens: 2 } },
+    { id: 'affix_collector', desc: 'Kill elites with 4 different affixes', icon: '🧬', target: 4, reward: { coins: 40, tokens: 3 } },
 ];
 
 const CHALLENGES_PER_RUN = 3;
@@ -32,10 +33,13 @@ export class ChallengeSystem {
         this._maxShopPurchases = 0;
         this._totalPurchases = 0;
         this._noPurchaseWave = 0;
+        this._eliteKills = 0;
+        /** @type {Set<string>} Affixes seen on killed elites */
+        this._eliteAffixesKilled = new Set();
     }
 
     selectChallenges() {
-        const shuffled = [...CHALLENGE_POOL].sort(() => Math.random() - 0.5);
+        const shuffled = this.game.rng.ascension.shuffle([...CHALLENGE_POOL]);
         this.activeChallenges = shuffled.slice(0, CHALLENGES_PER_RUN).map(c => ({
             ...c,
             progress: 0,
@@ -51,19 +55,20 @@ export class ChallengeSystem {
         this._maxShopPurchases = 0;
         this._totalPurchases = 0;
         this._noPurchaseWave = 0;
+        this._eliteKills = 0;
+        this._eliteAffixesKilled.clear();
     }
 
     onWaveStart() {
         this._waveStartHp = this.game.player.hp;
-        this._waveStartTime = performance.now();
+        this._waveStartTime = this.game.getSimTime();
         this._waveKills = 0;
     }
 
     onEnemyKilled(enemy) {
         this._waveKills++;
 
-        // Tank detection by color
-        if (enemy.color === '#ff0' && !enemy.isBoss) {
+        if (enemy.kind === 'tank') {
             this._tankKills++;
         }
 
@@ -71,11 +76,16 @@ export class ChallengeSystem {
             this._bossKills++;
         }
 
+        if (enemy.elite) {
+            this._eliteKills++;
+            for (const affix of enemy.elite.affixes) this._eliteAffixesKilled.add(affix);
+        }
+
         this._updateProgress();
     }
 
     onWaveComplete() {
-        const elapsed = performance.now() - this._waveStartTime;
+        const elapsed = this.game.getSimTime() - this._waveStartTime;
         if (elapsed < 20000) {
             this._fastWaves++;
         }
@@ -112,6 +122,8 @@ export class ChallengeSystem {
                 case 'sharpshooter':  value = this._waveKills; break;
                 case 'tank_buster':   value = this._tankKills; break;
                 case 'miser':         value = this._totalPurchases === 0 ? this.game.wave : 0; break;
+                case 'elite_hunt':    value = this._eliteKills; break;
+                case 'affix_collector': value = this._eliteAffixesKilled.size; break;
             }
 
             if (challenge.id !== 'no_damage') {
@@ -155,12 +167,14 @@ export class ChallengeSystem {
         // Award XP + score instead of coins
         const xpReward = (challenge.reward.coins || 0) * 5; // Convert old coin amount to XP
         if (xpReward > 0) this.game.addXP(xpReward);
-        this.game.score += (challenge.reward.coins || 0) * 10;
+        // Boss Rush only scores boss clears
+        const scoreReward = this.game.isBossRush() ? 0 : (challenge.reward.coins || 0) * 10;
+        this.game.score += scoreReward;
 
         // Dispatch score to state store
         this.game.dispatcher?.dispatch({
             type: ActionTypes.SCORE_ADD,
-            payload: { amount: (challenge.reward.coins || 0) * 10, source: 'challenge_complete' },
+            payload: { amount: scoreReward, source: 'challenge_complete' },
         });
 
         if (challenge.reward.tokens > 0) {
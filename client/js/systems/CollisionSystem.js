@@ -1,11 +1,12 @@
 import { MathUtils } from '../utils/MathUtils.js';
 import { GameConfig } from '../config/GameConfig.js';
-import { playSFX } from './../main.js';
-import { vfxHelper } from './../managers/VFXHelper.js';
+import { playSFX, vfx, haptics } from './../managers/RuntimeAdapters.js';
 import { ActionTypes } from '../state/index.js';
 import { SpatialGrid } from '../utils/SpatialGrid.js';
-const createFloatingText = vfxHelper.createFloatingText.bind(vfxHelper);
-const screenFlash = vfxHelper.screenFlash.bind(vfxHelper);
+import { overlapsFeature, pushOutOfFeature } from './ArenaFeatureSystem.js';
+import { clampToArena, pushOutOfPillar } from './ArenaLayouts.js';
+const createFloatingText = vfx.createFloatingText;
+const screenFlash = vfx.screenFlash;
 
 /**
  * Handles all collision detection and resolution in the game.
@@ -20,16 +21,26 @@ export class CollisionSystem {
         this.game = game;
         /** @type {SpatialGrid|null} */
         this._enemyGrid = null;
+        /** @type {SpatialGrid|null} Arena features, rebuilt when ArenaFeatureSystem.version changes */
+        this._featureGrid = null;
+        this._featureGridVersion = -1;
         /** @type {Map<number|string, number>} tracks last contact-damage timestamp per boss id */
         this._bossContactLastHit = new Map();
     }
 
+    /**
+     * Enemy spatial grid from the last rebuild (also used for steering).
+     * @returns {SpatialGrid|null}
+     */
+    get enemyGrid() {
+        return this._enemyGrid;
+    }
+
     /**
      * Rebuild the spatial hash grid with current enemy positions.
-     * Called once per frame before collision checks.
-     * @private
+     * Called before enemies move (for steering) and again before collision checks.
      */
-    _rebuildEnemyGrid() {
+    rebuildEnemyGrid() {
         const canvas = this.game.canvas;
         const w = canvas.logicalWidth || canvas.width;
         const h = canvas.logicalHeight || canvas.height;
@@ -45,13 +56,58 @@ export class CollisionSystem {
         }
     }
 
+    /**
+     * Rebuild the arena feature grid if features changed since the last build.
+     */
+    rebuildFeatureGrid() {
+        const arena = this.game.arenaFeatureSystem;
+        if (this._featureGrid && this._featureGridVersion === arena.version) return;
+        const canvas = this.game.canvas;
+        const w = canvas.logicalWidth || canvas.width;
+        const h = canvas.logicalHeight || canvas.height;
+        if (!this._featureGrid) {
+            this._featureGrid = new SpatialGrid(GameConfig.ARENA_FEATURES.GRID_CELL_SIZE, w, h);
+        } else {
+            this._featureGrid.resize(w, h);
+            this._featureGrid.clear();
+        }
+        for (const feature of arena.features) {
+            this._featureGrid.insert(feature);
+        }
+        this._featureGridVersion = arena.version;
+    }
+
+    /**
+     * Arena features whose grid cells overlap a circle. The returned array is
+     * reused by the next query.
+     * @param {number} x
+     * @param {number} y
+     * @param {number} radius
+     * @returns {import('./ArenaFeatureSystem.js').ArenaFeature[]}
+     */
+    queryFeatures(x, y, radius) {
+        this.rebuildFeatureGrid();
+        return this._featureGrid.query(x, y, radius);
+    }
+
     /**
      * Check all collision types and handle responses.
      */
     checkAllCollisions() {
-        this._rebuildEnemyGrid();
+        this.rebuildEnemyGrid();
+        if (this.game.getArenaGeometry().type !== 'rect') {
+            this._resolveArenaLayout();
+        }
+        if (this.game.arenaFeatureSystem.features.length > 0) {
+            this._checkProjectileCoverCollisions();
+            this._resolveCoverOverlaps();
+        }
         this._checkProjectileEnemyCollisions();
         this._checkPlayerEnemyCollisions();
+        if (this.game.allies.length > 0) {
+            this._checkEnemyProjectileAllyCollisions();
+            this._checkMineAllyCollisions();
+        }
         this._checkEnemyProjectilePlayerCollisions();
     }
 
@@ -88,7 +144,15 @@ export class CollisionSystem {
 
             for (let nIdx = 0; nIdx < nearby.length; nIdx++) {
                 const enemy = nearby[nIdx];
-                if (!enemy || enemy.dying || enemy.health <= 0) continue;
+                if (!enemy || enemy.dying || enemy.health <= 0 || enemy.untargetable) continue;
+
+                // Shield-bearer barriers soak the shot before it reaches the body
+                if (enemy.blocksProjectile?.(projectile)) {
+                    enemy.absorbProjectile(projectile);
+                    this.game.effectsManager.createHitEffect(projectile.x, projectile.y);
+                    this._removeProjectileAt(pIndex);
+                    break;
+                }
 
                 if (MathUtils.circleCollision(projectile, enemy)) {
                     const projectileRemoved = this._handleProjectileHit(projectile, enemy, pIndex);
@@ -100,6 +164,98 @@ export class CollisionSystem {
         }
     }
 
+    /**
+     * Cover takes the damage of every projectile that hits it. Ricochet shots
+     * with bounces left glance off; everything else stops.
+     * @private
+     */
+    _checkProjectileCoverCollisions() {
+        const projectiles = this.game.projectiles;
+        for (let pIndex = projectiles.length - 1; pIndex >= 0; pIndex--) {
+            const projectile = projectiles[pIndex];
+            const nearby = this.queryFeatures(projectile.x, projectile.y, projectile.radius);
+            for (let fIdx = 0; fIdx < nearby.length; fIdx++) {
+                const cover = nearby[fIdx];
+                if (cover.type !== 'cover' || cover.hp <= 0) continue;
+                if (!overlapsFeature(cover, projectile.x, projectile.y, projectile.radius)) continue;
+
+                this.game.arenaFeatureSystem.damageCover(
+                    cover,
+                    projectile.isEnemyProjectile ? projectile.damage : projectile.getCurrentDamage()
+                );
+                if (projectile.ricochetBounces > 0) {
+                    // Glance off, unless this hit broke the cover
+                    if (cover.hp > 0) {
+                        const normal = pushOutOfFeature(projectile, cover);
+                        if (normal) projectile.ricochet(normal.x, normal.y);
+                    }
+                    break;
+                }
+
+                if (projectile.explosive) projectile.explode(this.game);
+                this.game.effectsManager.createHitEffect(projectile.x, projectile.y);
+                this._removeProjectileAt(pIndex);
+                break;
+            }
+        }
+    }
+
+    /**
+     * Keep the player and regular enemies out of cover. Bosses move on
+     * scripted paths and pass over it.
+     * @private
+     */
+    _resolveCoverOverlaps() {
+        const player = this.game.player;
+        const nearPlayer = this.queryFeatures(player.x, player.y, player.radius);
+        for (let i = 0; i < nearPlayer.length; i++) {
+            if (nearPlayer[i].type === 'cover') pushOutOfFeature(player, nearPlayer[i]);
+        }
+
+        const enemies = this.game.enemies;
+        for (let i = 0; i < enemies.length; i++) {
+            const enemy = enemies[i];
+            if (enemy.isBoss || enemy.dying) continue;
+            const nearby = this.queryFeatures(enemy.x, enemy.y, enemy.radius);
+            for (let fIdx = 0; fIdx < nearby.length; fIdx++) {
+                if (nearby[fIdx].type === 'cover') pushOutOfFeature(enemy, nearby[fIdx]);
+            }
+        }
+    }
+
+    /**
+     * Keep the player inside a shaped arena (pulls and pushes can drag it
+     * out between moves) and stop shots and regular enemies at the ring's
+     * pillar. Ricochet shots bounce off the pillar.
+     * @private
+     */
+    _resolveArenaLayout() {
+        const geometry = this.game.getArenaGeometry();
+        clampToArena(geometry, this.game.player);
+        if (geometry.pillar <= 0) return;
+
+        const projectiles = this.game.projectiles;
+        for (let pIndex = projectiles.length - 1; pIndex >= 0; pIndex--) {
+            const projectile = projectiles[pIndex];
+            const normal = pushOutOfPillar(geometry, projectile);
+            if (!normal) continue;
+            if (projectile.ricochetBounces > 0) {
+                projectile.ricochet(normal.x, normal.y);
+                continue;
+            }
+            if (projectile.explosive) projectile.explode(this.game);
+            this.game.effectsManager.createHitEffect(projectile.x, projectile.y);
+            this._removeProjectileAt(pIndex);
+        }
+
+        const enemies = this.game.enemies;
+        for (let i = 0; i < enemies.length; i++) {
+            const enemy = enemies[i];
+            if (enemy.isBoss || enemy.dying) continue;
+            pushOutOfPillar(geometry, enemy);
+        }
+    }
+
     /**
      * Handle player vs enemy collisions.
      * @private
@@ -108,6 +264,8 @@ export class CollisionSystem {
         for (let index = this.game.enemies.length - 1; index >= 0; index--) {
             const enemy = this.game.enemies[index];
             if (!enemy) continue;
+            // Stunned enemies are harmless until the stun wears off, phased ones pass through
+            if (enemy.statusEffects.isDisarmed() || enemy.untargetable) continue;
             if (MathUtils.circleCollision(enemy, this.game.player)) {
                 this._handlePlayerHit(enemy, index);
             }
@@ -223,7 +381,7 @@ export class CollisionSystem {
     _handlePlayerHit(enemy, enemyIndex) {
         // Bosses deal damage-per-second on contact and are NOT removed
         if (enemy.isBoss) {
-            const now = Date.now();
+            const now = this.game.getSimTime();
             const lastHit = this._bossContactLastHit.get(enemy.id) || 0;
             if (now - lastHit < 1000) return; // still in cooldown
             this._bossContactLastHit.set(enemy.id, now);
@@ -255,7 +413,7 @@ export class CollisionSystem {
         });
 
         // Emit player:damaged event for skill plugins
-        this.game.eventBus.emit('player:damaged', { damage: enemy.damage, source: 'enemy' });
+        this.game.eventBus.emit('player:damaged', { damage: enemy.damage, source: 'enemy', enemy });
         
         // Visual and audio feedback
         this.game.effectsManager.addScreenShake(
@@ -264,6 +422,7 @@ export class CollisionSystem {
         );
         
         screenFlash();
+        haptics.rumble(GameConfig.CONTROLS.GAMEPAD.HIT_RUMBLE_INTENSITY, GameConfig.CONTROLS.GAMEPAD.HIT_RUMBLE_DURATION);
         if (shieldBeforeHit > 0) {
             playSFX(this.game.player.shieldHp <= 0 ? 'player_shield_break' : 'player_shield_hit');
         } else {
@@ -328,6 +487,60 @@ export class CollisionSystem {
         }
     }
     
+    /**
+     * Handle enemy projectiles vs turrets and drones. Allies soak the shot.
+     * @private
+     */
+    _checkEnemyProjectileAllyCollisions() {
+        const allies = this.game.allies;
+        for (let pIndex = this.game.projectiles.length - 1; pIndex >= 0; pIndex--) {
+            const projectile = this.game.projectiles[pIndex];
+            if (!projectile || !projectile.isEnemyProjectile) continue;
+
+            for (let aIndex = 0; aIndex < allies.length; aIndex++) {
+                const ally = allies[aIndex];
+                if (ally.hp <= 0 || !MathUtils.circleCollision(projectile, ally)) continue;
+
+                ally.takeDamage(projectile.damage);
+                this.game.effectsManager.createHitEffect(ally.x, ally.y);
+                this._removeProjectileAt(pIndex);
+                break;
+            }
+        }
+    }
+
+    /**
+     * Handle Vortex Boss orbiting mines vs turrets and drones.
+     * Mines touching the player are handled by the boss itself.
+     * @private
+     */
+    _checkMineAllyCollisions() {
+        const allies = this.game.allies;
+        const enemies = this.game.enemies;
+        for (let eIndex = 0; eIndex < enemies.length; eIndex++) {
+            const boss = enemies[eIndex];
+            if (!boss.mines || boss.mines.length === 0) continue;
+
+            for (let mIndex = boss.mines.length - 1; mIndex >= 0; mIndex--) {
+                const mine = boss.mines[mIndex];
+                if (mine._renderX === undefined) continue;
+
+                for (let aIndex = 0; aIndex < allies.length; aIndex++) {
+                    const ally = allies[aIndex];
+                    if (ally.hp <= 0) continue;
+                    const dist = MathUtils.distance(mine._renderX, mine._renderY, ally.x, ally.y);
+                    if (dist < boss.mineRadius + ally.radius) {
+                        ally.takeDamage(boss.getMineDamage());
+                        this.game.createExplosion(mine._renderX, mine._renderY, 6);
+                        boss.mines.splice(mIndex, 1);
+                        playSFX('impact_explosion_small');
+                        break;
+                    }
+                }
+            }
+        }
+    }
+
     /**
      * Process enemy projectile hitting the player.
      * @private
@@ -361,11 +574,12 @@ export class CollisionSystem {
         });
 
         // Emit player:damaged event for skill plugins
-        this.game.eventBus.emit('player:damaged', { damage: projectile.damage, source: 'enemyProjectile' });
+        this.game.eventBus.emit('player:damaged', { damage: projectile.damage, source: 'enemyProjectile', projectile });
         
         // Visual and audio feedback
         this.game.effectsManager.addScreenShake(8, 200);
         screenFlash();
+        haptics.rumble(GameConfig.CONTROLS.GAMEPAD.HIT_RUMBLE_INTENSITY, GameConfig.CONTROLS.GAMEPAD.HIT_RUMBLE_DURATION);
         if (shieldBeforeHit > 0) {
             playSFX(this.game.player.shieldHp <= 0 ? 'player_shield_break' : 'player_shield_hit');
         } else {
@@ -1,7 +1,5 @@
-import { playSFX } from '../main.js';
-import { voiceManager } from '../managers/VoiceManager.js';
-import { vfxHelper } from '../managers/VFXHelper.js';
-const createFloatingText = vfxHelper.createFloatingText.bind(vfxHelper);
+import { playSFX, voice, vfx } from '../managers/RuntimeAdapters.js';
+const createFloatingText = vfx.createFloatingText;
 import { MathUtils } from '../utils/MathUtils.js';
 import { ActionTypes } from '../state/index.js';
 
@@ -49,7 +47,7 @@ export class ComboSystem {
 
             // Voice callout for top combo tiers
             const voiceKey = COMBO_VOICE_KEYS[newTier];
-            if (voiceKey) voiceManager.play(voiceKey);
+            if (voiceKey) voice.play(voiceKey);
         }
 
         return this.getScoreMultiplier();
@@ -118,18 +116,20 @@ export class ComboSystem {
         const { x, y } = this._getPlayerTextScreenPosition(64);
         createFloatingText(tier.label, x, y, 'combo-tier');
 
-        // Award bonus score instead of coins
-        this.game.score += tier.bonusScore;
-        this.totalBonusScore += tier.bonusScore;
+        // Award bonus score instead of coins (none in Boss Rush, which only scores boss clears)
+        if (!this.game.isBossRush()) {
+            this.game.score += tier.bonusScore;
+            this.totalBonusScore += tier.bonusScore;
 
-        // Dispatch to state store
-        this.game.dispatcher?.dispatch({
-            type: ActionTypes.SCORE_ADD,
-            payload: { amount: tier.bonusScore, source: 'combo_tier' },
-        });
+            // Dispatch to state store
+            this.game.dispatcher?.dispatch({
+                type: ActionTypes.SCORE_ADD,
+                payload: { amount: tier.bonusScore, source: 'combo_tier' },
+            });
 
-        const { x: sx, y: sy } = this._getPlayerTextScreenPosition(38);
-        createFloatingText(`+${tier.bonusScore} score`, sx, sy, 'score');
+            const { x: sx, y: sy } = this._getPlayerTextScreenPosition(38);
+            createFloatingText(`+${tier.bonusScore} score`, sx, sy, 'score');
+        }
 
         this.game.effectsManager.addScreenShake(4 + this.comboTier * 2, 200);
         playSFX(this._getTierSfxKey());
@@ -1,7 +1,10 @@
 import { Particle } from '../Particle.js';
 import { MathUtils } from '../utils/MathUtils.js';
+import { cosmeticRng } from '../utils/SeededRandom.js';
 import { GameConfig } from '../config/GameConfig.js';
 
+const REDUCED_MOTION = GameConfig.ACCESSIBILITY.REDUCED_MOTION;
+
 /**
  * Manages all visual effects including particles, screen shake, and special effects.
  */
@@ -27,6 +30,28 @@ export class EffectsManager {
                this.game?.runtimeSettings?.performanceModeEnabled === true;
     }
 
+    /**
+     * Whether the player asked for reduced motion (settings or OS preference).
+     * Disables screen shake and damps particle bursts.
+     * @type {boolean}
+     */
+    get reducedMotion() {
+        return this.game?.runtimeSettings?.reducedMotion === true;
+    }
+
+    /**
+     * Particle count for a burst after performance and motion reductions.
+     * @private
+     * @param {number} count - Full-quality particle count
+     * @param {number} reducedCount - Count when particles are reduced for performance
+     * @returns {number}
+     */
+    _burstCount(count, reducedCount) {
+        const actual = this.shouldReduceParticles ? reducedCount : count;
+        if (!this.reducedMotion || actual <= 0) return actual;
+        return Math.max(1, Math.round(actual * REDUCED_MOTION.PARTICLE_SCALE));
+    }
+
     /**
      * Initialize screen shake system.
      * @private
@@ -60,7 +85,7 @@ export class EffectsManager {
      * @param {number} duration - Shake duration in milliseconds
      */
     addScreenShake(intensity, duration) {
-        if (this.game?.runtimeSettings?.screenShakeEnabled === false) {
+        if (this.game?.runtimeSettings?.screenShakeEnabled === false || this.reducedMotion) {
             return;
         }
         this.screenShake.intensity = intensity;
@@ -76,8 +101,8 @@ export class EffectsManager {
             this.screenShake.duration -= delta;
             
             const intensity = this.screenShake.intensity * (this.screenShake.duration / 300);
-            this.screenShake.offsetX = (Math.random() - 0.5) * intensity;
-            this.screenShake.offsetY = (Math.random() - 0.5) * intensity;
+            this.screenShake.offsetX = (cosmeticRng.next() - 0.5) * intensity;
+            this.screenShake.offsetY = (cosmeticRng.next() - 0.5) * intensity;
         } else {
             this.screenShake.offsetX = 0;
             this.screenShake.offsetY = 0;
@@ -89,9 +114,12 @@ export class EffectsManager {
      * @param {number} delta - Time elapsed since last frame
      */
     updateParticles(delta) {
-        const particleLimit = this.shouldReduceParticles ? 
+        let particleLimit = this.shouldReduceParticles ? 
             GameConfig.VFX.PARTICLE_LIMITS.MAX_PARTICLES / 2 : 
             GameConfig.VFX.PARTICLE_LIMITS.MAX_PARTICLES;
+        if (this.reducedMotion) {
+            particleLimit = Math.floor(particleLimit * REDUCED_MOTION.PARTICLE_SCALE);
+        }
             
         // Remove excess particles if over limit (pop from end for O(1) per removal)
         while (this.game.particles.length > particleLimit) {
@@ -105,7 +133,7 @@ export class EffectsManager {
         const particles = this.game.particles;
         for (let i = particles.length - 1; i >= 0; i--) {
             const particle = particles[i];
-            particle.update(delta);
+            particle.update(delta, this.game);
             
             if (particle.isDead()) {
                 const last = particles.length - 1;
@@ -127,13 +155,13 @@ export class EffectsManager {
      * @param {number} [particleCount=8] - Number of particles to create
      */
     createExplosion(x, y, particleCount = 8) {
-        const actualCount = this.shouldReduceParticles ? 
-            Math.floor(particleCount / 2) : particleCount;
+        const actualCount = this._burstCount(particleCount, Math.floor(particleCount / 2));
+        const speedScale = this.reducedMotion ? REDUCED_MOTION.PARTICLE_SPEED_SCALE : 1;
             
         for (let i = 0; i < actualCount; i++) {
-            const angle = (Math.PI * 2 / actualCount) * i + Math.random() * 0.5;
-            const speed = MathUtils.random(50, 150);
-            const life = MathUtils.random(500, 1000);
+            const angle = (Math.PI * 2 / actualCount) * i + cosmeticRng.next() * 0.5;
+            const speed = MathUtils.random(50, 150, cosmeticRng.next) * speedScale;
+            const life = MathUtils.random(500, 1000, cosmeticRng.next);
             
             const particle = this.game.particlePool.get(
                 x, y,
@@ -168,12 +196,13 @@ export class EffectsManager {
      * @param {number} y - Hit location Y coordinate
      */
     createHitEffect(x, y) {
-        const particleCount = this.shouldReduceParticles ? 2 : 4;
+        const particleCount = this._burstCount(4, 2);
+        const speedScale = this.reducedMotion ? REDUCED_MOTION.PARTICLE_SPEED_SCALE : 1;
         
         for (let i = 0; i < particleCount; i++) {
-            const angle = Math.random() * Math.PI * 2;
-            const speed = MathUtils.random(20, 60);
-            const life = MathUtils.random(200, 400);
+            const angle = cosmeticRng.next() * Math.PI * 2;
+            const speed = MathUtils.random(20, 60, cosmeticRng.next) * speedScale;
+            const life = MathUtils.random(200, 400, cosmeticRng.next);
             
             const particle = this.game.particlePool.get(
                 x, y,
@@ -194,14 +223,15 @@ export class EffectsManager {
      * @param {number} coinAmount - Amount of coins (affects particle count)
      */
     createCoinBurst(x, y, coinAmount) {
-        const count = this.shouldReduceParticles
-            ? Math.min(4, Math.max(1, Math.floor(coinAmount / 3)))
-            : Math.min(10, Math.max(2, Math.floor(coinAmount / 2)));
+        const count = this._burstCount(
+            Math.min(10, Math.max(2, Math.floor(coinAmount / 2))),
+            Math.min(4, Math.max(1, Math.floor(coinAmount / 3)))
+        );
 
         for (let i = 0; i < count; i++) {
-            const angle = (Math.PI * 2 / count) * i + Math.random() * 0.4;
-            const speed = MathUtils.random(30, 80);
-            const life = MathUtils.random(300, 600);
+            const angle = (Math.PI * 2 / count) * i + cosmeticRng.next() * 0.4;
+            const speed = MathUtils.random(30, 80, cosmeticRng.next);
+            const life = MathUtils.random(300, 600, cosmeticRng.next);
 
             const particle = this.game.particlePool.get(
                 x, y,
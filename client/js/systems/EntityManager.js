@@ -1,8 +1,9 @@
-import { playSFX } from "./../main.js";
+import { playSFX } from "./../managers/RuntimeAdapters.js";
 import { ActionTypes } from "./../state/ActionDispatcher.js";
+import { GameConfig } from "./../config/GameConfig.js";
 
 /**
- * Manages all game entities including players, enemies, and projectiles.
+ * Manages all game entities including players, enemies, projectiles and allies.
  * Handles entity updates, lifecycle management, and cleanup.
  */
 export class EntityManager {
@@ -25,6 +26,7 @@ export class EntityManager {
         
         this._updatePlayer(delta, input);
         this._updateEnemies(delta);
+        this._updateAllies(delta);
         this._updateProjectiles(delta);
     }
 
@@ -48,6 +50,9 @@ export class EntityManager {
         // Create visual explosion effect
         this.game.effectsManager.createExplosion(enemy.x, enemy.y, 10);
 
+        // Elite death effects (Explosive)
+        enemy.elite?.onDeath(this.game);
+
         // Emit enemy:killed event for skill plugins (VolatileKillsPlugin, LifeStealPlugin, etc.)
         this.game.eventBus.emit('enemy:killed', {
             enemy,
@@ -68,14 +73,15 @@ export class EntityManager {
         const comboMultiplier = this.game.comboSystem.onEnemyKilled();
 
         // Score with combo multiplier, wave scaling, and ascension score multiplier
-        const baseScore = this._getEnemyBaseScore(enemy);
+        const baseScore = this._getEnemyBaseScore(enemy) * this._getEliteRewardMultiplier(enemy);
         const waveMultiplier = 1 + (this.game.wave * 0.1);
         const ascScoreMult = this.game.player?._scoreMultiplier || 1;
-        const scoreGain = Math.floor(baseScore * comboMultiplier * waveMultiplier * ascScoreMult);
+        // Boss Rush only scores boss clears (see BossRushSystem)
+        const scoreGain = this.game.isBossRush() ? 0 : Math.floor(baseScore * comboMultiplier * waveMultiplier * ascScoreMult);
         this.game.score += scoreGain;
 
         // XP per kill
-        this.game.addXP(this._getEnemyXP(enemy));
+        this.game.addXP(this._getEnemyXP(enemy) * this._getEliteRewardMultiplier(enemy));
 
         // Loot drops
         const comboTier = this.game.comboSystem.comboTier;
@@ -125,22 +131,39 @@ export class EntityManager {
         }
     }
 
+    _getEliteRewardMultiplier(enemy) {
+        if (!enemy.elite) return 1;
+        return 1 + enemy.elite.affixes.length * GameConfig.ELITES.REWARD_MULTIPLIER_PER_AFFIX;
+    }
+
     _getEnemyBaseScore(enemy) {
         if (enemy.isBoss) return 500;
-        if (enemy.isSplitter) return 20;
-        switch (enemy.color) {
-            case '#f0f': return 15;
-            case '#ff0': return 25;
+        if (enemy.isMinion) return 3;
+        switch (enemy.kind) {
+            case 'splitter': return 20;
+            case 'fast': return 15;
+            case 'tank': return 25;
+            case 'sniper': return 20;
+            case 'shieldBearer': return 35;
+            case 'bomber': return 15;
+            case 'summoner': return 30;
+            case 'phaseShifter': return 25;
             default: return 10;
         }
     }
 
     _getEnemyXP(enemy) {
         if (enemy.isBoss) return 100;
-        if (enemy.isSplitter) return 10;
-        switch (enemy.color) {
-            case '#f0f': return 8;
-            case '#ff0': return 15;
+        if (enemy.isMinion) return 2;
+        switch (enemy.kind) {
+            case 'splitter': return 10;
+            case 'fast': return 8;
+            case 'tank': return 15;
+            case 'sniper': return 12;
+            case 'shieldBearer': return 20;
+            case 'bomber': return 8;
+            case 'summoner': return 18;
+            case 'phaseShifter': return 14;
             default: return 5;
         }
     }
@@ -185,10 +208,25 @@ export class EntityManager {
      * @param {number} delta - Time elapsed since last frame
      */
     _updateEnemies(delta) {
+        // Steering looks up neighbors in the enemy grid
+        this.game.collisionSystem?.rebuildEnemyGrid();
         for (let index = this.game.enemies.length - 1; index >= 0; index--) {
             const enemy = this.game.enemies[index];
+            enemy.statusEffects.update(delta);
             enemy.update(delta, this.game.player, this.game);
 
+            if (enemy.selfDestructed) {
+                // Bombers that blew themselves up leave without a kill
+                this.game.trace('enemy.removed.selfDestruct', { enemyId: enemy.id, enemyIndex: index });
+                const enemies = this.game.enemies;
+                const lastIdx = enemies.length - 1;
+                if (index !== lastIdx) {
+                    enemies[index] = enemies[lastIdx];
+                }
+                enemies.pop();
+                continue;
+            }
+
             if (enemy.health <= 0) {
                 this.game.trace('enemy.death.detected', {
                     enemyId: enemy.id,
@@ -201,6 +239,28 @@ export class EntityManager {
         }
     }
 
+    /**
+     * Update turrets and drones, removing destroyed or expired ones.
+     * @private
+     * @param {number} delta - Time elapsed since last frame
+     */
+    _updateAllies(delta) {
+        const allies = this.game.allies;
+        for (let index = allies.length - 1; index >= 0; index--) {
+            const ally = allies[index];
+            ally.update(delta, this.game);
+
+            if (ally.isExpired()) {
+                if (ally.hp <= 0) {
+                    this.game.effectsManager.createExplosion(ally.x, ally.y, 8);
+                    playSFX('impact_explosion_small');
+                }
+                // Order matters for drone orbit slots and oldest-turret recycling
+                allies.splice(index, 1);
+            }
+        }
+    }
+
     /**
      * Update all projectile entities.
      * @private
@@ -210,7 +270,7 @@ export class EntityManager {
         const projectiles = this.game.projectiles;
         for (let index = projectiles.length - 1; index >= 0; index--) {
             const projectile = projectiles[index];
-            projectile.update(delta);
+            projectile.update(delta, this.game);
 
             if (projectile.isOffScreen(this.game.canvas)) {
                 // Swap-and-pop for O(1) removal
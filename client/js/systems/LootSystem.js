@@ -1,13 +1,13 @@
-import { playSFX } from '../main.js';
-import { vfxHelper } from '../managers/VFXHelper.js';
+import { playSFX, vfx } from '../managers/RuntimeAdapters.js';
 import { ActionTypes } from '../state/ActionDispatcher.js';
 import { GameConfig } from '../config/GameConfig.js';
-const createFloatingText = vfxHelper.createFloatingText.bind(vfxHelper);
+import { getRarityColor, isHighContrast, strokeContrastPath } from '../utils/PaletteUtils.js';
+const createFloatingText = vfx.createFloatingText;
 
 const DROP_TABLE = [
     // Common (65%) — score bursts replace coin drops
-    { type: 'score', rarity: 'common', weight: 40, amount: () => 25 + Math.floor(Math.random() * 50), label: 'Score Burst' },
-    { type: 'score', rarity: 'common', weight: 25, amount: () => 50 + Math.floor(Math.random() * 100), label: 'Score Shower' },
+    { type: 'score', rarity: 'common', weight: 40, amount: (rng) => 25 + rng.int(0, 49), label: 'Score Burst' },
+    { type: 'score', rarity: 'common', weight: 25, amount: (rng) => 50 + rng.int(0, 99), label: 'Score Shower' },
 
     // Uncommon (25%)
     { type: 'tempBuff', rarity: 'uncommon', weight: 10, buff: 'doubleFireRate', duration: 8000, label: 'Rapid Fire Surge!' },
@@ -15,15 +15,18 @@ const DROP_TABLE = [
     { type: 'heal', rarity: 'uncommon', weight: 7, amount: 0.25, label: 'Health Orb' },
 
     // Rare (8%)
-    { type: 'score', rarity: 'rare', weight: 4, amount: () => 200 + Math.floor(Math.random() * 200), label: 'JACKPOT!' },
+    { type: 'score', rarity: 'rare', weight: 4, amount: (rng) => 200 + rng.int(0, 199), label: 'JACKPOT!' },
     { type: 'tempBuff', rarity: 'rare', weight: 3, buff: 'shield', duration: 10000, label: 'Temp Shield!' },
     { type: 'nuke', rarity: 'rare', weight: 1, damage: 0.5, label: 'NEON NOVA!' },
 
     // Legendary (2%)
-    { type: 'score', rarity: 'legendary', weight: 1, amount: () => 500 + Math.floor(Math.random() * 500), label: 'MEGA JACKPOT!!' },
+    { type: 'score', rarity: 'legendary', weight: 1, amount: (rng) => 500 + rng.int(0, 499), label: 'MEGA JACKPOT!!' },
     { type: 'tempBuff', rarity: 'legendary', weight: 1, buff: 'godMode', duration: 5000, label: 'GOD MODE!!' },
 ];
 
+/** Boss Rush only scores boss clears, so score drops are left out */
+const BOSS_RUSH_DROP_TABLE = DROP_TABLE.filter(drop => drop.type !== 'score');
+
 const BASE_DROP_CHANCE = 0.08;
 const MAX_DROP_CHANCE = 0.15;
 const WAVE_DROP_BONUS = 0.001;
@@ -44,6 +47,9 @@ const RARITY_COLORS = {
     legendary: '#ff00ff',
 };
 
+/** Rarity order; high-contrast mode draws one pip per tier above common */
+const RARITY_TIERS = ['common', 'uncommon', 'rare', 'legendary'];
+
 export class LootSystem {
     constructor(game) {
         this.game = game;
@@ -57,10 +63,24 @@ export class LootSystem {
         const waveBonus = Math.min(MAX_DROP_CHANCE - BASE_DROP_CHANCE, this.game.wave * WAVE_DROP_BONUS);
         const comboBonus = comboTier * COMBO_TIER_DROP_BONUS;
         const ascLootMult = this.game.player?._lootChanceMultiplier || 1;
-        const dropChance = enemy.isBoss ? 1.0 : Math.min(MAX_DROP_CHANCE + comboBonus, (BASE_DROP_CHANCE + waveBonus + comboBonus) * ascLootMult);
+        let dropChance = enemy.isBoss ? 1.0 : Math.min(MAX_DROP_CHANCE + comboBonus, (BASE_DROP_CHANCE + waveBonus + comboBonus) * ascLootMult);
+        if (enemy.elite) {
+            dropChance = Math.max(dropChance, GameConfig.ELITES.LOOT_DROP_CHANCE);
+        }
 
-        if (Math.random() > dropChance) return null;
-        return this._weightedRandom(DROP_TABLE);
+        if (this.game.rng.loot.next() > dropChance) return null;
+        const table = this.game.isBossRush() ? BOSS_RUSH_DROP_TABLE : DROP_TABLE;
+        let drop = this._weightedRandom(table);
+
+        // Elites get bonus rolls per affix; the rarest result drops
+        const bonusRolls = enemy.elite ? enemy.elite.affixes.length * GameConfig.ELITES.LOOT_BONUS_ROLLS_PER_AFFIX : 0;
+        for (let i = 0; i < bonusRolls; i++) {
+            const candidate = this._weightedRandom(table);
+            if (RARITY_TIERS.indexOf(candidate.rarity) > RARITY_TIERS.indexOf(drop.rarity)) {
+                drop = candidate;
+            }
+        }
+        return drop;
     }
 
     spawnGroundItem(drop, x, y) {
@@ -81,7 +101,7 @@ export class LootSystem {
 
         switch (drop.type) {
             case 'score': {
-                const amount = typeof drop.amount === 'function' ? drop.amount() : drop.amount;
+                const amount = typeof drop.amount === 'function' ? drop.amount(this.game.rng.loot) : drop.amount;
                 this.game.score += amount;
                 // Dispatch score to store
                 if (this.game.dispatcher) {
@@ -195,10 +215,12 @@ export class LootSystem {
     renderGroundItems(ctx) {
         const items = this.groundItems;
         if (items.length === 0) return;
+        const highContrast = isHighContrast(this.game);
 
         for (let i = 0; i < items.length; i++) {
             const item = items[i];
-            const color = RARITY_COLORS[item.drop.rarity] || RARITY_COLORS.common;
+            const rarity = item.drop.rarity in RARITY_COLORS ? item.drop.rarity : 'common';
+            const color = getRarityColor(this.game, rarity, RARITY_COLORS[rarity]);
             const bob = Math.sin(item.age * LOOT_BOB_SPEED) * LOOT_BOB_AMPLITUDE;
             const drawY = item.y + bob;
 
@@ -211,19 +233,32 @@ export class LootSystem {
 
             // Main shape
             ctx.globalAlpha = item.alpha;
-            this._drawLootShape(ctx, item.drop.type, item.x, drawY, LOOT_RADIUS * 0.7, color);
+            this._drawLootShape(ctx, item.drop.type, item.x, drawY, LOOT_RADIUS * 0.7, color, highContrast);
 
             // Center dot
             ctx.fillStyle = '#fff';
             ctx.beginPath();
             ctx.arc(item.x, drawY, 2, 0, Math.PI * 2);
             ctx.fill();
+
+            if (highContrast) this._drawRarityPips(ctx, RARITY_TIERS.indexOf(rarity), item.x, drawY - LOOT_RADIUS - 6);
         }
 
         ctx.globalAlpha = 1;
     }
 
-    _drawLootShape(ctx, type, x, y, size, color) {
+    _drawLootShape(ctx, type, x, y, size, color, highContrast = false) {
+        if (highContrast) {
+            // Dark backing disc with a white rim so the shape reads on any background
+            ctx.fillStyle = '#000';
+            ctx.beginPath();
+            ctx.arc(x, y, size + 4, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.strokeStyle = '#fff';
+            ctx.lineWidth = 1.5;
+            ctx.stroke();
+        }
+
         ctx.fillStyle = color;
         ctx.strokeStyle = color;
         ctx.lineWidth = 1.5;
@@ -280,6 +315,25 @@ export class LootSystem {
         }
     }
 
+    /**
+     * Rarity as a count of pips (none for common), so it doesn't depend on color.
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {number} tier - Index into RARITY_TIERS
+     * @param {number} x - Centre X
+     * @param {number} y - Pip row Y
+     */
+    _drawRarityPips(ctx, tier, x, y) {
+        const spacing = 6;
+        const startX = x - ((tier - 1) * spacing) / 2;
+        for (let j = 0; j < tier; j++) {
+            ctx.beginPath();
+            ctx.arc(startX + j * spacing, y, 2, 0, Math.PI * 2);
+            ctx.fillStyle = '#fff';
+            ctx.fill();
+            strokeContrastPath(ctx, 0.5);
+        }
+    }
+
     _applyTempBuff(drop) {
         const player = this.game.player;
         let normalizedType = drop.buff;
@@ -420,7 +474,7 @@ export class LootSystem {
 
     _weightedRandom(table) {
         const totalWeight = table.reduce((sum, item) => sum + item.weight, 0);
-        let roll = Math.random() * totalWeight;
+        let roll = this.game.rng.loot.next() * totalWeight;
         for (const item of table) {
             roll -= item.weight;
             if (roll <= 0) return item;
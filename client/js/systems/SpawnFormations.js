@@ -0,0 +1,106 @@
+/**
+ * @fileoverview Squad formations for wave spawn groups.
+ *
+ * A formation turns one spawn tick into a squad placed on the spawn circle.
+ * The squad's base angle is rolled ahead of time (see WaveManager) so the
+ * spawn warning can preview where it will arrive. Arena layouts with spawn
+ * points move each member onto the nearest one (see Game.getSpawnPosition).
+ *
+ *   single  - one enemy at a time (the classic spawn)
+ *   burst   - a tight cluster from one edge
+ *   pincer  - two clusters from opposite sides
+ *   ring    - evenly spaced all around, closing in together
+ *   conga   - single file from one edge
+ *   flank   - a cluster that orbits the player before charging
+ */
+
+import { GameConfig } from '../config/GameConfig.js';
+
+export const FORMATION_TYPES = ['single', 'burst', 'pincer', 'ring', 'conga', 'flank'];
+
+/**
+ * Angles a squad will arrive from, for the spawn warning.
+ * @param {string} formation
+ * @param {number} angle - Planned base angle
+ * @returns {number[]|null} Arrival angles, or null when it comes from all sides
+ */
+export function getFormationAngles(formation, angle) {
+    if (formation === 'ring') return null;
+    if (formation === 'pincer') return [angle, angle + Math.PI];
+    return [angle];
+}
+
+/**
+ * Lay out `count` enemies on an arc centered on `angle`.
+ * @param {number} angle
+ * @param {number} count
+ * @param {number} spawnRadius
+ * @param {number} spacing
+ * @returns {number[]} Angles
+ */
+function arcCluster(angle, count, spawnRadius, spacing) {
+    const step = spacing / spawnRadius;
+    const angles = [];
+    for (let i = 0; i < count; i++) {
+        angles.push(angle + (i - (count - 1) / 2) * step);
+    }
+    return angles;
+}
+
+/**
+ * Compute spawn positions for a squad.
+ * @param {string} formation - One of FORMATION_TYPES
+ * @param {Object} opts
+ * @param {number} opts.angle - Planned base angle
+ * @param {number} opts.count - Squad size
+ * @param {number} opts.spawnRadius
+ * @param {number} opts.pressureScale
+ * @param {import('../utils/SeededRandom.js').SeededRandom} opts.rng - Spawn stream
+ * @param {(angle: number, radius: number) => {x: number, y: number}} opts.project - Turns
+ *   a point on (or beyond) the spawn circle into a position
+ * @returns {{positions: Array<{x: number, y: number}>, orbitDirection: number}}
+ */
+export function layoutFormation(formation, { angle, count, spawnRadius, pressureScale, rng, project }) {
+    const cfg = GameConfig.WAVE.FORMATIONS;
+    const spacing = cfg.SPACING * pressureScale;
+    const polar = [];
+    let orbitDirection = 0;
+
+    switch (formation) {
+        case 'burst':
+            for (let i = 0; i < count; i++) {
+                polar.push([
+                    angle + rng.range(-cfg.BURST_SPREAD / 2, cfg.BURST_SPREAD / 2),
+                    spawnRadius + rng.range(0, spacing * 2),
+                ]);
+            }
+            break;
+        case 'pincer': {
+            const firstSide = Math.ceil(count / 2);
+            for (const a of arcCluster(angle, firstSide, spawnRadius, spacing)) polar.push([a, spawnRadius]);
+            for (const a of arcCluster(angle + Math.PI, count - firstSide, spawnRadius, spacing)) polar.push([a, spawnRadius]);
+            break;
+        }
+        case 'ring':
+            for (let i = 0; i < count; i++) {
+                polar.push([angle + (Math.PI * 2 * i) / count, spawnRadius]);
+            }
+            break;
+        case 'conga':
+            for (let i = 0; i < count; i++) {
+                polar.push([angle, spawnRadius + i * spacing]);
+            }
+            break;
+        case 'flank':
+            orbitDirection = rng.chance(0.5) ? 1 : -1;
+            for (const a of arcCluster(angle, count, spawnRadius, spacing)) polar.push([a, spawnRadius]);
+            break;
+        default:
+            polar.push([angle, spawnRadius]);
+    }
+
+    return {
+        positions: polar.map(([a, r]) => project(a, r)),
+        orbitDirection,
+    };
+}
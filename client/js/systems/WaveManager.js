@@ -1,9 +1,13 @@
-import { createBoss } from '../bosses/BossFactory.js';
+import { BOSS_TYPES, createBoss } from '../bosses/BossFactory.js';
 import { GameConfig } from '../config/GameConfig.js';
-import { createBasicEnemy, createFastEnemy, createTankEnemy, createSplitterEnemy, createHealerEnemy } from '../enemies/EnemyFactory.js';
-import { playSFX } from '../main.js';
-import { voiceManager } from '../managers/VoiceManager.js';
+import { DEFAULT_WAVE_SET } from '../config/WaveConfig.js';
+import { ENEMY_FACTORIES } from '../enemies/EnemyFactory.js';
+import { rollEliteAffixes, makeElite } from '../enemies/EliteAffixes.js';
+import { playSFX, voice, vfx } from '../managers/RuntimeAdapters.js';
 import { ActionTypes } from '../state/ActionDispatcher.js';
+import { loadWaveSet, resolveWave, pickFromMix } from './WaveScript.js';
+import { getFormationAngles, layoutFormation } from './SpawnFormations.js';
+import { getNearestSpawnPoint } from './ArenaLayouts.js';
 
 /** Map bossType string → voice key. */
 const BOSS_VOICE_MAP = {
@@ -13,10 +17,26 @@ const BOSS_VOICE_MAP = {
     Splitter:   'boss_intro_splitter',
     Vortex:     'boss_intro_vortex',
     Chrono:     'boss_intro_chrono',
+    Mirror:     'boss_intro_mirror',
+    SwarmMind:  'boss_intro_swarm_mind',
+    GridWarden: 'boss_intro_grid_warden',
 };
 
+/** Center angle of each spawn edge; enemies appear within ±45° of it. */
+const EDGE_ANGLES = {
+    right: 0,
+    bottom: Math.PI / 2,
+    left: Math.PI,
+    top: -Math.PI / 2,
+};
+
+/** Used by manual spawns (dev panel) on waves without spawn groups. */
+const FALLBACK_GROUP = { mix: { basic: 1 }, edge: 'any' };
+
 /**
  * Manages wave progression, enemy spawning, and wave completion logic.
+ * What each wave contains comes from a declarative wave set
+ * (config/WaveConfig.js); this class executes it.
  */
 export class WaveManager {
     /**
@@ -25,9 +45,19 @@ export class WaveManager {
      */
     constructor(game) {
         this.game = game;
+        this.setWaveSet(DEFAULT_WAVE_SET);
         this.reset();
     }
 
+    /**
+     * Switch to another wave set. Throws if the set fails validation.
+     * Takes effect from the next startWave().
+     * @param {Object} waveSet
+     */
+    setWaveSet(waveSet) {
+        this.waveSet = loadWaveSet(waveSet);
+    }
+
     /**
      * Reset wave manager to initial state.
      */
@@ -36,14 +66,19 @@ export class WaveManager {
         this.enemiesSpawned = 0;
         this.enemiesKilled = 0;
         this.enemiesToSpawn = 0;
-        this.enemySpawnTimer = 0;
-        this.enemySpawnInterval = GameConfig.WAVE.BASE_SPAWN_INTERVAL;
+        /** @type {Array<{def: Object, formation: string, plannedAngle: number|null, remaining: number, interval: number, timer: number, delay: number}>} */
+        this.spawnGroups = [];
+        this.waveDef = null;
+        this.waveElapsed = 0;
+        this.nextEventIndex = 0;
         this.waveScaling = { health: 1, speed: 1, damage: 1 };
         this.waveStartTime = 0;
         this.waveComplete = false;
         this.waveCompletionTimer = 0;
         this.waveActive = false;
         this.isBossWave = false;
+        /** @type {string|null} bossType of the most recent boss; pools skip it */
+        this.lastBossType = null;
         this.difficultyPreset = GameConfig.DIFFICULTY_PRESETS.normal;
     }
 
@@ -62,42 +97,33 @@ export class WaveManager {
         this.enemiesSpawned = 0;
         this.enemiesKilled = 0;
         this.waveCompletionTimer = 0;
-        this.waveStartTime = Date.now();
-        this.isBossWave = this.currentWave > 0 && this.currentWave % GameConfig.BOSS.WAVE_INTERVAL === 0;
+        this.waveStartTime = this.game.getSimTime();
+        this.game.replayRecorder.recordWaveStart(waveNumber, this.game.tick);
+        this.waveDef = resolveWave(this.waveSet, waveNumber);
+        this.isBossWave = !!this.waveDef.boss;
+        this.game.arenaFeatureSystem.onWaveStart(this.waveDef);
         playSFX(this.isBossWave ? 'wave_boss_alert' : 'wave_start');
 
         // Emit wave:started event for skill plugins
         this.game.eventBus.emit('wave:started', { wave: waveNumber });
 
-        // Apply a wave modifier (or none) at the start of each wave.
-        // Boss waves intentionally have no modifier to keep tuning simpler.
-        let modifierKey = null;
-        const modifierKeys = Object.keys(GameConfig.WAVE_MODIFIERS || {});
-        if (!this.isBossWave && modifierKeys.length > 0 && Math.random() < 0.25) {
-            modifierKey = modifierKeys[Math.floor(Math.random() * modifierKeys.length)];
-        }
-        this.game.applyWaveModifier(modifierKey);
-
-        const enemyCount = GameConfig.DERIVED.getEnemyCountForWave(this.currentWave);
-        const adjustedEnemyCount = Math.max(1, Math.floor(enemyCount * this.difficultyPreset.enemyCountMultiplier));
-        // Boss waves 5/10/15 are boss-only; wave 20+ spawn boss AND a regular enemy wave
-        this.enemiesToSpawn = (this.isBossWave && this.currentWave < 20) ? 0 : adjustedEnemyCount;
-        this.enemySpawnInterval = Math.max(
-            GameConfig.WAVE.MIN_SPAWN_INTERVAL,
-            GameConfig.DERIVED.getSpawnIntervalForWave(this.currentWave) * this.difficultyPreset.spawnIntervalMultiplier
-        );
+        // Apply a wave modifier (or none) at the start of each wave
+        this.game.applyWaveModifier(this._rollModifier(this.waveDef.modifier));
+
+        this.spawnGroups = this.waveDef.groups.map(group => this._createSpawnGroup(group));
+        this.enemiesToSpawn = this.spawnGroups.reduce((sum, group) => sum + group.remaining, 0);
         this.waveScaling = GameConfig.DERIVED.getScalingForWave(this.currentWave);
-        this.enemySpawnTimer = 0;
+        this.waveElapsed = 0;
+        this.nextEventIndex = 0;
 
-        if (this.isBossWave) {
-            this.spawnBoss();
+        if (this.waveDef.boss) {
+            this.spawnBoss(this.waveDef.boss, { wave: this.waveDef.bossWave ?? waveNumber });
         }
 
-        if (this.enemiesToSpawn > 0) {
-            this.spawnEnemy();
-            this.enemiesToSpawn--;
-            this.enemiesSpawned++;
+        for (const group of this.spawnGroups) {
+            if (group.delay <= 0) this._spawnFromGroup(group);
         }
+        this._runScriptedEvents();
     }
 
     /**
@@ -105,91 +131,70 @@ export class WaveManager {
      * @param {number} delta - Time elapsed since last frame
      */
     update(delta) {
+        if (this.waveActive) {
+            this.waveElapsed += delta;
+            this._runScriptedEvents();
+        }
         this._handleEnemySpawning(delta);
         this._checkWaveCompletion(delta);
     }
 
-    spawnBoss() {
-        const boss = createBoss(this.game);
+    /**
+     * Spawn a boss at the screen perimeter. A pool never hands out the
+     * previous boss again while it has other choices.
+     * @param {string|string[]} [bossType] - Boss type or pool; defaults to the wave's boss, else any
+     * @param {Object} [options]
+     * @param {number} [options.wave] - Wave the boss is scaled for; defaults to the current wave
+     */
+    spawnBoss(bossType = this.waveDef?.boss || Object.keys(BOSS_TYPES), { wave } = {}) {
+        const boss = createBoss(this.game, bossType, { exclude: this.lastBossType, wave });
+        this.lastBossType = boss.bossType;
         this.game.enemies.push(boss);
         // Use shield-specific SFX for ShieldBoss, otherwise generic boss spawn
         playSFX(boss.bossType === 'Shield' ? 'boss_spawn_shield' : 'boss_spawn_classic');
 
         // Voice-over callout for the boss type
         const voiceKey = BOSS_VOICE_MAP[boss.bossType];
-        if (voiceKey) voiceManager.play(voiceKey);
+        if (voiceKey) voice.play(voiceKey);
     }
 
     /**
-     * Spawn a single enemy at the screen perimeter.
+     * Spawn a single enemy at the screen perimeter (or the arena layout's
+     * nearest spawn point).
+     * @param {Object} [group] - Resolved spawn group; defaults to the wave's first group
      */
-    spawnEnemy() {
-        const canvasWidth = this.game.canvas.logicalWidth || this.game.canvas.width;
-        const canvasHeight = this.game.canvas.logicalHeight || this.game.canvas.height;
+    spawnEnemy(group = this.spawnGroups[0]?.def || FALLBACK_GROUP) {
+        const { spawnRadius } = this._getSpawnCircle();
+        const angle = this._rollSpawnAngle(group.edge);
+        const { x, y } = this.game.getSpawnPosition(angle, spawnRadius);
+        return this._spawnEnemyAt(group, x, y);
+    }
 
-        const centerX = canvasWidth / 2;
-        const centerY = canvasHeight / 2;
-        const spawnMargin = GameConfig.ENEMY.SPAWN_MARGIN;
-        const spawnRadius = Math.max(canvasWidth, canvasHeight) / 2 + spawnMargin;
-        
-        const angle = Math.random() * Math.PI * 2;
-        const x = centerX + Math.cos(angle) * spawnRadius;
-        const y = centerY + Math.sin(angle) * spawnRadius;
-        
-        // Determine enemy type based on wave progression and percentages
-        const random = Math.random();
-        let enemy;
-        
-        if (this.currentWave < 6) {
-            // Waves 1-5: Only basic enemies
-            enemy = createBasicEnemy(x, y, 1);
-        } else if (this.currentWave < 11) {
-            // Waves 6-10: Basic (80%) and Fast (20%) enemies
-            if (random < 0.8) {
-                enemy = createBasicEnemy(x, y, 1);
-            } else {
-                enemy = createFastEnemy(x, y, 1);
-            }
-        } else if (this.currentWave < 15) {
-            // Waves 11-14: Basic (65%), Fast (20%), Tank (15%)
-            if (random < 0.65) {
-                enemy = createBasicEnemy(x, y, 1);
-            } else if (random < 0.85) {
-                enemy = createFastEnemy(x, y, 1);
-            } else {
-                enemy = createTankEnemy(x, y, 1);
-            }
-        } else if (this.currentWave < 21) {
-            // Waves 15-20: Basic (55%), Fast (15%), Tank (15%), Healer (15%)
-            if (random < 0.55) {
-                enemy = createBasicEnemy(x, y, 1);
-            } else if (random < 0.70) {
-                enemy = createFastEnemy(x, y, 1);
-            } else if (random < 0.85) {
-                enemy = createTankEnemy(x, y, 1);
-            } else {
-                enemy = createHealerEnemy(x, y, 1);
-            }
-        } else {
-            // Waves 21-30+: Basic (45%), Fast (15%), Tank (15%), Healer (10%), Splitter (15%)
-            if (random < 0.45) {
-                enemy = createBasicEnemy(x, y, 1);
-            } else if (random < 0.60) {
-                enemy = createFastEnemy(x, y, 1);
-            } else if (random < 0.75) {
-                enemy = createTankEnemy(x, y, 1);
-            } else if (random < 0.85) {
-                enemy = createHealerEnemy(x, y, 1);
-            } else {
-                enemy = createSplitterEnemy(x, y, 1);
-            }
-        }
+    /**
+     * Create one enemy from a group's mix at the given position, scaled for
+     * the current wave, and add it to the field.
+     * @private
+     * @param {Object} group - Resolved spawn group
+     * @param {number} x
+     * @param {number} y
+     * @returns {import('../Enemy.js').Enemy}
+     */
+    _spawnEnemyAt(group, x, y) {
+        // Enemy type comes from the group's weighted mix (always one roll, even for a single kind)
+        const kind = pickFromMix(group.mix, this.game.rng.spawns.next());
+        const enemy = ENEMY_FACTORIES[kind](x, y, 1);
         
         // Apply wave scaling to the created enemy
         enemy.health *= this.waveScaling.health * this.difficultyPreset.enemyHealthMultiplier;
         enemy.maxHealth *= this.waveScaling.health * this.difficultyPreset.enemyHealthMultiplier;
         enemy.speed *= this.waveScaling.speed * this.difficultyPreset.enemySpeedMultiplier;
         enemy.damage *= this.waveScaling.damage * this.difficultyPreset.enemyDamageMultiplier;
+
+        // Late waves can promote it to an elite
+        const affixes = rollEliteAffixes(this.currentWave, this.difficultyPreset, this.game.rng.spawns);
+        if (affixes.length > 0) {
+            makeElite(enemy, affixes);
+        }
         
         // Set game reference for enemies that need it (like splitters)
         enemy.setGameReference(this.game);
@@ -213,14 +218,15 @@ export class WaveManager {
                 playSFX('enemy_spawn_healer');
             } else if (enemy.isSplitter) {
                 playSFX('enemy_spawn_splitter');
-            } else if (enemy.color === '#f0f') {
+            } else if (enemy.kind === 'fast') {
                 playSFX('enemy_spawn_fast');
-            } else if (enemy.color === '#ff0') {
+            } else if (enemy.kind === 'tank' || enemy.kind === 'shieldBearer') {
                 playSFX('enemy_spawn_tank');
             } else {
                 playSFX('enemy_spawn_basic');
             }
         }
+        return enemy;
     }
 
     /**
@@ -251,7 +257,7 @@ export class WaveManager {
     calculateWaveXP() {
         const base = 10 + this.currentWave * 2;
         // Time bonus for quick completion (first 30 seconds)
-        const completionTime = Date.now() - this.waveStartTime;
+        const completionTime = this.game.getSimTime() - this.waveStartTime;
         const timeBonus = completionTime < 30000 ? 5 : 0;
         return base + timeBonus;
     }
@@ -262,14 +268,18 @@ export class WaveManager {
             enemiesSpawned: this.enemiesSpawned,
             enemiesKilled: this.enemiesKilled,
             enemiesToSpawn: this.enemiesToSpawn,
-            enemySpawnTimer: this.enemySpawnTimer,
-            enemySpawnInterval: this.enemySpawnInterval,
+            spawnGroups: this.spawnGroups.map(({ formation, plannedAngle, remaining, interval, timer, delay }) => ({
+                formation, plannedAngle, remaining, interval, timer, delay,
+            })),
+            waveElapsed: this.waveElapsed,
+            nextEventIndex: this.nextEventIndex,
             waveScaling: this.waveScaling,
             waveStartTime: this.waveStartTime,
             waveComplete: this.waveComplete,
             waveCompletionTimer: this.waveCompletionTimer,
             waveActive: this.waveActive,
-            isBossWave: this.isBossWave
+            isBossWave: this.isBossWave,
+            lastBossType: this.lastBossType
         };
     }
 
@@ -278,16 +288,33 @@ export class WaveManager {
         this.enemiesSpawned = snapshot.enemiesSpawned || 0;
         this.enemiesKilled = snapshot.enemiesKilled || 0;
         this.enemiesToSpawn = snapshot.enemiesToSpawn || 0;
-        this.enemySpawnTimer = snapshot.enemySpawnTimer || 0;
-        this.enemySpawnInterval = snapshot.enemySpawnInterval || GameConfig.WAVE.BASE_SPAWN_INTERVAL;
+        this.waveDef = resolveWave(this.waveSet, this.currentWave);
+        // Older saves kept a single spawn timer instead of per-group state
+        const savedGroups = snapshot.spawnGroups || [{
+            remaining: this.enemiesToSpawn,
+            interval: snapshot.enemySpawnInterval || GameConfig.WAVE.BASE_SPAWN_INTERVAL,
+            timer: snapshot.enemySpawnTimer || 0,
+            delay: 0,
+        }];
+        this.spawnGroups = savedGroups
+            .map((saved, i) => ({
+                def: this.waveDef.groups[i] || FALLBACK_GROUP,
+                formation: 'single',
+                plannedAngle: null,
+                ...saved,
+            }))
+            .filter(group => group.remaining > 0);
+        this.waveElapsed = snapshot.waveElapsed || 0;
+        this.nextEventIndex = snapshot.nextEventIndex || 0;
         this.waveScaling = snapshot.waveScaling || GameConfig.DERIVED.getScalingForWave(this.currentWave);
-        this.waveStartTime = snapshot.waveStartTime || Date.now();
+        this.waveStartTime = this.game.getSimTime();
         this.waveComplete = !!snapshot.waveComplete;
         this.waveCompletionTimer = snapshot.waveCompletionTimer || 0;
         this.waveActive = typeof snapshot.waveActive === 'boolean'
             ? snapshot.waveActive
             : (!this.waveComplete && this.currentWave > 0);
         this.isBossWave = !!snapshot.isBossWave;
+        this.lastBossType = snapshot.lastBossType || null;
     }
 
     /**
@@ -296,18 +323,204 @@ export class WaveManager {
      * @param {number} delta - Time elapsed since last frame
      */
     _handleEnemySpawning(delta) {
-        if (this.enemiesToSpawn > 0) {
-            this.enemySpawnTimer += delta;
-            const pressureScale = this.game.getPressureScale?.() || 1;
+        if (this.enemiesToSpawn <= 0) {
+            return;
+        }
+
+        const pressureScale = this.game.getPressureScale?.() || 1;
+        for (const group of this.spawnGroups) {
+            if (group.remaining <= 0) continue;
+
+            if (group.delay > 0) {
+                group.delay -= delta;
+                if (group.delay <= 0) this._spawnFromGroup(group);
+                continue;
+            }
+
+            group.timer += delta;
             const effectiveInterval = Math.max(
                 GameConfig.WAVE.MIN_SPAWN_INTERVAL,
-                this.enemySpawnInterval / pressureScale
+                group.interval / pressureScale
             );
-            if (this.enemySpawnTimer >= effectiveInterval) {
-                this.spawnEnemy();
-                this.enemiesToSpawn--;
-                this.enemiesSpawned++;
-                this.enemySpawnTimer = -200 + Math.random() * 400; // Add randomness
+            if (group.timer >= effectiveInterval) {
+                this._spawnFromGroup(group);
+                const jitter = group.def.jitter || 0;
+                group.timer = this.game.rng.spawns.range(-jitter, jitter); // Add randomness
+            }
+        }
+    }
+
+    /**
+     * Build the runtime state of a spawn group for the current wave.
+     * @private
+     * @param {Object} group - Resolved group definition
+     */
+    _createSpawnGroup(group) {
+        const baseCount = group.count === 'auto'
+            ? GameConfig.DERIVED.getEnemyCountForWave(this.currentWave)
+            : group.count;
+        const baseInterval = group.interval === 'auto'
+            ? GameConfig.DERIVED.getSpawnIntervalForWave(this.currentWave)
+            : group.interval;
+        const formation = Array.isArray(group.formation)
+            ? this.game.rng.spawns.pick(group.formation)
+            : (group.formation || 'single');
+        return {
+            def: group,
+            formation,
+            // Squads roll their angle ahead so the spawn warning can preview it
+            plannedAngle: formation === 'single' ? null : this._rollSpawnAngle(group.edge),
+            remaining: Math.max(1, Math.floor(baseCount * this.difficultyPreset.enemyCountMultiplier)),
+            interval: Math.max(
+                GameConfig.WAVE.MIN_SPAWN_INTERVAL,
+                baseInterval * this.difficultyPreset.spawnIntervalMultiplier
+            ),
+            timer: 0,
+            delay: group.delay || 0,
+        };
+    }
+
+    /**
+     * Spawn the next enemy (or squad) of a group and update the wave counters.
+     * @private
+     */
+    _spawnFromGroup(group) {
+        if (group.formation === 'single') {
+            this.spawnEnemy(group.def);
+            group.remaining--;
+            this.enemiesToSpawn--;
+            this.enemiesSpawned++;
+            return;
+        }
+
+        const pressureScale = this.game.getPressureScale?.() || 1;
+        const size = Math.min(group.remaining, Math.max(1, Math.round((group.def.size || 1) * pressureScale)));
+        const circle = this._getSpawnCircle();
+        const { positions, orbitDirection } = layoutFormation(group.formation, {
+            angle: group.plannedAngle ?? this._rollSpawnAngle(group.def.edge),
+            count: size,
+            spawnRadius: circle.spawnRadius,
+            pressureScale,
+            rng: this.game.rng.spawns,
+            project: (angle, radius) => this.game.getSpawnPosition(angle, radius),
+        });
+        const formationCfg = GameConfig.WAVE.FORMATIONS;
+
+        for (const { x, y } of positions) {
+            const enemy = this._spawnEnemyAt(group.def, x, y);
+            if (orbitDirection) {
+                enemy.orbitTimer = formationCfg.FLANK_ORBIT_TIME;
+                enemy.orbitDirection = orbitDirection;
+                enemy.orbitRadius = circle.arenaHalfMin * formationCfg.FLANK_ORBIT_RADIUS;
+            }
+            group.remaining--;
+            this.enemiesToSpawn--;
+            this.enemiesSpawned++;
+        }
+
+        group.plannedAngle = group.remaining > 0 ? this._rollSpawnAngle(group.def.edge) : null;
+    }
+
+    /**
+     * Spawn circle around the arena: enemies appear just outside the screen.
+     * @private
+     * @returns {{spawnRadius: number, arenaHalfMin: number}}
+     */
+    _getSpawnCircle() {
+        const canvasWidth = this.game.canvas.logicalWidth || this.game.canvas.width;
+        const canvasHeight = this.game.canvas.logicalHeight || this.game.canvas.height;
+        return {
+            spawnRadius: Math.max(canvasWidth, canvasHeight) / 2 + GameConfig.ENEMY.SPAWN_MARGIN,
+            arenaHalfMin: Math.min(canvasWidth, canvasHeight) / 2,
+        };
+    }
+
+    /**
+     * Directions of spawns due within the preview window, for the spawn
+     * warning. Random single spawns have no fixed direction and are left out.
+     * @returns {Array<{angles: number[]|null, urgency: number}>} `angles` is
+     *   null when the squad comes from all sides; urgency goes 0 → 1 as the spawn nears
+     */
+    getSpawnPreviews() {
+        const previews = [];
+        if (this.enemiesToSpawn <= 0) return previews;
+
+        const previewTime = GameConfig.WAVE.FORMATIONS.PREVIEW_TIME;
+        const geometry = this.game.getArenaGeometry();
+        const pressureScale = this.game.getPressureScale?.() || 1;
+        for (const group of this.spawnGroups) {
+            if (group.remaining <= 0) continue;
+
+            const interval = Math.max(GameConfig.WAVE.MIN_SPAWN_INTERVAL, group.interval / pressureScale);
+            const timeLeft = group.delay > 0 ? group.delay : interval - group.timer;
+            if (timeLeft > previewTime) continue;
+
+            let angles;
+            if (group.plannedAngle !== null) {
+                angles = getFormationAngles(group.formation, group.plannedAngle);
+            } else if (EDGE_ANGLES[group.def.edge] !== undefined) {
+                angles = [EDGE_ANGLES[group.def.edge]];
+            } else {
+                continue;
+            }
+            // Point the warning at the spawn points the squad will really use
+            if (angles && geometry.layout.spawns) {
+                angles = angles.map((angle) => getNearestSpawnPoint(geometry, angle).angle);
+            }
+            previews.push({ angles, urgency: 1 - Math.max(0, timeLeft) / previewTime });
+        }
+        return previews;
+    }
+
+    /**
+     * Roll a spawn angle on the perimeter circle for the given edge.
+     * @private
+     * @param {string} [edge='any']
+     * @returns {number}
+     */
+    _rollSpawnAngle(edge = 'any') {
+        const spawnRng = this.game.rng.spawns;
+        const center = EDGE_ANGLES[edge];
+        if (center === undefined) {
+            return spawnRng.range(0, Math.PI * 2);
+        }
+        return spawnRng.range(center - Math.PI / 4, center + Math.PI / 4);
+    }
+
+    /**
+     * Resolve the wave's modifier rule to a modifier key (or null).
+     * A run challenge's modifier list replaces the rule's pool.
+     * @private
+     * @param {string|{chance: number, pool?: string[]}|null} rule
+     * @returns {string|null}
+     */
+    _rollModifier(rule) {
+        if (!rule) return null;
+        if (typeof rule === 'string') return rule;
+
+        const modifierKeys = this.game.runChallenge?.waveModifiers
+            ?? rule.pool
+            ?? Object.keys(GameConfig.WAVE_MODIFIERS || {});
+        const spawnRng = this.game.rng.spawns;
+        if (modifierKeys.length > 0 && spawnRng.chance(rule.chance)) {
+            return spawnRng.pick(modifierKeys);
+        }
+        return null;
+    }
+
+    /**
+     * Fire scripted wave events whose time has come.
+     * @private
+     */
+    _runScriptedEvents() {
+        const events = this.waveDef?.events || [];
+        while (this.nextEventIndex < events.length && events[this.nextEventIndex].at <= this.waveElapsed) {
+            const event = events[this.nextEventIndex++];
+            if (event.type === 'announce') {
+                const { width, height } = this.game.getLogicalCanvasSize();
+                vfx.createFloatingText(event.text, width / 2, height / 2 - 60, event.style || 'milestone-major');
+            } else if (event.type === 'sfx') {
+                playSFX(event.key);
             }
         }
     }
@@ -0,0 +1,268 @@
+/**
+ * @fileoverview Loading, validation and resolution of wave sets.
+ *
+ * The format itself is documented in config/WaveConfig.js. A set is checked
+ * once when it is loaded; every problem is collected and reported together,
+ * so a bad definition fails at startup instead of in the middle of a run.
+ */
+
+import { GameConfig } from '../config/GameConfig.js';
+import { ENEMY_FACTORIES } from '../enemies/EnemyFactory.js';
+import { BOSS_TYPES } from '../bosses/BossFactory.js';
+import { FORMATION_TYPES } from './SpawnFormations.js';
+import { validateFeatures } from './ArenaFeatureSystem.js';
+
+export const SPAWN_EDGES = ['any', 'top', 'bottom', 'left', 'right'];
+export const EVENT_TYPES = ['announce', 'sfx'];
+
+const RULE_KEYS = ['wave', 'from', 'to', 'every', 'groups', 'boss', 'bossWave', 'modifier', 'events', 'features'];
+const GROUP_KEYS = ['mix', 'count', 'interval', 'delay', 'jitter', 'edge', 'formation', 'size'];
+
+/** Waves checked for having something to spawn. */
+const VALIDATION_HORIZON = 100;
+
+/** @type {WeakSet<Object>} Sets that already passed validation */
+const loadedSets = new WeakSet();
+
+function isNonNegativeNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+function isPositiveInteger(value) {
+    return Number.isInteger(value) && value >= 1;
+}
+
+function validateGroup(group, path, errors) {
+    if (!group || typeof group !== 'object') {
+        errors.push(`${path}: must be an object`);
+        return;
+    }
+    for (const key of Object.keys(group)) {
+        if (!GROUP_KEYS.includes(key)) errors.push(`${path}.${key}: unknown field`);
+    }
+    if (group.mix !== undefined) {
+        const kinds = group.mix && typeof group.mix === 'object' ? Object.keys(group.mix) : [];
+        if (kinds.length === 0) errors.push(`${path}.mix: must list at least one enemy kind`);
+        for (const kind of kinds) {
+            if (!ENEMY_FACTORIES[kind]) errors.push(`${path}.mix.${kind}: unknown enemy kind`);
+            const weight = group.mix[kind];
+            if (!isNonNegativeNumber(weight) || weight === 0) {
+                errors.push(`${path}.mix.${kind}: weight must be a positive number`);
+            }
+        }
+    }
+    if (group.count !== undefined && group.count !== 'auto' && !isPositiveInteger(group.count)) {
+        errors.push(`${path}.count: must be 'auto' or a positive integer`);
+    }
+    if (group.interval !== undefined && group.interval !== 'auto' && !(isNonNegativeNumber(group.interval) && group.interval > 0)) {
+        errors.push(`${path}.interval: must be 'auto' or a positive number of ms`);
+    }
+    if (group.delay !== undefined && !isNonNegativeNumber(group.delay)) {
+        errors.push(`${path}.delay: must be a non-negative number of ms`);
+    }
+    if (group.jitter !== undefined && !isNonNegativeNumber(group.jitter)) {
+        errors.push(`${path}.jitter: must be a non-negative number of ms`);
+    }
+    if (group.edge !== undefined && !SPAWN_EDGES.includes(group.edge)) {
+        errors.push(`${path}.edge: must be one of ${SPAWN_EDGES.join(', ')}`);
+    }
+    if (group.formation !== undefined) {
+        const formations = Array.isArray(group.formation) ? group.formation : [group.formation];
+        if (formations.length === 0) errors.push(`${path}.formation: pool must not be empty`);
+        for (const formation of formations) {
+            if (!FORMATION_TYPES.includes(formation)) {
+                errors.push(`${path}.formation: "${formation}" is not one of ${FORMATION_TYPES.join(', ')}`);
+            }
+        }
+    }
+    if (group.size !== undefined && !isPositiveInteger(group.size)) {
+        errors.push(`${path}.size: must be a positive integer`);
+    }
+}
+
+function validateBoss(boss, path, errors) {
+    if (boss === null) return;
+    const types = Array.isArray(boss) ? boss : [boss];
+    if (types.length === 0) errors.push(`${path}: boss pool must not be empty`);
+    for (const type of types) {
+        if (!BOSS_TYPES[type]) errors.push(`${path}: unknown boss type "${type}"`);
+    }
+}
+
+function validateModifier(modifier, path, errors) {
+    if (modifier === null) return;
+    const known = GameConfig.WAVE_MODIFIERS || {};
+    if (typeof modifier === 'string') {
+        if (!known[modifier]) errors.push(`${path}: unknown wave modifier "${modifier}"`);
+        return;
+    }
+    if (!modifier || typeof modifier !== 'object') {
+        errors.push(`${path}: must be null, a modifier key or { chance, pool }`);
+        return;
+    }
+    if (!isNonNegativeNumber(modifier.chance) || modifier.chance > 1) {
+        errors.push(`${path}.chance: must be between 0 and 1`);
+    }
+    if (modifier.pool !== undefined) {
+        if (!Array.isArray(modifier.pool)) {
+            errors.push(`${path}.pool: must be an array of modifier keys`);
+        } else {
+            for (const key of modifier.pool) {
+                if (!known[key]) errors.push(`${path}.pool: unknown wave modifier "${key}"`);
+            }
+        }
+    }
+}
+
+function validateEvent(event, path, errors) {
+    if (!event || typeof event !== 'object') {
+        errors.push(`${path}: must be an object`);
+        return;
+    }
+    if (!isNonNegativeNumber(event.at)) errors.push(`${path}.at: must be a non-negative number of ms`);
+    if (!EVENT_TYPES.includes(event.type)) {
+        errors.push(`${path}.type: must be one of ${EVENT_TYPES.join(', ')}`);
+    } else if (event.type === 'announce' && typeof event.text !== 'string') {
+        errors.push(`${path}.text: announce events need a text string`);
+    } else if (event.type === 'sfx' && typeof event.key !== 'string') {
+        errors.push(`${path}.key: sfx events need a sound key`);
+    }
+}
+
+function validateRule(rule, path, errors) {
+    if (!rule || typeof rule !== 'object') {
+        errors.push(`${path}: must be an object`);
+        return;
+    }
+    for (const key of Object.keys(rule)) {
+        if (!RULE_KEYS.includes(key)) errors.push(`${path}.${key}: unknown field`);
+    }
+    if (rule.wave !== undefined) {
+        if (!isPositiveInteger(rule.wave)) errors.push(`${path}.wave: must be a positive integer`);
+        if (rule.from !== undefined || rule.to !== undefined) {
+            errors.push(`${path}: use either wave or from/to, not both`);
+        }
+    } else if (!isPositiveInteger(rule.from)) {
+        errors.push(`${path}: needs a wave or a from wave`);
+    }
+    if (rule.to !== undefined && !(isPositiveInteger(rule.to) && rule.to >= rule.from)) {
+        errors.push(`${path}.to: must be an integer >= from`);
+    }
+    if (rule.every !== undefined && !isPositiveInteger(rule.every)) {
+        errors.push(`${path}.every: must be a positive integer`);
+    }
+    if (rule.groups !== undefined) {
+        if (!Array.isArray(rule.groups)) {
+            errors.push(`${path}.groups: must be an array`);
+        } else {
+            rule.groups.forEach((group, i) => validateGroup(group, `${path}.groups[${i}]`, errors));
+        }
+    }
+    if (rule.boss !== undefined) validateBoss(rule.boss, `${path}.boss`, errors);
+    if (rule.bossWave !== undefined && rule.bossWave !== null && !isPositiveInteger(rule.bossWave)) {
+        errors.push(`${path}.bossWave: must be null or a positive integer`);
+    }
+    if (rule.modifier !== undefined) validateModifier(rule.modifier, `${path}.modifier`, errors);
+    if (rule.events !== undefined) {
+        if (!Array.isArray(rule.events)) {
+            errors.push(`${path}.events: must be an array`);
+        } else {
+            rule.events.forEach((event, i) => validateEvent(event, `${path}.events[${i}]`, errors));
+        }
+    }
+    if (rule.features !== undefined) validateFeatures(rule.features, `${path}.features`, errors);
+}
+
+/**
+ * Check a wave set against the format described in config/WaveConfig.js.
+ * @param {Object} waveSet
+ * @returns {string[]} Problems found; empty when the set is valid
+ */
+export function validateWaveSet(waveSet) {
+    const errors = [];
+    if (!waveSet || typeof waveSet !== 'object') return ['wave set must be an object'];
+    if (!Array.isArray(waveSet.waves) || waveSet.waves.length === 0) {
+        return ['waves: must be a non-empty array of rules'];
+    }
+    if (waveSet.defaults?.group !== undefined) {
+        validateGroup(waveSet.defaults.group, 'defaults.group', errors);
+    }
+    waveSet.waves.forEach((rule, i) => validateRule(rule, `waves[${i}]`, errors));
+    if (errors.length > 0) return errors;
+
+    for (let wave = 1; wave <= VALIDATION_HORIZON; wave++) {
+        const def = resolveWave(waveSet, wave);
+        if (def.groups.length === 0 && !def.boss) {
+            errors.push(`wave ${wave}: spawns nothing`);
+        }
+        def.groups.forEach((group, i) => {
+            if (!group.mix) errors.push(`wave ${wave}: group ${i} has no mix`);
+        });
+    }
+    return errors;
+}
+
+/**
+ * Validate a wave set, throwing with every problem listed if it is invalid.
+ * Sets are only checked the first time they are loaded.
+ * @param {Object} waveSet
+ * @returns {Object} The same set
+ */
+export function loadWaveSet(waveSet) {
+    if (loadedSets.has(waveSet)) return waveSet;
+    const errors = validateWaveSet(waveSet);
+    if (errors.length > 0) {
+        const name = waveSet?.id || 'unnamed';
+        throw new Error(`Invalid wave set "${name}":\n  - ${errors.join('\n  - ')}`);
+    }
+    loadedSets.add(waveSet);
+    return waveSet;
+}
+
+function ruleMatches(rule, wave) {
+    if (rule.wave !== undefined) return rule.wave === wave;
+    if (wave < rule.from) return false;
+    if (rule.to !== undefined && wave > rule.to) return false;
+    return rule.every === undefined || wave % rule.every === 0;
+}
+
+/**
+ * Resolve the definition for one wave by layering every matching rule.
+ * @param {Object} waveSet - A loaded wave set
+ * @param {number} wave
+ * @returns {{wave: number, groups: Object[], boss: string|string[]|null, bossWave: number|null, modifier: string|{chance: number, pool?: string[]}|null, events: Object[], features: string|Object[]|null}}
+ */
+export function resolveWave(waveSet, wave) {
+    const def = { wave, groups: [], boss: null, bossWave: null, modifier: null, events: [], features: null };
+    for (const rule of waveSet.waves) {
+        if (!ruleMatches(rule, wave)) continue;
+        if (rule.groups !== undefined) def.groups = rule.groups;
+        if (rule.boss !== undefined) def.boss = rule.boss;
+        if (rule.bossWave !== undefined) def.bossWave = rule.bossWave;
+        if (rule.modifier !== undefined) def.modifier = rule.modifier;
+        if (rule.events !== undefined) def.events = rule.events;
+        if (rule.features !== undefined) def.features = rule.features;
+    }
+    const groupDefaults = waveSet.defaults?.group || {};
+    def.groups = def.groups.map(group => ({ ...groupDefaults, ...group }));
+    def.events = [...def.events].sort((a, b) => a.at - b.at);
+    return def;
+}
+
+/**
+ * Pick an enemy kind from a mix using one uniform roll in [0, 1).
+ * @param {Object<string, number>} mix - Weights by kind
+ * @param {number} roll
+ * @returns {string}
+ */
+export function pickFromMix(mix, roll) {
+    const kinds = Object.keys(mix);
+    let total = 0;
+    for (const kind of kinds) total += mix[kind];
+    let cumulative = 0;
+    for (const kind of kinds) {
+        cumulative += mix[kind];
+        if (roll < cumulative / total) return kind;
+    }
+    return kinds[kinds.length - 1];
+}
@@ -196,6 +196,9 @@ export class AdminPanel {
 						<div class="ap-section-title">⚔ Archetype Skills</div>
 						<button id="ap-max-gunner" class="ap-success">Max All Gunner Skills</button>
 						<button id="ap-max-techno" class="ap-success">Max All Technomancer Skills</button>
+						<button id="ap-max-sentinel" class="ap-success">Max All Sentinel Skills</button>
+						<button id="ap-max-engineer" class="ap-success">Max All Engineer Skills</button>
+						<button id="ap-max-tactician" class="ap-success">Max All Tactician Skills</button>
 						<button id="ap-max-all-skills" class="ap-success">Max ALL Skills</button>
 						<button id="ap-reset-skills" class="ap-danger">Reset All Skills</button>
 					</div>
@@ -325,6 +328,21 @@ export class AdminPanel {
 			this._status('All Technomancer skills maxed!', 'success');
 		});
 
+		document.getElementById('ap-max-sentinel').addEventListener('click', () => {
+			this._maxArchetypeSkills('SENTINEL');
+			this._status('All Sentinel skills maxed!', 'success');
+		});
+
+		document.getElementById('ap-max-engineer').addEventListener('click', () => {
+			this._maxArchetypeSkills('ENGINEER');
+			this._status('All Engineer skills maxed!', 'success');
+		});
+
+		document.getElementById('ap-max-tactician').addEventListener('click', () => {
+			this._maxArchetypeSkills('TACTICIAN');
+			this._status('All Tactician skills maxed!', 'success');
+		});
+
 		document.getElementById('ap-max-all-skills').addEventListener('click', () => {
 			for (const key of PLAYABLE_ARCHETYPES) {
 				this._maxArchetypeSkills(key);
@@ -0,0 +1,162 @@
+/**
+ * @fileoverview GamepadNavigator – D-pad focus movement across the overlay
+ * screens (menus, LevelUpPanel, AscensionPanel, settings…).
+ *
+ * Overlays are web components, so focusable controls live inside shadow
+ * roots. The navigator walks the open shadow trees of whichever overlay is
+ * on top, moves a focus marker (`data-gamepad-focus`) to the nearest control
+ * in the pressed direction and clicks it on confirm. Styling for the marker
+ * lives in shared-styles.js and NeonButton.
+ *
+ * Usage:
+ *   import { gamepadNavigator } from './ui/GamepadNavigator.js';
+ *   gamepadNavigator.move('down');
+ *   gamepadNavigator.activate();
+ */
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/** Controls the D-pad can land on. Matches are not searched further (neon-button's own inner button). */
+const FOCUSABLE_SELECTOR = [
+    'neon-button:not([disabled])',
+    'button:not([disabled])',
+    'label.settings-row',
+    '.tree-node--clickable',
+    '.tree-node__add',
+    '.ascension-card',
+].join(', ');
+
+const FOCUS_ATTR = 'data-gamepad-focus';
+
+/** Unit vectors for each direction (screen coordinates, +y is down). */
+const DIRECTIONS = {
+    up: { x: 0, y: -1 },
+    down: { x: 0, y: 1 },
+    left: { x: -1, y: 0 },
+    right: { x: 1, y: 0 },
+};
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Collect visible focusable elements under a root, descending into open
+ * shadow roots.
+ * @param {Document|ShadowRoot|Element} root
+ * @param {HTMLElement[]} out
+ */
+function collectFocusables(root, out) {
+    for (const el of /** @type {NodeListOf<HTMLElement>} */ (root.querySelectorAll('*'))) {
+        if (el.matches(FOCUSABLE_SELECTOR)) {
+            if (el.getClientRects().length > 0) out.push(el);
+            continue;
+        }
+        if (el.shadowRoot) collectFocusables(el.shadowRoot, out);
+    }
+}
+
+/**
+ * @param {HTMLElement} el
+ * @returns {{x: number, y: number}} Centre of the element's box
+ */
+function centerOf(el) {
+    const rect = el.getBoundingClientRect();
+    return { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+}
+
+// ---------------------------------------------------------------------------
+// GamepadNavigator
+// ---------------------------------------------------------------------------
+
+class GamepadNavigator {
+    constructor() {
+        /** @type {HTMLElement|null} Element carrying the focus marker */
+        this.focused = null;
+    }
+
+    /**
+     * Focusable controls of the top-most overlay. The overlay is whatever
+     * document-level element covers the middle of the viewport; during
+     * gameplay that is the canvas, which has none.
+     * @returns {HTMLElement[]}
+     */
+    getCandidates() {
+        const top = document.elementFromPoint(window.innerWidth / 2, window.innerHeight / 2);
+        if (!top) return [];
+        const candidates = [];
+        collectFocusables(top.shadowRoot || top, candidates);
+        return candidates;
+    }
+
+    /**
+     * Move focus to the nearest control in a direction, or to the first
+     * control when nothing on this overlay is focused yet.
+     * @param {'up'|'down'|'left'|'right'} direction
+     */
+    move(direction) {
+        const candidates = this.getCandidates();
+        if (candidates.length === 0) {
+            this.clear();
+            return;
+        }
+        if (!this.focused || !candidates.includes(this.focused)) {
+            this._setFocus(candidates[0]);
+            return;
+        }
+
+        const dir = DIRECTIONS[direction];
+        const from = centerOf(this.focused);
+        let best = null;
+        let bestScore = Infinity;
+        for (const el of candidates) {
+            if (el === this.focused) continue;
+            const to = centerOf(el);
+            const dx = to.x - from.x;
+            const dy = to.y - from.y;
+            const along = dx * dir.x + dy * dir.y;
+            if (along <= 1) continue; // Behind or level with the current control
+            const across = Math.abs(dx * dir.y - dy * dir.x);
+            const score = along + across * 2;
+            if (score < bestScore) {
+                bestScore = score;
+                best = el;
+            }
+        }
+        if (best) this._setFocus(best);
+    }
+
+    /**
+     * Click the focused control.
+     * @returns {boolean} Whether something was activated
+     */
+    activate() {
+        if (!this.focused || !this.focused.isConnected || !this.getCandidates().includes(this.focused)) {
+            return false;
+        }
+        this.focused.click();
+        return true;
+    }
+
+    /** Remove the focus marker. */
+    clear() {
+        this.focused?.removeAttribute(FOCUS_ATTR);
+        this.focused = null;
+    }
+
+    /**
+     * @private
+     * @param {HTMLElement} el
+     */
+    _setFocus(el) {
+        this.clear();
+        this.focused = el;
+        el.setAttribute(FOCUS_ATTR, '');
+        el.focus?.({ preventScroll: true });
+        el.scrollIntoView?.({ block: 'nearest', inline: 'nearest' });
+    }
+}
+
+export const gamepadNavigator = new GamepadNavigator();
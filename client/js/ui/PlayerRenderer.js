@@ -11,6 +11,7 @@
  */
 
 import { GameConfig } from '../config/GameConfig.js';
+import { cosmeticRng } from '../utils/SeededRandom.js';
 
 // ---------------------------------------------------------------------------
 // Helper
@@ -73,18 +74,18 @@ export function updatePlayerVisualTimers(p, delta) {
             p._chainFlickerTimer = 0;
             const cfg = auraCfg.SKILL_VFX;
             p._chainFlickerNext = p._chainFlickerOn
-                ? 80 + Math.random() * 120
-                : cfg.CHAIN_FLICKER_MIN + Math.random() * (cfg.CHAIN_FLICKER_MAX - cfg.CHAIN_FLICKER_MIN);
+                ? 80 + cosmeticRng.next() * 120
+                : cfg.CHAIN_FLICKER_MIN + cosmeticRng.next() * (cfg.CHAIN_FLICKER_MAX - cfg.CHAIN_FLICKER_MIN);
         }
     }
 
     // LUCK sparkle spawning & lifecycle
     if (vs.luckLevel > 0) {
         const cfg = auraCfg.LUCK;
-        if (p._luckSparkles.length < cfg.MAX_SPARKLES && Math.random() < vs.luckLevel * cfg.CHANCE_PER_POINT) {
-            const angle = Math.random() * Math.PI * 2;
-            const dist = Math.random() * cfg.SPAWN_RADIUS;
-            const life = cfg.MIN_LIFE + Math.random() * (cfg.MAX_LIFE - cfg.MIN_LIFE);
+        if (p._luckSparkles.length < cfg.MAX_SPARKLES && cosmeticRng.next() < vs.luckLevel * cfg.CHANCE_PER_POINT) {
+            const angle = cosmeticRng.next() * Math.PI * 2;
+            const dist = cosmeticRng.next() * cfg.SPAWN_RADIUS;
+            const life = cfg.MIN_LIFE + cosmeticRng.next() * (cfg.MAX_LIFE - cfg.MIN_LIFE);
             p._luckSparkles.push({
                 x: p.x + Math.cos(angle) * dist,
                 y: p.y + Math.sin(angle) * dist,
@@ -732,7 +733,7 @@ export function renderPlayer(ctx, p) {
             ctx.moveTo(p.x + Math.cos(baseA) * r1, p.y + Math.sin(baseA) * r1);
             for (let seg = 1; seg <= 3; seg++) {
                 const segA = baseA + seg * 0.15;
-                const segR = r1 + seg * (isChainMaster ? 7 : 5) + (Math.random() - 0.5) * 4;
+                const segR = r1 + seg * (isChainMaster ? 7 : 5) + (cosmeticRng.next() - 0.5) * 4;
                 ctx.lineTo(p.x + Math.cos(segA) * segR, p.y + Math.sin(segA) * segR);
             }
             ctx.stroke();
@@ -747,7 +748,7 @@ export function renderPlayer(ctx, p) {
             ctx.moveTo(p.x + Math.cos(baseA) * r1, p.y + Math.sin(baseA) * r1);
             for (let seg = 1; seg <= 3; seg++) {
                 const segA = baseA + seg * 0.15;
-                const segR = r1 + seg * (isChainMaster ? 7 : 5) + (Math.random() - 0.5) * 4;
+                const segR = r1 + seg * (isChainMaster ? 7 : 5) + (cosmeticRng.next() - 0.5) * 4;
                 ctx.lineTo(p.x + Math.cos(segA) * segR, p.y + Math.sin(segA) * segR);
             }
             ctx.stroke();
@@ -831,6 +832,24 @@ export function renderPlayer(ctx, p) {
         ctx.restore();
     }
 
+    // ── Hybrid-aim target lock ─────────────────────────────────────
+
+    const locked = p.lockedTarget;
+    if (locked && !locked.dying && locked.health > 0) {
+        const lockR = locked.radius + 12;
+        const bracket = Math.PI / 6;
+        ctx.strokeStyle = '#ff6d00';
+        ctx.lineWidth = 2;
+        ctx.globalAlpha = 0.85;
+        for (let i = 0; i < 4; i++) {
+            const mid = Math.PI / 4 + (Math.PI / 2) * i;
+            ctx.beginPath();
+            ctx.arc(locked.x, locked.y, lockR, mid - bracket, mid + bracket);
+            ctx.stroke();
+        }
+        ctx.globalAlpha = 1;
+    }
+
     // ── Shield — fake glow ─────────────────────────────────────────
 
     if (p.hasShield && p.shieldHp > 0) {
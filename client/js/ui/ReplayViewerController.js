@@ -0,0 +1,261 @@
+/**
+ * @fileoverview ReplayViewerController – plays a recorded run inside the
+ * <replay-viewer> overlay.
+ *
+ * The replay runs in its own Game instance on the viewer's canvas, so the
+ * player's real run (and its HUD, saves and score submission) is never
+ * touched. While the viewer is open only the audio adapter stays live;
+ * every other runtime adapter is a no-op so playback cannot submit scores,
+ * write saves or unlock achievements.
+ *
+ * Usage:
+ *   import { replayViewer } from './ui/ReplayViewerController.js';
+ *   replayViewer.adapters = { audio: { playSFX } };
+ *   replayViewer.onClose = () => installBrowserAdapters();
+ *   replayViewer.open(replay);
+ */
+
+import { Game } from '../Game.js';
+import { GameConfig } from '../config/GameConfig.js';
+import { installRuntimeAdapters, resetRuntimeAdapters } from '../managers/RuntimeAdapters.js';
+import { ReplayPlayer } from '../replay/ReplayPlayer.js';
+import { parseReplay, serializeReplay } from '../replay/ReplayFormat.js';
+
+// Side-effect import — registers <replay-viewer>
+import './components/screens/ReplayViewer.js';
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/** @returns {ReplayViewerElement} */
+function _getViewer() {
+    return /** @type {ReplayViewerElement} */ (document.querySelector('replay-viewer'));
+}
+
+// ---------------------------------------------------------------------------
+// ReplayViewerController
+// ---------------------------------------------------------------------------
+
+class ReplayViewerController {
+    constructor() {
+        /** @type {Object} Runtime adapters kept live during playback (e.g. audio) */
+        this.adapters = {};
+        /** @type {(() => void)|null} Called after the viewer closes (restore the live adapters) */
+        this.onClose = null;
+
+        /** @type {Game|null} */
+        this._game = null;
+        /** @type {ReplayPlayer|null} */
+        this._player = null;
+        this._playing = false;
+        this._speed = 1;
+        this._accumulator = 0;
+        this._lastTime = 0;
+        this._frameId = null;
+        this._arena = { width: 0, height: 0 };
+
+        this._eventsWired = false;
+        this._loop = this._loop.bind(this);
+        this._fitCanvas = this._fitCanvas.bind(this);
+    }
+
+    // ------------------------------------------------------------------
+    // Internal: one-time event wiring for the viewer component
+    // ------------------------------------------------------------------
+    _wireEvents() {
+        if (this._eventsWired) return;
+        this._eventsWired = true;
+
+        const viewer = _getViewer();
+        if (!viewer) return;
+
+        viewer.addEventListener('replay-close', () => this.close());
+        viewer.addEventListener('replay-toggle-play', () => this._setPlaying(!this._playing));
+        viewer.addEventListener('replay-speed', (/** @type {CustomEvent} */ e) => this._setSpeed(e.detail.speed));
+        viewer.addEventListener('replay-seek', (/** @type {CustomEvent} */ e) => {
+            if (!this._player) return;
+            this._player.seekToTick(Math.round(e.detail.progress * this._player.totalTicks));
+            this._renderFrame(1, 0);
+        });
+        viewer.addEventListener('replay-seek-wave', (/** @type {CustomEvent} */ e) => {
+            if (!this._player) return;
+            this._player.seekToWave(e.detail.wave);
+            this._renderFrame(1, 0);
+        });
+        viewer.addEventListener('replay-export', () => this._export());
+        viewer.addEventListener('replay-import', (/** @type {CustomEvent} */ e) => {
+            try {
+                this._load(parseReplay(e.detail.text));
+            } catch (err) {
+                viewer.setError(err.message || 'Could not read replay file');
+            }
+        });
+    }
+
+    // ------------------------------------------------------------------
+    // Internal: playback
+    // ------------------------------------------------------------------
+    _load(replay) {
+        const viewer = _getViewer();
+        const canvas = viewer.getCanvas();
+
+        if (!this._game) {
+            this._game = new Game(canvas, canvas.getContext('2d'));
+        }
+        this._player = new ReplayPlayer(this._game, replay, {
+            onResize: (width, height) => this._resizeArena(width, height),
+        });
+        this._player.reset();
+
+        viewer.setReplayInfo(replay);
+        this._accumulator = 0;
+        this._setSpeed(1);
+        this._setPlaying(true);
+        this._renderFrame(1, 0);
+    }
+
+    _resizeArena(width, height) {
+        const canvas = _getViewer().getCanvas();
+        const dpr = Math.min(window.devicePixelRatio || 1, GameConfig.CANVAS.MAX_DEVICE_PIXEL_RATIO || 2);
+        canvas.width = Math.round(width * dpr);
+        canvas.height = Math.round(height * dpr);
+        canvas.getContext('2d').setTransform(dpr, 0, 0, dpr, 0, 0);
+        this._arena = { width, height };
+        this._fitCanvas();
+    }
+
+    /** Scale the canvas (CSS only) to fit the stage while keeping the recorded aspect ratio. */
+    _fitCanvas() {
+        const viewer = _getViewer();
+        const stage = viewer?.getStage();
+        const { width, height } = this._arena;
+        if (!stage || !width || !height) return;
+
+        const scale = Math.min(stage.clientWidth / width, stage.clientHeight / height) || 1;
+        const canvas = viewer.getCanvas();
+        canvas.style.width = `${Math.floor(width * scale)}px`;
+        canvas.style.height = `${Math.floor(height * scale)}px`;
+    }
+
+    _setPlaying(playing) {
+        this._playing = playing && !!this._player && !this._player.isFinished();
+        _getViewer()?.setPlaying(this._playing);
+        if (this._playing && this._frameId === null) {
+            this._lastTime = performance.now();
+            this._frameId = requestAnimationFrame(this._loop);
+        }
+    }
+
+    _setSpeed(speed) {
+        this._speed = speed;
+        _getViewer()?.setSpeed(speed);
+    }
+
+    _loop(timestamp) {
+        this._frameId = null;
+        if (!this._playing || !this._player) return;
+
+        const delta = Math.max(0, Math.min(timestamp - this._lastTime, GameConfig.LOOP.MAX_FRAME_MS));
+        this._lastTime = timestamp;
+
+        const step = GameConfig.LOOP.FIXED_STEP_MS;
+        const maxSteps = GameConfig.LOOP.MAX_STEPS_PER_FRAME * this._speed;
+        this._accumulator += delta * this._speed;
+        let steps = 0;
+        while (this._accumulator >= step && steps < maxSteps) {
+            if (!this._player.stepTick() || this._player.isFinished()) {
+                this._accumulator = 0;
+                this._setPlaying(false);
+                break;
+            }
+            this._accumulator -= step;
+            steps++;
+        }
+        if (this._accumulator >= step) this._accumulator = 0;
+
+        this._renderFrame(this._accumulator / step, delta);
+
+        if (this._playing) {
+            this._frameId = requestAnimationFrame(this._loop);
+        }
+    }
+
+    _renderFrame(alpha, delta) {
+        const game = this._game;
+        if (!game || !this._player) return;
+        game.render(alpha, delta);
+        _getViewer().setProgress(this._player.progress, {
+            wave: game.wave,
+            score: game.score,
+            ticks: game.tick,
+            tickMs: GameConfig.LOOP.FIXED_STEP_MS,
+        });
+    }
+
+    _export() {
+        const replay = this._player?.replay;
+        if (!replay) return;
+
+        const blob = new Blob([serializeReplay(replay)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `neon-siege-replay-${replay.seed}-w${replay.result?.wave ?? 0}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    // ==================================================================
+    // Public API
+    // ==================================================================
+
+    /** @returns {boolean} */
+    get isOpen() {
+        return this._player !== null;
+    }
+
+    /**
+     * Open the viewer and start playing a replay.
+     * @param {Object} replay - Replay object (validated with parseReplay)
+     */
+    open(replay) {
+        const viewer = _getViewer();
+        if (!viewer) return;
+
+        let parsed;
+        try {
+            parsed = parseReplay(replay);
+        } catch (err) {
+            console.warn('[ReplayViewer] Cannot play replay:', err.message);
+            return;
+        }
+
+        this._wireEvents();
+        resetRuntimeAdapters();
+        installRuntimeAdapters(this.adapters);
+
+        viewer.show();
+        window.addEventListener('resize', this._fitCanvas);
+        this._load(parsed);
+    }
+
+    /**
+     * Stop playback, hide the viewer and hand the adapters back.
+     */
+    close() {
+        this._setPlaying(false);
+        if (this._frameId !== null) {
+            cancelAnimationFrame(this._frameId);
+            this._frameId = null;
+        }
+        this._game?.progressionManager.cancelPendingSave();
+        this._player = null;
+
+        window.removeEventListener('resize', this._fitCanvas);
+        _getViewer()?.hide();
+        this.onClose?.();
+    }
+}
+
+export const replayViewer = new ReplayViewerController();
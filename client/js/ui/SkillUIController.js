@@ -14,6 +14,7 @@
 
 import { SkillTreeRenderer } from './SkillTreeRenderer.js';
 import { skillIconHtml } from '../utils/IconUtils.js';
+import { cosmeticRng } from '../utils/SeededRandom.js';
 import { GameConfig } from '../config/GameConfig.js';
 import { vfxHelper } from '../managers/VFXHelper.js';
 import { audioManager } from '../managers/AudioManager.js';
@@ -101,10 +102,10 @@ class SkillUIController {
 
         panel.addEventListener('reset-click', () => {
             if (!this._levelUpPanelSnapshot) return;
-            const sm = this.game?.skillManager;
-            if (!sm) return;
-            sm.restoreFromSave(this._levelUpPanelSnapshot);
-            this._refreshTree(sm);
+            const g = this.game;
+            if (!g?.skillManager) return;
+            g.revertSkillAllocation();
+            this._refreshTree(g.skillManager);
             playSFX('ui_click');
         });
 
@@ -145,9 +146,9 @@ class SkillUIController {
         const em = g.effectsManager;
         if (!em) return;
         for (let i = 0; i < count; i++) {
-            const angle = (Math.PI * 2 / count) * i + Math.random() * 0.5;
-            const speed = 40 + Math.random() * 80;
-            const life = 300 + Math.random() * 400;
+            const angle = (Math.PI * 2 / count) * i + cosmeticRng.next() * 0.5;
+            const speed = 40 + cosmeticRng.next() * 80;
+            const life = 300 + cosmeticRng.next() * 400;
             const particle = g.particlePool.get(
                 x, y,
                 Math.cos(angle) * speed,
@@ -229,8 +230,7 @@ class SkillUIController {
         }
         this._treeRenderer.setCallbacks(
             (skillId) => {
-                if (!sm.learnSkill(skillId)) return;
-                g.achievementSystem?.onSkillLearned();
+                if (!g.learnSkill(skillId)) return;
                 this._refreshTree(sm);
                 playSFX('ui_purchase_success');
                 // Purchase juice: burst + shake + flash + floating text
@@ -248,7 +248,7 @@ class SkillUIController {
                 }
             },
             (attrKey) => {
-                if (sm.allocateAttribute(attrKey)) {
+                if (g.allocateAttribute(attrKey)) {
                     this._refreshTree(sm);
                     // Attribute purchase juice: small colored burst + flash
                     if (g.player && g.effectsManager) {
@@ -284,7 +284,8 @@ class SkillUIController {
 
         this._wireEvents();
 
-        const options = g.ascensionSystem.generateOptions();
+        // Options are rolled by Game when the ascension pause starts
+        const options = g.ascensionSystem.currentOptions || [];
         const ascPanel = _getAscensionPanel();
         if (!ascPanel) return;
 
@@ -8,6 +8,7 @@
  *
  * Events relayed (from children, composed):
  *   • 'settings-click' — user clicked the settings gear button (from <hud-settings>)
+ *   • 'touch-move' / 'touch-cast' / 'touch-pause' — on-screen touch controls (from <hud-touch-controls>)
  */
 
 import { BaseComponent } from './BaseComponent.js';
@@ -25,6 +26,7 @@ import './hud/HudStats.js';
 import './hud/HudChallenges.js';
 import './hud/HudPerformance.js';
 import './hud/HudSettings.js';
+import './hud/HudTouchControls.js';
 
 // ---------------------------------------------------------------------------
 // Host-level stylesheet (only positioning / pointer-events)
@@ -56,6 +58,7 @@ const hudSheet = createSheet(/* css */`
 // Template — composes all sub-components
 // ---------------------------------------------------------------------------
 const TEMPLATE = /* html */`
+  <hud-touch-controls></hud-touch-controls>
   <hud-health-bars></hud-health-bars>
   <hud-skill-bar></hud-skill-bar>
   <hud-passive-slots></hud-passive-slots>
@@ -6,6 +6,7 @@
  *   variant  — "default" | "primary" | "danger" | "glow" | "icon"  (default: "default")
  *   disabled — standard boolean attribute
  *   label    — button text (alternative to slotted content)
+ *   data-gamepad-focus — set by GamepadNavigator; shows the focus ring
  *
  * Slots:
  *   default — button content (overrides `label` attribute)
@@ -68,6 +69,16 @@ const btnSheet = createSheet(/* css */`
     transition: transform 0.1s ease;
   }
 
+  /* --- Focus ring (keyboard and gamepad) --- */
+  button:focus-visible,
+  :host([data-gamepad-focus]) button {
+    outline: 2px solid var(--color-primary-neon);
+    outline-offset: 3px;
+    box-shadow:
+      0 0 12px var(--color-primary-neon),
+      0 0 var(--spacing-xl) rgba(0, 255, 255, 0.45);
+  }
+
   /* --- Primary variant --- */
   :host([variant="primary"]) button {
     background: linear-gradient(45deg, var(--color-primary-neon), var(--color-secondary-neon));
@@ -1,7 +1,9 @@
 /**
- * @fileoverview <hud-skill-bar> — QERT active skill slot bar.
+ * @fileoverview <hud-skill-bar> — active skill slot bar (default keys Q/E/R/T).
  *
- * Internal IDs for HUDManager: skillSlots, skillCd0-3, skillName0-3
+ * Internal IDs for HUDManager: skillSlots, skillCd0-3, skillName0-3.
+ * HUDManager.setSkillKeyLabels() replaces the .skill-key text with the
+ * player's bindings.
  */
 
 import { BaseComponent } from '../BaseComponent.js';
@@ -0,0 +1,313 @@
+/**
+ * @fileoverview <hud-touch-controls> — on-screen controls for touch devices:
+ * a floating movement joystick, skill buttons mirroring <hud-skill-bar> and
+ * a pause button.
+ *
+ * The joystick appears wherever the thumb lands inside the movement zone
+ * (bottom-left, or bottom-right in the left-handed layout) and reports
+ * movement quantized to GameConfig.CONTROLS.MOVE_STEPS, the same analog
+ * resolution the gamepad stick uses.
+ *
+ * Public API:
+ *   configure({ enabled, leftHanded, opacity, scale }) — settings (opacity 0-1, scale 1 = 100%)
+ *   setActive(bool)                                   — shown only while a run is being played
+ *
+ * Internal IDs for HUDManager: touchSkill0-3, touchSkillIcon0-3, touchSkillCd0-3
+ *
+ * Events emitted (composed):
+ *   'touch-move'  — { moveX, moveY } in ±MOVE_STEPS (0/0 when the thumb lifts)
+ *   'touch-cast'  — { slot } skill slot index (0-2 actives, 3 ultimate)
+ *   'touch-pause'
+ */
+
+import { BaseComponent } from '../BaseComponent.js';
+import { createSheet } from '../shared-styles.js';
+import { GameConfig } from '../../../config/GameConfig.js';
+
+const TOUCH_CONFIG = GameConfig.CONTROLS.TOUCH;
+
+const styles = createSheet(/* css */`
+  :host { display: contents; }
+
+  .touch-layer {
+    --touch-scale: 1;
+    --joystick-radius: ${TOUCH_CONFIG.JOYSTICK_RADIUS}px;
+    position: absolute;
+    inset: 0;
+    display: none;
+    opacity: 0.6;
+    pointer-events: none;
+  }
+
+  .touch-layer.active { display: block; }
+
+  .move-zone {
+    position: absolute;
+    left: 0;
+    bottom: 0;
+    width: 45%;
+    height: 60%;
+    pointer-events: auto;
+    touch-action: none;
+  }
+
+  .touch-layer.left-handed .move-zone {
+    left: auto;
+    right: 0;
+  }
+
+  .joystick-base {
+    position: absolute;
+    width: calc(var(--joystick-radius) * 2 * var(--touch-scale));
+    height: calc(var(--joystick-radius) * 2 * var(--touch-scale));
+    transform: translate(-50%, -50%);
+    border: 2px solid rgba(0, 255, 255, 0.6);
+    border-radius: 50%;
+    background: rgba(0, 255, 255, 0.08);
+    box-shadow: 0 0 14px rgba(0, 255, 255, 0.3);
+    display: none;
+  }
+
+  .joystick-base.visible { display: block; }
+
+  .joystick-knob {
+    position: absolute;
+    left: 50%;
+    top: 50%;
+    width: 44%;
+    height: 44%;
+    margin: -22% 0 0 -22%;
+    border-radius: 50%;
+    background: rgba(0, 255, 255, 0.45);
+    box-shadow: 0 0 12px rgba(0, 255, 255, 0.6);
+  }
+
+  .touch-actions {
+    position: absolute;
+    right: 8px;
+    bottom: 8px;
+    display: flex;
+    flex-direction: column;
+    align-items: flex-end;
+    gap: calc(10px * var(--touch-scale));
+    pointer-events: auto;
+    touch-action: none;
+  }
+
+  .touch-layer.left-handed .touch-actions {
+    right: auto;
+    left: 8px;
+    align-items: flex-start;
+  }
+
+  .touch-skills {
+    display: grid;
+    grid-template-columns: repeat(2, auto);
+    gap: calc(10px * var(--touch-scale));
+  }
+
+  .touch-skill,
+  .touch-pause {
+    position: relative;
+    border-radius: 50%;
+    background: rgba(0, 0, 0, 0.7);
+    color: #fff;
+    font-family: 'Press Start 2P', monospace;
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    overflow: hidden;
+    padding: 0;
+    user-select: none;
+    -webkit-user-select: none;
+    -webkit-tap-highlight-color: transparent;
+  }
+
+  .touch-skill {
+    width: calc(60px * var(--touch-scale));
+    height: calc(60px * var(--touch-scale));
+    border: 2px solid rgba(0, 255, 255, 0.6);
+    font-size: 10px;
+  }
+
+  .touch-skill.ultimate { border-color: rgba(255, 45, 236, 0.7); }
+
+  .touch-skill:active { transform: scale(0.94); }
+
+  .touch-skill.empty { opacity: 0.5; }
+
+  .touch-skill-icon {
+    z-index: 1;
+    display: flex;
+    align-items: center;
+    justify-content: center;
+  }
+
+  .touch-skill-icon .skill-icon-img {
+    width: calc(36px * var(--touch-scale));
+    height: calc(36px * var(--touch-scale));
+    border-radius: 50%;
+    object-fit: cover;
+  }
+
+  /* Cooldown sweep — HUDManager sets --cd (1 = full cooldown left) */
+  .touch-skill-cd {
+    position: absolute;
+    inset: 0;
+    z-index: 2;
+    background: conic-gradient(rgba(0, 0, 0, 0.65) calc(var(--cd, 0) * 1turn), transparent 0);
+    pointer-events: none;
+  }
+
+  .touch-pause {
+    width: calc(40px * var(--touch-scale));
+    height: calc(40px * var(--touch-scale));
+    border: 1px solid var(--color-secondary-neon);
+    color: var(--color-secondary-neon);
+    font-size: 12px;
+  }
+`);
+
+class HudTouchControls extends BaseComponent {
+    connectedCallback() {
+        this._render(/* html */`
+            <div class="touch-layer">
+                <div class="move-zone">
+                    <div class="joystick-base"><div class="joystick-knob"></div></div>
+                </div>
+                <div class="touch-actions">
+                    <button class="touch-pause" id="touchPause" aria-label="Pause">II</button>
+                    <div class="touch-skills">
+                        ${[0, 1, 2, 3].map(i => `
+                        <button class="touch-skill${i === 3 ? ' ultimate' : ''}" id="touchSkill${i}" data-slot="${i}" aria-label="${i === 3 ? 'Ultimate' : `Skill ${i + 1}`}">
+                            <span class="touch-skill-icon" id="touchSkillIcon${i}">${i === 3 ? '🔒' : '—'}</span>
+                            <span class="touch-skill-cd" id="touchSkillCd${i}"></span>
+                        </button>`).join('')}
+                    </div>
+                </div>
+            </div>
+        `, styles);
+
+        /** @type {number|null} Pointer driving the joystick */
+        this._pointerId = null;
+        this._originX = 0;
+        this._originY = 0;
+        this._moveX = 0;
+        this._moveY = 0;
+        this._scale = 1;
+        this._enabled = false;
+
+        this._setupJoystick();
+
+        for (const btn of this._$$('.touch-skill')) {
+            btn.addEventListener('pointerdown', (e) => {
+                e.preventDefault();
+                this._emit('touch-cast', { slot: Number(btn.dataset.slot) });
+            });
+        }
+        this._$('#touchPause').addEventListener('pointerdown', (e) => {
+            e.preventDefault();
+            this._emit('touch-pause');
+        });
+    }
+
+    /**
+     * Apply the touch-control settings.
+     * @param {{ enabled: boolean, leftHanded: boolean, opacity: number, scale: number }} config
+     */
+    configure({ enabled, leftHanded, opacity, scale }) {
+        const layer = this._$('.touch-layer');
+        this._enabled = enabled;
+        this._scale = scale;
+        layer.classList.toggle('left-handed', leftHanded);
+        layer.style.opacity = String(opacity);
+        layer.style.setProperty('--touch-scale', String(scale));
+        if (!enabled) this.setActive(false);
+    }
+
+    /**
+     * Show the controls during a run; hiding them releases the joystick.
+     * @param {boolean} active
+     */
+    setActive(active) {
+        const show = active && this._enabled;
+        this._$('.touch-layer').classList.toggle('active', show);
+        if (!show) this._releaseStick();
+    }
+
+    /** @private */
+    _setupJoystick() {
+        const zone = this._$('.move-zone');
+        const base = this._$('.joystick-base');
+
+        zone.addEventListener('pointerdown', (e) => {
+            if (this._pointerId !== null) return;
+            e.preventDefault();
+            this._pointerId = e.pointerId;
+            zone.setPointerCapture(e.pointerId);
+
+            const rect = zone.getBoundingClientRect();
+            this._originX = e.clientX;
+            this._originY = e.clientY;
+            base.style.left = `${e.clientX - rect.left}px`;
+            base.style.top = `${e.clientY - rect.top}px`;
+            base.classList.add('visible');
+            this._updateStick(e.clientX, e.clientY);
+        });
+        zone.addEventListener('pointermove', (e) => {
+            if (e.pointerId === this._pointerId) this._updateStick(e.clientX, e.clientY);
+        });
+        const release = (e) => {
+            if (e.pointerId === this._pointerId) this._releaseStick();
+        };
+        zone.addEventListener('pointerup', release);
+        zone.addEventListener('pointercancel', release);
+    }
+
+    /**
+     * Move the knob toward the thumb and report the quantized deflection.
+     * @private
+     * @param {number} clientX
+     * @param {number} clientY
+     */
+    _updateStick(clientX, clientY) {
+        const radius = TOUCH_CONFIG.JOYSTICK_RADIUS * this._scale;
+        let dx = (clientX - this._originX) / radius;
+        let dy = (clientY - this._originY) / radius;
+        const magnitude = Math.sqrt(dx * dx + dy * dy);
+        if (magnitude > 1) {
+            dx /= magnitude;
+            dy /= magnitude;
+        }
+        this._$('.joystick-knob').style.transform = `translate(${dx * radius}px, ${dy * radius}px)`;
+
+        const steps = GameConfig.CONTROLS.MOVE_STEPS;
+        if (magnitude < TOUCH_CONFIG.DEADZONE) {
+            this._setMove(0, 0);
+        } else {
+            this._setMove(Math.round(dx * steps), Math.round(dy * steps));
+        }
+    }
+
+    /** @private */
+    _releaseStick() {
+        this._pointerId = null;
+        this._$('.joystick-base')?.classList.remove('visible');
+        this._setMove(0, 0);
+    }
+
+    /**
+     * @private
+     * @param {number} moveX
+     * @param {number} moveY
+     */
+    _setMove(moveX, moveY) {
+        if (moveX === this._moveX && moveY === this._moveY) return;
+        this._moveX = moveX;
+        this._moveY = moveY;
+        this._emit('touch-move', { moveX, moveY });
+    }
+}
+
+customElements.define('hud-touch-controls', HudTouchControls);
+export { HudTouchControls };
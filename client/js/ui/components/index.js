@@ -28,6 +28,7 @@ import './screens/LoginScreen.js';
 import './screens/LeaderboardScreen.js';
 import './screens/AchievementsScreen.js';
 import './screens/LoreIntro.js';
+import './screens/ReplayViewer.js';
 
 // Panel overlays
 import './panels/LevelUpPanel.js';
@@ -14,6 +14,7 @@
  *   'continue'      — "Continue" button clicked (spend 1 credit)
  *   'buy-credits'   — "Buy Credits" button clicked
  *   'show-leaderboard' — "View Leaderboard" button clicked
+ *   'watch-replay'  — "Watch Replay" button clicked
  *   'register-to-save' — "Register to Save & Submit Score" button clicked
  */
 
@@ -112,12 +113,14 @@ class GameOverScreen extends BaseComponent {
                 </div>
 
                 <neon-button id="leaderboardBtn">VIEW LEADERBOARD</neon-button>
+                <neon-button id="replayBtn">WATCH REPLAY</neon-button>
                 <neon-button id="restartBtn">START AGAIN</neon-button>
             </div>
         `, overlayStyles, styles);
 
         this._$('#restartBtn').addEventListener('click', () => this._emit('restart'));
         this._$('#leaderboardBtn').addEventListener('click', () => this._emit('show-leaderboard'));
+        this._$('#replayBtn').addEventListener('click', () => this._emit('watch-replay'));
         this._$('#continueBtn').addEventListener('click', () => this._emit('continue'));
         this._$('#buyBtn').addEventListener('click', () => this._emit('buy-credits'));
         this._$('#registerBtn').addEventListener('click', () => this._emit('register-to-save'));
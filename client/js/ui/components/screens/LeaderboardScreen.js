@@ -1,13 +1,16 @@
 /**
  * @fileoverview <leaderboard-screen> — leaderboard overlay with difficulty tabs
- * and a click-to-open run details panel (with skill/ascension/attribute images).
+ * (plus the current Daily/Weekly Siege challenge boards), a Standard / Boss
+ * Rush mode toggle and a click-to-open run details panel (with
+ * skill/ascension/attribute images).
  *
  * Public API:
  *   show() / hide()
- *   loadLeaderboard(difficulty?) — fetch and render
+ *   loadLeaderboard(tab?) — fetch and render a difficulty or 'daily' / 'weekly'
  *
  * Events (composed, bubbling):
  *   'leaderboard-close'
+ *   'watch-replay'  — detail: { replay } (run details of an entry with an uploaded replay)
  */
 
 import { BaseComponent } from '../BaseComponent.js';
@@ -16,6 +19,13 @@ import { apiFetch } from '../../../services/ApiClient.js';
 import { isAuthenticated, getUserLocation } from '../../../services/AuthService.js';
 import { skillIconHtml } from '../../../utils/IconUtils.js';
 import { ARCHETYPES, ATTRIBUTES, ASCENSION_POOL } from '../../../config/SkillConfig.js';
+import { replayLibrary } from '../../../replay/ReplayLibrary.js';
+import { GameConfig } from '../../../config/GameConfig.js';
+import { BOSS_ROSTER } from '../../../config/WaveConfig.js';
+import { ARENA_LAYOUTS, DEFAULT_ARENA_LAYOUT } from '../../../config/ArenaConfig.js';
+
+/** Tabs that show the current Daily/Weekly Siege board instead of a difficulty */
+const CHALLENGE_TABS = new Set(['daily', 'weekly']);
 
 const ASCENSION_NAMES = {
     asc_ricochet: 'Ricochet Rounds',
@@ -137,6 +147,7 @@ const styles = createSheet(/* css */ `
     font-size: 22px;
     letter-spacing: 3px;
     animation: neonFlicker 3s infinite alternate;
+    animation-play-state: var(--motion-play-state, running);
     margin: 0 !important;
   }
 
@@ -377,6 +388,22 @@ const styles = createSheet(/* css */ `
     color: #666;
     flex-shrink: 0;
   }
+  .rdp-replay {
+    flex-shrink: 0;
+    background: none !important;
+    border: 1px solid rgba(0, 255, 255, 0.3) !important;
+    border-radius: var(--radius-sm);
+    color: var(--color-primary-neon);
+    font-family: var(--font-pixel);
+    font-size: 9px;
+    letter-spacing: 1px;
+    padding: 5px 8px !important;
+    margin: 0 !important;
+    cursor: pointer;
+    box-shadow: none !important;
+  }
+  .rdp-replay::before { display: none !important; }
+  .rdp-replay:hover { background: rgba(0, 255, 255, 0.1) !important; animation: none !important; transform: none !important; }
 
   /* Panel body */
   .rdp-body {
@@ -505,6 +532,13 @@ const styles = createSheet(/* css */ `
     flex-wrap: wrap;
   }
   .lb-scope.hidden { display: none; }
+  .lb-challenge-info {
+    margin-bottom: var(--spacing-md);
+    font-size: 11px;
+    color: #aaa;
+    text-align: center;
+  }
+  .lb-challenge-info strong { color: var(--color-accent-yellow); font-weight: normal; }
   .lb-scope-btn {
     padding: 5px 14px !important;
     font-size: 10px;
@@ -613,6 +647,7 @@ const styles = createSheet(/* css */ `
 class LeaderboardScreen extends BaseComponent {
     connectedCallback() {
         this._currentDifficulty = 'normal';
+        this._currentMode = 'standard';
         this._currentScope = 'global';
         this._data = null;
 
@@ -639,6 +674,13 @@ class LeaderboardScreen extends BaseComponent {
                         <button class="lb-tab" data-diff="easy">Easy</button>
                         <button class="lb-tab active" data-diff="normal">Normal</button>
                         <button class="lb-tab" data-diff="hard">Hard</button>
+                        <button class="lb-tab" data-diff="daily">Daily</button>
+                        <button class="lb-tab" data-diff="weekly">Weekly</button>
+                    </div>
+                    <div class="lb-challenge-info" id="challengeInfo" style="display: none;"></div>
+                    <div class="lb-scope" id="modeBar">
+                        <button class="lb-scope-btn active" data-mode="standard">Standard</button>
+                        <button class="lb-scope-btn" data-mode="boss_rush">Boss Rush</button>
                     </div>
                     <div class="lb-scope hidden" id="scopeBar">
                         <button class="lb-scope-btn active" data-scope="global">Global</button>
@@ -665,12 +707,21 @@ class LeaderboardScreen extends BaseComponent {
             this.loadLeaderboard(/** @type {HTMLElement} */ (tab).dataset.diff);
         });
 
+        // Mode switching (difficulty boards only; challenges are always standard runs)
+        this._$('#modeBar').addEventListener('click', (e) => {
+            const btn = /** @type {HTMLElement} */ (e.target).closest('.lb-scope-btn');
+            if (!btn) return;
+            this._currentMode = /** @type {HTMLElement} */ (btn).dataset.mode;
+            this._hideRunDetails();
+            this.loadLeaderboard(this._currentDifficulty);
+        });
+
         // Scope switching
         this._$('#scopeBar').addEventListener('click', (e) => {
             const btn = /** @type {HTMLElement} */ (e.target).closest('.lb-scope-btn');
             if (!btn || btn.disabled) return;
             this._currentScope = /** @type {HTMLElement} */ (btn).dataset.scope;
-            this._$$('.lb-scope-btn').forEach(/** @param {Element} b */ b =>
+            this._$$('#scopeBar .lb-scope-btn').forEach(/** @param {Element} b */ b =>
                 b.classList.toggle('active', /** @type {HTMLElement} */ (b).dataset.scope === this._currentScope)
             );
             this._hideRunDetails();
@@ -701,9 +752,17 @@ class LeaderboardScreen extends BaseComponent {
         }, { once: true });
     }
 
-    /** @param {string} [difficulty] */
+    /** @param {string} [difficulty] - Difficulty key, or 'daily' / 'weekly' for the challenge boards */
     async loadLeaderboard(difficulty = 'normal') {
         this._currentDifficulty = difficulty;
+        const isChallenge = CHALLENGE_TABS.has(difficulty);
+        this._$('#scopeBar').style.display = isChallenge ? 'none' : '';
+        this._$('#modeBar').style.display = isChallenge ? 'none' : '';
+        this._$('#challengeInfo').style.display = 'none';
+
+        this._$$('#modeBar .lb-scope-btn').forEach(/** @param {Element} b */ b =>
+            b.classList.toggle('active', /** @type {HTMLElement} */ (b).dataset.mode === this._currentMode)
+        );
 
         this._$$('.lb-tab').forEach(/** @param {Element} t */ t =>
             t.classList.toggle('active', /** @type {HTMLElement} */ (t).dataset.diff === difficulty)
@@ -718,11 +777,14 @@ class LeaderboardScreen extends BaseComponent {
         this._$('#userRank').style.display = 'none';
 
         try {
-            let url = `/api/leaderboard?difficulty=${difficulty}&limit=50`;
-            if (this._currentScope && this._currentScope !== 'global') {
+            let url = `/api/leaderboard?mode=${this._currentMode}&difficulty=${difficulty}&limit=50`;
+            if (isChallenge) {
+                url = `/api/challenges/${difficulty}/leaderboard?limit=50`;
+            } else if (this._currentScope && this._currentScope !== 'global') {
                 url += `&scope=${this._currentScope}`;
             }
             const data = await apiFetch(url);
+            if (data.challenge) this._renderChallengeInfo(data.challenge);
             this._data = data;
             this._renderTable(data);
         } catch {
@@ -743,6 +805,7 @@ class LeaderboardScreen extends BaseComponent {
             return;
         }
 
+        const isBossRush = this._isBossRushBoard();
         const rows = data.entries.map((entry, i) => {
             const rank = entry.rank || i + 1;
             const rankClass = rank <= 3 ? ` rank-${rank}` : '';
@@ -753,7 +816,7 @@ class LeaderboardScreen extends BaseComponent {
                 <td class="rank-cell${rankClass}">${rankContent}</td>
                 <td class="name-cell">${this._esc(entry.display_name)}</td>
                 <td class="score-cell">${entry.score.toLocaleString()}</td>
-                <td class="wave-cell">W${entry.wave}${victoryBadge}</td>
+                <td class="wave-cell">${isBossRush ? `${entry.wave}/${BOSS_ROSTER.length}` : `W${entry.wave}`}${victoryBadge}</td>
                 <td class="stats-cell">
                     <button class="stats-btn" data-idx="${i}">View Stats</button>
                 </td>
@@ -763,7 +826,7 @@ class LeaderboardScreen extends BaseComponent {
         wrap.innerHTML = `
             <table>
                 <thead><tr>
-                    <th>Rank</th><th>Player</th><th>Score</th><th>Wave</th><th>Stats</th>
+                    <th>Rank</th><th>Player</th><th>Score</th><th>${isBossRush ? 'Bosses' : 'Wave'}</th><th>Stats</th>
                 </tr></thead>
                 <tbody>${rows}</tbody>
             </table>
@@ -779,22 +842,50 @@ class LeaderboardScreen extends BaseComponent {
         // User rank banner
         const rankEl = this._$('#userRank');
         if (data.userRank != null) {
-            rankEl.innerHTML = `Your best rank: <strong>#${data.userRank}</strong> on ${this._currentDifficulty}`;
+            const where = CHALLENGE_TABS.has(this._currentDifficulty)
+                ? `this ${this._currentDifficulty === 'daily' ? 'day' : 'week'}'s challenge`
+                : `${isBossRush ? 'Boss Rush ' : ''}${this._currentDifficulty}`;
+            rankEl.innerHTML = `Your best rank: <strong>#${data.userRank}</strong> on ${where}`;
             rankEl.style.display = 'flex';
         }
     }
 
+    /** @returns {boolean} Whether the board on screen is a Boss Rush board */
+    _isBossRushBoard() {
+        return this._currentMode === 'boss_rush' && !CHALLENGE_TABS.has(this._currentDifficulty);
+    }
+
+    /** @param {any} challenge - Rules of the challenge whose board is shown */
+    _renderChallengeInfo(challenge) {
+        const el = this._$('#challengeInfo');
+        const modifiers = (challenge.waveModifiers || [])
+            .map(key => GameConfig.WAVE_MODIFIERS[key]?.name)
+            .filter(Boolean);
+        const ascensions = (challenge.startingAscensions || [])
+            .map(id => this._ascMap.get(id)?.name)
+            .filter(Boolean);
+        const hoursLeft = Math.max(0, Math.ceil((Date.parse(challenge.endsAt) - Date.now()) / 3_600_000));
+
+        el.innerHTML = `<strong>${this._esc(String(challenge.difficulty).toUpperCase())}</strong>`
+            + ` · Modifiers: ${this._esc(modifiers.join(', ') || 'none')}`
+            + ` · Starts with: ${this._esc(ascensions.join(', ') || 'nothing')}`
+            + ` · Ends in ${hoursLeft}h`;
+        el.style.display = '';
+    }
+
     /* ── Run details panel ──────────────────────────────────────────────── */
     /** @param {any} entry */
     _showRunDetails(entry) {
         const panel = this._$('#rdpPanel');
         const rd = entry.run_details || {};
+        const hasReplay = this._hasReplay(entry);
 
         panel.innerHTML = `
             <div class="rdp-header">
                 <button class="rdp-back" id="rdpBack">${ARROW_LEFT} Back</button>
                 <span class="rdp-player">${this._esc(entry.display_name)}</span>
-                <span class="rdp-meta">W${entry.wave} · ${entry.score.toLocaleString()} pts${entry.is_victory ? ' ★' : ''}</span>
+                <span class="rdp-meta">W${entry.wave} · ${entry.score.toLocaleString()} pts${entry.is_victory ? ' ★' : ''}${this._formatAimModes(rd.aimModes)}${this._formatArena(rd.arena)}</span>
+                ${hasReplay ? '<button class="rdp-replay" id="rdpReplay">▶ WATCH REPLAY</button>' : ''}
             </div>
             <div class="rdp-body">
                 ${this._buildAttrsSection(rd.attributes)}
@@ -805,6 +896,8 @@ class LeaderboardScreen extends BaseComponent {
         `;
 
         panel.querySelector('#rdpBack').addEventListener('click', () => this._hideRunDetails());
+        const replayBtn = /** @type {HTMLButtonElement|null} */ (panel.querySelector('#rdpReplay'));
+        replayBtn?.addEventListener('click', () => this._watchReplay(entry, replayBtn));
         this._setupRdpTooltips(panel);
 
         // Slide in panel, fade out table
@@ -813,6 +906,75 @@ class LeaderboardScreen extends BaseComponent {
         panel.classList.add('visible');
     }
 
+    /**
+     * Whether an entry has a replay to watch: one uploaded with the run (the
+     * server rejects malformed ones), or a copy already in the local library.
+     * @param {any} entry
+     * @returns {boolean}
+     */
+    _hasReplay(entry) {
+        const verification = entry.run_details?.replayVerification;
+        return (!!verification && verification.status !== 'invalid') || !!this._getCachedReplay(entry);
+    }
+
+    /**
+     * Local copy of an entry's replay, if it is of the entry's current best.
+     * @param {any} entry
+     * @returns {Object|null}
+     */
+    _getCachedReplay(entry) {
+        const replay = replayLibrary.getForEntry(entry.id);
+        return replay?.result?.score === entry.score ? replay : null;
+    }
+
+    /**
+     * Play an entry's replay, downloading it from the server unless the local
+     * library already has it.
+     * @param {any} entry
+     * @param {HTMLButtonElement} button
+     */
+    async _watchReplay(entry, button) {
+        let replay = this._getCachedReplay(entry);
+        if (!replay) {
+            button.disabled = true;
+            button.textContent = 'LOADING…';
+            try {
+                ({ replay } = await apiFetch(`/api/leaderboard/entries/${encodeURIComponent(entry.id)}/replay`));
+                replayLibrary.linkEntry(entry.id, replay);
+            } catch {
+                button.textContent = 'REPLAY UNAVAILABLE';
+                return;
+            }
+            // The panel moved on to another entry while downloading
+            if (!button.isConnected) return;
+            button.disabled = false;
+            button.textContent = '▶ WATCH REPLAY';
+        }
+        this._emit('watch-replay', { replay });
+    }
+
+    /**
+     * Control schemes used in the run, for the run details header.
+     * Runs submitted before aim modes were recorded were auto-aim only.
+     * @param {string[]|undefined} aimModes
+     * @returns {string}
+     */
+    _formatAimModes(aimModes) {
+        const modes = Array.isArray(aimModes) && aimModes.length > 0 ? aimModes : ['auto'];
+        return ` · Aim: ${this._esc(modes.map(mode => this._formatId(mode)).join(' / '))}`;
+    }
+
+    /**
+     * Arena layout of the run, for the run details header.
+     * Runs submitted before arena layouts existed were played on the classic arena.
+     * @param {string|undefined} arena
+     * @returns {string}
+     */
+    _formatArena(arena) {
+        const layout = ARENA_LAYOUTS[arena] || ARENA_LAYOUTS[DEFAULT_ARENA_LAYOUT];
+        return ` · Arena: ${this._esc(layout.label)}`;
+    }
+
     _hideRunDetails() {
         const panel = this._$('#rdpPanel');
         if (!panel) return;
@@ -118,6 +118,7 @@ const styles = createSheet(/* css */ `
       0 0 14px var(--color-secondary-neon),
       0 0 28px var(--color-secondary-neon);
     animation: neonFlicker 3s infinite alternate;
+    animation-play-state: var(--motion-play-state, running);
   }
 
   /* ── Screens wrapper & transitions ────────────────────────────────────── */
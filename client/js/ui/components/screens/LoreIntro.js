@@ -6,6 +6,10 @@
  * SFX. Auto-advances scenes on a timer but allows click / tap / keyboard to
  * advance manually.
  *
+ * In reduced-motion mode (vfxHelper.reducedMotion) the images stay still,
+ * each scene's text appears whole, scenes cut instead of crossfading and the
+ * skip button is available from the start.
+ *
  * Emits `lore-complete` (composed, bubbling) when the sequence finishes or is
  * skipped so the host can proceed to `startGame()`.
  *
@@ -18,6 +22,7 @@
 import { BaseComponent } from '../BaseComponent.js';
 import { createSheet } from '../shared-styles.js';
 import { audioManager } from '../../../managers/AudioManager.js';
+import { vfxHelper } from '../../../managers/VFXHelper.js';
 
 // ── Scene data ───────────────────────────────────────────────────────────────
 
@@ -208,6 +213,14 @@ const styles = createSheet(/* css */ `
     50%      { opacity: 0; }
   }
 
+  /* Reduced motion: still images, whole text, hard cuts */
+  .lore-overlay.calm .scene-image { animation: none; }
+  .lore-overlay.calm .scene {
+    transition: none;
+    transform: none;
+  }
+  .lore-overlay.calm .scene-text .cursor { display: none; }
+
   /* Skip button */
   .skip-btn {
     position: absolute;
@@ -298,6 +311,7 @@ class LoreIntro extends BaseComponent {
         /** @private */ this._typewriterDone = false;
         /** @private */ this._loreAudio = null;
         /** @private */ this._voiceAudio = null;
+        /** @private */ this._calm = false;
 
         this._onKeyDown = this._onKeyDown.bind(this);
         this._onPointerDown = this._onPointerDown.bind(this);
@@ -333,6 +347,8 @@ class LoreIntro extends BaseComponent {
         const overlay = this._$('.lore-overlay');
         if (!overlay || this._isPlaying) return;
 
+        this._calm = vfxHelper.reducedMotion;
+        overlay.classList.toggle('calm', this._calm);
         overlay.classList.add('show');
         overlay.classList.remove('fade-out');
         this._isPlaying = true;
@@ -349,10 +365,10 @@ class LoreIntro extends BaseComponent {
             this._complete();
         });
 
-        // Reveal skip button after delay
+        // Reveal skip button after delay (immediately in reduced-motion mode)
         this._skipTimer = setTimeout(() => {
             skipBtn?.classList.add('visible');
-        }, SKIP_REVEAL_MS);
+        }, this._calm ? 0 : SKIP_REVEAL_MS);
 
         // Start background music
         this._startMusic();
@@ -399,7 +415,7 @@ class LoreIntro extends BaseComponent {
         }
 
         // Brief delay for crossfade overlap
-        await this._wait(prev >= 0 ? TRANSITION_MS * 0.4 : 0);
+        await this._wait(prev >= 0 && !this._calm ? TRANSITION_MS * 0.4 : 0);
 
         this._currentScene = next;
         const scene = SCENES[next];
@@ -460,6 +476,12 @@ class LoreIntro extends BaseComponent {
         const el = this._$(`#text-${sceneIndex}`);
         if (!el) { onDone?.(); return; }
 
+        if (this._calm) {
+            el.textContent = text;
+            onDone?.();
+            return;
+        }
+
         el.innerHTML = '<span class="cursor"></span>';
 
         let charIndex = 0;
@@ -0,0 +1,240 @@
+/**
+ * @fileoverview <replay-viewer> — full-screen replay playback overlay.
+ *
+ * Hosts its own canvas (the replay runs in a separate Game instance driven by
+ * ReplayViewerController) plus the transport controls.
+ *
+ * Public API:
+ *   getCanvas() / getStage()
+ *   setReplayInfo({ seed, difficulty, recordedAt, waves })
+ *   setPlaying(bool)
+ *   setSpeed(number)
+ *   setProgress(progress, { wave, score, ticks, tickMs })
+ *   setError(text | null)
+ *   show() / hide()
+ *
+ * Events (composed, bubbling):
+ *   'replay-toggle-play'
+ *   'replay-speed'      — detail: { speed }
+ *   'replay-seek'       — detail: { progress } (0..1)
+ *   'replay-seek-wave'  — detail: { wave }
+ *   'replay-export'
+ *   'replay-import'     — detail: { text } (contents of the chosen file)
+ *   'replay-close'
+ */
+
+import { BaseComponent } from '../BaseComponent.js';
+import { overlayStyles, createSheet } from '../shared-styles.js';
+
+const SPEEDS = [1, 2, 4];
+const SCRUB_RESOLUTION = 1000;
+
+const styles = createSheet(/* css */ `
+  :host { display: contents; }
+
+  .overlay {
+    justify-content: flex-start;
+    padding: 16px;
+    box-sizing: border-box;
+    gap: 10px;
+  }
+
+  .rv-header {
+    display: flex;
+    align-items: baseline;
+    gap: 14px;
+    width: 100%;
+    max-width: 1200px;
+  }
+  .rv-header h2 { margin: 0; }
+  .rv-meta {
+    flex: 1;
+    font-size: 11px;
+    color: #888;
+    text-align: left;
+  }
+
+  .rv-stage {
+    flex: 1;
+    min-height: 0;
+    width: 100%;
+    display: flex;
+    align-items: center;
+    justify-content: center;
+  }
+  .rv-stage canvas {
+    border: 1px solid rgba(0, 255, 255, 0.25);
+    box-shadow: 0 0 18px rgba(0, 255, 255, 0.15);
+    background: #05010a;
+  }
+
+  .rv-controls {
+    display: flex;
+    flex-wrap: wrap;
+    align-items: center;
+    justify-content: center;
+    gap: 8px;
+    width: 100%;
+    max-width: 1200px;
+  }
+  .rv-controls neon-button { margin: 0; }
+  .rv-speed.active { --neon-bg: linear-gradient(45deg, var(--color-secondary-neon), var(--color-primary-neon)); }
+
+  .rv-scrub {
+    flex: 1;
+    min-width: 160px;
+    accent-color: var(--color-primary-neon);
+  }
+
+  .rv-wave {
+    background: rgba(5, 1, 10, 0.9);
+    color: var(--color-primary-neon);
+    border: 1px solid rgba(0, 255, 255, 0.3);
+    border-radius: var(--radius-sm);
+    font-family: var(--font-primary);
+    padding: 4px 6px;
+  }
+
+  .rv-status {
+    font-family: var(--font-pixel);
+    font-size: 10px;
+    color: #ccc;
+    min-width: 220px;
+  }
+
+  .rv-error {
+    display: none;
+    color: var(--color-accent-red);
+    font-family: var(--font-pixel);
+    font-size: 10px;
+  }
+`);
+
+/**
+ * @param {number} ms
+ * @returns {string} m:ss
+ */
+function formatDuration(ms) {
+    const totalSeconds = Math.floor(ms / 1000);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+}
+
+class ReplayViewer extends BaseComponent {
+    connectedCallback() {
+        this._render(/* html */ `
+            <div class="overlay">
+                <div class="rv-header">
+                    <h2>REPLAY</h2>
+                    <span id="meta" class="rv-meta"></span>
+                    <neon-button id="closeBtn">CLOSE</neon-button>
+                </div>
+                <div id="stage" class="rv-stage">
+                    <canvas id="replayCanvas"></canvas>
+                </div>
+                <div class="rv-controls">
+                    <neon-button id="playBtn" variant="primary">PAUSE</neon-button>
+                    ${SPEEDS.map(speed => `<neon-button class="rv-speed" data-speed="${speed}">${speed}x</neon-button>`).join('')}
+                    <input id="scrub" class="rv-scrub" type="range" min="0" max="${SCRUB_RESOLUTION}" value="0">
+                    <select id="waveSelect" class="rv-wave"></select>
+                    <span id="status" class="rv-status"></span>
+                </div>
+                <div class="rv-controls">
+                    <neon-button id="exportBtn">EXPORT</neon-button>
+                    <neon-button id="importBtn">IMPORT</neon-button>
+                    <input id="fileInput" type="file" accept=".json,application/json" hidden>
+                    <span id="error" class="rv-error"></span>
+                </div>
+            </div>
+        `, overlayStyles, styles);
+
+        this._scrubbing = false;
+
+        this._$('#closeBtn').addEventListener('click', () => this._emit('replay-close'));
+        this._$('#playBtn').addEventListener('click', () => this._emit('replay-toggle-play'));
+        this._$$('.rv-speed').forEach(btn => {
+            btn.addEventListener('click', () => this._emit('replay-speed', { speed: Number(btn.dataset.speed) }));
+        });
+
+        const scrub = /** @type {HTMLInputElement} */ (this._$('#scrub'));
+        scrub.addEventListener('input', () => { this._scrubbing = true; });
+        scrub.addEventListener('change', () => {
+            this._scrubbing = false;
+            this._emit('replay-seek', { progress: Number(scrub.value) / SCRUB_RESOLUTION });
+        });
+
+        const waveSelect = /** @type {HTMLSelectElement} */ (this._$('#waveSelect'));
+        waveSelect.addEventListener('change', () => {
+            const wave = Number(waveSelect.value);
+            if (wave > 0) this._emit('replay-seek-wave', { wave });
+            waveSelect.value = '';
+        });
+
+        this._$('#exportBtn').addEventListener('click', () => this._emit('replay-export'));
+
+        const fileInput = /** @type {HTMLInputElement} */ (this._$('#fileInput'));
+        this._$('#importBtn').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files?.[0];
+            fileInput.value = '';
+            if (!file) return;
+            this._emit('replay-import', { text: await file.text() });
+        });
+    }
+
+    /** @returns {HTMLCanvasElement} */
+    getCanvas() {
+        return /** @type {HTMLCanvasElement} */ (this._$('#replayCanvas'));
+    }
+
+    /** @returns {HTMLElement} Area the canvas is fitted into */
+    getStage() {
+        return this._$('#stage');
+    }
+
+    /** @param {{ seed: number, difficulty: string, recordedAt: number, waves: Array<[number, number]> }} info */
+    setReplayInfo({ seed, difficulty, recordedAt, waves }) {
+        const date = recordedAt ? new Date(recordedAt).toLocaleString() : '';
+        this._$('#meta').textContent = `Seed ${seed} · ${String(difficulty).toUpperCase()}${date ? ` · ${date}` : ''}`;
+
+        const waveSelect = this._$('#waveSelect');
+        waveSelect.innerHTML = '<option value="">Jump to wave…</option>'
+            + (waves || []).map(([wave]) => `<option value="${wave}">Wave ${wave}</option>`).join('');
+        this.setError(null);
+    }
+
+    /** @param {boolean} playing */
+    setPlaying(playing) {
+        this._$('#playBtn').textContent = playing ? 'PAUSE' : 'PLAY';
+    }
+
+    /** @param {number} speed */
+    setSpeed(speed) {
+        this._$$('.rv-speed').forEach(btn => {
+            btn.classList.toggle('active', Number(btn.dataset.speed) === speed);
+        });
+    }
+
+    /**
+     * @param {number} progress - 0..1
+     * @param {{ wave: number, score: number, ticks: number, tickMs: number }} status
+     */
+    setProgress(progress, { wave, score, ticks, tickMs }) {
+        if (!this._scrubbing) {
+            /** @type {HTMLInputElement} */ (this._$('#scrub')).value = String(Math.round(progress * SCRUB_RESOLUTION));
+        }
+        this._$('#status').textContent = `WAVE ${wave} · ${score.toLocaleString()} PTS · ${formatDuration(ticks * tickMs)}`;
+    }
+
+    /** @param {string|null} text */
+    setError(text) {
+        const el = this._$('#error');
+        if (!el) return;
+        el.textContent = text || '';
+        el.style.display = text ? 'inline' : 'none';
+    }
+}
+
+customElements.define('replay-viewer', ReplayViewer);
+export { ReplayViewer };
@@ -5,11 +5,16 @@
  *   updateUI(settings)                          — sync all controls from a settings object
  *   setDevPanelVisible(bool)                    — show/hide the dev panel toggle row
  *   setKeybindHintsVisible(bool)                — show/hide the keybind hints text
+ *   updateKeyBindings(state)                    — sync the key-binding page (profile, keys, conflicts, notice)
  *   isVisible() → bool
  *   show() / hide()
  *
  * Events (composed, bubbling):
  *   'setting-change'    — { key, value } for any setting control
+ *   'gamepad-rebind'    — { action } — wait for a gamepad button to bind to it
+ *   'key-rebind'        — { action, slot } — wait for a key to bind to it (slot 0 primary, 1 alternate)
+ *   'key-profile-change' — { profile } — switch key-binding profile
+ *   'reset-key-bindings' — restore the default keys in the active profile
  *   'reset-settings'
  *   'close-settings'
  *   'toggle-dev-panel'
@@ -17,6 +22,34 @@
 
 import { BaseComponent } from '../BaseComponent.js';
 import { overlayStyles, createSheet } from '../shared-styles.js';
+import { GameConfig } from '../../../config/GameConfig.js';
+import { formatKeyCode } from '../../../managers/KeyBindingManager.js';
+
+const GAMEPAD_CONFIG = GameConfig.CONTROLS.GAMEPAD;
+const KEYBOARD_CONFIG = GameConfig.CONTROLS.KEYBOARD;
+
+/** Settings-screen names for the remappable gamepad actions */
+const GAMEPAD_ACTION_LABELS = {
+    castSlot1: 'Skill 1',
+    castSlot2: 'Skill 2',
+    castSlot3: 'Skill 3',
+    castSlot4: 'Ultimate',
+    pause: 'Pause',
+};
+
+/** Settings-screen names for the remappable keyboard actions */
+const KEY_ACTION_LABELS = {
+    moveUp: 'Move Up',
+    moveDown: 'Move Down',
+    moveLeft: 'Move Left',
+    moveRight: 'Move Right',
+    castSlot1: 'Skill 1',
+    castSlot2: 'Skill 2',
+    castSlot3: 'Skill 3',
+    castSlot4: 'Ultimate',
+    pause: 'Pause',
+    openSettings: 'Settings / Back',
+};
 
 const styles = createSheet(/* css */ `
   :host { display: contents; }
@@ -152,6 +185,61 @@ const styles = createSheet(/* css */ `
   .settings-audio-control input[type='range']:focus-visible::-moz-range-track {
     box-shadow: 0 0 0 2px var(--color-secondary-neon), 0 0 10px rgba(255, 45, 236, 0.35);
   }
+  .settings-select {
+    min-width: 160px;
+    padding: 4px var(--spacing-sm);
+    border: 1px solid var(--color-primary-neon);
+    border-radius: var(--radius-sm);
+    background: var(--bg-secondary);
+    color: #fff;
+    font-family: inherit;
+    font-size: 14px;
+    cursor: pointer;
+  }
+  .settings-select:focus-visible {
+    outline: 2px solid var(--color-secondary-neon);
+    outline-offset: 2px;
+  }
+  .settings-subheading {
+    margin-top: var(--spacing-sm);
+    color: var(--color-primary-neon);
+    font-size: 14px;
+    text-transform: uppercase;
+    letter-spacing: 1px;
+    text-align: left;
+  }
+  .gamepad-bind-btn,
+  .key-bind-btn {
+    min-width: 120px;
+    padding: 4px var(--spacing-sm);
+    border: 1px solid var(--color-secondary-neon);
+    border-radius: var(--radius-sm);
+    background: var(--bg-secondary);
+    color: #fff;
+    font-family: inherit;
+    font-size: 14px;
+    cursor: pointer;
+  }
+  .gamepad-bind-btn.capturing,
+  .key-bind-btn.capturing {
+    border-color: var(--color-primary-neon);
+    color: var(--color-primary-neon);
+  }
+  .key-bind-btn {
+    min-width: 96px;
+  }
+  .key-bind-btn.conflict {
+    border-color: var(--color-accent-red);
+    color: var(--color-accent-red);
+  }
+  .key-bind-keys {
+    display: inline-flex;
+    gap: var(--spacing-sm);
+  }
+  .key-bind-notice {
+    min-height: 1.2em;
+    color: var(--color-secondary-neon);
+  }
   .settings-volume-value {
     min-width: 34px;
     text-align: right;
@@ -180,6 +268,7 @@ class SettingsModal extends BaseComponent {
         this._render(/* html */ `
             <div class="overlay">
                 <div class="settings-panel">
+                    <div id="settingsMainPage">
                     <h2>Settings</h2>
                     <div class="settings-grid">
                         <label class="settings-row">
@@ -196,6 +285,14 @@ class SettingsModal extends BaseComponent {
                                 <span id="musicVolumeValue" class="settings-volume-value">20</span>
                             </span>
                         </label>
+                        <label class="settings-row">
+                            <span>Aiming</span>
+                            <select id="aimMode" class="settings-select" aria-label="Aiming control scheme">
+                                <option value="auto">Auto-aim</option>
+                                <option value="manual">Manual (aim with cursor, hold to fire)</option>
+                                <option value="hybrid">Hybrid (auto-aim, click to lock target)</option>
+                            </select>
+                        </label>
                         <label class="settings-row">
                             <span>Screen Shake</span>
                             <span class="toggle-switch">
@@ -224,13 +321,112 @@ class SettingsModal extends BaseComponent {
                                 <span class="toggle-slider"></span>
                             </span>
                         </label>
+                        <div class="settings-subheading">Accessibility</div>
+                        <label class="settings-row">
+                            <span>Color Palette</span>
+                            <select id="colorPalette" class="settings-select" aria-label="Colorblind-safe palette">
+                                <option value="default">Default (neon)</option>
+                                <option value="deuteranopia">Deuteranopia</option>
+                                <option value="protanopia">Protanopia</option>
+                                <option value="tritanopia">Tritanopia</option>
+                            </select>
+                        </label>
+                        <label class="settings-row">
+                            <span>High Contrast</span>
+                            <span class="toggle-switch">
+                                <input id="highContrast" type="checkbox">
+                                <span class="toggle-slider"></span>
+                            </span>
+                        </label>
+                        <label class="settings-row">
+                            <span>Reduced Motion</span>
+                            <select id="reducedMotion" class="settings-select" aria-label="Reduced motion and flashing">
+                                <option value="auto">Auto (system setting)</option>
+                                <option value="on">On (no shake, soft flashes)</option>
+                                <option value="off">Off</option>
+                            </select>
+                        </label>
+                        <div class="settings-subheading">Keyboard</div>
+                        <div class="settings-row">
+                            <span>Key Bindings</span>
+                            <button id="keyBindingsBtn" class="key-bind-btn" aria-label="Customize key bindings">Customize…</button>
+                        </div>
+                        <div class="settings-subheading">Touch Controls</div>
+                        <label class="settings-row">
+                            <span>On-screen Controls</span>
+                            <select id="touchControls" class="settings-select" aria-label="On-screen touch controls">
+                                <option value="auto">Auto (touch screens)</option>
+                                <option value="on">Always on</option>
+                                <option value="off">Off</option>
+                            </select>
+                        </label>
+                        <label class="settings-row">
+                            <span>Layout</span>
+                            <select id="touchLayout" class="settings-select" aria-label="Touch control layout">
+                                <option value="standard">Joystick left, skills right</option>
+                                <option value="left-handed">Left-handed (skills left)</option>
+                            </select>
+                        </label>
+                        <label class="settings-row">
+                            <span>Opacity</span>
+                            <span class="settings-audio-control">
+                                <input id="touchOpacity" type="range" min="20" max="100" step="5" value="60" aria-label="Touch control opacity">
+                                <span id="touchOpacityValue" class="settings-volume-value">60</span>
+                            </span>
+                        </label>
+                        <label class="settings-row">
+                            <span>Size</span>
+                            <span class="settings-audio-control">
+                                <input id="touchSize" type="range" min="70" max="150" step="5" value="100" aria-label="Touch control size">
+                                <span id="touchSizeValue" class="settings-volume-value">100</span>
+                            </span>
+                        </label>
+                        <div class="settings-subheading">Controller</div>
+                        <label class="settings-row">
+                            <span>Controller Rumble</span>
+                            <span class="toggle-switch">
+                                <input id="gamepadRumble" type="checkbox" checked>
+                                <span class="toggle-slider"></span>
+                            </span>
+                        </label>
+                        ${GAMEPAD_CONFIG.REMAPPABLE_ACTIONS.map(action => `
+                        <div class="settings-row">
+                            <span>${GAMEPAD_ACTION_LABELS[action]}</span>
+                            <button class="gamepad-bind-btn" data-action="${action}" aria-label="Rebind ${GAMEPAD_ACTION_LABELS[action]}"></button>
+                        </div>`).join('')}
                     </div>
-                    <p id="keybindHintsText" class="settings-help">Keyboard: WASD/Arrows move &bull; Q/E/R/T cast skills &bull; P pause/resume</p>
+                    <p id="keybindHintsText" class="settings-help">Keyboard: W/A/S/D move &bull; Q/E/R/T cast skills &bull; P pause/resume &bull; Manual aim: point and hold click/touch to fire &bull; Controller: left stick moves, D-pad + A/B navigate menus</p>
                     <div class="settings-actions settings-actions--stacked">
                         <neon-button id="resetBtn">Reset Defaults</neon-button>
                         <neon-button id="closeBtn" variant="primary">Close</neon-button>
                         <neon-button id="devBtn" variant="danger" style="display:none">⚙ Admin Panel</neon-button>
                     </div>
+                    </div>
+                    <div id="keyBindingsPage" style="display:none">
+                    <h2>Key Bindings</h2>
+                    <div class="settings-grid">
+                        <label class="settings-row">
+                            <span>Profile</span>
+                            <select id="keyProfile" class="settings-select" aria-label="Key binding profile">
+                                ${Array.from({ length: KEYBOARD_CONFIG.PROFILE_COUNT }, (_, i) => `<option value="${i}">Profile ${i + 1}</option>`).join('')}
+                            </select>
+                        </label>
+                        ${KEYBOARD_CONFIG.REMAPPABLE_ACTIONS.map(action => `
+                        <div class="settings-row">
+                            <span>${KEY_ACTION_LABELS[action]}</span>
+                            <span class="key-bind-keys">
+                                <button class="key-bind-btn" data-action="${action}" data-slot="0" aria-label="Rebind ${KEY_ACTION_LABELS[action]}"></button>
+                                <button class="key-bind-btn" data-action="${action}" data-slot="1" aria-label="Rebind ${KEY_ACTION_LABELS[action]} (alternate)"></button>
+                            </span>
+                        </div>`).join('')}
+                    </div>
+                    <p id="keyBindingsNotice" class="settings-help key-bind-notice" aria-live="polite"></p>
+                    <p class="settings-help">Click a key, then press the new one. Esc cancels, Backspace clears. A key already in use swaps places with the one it replaces.</p>
+                    <div class="settings-actions">
+                        <neon-button id="resetKeysBtn">Reset to Default</neon-button>
+                        <neon-button id="keysBackBtn" variant="primary">Back</neon-button>
+                    </div>
+                    </div>
                 </div>
             </div>
         `, overlayStyles, styles);
@@ -253,12 +449,30 @@ class SettingsModal extends BaseComponent {
             this._emit('setting-change', { key: 'musicVolume', value });
         });
 
+        // Selects
+        for (const key of ['aimMode', 'colorPalette', 'reducedMotion', 'touchControls', 'touchLayout']) {
+            this._$(`#${key}`).addEventListener('change', (e) => {
+                this._emit('setting-change', { key, value: /** @type {HTMLSelectElement} */ (e.target).value });
+            });
+        }
+
+        // Touch control sliders (percent)
+        for (const key of ['touchOpacity', 'touchSize']) {
+            this._$(`#${key}`).addEventListener('input', (e) => {
+                const value = parseInt(/** @type {HTMLInputElement} */ (e.target).value, 10);
+                this._$(`#${key}Value`).textContent = value.toString();
+                this._emit('setting-change', { key, value });
+            });
+        }
+
         // Toggle switches
         const toggles = [
             { id: 'screenShake', key: 'screenShakeEnabled' },
             { id: 'performanceMode', key: 'performanceModeEnabled' },
             { id: 'showStats', key: 'showPerformanceStats' },
             { id: 'keybindHints', key: 'showKeybindHints' },
+            { id: 'highContrast', key: 'highContrast' },
+            { id: 'gamepadRumble', key: 'gamepadRumble' },
         ];
         for (const { id, key } of toggles) {
             this._$(`#${id}`).addEventListener('change', (e) => {
@@ -266,12 +480,50 @@ class SettingsModal extends BaseComponent {
             });
         }
 
+        // Gamepad rebinding: the button waits for the next pad press
+        for (const btn of this._$$('.gamepad-bind-btn')) {
+            btn.addEventListener('click', () => {
+                btn.textContent = 'Press a button…';
+                btn.classList.add('capturing');
+                this._emit('gamepad-rebind', { action: btn.dataset.action });
+            });
+        }
+
+        // Keyboard rebinding page
+        this._$('#keyBindingsBtn').addEventListener('click', () => this._showPage('keys'));
+        this._$('#keysBackBtn').addEventListener('click', () => this._showPage('main'));
+        this._$('#resetKeysBtn').addEventListener('click', () => this._emit('reset-key-bindings'));
+        this._$('#keyProfile').addEventListener('change', (e) => {
+            this._emit('key-profile-change', { profile: parseInt(/** @type {HTMLSelectElement} */ (e.target).value, 10) });
+        });
+        for (const btn of this._$$('.key-bind-btn[data-action]')) {
+            btn.addEventListener('click', () => {
+                for (const other of this._$$('.key-bind-btn.capturing')) {
+                    other.textContent = other.dataset.label;
+                    other.classList.remove('capturing');
+                }
+                btn.textContent = 'Press a key…';
+                btn.classList.add('capturing');
+                this._emit('key-rebind', { action: btn.dataset.action, slot: Number(btn.dataset.slot) });
+            });
+        }
+
         // Action buttons
         this._$('#resetBtn').addEventListener('click', () => this._emit('reset-settings'));
         this._$('#closeBtn').addEventListener('click', () => this._emit('close-settings'));
         this._$('#devBtn').addEventListener('click', () => this._emit('toggle-dev-panel'));
     }
 
+    /**
+     * @param {'main'|'keys'} page
+     * @private
+     */
+    _showPage(page) {
+        this._$('#settingsMainPage').style.display = page === 'main' ? '' : 'none';
+        this._$('#keyBindingsPage').style.display = page === 'keys' ? '' : 'none';
+        if (page === 'main') this._$('#keyBindingsNotice').textContent = '';
+    }
+
     /**
      * Clamp a volume value to 0–100.
      * @param {number} value
@@ -286,7 +538,7 @@ class SettingsModal extends BaseComponent {
 
     /**
      * Sync all controls from a settings object.
-     * @param {{ soundVolume?: number, musicVolume?: number, screenShakeEnabled?: boolean, performanceModeEnabled?: boolean, showPerformanceStats?: boolean, showKeybindHints?: boolean }} settings
+     * @param {{ soundVolume?: number, musicVolume?: number, screenShakeEnabled?: boolean, performanceModeEnabled?: boolean, showPerformanceStats?: boolean, showKeybindHints?: boolean, aimMode?: string, colorPalette?: string, highContrast?: boolean, reducedMotion?: string, touchControls?: string, touchLayout?: string, touchOpacity?: number, touchSize?: number, gamepadRumble?: boolean, gamepadBindings?: Object<string, number> }} settings
      */
     updateUI(settings) {
         const soundVol = this._clampVolume(settings.soundVolume, 30);
@@ -301,6 +553,68 @@ class SettingsModal extends BaseComponent {
         /** @type {HTMLInputElement} */ (this._$('#performanceMode')).checked = settings.performanceModeEnabled;
         /** @type {HTMLInputElement} */ (this._$('#showStats')).checked = settings.showPerformanceStats;
         /** @type {HTMLInputElement} */ (this._$('#keybindHints')).checked = settings.showKeybindHints;
+        /** @type {HTMLSelectElement} */ (this._$('#aimMode')).value = settings.aimMode || 'auto';
+        /** @type {HTMLSelectElement} */ (this._$('#colorPalette')).value = settings.colorPalette || 'default';
+        /** @type {HTMLInputElement} */ (this._$('#highContrast')).checked = !!settings.highContrast;
+        /** @type {HTMLSelectElement} */ (this._$('#reducedMotion')).value = settings.reducedMotion || 'auto';
+        /** @type {HTMLSelectElement} */ (this._$('#touchControls')).value = settings.touchControls || 'auto';
+        /** @type {HTMLSelectElement} */ (this._$('#touchLayout')).value = settings.touchLayout || 'standard';
+        for (const [key, fallback] of [['touchOpacity', 60], ['touchSize', 100]]) {
+            const value = Number.isFinite(settings[key]) ? settings[key] : fallback;
+            /** @type {HTMLInputElement} */ (this._$(`#${key}`)).value = value.toString();
+            this._$(`#${key}Value`).textContent = value.toString();
+        }
+        /** @type {HTMLInputElement} */ (this._$('#gamepadRumble')).checked = settings.gamepadRumble !== false;
+
+        const bindings = { ...GAMEPAD_CONFIG.DEFAULT_BINDINGS, ...settings.gamepadBindings };
+        for (const btn of this._$$('.gamepad-bind-btn')) {
+            const buttonIndex = bindings[btn.dataset.action];
+            btn.textContent = GAMEPAD_CONFIG.BUTTON_LABELS[buttonIndex] || `Button ${buttonIndex}`;
+            btn.classList.remove('capturing');
+        }
+    }
+
+    /**
+     * Sync the key-binding page and the keyboard hint text.
+     * @param {{ profile: number, bindings: Object<string, (string|null)[]>, conflicts?: string[], notice?: string, swap?: { code: string, from: string }|null }} state
+     *   bindings: effective action → [primary, alternate] key codes; conflicts: codes bound to several
+     *   actions; swap: the key just bound was taken from another action
+     */
+    updateKeyBindings({ profile, bindings, conflicts = [], notice = '', swap = null }) {
+        /** @type {HTMLSelectElement} */ (this._$('#keyProfile')).value = String(profile);
+        for (const btn of this._$$('.key-bind-btn[data-action]')) {
+            const code = bindings[btn.dataset.action]?.[Number(btn.dataset.slot)] ?? null;
+            btn.dataset.label = formatKeyCode(code) || '—';
+            btn.textContent = btn.dataset.label;
+            btn.classList.remove('capturing');
+            btn.classList.toggle('conflict', code !== null && conflicts.includes(code));
+        }
+        if (swap) {
+            notice = `${formatKeyCode(swap.code)} was bound to ${KEY_ACTION_LABELS[swap.from] || swap.from} — the two keys were swapped.`;
+        }
+        this._$('#keyBindingsNotice').textContent = notice
+            || (conflicts.length > 0 ? `Conflicting keys: ${conflicts.map(formatKeyCode).join(', ')}` : '');
+
+        const primary = (action) => formatKeyCode(bindings[action]?.[0] ?? null) || '—';
+        const move = ['moveUp', 'moveLeft', 'moveDown', 'moveRight'].map(primary).join('/');
+        const skills = ['castSlot1', 'castSlot2', 'castSlot3', 'castSlot4'].map(primary).join('/');
+        this._$('#keybindHintsText').textContent = `Keyboard: ${move} move • ${skills} cast skills • ${primary('pause')} pause/resume • `
+            + 'Manual aim: point and hold click/touch to fire • Controller: left stick moves, D-pad + A/B navigate menus';
+    }
+
+    /**
+     * Leave the key-binding page if it is open.
+     * @returns {boolean} Whether the page was open
+     */
+    closeKeyBindingsPage() {
+        if (this._$('#keyBindingsPage').style.display === 'none') return false;
+        this._showPage('main');
+        return true;
+    }
+
+    show() {
+        this._showPage('main');
+        super.show();
     }
 
     /** @param {boolean} visible */
@@ -11,6 +11,9 @@
  *
  * No audio is played by this component.
  *
+ * In reduced-motion mode (vfxHelper.reducedMotion) the boot log, title and
+ * prompt appear at once without blur, pulse or the brightness-flash exit.
+ *
  * Events (composed, bubbling):
  *   'splash-complete' — user has interacted + assets loaded; safe to proceed
  */
@@ -18,6 +21,7 @@
 import { BaseComponent } from '../BaseComponent.js';
 import { createSheet } from '../shared-styles.js';
 import { AssetPreloader } from '../../../utils/AssetPreloader.js';
+import { vfxHelper } from '../../../managers/VFXHelper.js';
 
 const APP_VERSION = import.meta.env.APP_VERSION || '0.0.0';
 
@@ -266,6 +270,24 @@ const styles = createSheet(/* css */ `
     0%   { opacity: 0; }
     100% { opacity: 1; }
   }
+  /* ── Reduced motion: everything static, plain fade on exit ─ */
+  .splash.calm .splash-title,
+  .splash.calm .splash-subtitle,
+  .splash.calm .term-line,
+  .splash.calm .splash-prompt.visible,
+  .splash.calm .splash-prompt-sub.visible {
+    opacity: 1;
+    transform: none;
+    animation: none;
+  }
+  .splash.calm.exit {
+    animation: splashFade 0.3s linear forwards;
+  }
+  @keyframes splashFade {
+    0%   { opacity: 1; }
+    100% { opacity: 0; }
+  }
+
   @keyframes splashExit {
     0%   { opacity: 1; filter: brightness(1); }
     40%  { opacity: 1; filter: brightness(2.5); }
@@ -330,6 +352,7 @@ class SplashScreen extends BaseComponent {
         if (!root) return;
         root.classList.add('show');
         root.classList.remove('exit');
+        root.classList.toggle('calm', vfxHelper.reducedMotion);
         this._engaged = false;
         this._assetsReady = false;
         this._userReady = false;
@@ -357,6 +380,11 @@ class SplashScreen extends BaseComponent {
         if (!terminal) return;
         terminal.innerHTML = '';
 
+        if (vfxHelper.reducedMotion) {
+            for (const line of BOOT_LINES) this._appendLine(line.text, line.cls);
+            return;
+        }
+
         for (const line of BOOT_LINES) {
             const tid = /** @type {any} */ (setTimeout(() => {
                 this._appendLine(line.text, line.cls);
@@ -474,7 +502,7 @@ class SplashScreen extends BaseComponent {
     _exit() {
         const root = this._$('.splash');
         root?.classList.add('exit');
-        const exitDuration = 600;
+        const exitDuration = root?.classList.contains('calm') ? 300 : 600;
         setTimeout(() => {
             this.hide();
             this._emit('splash-complete');
@@ -1,5 +1,5 @@
 /**
- * @fileoverview <start-screen> — initial menu screen with difficulty selector.
+ * @fileoverview <start-screen> — initial menu screen with difficulty and arena selectors.
  *
  * Public API:
  *   setLastRunStats({ lastWave, lastScore, bestWave, bestScore })
@@ -8,19 +8,28 @@
  *   showContinueError(message)
  *   getSelectedDifficulty() → string
  *   setDifficulty(difficulty)
+ *   getSelectedArena() → string
+ *   setArena(arena)
+ *   setChallenges({ daily, weekly }) — current challenge rules (null hides a button)
+ *   showChallengeError(message)
  *   show() / hide()
  *
  * Events (composed, bubbling):
  *   'start-game'         — "Click to Start" button clicked
+ *   'start-boss-rush'    — "Boss Rush" button clicked (every boss back-to-back)
  *   'continue-game'      — "Continue" button clicked (spends 1 credit)
  *   'buy-credits'        — "Buy Credits" button clicked
  *   'settings-click'     — "Settings" button clicked
  *   'difficulty-change'  — difficulty option clicked, detail: { difficulty }
+ *   'arena-change'       — arena layout option clicked, detail: { arena }
+ *   'start-challenge'    — Daily/Weekly Siege button clicked, detail: { kind }
  */
 
 import { BaseComponent } from '../BaseComponent.js';
 import { overlayStyles, createSheet } from '../shared-styles.js';
 import { GameConfig } from '../../../config/GameConfig.js';
+import { ASCENSION_POOL } from '../../../config/SkillConfig.js';
+import { ARENA_LAYOUTS, DEFAULT_ARENA_LAYOUT } from '../../../config/ArenaConfig.js';
 import '../hud/HudSettings.js';
 
 const RUN_DIFFICULTY_VALUES = new Set(['easy', 'normal', 'hard']);
@@ -31,6 +40,11 @@ function normalizeDifficulty(value) {
     return RUN_DIFFICULTY_VALUES.has(value) ? value : 'normal';
 }
 
+/** @param {string} value @returns {string} */
+function normalizeArena(value) {
+    return Object.prototype.hasOwnProperty.call(ARENA_LAYOUTS, value) ? value : DEFAULT_ARENA_LAYOUT;
+}
+
 const styles = createSheet(/* css */ `
   :host { display: contents; }
   /* Override overlay ::before for start-screen background image */
@@ -117,7 +131,7 @@ const styles = createSheet(/* css */ `
     font-size: clamp(13px, 2vw, 16px);
     color: rgba(255, 255, 255, 0.78);
   }
-  .start-difficulty-row {
+  .start-choice-row {
     display: flex;
     align-items: center;
     gap: var(--spacing-md);
@@ -127,7 +141,10 @@ const styles = createSheet(/* css */ `
     flex-wrap: wrap;
     justify-content: center;
   }
-  .start-difficulty-options {
+  .start-choice-row + .start-choice-row {
+    margin-top: 0;
+  }
+  .start-choice-options {
     display: inline-flex;
     gap: var(--spacing-xs);
     padding: 4px;
@@ -136,7 +153,7 @@ const styles = createSheet(/* css */ `
     background: rgba(0, 0, 0, 0.45);
     box-shadow: 0 0 10px rgba(0, 255, 255, 0.2);
   }
-  .start-difficulty-option {
+  .start-choice-option {
     min-width: 72px;
     margin: 0 !important;
     padding: 8px 12px !important;
@@ -148,13 +165,13 @@ const styles = createSheet(/* css */ `
     text-transform: none !important;
     letter-spacing: 0 !important;
   }
-  .start-difficulty-option::before { display: none; }
-  .start-difficulty-option:hover {
+  .start-choice-option::before { display: none; }
+  .start-choice-option:hover {
     animation: none !important;
     border-color: var(--color-secondary-neon) !important;
     box-shadow: 0 0 10px rgba(255, 45, 236, 0.35) !important;
   }
-  .start-difficulty-option.active {
+  .start-choice-option.active {
     border-color: var(--color-primary-neon) !important;
     background: rgba(0, 255, 255, 0.14) !important;
     box-shadow: 0 0 12px rgba(0, 255, 255, 0.45) !important;
@@ -243,6 +260,30 @@ const styles = createSheet(/* css */ `
       0 0 16px rgba(255, 45, 236, 0.52),
       0 0 20px rgba(0, 255, 255, 0.2);
   }
+  .challenge-row {
+    display: flex;
+    flex-direction: column;
+    align-items: center;
+    gap: var(--spacing-xs);
+  }
+  .challenge-buttons {
+    display: flex;
+    flex-wrap: wrap;
+    justify-content: center;
+    gap: var(--spacing-sm);
+  }
+  .challenge-rules {
+    font-size: 11px;
+    color: #aaa;
+    text-align: center;
+  }
+  .challenge-rules strong { color: var(--color-accent-yellow); font-weight: normal; }
+  .challenge-error {
+    color: var(--color-accent-red);
+    font-size: 12px;
+    font-family: var(--font-pixel);
+    display: none;
+  }
   .credit-badge {
     display: inline-block;
     font-family: var(--font-pixel);
@@ -346,16 +387,16 @@ const styles = createSheet(/* css */ `
     .menu-objective {
       font-size: 13px;
     }
-    .start-difficulty-row {
+    .start-choice-row {
       justify-content: flex-start;
       width: 100%;
       font-size: 14px;
     }
-    .start-difficulty-options {
+    .start-choice-options {
       width: 100%;
       justify-content: space-between;
     }
-    .start-difficulty-option {
+    .start-choice-option {
       flex: 1;
       min-width: 0;
       padding: 8px 6px !important;
@@ -419,16 +460,26 @@ class StartScreen extends BaseComponent {
               <h1>NEON SIEGE</h1>
               <p class="menu-subtitle">Auto-target turret defense with arcade neon chaos</p>
               <p class="menu-objective">Survive 30 waves, defeat 6 bosses, and build your skill path</p>
-              <div class="start-difficulty-row" aria-label="Difficulty">
+              <div class="start-choice-row" aria-label="Difficulty">
                 <span>Difficulty</span>
-                <div class="start-difficulty-options" id="difficultyGroup" role="radiogroup" aria-label="Select difficulty">
-                  <button type="button" role="radio" class="start-difficulty-option" data-difficulty="easy" aria-checked="false" tabindex="-1">Easy</button>
-                  <button type="button" role="radio" class="start-difficulty-option active" data-difficulty="normal" aria-checked="true" tabindex="0">Normal</button>
-                  <button type="button" role="radio" class="start-difficulty-option" data-difficulty="hard" aria-checked="false" tabindex="-1">Hard</button>
+                <div class="start-choice-options" id="difficultyGroup" role="radiogroup" aria-label="Select difficulty">
+                  <button type="button" role="radio" class="start-choice-option" data-value="easy" aria-checked="false" tabindex="-1">Easy</button>
+                  <button type="button" role="radio" class="start-choice-option active" data-value="normal" aria-checked="true" tabindex="0">Normal</button>
+                  <button type="button" role="radio" class="start-choice-option" data-value="hard" aria-checked="false" tabindex="-1">Hard</button>
+                </div>
+              </div>
+              <div class="start-choice-row" aria-label="Arena">
+                <span>Arena</span>
+                <div class="start-choice-options" id="arenaGroup" role="radiogroup" aria-label="Select arena">
+                  ${Object.entries(ARENA_LAYOUTS).map(([key, layout]) => {
+                      const active = key === DEFAULT_ARENA_LAYOUT;
+                      return `<button type="button" role="radio" class="start-choice-option${active ? ' active' : ''}" data-value="${key}" aria-checked="${active}" tabindex="${active ? 0 : -1}">${layout.label}</button>`;
+                  }).join('')}
                 </div>
               </div>
               <div class="primary-actions">
                 <neon-button id="startBtn" variant="primary">START RUN</neon-button>
+                <neon-button id="bossRushBtn">BOSS RUSH</neon-button>
                 <div class="continue-section">
                   <neon-button id="continueBtn" style="display: none;">CONTINUE</neon-button>
                   <span id="creditBadge" class="credit-badge"></span>
@@ -436,6 +487,14 @@ class StartScreen extends BaseComponent {
                   <neon-button id="buyBtn" style="display: none;">BUY CONTINUES</neon-button>
                 </div>
               </div>
+              <div id="challengeRow" class="challenge-row" style="display: none;">
+                <div class="challenge-buttons">
+                  <neon-button id="dailyBtn" class="challenge-btn" data-kind="daily" style="display: none;">DAILY SIEGE</neon-button>
+                  <neon-button id="weeklyBtn" class="challenge-btn" data-kind="weekly" style="display: none;">WEEKLY SIEGE</neon-button>
+                </div>
+                <div id="challengeRules" class="challenge-rules"></div>
+                <span id="challengeError" class="challenge-error"></span>
+              </div>
               <div id="lastRunStats" class="last-run-stats" style="display: none;">
                 <div class="last-run-row"><span>Last Run: </span><span>Wave <span id="lastRunWave">0</span> — <span id="lastRunScore">0</span> pts</span></div>
                 <div class="last-run-row best"><span>Best: </span><span>Wave <span id="bestWave">0</span> — <span id="bestScore">0</span> pts</span></div>
@@ -454,12 +513,25 @@ class StartScreen extends BaseComponent {
         `, overlayStyles, styles);
 
         this._$('#startBtn').addEventListener('click', () => this._emit('start-game'));
+        this._$('#bossRushBtn').addEventListener('click', () => this._emit('start-boss-rush'));
         this._$('#continueBtn').addEventListener('click', () => this._emit('continue-game'));
         this._$('#buyBtn').addEventListener('click', () => this._emit('buy-credits'));
         this._$('#leaderboardBtn').addEventListener('click', () => this._emit('show-leaderboard'));
         this._$('#achievementsBtn').addEventListener('click', () => this._emit('show-achievements'));
         this._$('#loginBtn').addEventListener('click', () => this._emit('show-login'));
-        this._setupDifficultyControls();
+        this._$$('.challenge-btn').forEach(btn => {
+            btn.addEventListener('click', () => this._emit('start-challenge', { kind: btn.dataset.kind }));
+        });
+        this._setupChoiceGroup('#difficultyGroup', (value) => {
+            const difficulty = normalizeDifficulty(value);
+            this.setDifficulty(difficulty);
+            this._emit('difficulty-change', { difficulty });
+        });
+        this._setupChoiceGroup('#arenaGroup', (value) => {
+            const arena = normalizeArena(value);
+            this.setArena(arena);
+            this._emit('arena-change', { arena });
+        });
         this._syncVersionBadge();
     }
 
@@ -483,18 +555,21 @@ class StartScreen extends BaseComponent {
         }
       }
 
-    /** @private */
-    _setupDifficultyControls() {
-        const root = this._$('#difficultyGroup');
+    /**
+     * Click and arrow-key selection for a radiogroup of option buttons.
+     * @private
+     * @param {string} selector - The radiogroup element
+     * @param {(value: string) => void} onSelect - Called with the picked option's data-value
+     */
+    _setupChoiceGroup(selector, onSelect) {
+        const root = this._$(selector);
         if (!root) return;
 
         root.addEventListener('click', (e) => {
             const target = /** @type {HTMLElement} */ (e.target);
-            const optionButton = /** @type {HTMLButtonElement|null} */ (target.closest('.start-difficulty-option'));
+            const optionButton = /** @type {HTMLButtonElement|null} */ (target.closest('.start-choice-option'));
             if (!optionButton) return;
-            const difficulty = normalizeDifficulty(optionButton.dataset.difficulty || 'normal');
-            this.setDifficulty(difficulty);
-            this._emit('difficulty-change', { difficulty });
+            onSelect(optionButton.dataset.value || '');
         });
 
         root.addEventListener('keydown', (e) => {
@@ -505,10 +580,10 @@ class StartScreen extends BaseComponent {
             if (!isForward && !isBackward && !isFirst && !isLast) return;
 
             const target = /** @type {HTMLElement} */ (e.target);
-            const options = Array.from(root.querySelectorAll('.start-difficulty-option'));
+            const options = Array.from(root.querySelectorAll('.start-choice-option'));
             if (!options.length) return;
 
-            const currentButton = target.closest('.start-difficulty-option');
+            const currentButton = target.closest('.start-choice-option');
             const currentIndex = Math.max(0, options.indexOf(currentButton || options[0]));
             let nextIndex = currentIndex;
             if (isFirst) nextIndex = 0;
@@ -517,30 +592,48 @@ class StartScreen extends BaseComponent {
             else if (isBackward) nextIndex = (currentIndex - 1 + options.length) % options.length;
 
             const nextButton = /** @type {HTMLButtonElement} */ (options[nextIndex]);
-            const nextDifficulty = normalizeDifficulty(nextButton.dataset.difficulty || 'normal');
             e.preventDefault();
-            this.setDifficulty(nextDifficulty);
+            onSelect(nextButton.dataset.value || '');
             nextButton.focus();
-            this._emit('difficulty-change', { difficulty: nextDifficulty });
+        });
+    }
+
+    /**
+     * Mark the option with the given value as the group's selection.
+     * @private
+     * @param {string} selector - The radiogroup element
+     * @param {string} value
+     */
+    _selectChoice(selector, value) {
+        const options = this._$$(`${selector} .start-choice-option`);
+        options.forEach(option => {
+            const isActive = option.dataset.value === value;
+            option.classList.toggle('active', isActive);
+            option.setAttribute('aria-checked', isActive ? 'true' : 'false');
+            option.tabIndex = isActive ? 0 : -1;
         });
     }
 
     /** @returns {string} */
     getSelectedDifficulty() {
-        const active = this._$('.start-difficulty-option.active');
-        return normalizeDifficulty(active?.dataset?.difficulty || 'normal');
+        const active = this._$('#difficultyGroup .start-choice-option.active');
+        return normalizeDifficulty(active?.dataset?.value || 'normal');
     }
 
     /** @param {string} difficulty */
     setDifficulty(difficulty) {
-        const normalized = normalizeDifficulty(difficulty);
-        const options = this._$$('.start-difficulty-option');
-        options.forEach(option => {
-            const isActive = normalizeDifficulty(option.dataset.difficulty || '') === normalized;
-            option.classList.toggle('active', isActive);
-            option.setAttribute('aria-checked', isActive ? 'true' : 'false');
-            option.tabIndex = isActive ? 0 : -1;
-        });
+        this._selectChoice('#difficultyGroup', normalizeDifficulty(difficulty));
+    }
+
+    /** @returns {string} Arena layout key (config/ArenaConfig.js ARENA_LAYOUTS) */
+    getSelectedArena() {
+        const active = this._$('#arenaGroup .start-choice-option.active');
+        return normalizeArena(active?.dataset?.value || DEFAULT_ARENA_LAYOUT);
+    }
+
+    /** @param {string} arena */
+    setArena(arena) {
+        this._selectChoice('#arenaGroup', normalizeArena(arena));
     }
 
     /** @param {{ lastWave?: number, lastScore?: number, bestWave?: number, bestScore?: number }} data */
@@ -645,6 +738,64 @@ class StartScreen extends BaseComponent {
         el.style.display = 'block';
     }
 
+    /**
+     * Show the current daily/weekly challenges. Pass null for one that is
+     * unavailable (signed out, API unreachable).
+     * @param {{ daily: any|null, weekly: any|null }} challenges
+     */
+    setChallenges({ daily, weekly }) {
+        const row = this._$('#challengeRow');
+        if (!row) return;
+
+        const rules = [];
+        for (const [kind, challenge] of [['daily', daily], ['weekly', weekly]]) {
+            const btn = this._$(`#${kind}Btn`);
+            if (!challenge) {
+                btn.style.display = 'none';
+                continue;
+            }
+
+            const attemptsLeft = challenge.maxAttempts - (challenge.attemptsUsed ?? 0);
+            btn.textContent = `${kind.toUpperCase()} SIEGE — ${attemptsLeft}/${challenge.maxAttempts} LEFT`;
+            btn.toggleAttribute('disabled', attemptsLeft <= 0);
+            btn.style.display = '';
+            rules.push(`<div>${this._describeChallenge(challenge)}</div>`);
+        }
+
+        this._$('#challengeRules').innerHTML = rules.join('');
+        this._$('#challengeError').style.display = 'none';
+        row.style.display = daily || weekly ? '' : 'none';
+    }
+
+    /**
+     * @param {any} challenge
+     * @returns {string}
+     * @private
+     */
+    _describeChallenge(challenge) {
+        const modifiers = challenge.waveModifiers
+            .map(key => GameConfig.WAVE_MODIFIERS[key]?.name)
+            .filter(Boolean);
+        const ascensions = challenge.startingAscensions
+            .map(id => ASCENSION_POOL.find(m => m.id === id)?.name)
+            .filter(Boolean);
+        const label = challenge.kind === 'weekly' ? 'Weekly' : 'Daily';
+        return `<strong>${label}:</strong> ${normalizeDifficulty(challenge.difficulty).toUpperCase()}`
+            + ` · Modifiers: ${modifiers.join(', ') || 'none'}`
+            + ` · Starts with: ${ascensions.join(', ') || 'nothing'}`;
+    }
+
+    /**
+     * Show an error message under the challenge buttons.
+     * @param {string} message
+     */
+    showChallengeError(message) {
+        const el = this._$('#challengeError');
+        if (!el) return;
+        el.textContent = message;
+        el.style.display = 'block';
+    }
+
     /** @param {{ display_name: string, auth_provider?: string }|null} user */
     setAuthUser(user) {
         const btn = this._$('#loginBtn');
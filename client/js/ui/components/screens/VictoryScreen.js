@@ -1,14 +1,16 @@
 /**
- * @fileoverview <victory-screen> — wave-30 victory overlay.
+ * @fileoverview <victory-screen> — wave-30 (or Boss Rush) victory overlay.
  *
  * Public API:
  *   setStats({ wave, score, combo, level, kills })
  *   setNewRecord(bool)
+ *   setBossRush(splits|null) — per-boss splits of a Boss Rush run; null for the campaign
  *   show() / hide()
  *
  * Events (composed, bubbling):
  *   'continue-endless'  — "Continue to Endless" button clicked
  *   'return-to-menu'    — "Return to Menu" button clicked
+ *   'watch-replay'      — "Watch Replay" button clicked
  */
 
 import { BaseComponent } from '../BaseComponent.js';
@@ -42,6 +44,11 @@ const styles = createSheet(/* css */ `
     color: #ffcc00;
     text-shadow: 0 0 4px #ffcc00;
   }
+  .boss-rush-splits {
+    width: min(420px, 90%);
+    margin-bottom: var(--spacing-md);
+    font-size: 13px;
+  }
   @keyframes victoryGlow {
     from {
       text-shadow:
@@ -64,6 +71,7 @@ const styles = createSheet(/* css */ `
       radial-gradient(circle at 30% 70%, rgba(0, 255, 102, 0.1) 0%, transparent 50%),
       radial-gradient(circle at 70% 20%, rgba(153, 0, 255, 0.1) 0%, transparent 50%);
     animation: screenOverlay 8s ease-in-out infinite alternate;
+    animation-play-state: var(--motion-play-state, running);
   }
 `);
 
@@ -72,23 +80,26 @@ class VictoryScreen extends BaseComponent {
         this._render(/* html */ `
             <div class="overlay">
                 <h1 class="victory-title">VICTORY!</h1>
-                <p class="victory-subtitle">You conquered all 30 waves!</p>
+                <p id="subtitle" class="victory-subtitle">You conquered all 30 waves!</p>
                 <div id="newRecord" class="new-record" style="display: none;">NEW PERSONAL BEST!</div>
                 <div class="game-over-stats victory-stats">
-                    <div class="go-stat-row"><span>Waves Cleared</span><span id="wave">30</span></div>
+                    <div class="go-stat-row"><span id="waveLabel">Waves Cleared</span><span id="wave">30</span></div>
                     <div class="go-stat-row"><span>Final Score</span><span id="score">0</span></div>
                     <div class="go-stat-row"><span>Best Combo</span><span id="combo">0</span></div>
                     <div class="go-stat-row"><span>Level Reached</span><span id="level">1</span></div>
                     <div class="go-stat-row"><span>Enemies Defeated</span><span id="kills">0</span></div>
                 </div>
+                <div id="splits" class="game-over-stats victory-stats boss-rush-splits" style="display: none;"></div>
                 <neon-button id="continueBtn" variant="primary">CONTINUE TO ENDLESS</neon-button>
                 <neon-button id="leaderboardBtn">VIEW LEADERBOARD</neon-button>
+                <neon-button id="replayBtn">WATCH REPLAY</neon-button>
                 <neon-button id="menuBtn">RETURN TO MENU</neon-button>
             </div>
         `, overlayStyles, styles);
 
         this._$('#continueBtn').addEventListener('click', () => this._emit('continue-endless'));
         this._$('#leaderboardBtn').addEventListener('click', () => this._emit('show-leaderboard'));
+        this._$('#replayBtn').addEventListener('click', () => this._emit('watch-replay'));
         this._$('#menuBtn').addEventListener('click', () => this._emit('return-to-menu'));
     }
 
@@ -101,6 +112,26 @@ class VictoryScreen extends BaseComponent {
         this._$('#kills').textContent = kills.toString();
     }
 
+    /**
+     * Switch between the campaign and Boss Rush layouts. Boss Rush lists each
+     * boss's kill time, damage taken and score, and has no endless to continue into.
+     * @param {Array<{bossType: string|null, timeMs: number, damageTaken: number, score: number}>|null} splits
+     */
+    setBossRush(splits) {
+        const isBossRush = Array.isArray(splits);
+        this._$('#subtitle').textContent = isBossRush ? 'You defeated every boss!' : 'You conquered all 30 waves!';
+        this._$('#waveLabel').textContent = isBossRush ? 'Bosses Defeated' : 'Waves Cleared';
+        this._$('#continueBtn').style.display = isBossRush ? 'none' : '';
+
+        const splitsEl = this._$('#splits');
+        splitsEl.style.display = isBossRush ? '' : 'none';
+        splitsEl.innerHTML = (splits || []).map(split => {
+            const name = (split.bossType || 'Boss').replace(/([a-z])([A-Z])/g, '$1 $2');
+            const time = (split.timeMs / 1000).toFixed(1);
+            return `<div class="go-stat-row"><span>${name}</span><span>${time}s · -${split.damageTaken} HP · +${split.score.toLocaleString()}</span></div>`;
+        }).join('');
+    }
+
     /** @param {boolean} isNew */
     setNewRecord(isNew) {
         const el = this._$('#newRecord');
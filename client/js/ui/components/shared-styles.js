@@ -96,6 +96,13 @@ export const sharedStyles = createSheet(/* css */ `
     user-select: none;
     line-height: 1.4;
   }
+
+  /* === Gamepad focus marker (GamepadNavigator); neon-button draws its own ring === */
+  [data-gamepad-focus]:not(neon-button) {
+    outline: 2px solid var(--color-primary-neon);
+    outline-offset: 3px;
+    box-shadow: 0 0 12px rgba(0, 255, 255, 0.6);
+  }
 `);
 
 // ---------------------------------------------------------------------------
@@ -134,6 +141,7 @@ export const overlayStyles = createSheet(/* css */ `
       radial-gradient(circle at 80% 80%, rgba(255, 45, 236, 0.1) 0%, transparent 50%);
     z-index: -1;
     animation: screenOverlay 10s ease-in-out infinite alternate;
+    animation-play-state: var(--motion-play-state, running);
   }
   /* Overlay Typography */
   .overlay h1 {
@@ -146,6 +154,7 @@ export const overlayStyles = createSheet(/* css */ `
     font-size: 48px;
     margin-bottom: var(--spacing-xxl);
     animation: neonFlicker 2s infinite alternate;
+    animation-play-state: var(--motion-play-state, running);
   }
   .overlay h2 {
     color: var(--color-primary-neon);
@@ -1,8 +1,9 @@
 /**
- * @fileoverview Shared area-of-effect damage utility.
+ * @fileoverview Shared area-of-effect damage and knockback utilities.
  *
  * Replaces the duplicated AOE damage loop found in Projectile.explode(),
- * VolatileKillsPlugin, MeltdownPlugin, and NeonNovaPlugin.
+ * VolatileKillsPlugin, MeltdownPlugin, and NeonNovaPlugin. The knockback
+ * helper backs the Sentinel's shield bash, repulsor and pulse skills.
  */
 
 /**
@@ -56,3 +57,31 @@ export function dealAreaDamage(enemies, cx, cy, radius, opts = {}) {
 
     return hits;
 }
+
+/**
+ * Push every enemy within a radius directly away from the centre.
+ *
+ * @param {Object[]} enemies  - Live enemies array
+ * @param {number}   cx       - Push origin X
+ * @param {number}   cy       - Push origin Y
+ * @param {number}   radius   - Affected radius (px)
+ * @param {number}   distance - Push distance (px), reduced by each enemy's knockbackResistance
+ * @returns {Object[]} Enemies that were pushed
+ */
+export function applyAreaKnockback(enemies, cx, cy, radius, distance) {
+    const radiusSq = radius * radius;
+    const pushed = [];
+
+    for (const enemy of enemies) {
+        if (enemy.dying || enemy.health <= 0) continue;
+
+        const dx = enemy.x - cx;
+        const dy = enemy.y - cy;
+        if (dx * dx + dy * dy > radiusSq) continue;
+
+        enemy.applyKnockback(cx, cy, distance);
+        pushed.push(enemy);
+    }
+
+    return pushed;
+}
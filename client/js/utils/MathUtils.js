@@ -90,6 +90,29 @@ export class MathUtils {
         return Math.sqrt(dx * dx + dy * dy);
     }
     
+    /**
+     * Calculates the shortest distance from a point to a line segment
+     * 
+     * @param {number} px - Point x coordinate
+     * @param {number} py - Point y coordinate
+     * @param {number} x1 - Segment start x coordinate
+     * @param {number} y1 - Segment start y coordinate
+     * @param {number} x2 - Segment end x coordinate
+     * @param {number} y2 - Segment end y coordinate
+     * @returns {number} Distance to the closest point on the segment
+     * 
+     * @example
+     * // Is the player touching a beam?
+     * const hit = MathUtils.distanceToSegment(player.x, player.y, beam.x1, beam.y1, beam.x2, beam.y2) < player.radius;
+     */
+    static distanceToSegment(px, py, x1, y1, x2, y2) {
+        const dx = x2 - x1;
+        const dy = y2 - y1;
+        const lengthSq = dx * dx + dy * dy;
+        const t = lengthSq > 0 ? this.clamp(((px - x1) * dx + (py - y1) * dy) / lengthSq, 0, 1) : 0;
+        return this.distance(px, py, x1 + dx * t, y1 + dy * t);
+    }
+    
     /**
      * Calculates angle from first point to second point
      * 
@@ -238,6 +261,7 @@ export class MathUtils {
      * 
      * @param {number} min - Minimum value (inclusive)
      * @param {number} max - Maximum value (exclusive)
+     * @param {() => number} [rand=Math.random] - Source of [0, 1) floats (e.g. a SeededRandom stream's `next`)
      * @returns {number} Random number in range [min, max)
      * 
      * @example
@@ -249,8 +273,8 @@ export class MathUtils {
      * const speed = MathUtils.random(50, 150);
      * const angle = MathUtils.random(0, MathUtils.TAU);
      */
-    static random(min, max) {
-        return Math.random() * (max - min) + min;
+    static random(min, max, rand = Math.random) {
+        return rand() * (max - min) + min;
     }
     
     /**
@@ -258,6 +282,7 @@ export class MathUtils {
      * 
      * @param {number} min - Minimum value (inclusive)
      * @param {number} max - Maximum value (inclusive)
+     * @param {() => number} [rand=Math.random] - Source of [0, 1) floats (e.g. a SeededRandom stream's `next`)
      * @returns {number} Random integer in range [min, max]
      * 
      * @example
@@ -267,8 +292,8 @@ export class MathUtils {
      * // Random damage variation
      * const damage = baseDamage + MathUtils.randomInt(-2, 2);
      */
-    static randomInt(min, max) {
-        return Math.floor(Math.random() * (max - min + 1)) + min;
+    static randomInt(min, max, rand = Math.random) {
+        return Math.floor(rand() * (max - min + 1)) + min;
     }
     
     /**
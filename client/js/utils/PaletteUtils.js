@@ -0,0 +1,183 @@
+/**
+ * @fileoverview Accessibility palette lookups and high-contrast drawing cues.
+ *
+ * Render code asks here for the colors that carry meaning (enemy kind, loot
+ * rarity, boss telegraphs) instead of hard-coding them, so the colorblind
+ * palettes in GameConfig.ACCESSIBILITY apply everywhere. The drawing helpers
+ * add shape and pattern cues used by high-contrast mode; callers check
+ * isHighContrast() first.
+ *
+ * Both options are read from game.runtimeSettings (`colorPalette`,
+ * `highContrast`) and never touch the simulation.
+ */
+
+import { GameConfig } from '../config/GameConfig.js';
+
+const PALETTES = GameConfig.ACCESSIBILITY.PALETTES;
+
+/**
+ * @param {Object|null|undefined} game
+ * @returns {Object|null} Active palette, or null for the default neon colors
+ */
+function getPalette(game) {
+    return PALETTES[game?.runtimeSettings?.colorPalette] || null;
+}
+
+/**
+ * @param {Object|null|undefined} game
+ * @param {string} kind - enemy.kind
+ * @param {string} fallback - The enemy's own color
+ * @returns {string}
+ */
+export function getEnemyColor(game, kind, fallback) {
+    return getPalette(game)?.enemy[kind] || fallback;
+}
+
+/**
+ * @param {Object|null|undefined} game
+ * @param {string} rarity - 'common' | 'uncommon' | 'rare' | 'legendary'
+ * @param {string} fallback
+ * @returns {string}
+ */
+export function getRarityColor(game, rarity, fallback) {
+    return getPalette(game)?.rarity[rarity] || fallback;
+}
+
+/**
+ * Color for boss attack warnings (charge lines, danger zones).
+ * @param {Object|null|undefined} game
+ * @param {string} fallback - The boss's own telegraph color
+ * @returns {string}
+ */
+export function getTelegraphColor(game, fallback) {
+    return getPalette(game)?.telegraph || fallback;
+}
+
+/**
+ * @param {Object|null|undefined} game
+ * @returns {boolean}
+ */
+export function isHighContrast(game) {
+    return !!game?.runtimeSettings?.highContrast;
+}
+
+/**
+ * Stroke the current path twice — black underneath, white on top — so the
+ * edge reads against any background.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {number} [width=2] - Width of the white line
+ */
+export function strokeContrastPath(ctx, width = 2) {
+    ctx.strokeStyle = '#000';
+    ctx.lineWidth = width + 3;
+    ctx.stroke();
+    ctx.strokeStyle = '#fff';
+    ctx.lineWidth = width;
+    ctx.stroke();
+}
+
+/**
+ * Draw the glyph that identifies an enemy kind without relying on color:
+ * a chevron for fast, a square for tank, three spokes for splitter.
+ * Basic enemies stay plain; healers, snipers, shield-bearers, bombers,
+ * summoners and phase-shifters draw their own marks.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {string} kind
+ * @param {number} x
+ * @param {number} y
+ * @param {number} radius - Body radius
+ */
+export function drawKindGlyph(ctx, kind, x, y, radius) {
+    const r = radius * 0.45;
+    ctx.beginPath();
+    switch (kind) {
+        case 'fast':
+            ctx.moveTo(x - r * 0.6, y - r);
+            ctx.lineTo(x + r * 0.6, y);
+            ctx.lineTo(x - r * 0.6, y + r);
+            break;
+        case 'tank':
+            ctx.rect(x - r * 0.8, y - r * 0.8, r * 1.6, r * 1.6);
+            break;
+        case 'splitter':
+            for (let i = 0; i < 3; i++) {
+                const angle = (Math.PI * 2 / 3) * i - Math.PI / 2;
+                ctx.moveTo(x, y);
+                ctx.lineTo(x + Math.cos(angle) * r, y + Math.sin(angle) * r);
+            }
+            break;
+        default:
+            return;
+    }
+    strokeContrastPath(ctx, 2);
+}
+
+/**
+ * Mark a circular danger zone with a dashed black/white double ring and
+ * diagonal hatching, so it stays recognizable whatever its fill color.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {number} x
+ * @param {number} y
+ * @param {number} radius
+ * @param {Object} [opts]
+ * @param {boolean} [opts.hatch=true] - Hatch the interior (off for very large fields)
+ * @param {number} [opts.alpha=1] - Overall opacity of the pattern
+ */
+export function drawHazardCircle(ctx, x, y, radius, { hatch = true, alpha = 1 } = {}) {
+    ctx.save();
+    ctx.shadowBlur = 0;
+    ctx.globalAlpha = alpha;
+
+    ctx.beginPath();
+    ctx.arc(x, y, radius, 0, Math.PI * 2);
+    ctx.strokeStyle = '#000';
+    ctx.lineWidth = 5;
+    ctx.stroke();
+    ctx.setLineDash([10, 8]);
+    ctx.strokeStyle = '#fff';
+    ctx.lineWidth = 2;
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    if (hatch) {
+        ctx.clip();
+        ctx.globalAlpha = alpha * 0.35;
+        ctx.strokeStyle = '#fff';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        const spacing = 12;
+        for (let offset = -radius * 2; offset <= radius * 2; offset += spacing) {
+            ctx.moveTo(x + offset - radius, y - radius);
+            ctx.lineTo(x + offset + radius, y + radius);
+        }
+        ctx.stroke();
+    }
+
+    ctx.restore();
+}
+
+/**
+ * Mark a line attack (laser, charge path) with a black-edged dashed stripe.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {number} x1
+ * @param {number} y1
+ * @param {number} x2
+ * @param {number} y2
+ * @param {number} [width=3]
+ */
+export function drawHazardLine(ctx, x1, y1, x2, y2, width = 3) {
+    ctx.save();
+    ctx.shadowBlur = 0;
+    ctx.globalAlpha = 1;
+    ctx.beginPath();
+    ctx.moveTo(x1, y1);
+    ctx.lineTo(x2, y2);
+    ctx.strokeStyle = '#000';
+    ctx.lineWidth = width + 4;
+    ctx.stroke();
+    ctx.setLineDash([12, 8]);
+    ctx.strokeStyle = '#fff';
+    ctx.lineWidth = width;
+    ctx.stroke();
+    ctx.restore();
+}
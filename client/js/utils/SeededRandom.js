@@ -0,0 +1,251 @@
+/**
+ * @fileoverview Seedable pseudo-random number generation for deterministic runs
+ *
+ * Gameplay randomness (spawns, loot, crits, ascension picks, boss AI) is drawn
+ * from named streams owned by a single {@link RngService} on the Game instance.
+ * Every stream is derived from the run seed, so the same seed and the same
+ * inputs always reproduce the same run. Each stream advances independently:
+ * adding a loot roll never shifts the next spawn angle.
+ *
+ * Cosmetic randomness (particle jitter, screen shake, renderer flicker) uses
+ * the shared {@link cosmeticRng} stream instead, so visual effects can never
+ * desync gameplay — even when the performance profile changes how many
+ * particles are emitted.
+ *
+ * @example
+ * const rng = new RngService(1234);
+ * const angle = rng.spawns.range(0, MathUtils.TAU);
+ * if (rng.crits.chance(0.15)) { ... }
+ * const picks = rng.ascension.shuffle([...pool]).slice(0, 3);
+ *
+ * // Cosmetic only
+ * const jitter = cosmeticRng.range(-0.25, 0.25);
+ */
+
+/**
+ * Named gameplay streams. Values double as save/replay keys, so never rename one.
+ * @readonly
+ * @enum {string}
+ */
+export const RNG_STREAMS = Object.freeze({
+    /** Enemy/boss spawn positions, enemy type rolls, wave modifiers, spawn timing */
+    SPAWNS: 'spawns',
+    /** Drop chance, drop table picks and reward amounts */
+    LOOT: 'loot',
+    /** Critical hits and on-hit proc chances (chain lightning, echo strike, meltdown) */
+    CRITS: 'crits',
+    /** Ascension option offers and per-run challenge selection */
+    ASCENSION: 'ascension',
+    /** Boss attack selection, teleports and split placement */
+    AI: 'ai',
+    /** Cosmetic effects only — never affects simulation state */
+    VFX: 'vfx',
+});
+
+/**
+ * Hash a string into a 32-bit unsigned integer (FNV-1a).
+ * Used to derive independent per-stream seeds from the run seed.
+ * @param {string} str
+ * @returns {number}
+ */
+function hashString(str) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Single deterministic stream (mulberry32). Fast, 32-bit state, good enough
+ * distribution for gameplay rolls and trivially serializable.
+ */
+export class SeededRandom {
+    /**
+     * @param {number} seed - 32-bit seed (non-integers are truncated)
+     */
+    constructor(seed) {
+        /** @type {number} Internal 32-bit state */
+        this.state = seed >>> 0;
+        // Bound so it can be passed where a Math.random-style function is expected
+        this.next = this.next.bind(this);
+    }
+
+    /**
+     * Next float in [0, 1) — drop-in replacement for Math.random().
+     * @returns {number}
+     */
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Float in [min, max).
+     * @param {number} min
+     * @param {number} max
+     * @returns {number}
+     */
+    range(min, max) {
+        return this.next() * (max - min) + min;
+    }
+
+    /**
+     * Integer in [min, max] (inclusive).
+     * @param {number} min
+     * @param {number} max
+     * @returns {number}
+     */
+    int(min, max) {
+        return Math.floor(this.next() * (max - min + 1)) + min;
+    }
+
+    /**
+     * Returns true with the given probability.
+     * @param {number} probability - 0..1
+     * @returns {boolean}
+     */
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    /**
+     * Random element of an array, or undefined when empty.
+     * @template T
+     * @param {T[]} array
+     * @returns {T|undefined}
+     */
+    pick(array) {
+        if (!array || array.length === 0) return undefined;
+        return array[Math.floor(this.next() * array.length)];
+    }
+
+    /**
+     * Unbiased in-place Fisher–Yates shuffle.
+     * @template T
+     * @param {T[]} array
+     * @returns {T[]} The same array, shuffled
+     */
+    shuffle(array) {
+        for (let i = array.length - 1; i > 0; i--) {
+            const j = Math.floor(this.next() * (i + 1));
+            const tmp = array[i];
+            array[i] = array[j];
+            array[j] = tmp;
+        }
+        return array;
+    }
+}
+
+/**
+ * Shared cosmetic stream. Seeded from the clock: visual jitter does not need
+ * to be reproducible, it only needs to stay out of the gameplay streams.
+ */
+export const cosmeticRng = new SeededRandom(Date.now());
+
+/**
+ * Owns the run seed and the named gameplay streams.
+ */
+export class RngService {
+    /**
+     * Generate a fresh 32-bit run seed.
+     * @returns {number}
+     */
+    static generateSeed() {
+        if (globalThis.crypto?.getRandomValues) {
+            return globalThis.crypto.getRandomValues(new Uint32Array(1))[0];
+        }
+        return Math.floor(Math.random() * 4294967296) >>> 0;
+    }
+
+    /**
+     * @param {number} [seed] - Run seed; a random one is generated if omitted
+     */
+    constructor(seed = RngService.generateSeed()) {
+        /** @type {number} */
+        this.seed = 0;
+        /** @type {Record<string, SeededRandom>} */
+        this._streams = {};
+        this.reseed(seed);
+    }
+
+    /**
+     * Reset every gameplay stream from a new run seed.
+     * @param {number} seed
+     */
+    reseed(seed) {
+        this.seed = seed >>> 0;
+        for (const name of Object.values(RNG_STREAMS)) {
+            if (name === RNG_STREAMS.VFX) continue;
+            this._streams[name] = new SeededRandom(this.seed ^ hashString(name));
+        }
+    }
+
+    /**
+     * Get a named stream.
+     * @param {string} name - One of {@link RNG_STREAMS}
+     * @returns {SeededRandom}
+     */
+    stream(name) {
+        if (name === RNG_STREAMS.VFX) return cosmeticRng;
+        const stream = this._streams[name];
+        if (!stream) {
+            throw new Error(`Unknown RNG stream: ${name}`);
+        }
+        return stream;
+    }
+
+    /** @returns {SeededRandom} */
+    get spawns() { return this._streams[RNG_STREAMS.SPAWNS]; }
+
+    /** @returns {SeededRandom} */
+    get loot() { return this._streams[RNG_STREAMS.LOOT]; }
+
+    /** @returns {SeededRandom} */
+    get crits() { return this._streams[RNG_STREAMS.CRITS]; }
+
+    /** @returns {SeededRandom} */
+    get ascension() { return this._streams[RNG_STREAMS.ASCENSION]; }
+
+    /** @returns {SeededRandom} */
+    get ai() { return this._streams[RNG_STREAMS.AI]; }
+
+    /** @returns {SeededRandom} */
+    get vfx() { return cosmeticRng; }
+
+    // ─── SAVE / RESTORE ──────────────────────────────────────────────────────────
+
+    /**
+     * Serializable seed + stream positions (cosmetic stream excluded).
+     * @returns {{seed: number, streams: Record<string, number>}}
+     */
+    getSaveState() {
+        /** @type {Record<string, number>} */
+        const streams = {};
+        for (const [name, stream] of Object.entries(this._streams)) {
+            streams[name] = stream.state;
+        }
+        return { seed: this.seed, streams };
+    }
+
+    /**
+     * Restore from {@link getSaveState}. Streams missing from the save
+     * (e.g. added in a later version) are derived fresh from the seed.
+     * @param {{seed: number, streams?: Record<string, number>}} state
+     * @returns {boolean} True if the state was applied
+     */
+    restoreFromSave(state) {
+        if (!state || !Number.isFinite(state.seed)) return false;
+        this.reseed(state.seed);
+        for (const [name, value] of Object.entries(state.streams || {})) {
+            if (this._streams[name] && Number.isFinite(value)) {
+                this._streams[name].state = value >>> 0;
+            }
+        }
+        return true;
+    }
+}
@@ -54,6 +54,21 @@ export const GAME_VOICE_MANIFEST = [
         voiceId: VOICE_AI,
         text: 'Maximum threat. Chrono Commander detected. Time distortions active. Stay focused.',
     },
+    {
+        key: 'boss_intro_mirror',
+        voiceId: VOICE_AI,
+        text: 'Warning. Mirror entity detected. It has copied your loadout. Expect your own tactics.',
+    },
+    {
+        key: 'boss_intro_swarm_mind',
+        voiceId: VOICE_AI,
+        text: 'Alert. Swarm Mind detected. Multiple linked signatures. Damage to any body reaches the core.',
+    },
+    {
+        key: 'boss_intro_grid_warden',
+        voiceId: VOICE_AI,
+        text: 'Caution. Grid Warden online. Arena lockdown in progress. Watch the lanes.',
+    },
 
     // ── Game Over (Narrator voice) ───────────────────────────────────────
     {
@@ -4,7 +4,7 @@
 # Uses generate_image.sh to create neon cyberpunk-style icons via Gemini API
 #
 # Usage: ./scripts/generate_all_skill_icons.sh
-# Note: This calls the Gemini API ~31 times. Each call costs ~$0.04 (Gemini 3 Pro).
+# Note: This calls the Gemini API ~41 times. Each call costs ~$0.04 (Gemini 3 Pro).
 
 set -e
 
@@ -19,7 +19,7 @@ mkdir -p "$OUTPUT_DIR"
 STYLE="Generate a 64x64 pixel game icon with a dark background. Detailed neon cyberpunk style with glowing light effects. No text, no letters, just the icon art. The icon depicts:"
 
 # Counter for progress
-TOTAL=31
+TOTAL=61
 COUNT=0
 
 generate() {
@@ -122,6 +122,102 @@ generate "techno_meltdown" \
 generate "techno_lightning_cascade" \
     "bright neon chain lightning bolts branching out and cascading across multiple points, electric blue and purple arcs of devastating energy, ultimate power"
 
+# ─── SENTINEL SKILLS (10) ────────────────────────────────────────────────────
+
+generate "sentinel_fortify" \
+    "a thick neon energy shield with reinforced hexagonal plating layered over it, steady protective glow, blue and silver neon, fortified defense"
+
+generate "sentinel_spiked_plating" \
+    "a neon armor plate covered in glowing spikes with impact sparks bouncing back off the tips, blue and white neon glow, damage reflection"
+
+generate "sentinel_shield_bash" \
+    "a neon round shield slamming forward with a shockwave blasting enemies backward, motion streaks and impact burst, blue and cyan neon glow, shield bash"
+
+generate "sentinel_emergency_recharge" \
+    "a cracked neon shield rapidly refilling with energy from a glowing battery core, charge bars lighting up, blue and green neon glow, emergency recharge"
+
+generate "sentinel_kinetic_repulsor" \
+    "a neon force field ring pulsing outward and pushing enemy silhouettes away, concentric repulsion waves, cyan and white neon glow, kinetic repulsion"
+
+generate "sentinel_taunt_barrier" \
+    "a glowing neon energy wall planted in the ground with enemy silhouettes drawn toward it by red target lines, blue and red neon glow, taunting barrier"
+
+generate "sentinel_aegis_regen" \
+    "a neon heart glowing inside a full, intact shield bubble with healing particles rising, blue and soft green neon glow, regeneration under protection"
+
+generate "sentinel_unbreakable" \
+    "a flawless neon crystal diamond shield deflecting a storm of incoming bolts without a scratch, brilliant white and blue neon glow, invulnerability"
+
+generate "sentinel_aegis_pulse" \
+    "a neon shield at the center releasing a massive circular energy wave that throws debris outward, bright blue and white neon glow, aegis pulse"
+
+generate "sentinel_bastion" \
+    "an imposing neon fortress tower radiating repeated shockwave rings from its core, indestructible walls with blue energy, blue and gold neon glow, ultimate bastion"
+
+# ─── ENGINEER SKILLS (10) ────────────────────────────────────────────────────
+
+generate "engineer_deploy_turret" \
+    "a compact neon sentry turret unfolding from a glowing deployment pad, barrel tracking a target, green and white neon glow, turret deployment"
+
+generate "engineer_combat_drone" \
+    "a small diamond-shaped neon combat drone hovering in orbit and firing a bright bolt, circular orbit trail, green neon glow, combat drone"
+
+generate "engineer_reinforced_chassis" \
+    "a heavy neon robot chassis bolted with thick armor plates and glowing rivets, sturdy mechanical frame, green and steel grey neon glow, reinforced armor"
+
+generate "engineer_turret_overclock" \
+    "a neon turret with spinning gears and a red-hot barrel firing rapid bursts, overheating vents, green and orange neon glow, overclocked fire rate"
+
+generate "engineer_repair_protocol" \
+    "a neon repair drone projecting a healing beam onto a damaged turret, glowing wrench and plus signs, green and soft white neon glow, repair protocol"
+
+generate "engineer_targeting_uplink" \
+    "a neon satellite dish beaming targeting lines to several crosshairs locked on enemy silhouettes, green and red neon glow, targeting uplink"
+
+generate "engineer_rocket_battery" \
+    "a neon rocket pod launching a volley of small missiles with fiery exhaust trails and explosions on impact, green and orange neon glow, rocket battery"
+
+generate "engineer_drone_bay" \
+    "an open neon hangar bay with several drones launching out in formation, landing lights and glowing rails, green and cyan neon glow, drone bay"
+
+generate "engineer_overdrive_protocol" \
+    "a neon turret and drones surging with crackling electric energy, power gauge pinned to maximum, green and electric yellow neon glow, overdrive"
+
+generate "engineer_drone_swarm" \
+    "a massive swarm of neon assault drones circling a central figure and raining bolts on enemies below, dense orbit rings, green and lime neon glow, ultimate drone swarm"
+
+# ─── TACTICIAN SKILLS (10) ───────────────────────────────────────────────────
+
+generate "tactician_mark_target" \
+    "a rotating neon targeting reticle locked onto an enemy silhouette, corner brackets closing in, amber and white neon glow, mark target"
+
+generate "tactician_exploit_weakness" \
+    "a neon enemy silhouette with glowing cracks and weak points highlighted in red, scanner lines passing over it, amber and red neon glow, exploit weakness"
+
+generate "tactician_flashbang" \
+    "a neon grenade bursting into a blinding white flash with spinning stars around dazed enemies, yellow and white neon glow, flashbang stun"
+
+generate "tactician_hunters_focus" \
+    "a hunter's scope with a narrowed crosshair over a burning marked target, embers peeling off the target, amber and orange neon glow, hunter's focus"
+
+generate "tactician_breaking_point" \
+    "a neon armor plate shattering under stacked impact marks, five glowing pips maxed out above it, red and amber neon glow, breaking point"
+
+generate "tactician_snare_field" \
+    "a glowing neon net of energy spreading across the ground and pinning enemies in place, green and amber neon glow, snare field"
+
+generate "tactician_death_mark" \
+    "a neon skull with a targeting reticle leaping from a dying enemy to the next one, chain of marks, amber and dark purple neon glow, death mark"
+
+generate "tactician_weak_point" \
+    "a holographic neon analysis display dissecting an enemy with data readouts and highlighted weak spots, amber and cyan neon glow, weak point analysis"
+
+generate "tactician_artillery_call" \
+    "a neon artillery shell falling from above onto a glowing warning circle on the ground, radio signal waves, amber and orange neon glow, artillery call"
+
+generate "tactician_tactical_strike" \
+    "a tactical map with several neon strike circles and incoming orbital shells raining down on marked targets, massive explosions, amber and red neon glow, ultimate tactical strike"
+
 # ─── ASCENSION MODIFIERS (15) ────────────────────────────────────────────────
 
 generate "asc_ricochet" \
@@ -47,6 +47,38 @@ export const MUSIC_MANIFEST = [
         promptInfluence: 0.35,
         text: 'Instrumental late-game high-intensity combat music, driving bass, aggressive modern synths, no vocals, loop-friendly.'
     },
+    {
+        key: 'music_arena_circle',
+        category: 'gameplay',
+        durationMs: 45000,
+        loop: true,
+        promptInfluence: 0.35,
+        text: 'Instrumental arena combat music, swirling circular synth arpeggios over a steady pulse, hypnotic neon atmosphere, no vocals, loop-friendly.'
+    },
+    {
+        key: 'music_arena_corridor',
+        category: 'gameplay',
+        durationMs: 45000,
+        loop: true,
+        promptInfluence: 0.35,
+        text: 'Instrumental arena combat music, tense forward-driving rhythm with echoing synth stabs, narrow and claustrophobic, no vocals, loop-friendly.'
+    },
+    {
+        key: 'music_arena_cross',
+        category: 'gameplay',
+        durationMs: 45000,
+        loop: true,
+        promptInfluence: 0.35,
+        text: 'Instrumental arena combat music, call-and-response synth lines from all sides, punchy drums, tactical cyber style, no vocals, loop-friendly.'
+    },
+    {
+        key: 'music_arena_ring',
+        category: 'gameplay',
+        durationMs: 45000,
+        loop: true,
+        promptInfluence: 0.35,
+        text: 'Instrumental arena combat music, deep orbiting bass around a droning core, spacious dark synths, no vocals, loop-friendly.'
+    },
     {
         key: 'music_wave_countdown_stinger',
         category: 'stinger',
@@ -79,6 +111,30 @@ export const MUSIC_MANIFEST = [
         promptInfluence: 0.35,
         text: 'Instrumental shield boss music, menacing and technological, layered synth tension, no vocals, loop-friendly.'
     },
+    {
+        key: 'music_boss_mirror',
+        category: 'boss',
+        durationMs: 40000,
+        loop: true,
+        promptInfluence: 0.35,
+        text: 'Instrumental mirror boss music, eerie reversed synth motifs answering each other, cold glassy tension, no vocals, loop-friendly.'
+    },
+    {
+        key: 'music_boss_swarm_mind',
+        category: 'boss',
+        durationMs: 40000,
+        loop: true,
+        promptInfluence: 0.35,
+        text: 'Instrumental swarm boss music, restless buzzing arpeggios over a driving pulse, insectile and relentless, no vocals, loop-friendly.'
+    },
+    {
+        key: 'music_boss_grid_warden',
+        category: 'boss',
+        durationMs: 40000,
+        loop: true,
+        promptInfluence: 0.35,
+        text: 'Instrumental grid warden boss music, rigid mechanical rhythm with sharp gated synths, industrial and precise, no vocals, loop-friendly.'
+    },
     {
         key: 'music_pause_overlay',
         category: 'pause',
@@ -0,0 +1,91 @@
+import process from 'node:process';
+import { readFileSync } from 'node:fs';
+import { verifyReplay } from '../js/replay/ReplayVerifier.js';
+
+// The build the replays are re-simulated with (Vite injects the same version into the client)
+const CLIENT_VERSION = JSON.parse(readFileSync(new URL('../package.json', import.meta.url), 'utf8')).version;
+
+const DEFAULTS = {
+    api: 'http://localhost:8787',
+    limit: 10,
+};
+
+function parseArgs(argv) {
+    const args = {
+        api: process.env.NEON_API_URL || DEFAULTS.api,
+        limit: DEFAULTS.limit,
+        dryRun: false,
+    };
+
+    for (const token of argv) {
+        if (token === '--dry-run') args.dryRun = true;
+        else if (token.startsWith('--api=')) args.api = token.split('=')[1];
+        else if (token.startsWith('--limit=')) args.limit = Number.parseInt(token.split('=')[1], 10);
+        else if (token === '--help' || token === '-h') {
+            printHelp();
+            process.exit(0);
+        }
+    }
+
+    if (!Number.isFinite(args.limit) || args.limit < 1) throw new Error('Invalid --limit value. Use an integer >= 1.');
+
+    return args;
+}
+
+function printHelp() {
+    console.log(`\nRe-simulate pending leaderboard replays and report verdicts\n\nUsage:\n  npm run replays:verify -- [options]\n\nOptions:\n  --api=URL                 API base URL (default: $NEON_API_URL or ${DEFAULTS.api})\n  --limit=N                 Replays to verify in this batch (default: ${DEFAULTS.limit})\n  --dry-run                 Verify and print verdicts without reporting them\n\nEnvironment:\n  REPLAY_VERIFIER_SECRET    Required — must match the API's REPLAY_VERIFIER_SECRET\n`);
+}
+
+async function apiRequest(args, secret, path, init = {}) {
+    const response = await fetch(`${args.api}${path}`, {
+        ...init,
+        headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${secret}`,
+        },
+    });
+    if (!response.ok) {
+        throw new Error(`${init.method || 'GET'} ${path} failed: ${response.status} ${await response.text()}`);
+    }
+    return response.json();
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const secret = process.env.REPLAY_VERIFIER_SECRET;
+    if (!secret) throw new Error('REPLAY_VERIFIER_SECRET is required.');
+
+    const { jobs } = await apiRequest(args, secret, `/api/leaderboard/replays/pending?limit=${args.limit}`);
+    console.log(`Verifying ${jobs.length} replay(s) on client ${CLIENT_VERSION}${args.dryRun ? ' (dry run)' : ''}`);
+
+    const counts = { verified: 0, mismatch: 0, invalid: 0, outdated: 0 };
+    for (const job of jobs) {
+        const startedAt = Date.now();
+        const verdict = verifyReplay(job.replay, {
+            mode: job.mode,
+            difficulty: job.difficulty,
+            score: job.score,
+            wave: job.wave,
+            kills: job.kills,
+            level: job.level,
+        }, { clientVersion: CLIENT_VERSION });
+        counts[verdict.status] += 1;
+
+        const tickInfo = verdict.divergenceTick !== null ? ` @ tick ${verdict.divergenceTick}` : '';
+        console.log(`  ${job.id}: ${verdict.status}${tickInfo}${verdict.reason ? ` — ${verdict.reason}` : ''} (${Date.now() - startedAt} ms)`);
+
+        if (!args.dryRun) {
+            await apiRequest(args, secret, `/api/leaderboard/replays/${job.id}/verdict`, {
+                method: 'POST',
+                body: JSON.stringify(verdict),
+            });
+        }
+    }
+
+    console.log(`Done: ${counts.verified} verified, ${counts.mismatch} mismatched, ${counts.invalid} invalid, ${counts.outdated} outdated`);
+}
+
+main().catch((err) => {
+    console.error(err.message || err);
+    process.exit(1);
+});
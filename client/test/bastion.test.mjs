@@ -0,0 +1,34 @@
+/**
+ * Bastion's shockwaves deal a share of each enemy's max HP. Bosses used to
+ * take the full share too, so one cast deleted any boss standing next to
+ * the player.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameConfig } from '../js/config/GameConfig.js';
+import { ULTIMATE_MIN_TREE_INVESTMENT } from '../js/config/SkillConfig.js';
+import { startEmptyWave } from './helpers.mjs';
+
+test('a boss survives a full Bastion', () => {
+    const { sim, game } = startEmptyWave({ seed: 1, difficulty: 'easy' });
+    const { player, skillManager } = game;
+    player.fireProjectile = () => {};
+    skillManager.treeInvestment.SENTINEL = ULTIMATE_MIN_TREE_INVESTMENT;
+    skillManager.unspentSkillPoints = 1;
+    assert.ok(game.learnSkill('sentinel_bastion'));
+
+    game.waveManager.spawnBoss('Classic');
+    const boss = game.enemies[0];
+    assert.ok(game.castActiveSkill('sentinel_bastion'));
+    const duration = skillManager.getActiveSkillInfo('sentinel_bastion').skill.effect.duration;
+    const ticks = (duration + 500) / 1000 * GameConfig.LOOP.TICK_RATE;
+    for (let tick = 0; tick < ticks; tick++) {
+        // Hold the boss inside the shockwave despite the knockback
+        boss.x = player.x + 60;
+        boss.y = player.y;
+        sim.step();
+    }
+    assert.ok(boss.health > 0, 'the boss died to Bastion alone');
+    sim.dispose();
+});
@@ -0,0 +1,30 @@
+/**
+ * The server picks challenge modifiers and starting ascensions from its own
+ * lists (server/src/services/challenge.pools.json). They must name things
+ * the client knows.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { GameConfig } from '../js/config/GameConfig.js';
+import { ASCENSION_POOL } from '../js/config/SkillConfig.js';
+
+const pools = JSON.parse(
+    readFileSync(new URL('../../server/src/services/challenge.pools.json', import.meta.url), 'utf8'),
+);
+
+test('challenge wave modifiers are exactly the client WAVE_MODIFIERS', () => {
+    assert.deepEqual([...pools.waveModifiers].sort(), Object.keys(GameConfig.WAVE_MODIFIERS).sort());
+});
+
+test('starting ascensions are in the client pool and grant no points', () => {
+    const byId = new Map(ASCENSION_POOL.map(asc => [asc.id, asc]));
+    assert.equal(new Set(pools.startingAscensions).size, pools.startingAscensions.length, 'duplicate id');
+    for (const id of pools.startingAscensions) {
+        const asc = byId.get(id);
+        assert.ok(asc, `${id} is not in ASCENSION_POOL`);
+        assert.equal(asc.effect.bonusSkillPoints, undefined, `${id} grants skill points`);
+        assert.equal(asc.effect.bonusAttributePoints, undefined, `${id} grants attribute points`);
+    }
+});
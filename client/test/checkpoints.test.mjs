@@ -0,0 +1,34 @@
+/**
+ * Runs save a checkpoint at the start of every wave, and a loaded checkpoint
+ * always resumes as a standard run. Challenge runs used to save them too, so
+ * resuming one carried the challenge's free starting ascensions onto the
+ * standard board.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHeadlessGame } from '../js/headless/HeadlessGame.js';
+
+/** Play two waves and return the snapshots the run saved. */
+function collectSnapshots(options) {
+    const snapshots = [];
+    const sim = createHeadlessGame({
+        ...options,
+        adapters: { persistence: { saveSnapshot: (snapshot) => snapshots.push(snapshot) } },
+    });
+    sim.game.player.takeDamage = () => {};
+    sim.runWaves(2);
+    sim.dispose();
+    return snapshots;
+}
+
+test('a standard run saves wave checkpoints', () => {
+    assert.ok(collectSnapshots({ seed: 1, difficulty: 'easy' }).length > 0);
+});
+
+test('a challenge run saves no checkpoints', () => {
+    const snapshots = collectSnapshots({
+        challenge: { id: 'daily-2026-01-01', kind: 'daily', seed: 1, difficulty: 'easy', startingAscensions: [] },
+    });
+    assert.equal(snapshots.length, 0);
+});
@@ -0,0 +1,49 @@
+/**
+ * An enemy lined up behind cover, with the player shooting ricochet shots
+ * at it. Bouncing shots used to glance off the cover without damaging it,
+ * and the enemy used to park behind it, so the wave never ended.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ENEMY_FACTORIES } from '../js/enemies/EnemyFactory.js';
+import { startEmptyWave } from './helpers.mjs';
+
+/**
+ * Start wave 1, clear it, and put one cover block above the player with a
+ * basic enemy right behind it.
+ */
+function setUpStandoff() {
+    const { sim, game } = startEmptyWave({ seed: 1, difficulty: 'easy' });
+    game.player.takeDamage = () => {};
+    game.player.ricochetEnabled = true;
+
+    game.arenaFeatureSystem.onWaveStart({
+        features: [{ type: 'cover', x: 0.5, y: 0.25, width: 80, height: 24, hp: 400 }],
+    });
+    const cover = game.arenaFeatureSystem.features[0];
+    const enemy = ENEMY_FACTORIES.basic(cover.x, cover.y - cover.halfHeight - 20, 1);
+    enemy.health = enemy.maxHealth = 200;
+    enemy.setGameReference(game);
+    game.enemies.push(enemy);
+    return { sim, game, cover, enemy };
+}
+
+test('ricochet shots damage the cover they bounce off', () => {
+    const { sim, cover } = setUpStandoff();
+    sim.runTicks(120);
+    assert.ok(cover.hp < cover.maxHp, `cover still at ${cover.hp} HP`);
+    sim.dispose();
+});
+
+test('an enemy lined up behind cover steers around it', () => {
+    const { sim, cover, enemy } = setUpStandoff();
+    const coverBottom = cover.y + cover.halfHeight;
+    let passed = false;
+    for (let tick = 0; tick < 60 * 10 && !passed; tick++) {
+        sim.step();
+        passed = enemy.y > coverBottom;
+    }
+    assert.ok(passed, `enemy held at (${Math.round(enemy.x)}, ${Math.round(enemy.y)})`);
+    sim.dispose();
+});
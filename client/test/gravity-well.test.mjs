@@ -0,0 +1,31 @@
+/**
+ * Gravity wells bend every shot that passes through them. Auto-aim used to
+ * keep picking the nearest enemy even when a well sat in the line of fire,
+ * so it fired at a target it could never hit while others stood clear.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ENEMY_FACTORIES } from '../js/enemies/EnemyFactory.js';
+import { startEmptyWave } from './helpers.mjs';
+
+test('auto-aim prefers a target with no gravity well in the way', () => {
+    const { sim, game } = startEmptyWave({ seed: 1, difficulty: 'easy' });
+    const { player } = game;
+    const { height } = game.getLogicalCanvasSize();
+    game.arenaFeatureSystem.onWaveStart({
+        features: [{ type: 'gravityWell', x: 0.5, y: (player.y - 100) / height, radius: 50 }],
+    });
+
+    const behindWell = ENEMY_FACTORIES.basic(player.x, player.y - 200, 1);
+    const clear = ENEMY_FACTORIES.basic(player.x + 250, player.y, 1);
+    for (const enemy of [behindWell, clear]) {
+        enemy.setGameReference(game);
+        game.enemies.push(enemy);
+    }
+
+    assert.equal(player.findNearestEnemy(game.enemies, game), clear);
+    game.enemies.splice(game.enemies.indexOf(clear), 1);
+    assert.equal(player.findNearestEnemy(game.enemies, game), behindWell, 'a lone target behind a well is still shot at');
+    sim.dispose();
+});
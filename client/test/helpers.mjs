@@ -0,0 +1,21 @@
+/**
+ * Shared setup for the headless behaviour tests.
+ */
+
+import { createHeadlessGame } from '../js/headless/HeadlessGame.js';
+
+/**
+ * Run until the first wave starts, then clear it out so the test can place
+ * exactly the enemies it needs without the wave ending underneath it.
+ * @param {Object} options - createHeadlessGame options
+ * @returns {{ sim: ReturnType<typeof createHeadlessGame>, game: import('../js/Game.js').Game }}
+ */
+export function startEmptyWave(options) {
+    const sim = createHeadlessGame(options);
+    const game = sim.game;
+    while (!game.waveManager.waveActive) sim.step();
+    for (const group of game.waveManager.spawnGroups) group.remaining = 0;
+    game.waveManager.enemiesToSpawn = 0;
+    game.enemies.length = 0;
+    return { sim, game };
+}
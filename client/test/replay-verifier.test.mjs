@@ -0,0 +1,33 @@
+/**
+ * The verifier re-simulates a replay with its own build of the game. A
+ * replay recorded on a different client build used to come back as a
+ * mismatch, flagging an honest entry for good after any balance change.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHeadlessGame } from '../js/headless/HeadlessGame.js';
+import { verifyReplay, VERIFY_STATUS } from '../js/replay/ReplayVerifier.js';
+
+/** Record one wave and return the finished replay with the numbers it claims. */
+function recordWave() {
+    const sim = createHeadlessGame({ seed: 3, difficulty: 'easy' });
+    sim.runWaves(1);
+    const game = sim.game;
+    game.replayRecorder.finish(game._getReplayResult(game.tick));
+    const replay = JSON.parse(JSON.stringify(game.replayRecorder.getReplay()));
+    sim.dispose();
+    const { score, wave, kills, level } = replay.result;
+    return { replay, claimed: { difficulty: 'easy', score, wave, kills, level } };
+}
+
+test('a replay from the same client build verifies', () => {
+    const { replay, claimed } = recordWave();
+    assert.equal(verifyReplay(replay, claimed, { clientVersion: replay.clientVersion }).status, VERIFY_STATUS.VERIFIED);
+});
+
+test('a replay from another client build is outdated, not a mismatch', () => {
+    const { replay, claimed } = recordWave();
+    const verdict = verifyReplay(replay, claimed, { clientVersion: `${replay.clientVersion}-next` });
+    assert.equal(verdict.status, VERIFY_STATUS.OUTDATED);
+});
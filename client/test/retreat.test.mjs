@@ -0,0 +1,84 @@
+/**
+ * Wounded healers retreat from the player. One wounded while still
+ * off-screen, past the distance it retreats to, used to hold there out of
+ * the player's reach, and the last one alive used to hold at retreat
+ * distance forever — either way the wave never ended.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameConfig } from '../js/config/GameConfig.js';
+import { ENEMY_FACTORIES } from '../js/enemies/EnemyFactory.js';
+import { startEmptyWave } from './helpers.mjs';
+
+const TICK_RATE = GameConfig.LOOP.TICK_RATE;
+
+/**
+ * Add a healer at 20% health to a cleared wave.
+ * @param {import('../js/Game.js').Game} game
+ * @param {number} x
+ * @param {number} y
+ */
+function addWoundedHealer(game, x, y) {
+    const healer = ENEMY_FACTORIES.healer(x, y, 1);
+    healer.health = healer.maxHealth * 0.2;
+    healer.setGameReference(game);
+    game.enemies.push(healer);
+    return healer;
+}
+
+test('a wounded healer off-screen comes back in', () => {
+    const { sim, game } = startEmptyWave({ seed: 1, difficulty: 'easy' });
+    const { width, height } = game.getLogicalCanvasSize();
+    const healer = addWoundedHealer(game, width / 2 - 150, height + 30);
+
+    const onScreen = () => healer.x >= healer.radius && healer.x <= width - healer.radius
+        && healer.y >= healer.radius && healer.y <= height - healer.radius;
+    for (let tick = 0; tick < TICK_RATE * 5 && !onScreen(); tick++) sim.step();
+    assert.ok(onScreen(), `healer held at (${Math.round(healer.x)}, ${Math.round(healer.y)})`);
+    sim.dispose();
+});
+
+/**
+ * Hold fire and run until the healer closes to half the retreat distance.
+ * @returns {boolean} Whether it did within `seconds`
+ */
+function closesIn(sim, healer, seconds, everyTick = () => {}) {
+    const { player } = sim.game;
+    const near = GameConfig.ENEMY.STEERING.RETREAT_DISTANCE / 2;
+    for (let tick = 0; tick < TICK_RATE * seconds; tick++) {
+        everyTick();
+        sim.step();
+        if (Math.hypot(healer.x - player.x, healer.y - player.y) < near) return true;
+    }
+    return false;
+}
+
+test('the last wounded healer alive stops retreating', () => {
+    const { sim, game } = startEmptyWave({ seed: 1, difficulty: 'easy' });
+    game.player.fireProjectile = () => {};
+    game.player.takeDamage = () => {};
+    const healer = addWoundedHealer(game, game.player.x - 300, game.player.y);
+
+    assert.ok(closesIn(sim, healer, 5), `healer held at (${Math.round(healer.x)}, ${Math.round(healer.y)})`);
+    sim.dispose();
+});
+
+test('a wounded healer gives up retreating after a while', () => {
+    const { sim, game } = startEmptyWave({ seed: 1, difficulty: 'easy' });
+    game.player.fireProjectile = () => {};
+    game.player.takeDamage = () => {};
+    const healer = addWoundedHealer(game, game.player.x - 300, game.player.y);
+    const ally = ENEMY_FACTORIES.basic(game.player.x + 300, game.player.y, 1);
+    ally.setGameReference(game);
+    game.enemies.push(ally);
+
+    const { width } = game.getLogicalCanvasSize();
+    const pinAlly = () => {
+        ally.x = width - ally.radius;
+        ally.y = game.player.y;
+    };
+    const seconds = GameConfig.ENEMY.STEERING.RETREAT_TIME / 1000 + 10;
+    assert.ok(closesIn(sim, healer, seconds, pinAlly), `healer held at (${Math.round(healer.x)}, ${Math.round(healer.y)})`);
+    sim.dispose();
+});
@@ -0,0 +1,30 @@
+/**
+ * The ring layout's central pillar blocks movement and absorbs shots.
+ * Enemies used to pile up behind it while auto-aim fired into it, and the
+ * Mirror boss shadowed the player from straight across it, so ring runs
+ * never finished a wave.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHeadlessGame } from '../js/headless/HeadlessGame.js';
+import { startEmptyWave } from './helpers.mjs';
+
+test('a ring run clears its waves through the first arena features', () => {
+    const sim = createHeadlessGame({ seed: 7, layout: 'ring' });
+    sim.game.player.takeDamage = () => {};
+    const result = sim.runWaves(12, { maxTicksPerWave: 60 * 60 * 2 });
+    assert.ok(result.wave > 12, `stalled on wave ${result.wave}`);
+    sim.dispose();
+});
+
+test('the Mirror boss can be shot on the ring', () => {
+    const { sim, game } = startEmptyWave({ seed: 1, layout: 'ring' });
+    game.player.takeDamage = () => {};
+
+    game.waveManager.spawnBoss('Mirror');
+    const mirror = game.enemies[0];
+    sim.runTicks(60 * 20);
+    assert.ok(mirror.health < mirror.maxHealth, 'the Mirror was never hit');
+    sim.dispose();
+});
@@ -0,0 +1,52 @@
+/**
+ * Stunned enemies deal no contact damage. Ranged and self-destructing ones
+ * used to keep attacking anyway: a sniper stunned the whole time still
+ * charged and hit the player, a stunned bomber still went off and a stunned
+ * summoner kept calling minions.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameConfig } from '../js/config/GameConfig.js';
+import { ENEMY_FACTORIES } from '../js/enemies/EnemyFactory.js';
+import { startEmptyWave } from './helpers.mjs';
+
+/**
+ * Put one enemy of `kind` near the player, hold fire, keep it stunned for
+ * 12 seconds and count the hits the player takes.
+ */
+function runStunned(kind, offsetX) {
+    const { sim, game } = startEmptyWave({ seed: 1, difficulty: 'easy' });
+    const { player } = game;
+    player.fireProjectile = () => {};
+    let hits = 0;
+    player.takeDamage = () => { hits++; };
+
+    const enemy = ENEMY_FACTORIES[kind](player.x + offsetX, player.y, 1);
+    enemy.setGameReference(game);
+    game.enemies.push(enemy);
+
+    for (let tick = 0; tick < GameConfig.LOOP.TICK_RATE * 12; tick++) {
+        enemy.statusEffects.apply('stunned', { duration: 500 });
+        sim.step();
+    }
+    sim.dispose();
+    return { enemy, hits, enemies: game.enemies };
+}
+
+test('a stunned sniper holds its shot', () => {
+    const { enemy, hits } = runStunned('sniper', 250);
+    assert.equal(enemy.isCharging, false);
+    assert.equal(hits, 0, `the sniper hit the player ${hits} times`);
+});
+
+test('a stunned bomber does not go off', () => {
+    const { enemy, hits } = runStunned('bomber', 100);
+    assert.equal(enemy.selfDestructed, false);
+    assert.equal(hits, 0, `the bomber hit the player ${hits} times`);
+});
+
+test('a stunned summoner calls no minions', () => {
+    const { enemy, enemies } = runStunned('summoner', 250);
+    assert.deepEqual(enemies, [enemy], `${enemies.length - 1} minions were summoned`);
+});
@@ -0,0 +1,30 @@
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Neon Siege — Input replays attached to leaderboard submissions
+--
+-- A submission may carry the run's input replay. It is queued here as
+-- 'pending' and the entry stays flagged until the verifier job re-simulates
+-- the run and reports a verdict. One replay per entry: a new personal best
+-- replaces the previous (and any unverified) replay.
+-- ═══════════════════════════════════════════════════════════════════════════
+
+CREATE TABLE IF NOT EXISTS leaderboard_replays (
+  id                TEXT PRIMARY KEY,
+  entry_id          TEXT NOT NULL UNIQUE REFERENCES leaderboard_entries(id) ON DELETE CASCADE,
+  user_id           TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  difficulty        TEXT NOT NULL,
+  score             INTEGER NOT NULL,
+  wave              INTEGER NOT NULL,
+  kills             INTEGER NOT NULL,
+  level             INTEGER NOT NULL,
+  replay            TEXT NOT NULL,
+  heuristic_flagged INTEGER NOT NULL DEFAULT 0,
+  status            TEXT NOT NULL DEFAULT 'pending'
+                      CHECK (status IN ('pending', 'verified', 'mismatch', 'invalid')),
+  divergence_tick   INTEGER,
+  reason            TEXT,
+  created_at        TEXT NOT NULL DEFAULT (datetime('now')),
+  verified_at       TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_leaderboard_replays_status
+  ON leaderboard_replays(status, created_at);
@@ -0,0 +1,37 @@
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Neon Siege — Daily / weekly seeded challenge runs
+--
+-- Challenges themselves are derived from the date (see challenge.service.ts),
+-- so only attempts are stored. An attempt row is created when a challenge run
+-- starts (which is what caps attempts per user) and filled in on submission.
+-- `leaderboard_entries` keeps one row per user per difficulty, so per-period
+-- results live here instead.
+-- ═══════════════════════════════════════════════════════════════════════════
+
+CREATE TABLE IF NOT EXISTS challenge_entries (
+  id               TEXT PRIMARY KEY,
+  challenge_id     TEXT NOT NULL,                 -- e.g. 'daily-2026-10-19'
+  user_id          TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  attempt          INTEGER NOT NULL,
+  status           TEXT NOT NULL DEFAULT 'started'
+                     CHECK (status IN ('started', 'finished')),
+  score            INTEGER NOT NULL DEFAULT 0,
+  wave             INTEGER NOT NULL DEFAULT 0,
+  kills            INTEGER NOT NULL DEFAULT 0,
+  max_combo        INTEGER NOT NULL DEFAULT 0,
+  level            INTEGER NOT NULL DEFAULT 1,
+  is_victory       INTEGER NOT NULL DEFAULT 0,
+  run_details      TEXT NOT NULL DEFAULT '{}',
+  game_duration_ms INTEGER,
+  client_version   TEXT,
+  checksum         TEXT,
+  flagged          INTEGER NOT NULL DEFAULT 0,
+  created_at       TEXT NOT NULL DEFAULT (datetime('now')),
+  finished_at      TEXT,
+  UNIQUE (challenge_id, user_id, attempt)
+);
+
+CREATE INDEX IF NOT EXISTS idx_challenge_entries_board
+  ON challenge_entries(challenge_id, status, score DESC);
+CREATE INDEX IF NOT EXISTS idx_challenge_entries_user
+  ON challenge_entries(user_id, challenge_id);
@@ -0,0 +1,93 @@
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Neon Siege — Leaderboard boards keyed by game mode + difficulty
+--
+-- Boss Rush runs are scored differently from the wave campaign, so they get
+-- their own board. A board is now (mode, difficulty) instead of difficulty
+-- alone: one entry per user per board. Existing entries are all 'standard'.
+--
+-- SQLite cannot alter a CHECK or UNIQUE constraint in place, so
+-- leaderboard_entries is rebuilt. Dropping it would cascade into
+-- leaderboard_replays, so the replays are parked in a plain table first and
+-- restored once the new table is in place.
+-- ═══════════════════════════════════════════════════════════════════════════
+
+PRAGMA defer_foreign_keys = true;
+
+CREATE TABLE leaderboard_replays_parked AS SELECT * FROM leaderboard_replays;
+DROP TABLE leaderboard_replays;
+
+CREATE TABLE leaderboard_entries_new (
+  id               TEXT PRIMARY KEY,
+  user_id          TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  mode             TEXT NOT NULL DEFAULT 'standard' CHECK (mode IN ('standard', 'boss_rush')),
+  difficulty       TEXT NOT NULL CHECK (difficulty IN ('easy', 'normal', 'hard')),
+  score            INTEGER NOT NULL,
+  wave             INTEGER NOT NULL,
+  kills            INTEGER NOT NULL DEFAULT 0,
+  max_combo        INTEGER NOT NULL DEFAULT 0,
+  level            INTEGER NOT NULL DEFAULT 1,
+  is_victory       INTEGER NOT NULL DEFAULT 0,
+  run_details      TEXT NOT NULL DEFAULT '{}',
+  game_duration_ms INTEGER,
+  client_version   TEXT,
+  checksum         TEXT,
+  flagged          INTEGER NOT NULL DEFAULT 0,
+  continues_used   INTEGER NOT NULL DEFAULT 0,
+  created_at       TEXT NOT NULL DEFAULT (datetime('now')),
+  updated_at       TEXT NOT NULL DEFAULT (datetime('now')),
+  UNIQUE (user_id, mode, difficulty)
+);
+
+INSERT INTO leaderboard_entries_new
+  (id, user_id, mode, difficulty, score, wave, kills, max_combo, level, is_victory,
+   run_details, game_duration_ms, client_version, checksum, flagged, continues_used,
+   created_at, updated_at)
+SELECT
+  id, user_id, 'standard', difficulty, score, wave, kills, max_combo, level, is_victory,
+  run_details, game_duration_ms, client_version, checksum, flagged, continues_used,
+  created_at, updated_at
+FROM leaderboard_entries;
+
+DROP TABLE leaderboard_entries;
+ALTER TABLE leaderboard_entries_new RENAME TO leaderboard_entries;
+
+CREATE INDEX IF NOT EXISTS idx_leaderboard_board_score
+  ON leaderboard_entries(mode, difficulty, score DESC);
+CREATE INDEX IF NOT EXISTS idx_leaderboard_board_flagged_score
+  ON leaderboard_entries(mode, difficulty, flagged, score DESC);
+CREATE INDEX IF NOT EXISTS idx_leaderboard_user
+  ON leaderboard_entries(user_id);
+
+-- ─── Replays, now carrying the board they were submitted to ───────────────
+CREATE TABLE leaderboard_replays (
+  id                TEXT PRIMARY KEY,
+  entry_id          TEXT NOT NULL UNIQUE REFERENCES leaderboard_entries(id) ON DELETE CASCADE,
+  user_id           TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  mode              TEXT NOT NULL DEFAULT 'standard',
+  difficulty        TEXT NOT NULL,
+  score             INTEGER NOT NULL,
+  wave              INTEGER NOT NULL,
+  kills             INTEGER NOT NULL,
+  level             INTEGER NOT NULL,
+  replay            TEXT NOT NULL,
+  heuristic_flagged INTEGER NOT NULL DEFAULT 0,
+  status            TEXT NOT NULL DEFAULT 'pending'
+                      CHECK (status IN ('pending', 'verified', 'mismatch', 'invalid')),
+  divergence_tick   INTEGER,
+  reason            TEXT,
+  created_at        TEXT NOT NULL DEFAULT (datetime('now')),
+  verified_at       TEXT
+);
+
+INSERT INTO leaderboard_replays
+  (id, entry_id, user_id, mode, difficulty, score, wave, kills, level, replay,
+   heuristic_flagged, status, divergence_tick, reason, created_at, verified_at)
+SELECT
+  id, entry_id, user_id, 'standard', difficulty, score, wave, kills, level, replay,
+  heuristic_flagged, status, divergence_tick, reason, created_at, verified_at
+FROM leaderboard_replays_parked;
+
+DROP TABLE leaderboard_replays_parked;
+
+CREATE INDEX IF NOT EXISTS idx_leaderboard_replays_status
+  ON leaderboard_replays(status, created_at);
@@ -11,6 +11,7 @@ import type { Env, AppVariables } from './types';
 import { healthRoutes } from './routes/health.routes';
 import { authRoutes } from './routes/auth.routes';
 import { leaderboardRoutes } from './routes/leaderboard.routes';
+import { challengeRoutes } from './routes/challenge.routes';
 import { saveRoutes } from './routes/save.routes';
 import { creditRoutes } from './routes/credit.routes';
 import { progressionRoutes } from './routes/progression.routes';
@@ -69,6 +70,7 @@ app.use(
 app.route('/api', healthRoutes);
 app.route('/api/auth', authRoutes);
 app.route('/api/leaderboard', leaderboardRoutes);
+app.route('/api/challenges', challengeRoutes);
 app.route('/api/save', saveRoutes);
 app.route('/api/credits', creditRoutes);
 app.route('/api/progression', progressionRoutes);
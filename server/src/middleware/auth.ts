@@ -10,6 +10,7 @@
 
 import { Context, MiddlewareHandler } from 'hono';
 import type { Env } from '../types';
+import { timingSafeEqual } from '../services/crypto.utils';
 
 // ─── JWT Helpers (Web Crypto) ──────────────────────────────────────────────────
 
@@ -127,6 +128,32 @@ export const requireAuth: MiddlewareHandler<{ Bindings: Env; Variables: { userId
   await next();
 };
 
+async function sha256Hex(value: string): Promise<string> {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value));
+  return Array.from(new Uint8Array(digest))
+    .map((b) => b.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * Require the replay verifier job's shared secret as the Bearer token.
+ * Both sides are hashed first so the comparison is constant-length.
+ */
+export const requireReplayVerifier: MiddlewareHandler<{ Bindings: Env }> = async (c, next) => {
+  const authHeader = c.req.header('Authorization');
+  const secret = c.env.REPLAY_VERIFIER_SECRET;
+  if (!secret || !authHeader?.startsWith('Bearer ')) {
+    return c.json({ error: 'Missing or invalid authorization header' }, 401);
+  }
+
+  const [given, expected] = await Promise.all([sha256Hex(authHeader.slice(7)), sha256Hex(secret)]);
+  if (!timingSafeEqual(given, expected)) {
+    return c.json({ error: 'Invalid verifier token' }, 401);
+  }
+
+  await next();
+};
+
 /**
  * Optionally parse a Bearer token. Sets userId/displayName to empty string if absent.
  */
@@ -0,0 +1,193 @@
+/**
+ * @fileoverview Challenge model — D1 operations for daily/weekly challenge attempts.
+ *
+ * One row per attempt. Rows start as 'started' (counted against the attempt
+ * cap) and become 'finished' when the run's score is submitted. Boards rank
+ * each user's best finished attempt.
+ */
+
+import { query, queryOne, run, nowISO, newId } from '../db';
+import { parseRunDetails } from './leaderboard.model';
+import type { RunDetails } from './leaderboard.model';
+
+// ─── Types ─────────────────────────────────────────────────────────────────────
+
+export interface ChallengeEntry {
+  id: string;
+  challenge_id: string;
+  user_id: string;
+  attempt: number;
+  status: 'started' | 'finished';
+  score: number;
+  wave: number;
+  kills: number;
+  max_combo: number;
+  level: number;
+  is_victory: number; // SQLite boolean
+  run_details: string | RunDetails; // JSON text in DB, object in API responses
+  game_duration_ms: number | null;
+  client_version: string | null;
+  checksum: string | null;
+  flagged: number; // SQLite boolean
+  created_at: string;
+  finished_at: string | null;
+}
+
+export interface ChallengeRow extends ChallengeEntry {
+  display_name: string;
+  rank: number;
+}
+
+export interface FinishAttemptData {
+  score: number;
+  wave: number;
+  kills: number;
+  maxCombo: number;
+  level: number;
+  isVictory: boolean;
+  runDetails: RunDetails;
+  gameDurationMs?: number;
+  clientVersion?: string;
+  checksum?: string;
+  flagged: boolean;
+}
+
+function normalizeEntry<T extends ChallengeEntry>(entry: T): T {
+  return {
+    ...entry,
+    run_details: parseRunDetails(entry.run_details),
+  };
+}
+
+/** Each user's best finished attempt, ordered for ranking. */
+const BEST_PER_USER_SQL = `
+  WITH best AS (
+    SELECT
+      ce.*,
+      ROW_NUMBER() OVER (PARTITION BY ce.user_id ORDER BY ce.score DESC, ce.finished_at ASC) AS user_pos
+    FROM challenge_entries ce
+    WHERE ce.challenge_id = ? AND ce.status = 'finished'
+  )
+  SELECT
+    best.*,
+    u.display_name,
+    ROW_NUMBER() OVER (ORDER BY best.score DESC, best.finished_at ASC) AS rank
+  FROM best
+  JOIN users u ON u.id = best.user_id
+  WHERE best.user_pos = 1`;
+
+// ─── Queries ───────────────────────────────────────────────────────────────────
+
+export async function countAttempts(db: D1Database, challengeId: string, userId: string): Promise<number> {
+  const row = await queryOne<{ count: number }>(
+    db,
+    'SELECT COUNT(*) AS count FROM challenge_entries WHERE challenge_id = ? AND user_id = ?',
+    [challengeId, userId],
+  );
+  return row?.count ?? 0;
+}
+
+/**
+ * Whether the user has started that attempt and not submitted it yet.
+ */
+export async function hasOpenAttempt(
+  db: D1Database,
+  challengeId: string,
+  userId: string,
+  attempt: number,
+): Promise<boolean> {
+  const row = await queryOne<{ id: string }>(
+    db,
+    `SELECT id FROM challenge_entries
+     WHERE challenge_id = ? AND user_id = ? AND attempt = ? AND status = 'started'`,
+    [challengeId, userId, attempt],
+  );
+  return row !== null;
+}
+
+/**
+ * Register a new attempt. The UNIQUE (challenge_id, user_id, attempt)
+ * constraint rejects a concurrent request for the same attempt number.
+ */
+export async function createAttempt(
+  db: D1Database,
+  challengeId: string,
+  userId: string,
+  attempt: number,
+): Promise<void> {
+  await run(
+    db,
+    `INSERT INTO challenge_entries (id, challenge_id, user_id, attempt, status, created_at)
+     VALUES (?, ?, ?, ?, 'started', ?)`,
+    [newId(), challengeId, userId, attempt, nowISO()],
+  );
+}
+
+/**
+ * Fill in the result of a started attempt.
+ * @returns false when there is no started attempt with that number
+ */
+export async function finishAttempt(
+  db: D1Database,
+  challengeId: string,
+  userId: string,
+  attempt: number,
+  data: FinishAttemptData,
+): Promise<boolean> {
+  const result = await run(
+    db,
+    `UPDATE challenge_entries SET
+      status = 'finished', score = ?, wave = ?, kills = ?, max_combo = ?, level = ?,
+      is_victory = ?, run_details = ?, game_duration_ms = ?, client_version = ?,
+      checksum = ?, flagged = ?, finished_at = ?
+     WHERE challenge_id = ? AND user_id = ? AND attempt = ? AND status = 'started'`,
+    [
+      data.score, data.wave, data.kills, data.maxCombo, data.level,
+      data.isVictory ? 1 : 0, JSON.stringify(data.runDetails), data.gameDurationMs ?? null,
+      data.clientVersion ?? null, data.checksum ?? null, data.flagged ? 1 : 0, nowISO(),
+      challengeId, userId, attempt,
+    ],
+  );
+  return (result.meta?.changes ?? 0) > 0;
+}
+
+export async function getLeaderboard(
+  db: D1Database,
+  challengeId: string,
+  limit: number = 50,
+  offset: number = 0,
+): Promise<{ entries: ChallengeRow[]; total: number }> {
+  const entries = await query<ChallengeRow>(
+    db,
+    `${BEST_PER_USER_SQL}
+     ORDER BY rank
+     LIMIT ? OFFSET ?`,
+    [challengeId, limit, offset],
+  );
+
+  const countResult = await queryOne<{ count: number }>(
+    db,
+    `SELECT COUNT(DISTINCT user_id) AS count
+     FROM challenge_entries
+     WHERE challenge_id = ? AND status = 'finished'`,
+    [challengeId],
+  );
+
+  return {
+    entries: entries.map(normalizeEntry),
+    total: countResult?.count ?? 0,
+  };
+}
+
+export async function getUserRank(
+  db: D1Database,
+  challengeId: string,
+  userId: string,
+): Promise<number | null> {
+  const result = await queryOne<{ rank: number }>(
+    db,
+    `SELECT rank FROM (${BEST_PER_USER_SQL}) ranked WHERE user_id = ?`,
+    [challengeId, userId],
+  );
+  return result?.rank ?? null;
+}
@@ -12,9 +12,25 @@ import { query, queryOne, run, nowISO, newId } from '../db';
 
 // ─── Types ─────────────────────────────────────────────────────────────────────
 
+/** Game modes with their own boards ('standard' is the wave campaign). */
+export const LEADERBOARD_MODES = ['standard', 'boss_rush'] as const;
+
+export type LeaderboardMode = (typeof LEADERBOARD_MODES)[number];
+
+export function isLeaderboardMode(value: unknown): value is LeaderboardMode {
+  return LEADERBOARD_MODES.includes(value as LeaderboardMode);
+}
+
+/** A board is one mode played on one difficulty. */
+export interface BoardKey {
+  mode: string;
+  difficulty: string;
+}
+
 export interface LeaderboardEntry {
   id: string;
   user_id: string;
+  mode: LeaderboardMode;
   difficulty: 'easy' | 'normal' | 'hard';
   score: number;
   wave: number;
@@ -33,6 +49,11 @@ export interface LeaderboardEntry {
 }
 
 export interface RunDetails {
+  seed?: number | null;
+  /** Control schemes used during the run ('auto' | 'manual' | 'hybrid'), first one first */
+  aimModes?: string[];
+  /** Arena layout the run was played on; runs from before layouts existed were 'classic' */
+  arena?: string;
   skills?: {
     ranks?: Record<string, number>;
     equippedPassives?: string[];
@@ -42,6 +63,15 @@ export interface RunDetails {
   ascensions?: string[];
   attributes?: Record<string, number>;
   stats?: Record<string, unknown>;
+  /** Outcome of input-replay re-simulation, when a replay was submitted */
+  replayVerification?: {
+    status: 'pending' | 'verified' | 'mismatch' | 'invalid';
+    reason?: string | null;
+    divergenceTick?: number | null;
+    mismatchedFields?: string[];
+    actual?: Record<string, number> | null;
+    verifiedAt?: string;
+  };
 }
 
 export interface LeaderboardRow extends LeaderboardEntry {
@@ -49,7 +79,7 @@ export interface LeaderboardRow extends LeaderboardEntry {
   rank: number;
 }
 
-function parseRunDetails(runDetails: unknown): RunDetails {
+export function parseRunDetails(runDetails: unknown): RunDetails {
   if (!runDetails) return {};
   if (typeof runDetails === 'object') return runDetails as RunDetails;
   if (typeof runDetails !== 'string') return {};
@@ -70,6 +100,7 @@ function normalizeEntry<T extends LeaderboardEntry>(entry: T): T {
 
 export interface CreateEntryData {
   userId: string;
+  mode: string;
   difficulty: string;
   score: number;
   wave: number;
@@ -94,7 +125,7 @@ export interface LocationFilter {
 // ─── Queries ───────────────────────────────────────────────────────────────────
 
 /**
- * Upsert a leaderboard entry — one record per user per difficulty.
+ * Upsert a leaderboard entry — one record per user per board (mode + difficulty).
  * Only replaces the existing record if the new score is higher.
  *
  * D1 doesn't support RETURNING *, so we do INSERT + SELECT.
@@ -110,8 +141,8 @@ export async function upsertEntry(
   // Check existing score first
   const existing = await queryOne<LeaderboardEntry>(
     db,
-    'SELECT * FROM leaderboard_entries WHERE user_id = ? AND difficulty = ?',
-    [data.userId, data.difficulty],
+    'SELECT * FROM leaderboard_entries WHERE user_id = ? AND mode = ? AND difficulty = ?',
+    [data.userId, data.mode, data.difficulty],
   );
 
   if (!existing) {
@@ -119,12 +150,12 @@ export async function upsertEntry(
     await run(
       db,
       `INSERT INTO leaderboard_entries
-        (id, user_id, difficulty, score, wave, kills, max_combo, level, is_victory,
+        (id, user_id, mode, difficulty, score, wave, kills, max_combo, level, is_victory,
          run_details, game_duration_ms, client_version, checksum, flagged, continues_used,
          created_at, updated_at)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
       [
-        id, data.userId, data.difficulty, data.score, data.wave, data.kills,
+        id, data.userId, data.mode, data.difficulty, data.score, data.wave, data.kills,
         data.maxCombo, data.level, data.isVictory ? 1 : 0, runDetailsJson,
         data.gameDurationMs ?? null, data.clientVersion ?? null,
         data.checksum ?? null, data.flagged ? 1 : 0, data.continuesUsed ?? 0,
@@ -133,8 +164,8 @@ export async function upsertEntry(
     );
     const entry = (await queryOne<LeaderboardEntry>(
       db,
-      'SELECT * FROM leaderboard_entries WHERE user_id = ? AND difficulty = ?',
-      [data.userId, data.difficulty],
+      'SELECT * FROM leaderboard_entries WHERE user_id = ? AND mode = ? AND difficulty = ?',
+      [data.userId, data.mode, data.difficulty],
     ))!;
     return { entry: normalizeEntry(entry), isNewBest: true };
   }
@@ -147,19 +178,19 @@ export async function upsertEntry(
         score = ?, wave = ?, kills = ?, max_combo = ?, level = ?, is_victory = ?,
         run_details = ?, game_duration_ms = ?, client_version = ?, checksum = ?,
         flagged = ?, continues_used = ?, updated_at = ?
-       WHERE user_id = ? AND difficulty = ?`,
+       WHERE user_id = ? AND mode = ? AND difficulty = ?`,
       [
         data.score, data.wave, data.kills, data.maxCombo, data.level,
         data.isVictory ? 1 : 0, runDetailsJson, data.gameDurationMs ?? null,
         data.clientVersion ?? null, data.checksum ?? null,
         data.flagged ? 1 : 0, data.continuesUsed ?? 0, now,
-        data.userId, data.difficulty,
+        data.userId, data.mode, data.difficulty,
       ],
     );
     const entry = (await queryOne<LeaderboardEntry>(
       db,
-      'SELECT * FROM leaderboard_entries WHERE user_id = ? AND difficulty = ?',
-      [data.userId, data.difficulty],
+      'SELECT * FROM leaderboard_entries WHERE user_id = ? AND mode = ? AND difficulty = ?',
+      [data.userId, data.mode, data.difficulty],
     ))!;
     return { entry: normalizeEntry(entry), isNewBest: true };
   }
@@ -167,14 +198,35 @@ export async function upsertEntry(
   return { entry: normalizeEntry(existing), isNewBest: false };
 }
 
+export async function findById(db: D1Database, id: string): Promise<LeaderboardEntry | null> {
+  const entry = await queryOne<LeaderboardEntry>(db, 'SELECT * FROM leaderboard_entries WHERE id = ?', [id]);
+  return entry ? normalizeEntry(entry) : null;
+}
+
+/**
+ * Apply a replay verification outcome to an entry.
+ */
+export async function updateVerification(
+  db: D1Database,
+  id: string,
+  flagged: boolean,
+  runDetails: RunDetails,
+): Promise<void> {
+  await run(
+    db,
+    'UPDATE leaderboard_entries SET flagged = ?, run_details = ?, updated_at = ? WHERE id = ?',
+    [flagged ? 1 : 0, JSON.stringify(runDetails), nowISO(), id],
+  );
+}
+
 export async function getLeaderboard(
   db: D1Database,
-  difficulty: string,
+  board: BoardKey,
   limit: number = 50,
   offset: number = 0,
   locationFilter?: LocationFilter,
 ): Promise<{ entries: LeaderboardRow[]; total: number }> {
-  const params: unknown[] = [difficulty];
+  const params: unknown[] = [board.mode, board.difficulty];
   let locationWhere = '';
 
   if (locationFilter?.countryCode) {
@@ -201,7 +253,7 @@ export async function getLeaderboard(
       ROW_NUMBER() OVER (ORDER BY le.score DESC) AS rank
      FROM leaderboard_entries le
      JOIN users u ON u.id = le.user_id
-     WHERE le.difficulty = ?${locationWhere}
+     WHERE le.mode = ? AND le.difficulty = ?${locationWhere}
      ORDER BY le.score DESC
      LIMIT ? OFFSET ?`,
     params,
@@ -212,7 +264,7 @@ export async function getLeaderboard(
     `SELECT COUNT(*) as count
      FROM leaderboard_entries le
      JOIN users u ON u.id = le.user_id
-     WHERE le.difficulty = ?${locationWhere}`,
+     WHERE le.mode = ? AND le.difficulty = ?${locationWhere}`,
     countParams,
   );
 
@@ -225,7 +277,7 @@ export async function getLeaderboard(
 export async function getUserEntry(
   db: D1Database,
   userId: string,
-  difficulty: string,
+  board: BoardKey,
 ): Promise<LeaderboardRow | null> {
   const row = await queryOne<LeaderboardRow>(
     db,
@@ -233,12 +285,13 @@ export async function getUserEntry(
       le.*,
       u.display_name,
       (SELECT COUNT(*) + 1 FROM leaderboard_entries le2
-       WHERE le2.difficulty = le.difficulty AND le2.score > le.score AND le2.flagged = 0
+       WHERE le2.mode = le.mode AND le2.difficulty = le.difficulty
+         AND le2.score > le.score AND le2.flagged = 0
       ) AS rank
      FROM leaderboard_entries le
      JOIN users u ON u.id = le.user_id
-     WHERE le.user_id = ? AND le.difficulty = ?`,
-    [userId, difficulty],
+     WHERE le.user_id = ? AND le.mode = ? AND le.difficulty = ?`,
+    [userId, board.mode, board.difficulty],
   );
   return row ? normalizeEntry(row) : null;
 }
@@ -246,10 +299,10 @@ export async function getUserEntry(
 export async function getUserRank(
   db: D1Database,
   userId: string,
-  difficulty: string,
+  board: BoardKey,
   locationFilter?: LocationFilter,
 ): Promise<number | null> {
-  const params: unknown[] = [difficulty];
+  const params: unknown[] = [board.mode, board.difficulty];
   let locationWhere = '';
 
   if (locationFilter?.countryCode) {
@@ -275,7 +328,7 @@ export async function getUserRank(
         ROW_NUMBER() OVER (ORDER BY le.score DESC) AS rank
       FROM leaderboard_entries le
       JOIN users u ON u.id = le.user_id
-      WHERE le.difficulty = ?${locationWhere}
+      WHERE le.mode = ? AND le.difficulty = ?${locationWhere}
     ) ranked
     WHERE user_id = ?`,
     params,
@@ -0,0 +1,108 @@
+/**
+ * @fileoverview Leaderboard replay model — D1 operations for queued input replays.
+ *
+ * One row per leaderboard entry. A new personal best replaces the row (with a
+ * fresh id, so a verdict for the superseded replay can no longer land).
+ */
+
+import { query, queryOne, run, nowISO, newId } from '../db';
+
+export type ReplayStatus = 'pending' | 'verified' | 'mismatch' | 'invalid';
+
+export interface LeaderboardReplay {
+  id: string;
+  entry_id: string;
+  user_id: string;
+  mode: string;
+  difficulty: string;
+  score: number;
+  wave: number;
+  kills: number;
+  level: number;
+  replay: string; // JSON text
+  heuristic_flagged: number; // SQLite boolean
+  status: ReplayStatus;
+  divergence_tick: number | null;
+  reason: string | null;
+  created_at: string;
+  verified_at: string | null;
+}
+
+export interface QueueReplayData {
+  entryId: string;
+  userId: string;
+  mode: string;
+  difficulty: string;
+  score: number;
+  wave: number;
+  kills: number;
+  level: number;
+  replayJson: string;
+  heuristicFlagged: boolean;
+}
+
+/**
+ * Queue a replay for verification, replacing any previous replay of the entry.
+ */
+export async function upsertPending(db: D1Database, data: QueueReplayData): Promise<string> {
+  const id = newId();
+  await run(
+    db,
+    `INSERT INTO leaderboard_replays
+      (id, entry_id, user_id, mode, difficulty, score, wave, kills, level, replay,
+       heuristic_flagged, status, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending', ?)
+     ON CONFLICT (entry_id) DO UPDATE SET
+       id = excluded.id, mode = excluded.mode, difficulty = excluded.difficulty, score = excluded.score,
+       wave = excluded.wave, kills = excluded.kills, level = excluded.level,
+       replay = excluded.replay, heuristic_flagged = excluded.heuristic_flagged,
+       status = 'pending', divergence_tick = NULL, reason = NULL,
+       created_at = excluded.created_at, verified_at = NULL`,
+    [
+      id, data.entryId, data.userId, data.mode, data.difficulty, data.score, data.wave,
+      data.kills, data.level, data.replayJson, data.heuristicFlagged ? 1 : 0, nowISO(),
+    ],
+  );
+  return id;
+}
+
+/**
+ * Oldest pending replays first.
+ */
+export async function listPending(db: D1Database, limit: number): Promise<LeaderboardReplay[]> {
+  return query<LeaderboardReplay>(
+    db,
+    `SELECT * FROM leaderboard_replays
+     WHERE status = 'pending'
+     ORDER BY created_at ASC
+     LIMIT ?`,
+    [limit],
+  );
+}
+
+export async function findById(db: D1Database, id: string): Promise<LeaderboardReplay | null> {
+  return queryOne<LeaderboardReplay>(db, 'SELECT * FROM leaderboard_replays WHERE id = ?', [id]);
+}
+
+export async function findByEntryId(db: D1Database, entryId: string): Promise<LeaderboardReplay | null> {
+  return queryOne<LeaderboardReplay>(db, 'SELECT * FROM leaderboard_replays WHERE entry_id = ?', [entryId]);
+}
+
+/**
+ * Store the verifier's verdict.
+ */
+export async function markVerdict(
+  db: D1Database,
+  id: string,
+  status: Exclude<ReplayStatus, 'pending'>,
+  divergenceTick: number | null,
+  reason: string | null,
+): Promise<void> {
+  await run(
+    db,
+    `UPDATE leaderboard_replays
+     SET status = ?, divergence_tick = ?, reason = ?, verified_at = ?
+     WHERE id = ?`,
+    [status, divergenceTick, reason, nowISO(), id],
+  );
+}
@@ -0,0 +1,185 @@
+/**
+ * @fileoverview Challenge routes — daily / weekly seeded challenge runs.
+ */
+
+import { Hono } from 'hono';
+import type { Context } from 'hono';
+import type { Env, AppVariables } from '../types';
+import { requireAuth, optionalAuth } from '../middleware/auth';
+import { createRateLimiter, getClientIp } from '../middleware/rateLimit';
+import * as challengeService from '../services/challenge.service';
+import { ChallengeError } from '../services/challenge.service';
+import * as gameSessionService from '../services/gamesession.service';
+import { GameSessionError } from '../services/gamesession.service';
+import * as UserModel from '../models/user.model';
+
+type ChallengeEnv = { Bindings: Env; Variables: AppVariables };
+
+export const challengeRoutes = new Hono<ChallengeEnv>();
+
+// ─── Rate limiters ───────────────────────────────────────────────────────────
+
+const challengeReadLimiter = createRateLimiter({
+  windowMs: 60_000,
+  max: 60,
+  prefix: 'challenge_read_ip',
+  keyFn: (c) => getClientIp(c),
+});
+
+const challengeWriteLimiter = createRateLimiter({
+  windowMs: 15 * 60_000,
+  max: 10,
+  prefix: 'challenge_write_user',
+});
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+/** `daily` / `weekly` mean the current period; anything else is a challenge id. */
+async function resolveChallenge(idOrKind: string) {
+  return challengeService.isChallengeKind(idOrKind)
+    ? challengeService.getCurrentChallenge(idOrKind)
+    : challengeService.getChallenge(idOrKind);
+}
+
+function handleError(c: Context<ChallengeEnv>, err: unknown) {
+  if (err instanceof ChallengeError || err instanceof GameSessionError) {
+    return c.json({ error: err.message }, err.statusCode as any);
+  }
+  throw err;
+}
+
+// ─── Public: GET /daily, GET /weekly (optional auth for attempts used) ───────
+
+challengeRoutes.get('/:kind{daily|weekly}', optionalAuth, challengeReadLimiter, async (c) => {
+  const kind = c.req.param('kind') as challengeService.ChallengeKind;
+  const challenge = await challengeService.getCurrentChallenge(kind);
+  const userId = c.get('userId');
+
+  const attemptsUsed = userId
+    ? await challengeService.getAttemptsUsed(c.env.DB, challenge.id, userId)
+    : null;
+
+  return c.json({ ...challenge, attemptsUsed });
+});
+
+// ─── Public: GET /:id/leaderboard ────────────────────────────────────────────
+
+challengeRoutes.get('/:id/leaderboard', optionalAuth, challengeReadLimiter, async (c) => {
+  const limit = Math.min(parseInt(c.req.query('limit') || '50', 10), 100);
+  const offset = Math.max(parseInt(c.req.query('offset') || '0', 10), 0);
+
+  try {
+    const challenge = await resolveChallenge(c.req.param('id'));
+    const result = await challengeService.getLeaderboard(
+      c.env.DB,
+      challenge,
+      limit,
+      offset,
+      c.get('userId') || undefined,
+    );
+    return c.json(result);
+  } catch (err) {
+    return handleError(c, err);
+  }
+});
+
+// ─── Authenticated: POST /:id/attempts — register a run start ────────────────
+
+challengeRoutes.post('/:id/attempts', requireAuth, challengeWriteLimiter, async (c) => {
+  const userId = c.get('userId');
+
+  const user = await UserModel.findById(c.env.DB, userId);
+  if (!user || !UserModel.isRegisteredUser(user)) {
+    return c.json({ error: 'Challenges require a registered account' }, 403);
+  }
+
+  try {
+    const result = await challengeService.startAttempt(c.env.DB, c.req.param('id'), userId);
+    return c.json(result);
+  } catch (err) {
+    return handleError(c, err);
+  }
+});
+
+// ─── Authenticated: POST /:id/submit ─────────────────────────────────────────
+
+challengeRoutes.post('/:id/submit', requireAuth, challengeWriteLimiter, async (c) => {
+  const userId = c.get('userId');
+
+  const user = await UserModel.findById(c.env.DB, userId);
+  if (!user || !UserModel.isRegisteredUser(user)) {
+    return c.json({ error: 'Challenges require a registered account' }, 403);
+  }
+
+  const body = await c.req.json<{
+    attempt?: number;
+    difficulty?: string;
+    score?: number;
+    wave?: number;
+    kills?: number;
+    maxCombo?: number;
+    level?: number;
+    isVictory?: boolean;
+    runDetails?: Record<string, unknown>;
+    gameDurationMs?: number;
+    startWave?: number;
+    clientVersion?: string;
+    checksum?: string;
+    gameSessionToken?: string;
+  }>();
+
+  if (
+    !Number.isInteger(body.attempt) ||
+    !body.difficulty ||
+    body.score === undefined ||
+    body.wave === undefined ||
+    body.kills === undefined ||
+    body.maxCombo === undefined ||
+    body.level === undefined ||
+    body.isVictory === undefined
+  ) {
+    return c.json({ error: 'Missing required fields' }, 400);
+  }
+
+  // SECURITY: Same session token + checksum requirement as leaderboard submission
+  if (!body.gameSessionToken) {
+    return c.json({ error: 'gameSessionToken is required' }, 400);
+  }
+  if (!body.checksum) {
+    return c.json({ error: 'checksum is required' }, 400);
+  }
+
+  try {
+    // Consumed by submitAttempt once the run passes every check
+    const gameSession = await gameSessionService.findSession(
+      c.env.DB,
+      c.env.SCORE_HMAC_SECRET,
+      userId,
+      body.gameSessionToken,
+    );
+
+    const result = await challengeService.submitAttempt(c.env.DB, c.req.param('id'), {
+      userId,
+      attempt: body.attempt!,
+      difficulty: body.difficulty,
+      score: body.score,
+      wave: body.wave,
+      kills: body.kills,
+      maxCombo: body.maxCombo,
+      level: body.level,
+      isVictory: body.isVictory,
+      runDetails: body.runDetails || {},
+      gameDurationMs: body.gameDurationMs,
+      startWave: body.startWave,
+      clientVersion: body.clientVersion,
+      checksum: body.checksum,
+      gameSession,
+    });
+    return c.json(result);
+  } catch (err) {
+    if (err instanceof ChallengeError || err instanceof GameSessionError) {
+      return handleError(c, err);
+    }
+    return c.json({ error: (err as Error).message }, 400);
+  }
+});
@@ -4,12 +4,15 @@
 
 import { Hono } from 'hono';
 import type { Env, AppVariables } from '../types';
-import { requireAuth, optionalAuth } from '../middleware/auth';
+import { requireAuth, optionalAuth, requireReplayVerifier } from '../middleware/auth';
 import { createRateLimiter, getClientIp as getClientIpRL } from '../middleware/rateLimit';
 import * as leaderboardService from '../services/leaderboard.service';
 import * as gameSessionService from '../services/gamesession.service';
 import { GameSessionError } from '../services/gamesession.service';
+import * as replayService from '../services/replay.service';
+import { ReplayJobError } from '../services/replay.service';
 import * as UserModel from '../models/user.model';
+import { isLeaderboardMode } from '../models/leaderboard.model';
 import {
   resolveLocation,
   resolveLocationFromCf,
@@ -45,7 +48,11 @@ const leaderboardSessionLimiter = createRateLimiter({
 
 leaderboardRoutes.get('/', optionalAuth, leaderboardReadLimiter, async (c) => {
   const q = c.req.query();
+  const mode = q.mode || 'standard';
   const difficulty = q.difficulty || 'normal';
+  if (!isLeaderboardMode(mode)) {
+    return c.json({ error: 'Unknown leaderboard mode' }, 400);
+  }
   const limit = Math.min(parseInt(q.limit || '50', 10), 100);
   const offset = Math.max(parseInt(q.offset || '0', 10), 0);
   const scope = q.scope || 'global';
@@ -68,7 +75,7 @@ leaderboardRoutes.get('/', optionalAuth, leaderboardReadLimiter, async (c) => {
 
   const result = await leaderboardService.getLeaderboard(
     c.env.DB,
-    difficulty,
+    { mode, difficulty },
     limit,
     offset,
     userId,
@@ -107,9 +114,13 @@ leaderboardRoutes.post('/session', requireAuth, leaderboardSessionLimiter, async
 // ─── Authenticated: GET /me ──────────────────────────────────────────────────
 
 leaderboardRoutes.get('/me', requireAuth, async (c) => {
+  const mode = c.req.query('mode') || 'standard';
   const difficulty = c.req.query('difficulty') || 'normal';
+  if (!isLeaderboardMode(mode)) {
+    return c.json({ error: 'Unknown leaderboard mode' }, 400);
+  }
   const userId = c.get('userId');
-  const entry = await leaderboardService.getUserEntry(c.env.DB, userId, difficulty);
+  const entry = await leaderboardService.getUserEntry(c.env.DB, userId, { mode, difficulty });
   return c.json(entry ?? { entry: null });
 });
 
@@ -125,6 +136,7 @@ leaderboardRoutes.post('/submit', requireAuth, leaderboardSubmitLimiter, async (
   }
 
   const body = await c.req.json<{
+    mode?: string;
     difficulty?: string;
     score?: number;
     wave?: number;
@@ -139,6 +151,7 @@ leaderboardRoutes.post('/submit', requireAuth, leaderboardSubmitLimiter, async (
     checksum?: string;
     continuesUsed?: number;
     gameSessionToken?: string;
+    replay?: unknown;
   }>();
 
   // Basic validation
@@ -153,6 +166,9 @@ leaderboardRoutes.post('/submit', requireAuth, leaderboardSubmitLimiter, async (
   ) {
     return c.json({ error: 'Missing required fields' }, 400);
   }
+  if (body.mode !== undefined && !isLeaderboardMode(body.mode)) {
+    return c.json({ error: 'Unknown leaderboard mode' }, 400);
+  }
 
   // SECURITY: Require game session token and checksum
   if (!body.gameSessionToken) {
@@ -181,6 +197,7 @@ leaderboardRoutes.post('/submit', requireAuth, leaderboardSubmitLimiter, async (
   try {
     const result = await leaderboardService.submitScore(c.env.DB, {
       userId,
+      mode: body.mode,
       difficulty: body.difficulty,
       score: body.score,
       wave: body.wave,
@@ -195,6 +212,7 @@ leaderboardRoutes.post('/submit', requireAuth, leaderboardSubmitLimiter, async (
       checksum: body.checksum,
       continuesUsed: body.continuesUsed,
       sessionHmacKey,
+      replay: body.replay,
     });
 
     // Geo-tagging (best-effort, non-blocking)
@@ -226,3 +244,42 @@ leaderboardRoutes.post('/submit', requireAuth, leaderboardSubmitLimiter, async (
     return c.json({ error: err.message }, 400);
   }
 });
+
+// ─── Public: GET /entries/:id/replay ─────────────────────────────────────────
+
+leaderboardRoutes.get('/entries/:id/replay', leaderboardReadLimiter, async (c) => {
+  const replay = await replayService.getEntryReplay(c.env.DB, c.req.param('id'));
+  if (!replay) {
+    return c.json({ error: 'Replay not found' }, 404);
+  }
+  return c.json({ replay });
+});
+
+// ─── Replay verifier job: GET /replays/pending ───────────────────────────────
+
+leaderboardRoutes.get('/replays/pending', requireReplayVerifier, async (c) => {
+  const limit = Math.min(Math.max(parseInt(c.req.query('limit') || '10', 10) || 10, 1), 50);
+  const jobs = await replayService.getPendingJobs(c.env.DB, limit);
+  return c.json({ jobs });
+});
+
+// ─── Replay verifier job: POST /replays/:id/verdict ──────────────────────────
+
+leaderboardRoutes.post('/replays/:id/verdict', requireReplayVerifier, async (c) => {
+  let verdict: replayService.ReplayVerdict;
+  try {
+    verdict = await c.req.json<replayService.ReplayVerdict>();
+  } catch {
+    return c.json({ error: 'Request body must be JSON' }, 400);
+  }
+
+  try {
+    await replayService.applyVerdict(c.env.DB, c.req.param('id'), verdict);
+    return c.json({ ok: true });
+  } catch (err) {
+    if (err instanceof ReplayJobError) {
+      return c.json({ error: err.message }, err.statusCode as any);
+    }
+    throw err;
+  }
+});
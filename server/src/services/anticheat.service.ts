@@ -13,6 +13,8 @@ interface ScorePayload {
   maxCombo: number;
   level: number;
   isVictory: boolean;
+  /** Leaderboard mode ('standard' when omitted) */
+  mode?: string;
   difficulty: string;
   gameDurationMs?: number;
   startWave?: number;
@@ -39,6 +41,14 @@ const MIN_GAME_DURATION_MS = 600_000;
 // (factoring that early waves score much less).
 const MAX_SCORE_PER_WAVE = 12_000;
 
+// Boss Rush (mirrors client GameConfig.BOSS_RUSH): one "wave" per boss, a
+// fixed roster, and a score made only of per-boss clear awards.
+const BOSS_RUSH_ROSTER_SIZE = 9;
+const BOSS_RUSH_MAX_SCORE_PER_BOSS = 4_000;
+const BOSS_RUSH_STARTING_LEVEL = 10;
+// Countdown plus the quickest plausible kill, per defeated boss
+const BOSS_RUSH_MIN_MS_PER_BOSS = 8_000;
+
 export async function validateScore(payload: ScorePayload): Promise<ValidationResult> {
   // Hard rejection: impossible wave
   if (payload.wave < 1) {
@@ -50,6 +60,10 @@ export async function validateScore(payload: ScorePayload): Promise<ValidationRe
     return { valid: false, flagged: true, reason: 'Negative score' };
   }
 
+  if (payload.mode === 'boss_rush') {
+    return validateBossRush(payload);
+  }
+
   // Hard rejection: game too short for the waves played this session
   const wavesPlayed = payload.wave - Math.max(1, payload.startWave ?? 1);
   if (payload.gameDurationMs !== undefined && wavesPlayed > 5 && payload.gameDurationMs < MIN_GAME_DURATION_MS) {
@@ -75,6 +89,40 @@ export async function validateScore(payload: ScorePayload): Promise<ValidationRe
   return { valid: true, flagged: false };
 }
 
+/**
+ * Boss Rush starts at a granted level and skips straight from boss to boss,
+ * so the campaign's per-wave ratios don't apply.
+ */
+function validateBossRush(payload: ScorePayload): ValidationResult {
+  // Hard rejection: more bosses than the roster holds
+  if (payload.wave > BOSS_RUSH_ROSTER_SIZE) {
+    return { valid: false, flagged: true, reason: 'Boss count exceeds the Boss Rush roster' };
+  }
+
+  // Hard rejection: bosses cleared faster than possible (the last wave may be the fight that was lost)
+  const bossesDefeated = payload.isVictory ? payload.wave : payload.wave - 1;
+  if (payload.gameDurationMs !== undefined && payload.gameDurationMs < bossesDefeated * BOSS_RUSH_MIN_MS_PER_BOSS) {
+    return { valid: false, flagged: true, reason: 'Game duration too short for bosses defeated' };
+  }
+
+  // Soft flag: more than every cleared boss could award
+  if (payload.score > payload.wave * BOSS_RUSH_MAX_SCORE_PER_BOSS) {
+    return { valid: true, flagged: true, reason: 'Score exceeds plausible range for bosses defeated' };
+  }
+
+  // Soft flag: minion kills implausible
+  if (payload.kills > payload.wave * 60) {
+    return { valid: true, flagged: true, reason: 'Kill count exceeds plausible range' };
+  }
+
+  // Soft flag: level too high on top of the granted start
+  if (payload.level > BOSS_RUSH_STARTING_LEVEL + payload.wave * 2) {
+    return { valid: true, flagged: true, reason: 'Level exceeds plausible range for bosses defeated' };
+  }
+
+  return { valid: true, flagged: false };
+}
+
 export async function verifyChecksum(
   payload: string,
   checksum: string,
@@ -0,0 +1,284 @@
+/**
+ * @fileoverview Challenge service — daily and weekly seeded challenge runs.
+ *
+ * A challenge is derived entirely from its period, so nothing but attempts is
+ * stored: the id is `<kind>-<UTC start date>` (weekly periods start on
+ * Monday), the seed is the first 32 bits of SHA-256(id), and the difficulty,
+ * wave-modifier pool and starting ascensions are picked from that seed.
+ * Everyone playing the same challenge therefore gets the same run.
+ *
+ * Flow:
+ *   1. GET /api/challenges/daily (or /weekly) → rules for the current period.
+ *   2. POST /api/challenges/:id/attempts when the run starts → attempt number.
+ *      This is what caps attempts, so abandoning a bad run still costs one.
+ *   3. POST /api/challenges/:id/submit with the attempt number and the usual
+ *      session token + checksum. The session is only consumed once the
+ *      submission passes every check, so a rejected one can be retried.
+ */
+
+import * as ChallengeModel from '../models/challenge.model';
+import * as GameSessionModel from '../models/gamesession.model';
+import type { GameSession } from '../models/gamesession.model';
+import type { RunDetails } from '../models/leaderboard.model';
+import { checkRun } from './leaderboard.service';
+import type { RunSubmission } from './leaderboard.service';
+import challengePools from './challenge.pools.json';
+
+export type ChallengeKind = 'daily' | 'weekly';
+
+interface KindRules {
+  periodDays: number;
+  maxAttempts: number;
+  difficulties: string[];
+  waveModifierCount: number;
+  startingAscensionCount: number;
+}
+
+const KIND_RULES: Record<ChallengeKind, KindRules> = {
+  daily: {
+    periodDays: 1,
+    maxAttempts: 3,
+    difficulties: ['easy', 'normal', 'hard'],
+    waveModifierCount: 1,
+    startingAscensionCount: 1,
+  },
+  weekly: {
+    periodDays: 7,
+    maxAttempts: 5,
+    difficulties: ['hard'],
+    waveModifierCount: 2,
+    startingAscensionCount: 2,
+  },
+};
+
+// The pools live in challenge.pools.json so client/test/challenge-pools.test.mjs
+// can check them against the client config.
+
+/** Keys of the client's GameConfig.WAVE_MODIFIERS. */
+const WAVE_MODIFIER_KEYS: string[] = challengePools.waveModifiers;
+
+/** Ids from the client's ASCENSION_POOL that make sense from wave 1 (no one-shot point grants). */
+const STARTING_ASCENSION_IDS: string[] = challengePools.startingAscensions;
+
+/** A run started just before the period ends may still be submitted this long after. */
+const SUBMIT_GRACE_MS = 2 * 60 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CHALLENGE_ID_RE = /^(daily|weekly)-(\d{4}-\d{2}-\d{2})$/;
+
+export interface Challenge {
+  id: string;
+  kind: ChallengeKind;
+  seed: number;
+  difficulty: string;
+  /** Wave modifiers that can roll during the run (replaces the full pool). */
+  waveModifiers: string[];
+  /** Ascensions granted before wave 1. */
+  startingAscensions: string[];
+  maxAttempts: number;
+  startsAt: string;
+  endsAt: string;
+}
+
+interface SubmitAttemptData extends RunSubmission {
+  userId: string;
+  attempt: number;
+  runDetails: RunDetails;
+  clientVersion?: string;
+  /** Validated but not yet consumed — spent only once the submission is accepted */
+  gameSession: GameSession;
+}
+
+// ─── Derivation ────────────────────────────────────────────────────────────
+
+function periodStart(kind: ChallengeKind, at: Date): Date {
+  const start = new Date(Date.UTC(at.getUTCFullYear(), at.getUTCMonth(), at.getUTCDate()));
+  if (kind === 'weekly') {
+    // getUTCDay(): 0 = Sunday → step back to Monday
+    const sinceMonday = (start.getUTCDay() + 6) % 7;
+    start.setUTCDate(start.getUTCDate() - sinceMonday);
+  }
+  return start;
+}
+
+async function seedFor(id: string): Promise<number> {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(id));
+  return new DataView(digest).getUint32(0);
+}
+
+/** mulberry32 — only used to pick the rules, so it never has to match the client RNG. */
+function createPicker(seed: number) {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  return {
+    pick: <T>(items: T[]): T => items[Math.floor(next() * items.length)],
+    sample: <T>(items: T[], count: number): T[] => {
+      const pool = [...items];
+      for (let i = pool.length - 1; i > 0; i--) {
+        const j = Math.floor(next() * (i + 1));
+        [pool[i], pool[j]] = [pool[j], pool[i]];
+      }
+      return pool.slice(0, count);
+    },
+  };
+}
+
+async function buildChallenge(kind: ChallengeKind, start: Date): Promise<Challenge> {
+  const rules = KIND_RULES[kind];
+  const id = `${kind}-${start.toISOString().slice(0, 10)}`;
+  const seed = await seedFor(id);
+  const picker = createPicker(seed);
+
+  return {
+    id,
+    kind,
+    seed,
+    difficulty: picker.pick(rules.difficulties),
+    waveModifiers: picker.sample(WAVE_MODIFIER_KEYS, rules.waveModifierCount),
+    startingAscensions: picker.sample(STARTING_ASCENSION_IDS, rules.startingAscensionCount),
+    maxAttempts: rules.maxAttempts,
+    startsAt: start.toISOString(),
+    endsAt: new Date(start.getTime() + rules.periodDays * DAY_MS).toISOString(),
+  };
+}
+
+export function isChallengeKind(value: string): value is ChallengeKind {
+  return value === 'daily' || value === 'weekly';
+}
+
+export async function getCurrentChallenge(kind: ChallengeKind, now: Date = new Date()): Promise<Challenge> {
+  return buildChallenge(kind, periodStart(kind, now));
+}
+
+/**
+ * Resolve a challenge id. Rejects ids that don't name a real period start
+ * (e.g. a weekly id on a Wednesday).
+ */
+export async function getChallenge(id: string): Promise<Challenge> {
+  const match = CHALLENGE_ID_RE.exec(id);
+  const start = match ? new Date(`${match[2]}T00:00:00.000Z`) : null;
+  if (!match || !start || Number.isNaN(start.getTime())) {
+    throw new ChallengeError('Unknown challenge', 404);
+  }
+
+  const kind = match[1] as ChallengeKind;
+  if (periodStart(kind, start).getTime() !== start.getTime()) {
+    throw new ChallengeError('Unknown challenge', 404);
+  }
+  return buildChallenge(kind, start);
+}
+
+// ─── Attempts ──────────────────────────────────────────────────────────────
+
+export async function getAttemptsUsed(db: D1Database, challengeId: string, userId: string): Promise<number> {
+  return ChallengeModel.countAttempts(db, challengeId, userId);
+}
+
+/**
+ * Register the start of an attempt.
+ */
+export async function startAttempt(db: D1Database, challengeId: string, userId: string) {
+  const challenge = await getChallenge(challengeId);
+  const now = Date.now();
+  if (now < Date.parse(challenge.startsAt)) {
+    throw new ChallengeError('Challenge has not started yet', 400);
+  }
+  if (now >= Date.parse(challenge.endsAt)) {
+    throw new ChallengeError('Challenge has ended', 410);
+  }
+
+  const used = await ChallengeModel.countAttempts(db, challenge.id, userId);
+  if (used >= challenge.maxAttempts) {
+    throw new ChallengeError('No attempts left for this challenge', 409);
+  }
+
+  const attempt = used + 1;
+  try {
+    await ChallengeModel.createAttempt(db, challenge.id, userId, attempt);
+  } catch {
+    // UNIQUE (challenge_id, user_id, attempt) — another request got there first
+    throw new ChallengeError('Attempt already started', 409);
+  }
+
+  return { challenge, attempt, attemptsLeft: challenge.maxAttempts - attempt };
+}
+
+/**
+ * Record the result of a started attempt.
+ */
+export async function submitAttempt(db: D1Database, challengeId: string, data: SubmitAttemptData) {
+  const challenge = await getChallenge(challengeId);
+  if (Date.now() > Date.parse(challenge.endsAt) + SUBMIT_GRACE_MS) {
+    throw new ChallengeError('Challenge has ended', 410);
+  }
+  if (data.difficulty !== challenge.difficulty) {
+    throw new ChallengeError('Difficulty does not match the challenge', 400);
+  }
+  if (data.runDetails.seed !== challenge.seed) {
+    throw new ChallengeError('Run seed does not match the challenge', 400);
+  }
+
+  if (!(await ChallengeModel.hasOpenAttempt(db, challenge.id, data.userId, data.attempt))) {
+    throw new ChallengeError('No open attempt with that number', 404);
+  }
+
+  const { flagged } = await checkRun({ ...data, sessionHmacKey: data.gameSession.hmac_key });
+  await GameSessionModel.consumeSession(db, data.gameSession.id);
+
+  const finished = await ChallengeModel.finishAttempt(db, challenge.id, data.userId, data.attempt, {
+    score: data.score,
+    wave: data.wave,
+    kills: data.kills,
+    maxCombo: data.maxCombo,
+    level: data.level,
+    isVictory: data.isVictory,
+    runDetails: data.runDetails,
+    gameDurationMs: data.gameDurationMs,
+    clientVersion: data.clientVersion,
+    checksum: data.checksum,
+    flagged,
+  });
+  if (!finished) {
+    throw new ChallengeError('No open attempt with that number', 404);
+  }
+
+  const rank = await ChallengeModel.getUserRank(db, challenge.id, data.userId);
+  return { challengeId: challenge.id, attempt: data.attempt, rank, flagged };
+}
+
+// ─── Boards ────────────────────────────────────────────────────────────────
+
+export async function getLeaderboard(
+  db: D1Database,
+  challenge: Challenge,
+  limit: number,
+  offset: number,
+  userId?: string,
+) {
+  const result = await ChallengeModel.getLeaderboard(db, challenge.id, limit, offset);
+
+  let userRank: number | null = null;
+  if (userId) {
+    userRank = await ChallengeModel.getUserRank(db, challenge.id, userId);
+  }
+
+  return { challenge, ...result, userRank };
+}
+
+// ─── Error ─────────────────────────────────────────────────────────────────
+
+export class ChallengeError extends Error {
+  constructor(
+    message: string,
+    public readonly statusCode: number = 400,
+  ) {
+    super(message);
+    this.name = 'ChallengeError';
+  }
+}
@@ -124,15 +124,15 @@ export async function createSession(
 }
 
 /**
- * Validate and consume a game session token. Returns the per-session HMAC key
- * for verifying the score checksum. Throws on invalid/expired/already-used tokens.
+ * Validate a game session token without consuming it, so the caller can check
+ * the rest of a submission first. Throws on invalid/expired/already-used tokens.
  */
-export async function consumeSession(
+export async function findSession(
   db: D1Database,
   scoreHmacSecret: string,
   userId: string,
   gameSessionToken: string,
-): Promise<string> {
+): Promise<GameSessionModel.GameSession> {
   // Step 1: Verify HMAC signature and extract nonce
   const nonce = await verifyToken(gameSessionToken, userId, scoreHmacSecret);
   if (!nonce) {
@@ -145,9 +145,21 @@ export async function consumeSession(
     throw new GameSessionError('Game session not found, expired, or already used', 403);
   }
 
-  // Step 3: Mark as consumed atomically
-  await GameSessionModel.consumeSession(db, session.id);
+  return session;
+}
 
+/**
+ * Validate and consume a game session token. Returns the per-session HMAC key
+ * for verifying the score checksum. Throws on invalid/expired/already-used tokens.
+ */
+export async function consumeSession(
+  db: D1Database,
+  scoreHmacSecret: string,
+  userId: string,
+  gameSessionToken: string,
+): Promise<string> {
+  const session = await findSession(db, scoreHmacSecret, userId, gameSessionToken);
+  await GameSessionModel.consumeSession(db, session.id);
   return session.hmac_key;
 }
 
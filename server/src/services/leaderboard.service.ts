@@ -3,11 +3,14 @@
  */
 
 import * as LeaderboardModel from '../models/leaderboard.model';
-import type { LocationFilter } from '../models/leaderboard.model';
+import type { BoardKey, LocationFilter } from '../models/leaderboard.model';
 import { validateScore, verifyChecksum } from './anticheat.service';
+import * as replayService from './replay.service';
 
-interface SubmitScoreData {
-  userId: string;
+/** Fields every scored run submission carries (leaderboard and challenges). */
+export interface RunSubmission {
+  /** Leaderboard mode; 'standard' when omitted (challenge runs always are) */
+  mode?: string;
   difficulty: string;
   score: number;
   wave: number;
@@ -15,20 +18,32 @@ interface SubmitScoreData {
   maxCombo: number;
   level: number;
   isVictory: boolean;
-  runDetails: LeaderboardModel.RunDetails;
   gameDurationMs?: number;
   startWave?: number;
-  clientVersion?: string;
   checksum?: string;
-  continuesUsed?: number;
   /** Per-session HMAC key from game session service — used to verify checksum. */
   sessionHmacKey?: string;
 }
 
-export async function submitScore(db: D1Database, data: SubmitScoreData) {
+interface SubmitScoreData extends RunSubmission {
+  userId: string;
+  runDetails: LeaderboardModel.RunDetails;
+  clientVersion?: string;
+  continuesUsed?: number;
+  /** Optional input replay — queued for headless re-simulation. */
+  replay?: unknown;
+}
+
+/**
+ * Verify the session checksum and run the heuristic anti-cheat.
+ * Throws when the run is rejected outright.
+ */
+export async function checkRun(data: RunSubmission): Promise<{ flagged: boolean }> {
   // SECURITY: Verify HMAC checksum if both checksum and session key are present
   if (data.checksum && data.sessionHmacKey) {
-    // Build canonical payload string (sorted, deterministic)
+    // Build canonical payload string (sorted, deterministic). `mode` is only
+    // signed for non-standard runs, so standard payloads are unchanged.
+    const mode = data.mode ?? 'standard';
     const checksumPayload = JSON.stringify({
       difficulty: data.difficulty,
       gameDurationMs: data.gameDurationMs ?? 0,
@@ -36,6 +51,7 @@ export async function submitScore(db: D1Database, data: SubmitScoreData) {
       kills: data.kills,
       level: data.level,
       maxCombo: data.maxCombo,
+      ...(mode !== 'standard' && { mode }),
       score: data.score,
       startWave: data.startWave ?? 1,
       wave: data.wave,
@@ -55,6 +71,7 @@ export async function submitScore(db: D1Database, data: SubmitScoreData) {
     maxCombo: data.maxCombo,
     level: data.level,
     isVictory: data.isVictory,
+    mode: data.mode,
     difficulty: data.difficulty,
     gameDurationMs: data.gameDurationMs,
     startWave: data.startWave,
@@ -65,36 +82,73 @@ export async function submitScore(db: D1Database, data: SubmitScoreData) {
     throw new Error(validation.reason || 'Score rejected by anti-cheat');
   }
 
+  return { flagged: validation.flagged };
+}
+
+export async function submitScore(db: D1Database, data: SubmitScoreData) {
+  const validation = await checkRun(data);
+  const board: BoardKey = { mode: data.mode ?? 'standard', difficulty: data.difficulty };
+
+  // A submitted replay keeps the entry flagged until the verifier job confirms it.
+  // One that can never verify (e.g. a run resumed from a save) is dropped and
+  // the heuristics alone decide the entry; only a disqualifying one flags it.
+  let runDetails = data.runDetails;
+  let replayJson: string | null = null;
+  if (data.replay !== undefined && data.replay !== null) {
+    const envelope = replayService.checkEnvelope(data.replay, {
+      mode: board.mode,
+      difficulty: data.difficulty,
+      score: data.score,
+      wave: data.wave,
+      kills: data.kills,
+      level: data.level,
+      seed: data.runDetails.seed,
+      arena: data.runDetails.arena,
+    });
+    replayJson = envelope.json;
+    if (replayJson) {
+      runDetails = { ...runDetails, replayVerification: { status: 'pending' } };
+    } else if (envelope.disqualifies) {
+      runDetails = { ...runDetails, replayVerification: { status: 'invalid', reason: envelope.problem } };
+    }
+  }
+
   // Upsert — only replaces if new score is higher
   const { entry, isNewBest } = await LeaderboardModel.upsertEntry(db, {
     ...data,
-    flagged: validation.flagged,
+    mode: board.mode,
+    runDetails,
+    flagged: validation.flagged || runDetails.replayVerification !== undefined,
   });
 
+  if (isNewBest && replayJson) {
+    await replayService.queueReplay(db, entry, replayJson, validation.flagged);
+  }
+
   // Get the user's rank
-  const rank = await LeaderboardModel.getUserRank(db, data.userId, data.difficulty);
+  const rank = await LeaderboardModel.getUserRank(db, data.userId, board);
 
   return { entry, rank, isNewBest, flagged: validation.flagged };
 }
 
 export async function getLeaderboard(
   db: D1Database,
-  difficulty: string,
+  board: BoardKey,
   limit: number,
   offset: number,
   userId?: string,
   locationFilter?: LocationFilter,
 ) {
-  const result = await LeaderboardModel.getLeaderboard(db, difficulty, limit, offset, locationFilter);
+  const result = await LeaderboardModel.getLeaderboard(db, board, limit, offset, locationFilter);
 
   let userRank: number | null = null;
   if (userId) {
-    userRank = await LeaderboardModel.getUserRank(db, userId, difficulty, locationFilter);
+    userRank = await LeaderboardModel.getUserRank(db, userId, board, locationFilter);
   }
 
   return { ...result, userRank };
 }
 
-export async function getUserEntry(db: D1Database, userId: string, difficulty: string) {
-  return LeaderboardModel.getUserEntry(db, userId, difficulty);
+export async function getUserEntry(db: D1Database, userId: string, board: BoardKey) {
+  return LeaderboardModel.getUserEntry(db, userId, board);
 }
@@ -0,0 +1,213 @@
+/**
+ * @fileoverview Replay verification service — queues submitted input replays
+ * and applies verdicts from the verifier job.
+ *
+ * Flow:
+ *   1. POST /api/leaderboard/submit may carry `replay`. The envelope is checked
+ *      here (format, seed, claimed result); the entry is stored flagged with
+ *      `run_details.replayVerification = { status: 'pending' }` and the replay
+ *      is queued. A replay that can never verify is dropped and the heuristics
+ *      alone decide the entry — unless it shows the developer wave skip, which
+ *      marks the entry 'invalid'.
+ *   2. The verifier job (client/scripts/verify-replays.mjs) fetches pending
+ *      replays, re-simulates them with the headless game core and posts a
+ *      verdict back.
+ *   3. A verified replay clears the flag (unless the heuristics flagged the
+ *      run anyway); a mismatch keeps it flagged and records the divergence
+ *      tick in `run_details` for moderators. A replay recorded on another
+ *      client build comes back 'outdated': it is dropped like any other
+ *      unverifiable replay and the heuristics alone decide the entry.
+ *   4. GET /api/leaderboard/entries/:id/replay serves the replay to the
+ *      leaderboard's "Watch Replay" button.
+ */
+
+import * as ReplayModel from '../models/replay.model';
+import * as LeaderboardModel from '../models/leaderboard.model';
+import type { RunDetails } from '../models/leaderboard.model';
+
+/** Largest replay accepted (JSON text). A long endless run is well under this. */
+const MAX_REPLAY_BYTES = 512 * 1024;
+
+const REPLAY_FORMAT = 'neon-siege-replay';
+/** REPLAY_COMMANDS.SKIP_WAVE in client/js/replay/ReplayFormat.js */
+const SKIP_WAVE_COMMAND = 'skip_wave';
+const VERDICT_STATUSES = ['verified', 'mismatch', 'invalid', 'outdated'] as const;
+
+type VerdictStatus = (typeof VERDICT_STATUSES)[number];
+
+export interface ReplayClaim {
+  mode: string;
+  difficulty: string;
+  score: number;
+  wave: number;
+  kills: number;
+  level: number;
+  seed: number | null | undefined;
+  /** Arena layout from the run details; absent means 'classic' */
+  arena?: string;
+}
+
+export interface ReplayVerdict {
+  status: VerdictStatus;
+  reason?: string | null;
+  divergenceTick?: number | null;
+  mismatchedFields?: string[];
+  actual?: Record<string, number> | null;
+}
+
+// ─── Submission ────────────────────────────────────────────────────────────
+
+/**
+ * Cheap structural checks done at submit time — the expensive re-simulation
+ * happens in the verifier job.
+ *
+ * @returns The serialized replay, or the reason it can never verify.
+ *   `disqualifies` is set when the replay itself shows the run is not
+ *   leaderboard-legal, rather than just being unverifiable.
+ */
+export function checkEnvelope(
+  replay: unknown,
+  claim: ReplayClaim,
+):
+  | { json: string; problem: null; disqualifies: false }
+  | { json: null; problem: string; disqualifies: boolean } {
+  if (!replay || typeof replay !== 'object') {
+    return { json: null, problem: 'Replay is not an object', disqualifies: false };
+  }
+
+  const json = JSON.stringify(replay);
+  if (json.length > MAX_REPLAY_BYTES) {
+    return { json: null, problem: 'Replay is too large', disqualifies: false };
+  }
+
+  const r = replay as Record<string, any>;
+  const commands: unknown[] = Array.isArray(r.commands) ? r.commands : [];
+  if (commands.some((command) => Array.isArray(command) && command[1] === SKIP_WAVE_COMMAND)) {
+    return { json: null, problem: 'Replay uses the developer wave skip', disqualifies: true };
+  }
+
+  const problem =
+    r.format !== REPLAY_FORMAT ? 'Not a Neon Siege replay'
+    : !Number.isInteger(r.version) ? 'Replay version is missing'
+    : r.seed !== claim.seed ? 'Replay seed does not match the run'
+    : r.difficulty !== claim.difficulty ? 'Replay difficulty does not match the run'
+    : (r.mode ?? 'standard') !== claim.mode ? 'Replay mode does not match the run'
+    : (r.layout ?? 'classic') !== (claim.arena ?? 'classic') ? 'Replay arena layout does not match the run'
+    : r.startSnapshot ? 'Run was resumed from a save and cannot be re-simulated'
+    : !r.result ? 'Replay is unfinished'
+    : (r.result.score !== claim.score || r.result.wave !== claim.wave ||
+       r.result.kills !== claim.kills || r.result.level !== claim.level)
+      ? 'Replay result does not match the submitted score'
+    : null;
+
+  return problem ? { json: null, problem, disqualifies: false } : { json, problem: null, disqualifies: false };
+}
+
+/**
+ * Queue a replay for an entry that was just stored as the user's best.
+ */
+export async function queueReplay(
+  db: D1Database,
+  entry: LeaderboardModel.LeaderboardEntry,
+  replayJson: string,
+  heuristicFlagged: boolean,
+): Promise<void> {
+  await ReplayModel.upsertPending(db, {
+    entryId: entry.id,
+    userId: entry.user_id,
+    mode: entry.mode,
+    difficulty: entry.difficulty,
+    score: entry.score,
+    wave: entry.wave,
+    kills: entry.kills,
+    level: entry.level,
+    replayJson,
+    heuristicFlagged,
+  });
+}
+
+// ─── Verifier job ──────────────────────────────────────────────────────────
+
+export async function getPendingJobs(db: D1Database, limit: number) {
+  const rows = await ReplayModel.listPending(db, limit);
+  return rows.map((row) => ({
+    id: row.id,
+    mode: row.mode,
+    difficulty: row.difficulty,
+    score: row.score,
+    wave: row.wave,
+    kills: row.kills,
+    level: row.level,
+    replay: JSON.parse(row.replay),
+  }));
+}
+
+/**
+ * Record a verdict and update the leaderboard entry it belongs to.
+ */
+export async function applyVerdict(db: D1Database, id: string, verdict: ReplayVerdict): Promise<void> {
+  if (!VERDICT_STATUSES.includes(verdict?.status)) {
+    throw new ReplayJobError('Invalid verdict status', 400);
+  }
+
+  const row = await ReplayModel.findById(db, id);
+  if (!row) throw new ReplayJobError('Replay not found or superseded', 404);
+  if (row.status !== 'pending') throw new ReplayJobError('Replay already has a verdict', 409);
+
+  const divergenceTick = Number.isInteger(verdict.divergenceTick) ? verdict.divergenceTick! : null;
+  const reason = typeof verdict.reason === 'string' ? verdict.reason.slice(0, 200) : null;
+  // The replay row records an outdated replay as one that can never verify
+  const rowStatus = verdict.status === 'outdated' ? 'invalid' : verdict.status;
+  await ReplayModel.markVerdict(db, id, rowStatus, divergenceTick, reason);
+
+  // The entry may have moved on to a newer best without a replay
+  const entry = await LeaderboardModel.findById(db, row.entry_id);
+  if (!entry || entry.score !== row.score) return;
+
+  if (verdict.status === 'outdated') {
+    const { replayVerification: _dropped, ...runDetails } = entry.run_details as RunDetails;
+    await LeaderboardModel.updateVerification(db, entry.id, row.heuristic_flagged === 1, runDetails);
+    return;
+  }
+
+  const runDetails: RunDetails = {
+    ...(entry.run_details as RunDetails),
+    replayVerification: {
+      status: verdict.status,
+      divergenceTick,
+      reason,
+      mismatchedFields: Array.isArray(verdict.mismatchedFields) ? verdict.mismatchedFields.slice(0, 8) : [],
+      actual: verdict.actual ?? null,
+      verifiedAt: new Date().toISOString(),
+    },
+  };
+  const flagged = verdict.status === 'verified' ? row.heuristic_flagged === 1 : true;
+  await LeaderboardModel.updateVerification(db, entry.id, flagged, runDetails);
+}
+
+// ─── Viewing ───────────────────────────────────────────────────────────────
+
+/**
+ * The replay of a leaderboard entry's current best, or null if it has none
+ * (never uploaded, or a newer best was submitted without one).
+ */
+export async function getEntryReplay(db: D1Database, entryId: string): Promise<unknown | null> {
+  const row = await ReplayModel.findByEntryId(db, entryId);
+  if (!row) return null;
+
+  const entry = await LeaderboardModel.findById(db, entryId);
+  if (!entry || entry.score !== row.score) return null;
+  return JSON.parse(row.replay);
+}
+
+// ─── Error ─────────────────────────────────────────────────────────────────
+
+export class ReplayJobError extends Error {
+  constructor(
+    message: string,
+    public readonly statusCode: number = 400,
+  ) {
+    super(message);
+    this.name = 'ReplayJobError';
+  }
+}
@@ -28,6 +28,7 @@ export interface Env {
   SCORE_HMAC_SECRET: string;
   SAVE_HMAC_SECRET: string;
   CONTINUE_TOKEN_SECRET: string;
+  REPLAY_VERIFIER_SECRET: string;
   GOOGLE_CLIENT_ID: string;
   STRIPE_SECRET_KEY: string;
   STRIPE_WEBHOOK_SECRET: string;